@@ -0,0 +1,62 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { useRouter } from 'next/navigation'
+import { useAuth } from '@/contexts/AuthContext'
+import { Button } from '@/components/ui/button'
+import apiService from '@/services/api'
+
+/**
+ * Landing page of workspace invite links (/invite?token=...): joins the
+ * workspace as the signed-in user and opens it on the dashboard
+ */
+export default function InvitePage() {
+  const router = useRouter()
+  const { isAuthenticated, isLoading } = useAuth()
+  const [message, setMessage] = useState('Joining workspace...')
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => {
+    if (isLoading || !isAuthenticated) return
+
+    const token = new URLSearchParams(window.location.search).get('token')
+    if (!token) {
+      setFailed(true)
+      setMessage('This invite link is incomplete.')
+      return
+    }
+
+    apiService.acceptWorkspaceInvite(token)
+      .then(response => {
+        apiService.setCurrentWorkspaceId(response.data.workspaceId)
+        setMessage(response.message)
+        router.push('/dashboard')
+      })
+      .catch(err => {
+        console.error('❌ [Invite] Error accepting invite:', err)
+        setFailed(true)
+        setMessage(err instanceof Error ? err.message : 'Failed to accept the invite')
+      })
+  }, [isAuthenticated, isLoading, router])
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-background">
+      <div className="text-center space-y-4 max-w-md">
+        {!isLoading && !isAuthenticated ? (
+          <>
+            <h2 className="text-lg font-semibold text-foreground">Sign in to join the workspace</h2>
+            <p className="body-text text-muted-foreground">
+              Sign in with the email address the invite was sent to, then open the invite link again.
+            </p>
+            <Button onClick={() => router.push('/onboarding')}>Sign in</Button>
+          </>
+        ) : (
+          <>
+            <h2 className="text-lg font-semibold text-foreground">{message}</h2>
+            {failed && <Button variant="outline" onClick={() => router.push('/dashboard')}>Go to dashboard</Button>}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -15,6 +15,7 @@ import { useEffect } from 'react'
 import apiService from '@/services/api'
 import { cn } from '@/lib/utils'
 import { useTheme } from 'next-themes'
+import type { MergedPrompt } from '@/types/prompts'
 
 const llmPlatforms = [
   {
@@ -45,6 +46,8 @@ export default function LLMPlatformsPage() {
   const [buttonText, setButtonText] = useState('Generate Prompts')
   const [showResults, setShowResults] = useState(false)
   const [dotCount, setDotCount] = useState(1)
+  const [mergedPrompts, setMergedPrompts] = useState<MergedPrompt[]>([])
+  const [testProgress, setTestProgress] = useState<string | null>(null)
 
   // Use the same favicon function as TopNav to ensure consistency
   const getFaviconUrl = (platformName: string) => {
@@ -127,7 +130,7 @@ export default function LLMPlatformsPage() {
 
       console.log('✅ Selections saved:', selectionResponse)
 
-      // Generate prompts - backend automatically handles testing and metrics calculation
+      // Generate prompts - the backend queues a test run for them
       console.log('🎯 Starting prompt generation with automatic testing and metrics calculation...')
       
       const response = await apiService.generatePrompts(data.urlAnalysisId) // ✅ Pass urlAnalysisId
@@ -150,15 +153,27 @@ export default function LLMPlatformsPage() {
           totalPrompts: response.data.totalPrompts
         })
 
-        // Backend automatically completed:
-        // ✅ Prompt generation (50 TOFU-focused prompts)
-        // ✅ Multi-LLM testing across 4 platforms
-        // ✅ Metrics calculation and aggregation
-        // ✅ AI insights generation
-        
-        console.log('🎉 All processing complete! Backend handled everything automatically.')
+        // The backend queued a test run for the new prompts; it aggregates
+        // metrics when it completes, so follow it before showing results
+        if (response.data.testRun) {
+          setTestProgress('Testing Prompts')
+          try {
+            await apiService.streamTestRun(response.data.testRun.runId, (run) => {
+              setTestProgress(`Testing Prompts ${run.progress.processedPrompts}/${run.progress.totalPrompts || '?'}`)
+            })
+          } catch (streamError) {
+            // The run keeps going on the server; results fill in on the dashboard
+            console.error('❌ Error following the test run:', streamError)
+          } finally {
+            setTestProgress(null)
+          }
+        }
+
         console.log('📊 Ready to view results in dashboard.')
         
+        // Near-duplicates dropped by semantic dedup, listed under the button
+        setMergedPrompts(response.data.merged || [])
+
         // Show "See Results" button only after complete processing
         setIsGenerating(false)
         setButtonText('See Results')
@@ -272,7 +287,7 @@ export default function LLMPlatformsPage() {
                 >
                   {isGenerating ? (
                     <>
-                      Generating Prompts
+                      {testProgress || 'Generating Prompts'}
                       <span className="inline-block w-6 text-left">
                         {'.'.repeat(dotCount)}
                       </span>
@@ -281,6 +296,22 @@ export default function LLMPlatformsPage() {
                     buttonText
                   )}
                 </Button>
+
+                {showResults && mergedPrompts.length > 0 && (
+                  <details className="rounded-md border border-border bg-muted/50 px-3 py-2 text-xs text-muted-foreground">
+                    <summary className="cursor-pointer text-foreground">
+                      {mergedPrompts.length} near-duplicate prompt{mergedPrompts.length === 1 ? '' : 's'} merged
+                    </summary>
+                    <ul className="mt-2 space-y-1.5 max-h-40 overflow-y-auto">
+                      {mergedPrompts.map((merged, idx) => (
+                        <li key={`${merged.locale}-${idx}`}>
+                          <span className="line-through">{merged.text}</span> → {merged.mergedInto.text}
+                          <span className="block">{merged.reason}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
                 
                 <p className="text-center text-xs font-normal text-muted-foreground">
                   More regions and languages soon…
@@ -162,14 +162,8 @@ export default function ResultsPage() {
       // Check user access first
       const userResponse = await apiService.getCurrentUser()
       const userData = userResponse.data?.user || userResponse.data
-      const hasAccess = userData?.access === true
-      
-      // Check if email is in allowed list (fallback check)
-      const allowedEmails = ['sj@tryrankly.com', 'satyajeetdas225@gmail.com']
-      const userEmail = userData?.email?.toLowerCase() || user?.email?.toLowerCase()
-      const isAllowedEmail = userEmail && allowedEmails.includes(userEmail)
-      
-      const finalAccess = hasAccess || isAllowedEmail
+      // Access is granted by an admin, or comes from the workspace owner
+      const finalAccess = userData?.access === true
       
       if (!finalAccess) {
         // User doesn't have access - show book a demo section
@@ -0,0 +1,12 @@
+/**
+ * Jest setup: environment the services expect at load time, and no LLM calls
+ * leave the machine (unknown prompts fail instead of hitting the network)
+ */
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || 'replay-only';
+process.env.TOKEN_ENCRYPTION_KEYS = process.env.TOKEN_ENCRYPTION_KEYS || `test:${Buffer.alloc(32, 1).toString('base64')}`;
+process.env.LLM_FIXTURE_MODE = 'replay';
+delete process.env.LLM_PROVIDERS;
+delete process.env.LLM_PROVIDERS_FILE;
+
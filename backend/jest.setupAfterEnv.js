@@ -0,0 +1,9 @@
+/**
+ * Jest setup run in every suite after the test framework is installed
+ */
+
+// Services log every step; keep test output to failures. Spied per test so
+// suites calling jest.restoreAllMocks() in afterEach stay quiet.
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
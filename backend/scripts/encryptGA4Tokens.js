@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * GA4 Token Encryption Script
+ *
+ * Encrypts the OAuth tokens of existing GA connections, stored in plain text
+ * before encryption at rest, with the primary key of TOKEN_ENCRYPTION_KEYS.
+ * Tokens encrypted with another key are re-encrypted, so this is also the
+ * second step of a key rotation (see config/tokenEncryption.js).
+ *
+ * Safe to re-run: tokens already encrypted with the primary key are skipped.
+ *
+ * Usage: node scripts/encryptGA4Tokens.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const GAConnection = require('../src/models/GAConnection');
+const { getKeyring } = require('../src/config/tokenEncryption');
+const { decryptToken, encryptToken, needsReencryption } = require('../src/utils/tokenCrypto');
+
+const TOKEN_FIELDS = ['accessToken', 'refreshToken'];
+
+async function encryptGA4Tokens() {
+  console.log('🔐 Starting GA4 token encryption...');
+
+  try {
+    const keyring = getKeyring();
+    console.log(`🔑 Primary key: ${keyring.primaryKeyId} (${keyring.keys.size} key(s) in the keyring)`);
+
+    console.log('🔍 MONGODB_URI:', process.env.MONGODB_URI ? 'Found' : 'Not found');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // lean() reads the stored values, bypassing the model's decrypting getters
+    const connections = await GAConnection.find({}).select(TOKEN_FIELDS.join(' ')).lean();
+    console.log(`📊 Found ${connections.length} GA connections`);
+
+    let updated = 0;
+    let failed = 0;
+    for (const connection of connections) {
+      const fields = TOKEN_FIELDS.filter(field => needsReencryption(connection[field], keyring));
+      if (fields.length === 0) continue;
+
+      try {
+        const update = {};
+        fields.forEach(field => {
+          update[field] = encryptToken(decryptToken(connection[field], keyring), keyring);
+        });
+        // Written as is, bypassing the model's setters
+        await GAConnection.collection.updateOne({ _id: connection._id }, { $set: update });
+        updated++;
+      } catch (error) {
+        // Usually a token encrypted with a key that was already removed from the keyring
+        failed++;
+        console.error(`   ❌ Connection ${connection._id}: ${error.message}`);
+      }
+    }
+
+    console.log(`\n✅ Encrypted tokens of ${updated} connection(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+    if (failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Error during GA4 token encryption:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+encryptGA4Tokens();
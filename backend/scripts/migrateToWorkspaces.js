@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Workspace Migration Script
+ *
+ * Moves existing data into workspaces: every user gets a personal workspace
+ * and everything they created without a workspace is assigned to it. The
+ * accounts that had dashboard access through the old hard-coded email list
+ * are granted access (and admin rights) on their user record, since access is
+ * now managed by admins through /api/admin.
+ *
+ * Safe to re-run: only documents without a workspace are touched.
+ *
+ * Usage: node scripts/migrateToWorkspaces.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Load every workspace-owned model so the backfill covers them all
+require('../src/models/UrlAnalysis');
+require('../src/models/Prompt');
+require('../src/models/Topic');
+require('../src/models/Persona');
+require('../src/models/Competitor');
+require('../src/models/PromptTest');
+require('../src/models/PromptTestRun');
+require('../src/models/AggregatedMetrics');
+require('../src/models/AggregatedMetricsSnapshot');
+require('../src/models/Insights');
+require('../src/models/SubjectiveMetrics');
+require('../src/models/CitationVerification');
+require('../src/models/CitationOverrideRule');
+require('../src/models/UrlMappingRule');
+require('../src/models/VisibilitySchedule');
+require('../src/models/AlertRule');
+require('../src/models/AlertWebhook');
+require('../src/models/AlertEvent');
+const User = require('../src/models/User');
+const workspaceService = require('../src/services/workspaceService');
+
+// Emails that had dashboard access before it became an admin-managed flag
+const LEGACY_ADMIN_EMAILS = ['sj@tryrankly.com', 'satyajeetdas225@gmail.com'];
+
+async function migrateToWorkspaces() {
+  console.log('🏢 Starting workspace migration...');
+
+  try {
+    console.log('🔍 MONGODB_URI:', process.env.MONGODB_URI ? 'Found' : 'Not found');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const users = await User.find({}).select('_id email').lean();
+    console.log(`👥 Found ${users.length} users`);
+
+    let moved = 0;
+    for (const user of users) {
+      const workspace = await workspaceService.ensurePersonalWorkspace(user._id);
+      // A workspace that already existed may still be missing older documents
+      const count = await workspaceService.backfillWorkspace(user._id, workspace._id);
+      moved += count;
+      console.log(`   ✅ ${user.email}: workspace ${workspace._id}${count > 0 ? ` (+${count} documents)` : ''}`);
+    }
+
+    const granted = await User.updateMany(
+      { email: { $in: LEGACY_ADMIN_EMAILS } },
+      { $set: { access: true, isAdmin: true } }
+    );
+    console.log(`🛡️  Granted access and admin rights to ${granted.modifiedCount} legacy account(s)`);
+
+    console.log(`\n✅ Workspace migration completed (${moved} documents assigned to existing workspaces)`);
+  } catch (error) {
+    console.error('❌ Error during workspace migration:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+migrateToWorkspaces();
@@ -0,0 +1,119 @@
+/**
+ * End-to-end: prompt test -> citation/brand extraction -> aggregation -> insights,
+ * with every LLM call served from backend/fixtures/llm (LLM_FIXTURE_MODE=replay).
+ *
+ * Needs a MongoDB to write to (MONGODB_URI); skipped when it isn't set.
+ * Run with: MONGODB_URI=mongodb://localhost:27017/rankly_e2e npm run test:e2e
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Must be set before any service is loaded
+process.env.LLM_FIXTURE_MODE = 'replay';
+process.env.LLM_FIXTURE_DIR = path.resolve(__dirname, '../../../fixtures/llm');
+process.env.OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || 'replay-only';
+delete process.env.LLM_PROVIDERS;
+delete process.env.LLM_PROVIDERS_FILE;
+
+const mongoose = require('mongoose');
+
+const skip = !process.env.MONGODB_URI && 'MONGODB_URI not set';
+
+// Fixture scenario - prompt texts must match the recorded fixtures exactly
+const SCENARIO = {
+  url: 'https://acmecrm.example',
+  brand: 'Acme CRM',
+  competitor: { name: 'Globex', url: 'https://globex.example' },
+  prompts: [
+    'What is the best CRM for a small startup team?',
+    'Which CRM tools have the easiest onboarding for sales teams?'
+  ]
+};
+
+test('fixture pipeline: test, aggregate and generate insights offline', { skip }, async (t) => {
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+  const UrlAnalysis = require('../../models/UrlAnalysis');
+  const Topic = require('../../models/Topic');
+  const Persona = require('../../models/Persona');
+  const Competitor = require('../../models/Competitor');
+  const Prompt = require('../../models/Prompt');
+  const PromptTest = require('../../models/PromptTest');
+  const AggregatedMetrics = require('../../models/AggregatedMetrics');
+  const AggregatedMetricsSnapshot = require('../../models/AggregatedMetricsSnapshot');
+  const Insights = require('../../models/Insights');
+
+  const userId = new mongoose.Types.ObjectId();
+
+  t.after(async () => {
+    const models = [UrlAnalysis, Topic, Persona, Competitor, Prompt, PromptTest, AggregatedMetrics, AggregatedMetricsSnapshot, Insights];
+    await Promise.all(models.map(Model => Model.deleteMany({ userId: { $in: [userId, userId.toString()] } })));
+    await mongoose.disconnect();
+  });
+
+  const analysis = await UrlAnalysis.create({
+    userId,
+    url: SCENARIO.url,
+    brandContext: {
+      companyName: SCENARIO.brand,
+      industry: 'Software',
+      businessModel: 'SaaS',
+      targetMarket: 'Small businesses',
+      valueProposition: 'Simple CRM for small teams',
+      brandTone: 'Friendly',
+      marketPosition: 'Challenger'
+    }
+  });
+  const urlAnalysisId = analysis._id;
+
+  const [topic, persona] = await Promise.all([
+    Topic.create({ userId, urlAnalysisId, name: 'CRM Software', selected: true }),
+    Persona.create({ userId, urlAnalysisId, type: 'Startup Founder', description: 'Runs a small team', selected: true }),
+    Competitor.create({ userId, urlAnalysisId, ...SCENARIO.competitor, selected: true })
+  ]);
+
+  await Prompt.insertMany(SCENARIO.prompts.map((text, index) => ({
+    userId,
+    urlAnalysisId,
+    topicId: topic._id,
+    personaId: persona._id,
+    title: `Fixture prompt ${index + 1}`,
+    text,
+    queryType: 'Commercial'
+  })));
+
+  // 1. Test prompts against all four default providers
+  const promptTestingService = require('../../services/promptTestingService');
+  await promptTestingService.testAllPrompts(userId.toString(), { urlAnalysisId: urlAnalysisId.toString() });
+
+  const tests = await PromptTest.find({ userId }).lean();
+  assert.equal(tests.length, SCENARIO.prompts.length * 4);
+  assert.ok(tests.every(t => t.status === 'completed'), 'every fixture response should score');
+
+  // 2. Extraction: brand mentions and citations come out of the recorded responses
+  const ownerMentions = tests.filter(t => t.brandMetrics.some(bm => bm.brandName === SCENARIO.brand && bm.mentioned));
+  assert.ok(ownerMentions.length > 0, 'brand should be mentioned in the fixtures');
+  const perplexityTest = tests.find(t => t.llmProvider === 'perplexity');
+  const perplexityCitations = perplexityTest.brandMetrics.flatMap(bm => bm.citations || []);
+  assert.ok(perplexityCitations.length > 0, 'perplexity API citations should be extracted');
+
+  // 3. Aggregate
+  const metricsAggregationService = require('../../services/metricsAggregationService');
+  await metricsAggregationService.calculateMetrics(userId.toString(), { urlAnalysisId: urlAnalysisId.toString() });
+
+  const overall = await AggregatedMetrics.findOne({ userId: userId.toString(), scope: 'overall' }).lean();
+  assert.ok(overall, 'overall metrics should be saved');
+  assert.equal(overall.totalResponses, tests.length);
+  const ownerMetrics = overall.brandMetrics.find(bm => bm.brandName === SCENARIO.brand);
+  assert.ok(ownerMetrics.visibilityScore > 0);
+
+  const platformScopes = await AggregatedMetrics.countDocuments({ userId: userId.toString(), scope: 'platform' });
+  assert.equal(platformScopes, 4);
+
+  // 4. Insights, served from the default gpt-4o fixture
+  const insightsService = require('../../services/insightsService');
+  const insights = await insightsService.generateInsights(userId.toString(), urlAnalysisId.toString(), 'visibility');
+  assert.ok(insights.whatsWorking.length > 0);
+  assert.match(insights.whatsWorking[0].description, /Acme CRM/);
+});
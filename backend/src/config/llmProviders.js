@@ -0,0 +1,205 @@
+/**
+ * LLM Provider Configuration
+ *
+ * Every platform that prompts are tested against is defined here: which adapter
+ * talks to it, the model, pricing (USD per 1M tokens) and how structured
+ * citations are read from its API response.
+ *
+ * Built-in providers can be overridden and new ones added without code changes:
+ *   LLM_PROVIDERS_FILE - path to a JSON file of { providerId: partialDefinition }
+ *                        merged over the built-ins below
+ *   LLM_PROVIDERS      - comma-separated provider IDs to enable (overrides `enabled`)
+ *
+ * Adapters:
+ *   openrouter        - routed through OpenRouter (OPENROUTER_API_KEY)
+ *   openai-compatible - any /chat/completions API: xAI, DeepSeek, Mistral, vLLM, Ollama...
+ *   azure-openai      - Azure OpenAI deployments (api-key header, deployment in the URL)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ADAPTER_TYPES = ['openrouter', 'openai-compatible', 'azure-openai'];
+
+const BUILT_IN_PROVIDERS = {
+  // Web search (:online) gives real-time URLs instead of domains from training data
+  openai: {
+    adapter: 'openrouter',
+    displayName: 'ChatGPT',
+    aliases: ['OpenAI'],
+    model: 'openai/gpt-4o-mini:online',
+    enabled: true,
+    pricing: { input: 0.15, output: 0.60 },
+    citations: { field: 'citations', textPrefix: 'OpenAI citation', confidence: 0.95 }
+  },
+  gemini: {
+    adapter: 'openrouter',
+    displayName: 'Gemini',
+    model: 'google/gemini-2.0-flash-001:online',
+    enabled: true,
+    pricing: { input: 0.075, output: 0.30 },
+    citations: { field: 'citations', textPrefix: 'Gemini citation', confidence: 0.95 }
+  },
+  claude: {
+    adapter: 'openrouter',
+    displayName: 'Claude',
+    model: 'anthropic/claude-3-5-haiku:online',
+    enabled: true,
+    pricing: { input: 0.25, output: 1.25 },
+    citations: { field: 'sources', textPrefix: 'Claude source', confidence: 0.95 }
+  },
+  // Perplexity already has web search built-in
+  perplexity: {
+    adapter: 'openrouter',
+    displayName: 'Perplexity',
+    model: 'perplexity/sonar',
+    enabled: true,
+    pricing: { input: 0.20, output: 0.20 },
+    citations: { field: 'citations', textPrefix: 'Citation', confidence: 1.0 }
+  },
+
+  // Direct APIs - disabled until enabled via LLM_PROVIDERS and given an API key
+  grok: {
+    adapter: 'openai-compatible',
+    displayName: 'Grok',
+    baseUrl: 'https://api.x.ai/v1',
+    apiKeyEnv: 'XAI_API_KEY',
+    model: 'grok-3-mini',
+    enabled: false,
+    pricing: { input: 0.30, output: 0.50 },
+    // Live search returns source URLs in a top-level `citations` array
+    parameters: {
+      frequency_penalty: null,
+      presence_penalty: null,
+      search_parameters: { mode: 'auto', return_citations: true }
+    },
+    citations: { field: 'citations', textPrefix: 'Grok citation', confidence: 1.0 }
+  },
+  deepseek: {
+    adapter: 'openai-compatible',
+    displayName: 'DeepSeek',
+    baseUrl: 'https://api.deepseek.com/v1',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    model: 'deepseek-chat',
+    enabled: false,
+    pricing: { input: 0.27, output: 1.10 }
+  },
+  mistral: {
+    adapter: 'openai-compatible',
+    displayName: 'Mistral',
+    baseUrl: 'https://api.mistral.ai/v1',
+    apiKeyEnv: 'MISTRAL_API_KEY',
+    model: 'mistral-small-latest',
+    enabled: false,
+    pricing: { input: 0.10, output: 0.30 }
+  },
+  // Self-hosted Llama behind an OpenAI-compatible server (Ollama, vLLM, llama.cpp)
+  llama: {
+    adapter: 'openai-compatible',
+    displayName: 'Llama',
+    baseUrlEnv: 'LLAMA_BASE_URL',
+    baseUrl: 'http://localhost:11434/v1',
+    apiKeyEnv: 'LLAMA_API_KEY',
+    apiKeyOptional: true,
+    model: 'llama3.1:8b',
+    enabled: false,
+    pricing: { input: 0, output: 0 }
+  },
+  // Copilot has no public chat API; this targets the Azure OpenAI deployment of the same model family
+  copilot: {
+    adapter: 'azure-openai',
+    displayName: 'Copilot',
+    baseUrlEnv: 'AZURE_OPENAI_ENDPOINT',
+    apiKeyEnv: 'AZURE_OPENAI_API_KEY',
+    deploymentEnv: 'AZURE_OPENAI_DEPLOYMENT',
+    apiVersion: '2024-06-01',
+    model: 'gpt-4o',
+    enabled: false,
+    pricing: { input: 2.50, output: 10.00 }
+  }
+};
+
+/**
+ * Read provider overrides from LLM_PROVIDERS_FILE
+ * @returns {object} - { providerId: partialDefinition }
+ */
+function readOverridesFile(filePath) {
+  if (!filePath) return {};
+
+  const resolved = path.resolve(filePath);
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read LLM provider config from ${resolved}: ${error.message}`);
+  }
+}
+
+/**
+ * Merge built-ins, file overrides and the enabled list into final definitions
+ * @param {object} overrides - { providerId: partialDefinition }
+ * @param {Array<string>|null} enabledIds - IDs to enable (null keeps each definition's `enabled`)
+ * @returns {object} - { providerId: definition }
+ */
+function resolveProviderDefinitions(overrides = {}, enabledIds = null) {
+  const definitions = {};
+
+  const ids = new Set([...Object.keys(BUILT_IN_PROVIDERS), ...Object.keys(overrides)]);
+  ids.forEach(id => {
+    if (!/^[a-z0-9_-]+$/.test(id)) {
+      throw new Error(`Invalid LLM provider ID "${id}": use lowercase letters, digits, - and _`);
+    }
+
+    const definition = {
+      ...BUILT_IN_PROVIDERS[id],
+      ...overrides[id],
+      id
+    };
+    if (enabledIds) {
+      definition.enabled = enabledIds.includes(id);
+    }
+
+    if (!ADAPTER_TYPES.includes(definition.adapter)) {
+      throw new Error(`LLM provider "${id}" has unknown adapter "${definition.adapter}" (expected one of: ${ADAPTER_TYPES.join(', ')})`);
+    }
+    if (!definition.model) {
+      throw new Error(`LLM provider "${id}" is missing a model`);
+    }
+
+    definitions[id] = {
+      displayName: id,
+      aliases: [],
+      pricing: { input: 0, output: 0 },
+      citations: null,
+      parameters: {},
+      ...definition
+    };
+  });
+
+  if (enabledIds) {
+    const unknown = enabledIds.filter(id => !definitions[id]);
+    if (unknown.length > 0) {
+      throw new Error(`LLM_PROVIDERS lists unknown provider(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  return definitions;
+}
+
+/**
+ * Load provider definitions from the environment
+ * @returns {object} - { providerId: definition }
+ */
+function loadProviderDefinitions(env = process.env) {
+  const enabledIds = env.LLM_PROVIDERS
+    ? env.LLM_PROVIDERS.split(',').map(id => id.trim()).filter(Boolean)
+    : null;
+
+  return resolveProviderDefinitions(readOverridesFile(env.LLM_PROVIDERS_FILE), enabledIds);
+}
+
+module.exports = {
+  ADAPTER_TYPES,
+  BUILT_IN_PROVIDERS,
+  resolveProviderDefinitions,
+  loadProviderDefinitions
+};
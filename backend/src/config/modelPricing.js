@@ -0,0 +1,54 @@
+/**
+ * Model Pricing (USD per 1M tokens)
+ *
+ * Pricing for the OpenRouter models used outside prompt testing (insights,
+ * subjective metrics, website analysis, prompt generation, content
+ * regeneration, embeddings). Prompt-testing models are priced by their provider
+ * definition in config/llmProviders; those take precedence.
+ */
+
+const MODEL_PRICING = {
+  'openai/gpt-4o': { input: 2.50, output: 10.00 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'google/gemini-2.0-flash-001': { input: 0.10, output: 0.40 },
+  'anthropic/claude-3-5-haiku': { input: 0.80, output: 4.00 },
+  'perplexity/sonar': { input: 1.00, output: 1.00 },
+  // Embeddings (services/embeddingService) bill input tokens only
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 }
+};
+
+// Default token counts for a prompt test when there is no history to average
+const DEFAULT_TEST_USAGE = {
+  promptTokens: 80,
+  completionTokens: 800
+};
+
+/**
+ * Pricing for a model ID; variants like ":online" fall back to the base model
+ * @param {string} model - OpenRouter model ID
+ * @returns {{ input: number, output: number }|null}
+ */
+function getModelPricing(model) {
+  if (!model) return null;
+  return MODEL_PRICING[model] || MODEL_PRICING[model.split(':')[0]] || null;
+}
+
+/**
+ * USD cost of a call from per-1M-token pricing
+ * @param {{ input: number, output: number }} pricing
+ * @param {{ promptTokens: number, completionTokens: number }} usage
+ * @returns {number}
+ */
+function calculateCost(pricing, usage) {
+  const { input = 0, output = 0 } = pricing || {};
+  const cost = ((usage.promptTokens || 0) / 1000000) * input + ((usage.completionTokens || 0) / 1000000) * output;
+  return parseFloat(cost.toFixed(6));
+}
+
+module.exports = {
+  MODEL_PRICING,
+  DEFAULT_TEST_USAGE,
+  getModelPricing,
+  calculateCost
+};
@@ -16,12 +16,6 @@ passport.use(new GoogleStrategy({
     if (user) {
       // Update last login
       user.lastLogin = new Date();
-      // Update access if email is in allowed list (in case user was created before access field existed)
-      const allowedEmails = ['sj@tryrankly.com', 'satyajeetdas225@gmail.com'];
-      const userEmail = profile.emails[0].value.toLowerCase();
-      if (allowedEmails.includes(userEmail) && !user.access) {
-        user.access = true;
-      }
       await user.save();
       return done(null, user);
     }
@@ -33,29 +27,17 @@ passport.use(new GoogleStrategy({
       // Link Google account to existing user
       user.googleId = profile.id;
       user.lastLogin = new Date();
-      // Update access if email is in allowed list (in case user was created before access field existed)
-      const allowedEmails = ['sj@tryrankly.com', 'satyajeetdas225@gmail.com'];
-      const userEmail = profile.emails[0].value.toLowerCase();
-      if (allowedEmails.includes(userEmail) && !user.access) {
-        user.access = true;
-      }
       await user.save();
       return done(null, user);
     }
 
-    // Create new user
-    // Check if email is in allowed list for dashboard access
-    const allowedEmails = ['sj@tryrankly.com', 'satyajeetdas225@gmail.com'];
-    const userEmail = profile.emails[0].value.toLowerCase();
-    const hasAccess = allowedEmails.includes(userEmail);
-    
+    // Create new user (dashboard access is granted by an admin)
     const newUser = new User({
       googleId: profile.id,
       email: profile.emails[0].value,
       firstName: profile.name.givenName,
       lastName: profile.name.familyName,
       isEmailVerified: true, // Google emails are pre-verified
-      access: hasAccess, // Set access based on email
       lastLogin: new Date()
     });
 
@@ -0,0 +1,62 @@
+/**
+ * Token Encryption Configuration
+ *
+ * Master keys for encrypting OAuth tokens at rest (utils/tokenCrypto):
+ *   TOKEN_ENCRYPTION_KEYS           - comma-separated keyId:base64key pairs, 32-byte keys
+ *                                     (openssl rand -base64 32)
+ *   TOKEN_ENCRYPTION_PRIMARY_KEY_ID - key new values are encrypted with (default: the first one)
+ *
+ * To rotate: add a new key, make it primary, run scripts/encryptGA4Tokens.js
+ * to re-encrypt stored tokens, then remove the old key.
+ *
+ * Outside production a development key derived from JWT_SECRET is used when
+ * no keys are configured; production refuses to start without them (index.js).
+ */
+
+const crypto = require('crypto');
+const { parseKeyring } = require('../utils/tokenCrypto');
+
+const DEV_KEY_ID = 'dev';
+const DEV_SECRET = 'your-session-secret-change-in-production'; // express-session's fallback (index.js)
+
+let cachedKeyring = null;
+
+/**
+ * @returns {{ primaryKeyId: string, keys: Map<string, Buffer> }}
+ */
+function loadKeyring(env = process.env) {
+  if (env.TOKEN_ENCRYPTION_KEYS) {
+    return parseKeyring(env.TOKEN_ENCRYPTION_KEYS, env.TOKEN_ENCRYPTION_PRIMARY_KEY_ID || null);
+  }
+
+  if (env.NODE_ENV === 'production') {
+    throw new Error('TOKEN_ENCRYPTION_KEYS must be set in production');
+  }
+
+  console.warn('⚠️ [TokenEncryption] TOKEN_ENCRYPTION_KEYS not set, using a development key derived from JWT_SECRET');
+  const key = crypto.createHash('sha256').update(`token-encryption:${env.JWT_SECRET || DEV_SECRET}`).digest();
+  return { primaryKeyId: DEV_KEY_ID, keys: new Map([[DEV_KEY_ID, key]]) };
+}
+
+/**
+ * Keyring from process.env, loaded once
+ */
+function getKeyring() {
+  if (!cachedKeyring) {
+    cachedKeyring = loadKeyring();
+  }
+  return cachedKeyring;
+}
+
+/**
+ * Secret the ga4_session cookie is signed with
+ */
+function getSessionSigningSecret(env = process.env) {
+  return env.GA4_SESSION_SECRET || env.JWT_SECRET || DEV_SECRET;
+}
+
+module.exports = {
+  loadKeyring,
+  getKeyring,
+  getSessionSigningSecret,
+};
@@ -12,6 +12,7 @@ require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
 
 // Import passport after dotenv config
 const passport = require('./config/passport');
+const { getKeyring } = require('./config/tokenEncryption');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -102,7 +103,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-ID'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-ID', 'X-API-Key', 'X-Workspace-Id'],
   exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Per-Page'],
   maxAge: 86400, // 24 hours preflight cache
 }));
@@ -180,6 +181,15 @@ if (process.env.NODE_ENV === 'production' && (!process.env.JWT_SECRET || process
   process.exit(1);
 }
 
+// Validate the keys OAuth tokens are encrypted with (required in production)
+try {
+  getKeyring();
+} catch (error) {
+  console.error(`❌ ERROR: ${error.message}`);
+  console.error('❌ Set TOKEN_ENCRYPTION_KEYS=keyId:<openssl rand -base64 32>');
+  process.exit(1);
+}
+
 app.use(session({
   secret: process.env.JWT_SECRET || 'your-session-secret-change-in-production',
   resave: false,
@@ -221,6 +231,22 @@ async function connectMongoDB(retries = 5, delay = 2000) {
         console.error('⚠️  Startup cleanup failed (non-critical):', cleanupError.message);
       }
 
+      // Start the prompt test queue worker (resumes runs interrupted by a restart)
+      const promptTestQueueService = require('./services/promptTestQueueService');
+      promptTestQueueService.start();
+
+      // Start the scheduler that queues recurring visibility runs
+      const visibilityScheduleService = require('./services/visibilityScheduleService');
+      visibilityScheduleService.start();
+
+      // Start the email digest sender
+      const digestService = require('./services/digestService');
+      digestService.start();
+
+      // Retry failed alert webhook deliveries
+      const alertService = require('./services/alertService');
+      alertService.start();
+
       // Handle connection events
       mongoose.connection.on('error', (err) => {
         console.error('❌ MongoDB connection error:', err);
@@ -300,12 +326,21 @@ app.get('/api', (req, res) => {
       analytics: '/api/analytics/*',
       urlAnalysis: '/api/url-analysis/*',
       subjectiveMetrics: '/api/subjective-metrics/*',
-      insights: '/api/insights/*'
+      insights: '/api/insights/*',
+      apiKeys: '/api/api-keys/*',
+      workspaces: '/api/workspaces/*',
+      admin: '/api/admin/*',
+      openapi: '/api/openapi.json'
     },
     status: 'Development - Ready for implementation'
   });
 });
 
+// OpenAPI spec of the public (API key) endpoints
+app.get('/api/openapi.json', (req, res) => {
+  res.json(require('./docs/openapi.json'));
+});
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const ga4AuthRoutes = require('./routes/ga4Auth');
@@ -326,6 +361,14 @@ const citationsRoutes = require('./routes/citations');
 const insightsRoutes = require('./routes/insights');
 const sentimentBreakdownRoutes = require('./routes/sentimentBreakdown');
 const actionablesRoutes = require('./routes/actionables');
+const scheduleRoutes = require('./routes/schedules');
+const spendRoutes = require('./routes/spend');
+const exportRoutes = require('./routes/exports');
+const digestRoutes = require('./routes/digests');
+const alertRoutes = require('./routes/alerts');
+const apiKeyRoutes = require('./routes/apiKeys');
+const workspaceRoutes = require('./routes/workspaces');
+const adminRoutes = require('./routes/admin');
 
 // Import error handler
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
@@ -350,6 +393,14 @@ app.use('/api/dashboard/citations', citationsRoutes);
 app.use('/api/insights', insightsRoutes);
 app.use('/api/sentiment', sentimentBreakdownRoutes);
 app.use('/api/actionables', actionablesRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/spend', spendRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/digests', digestRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler (must be before error handler)
 app.use(notFoundHandler);
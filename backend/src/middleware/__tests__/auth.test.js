@@ -0,0 +1,177 @@
+/**
+ * authenticateToken with personal API keys: scopes, per-key rate limits,
+ * routes closed to keys and workspace roles, and with JWTs (ApiKey model and
+ * workspace membership stubbed, no database)
+ */
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const ApiKey = require('../../models/ApiKey');
+const workspaceService = require('../../services/workspaceService');
+const { authenticateToken, requireUserSession } = require('../auth');
+const { errorHandler } = require('../errorHandler');
+const { generateApiKey } = require('../../utils/apiKeys');
+const { getWorkspaceContext } = require('../../utils/workspaceContext');
+
+const buildApp = () => {
+  const app = express();
+  app.get('/things', authenticateToken, (req, res) => res.json({ userId: req.userId, apiKey: req.apiKey.id }));
+  app.post('/things', authenticateToken, (req, res) => res.status(201).json({ userId: req.userId }));
+  app.get('/private', authenticateToken, requireUserSession, (req, res) => res.json({ ok: true }));
+  app.get('/context', authenticateToken, (req, res) => res.json(getWorkspaceContext()));
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * Stub the lookup of one key; every test uses a fresh key id so rate limit counters don't leak
+ */
+const stubKey = (overrides = {}) => {
+  const { key } = generateApiKey();
+  const apiKey = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    prefix: key.slice(0, 10),
+    scopes: ['read'],
+    rateLimitPerMinute: 60,
+    expiresAt: null,
+    lastUsedAt: null,
+    ...overrides
+  };
+  jest.spyOn(ApiKey, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(apiKey) }) });
+  jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+  return { key, apiKey };
+};
+
+/**
+ * Stub the workspace the request resolves to
+ */
+const stubMembership = (role = 'owner') => {
+  const workspace = { _id: new mongoose.Types.ObjectId(), ownerId: new mongoose.Types.ObjectId() };
+  jest.spyOn(workspaceService, 'resolveMembership').mockResolvedValue(role ? { workspace, role } : null);
+  return workspace;
+};
+
+describe('authenticateToken with API keys', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    // Rejections are logged
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    stubMembership();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a read key authenticates GET requests as its user, from either header', async () => {
+    const { key, apiKey } = stubKey();
+
+    const bearer = await request(app).get('/things').set('Authorization', `Bearer ${key}`);
+    expect(bearer.status).toBe(200);
+    expect(bearer.body).toEqual({ userId: apiKey.userId.toString(), apiKey: apiKey._id.toString() });
+
+    const header = await request(app).get('/things').set('X-API-Key', key);
+    expect(header.status).toBe(200);
+    expect(ApiKey.updateOne).toHaveBeenCalledWith({ _id: apiKey._id }, { $set: expect.objectContaining({ lastUsedAt: expect.any(Date) }) });
+  });
+
+  test('writes need the write scope', async () => {
+    const readOnly = stubKey();
+    const denied = await request(app).post('/things').set('Authorization', `Bearer ${readOnly.key}`);
+    expect(denied.status).toBe(403);
+    expect(denied.body.code).toBe('AUTHORIZATION_ERROR');
+
+    const writer = stubKey({ scopes: ['read', 'write'] });
+    const allowed = await request(app).post('/things').set('Authorization', `Bearer ${writer.key}`);
+    expect(allowed.status).toBe(201);
+  });
+
+  test('unknown, revoked and expired keys are rejected', async () => {
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(null) }) });
+    const unknown = await request(app).get('/things').set('Authorization', `Bearer ${generateApiKey().key}`);
+    expect(unknown.status).toBe(401);
+
+    const expired = stubKey({ expiresAt: new Date(Date.now() - 1000) });
+    const response = await request(app).get('/things').set('Authorization', `Bearer ${expired.key}`);
+    expect(response.status).toBe(401);
+  });
+
+  test('each key has its own per-minute rate limit', async () => {
+    const { key } = stubKey({ rateLimitPerMinute: 2 });
+
+    const first = await request(app).get('/things').set('Authorization', `Bearer ${key}`);
+    await request(app).get('/things').set('Authorization', `Bearer ${key}`);
+    const third = await request(app).get('/things').set('Authorization', `Bearer ${key}`);
+
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(third.status).toBe(429);
+    expect(third.body.code).toBe('RATE_LIMIT');
+
+    const other = stubKey({ rateLimitPerMinute: 2 });
+    expect((await request(app).get('/things').set('Authorization', `Bearer ${other.key}`)).status).toBe(200);
+  });
+
+  test('requireUserSession closes a route to API keys', async () => {
+    const { key } = stubKey({ scopes: ['read', 'write'] });
+    const response = await request(app).get('/private').set('Authorization', `Bearer ${key}`);
+    expect(response.status).toBe(403);
+  });
+
+  test('requests run in the resolved workspace, from the X-Workspace-Id header', async () => {
+    const { key, apiKey } = stubKey();
+    const workspace = stubMembership('editor');
+
+    const response = await request(app).get('/context').set('X-API-Key', key).set('X-Workspace-Id', workspace._id.toString());
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ workspaceId: workspace._id.toString(), userId: apiKey.userId.toString(), role: 'editor' });
+    expect(workspaceService.resolveMembership).toHaveBeenCalledWith(apiKey.userId.toString(), workspace._id.toString());
+  });
+
+  test('viewers can read but not write, and non-members are rejected', async () => {
+    const { key } = stubKey({ scopes: ['read', 'write'] });
+
+    stubMembership('viewer');
+    expect((await request(app).get('/things').set('X-API-Key', key)).status).toBe(200);
+    const write = await request(app).post('/things').set('X-API-Key', key);
+    expect(write.status).toBe(403);
+    expect(write.body.code).toBe('AUTHORIZATION_ERROR');
+
+    stubMembership(null);
+    const outsider = await request(app).get('/things').set('X-API-Key', key).set('X-Workspace-Id', new mongoose.Types.ObjectId().toString());
+    expect(outsider.status).toBe(403);
+    expect(outsider.body.code).toBe('WORKSPACE_ACCESS_DENIED');
+  });
+});
+
+describe('authenticateToken with JWTs', () => {
+  const app = buildApp();
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    // Rejections and failures are logged
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a bad token is a 401 but a failing workspace lookup is a server error', async () => {
+    const bad = await request(app).get('/context').set('Authorization', 'Bearer not-a-jwt');
+    expect(bad.status).toBe(401);
+
+    const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+    jest.spyOn(workspaceService, 'resolveMembership').mockRejectedValue(new Error('connection reset'));
+    const failed = await request(app).get('/context').set('Authorization', `Bearer ${token}`);
+    expect(failed.status).toBe(500);
+
+    const workspace = stubMembership('owner');
+    const ok = await request(app).get('/context').set('Authorization', `Bearer ${token}`);
+    expect(ok.body).toEqual({ workspaceId: workspace._id.toString(), userId, role: 'owner' });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Signed ga4_session cookies and GA4 tokens encrypted at rest (GAConnection
+ * stubbed, no database)
+ */
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const GAConnection = require('../../models/GAConnection');
+const { ga4SessionMiddleware, setGA4SessionCookie } = require('../ga4Session');
+const { isEncrypted } = require('../../utils/tokenCrypto');
+
+const buildApp = () => {
+  const app = express();
+  app.use(cookieParser());
+  app.get('/login', (req, res) => {
+    setGA4SessionCookie(res, app.locals.connection);
+    res.json({ ok: true });
+  });
+  app.get('/session', ga4SessionMiddleware, (req, res) => res.json(req.ga4Session));
+  return app;
+};
+
+const connectionDoc = () => new GAConnection({
+  userId: 'google-123',
+  email: 'analyst@example.com',
+  accessToken: 'ya29.access',
+  refreshToken: '1//refresh',
+  accessTokenExpiry: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+describe('GAConnection tokens', () => {
+  test('are stored encrypted, read back in plain text and never serialized', () => {
+    const connection = connectionDoc();
+
+    expect(isEncrypted(connection.get('accessToken', null, { getters: false }))).toBe(true);
+    expect(isEncrypted(connection.get('refreshToken', null, { getters: false }))).toBe(true);
+    expect(connection.accessToken).toBe('ya29.access');
+    expect(connection.refreshToken).toBe('1//refresh');
+    expect(connection.toJSON()).not.toHaveProperty('accessToken');
+    expect(connection.toJSON()).not.toHaveProperty('refreshToken');
+  });
+
+  test('are encrypted in updates too', () => {
+    const query = GAConnection.findByIdAndUpdate(new mongoose.Types.ObjectId(), { accessToken: 'ya29.new' });
+    expect(isEncrypted(query._castUpdate(query.getUpdate()).$set.accessToken)).toBe(true);
+  });
+});
+
+describe('ga4_session cookie', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is a signed reference to the connection without tokens', async () => {
+    const connection = connectionDoc();
+    app.locals.connection = connection;
+    jest.spyOn(GAConnection, 'findOne').mockResolvedValue(connection);
+
+    const login = await request(app).get('/login');
+    const cookie = login.headers['set-cookie'][0];
+    expect(cookie).toMatch(/^ga4_session=/);
+    expect(cookie).not.toContain('ya29');
+    expect(cookie).toContain('HttpOnly');
+
+    const response = await request(app).get('/session').set('Cookie', cookie.split(';')[0]);
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      connectionId: connection._id.toString(),
+      userId: 'google-123',
+      email: 'analyst@example.com',
+      accessToken: 'ya29.access'
+    });
+    expect(GAConnection.findOne).toHaveBeenCalledWith({ _id: connection._id.toString(), userId: 'google-123', deleted: { $ne: true } });
+  });
+
+  test('unsigned (pre-signing) and tampered cookies are rejected', async () => {
+    const findOne = jest.spyOn(GAConnection, 'findOne');
+    const legacy = Buffer.from(JSON.stringify({
+      userId: 'google-123', accessToken: 'ya29.access', refreshToken: '1//refresh', expiresAt: Date.now() + 60000
+    })).toString('base64');
+
+    expect((await request(app).get('/session').set('Cookie', `ga4_session=${legacy}`)).status).toBe(401);
+
+    app.locals.connection = connectionDoc();
+    const login = await request(app).get('/login');
+    const [body, signature] = decodeURIComponent(login.headers['set-cookie'][0].split(';')[0].slice('ga4_session='.length)).split('.');
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    const forged = `${Buffer.from(JSON.stringify({ ...payload, uid: 'google-999' })).toString('base64url')}.${signature}`;
+
+    expect((await request(app).get('/session').set('Cookie', `ga4_session=${forged}`)).status).toBe(401);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('a disconnected connection ends the session', async () => {
+    app.locals.connection = connectionDoc();
+    jest.spyOn(GAConnection, 'findOne').mockResolvedValue(null);
+
+    const login = await request(app).get('/login');
+    const response = await request(app).get('/session').set('Cookie', login.headers['set-cookie'][0].split(';')[0]);
+    expect(response.status).toBe(401);
+  });
+});
@@ -9,19 +9,172 @@
  * 4. Frontend stores token and sends in Authorization: Bearer <token> header
  * 5. This middleware extracts userId from JWT token
  * 6. All API routes use req.userId which comes from authenticated user
+ * 7. Each request acts in a workspace (X-Workspace-Id, else the user's personal
+ *    one); queries on workspace-owned models are scoped to it
  * 
  * ✅ Authentication is ALWAYS required - no bypass functionality exists
  */
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
-const { AuthenticationError } = require('./errorHandler');
+const spendService = require('../services/spendService');
+const apiKeyService = require('../services/apiKeyService');
+const workspaceService = require('../services/workspaceService');
+const { isApiKey, requiredScope, scopeAllows } = require('../utils/apiKeys');
+const { runInWorkspace } = require('../utils/workspaceContext');
+const { AppError, AuthenticationError, AuthorizationError, RateLimitError } = require('./errorHandler');
+
+/**
+ * Per-key limit for API key requests (ApiKey.rateLimitPerMinute), on top of the global per-IP limiter
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next) => {
+    console.warn(`⚠️ [AUTH] Rate limit exceeded for API key ${req.apiKey.prefix}… on ${req.method} ${req.path}`);
+    next(new RateLimitError(`API key rate limit exceeded (${req.apiKey.rateLimitPerMinute} requests per minute)`));
+  }
+});
+
+// Routes about the signed-in user rather than workspace data; viewers can write to them
+const PERSONAL_ROUTES = ['/api/auth', '/api/api-keys', '/api/digests', '/api/workspaces'];
+
+/**
+ * urlAnalysisId from the route params, query or body, if it's a valid id
+ */
+function getRequestAnalysisId(req) {
+  const id = req.params?.urlAnalysisId || req.query?.urlAnalysisId || req.body?.urlAnalysisId;
+  return typeof id === 'string' && mongoose.Types.ObjectId.isValid(id) ? id : null;
+}
+
+/**
+ * Resolve the workspace of the request (X-Workspace-Id header, else the
+ * user's personal workspace) and the user's role in it. Viewers can only read
+ * workspace data.
+ * Sets req.workspace, req.workspaceId and req.workspaceRole
+ * @returns {Promise<boolean>} - false when the request was rejected (error already sent)
+ */
+async function resolveWorkspace(req, next) {
+  const requestedId = req.headers['x-workspace-id'] || null;
+  const membership = await workspaceService.resolveMembership(req.userId, requestedId);
+
+  if (!membership) {
+    console.warn(`⚠️ [AUTH] User ${req.userId} is not a member of workspace ${requestedId}`);
+    next(new AppError('You are not a member of this workspace', 403, 'WORKSPACE_ACCESS_DENIED'));
+    return false;
+  }
+
+  req.workspace = membership.workspace;
+  req.workspaceId = membership.workspace._id.toString();
+  req.workspaceRole = membership.role;
+
+  const isPersonalRoute = PERSONAL_ROUTES.some(route => req.originalUrl.startsWith(route));
+  if (membership.role === 'viewer' && requiredScope(req.method) === 'write' && !isPersonalRoute) {
+    console.warn(`⚠️ [AUTH] Viewer ${req.userId} tried ${req.method} ${req.originalUrl} in workspace ${req.workspaceId}`);
+    next(new AuthorizationError('Viewers have read-only access to this workspace'));
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Dashboard routes are limited to users with access (see workspaceService.hasDashboardAccess)
+ * @returns {Promise<boolean>} - false when the request was rejected (response or error already sent)
+ */
+async function checkDashboardAccess(req, res, next) {
+  if (!(req.path.includes('/dashboard') || req.path.includes('/api/dashboard'))) {
+    return true;
+  }
+
+  const user = await User.findById(req.userId).select('email access isAdmin').lean();
+  if (!user) {
+    console.error(`❌ [AUTH] User not found: ${req.userId}`);
+    next(new AuthenticationError('User not found'));
+    return false;
+  }
+
+  const hasAccess = await workspaceService.hasDashboardAccess(user, req.workspace);
+  if (!hasAccess) {
+    console.warn(`⚠️ [AUTH] Access denied for user: ${req.userId} (${user.email})`);
+    res.status(403).json({
+      success: false,
+      message: 'Dashboard access denied. Please contact support to get access.',
+      code: 'ACCESS_DENIED'
+    });
+    return false;
+  }
+
+  console.log(`✅ [AUTH] User has dashboard access: ${req.userId} (${user.email})`);
+  return true;
+}
+
+/**
+ * Continue the request inside its workspace; LLM calls made while handling it
+ * are billed to this user (and analysis, when given)
+ */
+function proceed(req, next) {
+  runInWorkspace({ workspaceId: req.workspaceId, userId: req.userId, role: req.workspaceRole }, () => {
+    spendService.runWithContext({ userId: req.userId, urlAnalysisId: getRequestAnalysisId(req) }, next);
+  });
+}
+
+/**
+ * Authenticate a personal API key (Authorization: Bearer rk_... or X-API-Key: rk_...)
+ * Sets req.userId and req.apiKey, checks the key's scope against the method and
+ * applies its rate limit
+ */
+async function authenticateApiKey(req, res, next, key) {
+  try {
+    const apiKey = await apiKeyService.authenticate(key, { ip: req.ip });
+    if (!apiKey) {
+      console.warn(`⚠️ [AUTH] Unknown, revoked or expired API key for ${req.method} ${req.path} from IP: ${req.ip}`);
+      return next(new AuthenticationError('Invalid API key'));
+    }
+
+    if (!scopeAllows(apiKey.scopes, req.method)) {
+      console.warn(`⚠️ [AUTH] API key ${apiKey.prefix}… lacks the ${requiredScope(req.method)} scope for ${req.method} ${req.path}`);
+      return next(new AuthorizationError(`This API key needs the ${requiredScope(req.method)} scope for ${req.method} requests`));
+    }
+
+    req.userId = apiKey.userId.toString();
+    req.apiKey = {
+      id: apiKey._id.toString(),
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      rateLimitPerMinute: apiKey.rateLimitPerMinute
+    };
+
+    apiKeyLimiter(req, res, async (error) => {
+      if (error) return next(error);
+
+      try {
+        if (!(await resolveWorkspace(req, next))) return;
+        if (!(await checkDashboardAccess(req, res, next))) return;
+      } catch (accessError) {
+        return next(accessError);
+      }
+
+      console.log(`✅ [AUTH] Authenticated user: ${req.userId} (API key ${apiKey.prefix}…) for ${req.method} ${req.path}`);
+      proceed(req, next);
+    });
+  } catch (error) {
+    console.error(`❌ [AUTH] API key verification failed for ${req.method} ${req.path}:`, error.message);
+    return next(error);
+  }
+}
 
 /**
  * Authenticate JWT token from Authorization header
  * Sets req.userId if token is valid
  * 
- * userId comes from JWT token created during Google OAuth login
+ * userId comes from JWT token created during Google OAuth login. Personal API
+ * keys are accepted in place of the JWT (see authenticateApiKey).
  */
 const authenticateToken = async (req, res, next) => {
   // ✅ REMOVED: DEV_AUTH_BYPASS functionality - authentication is now always required
@@ -31,50 +184,20 @@ const authenticateToken = async (req, res, next) => {
   // Require valid token for all requests
   const authHeader = req.headers.authorization;
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const apiKeyHeader = req.headers['x-api-key'];
+
+  if (isApiKey(token) || (!token && apiKeyHeader)) {
+    return authenticateApiKey(req, res, next, token || apiKeyHeader);
+  }
 
   if (!token) {
     console.warn(`⚠️ [AUTH] No token provided for ${req.method} ${req.path} from IP: ${req.ip}`);
     return next(new AuthenticationError('No token provided'));
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId;
-    
-    if (!req.userId) {
-      console.error(`❌ [AUTH] Token verified but no userId found in decoded token:`, decoded);
-      return next(new AuthenticationError('Invalid token: no userId'));
-    }
-    
-    // Check user access for dashboard routes
-    if (req.path.includes('/dashboard') || req.path.includes('/api/dashboard')) {
-      const user = await User.findById(req.userId);
-      if (!user) {
-        console.error(`❌ [AUTH] User not found: ${req.userId}`);
-        return next(new AuthenticationError('User not found'));
-      }
-      
-      // Check if user has access
-      const allowedEmails = ['sj@tryrankly.com', 'satyajeetdas225@gmail.com'];
-      const userEmail = user.email?.toLowerCase();
-      const hasAccess = user.access === true || (userEmail && allowedEmails.includes(userEmail));
-      
-      if (!hasAccess) {
-        console.warn(`⚠️ [AUTH] Access denied for user: ${req.userId} (${userEmail})`);
-        return res.status(403).json({
-          success: false,
-          message: 'Dashboard access denied. Please contact support to get access.',
-          code: 'ACCESS_DENIED'
-        });
-      }
-      
-      console.log(`✅ [AUTH] User has dashboard access: ${req.userId} (${userEmail})`);
-    }
-    
-    // Log successful authentication (userId comes from JWT token created during Google OAuth)
-    console.log(`✅ [AUTH] Authenticated user: ${req.userId} (from JWT token) for ${req.method} ${req.path}`);
-    
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     // Log the actual error for debugging
     console.error(`❌ [AUTH] JWT verification failed for ${req.method} ${req.path}:`, {
@@ -93,6 +216,69 @@ const authenticateToken = async (req, res, next) => {
     }
     return next(new AuthenticationError(`Token verification failed: ${error.message}`));
   }
+
+  req.userId = decoded.userId;
+  
+  if (!req.userId) {
+    console.error(`❌ [AUTH] Token verified but no userId found in decoded token:`, decoded);
+    return next(new AuthenticationError('Invalid token: no userId'));
+  }
+
+  // Workspace and access lookups failing is a server error, not a bad token
+  try {
+    if (!(await resolveWorkspace(req, next))) {
+      return;
+    }
+
+    // Check user access for dashboard routes
+    if (!(await checkDashboardAccess(req, res, next))) {
+      return;
+    }
+  } catch (error) {
+    return next(error);
+  }
+  
+  // Log successful authentication (userId comes from JWT token created during Google OAuth)
+  console.log(`✅ [AUTH] Authenticated user: ${req.userId} (from JWT token) for ${req.method} ${req.path}`);
+  
+  proceed(req, next);
+};
+
+/**
+ * Require at least this workspace role (viewer < editor < owner); use after authenticateToken
+ */
+const requireWorkspaceRole = (minRole) => (req, res, next) => {
+  if (!workspaceService.hasRole(req.workspaceRole, minRole)) {
+    return next(new AuthorizationError(`This requires the ${minRole} role in the workspace`));
+  }
+  next();
+};
+
+/**
+ * Require the signed-in user to be an admin; use after authenticateToken
+ */
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('isAdmin').lean();
+    if (!user?.isAdmin) {
+      console.warn(`⚠️ [AUTH] Non-admin ${req.userId} tried ${req.method} ${req.originalUrl}`);
+      return next(new AuthorizationError('Admins only'));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject requests authenticated with an API key, for routes only the signed-in
+ * user may use (e.g. managing API keys)
+ */
+const requireUserSession = (req, res, next) => {
+  if (req.apiKey) {
+    return next(new AuthorizationError('This endpoint is not available to API keys'));
+  }
+  next();
 };
 
 /**
@@ -118,6 +304,9 @@ const optionalAuth = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  requireWorkspaceRole,
+  requireAdmin,
+  requireUserSession,
   optionalAuth,
 };
 
@@ -50,6 +50,13 @@ class RateLimitError extends AppError {
   }
 }
 
+class BudgetExceededError extends AppError {
+  constructor(message = 'Monthly spend budget exceeded', details = null) {
+    super(message, 402, 'BUDGET_EXCEEDED');
+    this.details = details;
+  }
+}
+
 /**
  * Format error response for client
  */
@@ -69,6 +76,11 @@ function formatErrorResponse(error, req) {
       response.errors = error.errors;
     }
 
+    // Include the estimate and budget status so the client can show why
+    if (error instanceof BudgetExceededError && error.details) {
+      response.data = error.details;
+    }
+
     // Include stack trace in development
     if (isDevelopment) {
       response.stack = error.stack;
@@ -235,6 +247,7 @@ module.exports = {
   NotFoundError,
   ConflictError,
   RateLimitError,
+  BudgetExceededError,
 };
 
 
@@ -44,7 +44,7 @@ async function ga4ConnectionMiddleware(req, res, next) {
       // Token expires in less than 5 minutes, refresh it
       const refreshed = await ensureGA4AccessToken(gaConnection);
       if (refreshed) {
-        // Update session cookie with new token
+        // Keep the session's token in step with the connection
         req.ga4Session.accessToken = refreshed.accessToken;
         // Update req.ga4Connection with refreshed data
         Object.assign(gaConnection, refreshed);
@@ -1,69 +1,133 @@
 /**
  * GA4 Session Parser Middleware
  * Parses and validates ga4_session cookie
+ *
+ * The cookie is a signed reference to the GAConnection (its id, the Google
+ * account id and an expiry); tokens stay server-side, encrypted in
+ * GAConnection. Cookies from before signing are rejected, so those users
+ * reconnect GA4 once.
  */
 
+const GAConnection = require('../models/GAConnection');
+const { ensureGA4AccessToken } = require('../services/ga4TokenRefresh');
+const { signValue, verifySignedValue } = require('../utils/tokenCrypto');
+const { getSessionSigningSecret } = require('../config/tokenEncryption');
+
+const GA4_SESSION_COOKIE = 'ga4_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax', // Support cross-site in production
+    path: '/',
+    domain: process.env.COOKIE_DOMAIN || undefined // Support subdomains
+  };
+}
+
+/**
+ * Set the ga4_session cookie for a GA connection
+ * @param {Object} res - Express response object
+ * @param {Object} connection - GAConnection document
+ */
+function setGA4SessionCookie(res, connection) {
+  const value = signValue({
+    cid: connection._id.toString(),
+    uid: connection.userId,
+    exp: Date.now() + SESSION_TTL_MS
+  }, getSessionSigningSecret());
+
+  res.cookie(GA4_SESSION_COOKIE, value, { ...cookieOptions(), maxAge: SESSION_TTL_MS });
+}
+
+function clearGA4SessionCookie(res) {
+  res.clearCookie(GA4_SESSION_COOKIE, cookieOptions());
+}
+
 /**
  * Parse GA4 session from cookie
  * @param {Object} req - Express request object
- * @returns {Object|null} Parsed session or null
+ * @returns {Object|null} { connectionId, userId (Google account id), expiresAt } or null
  */
 function parseGA4Session(req) {
-  const ga4SessionCookie = req.cookies?.ga4_session;
-  
+  const ga4SessionCookie = req.cookies?.[GA4_SESSION_COOKIE];
+
   if (!ga4SessionCookie) {
     return null;
   }
 
-  try {
-    const decoded = Buffer.from(ga4SessionCookie, 'base64').toString('utf8');
-    const session = JSON.parse(decoded);
-    
-    // Validate session structure
-    if (!session.userId || !session.accessToken || !session.refreshToken) {
-      return null;
-    }
-    
-    // Check expiry
-    if (session.expiresAt && Date.now() > session.expiresAt) {
-      return null;
-    }
-    
-    return session;
-  } catch (error) {
-    console.error('Error parsing GA4 session:', error);
+  const session = verifySignedValue(ga4SessionCookie, getSessionSigningSecret());
+
+  // Validate session structure (unsigned or tampered cookies fail verification)
+  if (!session || !session.cid || !session.uid) {
     return null;
   }
+
+  // Check expiry
+  if (session.exp && Date.now() > session.exp) {
+    return null;
+  }
+
+  return {
+    connectionId: session.cid,
+    userId: session.uid,
+    expiresAt: session.exp
+  };
 }
 
 /**
  * Middleware to parse and validate GA4 session
+ * Sets req.ga4Session: { connectionId, userId, email, accessToken, expiresAt }
  */
-function ga4SessionMiddleware(req, res, next) {
-  const session = parseGA4Session(req);
-  
-  if (!session) {
-    const hasCookie = !!req.cookies?.ga4_session;
-    console.error('❌ [ga4SessionMiddleware] No valid session found:', {
-      hasCookie,
-      cookieDomain: req.headers.host,
-      path: req.path
+async function ga4SessionMiddleware(req, res, next) {
+  try {
+    const session = parseGA4Session(req);
+    const gaConnection = session && await GAConnection.findOne({
+      _id: session.connectionId,
+      userId: session.userId,
+      deleted: { $ne: true }
     });
-    
-    return res.status(401).json({
+
+    // Refreshed when it's about to expire; null when the refresh failed
+    const tokens = gaConnection && await ensureGA4AccessToken(gaConnection);
+
+    if (!tokens?.accessToken) {
+      const hasCookie = !!req.cookies?.[GA4_SESSION_COOKIE];
+      console.error('❌ [ga4SessionMiddleware] No valid session found:', {
+        hasCookie,
+        signed: !!session,
+        hasConnection: !!gaConnection,
+        cookieDomain: req.headers.host,
+        path: req.path
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'No valid GA4 session found. Please reconnect your GA4 account.'
+      });
+    }
+
+    // Attach session to request
+    req.ga4Session = {
+      ...session,
+      email: gaConnection.email,
+      accessToken: tokens.accessToken
+    };
+    console.log('✅ [ga4SessionMiddleware] Session validated for user:', session.userId);
+    next();
+  } catch (error) {
+    console.error('Error in GA4 session middleware:', error);
+    return res.status(500).json({
       success: false,
-      error: 'No valid GA4 session found. Please reconnect your GA4 account.'
+      error: 'Internal server error'
     });
   }
-  
-  // Attach session to request
-  req.ga4Session = session;
-  console.log('✅ [ga4SessionMiddleware] Session validated for user:', session.userId);
-  next();
 }
 
 module.exports = {
   parseGA4Session,
-  ga4SessionMiddleware
+  ga4SessionMiddleware,
+  setGA4SessionCookie,
+  clearGA4SessionCookie
 };
-
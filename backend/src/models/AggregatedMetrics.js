@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
+
+// 95% confidence interval (see utils/confidenceIntervals); n = prompt×platform pairs
+const IntervalSchema = new mongoose.Schema({
+  lower: { type: Number },
+  upper: { type: Number },
+  stdError: { type: Number },
+  n: { type: Number }
+}, { _id: false });
 
 const BrandMetricsSchema = new mongoose.Schema({
   brandId: { type: String, required: true },
@@ -53,7 +62,14 @@ const BrandMetricsSchema = new mongoose.Schema({
   rank2nd: { type: Number, required: true },
   rank3rd: { type: Number, required: true },
 
-  totalAppearances: { type: Number, required: true }
+  totalAppearances: { type: Number, required: true },
+
+  // Uncertainty of the headline metrics
+  confidence: {
+    visibilityScore: { type: IntervalSchema, default: null },
+    avgPosition: { type: IntervalSchema, default: null },
+    shareOfVoice: { type: IntervalSchema, default: null }
+  }
 }, { _id: false });
 
 const AggregatedMetricsSchema = new mongoose.Schema({
@@ -67,7 +83,7 @@ const AggregatedMetricsSchema = new mongoose.Schema({
   scope: {
     type: String,
     required: true,
-    enum: ['overall', 'platform', 'topic', 'persona', 'prompt']
+    enum: ['overall', 'platform', 'topic', 'persona', 'locale', 'prompt']
   },
   scopeValue: { type: String },
 
@@ -89,4 +105,6 @@ AggregatedMetricsSchema.index({ userId: 1, urlAnalysisId: 1, scope: 1, scopeValu
 AggregatedMetricsSchema.index({ userId: 1, urlAnalysisId: 1, lastCalculated: -1 });
 AggregatedMetricsSchema.index({ userId: 1, scope: 1, scopeValue: 1, dateFrom: 1, dateTo: 1 });
 
+AggregatedMetricsSchema.plugin(workspaceScoped);
+
 module.exports = mongoose.model('AggregatedMetrics', AggregatedMetricsSchema);
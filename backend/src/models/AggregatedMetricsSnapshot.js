@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const AggregatedMetrics = require('./AggregatedMetrics');
+
+/**
+ * Point-in-time copy of an AggregatedMetrics document.
+ *
+ * AggregatedMetrics holds one live document per scope and is overwritten on
+ * every aggregation. When metrics are aggregated for a scheduled run, each
+ * scope document is also appended here so the history is kept.
+ */
+// Cloned with its hooks, so snapshots are workspace scoped too
+const AggregatedMetricsSnapshotSchema = AggregatedMetrics.schema.clone();
+
+AggregatedMetricsSnapshotSchema.add({
+  testRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptTestRun',
+    index: true
+  },
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisibilitySchedule',
+    index: true
+  },
+  snapshotAt: { type: Date, default: Date.now }
+});
+
+AggregatedMetricsSnapshotSchema.index({ userId: 1, urlAnalysisId: 1, scope: 1, scopeValue: 1, snapshotAt: -1 });
+
+module.exports = mongoose.model('AggregatedMetricsSnapshot', AggregatedMetricsSnapshotSchema);
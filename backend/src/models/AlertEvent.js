@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
+
+const deliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'AlertWebhook', required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  responseStatus: { type: Number },
+  lastError: { type: String },
+  deliveredAt: { type: Date }
+}, { _id: false });
+
+/**
+ * Alert history: one document per triggered rule, scope and brand, with the
+ * delivery state of each webhook. Pending deliveries are retried with backoff
+ * by alertService.
+ */
+const alertEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true
+  },
+  urlAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UrlAnalysis',
+    index: true
+  },
+
+  // Copied from the rule so the history survives rule edits
+  ruleName: { type: String },
+  metric: { type: String, required: true },
+  condition: { type: String, required: true },
+  threshold: { type: Number, required: true },
+
+  scope: { type: String, required: true },
+  scopeValue: { type: String },
+  brandName: { type: String },
+  value: { type: Number },
+  previousValue: { type: Number },
+  message: { type: String, required: true },
+
+  // rule + analysis + scope + brand; used for the cooldown
+  dedupeKey: { type: String, required: true },
+  triggeredAt: { type: Date, default: Date.now },
+
+  deliveries: [deliverySchema]
+});
+
+alertEventSchema.index({ ruleId: 1, dedupeKey: 1, triggeredAt: -1 });
+alertEventSchema.index({ userId: 1, triggeredAt: -1 });
+alertEventSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
+
+alertEventSchema.plugin(workspaceScoped);
+
+module.exports = mongoose.model('AlertEvent', alertEventSchema);
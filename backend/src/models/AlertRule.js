@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
+
+/**
+ * A threshold alert evaluated after every metrics aggregation
+ * (see alertService and utils/alertRules).
+ *
+ * Examples:
+ *   visibility on ChatGPT drops more than 10 points
+ *     { metric: 'visibilityScore', scope: 'platform', scopeValue: 'openai', condition: 'decreases_by', threshold: 10 }
+ *   a new competitor appears in more than 20% of answers
+ *     { metric: 'newCompetitor', scope: 'overall', condition: 'above', threshold: 20 }
+ *   negative sentiment share exceeds 30%
+ *     { metric: 'negativeSentimentShare', scope: 'overall', condition: 'above', threshold: 30 }
+ */
+const alertRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Empty = every analysis the user owns
+  urlAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UrlAnalysis',
+    default: null,
+    index: true
+  },
+
+  name: { type: String, required: true, trim: true },
+
+  metric: {
+    type: String,
+    enum: ['visibilityScore', 'shareOfVoice', 'avgPosition', 'citationShare', 'sentimentShare', 'negativeSentimentShare', 'newCompetitor'],
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['overall', 'platform', 'topic', 'persona', 'locale'],
+    default: 'overall'
+  },
+  // Platform ID, topic name, persona type or locale key; empty = every value of the scope
+  scopeValue: { type: String, trim: true, default: null },
+  // Brand the metric is read for; empty = the analysis brand (ignored for newCompetitor)
+  brandName: { type: String, trim: true, default: null },
+
+  condition: {
+    type: String,
+    enum: ['above', 'below', 'increases_by', 'decreases_by'],
+    required: true
+  },
+  threshold: { type: Number, required: true, min: 0 },
+
+  webhookIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AlertWebhook' }],
+
+  // The same rule, scope and brand won't alert again within this window
+  cooldownHours: { type: Number, min: 0, default: 24 },
+
+  enabled: { type: Boolean, default: true, index: true },
+  lastTriggeredAt: { type: Date, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+alertRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+alertRuleSchema.plugin(workspaceScoped);
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
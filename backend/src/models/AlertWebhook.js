@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
+
+/**
+ * Where alerts are delivered. Payloads are shaped like Slack incoming
+ * webhooks ({ text, blocks }) so a Slack URL works as is; 'json' webhooks also
+ * get the structured alert. With a secret, requests carry
+ * X-Rankly-Signature: sha256=<HMAC of the body>.
+ */
+const alertWebhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: { type: String, required: true, trim: true },
+  url: { type: String, required: true, trim: true },
+  format: {
+    type: String,
+    enum: ['slack', 'json'],
+    default: 'slack'
+  },
+  secret: { type: String, default: null },
+  enabled: { type: Boolean, default: true },
+
+  lastDeliveryAt: { type: Date, default: null },
+  lastDeliveryStatus: { type: String, enum: ['delivered', 'failed', null], default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+alertWebhookSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// The secret is write-only
+alertWebhookSchema.methods.toJSON = function() {
+  const webhook = this.toObject();
+  webhook.hasSecret = Boolean(webhook.secret);
+  delete webhook.secret;
+  return webhook;
+};
+
+alertWebhookSchema.plugin(workspaceScoped);
+
+module.exports = mongoose.model('AlertWebhook', alertWebhookSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Personal API key for the public REST API. Only the SHA-256 of the key is
+ * stored; the key itself is shown once, when it's created. Keys act as their
+ * user with the given scopes (see utils/apiKeys) and are rate limited per key.
+ */
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: { type: String, required: true, trim: true },
+  keyHash: { type: String, required: true, unique: true },
+  // First characters of the key, so users can tell keys apart
+  prefix: { type: String, required: true },
+  scopes: {
+    type: [{ type: String, enum: ['read', 'write'] }],
+    default: ['read']
+  },
+  rateLimitPerMinute: { type: Number, min: 1, default: 60 },
+
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+apiKeySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
+
+const citationOverrideRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  urlAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UrlAnalysis',
+    required: true,
+    index: true,
+  },
+  // Normalized domain, domain/path or wildcard pattern (see utils/citationOverrides)
+  pattern: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  classification: {
+    type: String,
+    enum: ['brand', 'earned', 'social', 'owned-competitor'],
+    required: true,
+  },
+  // Owner of the matched URLs for brand/owned-competitor rules; empty brand rules belong to the analysis brand
+  brandName: {
+    type: String,
+    trim: true,
+  },
+  note: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  collection: 'citationOverrideRules',
+});
+
+citationOverrideRuleSchema.index({ userId: 1, urlAnalysisId: 1, pattern: 1 }, { unique: true });
+
+citationOverrideRuleSchema.pre('save', function updateTimestamp(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+citationOverrideRuleSchema.plugin(workspaceScoped);
+
+module.exports = mongoose.model('CitationOverrideRule', citationOverrideRuleSchema);
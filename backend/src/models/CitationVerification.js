@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
+
+/**
+ * Result of fetching one cited URL for an analysis: whether it resolves,
+ * where it redirects, and which of the brands it was cited for the page
+ * actually mentions. Written by citationVerificationService.
+ */
+const citationVerificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  urlAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UrlAnalysis',
+    required: true
+  },
+  url: { type: String, required: true }, // Cleaned URL as cited
+
+  // live: 2xx at the cited URL; redirected: 2xx after redirecting elsewhere;
+  // broken: 4xx/5xx or a domain that doesn't resolve; blocked: 401/403/429 (bot protection, can't tell);
+  // unreachable: timeouts and other network errors
+  status: {
+    type: String,
+    enum: ['live', 'redirected', 'broken', 'blocked', 'unreachable'],
+    required: true
+  },
+  httpStatus: { type: Number, default: null },
+  finalUrl: { type: String, default: null },
+  title: { type: String, default: null },
+  error: { type: String, default: null },
+
+  // One entry per brand the URL was cited for; mentioned is null when the page body couldn't be read
+  brandMentions: [{
+    _id: false,
+    brandName: { type: String, required: true },
+    mentioned: { type: Boolean, default: null }
+  }],
+
+  checkedAt: { type: Date, default: Date.now }
+});
+
+citationVerificationSchema.index({ urlAnalysisId: 1, url: 1 }, { unique: true });
+citationVerificationSchema.index({ userId: 1, urlAnalysisId: 1, status: 1 });
+
+citationVerificationSchema.plugin(workspaceScoped);
+
+module.exports = mongoose.model('CitationVerification', citationVerificationSchema);
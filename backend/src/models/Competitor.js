@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
 
 const competitorSchema = new mongoose.Schema({
   userId: {
@@ -59,5 +60,7 @@ competitorSchema.pre('save', function(next) {
 competitorSchema.index({ userId: 1 });
 competitorSchema.index({ userId: 1, selected: 1 });
 
+competitorSchema.plugin(workspaceScoped);
+
 module.exports = mongoose.model('Competitor', competitorSchema);
 
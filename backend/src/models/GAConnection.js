@@ -1,15 +1,45 @@
 const mongoose = require('mongoose');
+const { encryptToken, decryptToken } = require('../utils/tokenCrypto');
+const { getKeyring } = require('../config/tokenEncryption');
+
+/**
+ * OAuth tokens are envelope-encrypted at rest (utils/tokenCrypto): assigning
+ * a token, in a document or an update, stores it encrypted, and reading it
+ * from a document returns plain text. lean() results keep the stored
+ * (encrypted) value.
+ */
+const encryptedToken = {
+  type: String,
+  set: (value) => encryptToken(value, getKeyring()),
+  get: (value) => {
+    try {
+      return decryptToken(value, getKeyring());
+    } catch (error) {
+      console.error('❌ [GAConnection] Could not decrypt token:', error.message);
+      return null;
+    }
+  }
+};
 
 const gaConnectionSchema = new mongoose.Schema({
+  // Google account id (from the ga4_session cookie), not a User id
   userId: {
     type: String,
     required: true,
     index: true
   },
+  // Workspace this connection is shared with, so members without their own
+  // GA4 session can use it (see workspaceService.shareGA4Connection)
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
   email: String,
-  accessToken: String,
+  accessToken: encryptedToken,
   accessTokenExpiry: Date,
-  refreshToken: String,
+  refreshToken: encryptedToken,
   accountId: String,
   propertyId: String,
   accountName: String,
@@ -34,5 +64,13 @@ const gaConnectionSchema = new mongoose.Schema({
 gaConnectionSchema.index({ userId: 1, deleted: 1 });
 gaConnectionSchema.index({ userId: 1, isActive: 1, deleted: 1 });
 
+// Never send tokens to clients
+gaConnectionSchema.methods.toJSON = function() {
+  const connection = this.toObject();
+  delete connection.accessToken;
+  delete connection.refreshToken;
+  return connection;
+};
+
 module.exports = mongoose.model('GAConnection', gaConnectionSchema);
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
 
 const InsightSchema = new mongoose.Schema({
   description: { type: String, required: true },
@@ -39,4 +40,6 @@ InsightsSchema.index({ userId: 1, tabType: 1, generatedAt: -1 });
 InsightsSchema.index({ userId: 1, urlAnalysisId: 1, tabType: 1 });
 InsightsSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index for automatic cleanup
 
+InsightsSchema.plugin(workspaceScoped);
+
 module.exports = mongoose.model('Insights', InsightsSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
 
 const personaSchema = new mongoose.Schema({
   userId: {
@@ -63,5 +64,7 @@ personaSchema.pre('save', function(next) {
 personaSchema.index({ userId: 1 });
 personaSchema.index({ userId: 1, selected: 1 });
 
+personaSchema.plugin(workspaceScoped);
+
 module.exports = mongoose.model('Persona', personaSchema);
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
 
 const promptSchema = new mongoose.Schema({
   userId: {
@@ -36,19 +37,49 @@ const promptSchema = new mongoose.Schema({
     enum: ['Informational', 'Navigational', 'Commercial', 'Transactional'],
     required: true
   },
+  // Market the prompt was generated for and is tested in (see utils/locales)
+  locale: {
+    region: { type: String, default: 'Global' },
+    language: { type: String, default: 'English' }
+  },
   status: {
     type: String,
     enum: ['active', 'archived'],
     default: 'active'
   },
+  // Latest PromptVersion number; bumped by services/promptVersionService on edits
+  currentVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   metadata: {
     targetPersonas: [String],
     targetCompetitors: [String],
     generatedBy: {
       type: String,
-      enum: ['ai', 'user'],
+      enum: ['ai', 'user', 'import'],
       default: 'user'
-    }
+    },
+    // Search query an imported prompt was converted from (services/promptImportService)
+    importSource: {
+      source: { type: String, enum: ['csv', 'search_console', 'ga4'] },
+      query: String,
+      clicks: Number,
+      impressions: Number,
+      searches: Number,
+      importedAt: Date
+    },
+    // Generated prompts dropped because they meant the same as this one
+    // (see services/promptGeneration/semanticDeduplication)
+    mergedDuplicates: [{
+      _id: false,
+      text: String,
+      similarity: Number,
+      reason: String,
+      source: { type: String, enum: ['batch', 'existing'] },
+      mergedAt: { type: Date, default: Date.now }
+    }]
   },
   performance: {
     tested: {
@@ -62,10 +93,7 @@ const promptSchema = new mongoose.Schema({
       max: 100
     },
     llmResults: [{
-      llmProvider: {
-        type: String,
-        enum: ['openai', 'claude', 'gemini', 'perplexity', 'google_search']
-      },
+      llmProvider: String, // Provider ID from config/llmProviders, or 'google_search'
       testedAt: Date,
       response: String,
       mentioned: {
@@ -103,5 +131,7 @@ promptSchema.index({ userId: 1, status: 1 });
 promptSchema.index({ userId: 1, urlAnalysisId: 1 }); // ✅ Index for urlAnalysisId filtering
 promptSchema.index({ userId: 1, urlAnalysisId: 1, status: 1 }); // ✅ Composite index for common queries
 
+promptSchema.plugin(workspaceScoped);
+
 module.exports = mongoose.model('Prompt', promptSchema);
 
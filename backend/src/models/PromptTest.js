@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
 
 const promptTestSchema = new mongoose.Schema({
   userId: {
@@ -28,12 +29,39 @@ const promptTestSchema = new mongoose.Schema({
     ref: 'Persona',
     required: true
   },
+  testRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptTestRun',
+    index: true
+  },
+  // Locale of the prompt at test time; the system prompt asks the LLM to answer for it
+  locale: {
+    region: { type: String, default: 'Global' },
+    language: { type: String, default: 'English' }
+  },
+  // 0-based sample number when a run sends the same prompt to a provider several times
+  sampleIndex: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
   // Test Configuration
   promptText: { 
     type: String, 
     required: true 
   },
+  // PromptVersion the test ran against; supersededAt is set when a later edit
+  // changed its text or queryType, so dashboards can leave out those results
+  promptVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  supersededAt: {
+    type: Date,
+    default: null
+  },
   queryType: { 
     type: String, 
     enum: ['Informational', 'Navigational', 'Commercial', 'Transactional'],
@@ -41,9 +69,9 @@ const promptTestSchema = new mongoose.Schema({
   },
   
   // LLM Provider Info
+  // Provider ID from config/llmProviders (not an enum, so providers can be added through config)
   llmProvider: { 
     type: String, 
-    enum: ['openai', 'gemini', 'claude', 'perplexity'],
     required: true,
     index: true
   },
@@ -134,7 +162,13 @@ const promptTestSchema = new mongoose.Schema({
     citations: [{
       url: { type: String },
       type: { type: String, enum: ['brand', 'earned', 'social'] },
-      context: { type: String }
+      context: { type: String },
+      // Set by citationVerificationService; hallucinated = broken URL or page doesn't mention the brand
+      verification: {
+        status: { type: String, enum: ['live', 'redirected', 'broken', 'blocked', 'unreachable'] },
+        hallucinated: { type: Boolean },
+        checkedAt: { type: Date }
+      }
     }]
   }],
   
@@ -165,6 +199,7 @@ const promptTestSchema = new mongoose.Schema({
 promptTestSchema.index({ userId: 1, testedAt: -1 });
 promptTestSchema.index({ userId: 1, urlAnalysisId: 1, testedAt: -1 });
 promptTestSchema.index({ promptId: 1, llmProvider: 1 });
+promptTestSchema.index({ promptId: 1, promptVersion: 1 });
 promptTestSchema.index({ topicId: 1, status: 1 });
 promptTestSchema.index({ status: 1, createdAt: 1 });
 
@@ -182,6 +217,8 @@ promptTestSchema.virtual('metrics').get(function() {
   };
 });
 
+promptTestSchema.plugin(workspaceScoped);
+
 module.exports = mongoose.model('PromptTest', promptTestSchema);
 
 
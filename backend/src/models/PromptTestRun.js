@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
+
+/**
+ * A persisted prompt testing job.
+ *
+ * Runs are queued by POST /api/prompts/test and picked up by
+ * promptTestQueueService, which records per-prompt progress so an interrupted
+ * run can resume after a server restart without re-testing finished prompts.
+ * Runs may also be queued by visibilityScheduleService on a recurring schedule,
+ * and by onboarding for the prompts it generates.
+ */
+const promptTestRunSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  urlAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UrlAnalysis',
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+
+  // Options forwarded to promptTestingService.testAllPrompts
+  options: {
+    testLimit: { type: Number },
+    batchSize: { type: Number },
+    samplesPerPrompt: { type: Number, min: 1 }
+  },
+
+  // What queued the run; scheduled runs link back to their VisibilitySchedule
+  trigger: {
+    type: String,
+    enum: ['manual', 'schedule', 'onboarding'],
+    default: 'manual'
+  },
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisibilitySchedule',
+    index: true
+  },
+
+  // When set, metrics for the run's tests are aggregated and snapshotted on completion
+  aggregateMetrics: { type: Boolean, default: false },
+  metricsAggregatedAt: { type: Date },
+  metricsError: { type: String },
+
+  // Prompts selected for this run (fixed on first start so a resumed run tests the same set)
+  promptIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Prompt' }],
+  processedPromptIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Prompt' }],
+
+  progress: {
+    totalPrompts: { type: Number, default: 0 },
+    processedPrompts: { type: Number, default: 0 },
+    completedTests: { type: Number, default: 0 },
+    failedTests: { type: Number, default: 0 }
+  },
+
+  summary: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+
+  cancelRequested: { type: Boolean, default: false },
+  attempts: { type: Number, default: 0 }, // Number of times a worker has started this run
+  workerId: { type: String },
+  heartbeatAt: { type: Date },
+
+  queuedAt: { type: Date, default: Date.now },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+promptTestRunSchema.index({ status: 1, queuedAt: 1 });
+promptTestRunSchema.index({ userId: 1, urlAnalysisId: 1, createdAt: -1 });
+// At most one queued or running run per user and analysis, even for concurrent requests
+promptTestRunSchema.index(
+  { userId: 1, urlAnalysisId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['queued', 'running'] } } }
+);
+
+promptTestRunSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+promptTestRunSchema.plugin(workspaceScoped);
+
+module.exports = mongoose.model('PromptTestRun', promptTestRunSchema);
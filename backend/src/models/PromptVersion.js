@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
+
+/**
+ * An immutable snapshot of a prompt's tested fields.
+ *
+ * Version 1 is the prompt as first created; every edit through
+ * PUT /api/prompts/:id that changes the text, title or queryType adds the next
+ * version (services/promptVersionService). PromptTests record the version they
+ * ran against in promptVersion; only text and queryType changes supersede them.
+ */
+const promptVersionSchema = new mongoose.Schema({
+  // Owner of the prompt (scopes the version like the prompt itself)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  urlAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UrlAnalysis',
+    immutable: true
+  },
+  promptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt',
+    required: true,
+    immutable: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+    immutable: true
+  },
+
+  title: { type: String, required: true, immutable: true },
+  text: { type: String, required: true, immutable: true },
+  queryType: {
+    type: String,
+    enum: ['Informational', 'Navigational', 'Commercial', 'Transactional'],
+    required: true,
+    immutable: true
+  },
+
+  // Who made the change; for a version 1 recorded on the first edit, the prompt's creator
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  changeNote: { type: String, trim: true, maxlength: 500, immutable: true },
+  changedFields: { type: [String], immutable: true },
+
+  // Word-level diff of the text against the previous version (utils/promptDiff)
+  diff: {
+    type: [{
+      _id: false,
+      type: { type: String, enum: ['equal', 'added', 'removed'] },
+      text: String
+    }],
+    immutable: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+promptVersionSchema.index({ promptId: 1, version: 1 }, { unique: true });
+promptVersionSchema.index({ userId: 1, urlAnalysisId: 1, createdAt: -1 });
+
+// Versions are never rewritten: saving an existing document is an error
+promptVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Prompt versions are immutable'));
+  }
+  next();
+});
+
+promptVersionSchema.plugin(workspaceScoped);
+
+module.exports = mongoose.model('PromptVersion', promptVersionSchema);
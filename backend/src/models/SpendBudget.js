@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Monthly LLM spend limit for a user (urlAnalysisId null) or for one of
+ * their analyses. Both apply when set: a run must fit under each.
+ */
+const spendBudgetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  urlAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UrlAnalysis',
+    default: null
+  },
+
+  monthlyLimit: { type: Number, required: true, min: 0 }, // USD per calendar month (UTC)
+
+  // Refuse (and stop) prompt test runs that would go over the limit; otherwise only report
+  hardStop: { type: Boolean, default: true },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+spendBudgetSchema.index({ userId: 1, urlAnalysisId: 1 }, { unique: true });
+
+spendBudgetSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('SpendBudget', spendBudgetSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * One billed LLM call.
+ *
+ * Written by spendService for every OpenRouter/provider completion: prompt
+ * tests, prompt generation, insights, subjective metrics, website analysis
+ * and content regeneration. Budgets are checked against the sum of `cost`
+ * for the current calendar month (UTC).
+ */
+const LEDGER_SOURCES = [
+  'prompt_test',
+  'prompt_generation',
+  'insights',
+  'subjective_metrics',
+  'website_analysis',
+  'content_regeneration',
+  'embeddings'
+];
+
+const spendLedgerEntrySchema = new mongoose.Schema({
+  // Null for calls made outside a user request (none today, but never lose a billed call)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  urlAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UrlAnalysis',
+    default: null
+  },
+  testRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptTestRun',
+    default: null
+  },
+
+  source: {
+    type: String,
+    enum: LEDGER_SOURCES,
+    required: true
+  },
+  provider: { type: String }, // Provider ID for prompt tests (config/llmProviders)
+  model: { type: String, required: true },
+
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 }, // USD
+  costSource: {
+    type: String,
+    enum: ['provider', 'estimated'], // Reported by the API, or priced from config
+    default: 'estimated'
+  },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+spendLedgerEntrySchema.index({ userId: 1, createdAt: -1 });
+spendLedgerEntrySchema.index({ userId: 1, urlAnalysisId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SpendLedgerEntry', spendLedgerEntrySchema);
+module.exports.LEDGER_SOURCES = LEDGER_SOURCES;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
 
 /**
  * SubjectiveMetrics Schema
@@ -245,6 +246,8 @@ subjectiveMetricsSchema.statics.getPromptSummary = async function(promptId, bran
   };
 };
 
+subjectiveMetricsSchema.plugin(workspaceScoped);
+
 const SubjectiveMetrics = mongoose.model('SubjectiveMetrics', subjectiveMetricsSchema);
 
 module.exports = SubjectiveMetrics;
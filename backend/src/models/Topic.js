@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
 
 const topicSchema = new mongoose.Schema({
   userId: {
@@ -62,5 +63,7 @@ topicSchema.pre('save', function(next) {
 topicSchema.index({ userId: 1 });
 topicSchema.index({ userId: 1, selected: 1 });
 
+topicSchema.plugin(workspaceScoped);
+
 module.exports = mongoose.model('Topic', topicSchema);
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
 
 const urlAnalysisSchema = new mongoose.Schema({
   userId: {
@@ -20,6 +21,16 @@ const urlAnalysisSchema = new mongoose.Schema({
     enum: ['company', 'product', 'category'],
     default: 'company'
   },
+  // Markets to generate and test prompts for; empty means the owner's preferred region/language
+  locales: [{
+    _id: false,
+    region: { type: String, required: true, trim: true },
+    language: { type: String, required: true, trim: true }
+  }],
+  citationSettings: {
+    // Leave citations tagged as hallucinated by the liveness verifier out of citation share
+    excludeHallucinated: { type: Boolean, default: false }
+  },
   brandContext: {
     companyName: {
       type: String,
@@ -223,4 +234,6 @@ urlAnalysisSchema.index({ userId: 1 });
 urlAnalysisSchema.index({ userId: 1, url: 1 });
 urlAnalysisSchema.index({ createdAt: -1 });
 
+urlAnalysisSchema.plugin(workspaceScoped);
+
 module.exports = mongoose.model('UrlAnalysis', urlAnalysisSchema);
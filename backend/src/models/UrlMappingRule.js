@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
 
 const urlMappingRuleSchema = new mongoose.Schema({
   userId: {
@@ -23,6 +24,12 @@ const urlMappingRuleSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  // See MAPPING_MATCH_TYPES in utils/actionablesUrlNormalizer
+  matchType: {
+    type: String,
+    enum: ['exact', 'prefix', 'wildcard'],
+    default: 'prefix',
+  },
   note: {
     type: String,
     trim: true,
@@ -46,6 +53,8 @@ urlMappingRuleSchema.pre('save', function updateTimestamp(next) {
   next();
 });
 
+urlMappingRuleSchema.plugin(workspaceScoped);
+
 module.exports = mongoose.model('UrlMappingRule', urlMappingRuleSchema);
 
 
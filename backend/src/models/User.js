@@ -50,6 +50,18 @@ const userSchema = new mongoose.Schema({
     theme: {
       type: String,
       default: 'light'
+    },
+    // Email digest of visibility changes (see digestService). Times are UTC.
+    digest: {
+      enabled: { type: Boolean, default: false },
+      frequency: { type: String, enum: ['daily', 'weekly'], default: 'weekly' },
+      hourUtc: { type: Number, min: 0, max: 23, default: 8 },
+      dayOfWeek: { type: Number, min: 0, max: 6, default: 1 }, // weekly only, 0 = Sunday
+      // Empty = every analysis the user owns
+      urlAnalysisIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'UrlAnalysis' }],
+      includeInsights: { type: Boolean, default: true },
+      nextSendAt: { type: Date, default: null, index: true },
+      lastSentAt: { type: Date, default: null }
     }
   },
   onboarding: {
@@ -62,6 +74,16 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Dashboard access, granted by an admin (see routes/admin). Members of a
+  // workspace whose owner has access get it too.
+  access: {
+    type: Boolean,
+    default: false
+  },
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
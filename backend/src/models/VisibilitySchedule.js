@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const workspaceScoped = require('./plugins/workspaceScoped');
+
+/**
+ * A recurring visibility run for one analysis.
+ *
+ * visibilityScheduleService enqueues a PromptTestRun whenever nextRunAt
+ * passes; once the run completes its metrics are aggregated and kept as
+ * AggregatedMetricsSnapshot documents.
+ */
+const visibilityScheduleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  urlAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UrlAnalysis',
+    required: true,
+    index: true
+  },
+
+  name: { type: String, trim: true },
+
+  // Timing (UTC) - see utils/scheduleTiming
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+  hourUtc: { type: Number, min: 0, max: 23, default: 6 },
+  minuteUtc: { type: Number, min: 0, max: 59, default: 0 },
+  dayOfWeek: { type: Number, min: 0, max: 6, default: 1 }, // Weekly only, 0 = Sunday
+
+  // Options forwarded to the queued PromptTestRun
+  testLimit: { type: Number, min: 1 },
+  samplesPerPrompt: { type: Number, min: 1 },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused'],
+    default: 'active',
+    index: true
+  },
+
+  nextRunAt: { type: Date, index: true },
+  lastRunAt: { type: Date },
+  lastRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptTestRun' },
+  lastRunStatus: { type: String }, // 'queued' or 'skipped' when fired, then the run's final status
+  lastError: { type: String },
+  runCount: { type: Number, default: 0 },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+visibilityScheduleSchema.index({ status: 1, nextRunAt: 1 });
+
+visibilityScheduleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+visibilityScheduleSchema.plugin(workspaceScoped);
+
+module.exports = mongoose.model('VisibilitySchedule', visibilityScheduleSchema);
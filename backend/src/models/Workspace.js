@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * A team's shared space. Analyses, prompts, topics, personas, competitors,
+ * their results and GA4 connections belong to a workspace (see
+ * plugins/workspaceScoped). Every user has a personal workspace and can be
+ * invited into others.
+ *
+ * Roles: owners manage members and invites, editors change data, viewers
+ * only read.
+ */
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    required: true
+  },
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const workspaceSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Creator; can't be removed or demoted
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Created for every user on first sign-in; holds what they created before workspaces existed
+  personal: { type: Boolean, default: false },
+  members: [memberSchema],
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+// One personal workspace per user
+workspaceSchema.index({ ownerId: 1 }, { unique: true, partialFilterExpression: { personal: true } });
+
+workspaceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+Workspace.ROLES = WORKSPACE_ROLES;
+
+module.exports = Workspace;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Email invite into a workspace. The token goes out in the invite link and
+ * only its SHA-256 is stored; it can be accepted once, by a user signed in
+ * with the invited email, before it expires.
+ */
+const workspaceInviteSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    required: true
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date, default: null },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  revokedAt: { type: Date, default: null },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+workspaceInviteSchema.index({ workspaceId: 1, email: 1 });
+
+workspaceInviteSchema.methods.toJSON = function() {
+  const invite = this.toObject();
+  delete invite.tokenHash;
+  return invite;
+};
+
+module.exports = mongoose.model('WorkspaceInvite', workspaceInviteSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const { getWorkspaceContext } = require('../../utils/workspaceContext');
+
+/**
+ * Mongoose plugin for data owned by a workspace.
+ *
+ * Adds workspaceId. Inside a workspace context (utils/workspaceContext),
+ * queries filtering on a single userId are scoped to the workspace instead,
+ * so `{ userId: req.userId, ... }` returns what every member of the current
+ * workspace created; userId stays on documents as their creator. New
+ * documents get the workspace from the context, else from their analysis,
+ * else from their creator's personal workspace.
+ *
+ * Pass the query option `workspaceScope: false` to filter on userId as is.
+ */
+
+const QUERY_HOOKS = [
+  'countDocuments', 'deleteMany', 'deleteOne', 'distinct', 'find', 'findOne',
+  'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate', 'replaceOne', 'updateMany', 'updateOne'
+];
+const UPDATE_OPS = ['findOneAndUpdate', 'updateMany', 'updateOne'];
+
+// Only a filter on one user is rewritten; { userId: { $in: [...] } } and the like are left alone
+const isSingleId = (value) => typeof value === 'string' || value instanceof mongoose.Types.ObjectId;
+
+function scopeFilter(filter, workspaceId) {
+  if (!filter || !isSingleId(filter.userId)) return null;
+  const { userId, ...rest } = filter;
+  return { filter: { ...rest, workspaceId }, userId };
+}
+
+/**
+ * Upserts no longer filter on userId, so the creator is set on insert instead
+ */
+function withCreator(update, userId) {
+  if (!update || Array.isArray(update) || update.userId !== undefined || update.$set?.userId !== undefined) {
+    return update;
+  }
+  return { ...update, $setOnInsert: { ...(update.$setOnInsert || {}), userId } };
+}
+
+function scopeQuery() {
+  const context = getWorkspaceContext();
+  if (!context?.workspaceId || this.getOptions().workspaceScope === false) return;
+
+  const scoped = scopeFilter(this.getFilter(), context.workspaceId);
+  if (!scoped) return;
+
+  this.setQuery(scoped.filter);
+  if (UPDATE_OPS.includes(this.op) && this.getOptions().upsert) {
+    this.setUpdate(withCreator(this.getUpdate(), scoped.userId));
+  }
+}
+
+function scopeAggregate() {
+  const context = getWorkspaceContext();
+  const [first] = this.pipeline();
+  if (!context?.workspaceId || !first?.$match || this.options?.workspaceScope === false) return;
+
+  // Aggregation filters aren't cast
+  const scoped = scopeFilter(first.$match, new mongoose.Types.ObjectId(context.workspaceId));
+  if (scoped) first.$match = scoped.filter;
+}
+
+function scopeBulkWrite(next, ops) {
+  const context = getWorkspaceContext();
+  if (context?.workspaceId && Array.isArray(ops)) {
+    ops.forEach(op => {
+      if (op.insertOne?.document && !op.insertOne.document.workspaceId) {
+        op.insertOne.document.workspaceId = context.workspaceId;
+      }
+      ['updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'].forEach(type => {
+        const scoped = op[type] && scopeFilter(op[type].filter, context.workspaceId);
+        if (!scoped) return;
+        op[type].filter = scoped.filter;
+        if (op[type].upsert && op[type].update) {
+          op[type].update = withCreator(op[type].update, scoped.userId);
+        }
+      });
+    });
+  }
+  next();
+}
+
+/**
+ * Workspace for a new document without one
+ */
+async function resolveWorkspaceId(doc) {
+  const context = getWorkspaceContext();
+  if (context?.workspaceId) return context.workspaceId;
+
+  if (doc.urlAnalysisId && doc.constructor.modelName !== 'UrlAnalysis') {
+    const analysis = await mongoose.model('UrlAnalysis').findById(doc.urlAnalysisId).select('workspaceId').lean();
+    if (analysis?.workspaceId) return analysis.workspaceId;
+  }
+
+  if (doc.userId && mongoose.Types.ObjectId.isValid(doc.userId)) {
+    const workspace = await mongoose.model('Workspace')
+      .findOne({ ownerId: doc.userId, personal: true })
+      .select('_id')
+      .lean();
+    if (workspace) return workspace._id;
+  }
+
+  return null;
+}
+
+function workspaceScoped(schema) {
+  schema.add({
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true
+    }
+  });
+
+  schema.pre('validate', async function() {
+    if (!this.workspaceId) {
+      this.workspaceId = await resolveWorkspaceId(this);
+    }
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const context = getWorkspaceContext();
+    if (context?.workspaceId && Array.isArray(docs)) {
+      docs.forEach(doc => {
+        if (doc && !doc.workspaceId) doc.workspaceId = context.workspaceId;
+      });
+    }
+    next();
+  });
+
+  QUERY_HOOKS.forEach(hook => schema.pre(hook, scopeQuery));
+  schema.pre('aggregate', scopeAggregate);
+  schema.pre('bulkWrite', scopeBulkWrite);
+}
+
+module.exports = workspaceScoped;
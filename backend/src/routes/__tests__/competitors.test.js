@@ -0,0 +1,75 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const golden = require('../../../fixtures/golden/responses.json');
+const { DATABASE_TIMEOUT_MS, startDatabase, clearDatabase, stopDatabase, buildApp, authHeader } = require('./testApp');
+
+const app = buildApp({ '/api/competitors': require('../competitors') });
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+const [globex] = golden.competitors;
+
+describe('/api/competitors', () => {
+  beforeAll(startDatabase, DATABASE_TIMEOUT_MS);
+  afterEach(clearDatabase);
+  afterAll(stopDatabase, DATABASE_TIMEOUT_MS);
+
+  test('requires a token', async () => {
+    const res = await request(app).get('/api/competitors');
+
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('creates, lists, updates and deletes a competitor', async () => {
+    const created = await request(app)
+      .post('/api/competitors')
+      .set('Authorization', authHeader(userId))
+      .send({ ...globex, selected: true });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ name: globex.name, url: globex.url, selected: true });
+    const id = created.body.data._id;
+
+    const listed = await request(app).get('/api/competitors').set('Authorization', authHeader(userId));
+    expect(listed.body.data.map(c => c.name)).toEqual([globex.name]);
+
+    const updated = await request(app)
+      .put(`/api/competitors/${id}`)
+      .set('Authorization', authHeader(userId))
+      .send({ selected: false });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.selected).toBe(false);
+
+    const deleted = await request(app).delete(`/api/competitors/${id}`).set('Authorization', authHeader(userId));
+    expect(deleted.status).toBe(200);
+
+    const afterDelete = await request(app).get('/api/competitors').set('Authorization', authHeader(userId));
+    expect(afterDelete.body.data).toEqual([]);
+  });
+
+  test('rejects an invalid URL', async () => {
+    const res = await request(app)
+      .post('/api/competitors')
+      .set('Authorization', authHeader(userId))
+      .send({ name: 'Globex', url: 'not a url' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+
+  test("cannot read or change another user's competitors", async () => {
+    const created = await request(app)
+      .post('/api/competitors')
+      .set('Authorization', authHeader(otherUserId))
+      .send(globex);
+
+    const listed = await request(app).get('/api/competitors').set('Authorization', authHeader(userId));
+    expect(listed.body.data).toEqual([]);
+
+    const updated = await request(app)
+      .put(`/api/competitors/${created.body.data._id}`)
+      .set('Authorization', authHeader(userId))
+      .send({ selected: true });
+    expect(updated.status).toBe(404);
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const golden = require('../../../fixtures/golden/responses.json');
+const { DATABASE_TIMEOUT_MS, startDatabase, clearDatabase, stopDatabase, buildApp, authHeader } = require('./testApp');
+const UrlAnalysis = require('../../models/UrlAnalysis');
+const Competitor = require('../../models/Competitor');
+const PromptTest = require('../../models/PromptTest');
+const scoringService = require('../../services/scoringService');
+const metricsAggregationService = require('../../services/metricsAggregationService');
+
+const app = buildApp({ '/api/dashboard': require('../dashboardMetrics') });
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Save one completed PromptTest per golden response, scored the way
+ * promptTestingService scores live responses
+ */
+async function seedGoldenTests(urlAnalysisId) {
+  const brandContext = { companyName: golden.brand, competitors: golden.competitors };
+  const brands = [golden.brand, ...golden.competitors.map(c => c.name)];
+
+  await PromptTest.insertMany(Object.entries(golden.responses).map(([name, { provider, response, citations }]) => {
+    const scorecard = scoringService.calculateDeterministicScore(response, citations, brandContext);
+    const sentences = response.split(/(?<=\.)\s+/);
+
+    return {
+      userId,
+      urlAnalysisId,
+      promptId: new mongoose.Types.ObjectId(),
+      topicId: new mongoose.Types.ObjectId(),
+      personaId: new mongoose.Types.ObjectId(),
+      promptText: `Golden prompt: ${name}`,
+      queryType: 'Commercial',
+      llmProvider: provider,
+      llmModel: `${provider}-golden`,
+      rawResponse: response,
+      status: 'completed',
+      scorecard,
+      responseMetadata: { totalSentences: sentences.length, totalWords: response.split(/\s+/).length },
+      brandMetrics: brands
+        .map(brandName => {
+          const index = sentences.findIndex(s => s.includes(brandName));
+          return index === -1 ? null : {
+            brandName,
+            mentioned: true,
+            isOwner: brandName === golden.brand,
+            firstPosition: index + 1,
+            mentionCount: response.split(brandName).length - 1,
+            sentences: [{ text: sentences[index], position: index, wordCount: sentences[index].split(/\s+/).length }]
+          };
+        })
+        .filter(Boolean)
+    };
+  }));
+}
+
+describe('/api/dashboard', () => {
+  beforeAll(startDatabase, DATABASE_TIMEOUT_MS);
+  afterEach(clearDatabase);
+  afterAll(stopDatabase, DATABASE_TIMEOUT_MS);
+
+  test('returns 404 before onboarding', async () => {
+    const res = await request(app).get('/api/dashboard/all').set('Authorization', authHeader(userId));
+
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('serves aggregated metrics for the golden responses', async () => {
+    const analysis = await UrlAnalysis.create({
+      userId,
+      url: 'https://acmecrm.example',
+      brandContext: { companyName: golden.brand }
+    });
+    await Competitor.insertMany(golden.competitors.map(c => ({ ...c, userId, urlAnalysisId: analysis._id, selected: true })));
+    await seedGoldenTests(analysis._id);
+    await metricsAggregationService.calculateMetrics(userId.toString(), { urlAnalysisId: analysis._id.toString() });
+
+    const res = await request(app)
+      .get('/api/dashboard/all')
+      .query({ urlAnalysisId: analysis._id.toString() })
+      .set('Authorization', authHeader(userId));
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+
+    const brandMetrics = Object.fromEntries(res.body.data.overall.brandMetrics.map(b => [b.brandName, b]));
+    expect(Object.keys(brandMetrics).sort()).toEqual([golden.brand, 'Globex', 'Initech'].sort());
+    expect(brandMetrics[golden.brand].visibilityScore).toBeCloseTo(66.67, 2);
+    expect(brandMetrics.Globex.visibilityScore).toBe(100);
+    expect(res.body.data.platforms).toHaveLength(3);
+  });
+
+  test('validates comparison windows', async () => {
+    const missing = await request(app).get('/api/dashboard/compare').set('Authorization', authHeader(userId));
+    expect(missing.status).toBe(400);
+
+    const reversed = await request(app)
+      .get('/api/dashboard/compare')
+      .query({ currentFrom: '2025-02-01', currentTo: '2025-01-01' })
+      .set('Authorization', authHeader(userId));
+    expect(reversed.status).toBe(400);
+    expect(reversed.body.message).toBe('Each period must start before it ends');
+  });
+
+  test('trends and comparisons filter by locale like /all', async () => {
+    const analysis = await UrlAnalysis.create({
+      userId,
+      url: 'https://acmecrm.example',
+      brandContext: { companyName: golden.brand }
+    });
+    await seedGoldenTests(analysis._id);
+    const total = await PromptTest.countDocuments({ urlAnalysisId: analysis._id });
+    await PromptTest.updateOne({ urlAnalysisId: analysis._id }, { locale: { region: 'Germany', language: 'German' } });
+
+    const responses = async (locales) => {
+      const res = await request(app)
+        .get('/api/dashboard/trends')
+        .query({ urlAnalysisId: analysis._id.toString(), locales })
+        .set('Authorization', authHeader(userId));
+      expect(res.status).toBe(200);
+      return res.body.data.buckets.reduce((sum, bucket) => sum + bucket.totalResponses, 0);
+    };
+    expect(await responses('German (Germany)')).toBe(1);
+    expect(await responses('English (Global)')).toBe(total - 1);
+    expect(await responses('All Locales')).toBe(total);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const comparison = await request(app)
+      .get('/api/dashboard/compare')
+      .query({ urlAnalysisId: analysis._id.toString(), currentFrom: today, currentTo: today, locales: 'German (Germany)' })
+      .set('Authorization', authHeader(userId));
+    expect(comparison.status).toBe(200);
+    expect(comparison.body.data.current.totalResponses).toBe(1);
+
+    const invalid = await request(app)
+      .get('/api/dashboard/trends')
+      .query({ locales: 'German' })
+      .set('Authorization', authHeader(userId));
+    expect(invalid.status).toBe(400);
+  });
+
+  test('refuses trend ranges that are too long or reach too far back', async () => {
+    const huge = await request(app)
+      .get('/api/dashboard/trends')
+      .query({ dateFrom: '-100000-01-01', dateTo: '+100000-01-01' })
+      .set('Authorization', authHeader(userId));
+    expect(huge.status).toBe(400);
+    expect(huge.body.message).toMatch(/at most \d+ days ago/);
+
+    const tooMany = await request(app)
+      .get('/api/dashboard/trends')
+      .query({ dateFrom: new Date(Date.now() - 200 * 24 * 60 * 60 * 1000).toISOString(), dateTo: '+100000-01-01' })
+      .set('Authorization', authHeader(userId));
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.message).toMatch(/^Range too large/);
+  });
+});
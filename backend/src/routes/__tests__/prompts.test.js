@@ -0,0 +1,145 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { DATABASE_TIMEOUT_MS, startDatabase, clearDatabase, stopDatabase, buildApp, authHeader } = require('./testApp');
+const Topic = require('../../models/Topic');
+const Persona = require('../../models/Persona');
+const Prompt = require('../../models/Prompt');
+const PromptTest = require('../../models/PromptTest');
+
+const app = buildApp({
+  '/api/topics': require('../topics'),
+  '/api/prompts': require('../prompts')
+});
+const userId = new mongoose.Types.ObjectId();
+
+describe('/api/topics and /api/prompts', () => {
+  beforeAll(startDatabase, DATABASE_TIMEOUT_MS);
+  afterEach(clearDatabase);
+  afterAll(stopDatabase, DATABASE_TIMEOUT_MS);
+
+  test('creates a topic and lists it', async () => {
+    const created = await request(app)
+      .post('/api/topics')
+      .set('Authorization', authHeader(userId))
+      .send({ name: 'CRM Software', keywords: ['crm', 'sales'] });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ name: 'CRM Software', keywords: ['crm', 'sales'] });
+
+    const listed = await request(app).get('/api/topics').set('Authorization', authHeader(userId));
+    expect(listed.body.data).toHaveLength(1);
+  });
+
+  test('creates a prompt under a topic and persona and counts it on the topic', async () => {
+    const urlAnalysisId = new mongoose.Types.ObjectId();
+    const topic = await Topic.create({ userId, urlAnalysisId, name: 'CRM Software' });
+    const persona = await Persona.create({ userId, urlAnalysisId, type: 'Startup Founder', description: 'Runs a small team' });
+
+    const created = await request(app)
+      .post('/api/prompts')
+      .set('Authorization', authHeader(userId))
+      .send({
+        topicId: topic._id.toString(),
+        personaId: persona._id.toString(),
+        queryType: 'Commercial',
+        title: 'Best CRM',
+        text: 'What is the best CRM for a small startup team?'
+      });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.urlAnalysisId).toBe(urlAnalysisId.toString());
+
+    const listed = await request(app)
+      .get('/api/prompts')
+      .query({ urlAnalysisId: urlAnalysisId.toString() })
+      .set('Authorization', authHeader(userId));
+    expect(listed.body.data).toHaveLength(1);
+    expect(listed.body.data[0].topicId.name).toBe('CRM Software');
+
+    const updatedTopic = await Topic.findById(topic._id).lean();
+    expect(updatedTopic.promptCount).toBe(1);
+  });
+
+  test('rejects a prompt with an unknown query type', async () => {
+    const res = await request(app)
+      .post('/api/prompts')
+      .set('Authorization', authHeader(userId))
+      .send({
+        topicId: new mongoose.Types.ObjectId().toString(),
+        personaId: new mongoose.Types.ObjectId().toString(),
+        queryType: 'Rhetorical',
+        title: 'Best CRM',
+        text: 'What is the best CRM?'
+      });
+
+    expect(res.status).toBe(400);
+  });
+
+  test("returns 404 for another user's topic", async () => {
+    const topic = await Topic.create({ userId: new mongoose.Types.ObjectId(), name: 'Not mine' });
+    const persona = await Persona.create({ userId, type: 'Startup Founder', description: 'Runs a small team' });
+
+    const res = await request(app)
+      .post('/api/prompts')
+      .set('Authorization', authHeader(userId))
+      .send({
+        topicId: topic._id.toString(),
+        personaId: persona._id.toString(),
+        queryType: 'Commercial',
+        title: 'Best CRM',
+        text: 'What is the best CRM?'
+      });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Topic not found');
+  });
+
+  test('editing a prompt records a version and supersedes tests of the old one', async () => {
+    const prompt = await Prompt.create({
+      userId,
+      topicId: new mongoose.Types.ObjectId(),
+      personaId: new mongoose.Types.ObjectId(),
+      queryType: 'Commercial',
+      title: 'Best CRM',
+      text: 'What is the best CRM for startups?'
+    });
+    await PromptTest.create({
+      userId,
+      promptId: prompt._id,
+      topicId: prompt.topicId,
+      personaId: prompt.personaId,
+      promptText: prompt.text,
+      queryType: prompt.queryType,
+      llmProvider: 'openai',
+      llmModel: 'gpt-4o',
+      rawResponse: 'HubSpot is a good start.',
+      status: 'completed'
+    });
+
+    const edited = await request(app)
+      .put(`/api/prompts/${prompt._id}`)
+      .set('Authorization', authHeader(userId))
+      .send({ text: 'What is the best CRM for early-stage startups?', changeNote: 'Narrow the audience' });
+
+    expect(edited.status).toBe(200);
+    expect(edited.body.data.currentVersion).toBe(2);
+    expect(edited.body.version).toMatchObject({ version: 2, changedFields: ['text'], changeNote: 'Narrow the audience' });
+
+    const history = await request(app)
+      .get(`/api/prompts/${prompt._id}/versions`)
+      .set('Authorization', authHeader(userId));
+    expect(history.body.data.versions.map(v => [v.version, v.isCurrent])).toEqual([[2, true], [1, false]]);
+    expect(history.body.data.versions[1].tests).toMatchObject({ version: 1, totalTests: 1 });
+
+    const oldTest = await PromptTest.findOne({ promptId: prompt._id }).lean();
+    expect(oldTest.promptVersion).toBe(1);
+    expect(oldTest.supersededAt).toBeInstanceOf(Date);
+  });
+
+  test('lists the enabled LLM providers', async () => {
+    const res = await request(app).get('/api/prompts/test/providers').set('Authorization', authHeader(userId));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(p => p.id)).toEqual(expect.arrayContaining(['openai', 'perplexity']));
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Shared setup for route suites: a MongoDB database per suite, a minimal
+ * Express app mounting the routers under test, and JWTs for authenticateToken
+ *
+ * Suites run against an in-memory MongoDB, or against MONGODB_URI when it is
+ * set (e.g. where the mongodb-memory-server binary can't be downloaded). Each
+ * suite gets its own database there, dropped when the suite ends.
+ */
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { errorHandler, notFoundHandler } = require('../../middleware/errorHandler');
+
+// First runs download the MongoDB binary: beforeAll(startDatabase, DATABASE_TIMEOUT_MS)
+const DATABASE_TIMEOUT_MS = 120000;
+
+let mongoServer;
+
+async function startDatabase() {
+  const suite = path.basename(expect.getState().testPath, '.test.js');
+  const dbName = `rankly-test-${suite}-${process.env.JEST_WORKER_ID || 1}`;
+
+  if (process.env.MONGODB_URI) {
+    await mongoose.connect(process.env.MONGODB_URI, { dbName });
+    return;
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri(), { dbName });
+}
+
+async function clearDatabase() {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+async function stopDatabase() {
+  if (mongoServer) {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+    mongoServer = null;
+  } else if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+}
+
+/**
+ * @param {Object<string, express.Router>} routers - Mount path -> router
+ */
+function buildApp(routers) {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routers).forEach(([mountPath, router]) => app.use(mountPath, router));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+}
+
+function authHeader(userId) {
+  const token = jwt.sign({ userId: userId.toString() }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  return `Bearer ${token}`;
+}
+
+module.exports = {
+  DATABASE_TIMEOUT_MS,
+  startDatabase,
+  clearDatabase,
+  stopDatabase,
+  buildApp,
+  authHeader
+};
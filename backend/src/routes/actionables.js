@@ -3,13 +3,21 @@ const mongoose = require('mongoose');
 const router = express.Router();
 
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
-const { asyncHandler, NotFoundError, ValidationError, AppError } = require('../middleware/errorHandler');
+const { asyncHandler, NotFoundError, ValidationError, ConflictError, AppError } = require('../middleware/errorHandler');
 const PromptTest = require('../models/PromptTest');
 const UrlAnalysis = require('../models/UrlAnalysis');
 const UrlMappingRule = require('../models/UrlMappingRule');
-const { normalizeActionableUrl, canonicalizeUrl } = require('../utils/actionablesUrlNormalizer');
+const {
+  normalizeActionableUrl,
+  canonicalizeUrl,
+  buildFullUrlFromCanonical,
+  validateMappingRule,
+} = require('../utils/actionablesUrlNormalizer');
+const { parseCsv } = require('../utils/csv');
+const { buildTrafficIndex, summarizeTraffic, determineActionableReason } = require('../utils/actionableTraffic');
 const websiteAnalysisService = require('../services/websiteAnalysisService');
 const contentRegenerationService = require('../services/contentRegenerationService');
+const landingPageTrafficService = require('../services/landingPageTrafficService');
 
 function sanitizeCandidateUrl(rawUrl) {
   if (!rawUrl || typeof rawUrl !== 'string') {
@@ -37,6 +45,102 @@ function sanitizeCandidateUrl(rawUrl) {
   return null;
 }
 
+const MAX_MAPPING_NOTE_LENGTH = 500;
+const MAX_MAPPING_IMPORT_ROWS = 5000;
+
+// Header names accepted in redirect CSVs (compared lowercased, spaces and underscores removed)
+const CSV_SOURCE_HEADERS = ['source', 'sourceurl', 'from', 'fromurl', 'oldurl', 'redirectfrom'];
+const CSV_TARGET_HEADERS = ['target', 'targeturl', 'to', 'tourl', 'destination', 'newurl', 'redirectto'];
+const CSV_MATCH_TYPE_HEADERS = ['match', 'matchtype'];
+const CSV_NOTE_HEADERS = ['note', 'notes', 'comment'];
+
+async function findOwnedUrlAnalysis(userId, urlAnalysisId) {
+  if (!urlAnalysisId || !mongoose.Types.ObjectId.isValid(urlAnalysisId)) {
+    throw new ValidationError('urlAnalysisId is required', [
+      { field: 'urlAnalysisId', message: 'Provide the analysis the mapping belongs to.' },
+    ]);
+  }
+
+  const urlAnalysis = await UrlAnalysis.findOne({ _id: urlAnalysisId, userId }).select('_id url').lean();
+  if (!urlAnalysis) {
+    throw new NotFoundError('URL analysis');
+  }
+  return urlAnalysis;
+}
+
+/**
+ * Validate a mapping rule from a request body or CSV row
+ * @returns {{ rule?: object, errors: Array<{ field: string, message: string }> }}
+ */
+function parseMappingRuleInput({ sourceUrl, targetUrl, matchType, note } = {}) {
+  const resolvedMatchType = matchType || (typeof sourceUrl === 'string' && sourceUrl.includes('*') ? 'wildcard' : 'prefix');
+  const errors = validateMappingRule({ sourceUrl, targetUrl, matchType: resolvedMatchType });
+
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_MAPPING_NOTE_LENGTH)) {
+    errors.push({ field: 'note', message: `note must be a string of at most ${MAX_MAPPING_NOTE_LENGTH} characters` });
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    errors,
+    rule: {
+      // Stored canonicalized so the same page can't get two rules through spelling differences
+      sourceUrl: buildFullUrlFromCanonical(canonicalizeUrl(sourceUrl)),
+      targetUrl: buildFullUrlFromCanonical(canonicalizeUrl(targetUrl)),
+      matchType: resolvedMatchType,
+      note: note ? note.trim() : undefined,
+    },
+  };
+}
+
+function formatMappingRule(rule) {
+  return {
+    id: String(rule._id),
+    urlAnalysisId: String(rule.urlAnalysisId),
+    sourceUrl: rule.sourceUrl,
+    targetUrl: rule.targetUrl,
+    matchType: rule.matchType || 'prefix',
+    note: rule.note || undefined,
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt,
+  };
+}
+
+/**
+ * Turn parsed CSV rows into mapping rule inputs, using the header row when present
+ * @returns {Array<{ line: number, input: object }>}
+ */
+function readMappingCsvRows(rows) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headerKeys = rows[0].cells.map((cell) => cell.toLowerCase().replace(/[\s_-]/g, ''));
+  const findColumn = (names) => headerKeys.findIndex((key) => names.includes(key));
+  const hasHeader = findColumn(CSV_SOURCE_HEADERS) !== -1 && findColumn(CSV_TARGET_HEADERS) !== -1;
+
+  const columns = hasHeader
+    ? {
+        source: findColumn(CSV_SOURCE_HEADERS),
+        target: findColumn(CSV_TARGET_HEADERS),
+        matchType: findColumn(CSV_MATCH_TYPE_HEADERS),
+        note: findColumn(CSV_NOTE_HEADERS),
+      }
+    : { source: 0, target: 1, matchType: -1, note: 2 };
+
+  return rows.slice(hasHeader ? 1 : 0).map(({ line, cells }) => ({
+    line,
+    input: {
+      sourceUrl: cells[columns.source],
+      targetUrl: cells[columns.target],
+      matchType: columns.matchType >= 0 ? (cells[columns.matchType] || '').toLowerCase() || undefined : undefined,
+      note: columns.note >= 0 ? cells[columns.note] || undefined : undefined,
+    },
+  }));
+}
+
 function formatScrapedContentToMarkdown(scrapeResult, resolvedUrl) {
   if (!scrapeResult || typeof scrapeResult !== 'object') {
     return 'No content available.';
@@ -140,7 +244,7 @@ function formatScrapedContentToMarkdown(scrapeResult, resolvedUrl) {
 
 router.get('/pages', authenticateToken, asyncHandler(async (req, res) => {
   const userId = req.userId;
-  const { urlAnalysisId } = req.query;
+  const { urlAnalysisId, dateRange = '30 days', conversionEvent = 'conversions' } = req.query;
 
   let targetUrlAnalysis = null;
 
@@ -238,37 +342,99 @@ router.get('/pages', authenticateToken, asyncHandler(async (req, res) => {
     });
   });
 
+  // LLM landing-page traffic from GA4; rows still render (reason 'unknown') when it is unavailable
+  const ga4 = { available: false, warning: null };
+  let currentTraffic = new Map();
+  let previousTraffic = new Map();
+
+  try {
+    const connection = await landingPageTrafficService.resolveConnection(req);
+    if (connection) {
+      const report = await landingPageTrafficService.getLandingPageTraffic(connection, { dateRange, conversionEvent });
+      const baseUrl = connection.defaultUri || targetUrlAnalysis.url;
+      currentTraffic = buildTrafficIndex(report.current, { baseUrl, mappingRules });
+      previousTraffic = buildTrafficIndex(report.previous, { baseUrl, mappingRules });
+      Object.assign(ga4, {
+        available: true,
+        startDate: report.startDate,
+        endDate: report.endDate,
+        comparisonStartDate: report.comparisonStartDate,
+        comparisonEndDate: report.comparisonEndDate,
+        conversionMetric: report.conversionMetric,
+      });
+    } else {
+      ga4.warning = 'Connect GA4 and select a property to see LLM traffic for these pages.';
+    }
+  } catch (error) {
+    console.warn('⚠️ [actionables] Could not load GA4 landing page traffic:', error.response?.data?.error?.message || error.message);
+    ga4.warning = 'GA4 traffic could not be loaded. Showing citations only.';
+  }
+
   const analysisCanonical = canonicalizeUrl(targetUrlAnalysis.url);
   const analysisHostname = analysisCanonical ? analysisCanonical.split('/')[0] : '';
 
-  const rows = Array.from(citationMap.values())
-    .map((entry) => {
-      const hasMappingWarning = Boolean(
-        analysisHostname &&
-          entry.hostname &&
-          entry.hostname !== analysisHostname &&
-          !entry.mapping,
-      );
+  const trafficFor = (key) => (ga4.available ? summarizeTraffic(currentTraffic.get(key), previousTraffic.get(key)) : null);
+
+  const citedRows = Array.from(citationMap.values()).map((entry) => {
+    const hasMappingWarning = Boolean(
+      analysisHostname &&
+        entry.hostname &&
+        entry.hostname !== analysisHostname &&
+        !entry.mapping,
+    );
+    const traffic = trafficFor(entry.id);
+
+    return {
+      id: entry.id,
+      url: entry.normalizedUrl,
+      normalizedUrl: entry.normalizedUrl,
+      hostname: entry.hostname,
+      sourceUrls: Array.from(entry.sourceUrls),
+      traffic: traffic || { sessions: 0 },
+      citations: {
+        platforms: Array.from(entry.platforms),
+        totalCitations: entry.details.length,
+        details: entry.details,
+      },
+      recommendedAction: 'regenerate-content',
+      actionableReason: determineActionableReason({ totalCitations: entry.details.length, traffic }),
+      hasMappingWarning,
+      mapping: entry.mapping || undefined,
+    };
+  });
+
+  // Landing pages LLM visitors reach (now or in the previous period) that no answer engine cites
+  const trafficOnlyKeys = new Set([...currentTraffic.keys(), ...previousTraffic.keys()]);
+  const trafficOnlyRows = Array.from(trafficOnlyKeys)
+    .filter((key) => !citationMap.has(key))
+    .map((key) => {
+      const entry = currentTraffic.get(key) || previousTraffic.get(key);
+      const traffic = trafficFor(key);
 
       return {
-        id: entry.id,
+        id: key,
         url: entry.normalizedUrl,
         normalizedUrl: entry.normalizedUrl,
         hostname: entry.hostname,
-        sourceUrls: Array.from(entry.sourceUrls),
-        traffic: { sessions: 0 },
+        sourceUrls: [],
+        traffic,
         citations: {
-          platforms: Array.from(entry.platforms),
-          totalCitations: entry.details.length,
-          details: entry.details,
+          platforms: [],
+          totalCitations: 0,
+          details: [],
         },
         recommendedAction: 'regenerate-content',
-        actionableReason: 'unknown',
-        hasMappingWarning,
+        actionableReason: determineActionableReason({ totalCitations: 0, traffic }),
+        hasMappingWarning: false,
         mapping: entry.mapping || undefined,
       };
-    })
-    .sort((a, b) => b.citations.totalCitations - a.citations.totalCitations);
+    });
+
+  const rows = [...citedRows, ...trafficOnlyRows].sort(
+    (a, b) =>
+      b.citations.totalCitations - a.citations.totalCitations ||
+      (b.traffic.sessions || 0) - (a.traffic.sessions || 0),
+  );
 
   res.json({
     success: true,
@@ -276,11 +442,178 @@ router.get('/pages', authenticateToken, asyncHandler(async (req, res) => {
       urlAnalysisId: targetUrlAnalysisId,
       pageCount: rows.length,
       mappingsApplied: mappingRules.length,
+      ga4,
       rows,
     },
   });
 }));
 
+router.get('/mappings', authenticateToken, asyncHandler(async (req, res) => {
+  const urlAnalysis = await findOwnedUrlAnalysis(req.userId, req.query.urlAnalysisId);
+
+  const rules = await UrlMappingRule.find({ userId: req.userId, urlAnalysisId: urlAnalysis._id })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: rules.map(formatMappingRule),
+  });
+}));
+
+router.post('/mappings', authenticateToken, asyncHandler(async (req, res) => {
+  const urlAnalysis = await findOwnedUrlAnalysis(req.userId, req.body?.urlAnalysisId);
+  const { rule, errors } = parseMappingRuleInput(req.body);
+  if (!rule) {
+    throw new ValidationError('Invalid mapping rule', errors);
+  }
+
+  const existing = await UrlMappingRule.findOne({
+    userId: req.userId,
+    urlAnalysisId: urlAnalysis._id,
+    sourceUrl: rule.sourceUrl,
+  }).lean();
+  if (existing) {
+    throw new ConflictError(`A mapping for ${rule.sourceUrl} already exists`);
+  }
+
+  const created = await UrlMappingRule.create({
+    ...rule,
+    userId: req.userId,
+    urlAnalysisId: urlAnalysis._id,
+  });
+
+  console.log(`🔀 [actionables] Mapping created: ${rule.sourceUrl} -> ${rule.targetUrl} (${rule.matchType})`);
+
+  res.status(201).json({
+    success: true,
+    data: formatMappingRule(created.toObject()),
+  });
+}));
+
+router.post('/mappings/import', authenticateToken, asyncHandler(async (req, res) => {
+  const urlAnalysis = await findOwnedUrlAnalysis(req.userId, req.body?.urlAnalysisId);
+  const { csv } = req.body || {};
+
+  if (!csv || typeof csv !== 'string') {
+    throw new ValidationError('csv is required', [
+      { field: 'csv', message: 'Provide the CSV file contents as text.' },
+    ]);
+  }
+
+  const csvRows = readMappingCsvRows(parseCsv(csv));
+  if (csvRows.length > MAX_MAPPING_IMPORT_ROWS) {
+    throw new ValidationError(`A CSV import can contain at most ${MAX_MAPPING_IMPORT_ROWS} rows`, [
+      { field: 'csv', message: `Split the file into chunks of ${MAX_MAPPING_IMPORT_ROWS} rows.` },
+    ]);
+  }
+
+  const skipped = [];
+  const rulesBySource = new Map(); // later rows win over earlier rows for the same source
+
+  csvRows.forEach(({ line, input }) => {
+    const { rule, errors } = parseMappingRuleInput(input);
+    if (!rule) {
+      skipped.push({ line, message: errors.map((error) => error.message).join('; ') });
+      return;
+    }
+    rulesBySource.set(rule.sourceUrl, rule);
+  });
+
+  const existingSources = new Set(
+    (await UrlMappingRule.find({
+      userId: req.userId,
+      urlAnalysisId: urlAnalysis._id,
+      sourceUrl: { $in: Array.from(rulesBySource.keys()) },
+    }).select('sourceUrl').lean()).map((rule) => rule.sourceUrl),
+  );
+
+  const now = new Date();
+  if (rulesBySource.size > 0) {
+    await UrlMappingRule.bulkWrite(Array.from(rulesBySource.values()).map((rule) => ({
+      updateOne: {
+        filter: { userId: req.userId, urlAnalysisId: urlAnalysis._id, sourceUrl: rule.sourceUrl },
+        update: {
+          $set: { targetUrl: rule.targetUrl, matchType: rule.matchType, note: rule.note, updatedAt: now },
+          $setOnInsert: { createdAt: now },
+        },
+        upsert: true,
+      },
+    })));
+  }
+
+  const updated = Array.from(rulesBySource.keys()).filter((source) => existingSources.has(source)).length;
+
+  console.log(`🔀 [actionables] Imported ${rulesBySource.size} mappings from CSV (${skipped.length} rows skipped)`);
+
+  res.json({
+    success: true,
+    data: {
+      imported: rulesBySource.size,
+      created: rulesBySource.size - updated,
+      updated,
+      skipped,
+    },
+  });
+}));
+
+router.put('/mappings/:id', authenticateToken, asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new NotFoundError('Mapping rule');
+  }
+
+  const existing = await UrlMappingRule.findOne({ _id: req.params.id, userId: req.userId });
+  if (!existing) {
+    throw new NotFoundError('Mapping rule');
+  }
+
+  const { rule, errors } = parseMappingRuleInput({
+    sourceUrl: req.body?.sourceUrl ?? existing.sourceUrl,
+    targetUrl: req.body?.targetUrl ?? existing.targetUrl,
+    matchType: req.body?.matchType ?? existing.matchType,
+    note: req.body?.note !== undefined ? req.body.note : existing.note,
+  });
+  if (!rule) {
+    throw new ValidationError('Invalid mapping rule', errors);
+  }
+
+  if (rule.sourceUrl !== existing.sourceUrl) {
+    const duplicate = await UrlMappingRule.exists({
+      _id: { $ne: existing._id },
+      userId: req.userId,
+      urlAnalysisId: existing.urlAnalysisId,
+      sourceUrl: rule.sourceUrl,
+    });
+    if (duplicate) {
+      throw new ConflictError(`A mapping for ${rule.sourceUrl} already exists`);
+    }
+  }
+
+  Object.assign(existing, rule);
+  await existing.save();
+
+  res.json({
+    success: true,
+    data: formatMappingRule(existing.toObject()),
+  });
+}));
+
+router.delete('/mappings/:id', authenticateToken, asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new NotFoundError('Mapping rule');
+  }
+
+  const deleted = await UrlMappingRule.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+  if (!deleted) {
+    throw new NotFoundError('Mapping rule');
+  }
+
+  res.json({
+    success: true,
+    message: 'Mapping rule deleted',
+  });
+}));
+
 router.post('/page-content', optionalAuth, asyncHandler(async (req, res) => {
   const { url, normalizedUrl, mapping, mappingTargetUrl, sourceUrls = [] } = req.body || {};
 
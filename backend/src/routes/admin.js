@@ -0,0 +1,73 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const { authenticateToken, requireAdmin, requireUserSession } = require('../middleware/auth');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const User = require('../models/User');
+
+const MAX_USERS = 200;
+
+router.use(authenticateToken, requireUserSession, requireAdmin);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * GET /api/admin/users
+ * Query: search? (email or name), limit? (default 50, max 200)
+ */
+router.get('/users', asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_USERS);
+  const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+
+  const query = search
+    ? { $or: ['email', 'firstName', 'lastName'].map(field => ({ [field]: new RegExp(escapeRegex(search), 'i') })) }
+    : {};
+
+  const users = await User.find(query)
+    .select('email firstName lastName companyName access isAdmin lastLogin createdAt')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  res.json({ success: true, data: users });
+}));
+
+/**
+ * PATCH /api/admin/users/:id
+ * Body: { access?, isAdmin? } - grant or revoke dashboard access and admin rights
+ */
+router.patch('/users/:id', asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new ValidationError('Invalid id', [{ field: 'id', message: 'id must be a valid id' }]);
+  }
+
+  const updates = {};
+  const errors = [];
+  ['access', 'isAdmin'].forEach(field => {
+    if (req.body[field] === undefined) return;
+    if (typeof req.body[field] !== 'boolean') {
+      errors.push({ field, message: `${field} must be true or false` });
+    } else {
+      updates[field] = req.body[field];
+    }
+  });
+  if (req.params.id === req.userId.toString() && updates.isAdmin === false) {
+    errors.push({ field: 'isAdmin', message: 'You cannot remove your own admin rights' });
+  }
+  if (errors.length > 0 || Object.keys(updates).length === 0) {
+    throw new ValidationError('Invalid update', errors.length > 0 ? errors : [{ field: 'access', message: 'Provide access or isAdmin' }]);
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { $set: { ...updates, updatedAt: new Date() } },
+    { new: true }
+  ).select('email firstName lastName companyName access isAdmin lastLogin createdAt');
+  if (!user) throw new NotFoundError('User');
+
+  console.log(`🛡️ [Admin] ${req.userId} set ${JSON.stringify(updates)} for user ${user._id} (${user.email})`);
+  res.json({ success: true, message: 'User updated', data: user });
+}));
+
+module.exports = router;
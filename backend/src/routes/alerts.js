@@ -0,0 +1,261 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const alertService = require('../services/alertService');
+const { validateAlertRule } = require('../utils/alertRules');
+const { BLOCKED_ADDRESS, assertPublicUrl } = require('../utils/addressGuard');
+
+const WEBHOOK_FORMATS = ['slack', 'json'];
+const MAX_EVENTS = 200;
+
+function assertObjectId(value, field) {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ValidationError(`Invalid ${field}`, [{ field, message: `${field} must be a valid id` }]);
+  }
+}
+
+function validateRuleRefs({ urlAnalysisId, webhookIds }) {
+  if (urlAnalysisId) assertObjectId(urlAnalysisId, 'urlAnalysisId');
+  if (webhookIds !== undefined &&
+    !(Array.isArray(webhookIds) && webhookIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+    throw new ValidationError('Invalid webhookIds', [{ field: 'webhookIds', message: 'webhookIds must be an array of webhook ids' }]);
+  }
+}
+
+/**
+ * Webhook fields from a request body; everything is required on create
+ */
+function validateWebhook({ name, url, format, secret }, { partial = false } = {}) {
+  const errors = [];
+
+  if ((!partial || name !== undefined) && !(typeof name === 'string' && name.trim())) {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+  if (!partial || url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      // reported below
+    }
+    const protocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!parsed || !protocols.includes(parsed.protocol)) {
+      errors.push({ field: 'url', message: `url must be an ${protocols.map(p => p.slice(0, -1)).join(' or ')} URL` });
+    }
+  }
+  if (format !== undefined && !WEBHOOK_FORMATS.includes(format)) {
+    errors.push({ field: 'format', message: `format must be one of: ${WEBHOOK_FORMATS.join(', ')}` });
+  }
+  if (secret !== undefined && secret !== null && typeof secret !== 'string') {
+    errors.push({ field: 'secret', message: 'secret must be a string' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid webhook', errors);
+  }
+}
+
+/**
+ * Webhook URLs must resolve to public addresses; deliveries check again (alertService.post)
+ */
+async function validateWebhookAddress(url) {
+  try {
+    await assertPublicUrl(url);
+  } catch (error) {
+    const message = error.code === BLOCKED_ADDRESS
+      ? 'url must not point to a private or reserved address'
+      : 'url host could not be resolved';
+    throw new ValidationError('Invalid webhook', [{ field: 'url', message }]);
+  }
+}
+
+/**
+ * GET /api/alerts/rules
+ * Query: urlAnalysisId? (rules for that analysis plus the ones for every analysis)
+ */
+router.get('/rules', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId } = req.query;
+  if (urlAnalysisId) assertObjectId(urlAnalysisId, 'urlAnalysisId');
+
+  res.json({
+    success: true,
+    data: await alertService.listRules(req.userId, { urlAnalysisId })
+  });
+}));
+
+/**
+ * POST /api/alerts/rules
+ * Body: { name, metric, condition, threshold, scope?, scopeValue?, brandName?, urlAnalysisId?,
+ *   webhookIds?, cooldownHours?, enabled? } - see models/AlertRule
+ */
+router.post('/rules', authenticateToken, asyncHandler(async (req, res) => {
+  const errors = validateAlertRule(req.body);
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid alert rule', errors);
+  }
+  validateRuleRefs(req.body);
+
+  const rule = await alertService.createRule(req.userId, req.body);
+  if (!rule) {
+    throw new NotFoundError('URL analysis');
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Alert rule created',
+    data: rule
+  });
+}));
+
+/**
+ * PATCH /api/alerts/rules/:id
+ */
+router.patch('/rules/:id', authenticateToken, asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+
+  const existing = await alertService.getRule(req.params.id, req.userId);
+  if (!existing) {
+    throw new NotFoundError('Alert rule');
+  }
+
+  const errors = validateAlertRule({ ...existing, ...req.body });
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid alert rule', errors);
+  }
+  validateRuleRefs(req.body);
+
+  const rule = await alertService.updateRule(req.params.id, req.userId, req.body);
+  if (!rule) {
+    throw new NotFoundError('URL analysis');
+  }
+
+  res.json({
+    success: true,
+    message: 'Alert rule updated',
+    data: rule
+  });
+}));
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * The rule's alert history is kept
+ */
+router.delete('/rules/:id', authenticateToken, asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+
+  const deleted = await alertService.deleteRule(req.params.id, req.userId);
+  if (!deleted) {
+    throw new NotFoundError('Alert rule');
+  }
+
+  res.json({
+    success: true,
+    message: 'Alert rule deleted'
+  });
+}));
+
+/**
+ * GET /api/alerts/webhooks
+ */
+router.get('/webhooks', authenticateToken, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await alertService.listWebhooks(req.userId)
+  });
+}));
+
+/**
+ * POST /api/alerts/webhooks
+ * Body: { name, url, format?: 'slack'|'json', secret? }
+ */
+router.post('/webhooks', authenticateToken, asyncHandler(async (req, res) => {
+  validateWebhook(req.body);
+  await validateWebhookAddress(req.body.url);
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook added',
+    data: await alertService.createWebhook(req.userId, req.body)
+  });
+}));
+
+/**
+ * PATCH /api/alerts/webhooks/:id
+ */
+router.patch('/webhooks/:id', authenticateToken, asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+  validateWebhook(req.body, { partial: true });
+  if (req.body.url !== undefined) {
+    await validateWebhookAddress(req.body.url);
+  }
+
+  const webhook = await alertService.updateWebhook(req.params.id, req.userId, req.body);
+  if (!webhook) {
+    throw new NotFoundError('Webhook');
+  }
+
+  res.json({
+    success: true,
+    message: 'Webhook updated',
+    data: webhook
+  });
+}));
+
+/**
+ * DELETE /api/alerts/webhooks/:id
+ * Also removes the webhook from every rule
+ */
+router.delete('/webhooks/:id', authenticateToken, asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+
+  const deleted = await alertService.deleteWebhook(req.params.id, req.userId);
+  if (!deleted) {
+    throw new NotFoundError('Webhook');
+  }
+
+  res.json({
+    success: true,
+    message: 'Webhook deleted'
+  });
+}));
+
+/**
+ * POST /api/alerts/webhooks/:id/test
+ * Send a sample alert and report whether the endpoint accepted it
+ */
+router.post('/webhooks/:id/test', authenticateToken, asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+
+  const result = await alertService.testWebhook(req.params.id, req.userId);
+  if (!result) {
+    throw new NotFoundError('Webhook');
+  }
+
+  res.json({
+    success: true,
+    message: result.delivered ? 'Test alert delivered' : `Delivery failed: ${result.error}`,
+    data: result
+  });
+}));
+
+/**
+ * GET /api/alerts/events
+ * Alert history, newest first
+ * Query: urlAnalysisId?, ruleId?, limit? (default 50, max 200)
+ */
+router.get('/events', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId, ruleId } = req.query;
+  if (urlAnalysisId) assertObjectId(urlAnalysisId, 'urlAnalysisId');
+  if (ruleId) assertObjectId(ruleId, 'ruleId');
+  const limit = Math.min(MAX_EVENTS, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  res.json({
+    success: true,
+    data: await alertService.listEvents(req.userId, { urlAnalysisId, ruleId, limit })
+  });
+}));
+
+module.exports = router;
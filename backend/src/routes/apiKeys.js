@@ -0,0 +1,82 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const apiKeyService = require('../services/apiKeyService');
+const { validateApiKeyInput } = require('../utils/apiKeys');
+
+// Keys are managed from the app only; a key can't list, create or revoke keys
+router.use(authenticateToken, requireUserSession);
+
+function assertObjectId(value, field) {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ValidationError(`Invalid ${field}`, [{ field, message: `${field} must be a valid id` }]);
+  }
+}
+
+/**
+ * GET /api/api-keys
+ * Active keys (without the keys themselves)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await apiKeyService.listKeys(req.userId)
+  });
+}));
+
+/**
+ * POST /api/api-keys
+ * Body: { name, scopes: ['read'] | ['read', 'write'], rateLimitPerMinute?, expiresInDays? }
+ * The key is in data.key and is never shown again
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const errors = validateApiKeyInput(req.body);
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid API key', errors);
+  }
+
+  const { apiKey, key } = await apiKeyService.createKey(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now, it will not be shown again.',
+    data: { ...apiKey.toJSON(), key }
+  });
+}));
+
+/**
+ * PATCH /api/api-keys/:id
+ * Body: { name?, scopes?, rateLimitPerMinute? }
+ */
+router.patch('/:id', asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+
+  const { name, scopes, rateLimitPerMinute } = req.body;
+  const errors = validateApiKeyInput({ name, scopes, rateLimitPerMinute }, { partial: true });
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid API key', errors);
+  }
+
+  const apiKey = await apiKeyService.updateKey(req.userId, req.params.id, { name, scopes, rateLimitPerMinute });
+  if (!apiKey) throw new NotFoundError('API key');
+
+  res.json({ success: true, message: 'API key updated', data: apiKey });
+}));
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke a key; requests using it fail from now on
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+
+  const revoked = await apiKeyService.revokeKey(req.userId, req.params.id);
+  if (!revoked) throw new NotFoundError('API key');
+
+  res.json({ success: true, message: 'API key revoked' });
+}));
+
+module.exports = router;
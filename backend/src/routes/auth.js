@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const passport = require('passport');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const workspaceService = require('../services/workspaceService');
 const router = express.Router();
 
 // Generate JWT token
@@ -40,19 +41,13 @@ router.post('/register', [
       });
     }
 
-    // Check if email is in allowed list for dashboard access
-    const allowedEmails = ['sj@tryrankly.com', 'satyajeetdas225@gmail.com'];
-    const userEmailLower = email.toLowerCase();
-    const hasAccess = allowedEmails.includes(userEmailLower);
-    
-    // Create new user
+    // Create new user (dashboard access is granted by an admin)
     const user = new User({
       email,
       password,
       firstName,
       lastName,
-      companyName: companyName || '',
-      access: hasAccess // Set access based on email
+      companyName: companyName || ''
     });
 
     await user.save();
@@ -167,10 +162,14 @@ router.get('/me', async (req, res) => {
       });
     }
 
+    // access is effective access: the user's own flag or their workspace owner's
     res.json({
       success: true,
       data: {
-        user: user.toJSON()
+        user: {
+          ...user.toJSON(),
+          access: await workspaceService.hasDashboardAccess(user)
+        }
       }
     });
 
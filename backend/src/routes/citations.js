@@ -1,9 +1,285 @@
 const express = require('express');
-const { asyncHandler } = require('../middleware/errorHandler');
+const mongoose = require('mongoose');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const PromptTest = require('../models/PromptTest');
 const UrlAnalysis = require('../models/UrlAnalysis');
+const CitationOverrideRule = require('../models/CitationOverrideRule');
+const citationDomainService = require('../services/citationDomainService');
+const citationVerificationService = require('../services/citationVerificationService');
+const metricsAggregationService = require('../services/metricsAggregationService');
+const citationOverrideService = require('../services/citationOverrideService');
+const { normalizeOverridePattern, validateCitationOverride } = require('../utils/citationOverrides');
+const { toList } = require('../utils/queryFilters');
+
+const MAX_OVERRIDE_NOTE_LENGTH = 500;
+
+/**
+ * Third-party domains cited by answer engines, ranked, with platform/topic breakdowns
+ * and the competitors each domain cites
+ * GET /api/dashboard/citations/domains?urlAnalysisId=&platforms=&topics=&outreachOnly=true&limit=
+ */
+router.get('/domains', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId, platforms, topics, outreachOnly, limit } = req.query;
+
+  if (urlAnalysisId && !mongoose.Types.ObjectId.isValid(urlAnalysisId)) {
+    throw new ValidationError('Invalid urlAnalysisId', [{ field: 'urlAnalysisId', message: 'Must be a valid ID' }]);
+  }
+
+  const parsedLimit = limit !== undefined ? parseInt(limit, 10) : 100;
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 500) {
+    throw new ValidationError('Invalid limit', [{ field: 'limit', message: 'limit must be between 1 and 500' }]);
+  }
+
+  const data = await citationDomainService.getDomainLeaderboard({
+    userId: req.userId,
+    urlAnalysisId,
+    platforms: toList(platforms),
+    topics: toList(topics),
+    outreachOnly: outreachOnly === 'true',
+    limit: parsedLimit
+  });
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+/**
+ * Load an analysis owned by the user, validating the ID
+ */
+const findOwnedAnalysis = async (userId, urlAnalysisId) => {
+  if (!urlAnalysisId || !mongoose.Types.ObjectId.isValid(urlAnalysisId)) {
+    throw new ValidationError('Invalid urlAnalysisId', [{ field: 'urlAnalysisId', message: 'Must be a valid ID' }]);
+  }
+
+  const urlAnalysis = await UrlAnalysis.findOne({ _id: urlAnalysisId, userId }).select('citationSettings');
+  if (!urlAnalysis) {
+    throw new NotFoundError('URL analysis');
+  }
+  return urlAnalysis;
+};
+
+/**
+ * Check cited URLs for liveness and brand mentions in the background
+ * POST /api/dashboard/citations/verify { urlAnalysisId, force }
+ */
+router.post('/verify', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId, force } = req.body;
+  await findOwnedAnalysis(req.userId, urlAnalysisId);
+
+  const started = citationVerificationService.startVerification(req.userId, urlAnalysisId, { force: force === true });
+
+  res.status(202).json({
+    success: true,
+    message: started ? 'Citation verification started' : 'Citation verification already running',
+    data: { running: true }
+  });
+}));
+
+/**
+ * Verification results for an analysis's cited URLs, problem URLs first
+ * GET /api/dashboard/citations/verification?urlAnalysisId=
+ */
+router.get('/verification', authenticateToken, asyncHandler(async (req, res) => {
+  const urlAnalysis = await findOwnedAnalysis(req.userId, req.query.urlAnalysisId);
+  const summary = await citationVerificationService.getSummary(req.userId, urlAnalysis._id);
+
+  res.json({
+    success: true,
+    data: {
+      ...summary,
+      excludeHallucinated: Boolean(urlAnalysis.citationSettings?.excludeHallucinated)
+    }
+  });
+}));
+
+/**
+ * Toggle whether hallucinated citations count towards citation share, then re-aggregate
+ * PUT /api/dashboard/citations/verification/settings { urlAnalysisId, excludeHallucinated }
+ */
+router.put('/verification/settings', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId, excludeHallucinated } = req.body;
+  if (typeof excludeHallucinated !== 'boolean') {
+    throw new ValidationError('Invalid settings', [{ field: 'excludeHallucinated', message: 'excludeHallucinated must be a boolean' }]);
+  }
+
+  const urlAnalysis = await findOwnedAnalysis(req.userId, urlAnalysisId);
+  urlAnalysis.set('citationSettings.excludeHallucinated', excludeHallucinated);
+  await urlAnalysis.save();
+
+  const result = await metricsAggregationService.calculateMetrics(req.userId, { urlAnalysisId: urlAnalysis._id });
+
+  res.json({
+    success: true,
+    message: result.success ? 'Citation settings updated' : `Citation settings updated; metrics not recalculated: ${result.message}`,
+    data: { excludeHallucinated }
+  });
+}));
+
+/**
+ * Validate a classification override from a request body
+ * @returns {{ rule?: object, errors: Array<{ field: string, message: string }> }}
+ */
+const parseOverrideInput = ({ pattern, classification, brandName, note } = {}) => {
+  const errors = validateCitationOverride({ pattern, classification, brandName });
+
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_OVERRIDE_NOTE_LENGTH)) {
+    errors.push({ field: 'note', message: `note must be a string of at most ${MAX_OVERRIDE_NOTE_LENGTH} characters` });
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const ownsUrls = classification === 'brand' || classification === 'owned-competitor';
+  return {
+    errors,
+    rule: {
+      pattern: normalizeOverridePattern(pattern),
+      classification,
+      brandName: ownsUrls && typeof brandName === 'string' && brandName.trim() ? brandName.trim() : undefined,
+      note: note ? note.trim() : undefined
+    }
+  };
+};
+
+const formatOverrideRule = (rule) => ({
+  id: String(rule._id),
+  urlAnalysisId: String(rule.urlAnalysisId),
+  pattern: rule.pattern,
+  classification: rule.classification,
+  brandName: rule.brandName || undefined,
+  note: rule.note || undefined,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt
+});
+
+/**
+ * Classification override rules of an analysis
+ * GET /api/dashboard/citations/overrides?urlAnalysisId=
+ */
+router.get('/overrides', authenticateToken, asyncHandler(async (req, res) => {
+  const urlAnalysis = await findOwnedAnalysis(req.userId, req.query.urlAnalysisId);
+
+  const rules = await CitationOverrideRule.find({ userId: req.userId, urlAnalysisId: urlAnalysis._id })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: rules.map(formatOverrideRule)
+  });
+}));
+
+/**
+ * Add an override; applies to new tests right away and to existing ones after a reprocess
+ * POST /api/dashboard/citations/overrides { urlAnalysisId, pattern, classification, brandName, note }
+ */
+router.post('/overrides', authenticateToken, asyncHandler(async (req, res) => {
+  const urlAnalysis = await findOwnedAnalysis(req.userId, req.body?.urlAnalysisId);
+  const { rule, errors } = parseOverrideInput(req.body);
+  if (!rule) {
+    throw new ValidationError('Invalid override rule', errors);
+  }
+
+  const existing = await CitationOverrideRule.exists({ userId: req.userId, urlAnalysisId: urlAnalysis._id, pattern: rule.pattern });
+  if (existing) {
+    throw new ConflictError(`An override for ${rule.pattern} already exists`);
+  }
+
+  const created = await CitationOverrideRule.create({
+    ...rule,
+    userId: req.userId,
+    urlAnalysisId: urlAnalysis._id
+  });
+
+  console.log(`🏷️ [citations] Override created: ${rule.pattern} -> ${rule.classification}${rule.brandName ? ` (${rule.brandName})` : ''}`);
+
+  res.status(201).json({
+    success: true,
+    data: formatOverrideRule(created.toObject())
+  });
+}));
+
+/**
+ * PUT /api/dashboard/citations/overrides/:id
+ */
+router.put('/overrides/:id', authenticateToken, asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new NotFoundError('Override rule');
+  }
+
+  const existing = await CitationOverrideRule.findOne({ _id: req.params.id, userId: req.userId });
+  if (!existing) {
+    throw new NotFoundError('Override rule');
+  }
+
+  const { rule, errors } = parseOverrideInput({
+    pattern: req.body?.pattern ?? existing.pattern,
+    classification: req.body?.classification ?? existing.classification,
+    brandName: req.body?.brandName !== undefined ? req.body.brandName : existing.brandName,
+    note: req.body?.note !== undefined ? req.body.note : existing.note
+  });
+  if (!rule) {
+    throw new ValidationError('Invalid override rule', errors);
+  }
+
+  if (rule.pattern !== existing.pattern) {
+    const duplicate = await CitationOverrideRule.exists({
+      _id: { $ne: existing._id },
+      userId: req.userId,
+      urlAnalysisId: existing.urlAnalysisId,
+      pattern: rule.pattern
+    });
+    if (duplicate) {
+      throw new ConflictError(`An override for ${rule.pattern} already exists`);
+    }
+  }
+
+  existing.set(rule);
+  await existing.save();
+
+  res.json({
+    success: true,
+    data: formatOverrideRule(existing.toObject())
+  });
+}));
+
+/**
+ * DELETE /api/dashboard/citations/overrides/:id
+ */
+router.delete('/overrides/:id', authenticateToken, asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new NotFoundError('Override rule');
+  }
+
+  const deleted = await CitationOverrideRule.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+  if (!deleted) {
+    throw new NotFoundError('Override rule');
+  }
+
+  res.json({
+    success: true,
+    message: 'Override rule deleted'
+  });
+}));
+
+/**
+ * Reclassify the analysis's existing citations with the current rules and re-aggregate metrics
+ * POST /api/dashboard/citations/overrides/reprocess { urlAnalysisId }
+ */
+router.post('/overrides/reprocess', authenticateToken, asyncHandler(async (req, res) => {
+  const urlAnalysis = await findOwnedAnalysis(req.userId, req.body?.urlAnalysisId);
+  const data = await citationOverrideService.reprocessAnalysis(req.userId, urlAnalysis._id);
+
+  res.json({
+    success: true,
+    message: `${data.citationsChanged} citations reclassified`,
+    data
+  });
+}));
 
 /**
  * Test endpoint to debug citation data
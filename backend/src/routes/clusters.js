@@ -1,14 +1,91 @@
 const express = require('express');
-const { asyncHandler } = require('../middleware/errorHandler');
+const mongoose = require('mongoose');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
 const PromptTest = require('../models/PromptTest');
-const Prompt = require('../models/Prompt');
+const semanticClusterService = require('../services/semanticClusterService');
 const router = express.Router();
 
 
 const { authenticateToken } = require('../middleware/auth');
 
+const MAX_PROMOTED_PROMPTS = 500;
+
+function assertObjectId(value, field) {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ValidationError(`Invalid ${field}`, [{ field, message: `${field} must be a valid id` }]);
+  }
+}
+
 /**
  * GET /api/clusters
+ * Semantic clusters of the analysis' prompts (services/semanticClusterService)
+ * Query: urlAnalysisId? (default: latest analysis), threshold? (0-1 similarity cut-off),
+ *   groupBy=topic for the clusters of existing topics instead
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res, next) => {
+  const { urlAnalysisId, groupBy, threshold } = req.query;
+  if (groupBy === 'topic') {
+    return next();
+  }
+
+  if (urlAnalysisId) assertObjectId(urlAnalysisId, 'urlAnalysisId');
+  const cutoff = threshold !== undefined ? parseFloat(threshold) : null;
+  if (cutoff !== null && !(cutoff >= 0 && cutoff <= 1)) {
+    throw new ValidationError('Invalid threshold', [{ field: 'threshold', message: 'threshold must be a number between 0 and 1' }]);
+  }
+
+  res.json({
+    success: true,
+    data: await semanticClusterService.getClusters(req.userId, { urlAnalysisId, threshold: cutoff })
+  });
+}));
+
+/**
+ * POST /api/clusters/promote
+ * Turn a discovered cluster into a Topic; its prompts and their tests move to it
+ * Body: { urlAnalysisId, promptIds, name, description?, keywords? }
+ */
+router.post('/promote', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId, promptIds, name, description, keywords } = req.body;
+  const errors = [];
+
+  if (!mongoose.Types.ObjectId.isValid(urlAnalysisId)) {
+    errors.push({ field: 'urlAnalysisId', message: 'urlAnalysisId must be a valid id' });
+  }
+  if (!(Array.isArray(promptIds) && promptIds.length > 0 && promptIds.length <= MAX_PROMOTED_PROMPTS &&
+    promptIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+    errors.push({ field: 'promptIds', message: `promptIds must be an array of 1-${MAX_PROMOTED_PROMPTS} prompt ids` });
+  }
+  if (!(typeof name === 'string' && name.trim())) {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    errors.push({ field: 'description', message: 'description must be a string' });
+  }
+  if (keywords !== undefined && !(Array.isArray(keywords) && keywords.every(k => typeof k === 'string'))) {
+    errors.push({ field: 'keywords', message: 'keywords must be an array of strings' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid cluster promotion', errors);
+  }
+
+  const result = await semanticClusterService.promoteCluster(req.userId, {
+    urlAnalysisId,
+    promptIds,
+    name: name.trim(),
+    description: description?.trim(),
+    keywords
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Created topic "${result.topic.name}" from ${result.movedPrompts} prompts`,
+    data: result
+  });
+}));
+
+/**
+ * GET /api/clusters?groupBy=topic
  * Returns clustered topic analysis
  * Groups related topics/prompts and shows their performance
  */
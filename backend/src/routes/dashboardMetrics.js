@@ -12,6 +12,10 @@ const PromptTest = require('../models/PromptTest');
 const Topic = require('../models/Topic');
 const Persona = require('../models/Persona');
 const Competitor = require('../models/Competitor');
+const providerRegistry = require('../services/promptTesting/providers');
+const promptVersionService = require('../services/promptVersionService');
+const { toList } = require('../utils/queryFilters');
+const { parseLocaleKey } = require('../utils/locales');
 const router = express.Router();
 
 
@@ -24,18 +28,21 @@ const { authenticateToken } = require('../middleware/auth');
  */
 router.get('/all', authenticateToken, async (req, res) => {
   try {
-    const { dateFrom, dateTo, urlAnalysisId, topics: topicsQuery, personas: personasQuery, platforms: platformsQuery } = req.query;
+    const { dateFrom, dateTo, urlAnalysisId, topics: topicsQuery, personas: personasQuery, platforms: platformsQuery, locales: localesQuery } = req.query;
     const userId = req.userId;
     
     // Parse filter arrays from query parameters
     const selectedTopicFilters = topicsQuery ? (Array.isArray(topicsQuery) ? topicsQuery : [topicsQuery]) : [];
     const selectedPersonaFilters = personasQuery ? (Array.isArray(personasQuery) ? personasQuery : [personasQuery]) : [];
     const selectedPlatformFilters = platformsQuery ? (Array.isArray(platformsQuery) ? platformsQuery : [platformsQuery]) : [];
+    // Locale keys as produced by utils/locales localeKey, e.g. "German (Germany)"
+    const selectedLocaleFilters = localesQuery ? (Array.isArray(localesQuery) ? localesQuery : [localesQuery]) : [];
     
     console.log('🔍 [DASHBOARD] Received filter parameters:', {
       topics: selectedTopicFilters,
       personas: selectedPersonaFilters,
-      platforms: selectedPlatformFilters
+      platforms: selectedPlatformFilters,
+      locales: selectedLocaleFilters
     });
 
     // Get user's brand from URL analysis
@@ -149,26 +156,30 @@ router.get('/all', authenticateToken, async (req, res) => {
     const platformQuery = buildQuery('platform');
     const topicQuery = buildQuery('topic');
     const personaQuery = buildQuery('persona');
+    const localeQuery = buildQuery('locale');
     
     console.log(`📊 [DASHBOARD] Queries:`, {
       overall: overallQuery,
       platform: platformQuery,
       topic: topicQuery,
-      persona: personaQuery
+      persona: personaQuery,
+      locale: localeQuery
     });
 
-    let [overall, platforms, allTopics, allPersonas] = await Promise.all([
+    let [overall, platforms, allTopics, allPersonas, allLocales] = await Promise.all([
       AggregatedMetrics.findOne(overallQuery).sort({ lastCalculated: -1 }).lean(),
       AggregatedMetrics.find(platformQuery).sort({ lastCalculated: -1 }).lean(),
       AggregatedMetrics.find(topicQuery).sort({ lastCalculated: -1 }).lean(),
-      AggregatedMetrics.find(personaQuery).sort({ lastCalculated: -1 }).lean()
+      AggregatedMetrics.find(personaQuery).sort({ lastCalculated: -1 }).lean(),
+      AggregatedMetrics.find(localeQuery).sort({ lastCalculated: -1 }).lean()
     ]);
 
     console.log(`📊 [DASHBOARD] Results:`, {
       overall: overall ? 'Found' : 'Not found',
       platforms: platforms?.length || 0,
       topics: allTopics?.length || 0,
-      personas: allPersonas?.length || 0
+      personas: allPersonas?.length || 0,
+      locales: allLocales?.length || 0
     });
 
     // ✅ FALLBACK: If no metrics found with current urlAnalysisId, try fallback to any available metrics
@@ -258,6 +269,7 @@ router.get('/all', authenticateToken, async (req, res) => {
         const fallbackPlatforms = bestMetrics.filter(m => m.scope === 'platform');
         const fallbackTopics = bestMetrics.filter(m => m.scope === 'topic');
         const fallbackPersonas = bestMetrics.filter(m => m.scope === 'persona');
+        const fallbackLocales = bestMetrics.filter(m => m.scope === 'locale');
         
         console.log(`🔍 [DASHBOARD] DEBUG - Grouped fallback metrics:`, {
           overall: !!fallbackOverall,
@@ -282,6 +294,9 @@ router.get('/all', authenticateToken, async (req, res) => {
           console.log('🔄 [DASHBOARD] DEBUG - Assigning fallback personas');
           allPersonas = fallbackPersonas;
         }
+        if (fallbackLocales.length > 0) {
+          allLocales = fallbackLocales;
+        }
         
         console.log(`🔍 [DASHBOARD] DEBUG - After fallback assignment:`, {
           hasOverall: !!overall,
@@ -326,6 +341,7 @@ router.get('/all', authenticateToken, async (req, res) => {
             platforms = [];
             allTopics = [];
             allPersonas = [];
+            allLocales = [];
           }
         } else if (!fallbackUrlAnalysisId) {
           console.log(`⚠️ [DASHBOARD] No fallback urlAnalysisId found (metrics have null urlAnalysisId)`);
@@ -406,18 +422,9 @@ router.get('/all', authenticateToken, async (req, res) => {
     let filteredPlatforms = platforms;
     let finalPlatformFilters = [];
     
-    // Map frontend platform names to backend database values
-    const platformNameMap = {
-      'ChatGPT': 'openai',
-      'OpenAI': 'openai',
-      'Claude': 'claude',
-      'Gemini': 'gemini',
-      'Perplexity': 'perplexity'
-    };
-    
     if (selectedPlatformFilters.length > 0 && !selectedPlatformFilters.includes('All Platforms')) {
       // Map frontend platform names to backend database values
-      finalPlatformFilters = selectedPlatformFilters.map(p => platformNameMap[p] || p);
+      finalPlatformFilters = selectedPlatformFilters.map(p => providerRegistry.resolveProviderId(p));
       filteredPlatforms = platforms.filter(platform => finalPlatformFilters.includes(platform.scopeValue));
       console.log('🔍 [DASHBOARD] Frontend platform filters:', selectedPlatformFilters);
       console.log('🔍 [DASHBOARD] Mapped to backend values:', finalPlatformFilters);
@@ -429,20 +436,29 @@ router.get('/all', authenticateToken, async (req, res) => {
       console.log('🔍 [DASHBOARD] Using all platforms:', finalPlatformFilters);
     }
 
+    // Apply locale filtering ('All Locales' or no selection keeps every locale)
+    let filteredLocales = allLocales;
+    if (selectedLocaleFilters.length > 0 && !selectedLocaleFilters.includes('All Locales')) {
+      filteredLocales = allLocales.filter(locale => selectedLocaleFilters.includes(locale.scopeValue));
+      console.log(`📊 [DASHBOARD] Filtered locales:`, filteredLocales.length, 'out of', allLocales.length);
+    }
+
     // ✅ NEW: Recalculate overall metrics if filters are applied
     let filteredOverall = overall;
     
-    // Check if any filters are active (topics, personas, or platforms)
+    // Check if any filters are active (topics, personas, platforms or locales)
     const hasTopicFilter = finalTopicFilters.length > 0 && finalTopicFilters.length < allTopics.length;
     const hasPersonaFilter = finalPersonaFilters.length > 0 && finalPersonaFilters.length < allPersonas.length;
     const hasPlatformFilter = filteredPlatforms.length < platforms.length;
+    const hasLocaleFilter = filteredLocales.length < allLocales.length;
     
-    if (hasTopicFilter || hasPersonaFilter || hasPlatformFilter) {
+    if (hasTopicFilter || hasPersonaFilter || hasPlatformFilter || hasLocaleFilter) {
       
       console.log('🔄 [DASHBOARD] Recalculating overall metrics based on filters...', {
         hasTopicFilter,
         hasPersonaFilter,
-        hasPlatformFilter
+        hasPlatformFilter,
+        hasLocaleFilter
       });
       
       // Import the metrics aggregation service
@@ -466,6 +482,10 @@ router.get('/all', authenticateToken, async (req, res) => {
         metricsToAggregate.push(...filteredPlatforms);
         console.log('🔍 [DASHBOARD] Adding platform metrics to aggregation:', filteredPlatforms.map(p => p.scopeValue));
       }
+
+      if (hasLocaleFilter && filteredLocales.length > 0) {
+        metricsToAggregate.push(...filteredLocales);
+      }
       
       if (metricsToAggregate.length > 0) {
         // Aggregate the filtered metrics using the same logic as frontend
@@ -492,6 +512,9 @@ router.get('/all', authenticateToken, async (req, res) => {
         })),
         topics: topics,
         personas: personas,
+        locales: filteredLocales,
+        // Every locale with results, for the locale filter options
+        availableLocales: allLocales.map(locale => locale.scopeValue),
         
         // ✅ NEW: Frontend-compatible data structure (using filtered overall)
         // ✅ FIX: Fetch competitor URLs once and pass to all formatting functions (including user's brand URL)
@@ -537,21 +560,11 @@ router.get('/all', authenticateToken, async (req, res) => {
         competitors: await formatCompetitorsData(filteredOverall, userBrandName, userId, currentUrlAnalysisId, userBrandUrl),
         
         // Platform-level data (formatted) - using filtered platforms
-        platforms: filteredPlatforms.map(p => {
-          // Map backend DB values to frontend display names
-          const platformNameMap = {
-            'openai': 'ChatGPT',
-            'claude': 'Claude',
-            'gemini': 'Gemini',
-            'perplexity': 'Perplexity'
-          };
-          
-          return {
-            platform: platformNameMap[p.scopeValue] || p.scopeValue,
-            visibility: formatVisibilityData(p, userBrandName),
-            depth: formatDepthData(p, userBrandName)
-          };
-        }),
+        platforms: filteredPlatforms.map(p => ({
+          platform: providerRegistry.getDisplayName(p.scopeValue), // backend DB value -> frontend display name
+          visibility: formatVisibilityData(p, userBrandName),
+          depth: formatDepthData(p, userBrandName)
+        })),
         
         // ✅ Raw platform data for citation analysis - using filtered platforms
         platformMetrics: filteredPlatforms,
@@ -569,6 +582,185 @@ router.get('/all', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Filters shared by /trends and /compare, with the same conventions as /all
+ * @returns {{ filters?: object, error?: string }} - { platforms, topics, personas, locales, promptVersions } or a 400 message
+ */
+function parseMetricFilters({ platforms, topics, personas, locales, promptVersions = 'all' }) {
+  if (!promptVersionService.versionScopes.includes(promptVersions)) {
+    return { error: `promptVersions must be one of: ${promptVersionService.versionScopes.join(', ')}` };
+  }
+
+  const localeKeys = toList(locales, 'All Locales');
+  if (localeKeys.some(key => !parseLocaleKey(key))) {
+    return { error: 'locales must be locale keys like "English (United States)"' };
+  }
+
+  return {
+    filters: {
+      platforms: toList(platforms, 'All Platforms').map(p => providerRegistry.resolveProviderId(p)),
+      topics: toList(topics, 'All Topics'),
+      personas: toList(personas, 'All Personas'),
+      locales: localeKeys,
+      promptVersions
+    }
+  };
+}
+
+/**
+ * GET /api/dashboard/trends
+ *
+ * Per-brand time series (visibility, share of voice, average position, depth,
+ * citation share, sentiment) bucketed by day or week.
+ * Query: urlAnalysisId, bucket=day|week, dateFrom, dateTo, platforms, topics, personas, locales,
+ * promptVersions=all|current (current leaves out tests of prompts edited since)
+ */
+router.get('/trends', authenticateToken, async (req, res) => {
+  try {
+    const { urlAnalysisId, bucket = 'day', dateFrom, dateTo } = req.query;
+    const userId = req.userId;
+    const metricsTrendsService = require('../services/metricsTrendsService');
+    const { BUCKETS } = require('../utils/dateBuckets');
+
+    if (!BUCKETS.includes(bucket)) {
+      return res.status(400).json({
+        success: false,
+        message: `bucket must be one of: ${BUCKETS.join(', ')}`
+      });
+    }
+
+    const { filters, error: filterError } = parseMetricFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError
+      });
+    }
+
+    if ((dateFrom && isNaN(Date.parse(dateFrom))) || (dateTo && isNaN(Date.parse(dateTo)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'dateFrom and dateTo must be valid dates'
+      });
+    }
+
+    const range = metricsTrendsService.resolveRange({ bucket, dateFrom, dateTo });
+    if (range.bucketCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'dateFrom must be before dateTo'
+      });
+    }
+    if (range.dateFrom < metricsTrendsService.earliestDateFrom()) {
+      return res.status(400).json({
+        success: false,
+        message: `dateFrom can be at most ${metricsTrendsService.maxLookbackDays} days ago`
+      });
+    }
+    if (range.bucketCount > metricsTrendsService.maxBuckets) {
+      return res.status(400).json({
+        success: false,
+        message: `Range too large: ${range.bucketCount} ${bucket} buckets (max ${metricsTrendsService.maxBuckets})`
+      });
+    }
+
+    const trends = await metricsTrendsService.getTrends(userId, {
+      urlAnalysisId,
+      bucket,
+      dateFrom: range.dateFrom,
+      dateTo: range.dateTo,
+      ...filters
+    });
+
+    res.json({
+      success: true,
+      data: trends
+    });
+
+  } catch (error) {
+    console.error('❌ Get dashboard trends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dashboard trends'
+    });
+  }
+});
+
+/**
+ * GET /api/dashboard/compare
+ *
+ * Period-over-period comparison: per-brand metric deltas, rank changes and the
+ * prompts where the user's brand flipped between mentioned and not mentioned.
+ * Query: urlAnalysisId, currentFrom, currentTo, previousFrom?, previousTo?, platforms, topics, personas, locales,
+ * promptVersions=all|current
+ * The previous window defaults to the same-length period right before the current one.
+ */
+router.get('/compare', authenticateToken, async (req, res) => {
+  try {
+    const { urlAnalysisId, currentFrom, currentTo, previousFrom, previousTo } = req.query;
+    const userId = req.userId;
+    const metricsComparisonService = require('../services/metricsComparisonService');
+
+    const { filters, error: filterError } = parseMetricFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError
+      });
+    }
+
+    if (!currentFrom || !currentTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'currentFrom and currentTo are required'
+      });
+    }
+
+    if (Boolean(previousFrom) !== Boolean(previousTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'previousFrom and previousTo must be provided together'
+      });
+    }
+
+    const dates = [currentFrom, currentTo, previousFrom, previousTo].filter(Boolean);
+    if (dates.some(date => isNaN(Date.parse(date)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comparison dates must be valid dates'
+      });
+    }
+
+    if (new Date(currentFrom) > new Date(currentTo) || (previousFrom && new Date(previousFrom) > new Date(previousTo))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each period must start before it ends'
+      });
+    }
+
+    const comparison = await metricsComparisonService.comparePeriods(userId, {
+      urlAnalysisId,
+      currentFrom,
+      currentTo,
+      previousFrom,
+      previousTo,
+      ...filters
+    });
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+
+  } catch (error) {
+    console.error('❌ Get dashboard comparison error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare periods'
+    });
+  }
+});
+
 // ============================================================================
 // Helper Functions for Data Formatting
 // ============================================================================
@@ -828,6 +1020,7 @@ async function formatDepthData(metrics, userBrandName, userId = null, urlAnalysi
       return {
         name: brandName,
         value: b.depthOfMention || 0,
+        rankChange: b.depthRankChange || 0,
         fill: getColorForBrand(brandName),
         // ✅ FIX: Include URL for favicon display in charts
         url: url
@@ -924,6 +1117,7 @@ async function formatAveragePositionData(metrics, userBrandName, userId = null,
       return {
         name: brandName,
         value: b.avgPosition || 0,
+        rankChange: b.avgPositionRankChange || 0,
         fill: getColorForBrand(brandName),
         // ✅ FIX: Include URL for favicon display in charts
         url: url
@@ -1311,6 +1505,14 @@ async function getCompetitorUrlMap(userId, urlAnalysisId, brandNames, userBrandN
   }
 }
 
+/**
+ * Map a *RankChange value (positive = moved up) to the frontend trend flag
+ */
+function getRankTrend(rankChange) {
+  if (!rankChange) return 'stable';
+  return rankChange > 0 ? 'up' : 'down';
+}
+
 /**
  * Format competitors data for frontend (matches Competitor interface)
  * Now includes URLs from Competitor model
@@ -1344,8 +1546,8 @@ async function formatCompetitorsData(metrics, userBrandName, userId, urlAnalysis
     logo: '', // Will be handled by frontend favicon logic
     score: brand.visibilityScore || 0,
     rank: brand.visibilityRank || 0,
-    change: 0, // TODO: Calculate from historical data
-    trend: 'stable', // TODO: Calculate from historical data
+    change: brand.visibilityRankChange || 0, // Positions gained since the previous snapshot
+    trend: getRankTrend(brand.visibilityRankChange),
     // ✅ Use isOwner from aggregated metrics (already set correctly) instead of name comparison
     // This ensures consistency when brand names have special characters, whitespace, or capitalization differences
     isOwner: brand.isOwner !== undefined ? brand.isOwner : ((brand.brandName || 'Unknown') === userBrandName),
@@ -1710,7 +1912,7 @@ router.get('/citations/:brandName/:type', authenticateToken, async (req, res) =>
                 if (llmProvider === 'claude') return 'Claude';
                 if (llmProvider === 'perplexity') return 'Perplexity';
                 if (llmProvider === 'gemini') return 'Gemini';
-                return llmProvider || 'Unknown';
+                return llmProvider ? providerRegistry.getDisplayName(llmProvider) : 'Unknown';
               };
 
               // Map citation reference to actual URL
@@ -0,0 +1,110 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const User = require('../models/User');
+const digestService = require('../services/digestService');
+const { validateScheduleTiming } = require('../utils/scheduleTiming');
+
+/**
+ * GET /api/digests/settings
+ * The user's email digest subscription
+ */
+router.get('/settings', authenticateToken, asyncHandler(async (req, res) => {
+  const settings = await digestService.getSettings(req.userId);
+  if (!settings) {
+    throw new NotFoundError('User');
+  }
+
+  res.json({
+    success: true,
+    data: settings
+  });
+}));
+
+/**
+ * PUT /api/digests/settings
+ * Subscribe, unsubscribe or change the digest
+ * Body: { enabled?, frequency?: 'daily'|'weekly', hourUtc?, dayOfWeek?, urlAnalysisIds?, includeInsights? }
+ */
+router.put('/settings', authenticateToken, asyncHandler(async (req, res) => {
+  const { enabled, frequency, hourUtc, dayOfWeek, urlAnalysisIds, includeInsights } = req.body;
+
+  const current = await digestService.getSettings(req.userId);
+  if (!current) {
+    throw new NotFoundError('User');
+  }
+
+  const errors = validateScheduleTiming({
+    frequency: frequency ?? current.frequency,
+    hourUtc,
+    dayOfWeek
+  });
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push({ field: 'enabled', message: 'enabled must be a boolean' });
+  }
+  if (includeInsights !== undefined && typeof includeInsights !== 'boolean') {
+    errors.push({ field: 'includeInsights', message: 'includeInsights must be a boolean' });
+  }
+  if (urlAnalysisIds !== undefined &&
+    !(Array.isArray(urlAnalysisIds) && urlAnalysisIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+    errors.push({ field: 'urlAnalysisIds', message: 'urlAnalysisIds must be an array of analysis ids' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid digest settings', errors);
+  }
+
+  const settings = await digestService.updateSettings(req.userId, {
+    enabled, frequency, hourUtc, dayOfWeek, urlAnalysisIds, includeInsights
+  });
+
+  res.json({
+    success: true,
+    message: settings.enabled ? 'Digest settings saved' : 'Digest turned off',
+    data: settings
+  });
+}));
+
+/**
+ * GET /api/digests/preview
+ * The digest the user would receive now, as { subject, html, digest }
+ */
+router.get('/preview', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('email firstName preferences.digest').lean();
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const digest = await digestService.buildDigest(user);
+
+  res.json({
+    success: true,
+    data: {
+      subject: digestService.renderSubject(digest),
+      html: digestService.renderHtml(digest),
+      digest
+    }
+  });
+}));
+
+/**
+ * POST /api/digests/send
+ * Email the digest to the user now (even with nothing new); the schedule is unchanged
+ */
+router.post('/send', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('email firstName preferences.digest').lean();
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  await digestService.sendDigest(user, { force: true });
+
+  res.json({
+    success: true,
+    message: `Digest sent to ${user.email}`
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const UrlAnalysis = require('../models/UrlAnalysis');
+const exportService = require('../services/exportService');
+const reportService = require('../services/reportService');
+const landingPageTrafficService = require('../services/landingPageTrafficService');
+
+const FORMATS = ['csv', 'xlsx'];
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Validate the analysis and date range shared by every export
+ * @returns {Promise<{ urlAnalysisId: string, dateFrom?: Date, dateTo?: Date }>}
+ */
+async function parseExportQuery(userId, { urlAnalysisId, dateFrom, dateTo }) {
+  if (!urlAnalysisId || !mongoose.Types.ObjectId.isValid(urlAnalysisId)) {
+    throw new ValidationError('Invalid urlAnalysisId', [{ field: 'urlAnalysisId', message: 'Provide the analysis to export' }]);
+  }
+
+  const dates = {};
+  for (const [field, value] of Object.entries({ dateFrom, dateTo })) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ValidationError(`Invalid ${field}`, [{ field, message: `${field} must be a date (YYYY-MM-DD)` }]);
+    }
+    dates[field] = date;
+  }
+  // A bare end date includes that whole day
+  if (dates.dateTo && /^\d{4}-\d{2}-\d{2}$/.test(dateTo)) {
+    dates.dateTo.setUTCHours(23, 59, 59, 999);
+  }
+
+  const exists = await UrlAnalysis.exists({ _id: urlAnalysisId, userId });
+  if (!exists) {
+    throw new NotFoundError('URL analysis');
+  }
+
+  return { urlAnalysisId, ...dates };
+}
+
+const exportFilename = (name, { dateFrom, dateTo }, extension) => {
+  const period = [dateFrom, dateTo].filter(Boolean).map(date => date.toISOString().slice(0, 10)).join('-to-');
+  return `rankly-${name}${period ? `-${period}` : ''}.${extension}`;
+};
+
+function sendFile(res, { body, filename, contentType }) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(body);
+}
+
+/**
+ * GET /api/exports/report
+ * PDF executive report for an analysis
+ * Query: urlAnalysisId, dateFrom?, dateTo? (default last 30 days, at most a year)
+ */
+router.get('/report', authenticateToken, asyncHandler(async (req, res) => {
+  const query = await parseExportQuery(req.userId, req.query);
+
+  try {
+    reportService.resolveRange(query);
+  } catch (error) {
+    throw new ValidationError(error.message, [{ field: 'dateFrom', message: error.message }]);
+  }
+
+  const { pdf, filename } = await reportService.generatePdf(req.userId, query);
+  sendFile(res, { body: pdf, filename, contentType: 'application/pdf' });
+}));
+
+/**
+ * GET /api/exports/workbook
+ * Every dataset as one XLSX workbook; GA4 platforms are included when a GA4 session is active.
+ * If GA4 can't be loaded the workbook is still sent, without that sheet and with a Notes sheet saying so.
+ * Query: urlAnalysisId, dateFrom?, dateTo?, conversionEvent?
+ */
+router.get('/workbook', authenticateToken, asyncHandler(async (req, res) => {
+  const query = await parseExportQuery(req.userId, req.query);
+  const context = {
+    ...query,
+    userId: req.userId,
+    tests: await exportService.loadTests(req.userId, query),
+    conversionEvent: req.query.conversionEvent
+  };
+
+  const datasets = [];
+  for (const name of Object.keys(exportService.datasets).filter(name => name !== 'ga4-platforms')) {
+    datasets.push(await exportService.getDataset(name, context));
+  }
+
+  const notes = [];
+  try {
+    const ga4Connection = await landingPageTrafficService.resolveConnection(req);
+    if (ga4Connection) {
+      datasets.push(await exportService.getDataset('ga4-platforms', { ...context, ga4Connection }));
+    }
+  } catch (error) {
+    console.warn('⚠️ [exports] Could not load GA4 platform traffic for the workbook:', error.response?.data?.error?.message || error.message);
+    notes.push('GA4 traffic could not be loaded, so the GA4 LLM platforms sheet is left out. Try again later or export it on its own.');
+  }
+  if (notes.length > 0) {
+    datasets.push(exportService.buildNotesDataset(notes));
+  }
+
+  sendFile(res, {
+    body: await exportService.toXlsx(datasets),
+    filename: exportFilename('dashboard', query, 'xlsx'),
+    contentType: XLSX_CONTENT_TYPE
+  });
+}));
+
+/**
+ * GET /api/exports/:dataset
+ * One dataset as CSV or XLSX
+ * Params: dataset - metrics | prompt-tests | citations | sentiment | ga4-platforms
+ * Query: urlAnalysisId, format (csv|xlsx, default csv), dateFrom?, dateTo?, conversionEvent?
+ */
+router.get('/:dataset', authenticateToken, asyncHandler(async (req, res) => {
+  const { dataset: name } = req.params;
+  if (!exportService.isDataset(name)) {
+    throw new NotFoundError('Export dataset');
+  }
+
+  const format = req.query.format || 'csv';
+  if (!FORMATS.includes(format)) {
+    throw new ValidationError('Invalid format', [{ field: 'format', message: `format must be one of: ${FORMATS.join(', ')}` }]);
+  }
+
+  const query = await parseExportQuery(req.userId, req.query);
+
+  let ga4Connection = null;
+  if (name === 'ga4-platforms') {
+    ga4Connection = await landingPageTrafficService.resolveConnection(req);
+    if (!ga4Connection) {
+      throw new ValidationError('GA4 is not connected', [{ field: 'ga4', message: 'Connect Google Analytics to export platform traffic' }]);
+    }
+  }
+
+  const dataset = await exportService.getDataset(name, {
+    ...query,
+    userId: req.userId,
+    ga4Connection,
+    conversionEvent: req.query.conversionEvent
+  });
+
+  console.log(`📤 [exports] ${name} (${format}) with ${dataset.rows.length} rows for analysis ${query.urlAnalysisId}`);
+
+  if (format === 'xlsx') {
+    sendFile(res, {
+      body: await exportService.toXlsx([dataset]),
+      filename: exportFilename(name, query, 'xlsx'),
+      contentType: XLSX_CONTENT_TYPE
+    });
+  } else {
+    sendFile(res, {
+      body: exportService.toCsv(dataset),
+      filename: exportFilename(name, query, 'csv'),
+      contentType: 'text/csv; charset=utf-8'
+    });
+  }
+}));
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { ga4SessionMiddleware } = require('../../middleware/ga4Session');
+const { ga4SessionMiddleware, clearGA4SessionCookie } = require('../../middleware/ga4Session');
 const { ga4ConnectionMiddleware } = require('../../middleware/ga4Connection');
 const { fetchAccountSummaries } = require('../../utils/ga4ApiClient');
 const GAConnection = require('../../models/GAConnection');
@@ -166,25 +166,6 @@ router.post('/save-property', ga4SessionMiddleware, async (req, res) => {
 
     console.log('✅ GA property saved:', { userId, accountId, propertyId });
 
-    // Update session cookie with property info
-    const updatedSessionData = {
-      ...req.ga4Session,
-      propertyId,
-      accountId,
-      accountName,
-      propertyName
-    };
-
-    const updatedSessionCookie = Buffer.from(JSON.stringify(updatedSessionData)).toString('base64');
-
-    res.cookie('ga4_session', updatedSessionCookie, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000,
-      path: '/'
-    });
-
     res.json({
       success: true,
       data: {
@@ -260,7 +241,7 @@ router.post('/disconnect', ga4SessionMiddleware, async (req, res) => {
     );
 
     // Clear session cookie
-    res.clearCookie('ga4_session', { path: '/' });
+    clearGA4SessionCookie(res);
 
     console.log('✅ GA4 disconnected for user:', userId);
 
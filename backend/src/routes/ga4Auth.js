@@ -2,6 +2,7 @@ const express = require('express');
 const crypto = require('crypto');
 const axios = require('axios');
 const GAConnection = require('../models/GAConnection');
+const { setGA4SessionCookie } = require('../middleware/ga4Session');
 
 const router = express.Router();
 
@@ -135,7 +136,7 @@ router.get('/callback', async (req, res) => {
     // Create access token expiry
     const accessTokenExpiry = new Date(Date.now() + (expires_in * 1000));
 
-    // Save to MongoDB
+    // Save to MongoDB (tokens are encrypted by the model)
     const connectionData = {
       userId: userInfo.id,
       email: userInfo.email,
@@ -151,35 +152,17 @@ router.get('/callback', async (req, res) => {
       deleted: { $ne: true }
     });
 
+    let connection;
     if (existing) {
-      await GAConnection.findByIdAndUpdate(existing._id, connectionData);
+      connection = await GAConnection.findByIdAndUpdate(existing._id, connectionData, { new: true });
       console.log('✅ Updated existing GA connection:', userInfo.id);
     } else {
-      await GAConnection.create(connectionData);
+      connection = await GAConnection.create(connectionData);
       console.log('✅ Created new GA connection:', userInfo.id);
     }
 
-    // Create GA4 session data
-    const sessionData = {
-      userId: userInfo.id,
-      email: userInfo.email,
-      accessToken: access_token,
-      refreshToken: refresh_token,
-      expiresAt: Date.now() + (30 * 24 * 60 * 60 * 1000) // 30 days
-    };
-
-    // Encode session as base64 cookie
-    const sessionCookie = Buffer.from(JSON.stringify(sessionData)).toString('base64');
-
-    // Set session cookie
-    res.cookie('ga4_session', sessionCookie, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax', // Support cross-site in production
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-      path: '/',
-      domain: process.env.COOKIE_DOMAIN || undefined // Support subdomains
-    });
+    // Signed reference to the connection; tokens never leave the server
+    setGA4SessionCookie(res, connection);
 
     // Clear code verifier from session
     delete req.session.ga4CodeVerifier;
@@ -4,6 +4,8 @@ const Competitor = require('../models/Competitor');
 const Topic = require('../models/Topic');
 const Persona = require('../models/Persona');
 const UrlAnalysis = require('../models/UrlAnalysis');
+const { resolveAnalysisLocales, localeKey } = require('../utils/locales');
+const promptTestQueueService = require('../services/promptTestQueueService');
 const router = express.Router();
 
 /**
@@ -974,9 +976,25 @@ router.post('/generate-prompts', authenticateToken, async (req, res) => {
 
     // Import prompt generation service
     const promptGenerationService = require('../services/promptGenerationService');
+    const { createAnalysisDeduplicator } = require('../services/promptGeneration/semanticDeduplication');
     
-    // Generate prompts
-    const generatedPrompts = await promptGenerationService.generatePrompts(promptData);
+    // Generate prompts once per locale the analysis targets (defaults to the user's region/language),
+    // merging prompts that mean the same as one generated earlier or already in the analysis
+    const locales = resolveAnalysisLocales(latestAnalysis, user);
+    const deduplicators = new Map();
+    const generatedPrompts = [];
+    for (const locale of locales) {
+      console.log(`🌍 Generating prompts for ${localeKey(locale)}`);
+      const deduplicator = await createAnalysisDeduplicator({ userId, urlAnalysisId: latestAnalysis._id, locale });
+      deduplicators.set(localeKey(locale), deduplicator);
+      const localePrompts = await promptGenerationService.generatePrompts({
+        ...promptData,
+        region: locale.region,
+        language: locale.language,
+        options: { deduplicator }
+      });
+      generatedPrompts.push(...localePrompts.map(generated => ({ ...generated, locale })));
+    }
 
     console.log(`✅ Generated ${generatedPrompts.length} prompts successfully`);
     console.log('🔍 Generated prompts sample:', generatedPrompts.slice(0, 2));
@@ -1016,6 +1034,7 @@ router.post('/generate-prompts', authenticateToken, async (req, res) => {
         continue;
       }
 
+      const deduplicator = deduplicators.get(localeKey(promptData.locale));
       const prompt = new Prompt({
         userId,
         urlAnalysisId: latestAnalysis._id, // ✅ Link prompt to URL analysis
@@ -1024,19 +1043,23 @@ router.post('/generate-prompts', authenticateToken, async (req, res) => {
         title: `${topic.name} × ${persona.type} - ${promptData.queryType}`,
         text: promptData.promptText,
         queryType: promptData.queryType,
+        locale: promptData.locale,
         status: 'active', // Ensure status is active for testing
         metadata: {
           generatedBy: 'ai',
           targetPersonas: [persona.type],
-          targetCompetitors: selectedCompetitors.filter(c => c.name).map(c => c.name)
+          targetCompetitors: selectedCompetitors.filter(c => c.name).map(c => c.name),
+          mergedDuplicates: deduplicator.getMergesInto(promptData.promptText)
         }
       });
 
       await prompt.save();
+      deduplicator.linkSaved(prompt.text, prompt._id);
       savedPrompts.push({
         _id: prompt._id,
         topicName: topic.name,
         personaType: persona.type,
+        locale: localeKey(prompt.locale),
         promptText: prompt.text,
         queryType: prompt.queryType
       });
@@ -1044,90 +1067,51 @@ router.post('/generate-prompts', authenticateToken, async (req, res) => {
 
     console.log(`💾 Saved ${savedPrompts.length} prompts to database`);
 
-    // Trigger prompt testing and then metrics calculation after prompt generation
+    const merged = [];
+    for (const [locale, deduplicator] of deduplicators) {
+      await deduplicator.saveExistingMerges(userId);
+      merged.push(...deduplicator.getMerged().map(record => ({ ...record, locale })));
+    }
+
+    // Test the new prompts through the queue, which refreshes the dashboard
+    // metrics when the run completes; the client follows the run for progress
+    let testRun = null;
+    let testRunError = null;
     try {
-      console.log('🧪 Starting automatic prompt testing...');
-      
-      // ✅ FIX: Wait longer for database writes to fully commit before querying
-      // This prevents race condition where prompts are saved but not yet queryable
-      console.log('⏳ Waiting for database writes to complete...');
-      await new Promise(resolve => setTimeout(resolve, 3000)); // Increased to 3 seconds
-      
-      // ✅ FIX: Verify prompts are actually in database before testing
-      const Prompt = require('../models/Prompt');
-      const mongoose = require('mongoose');
-      const verifyQuery = {
-        userId,
+      const { run, alreadyActive } = await promptTestQueueService.enqueue(userId, {
         urlAnalysisId: latestAnalysis._id,
-        status: 'active'
-      };
-      const verifiedPrompts = await Prompt.find(verifyQuery).countDocuments();
-      console.log(`🔍 [VERIFY] Found ${verifiedPrompts} prompts in database for analysis ${latestAnalysis._id}`);
-      
-      if (verifiedPrompts === 0) {
-        console.error('❌ [ERROR] No prompts found in database after save. This may indicate a database write issue.');
-        throw new Error('No prompts found in database after save');
-      }
-      
-      const promptTestingService = require('../services/promptTestingService');
-      const testingService = promptTestingService;
-      
-      // ✅ FIX: Ensure urlAnalysisId is properly converted to ObjectId
-      const urlAnalysisIdForQuery = typeof latestAnalysis._id === 'string' 
-        ? new mongoose.Types.ObjectId(latestAnalysis._id)
-        : latestAnalysis._id;
-      
-      // Test all prompts automatically
-      const testResults = await testingService.testAllPrompts(userId, {
         batchSize: 5,
-        testLimit: 20,
-        urlAnalysisId: urlAnalysisIdForQuery
-      });
-      
-      console.log(`✅ Prompt testing completed: ${testResults.totalTests} tests`);
-      
-      // Now calculate metrics after testing
-      console.log('🔄 Starting matrix calculation...');
-      
-      // Add a small delay to ensure all tests are committed to database
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const MetricsAggregationService = require('../services/metricsAggregationService');
-      const metricsService = MetricsAggregationService;
-      
-      // Calculate metrics for the current analysis
-      const metricsResult = await metricsService.calculateMetrics(userId, {
-        urlAnalysisId: latestAnalysis._id
+        testLimit: 20 * locales.length,
+        trigger: 'onboarding',
+        aggregateMetrics: true
       });
-      
-      if (metricsResult.success) {
-        console.log('✅ Matrix calculation completed successfully');
-        console.log('   Overall metrics:', metricsResult.results?.overall ? 'calculated' : 'skipped');
-        console.log('   Platform metrics:', metricsResult.results?.platform?.length || 0, 'calculated');
-        console.log('   Topic metrics:', metricsResult.results?.topic?.length || 0, 'calculated');
-        console.log('   Persona metrics:', metricsResult.results?.persona?.length || 0, 'calculated');
-      } else {
-        console.log('⚠️  Matrix calculation completed with warnings:', metricsResult.message);
-      }
+      testRun = { runId: run._id, status: run.status, alreadyActive };
+      console.log(`📬 Test run ${run._id} ${alreadyActive ? 'already ' + run.status : 'queued'} for the new prompts`);
     } catch (error) {
-      console.error('❌ Automatic testing/metrics calculation failed:', error.message);
-      // Don't fail the entire request if testing/metrics calculation fails
-      console.log('   Continuing with prompt generation response...');
+      // e.g. a hard-stop budget that can't cover the run
+      console.error('❌ Failed to queue prompt testing:', error.message);
+      testRunError = error.message;
+      // Don't fail the entire request - the prompts are saved and can be tested later
     }
 
     res.json({
       success: true,
-      message: 'Prompts generated, tested, and metrics calculated successfully',
+      message: testRun ? 'Prompts generated and queued for testing' : `Prompts generated, but testing was not queued: ${testRunError}`,
       data: {
         prompts: savedPrompts,
+        testRun,
+        testRunError,
         totalPrompts: savedPrompts.length,
+        merged,
         generationDate: new Date().toISOString(),
         metadata: {
           topicsUsed: promptData.topics?.length || 0,
           personasUsed: promptData.personas?.length || 0,
           competitorsUsed: promptData.competitors?.length || 0,
           region: promptData.region,
-          language: promptData.language
+          language: promptData.language,
+          locales: locales.map(localeKey),
+          deduplication: { ...deduplicators.get(localeKey(locales[0])).getSummary(), mergedCount: merged.length }
         }
       }
     });
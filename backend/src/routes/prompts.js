@@ -1,16 +1,28 @@
 const express = require('express');
-const { asyncHandler } = require('../middleware/errorHandler');
+const mongoose = require('mongoose');
+const { asyncHandler, NotFoundError, ValidationError, BudgetExceededError } = require('../middleware/errorHandler');
 const { body, validationResult } = require('express-validator');
 const Prompt = require('../models/Prompt');
 const Topic = require('../models/Topic');
 const Persona = require('../models/Persona');
 const Competitor = require('../models/Competitor');
 const UrlAnalysis = require('../models/UrlAnalysis');
+const User = require('../models/User');
 const { generatePrompts, normalizePromptText } = require('../services/promptGenerationService');
-const promptTestingService = require('../services/promptTestingService');
+const { createAnalysisDeduplicator } = require('../services/promptGeneration/semanticDeduplication');
+const promptTestQueueService = require('../services/promptTestQueueService');
+const promptImportService = require('../services/promptImportService');
+const promptVersionService = require('../services/promptVersionService');
+const landingPageTrafficService = require('../services/landingPageTrafficService');
+const spendService = require('../services/spendService');
+const { MAX_SAMPLES_PER_PROMPT } = require('../services/promptTesting/sampling');
+const { normalizeLocale, resolveAnalysisLocales, localeKey, buildLocaleQuery } = require('../utils/locales');
 const PromptTest = require('../models/PromptTest');
 const router = express.Router();
 
+// Prompts sampled per manual test run (reduced from 20 to 5 for faster testing/debugging)
+const MANUAL_RUN_TEST_LIMIT = 5;
+
 // JWT Authentication middleware
 const { authenticateToken } = require('../middleware/auth');
 
@@ -46,7 +58,9 @@ router.post('/', authenticateToken, [
   body('personaId').isMongoId(),
   body('queryType').isIn(['Informational', 'Navigational', 'Commercial', 'Transactional']),
   body('title').trim().notEmpty(),
-  body('text').trim().notEmpty()
+  body('text').trim().notEmpty(),
+  body('locale.region').optional().isString().trim().isLength({ min: 1, max: 60 }),
+  body('locale.language').optional().isString().trim().isLength({ min: 1, max: 60 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -58,7 +72,7 @@ router.post('/', authenticateToken, [
       });
     }
 
-    const { topicId, personaId, queryType, title, text, metadata = {} } = req.body;
+    const { topicId, personaId, queryType, title, text, locale, metadata = {} } = req.body;
 
     // Verify topic belongs to user
     const topic = await Topic.findOne({ _id: topicId, userId: req.userId });
@@ -91,6 +105,7 @@ router.post('/', authenticateToken, [
       queryType,
       title,
       text,
+      locale: normalizeLocale(locale),
       metadata
     });
 
@@ -115,51 +130,46 @@ router.post('/', authenticateToken, [
   }
 });
 
-// Update prompt
+// Update prompt; changing the text, title or queryType records a new PromptVersion
 router.put('/:id', authenticateToken, [
   body('title').optional().trim().notEmpty(),
-  body('text').optional().trim().notEmpty()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { id } = req.params;
-    const updates = req.body;
-
-    const prompt = await Prompt.findOneAndUpdate(
-      { _id: id, userId: req.userId },
-      updates,
-      { new: true, runValidators: true }
-    );
-
-    if (!prompt) {
-      return res.status(404).json({
-        success: false,
-        message: 'Prompt not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'Prompt updated successfully',
-      data: prompt
-    });
-
-  } catch (error) {
-    console.error('Update prompt error:', error);
-    res.status(500).json({
+  body('text').optional().trim().notEmpty(),
+  body('queryType').optional().isIn(['Informational', 'Navigational', 'Commercial', 'Transactional']),
+  body('status').optional().isIn(['active', 'archived']),
+  body('changeNote').optional().isString().trim().isLength({ max: 500 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      message: 'Failed to update prompt'
+      message: 'Validation failed',
+      errors: errors.array()
     });
   }
-});
+
+  const { changeNote, ...updates } = req.body;
+  const { prompt, version } = await promptVersionService.updatePrompt(req.userId, req.params.id, updates, {
+    authorId: req.userId,
+    changeNote: changeNote || null
+  });
+
+  res.json({
+    success: true,
+    message: version ? `Prompt updated (version ${version.version})` : 'Prompt updated successfully',
+    data: prompt,
+    version
+  });
+}));
+
+// Change history of a prompt, newest version first
+router.get('/:id/versions', authenticateToken, asyncHandler(async (req, res) => {
+  const history = await promptVersionService.listVersions(req.userId, req.params.id);
+
+  res.json({
+    success: true,
+    data: history
+  });
+}));
 
 // Delete prompt
 router.delete('/:id', authenticateToken, async (req, res) => {
@@ -204,7 +214,16 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 router.post('/generate', authenticateToken, async (req, res) => {
   try {
     const userId = req.userId;
-    const { urlAnalysisId } = req.body; // ✅ Accept urlAnalysisId from request
+    const { urlAnalysisId, dedupThreshold } = req.body; // ✅ Accept urlAnalysisId from request
+
+    // Optional similarity cut-off for semantic dedup (0-1, higher merges less)
+    if (dedupThreshold !== undefined && dedupThreshold !== null &&
+        (typeof dedupThreshold !== 'number' || !(dedupThreshold > 0 && dedupThreshold <= 1))) {
+      return res.status(400).json({
+        success: false,
+        message: 'dedupThreshold must be a number greater than 0 and at most 1'
+      });
+    }
     
     console.log('🎯 Starting prompt generation for user:', userId);
     console.log('🔗 URL Analysis ID:', urlAnalysisId || 'using latest');
@@ -298,20 +317,40 @@ router.post('/generate', authenticateToken, async (req, res) => {
     console.log(`📊 Generating ${promptsPerCombination} prompts per combination`);
     console.log(`   Total combinations: ${totalCombinations} (${selectedTopics.length} topics × ${selectedPersonas.length} personas)`);
     console.log(`   Expected total: ~${actualTotal} prompts (${promptsPerCombination} × ${totalCombinations})`);
-    
-    const generatedPrompts = await generatePrompts({
-      topics,
-      personas,
-      region: 'Global',
-      language: 'English',
-      websiteUrl: latestAnalysis.url,
-      brandContext: latestAnalysis.brandContext || '',
-      // competitors removed - not needed for TOFU queries
-      totalPrompts: promptsPerCombination, // This will be used for EACH combination
-      options: {
-        promptsPerCombination: true // Flag to indicate we want equal per combination
-      }
-    });
+
+    // Generate a full set per target locale; each prompt is written in that locale's language
+    const user = await User.findById(userId).select('preferences').lean();
+    const locales = resolveAnalysisLocales(latestAnalysis, user);
+    console.log(`🌍 Target locales: ${locales.map(localeKey).join(', ')}`);
+
+    // One semantic deduplicator per locale, seeded with the analysis' existing prompts in it
+    const deduplicators = new Map();
+    const generatedPrompts = [];
+    for (const locale of locales) {
+      const deduplicator = await createAnalysisDeduplicator({
+        userId,
+        urlAnalysisId: latestAnalysis._id,
+        locale,
+        threshold: dedupThreshold ?? null
+      });
+      deduplicators.set(localeKey(locale), deduplicator);
+
+      const localePrompts = await generatePrompts({
+        topics,
+        personas,
+        region: locale.region,
+        language: locale.language,
+        websiteUrl: latestAnalysis.url,
+        brandContext: latestAnalysis.brandContext || '',
+        // competitors removed - not needed for TOFU queries
+        totalPrompts: promptsPerCombination, // This will be used for EACH combination
+        options: {
+          promptsPerCombination: true, // Flag to indicate we want equal per combination
+          deduplicator
+        }
+      });
+      generatedPrompts.push(...localePrompts.map(promptData => ({ ...promptData, locale })));
+    }
 
     console.log(`✨ Generated ${generatedPrompts.length} prompts`);
 
@@ -320,12 +359,14 @@ router.post('/generate', authenticateToken, async (req, res) => {
     const combinationCounts = {}; // Track how many prompts saved per combination
     const combinationKeys = {}; // Map combination keys to topic/persona objects
     
-    // Initialize combination tracking
-    for (const topic of selectedTopics) {
-      for (const persona of selectedPersonas) {
-        const key = `${topic._id}_${persona._id}`;
-        combinationCounts[key] = 0;
-        combinationKeys[key] = { topic, persona };
+    // Initialize combination tracking (per locale, each locale gets the full quota)
+    for (const locale of locales) {
+      for (const topic of selectedTopics) {
+        for (const persona of selectedPersonas) {
+          const key = `${topic._id}_${persona._id}_${localeKey(locale)}`;
+          combinationCounts[key] = 0;
+          combinationKeys[key] = { topic, persona, locale };
+        }
       }
     }
     
@@ -342,7 +383,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
       const persona = selectedPersonas.find(p => p._id.toString() === promptData.personaId);
       if (!topic || !persona) continue;
       
-      const combinationKey = `${topic._id}_${persona._id}`;
+      const combinationKey = `${topic._id}_${persona._id}_${localeKey(promptData.locale)}`;
       
       // Skip if this combination already has enough prompts
       if (combinationCounts[combinationKey] >= promptsPerCombination) {
@@ -358,14 +399,16 @@ router.post('/generate', authenticateToken, async (req, res) => {
         topicId: topic._id,
         personaId: persona._id,
         queryType: promptData.queryType,
-        text: { $regex: new RegExp('^' + normalized + '$', 'i') }
+        text: { $regex: new RegExp('^' + normalized + '$', 'i') },
+        ...buildLocaleQuery(promptData.locale)
       });
       if (exists) {
         console.log(`⏩ Skipping duplicate prompt for ${topic.name} × ${persona.type}:`, promptData.promptText.substring(0, 50));
         skippedPrompts.push(promptData);
         continue;
       }
-      // Save commercial prompt
+      // Save commercial prompt, recording the generated prompts merged into it
+      const deduplicator = deduplicators.get(localeKey(promptData.locale));
       const prompt = new Prompt({
         userId,
         urlAnalysisId: latestAnalysis._id, // ✅ Link prompt to the URL analysis
@@ -374,19 +417,23 @@ router.post('/generate', authenticateToken, async (req, res) => {
         title: `${topic.name} × ${persona.type} - ${promptData.queryType}`,
         text: promptData.promptText,
         queryType: promptData.queryType,
+        locale: promptData.locale,
         status: 'active', // ✅ Ensure status is active for testing
         metadata: {
           generatedBy: 'ai',
           targetPersonas: [persona.type],
-          targetCompetitors: competitorData.map(c => c.name)
+          targetCompetitors: competitorData.map(c => c.name),
+          mergedDuplicates: deduplicator.getMergesInto(promptData.promptText)
         }
       });
       await prompt.save();
+      deduplicator.linkSaved(prompt.text, prompt._id);
       combinationCounts[combinationKey]++;
       savedPrompts.push({
         id: prompt._id,
         topicName: topic.name,
         personaType: persona.type,
+        locale: localeKey(promptData.locale),
         promptText: prompt.text,
         promptIndex: promptData.promptIndex
       });
@@ -396,11 +443,11 @@ router.post('/generate', authenticateToken, async (req, res) => {
     console.log(`\n📊 Prompts saved per combination:`);
     const shortCombinations = [];
     for (const [key, count] of Object.entries(combinationCounts)) {
-      const { topic, persona } = combinationKeys[key];
+      const { topic, persona, locale } = combinationKeys[key];
       const status = count === promptsPerCombination ? '✅' : '⚠️';
-      console.log(`   ${status} ${topic.name} × ${persona.type}: ${count}/${promptsPerCombination} prompts`);
+      console.log(`   ${status} ${topic.name} × ${persona.type} × ${localeKey(locale)}: ${count}/${promptsPerCombination} prompts`);
       if (count < promptsPerCombination) {
-        shortCombinations.push({ key, topic, persona, needed: promptsPerCombination - count });
+        shortCombinations.push({ key, topic, persona, locale, needed: promptsPerCombination - count });
       }
     }
     
@@ -409,7 +456,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
     if (shortCombinations.length > 0) {
       console.warn(`\n⚠️  ${shortCombinations.length} combination(s) are short after database deduplication:`);
       for (const combo of shortCombinations) {
-        console.warn(`   - ${combo.topic.name} × ${combo.persona.type}: ${combinationCounts[combo.key]}/${promptsPerCombination} prompts (needs ${combo.needed} more)`);
+        console.warn(`   - ${combo.topic.name} × ${combo.persona.type} × ${localeKey(combo.locale)}: ${combinationCounts[combo.key]}/${promptsPerCombination} prompts (needs ${combo.needed} more)`);
       }
       console.log(`   💡 This may be due to many database duplicates. Consider generating additional prompts for these combinations.`);
     }
@@ -429,15 +476,24 @@ router.post('/generate', authenticateToken, async (req, res) => {
 
     console.log(`💾 Saved ${savedPrompts.length} prompts to database`);
 
+    const merged = [];
+    for (const [locale, deduplicator] of deduplicators) {
+      await deduplicator.saveExistingMerges(userId);
+      merged.push(...deduplicator.getMerged().map(record => ({ ...record, locale })));
+    }
+
     res.json({
       success: true,
       message: `Successfully generated ${savedPrompts.length} prompts`,
       data: {
         totalPrompts: savedPrompts.length,
         prompts: savedPrompts,
+        merged,
+        deduplication: { ...deduplicators.get(localeKey(locales[0])).getSummary(), mergedCount: merged.length },
         combinations: {
           topics: topics.length,
           personas: personas.length,
+          locales: locales.map(localeKey),
           promptsPerCombination: 5
         }
       }
@@ -452,11 +508,91 @@ router.post('/generate', authenticateToken, async (req, res) => {
   }
 });
 
-// Test all prompts with LLMs
+// Queue a test run of all prompts across LLMs
+// Testing happens in the background (see promptTestQueueService); poll or stream the returned run for progress
+/**
+ * Options shared by the query import endpoints
+ */
+function parseImportOptions(body = {}) {
+  const { urlAnalysisId, dryRun = false, maxQueries, dedupThreshold, locale } = body;
+  const errors = [];
+
+  if (!urlAnalysisId || !mongoose.Types.ObjectId.isValid(urlAnalysisId)) {
+    errors.push({ field: 'urlAnalysisId', message: 'urlAnalysisId must be a valid id' });
+  }
+  if (typeof dryRun !== 'boolean') {
+    errors.push({ field: 'dryRun', message: 'dryRun must be a boolean' });
+  }
+  if (maxQueries !== undefined && !(Number.isInteger(maxQueries) && maxQueries >= 1 && maxQueries <= promptImportService.maxQueries)) {
+    errors.push({ field: 'maxQueries', message: `maxQueries must be an integer from 1 to ${promptImportService.maxQueries}` });
+  }
+  if (dedupThreshold !== undefined && dedupThreshold !== null &&
+      (typeof dedupThreshold !== 'number' || !(dedupThreshold > 0 && dedupThreshold <= 1))) {
+    errors.push({ field: 'dedupThreshold', message: 'dedupThreshold must be a number greater than 0 and at most 1' });
+  }
+  if (locale !== undefined && locale !== null && (typeof locale !== 'object' || Array.isArray(locale))) {
+    errors.push({ field: 'locale', message: 'locale must be an object of { region, language }' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid import options', errors);
+  }
+
+  return {
+    urlAnalysisId,
+    dryRun,
+    maxQueries,
+    dedupThreshold: dedupThreshold ?? null,
+    locale: locale ? normalizeLocale(locale) : null
+  };
+}
+
+// Import search queries from a CSV or Search Console export as prompts (dryRun: preview only)
+router.post('/import', authenticateToken, asyncHandler(async (req, res) => {
+  const options = parseImportOptions(req.body);
+  const { csv } = req.body;
+
+  if (!csv || typeof csv !== 'string') {
+    throw new ValidationError('csv is required', [
+      { field: 'csv', message: 'Provide the CSV file contents as text.' }
+    ]);
+  }
+
+  const { source, rows } = promptImportService.parseCsvQueries(csv);
+  const result = await promptImportService.importQueries(req.userId, { ...options, source, rows });
+
+  res.status(options.dryRun || result.summary.imported === 0 ? 200 : 201).json({
+    success: true,
+    data: result
+  });
+}));
+
+// Import GA4 site-search terms as prompts (dryRun: preview only)
+router.post('/import/ga4', authenticateToken, asyncHandler(async (req, res) => {
+  const options = parseImportOptions(req.body);
+  const { dateRange, startDate, endDate } = req.body;
+
+  const connection = await landingPageTrafficService.resolveConnection(req);
+  if (!connection) {
+    throw new ValidationError('GA4 is not connected', [
+      { field: 'ga4', message: 'Connect Google Analytics and select a property to import site-search terms' }
+    ]);
+  }
+
+  const rows = await promptImportService.fetchGA4SearchTerms(connection, { dateRange, startDate, endDate });
+  const result = await promptImportService.importQueries(req.userId, { ...options, source: 'ga4', rows });
+
+  res.status(options.dryRun || result.summary.imported === 0 ? 200 : 201).json({
+    success: true,
+    data: result
+  });
+}));
+
 router.post('/test', authenticateToken, async (req, res) => {
   try {
     const userId = req.userId;
     const { urlAnalysisId } = req.body; // Optional URL analysis ID
+    const { samplesPerPrompt } = req.body; // Optional repeated samples per prompt/provider
     
     console.log('\n' + '='.repeat(70));
     console.log('🧪 [API ENDPOINT] POST /api/prompts/test');
@@ -466,12 +602,28 @@ router.post('/test', authenticateToken, async (req, res) => {
     }
     console.log(`⏰ Request time: ${new Date().toISOString()}`);
     console.log('='.repeat(70) + '\n');
+
+    if (urlAnalysisId && !mongoose.Types.ObjectId.isValid(urlAnalysisId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid urlAnalysisId'
+      });
+    }
+
+    if (samplesPerPrompt !== undefined &&
+      !(Number.isInteger(samplesPerPrompt) && samplesPerPrompt >= 1 && samplesPerPrompt <= MAX_SAMPLES_PER_PROMPT)) {
+      return res.status(400).json({
+        success: false,
+        message: `samplesPerPrompt must be an integer from 1 to ${MAX_SAMPLES_PER_PROMPT}`
+      });
+    }
     
     // Check if user has any prompts
     console.log('🔍 [VALIDATION] Checking for existing prompts...');
     const promptCount = await Prompt.countDocuments({ 
       userId, 
-      status: 'active' 
+      status: 'active',
+      ...(urlAnalysisId && { urlAnalysisId })
     });
     
     console.log(`✅ [VALIDATION] Found ${promptCount} active prompts`);
@@ -484,48 +636,222 @@ router.post('/test', authenticateToken, async (req, res) => {
       });
     }
     
-    // Use centralized configuration
-    // Removed hyperparameters config dependency
-    const maxPromptsToTest = 5; // Reduced from 20 to 5 for faster testing/debugging
-    
-    console.log(`📊 [START] Testing prompts across 4 LLMs (limit: ${maxPromptsToTest})...`);
-    const testStartTime = Date.now();
-    
-    // Start testing (this will take time)
-    const results = await promptTestingService.testAllPrompts(userId, {
+    // Refuses runs the remaining hard-stop budget can't cover (BudgetExceededError)
+    const { run, alreadyActive } = await promptTestQueueService.enqueue(userId, {
       batchSize: 5, // Process 5 prompts at a time
-      testLimit: maxPromptsToTest,  // Use centralized configuration
+      testLimit: MANUAL_RUN_TEST_LIMIT,
+      samplesPerPrompt,
       urlAnalysisId: urlAnalysisId  // Pass URL analysis ID if provided
     });
     
-    const testDuration = ((Date.now() - testStartTime) / 1000).toFixed(2);
+    console.log(`📬 [API RESPONSE] Test run ${run._id} ${alreadyActive ? 'already ' + run.status : 'queued'}`);
     
-    console.log('\n' + '='.repeat(70));
-    console.log('✅ [API RESPONSE] Testing complete');
-    console.log(`⏱️  Total duration: ${testDuration}s`);
-    console.log(`📊 Results: ${results.completedTests}/${results.totalTests} successful`);
-    console.log('='.repeat(70) + '\n');
-    
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Testing completed: ${results.totalTests} total tests`,
-      data: results
+      message: alreadyActive
+        ? `A test run is already ${run.status} for this analysis`
+        : 'Test run queued',
+      data: {
+        runId: run._id,
+        alreadyActive,
+        run
+      }
     });
     
   } catch (error) {
-    console.error('\n' + '❌'.repeat(35));
-    console.error('❌ [API ERROR] Prompt testing failed');
-    console.error('Error message:', error.message);
-    console.error('Stack trace:', error.stack);
-    console.error('❌'.repeat(35) + '\n');
-    
+    if (error instanceof BudgetExceededError) {
+      console.warn(`💰 [BUDGET] Test run refused: ${error.message}`);
+      return res.status(402).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        data: error.details
+      });
+    }
+
+    console.error('❌ [API ERROR] Failed to queue prompt testing:', error.message);
     res.status(500).json({
       success: false,
-      message: error.message || 'Failed to test prompts'
+      message: error.message || 'Failed to queue prompt testing'
     });
   }
 });
 
+// Estimate the cost of POST /test before running it, with the budgets it counts against
+router.get('/test/estimate', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId } = req.query;
+  if (urlAnalysisId && !mongoose.Types.ObjectId.isValid(urlAnalysisId)) {
+    throw new ValidationError('Invalid urlAnalysisId', [{ field: 'urlAnalysisId', message: 'urlAnalysisId must be a valid id' }]);
+  }
+
+  const samplesPerPrompt = req.query.samplesPerPrompt === undefined ? undefined : Number(req.query.samplesPerPrompt);
+  if (samplesPerPrompt !== undefined &&
+    !(Number.isInteger(samplesPerPrompt) && samplesPerPrompt >= 1 && samplesPerPrompt <= MAX_SAMPLES_PER_PROMPT)) {
+    throw new ValidationError('Invalid samplesPerPrompt', [{
+      field: 'samplesPerPrompt',
+      message: `samplesPerPrompt must be an integer from 1 to ${MAX_SAMPLES_PER_PROMPT}`
+    }]);
+  }
+
+  const estimate = await spendService.estimateTestRun(req.userId, {
+    urlAnalysisId,
+    testLimit: MANUAL_RUN_TEST_LIMIT,
+    samplesPerPrompt
+  });
+
+  res.json({
+    success: true,
+    data: estimate
+  });
+}));
+
+// List the LLM providers prompts are tested against (from config/llmProviders)
+router.get('/test/providers', authenticateToken, asyncHandler(async (req, res) => {
+  const providerRegistry = require('../services/promptTesting/providers');
+
+  res.json({
+    success: true,
+    data: providerRegistry.listEnabledProviders()
+  });
+}));
+
+// List recent test runs
+router.get('/test/runs', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId, limit = 20 } = req.query;
+
+  if (urlAnalysisId && !mongoose.Types.ObjectId.isValid(urlAnalysisId)) {
+    throw new ValidationError('Invalid urlAnalysisId');
+  }
+
+  const runs = await promptTestQueueService.listRuns(req.userId, {
+    urlAnalysisId,
+    limit: Math.min(parseInt(limit) || 20, 100)
+  });
+
+  res.json({
+    success: true,
+    data: runs
+  });
+}));
+
+// Get status and progress of a test run
+router.get('/test/runs/:runId', authenticateToken, asyncHandler(async (req, res) => {
+  const { runId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(runId)) {
+    throw new NotFoundError('Test run');
+  }
+
+  const run = await promptTestQueueService.getRun(runId, req.userId);
+  if (!run) {
+    throw new NotFoundError('Test run');
+  }
+
+  res.json({
+    success: true,
+    data: run
+  });
+}));
+
+// Stream test run progress as Server-Sent Events until the run finishes
+router.get('/test/runs/:runId/stream', authenticateToken, asyncHandler(async (req, res) => {
+  const { runId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(runId)) {
+    throw new NotFoundError('Test run');
+  }
+
+  const initialRun = await promptTestQueueService.getRun(runId, req.userId);
+  if (!initialRun) {
+    throw new NotFoundError('Test run');
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering so events arrive immediately
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let lastUpdatedAt = null;
+  let closed = false;
+  let pollTimer = null;
+
+  const endStream = () => {
+    closed = true;
+    clearInterval(pollTimer);
+    res.end();
+  };
+
+  const pushUpdate = async (run) => {
+    const updatedAt = new Date(run.updatedAt).getTime();
+    if (updatedAt !== lastUpdatedAt) {
+      lastUpdatedAt = updatedAt;
+      sendEvent('progress', run);
+    }
+
+    if (promptTestQueueService.isTerminal(run.status)) {
+      sendEvent('done', run);
+      endStream();
+    }
+  };
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(pollTimer);
+  });
+
+  await pushUpdate(initialRun);
+  if (closed) {
+    return;
+  }
+
+  // Progress is written to MongoDB by whichever worker owns the run, so poll it
+  pollTimer = setInterval(async () => {
+    try {
+      const run = await promptTestQueueService.getRun(runId, req.userId);
+      if (closed) {
+        return;
+      }
+      if (!run) {
+        // Deleted while streaming (e.g. with its analysis); nothing more will arrive
+        sendEvent('error', { message: 'Test run not found' });
+        endStream();
+        return;
+      }
+      await pushUpdate(run);
+    } catch (error) {
+      console.error(`❌ [TEST RUN STREAM] Poll failed for run ${runId}:`, error.message);
+    }
+  }, 2000);
+}));
+
+// Cancel a queued or running test run
+router.post('/test/runs/:runId/cancel', authenticateToken, asyncHandler(async (req, res) => {
+  const { runId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(runId)) {
+    throw new NotFoundError('Test run');
+  }
+
+  const run = await promptTestQueueService.cancel(runId, req.userId);
+  if (!run) {
+    throw new NotFoundError('Test run');
+  }
+
+  res.json({
+    success: true,
+    message: run.status === 'cancelled'
+      ? 'Test run cancelled'
+      : run.cancelRequested
+        ? 'Cancellation requested - the run will stop after the current batch'
+        : `Test run already ${run.status}`,
+    data: run
+  });
+}));
+
 // Get test results for a specific prompt
 router.get('/:promptId/tests', authenticateToken, async (req, res) => {
   try {
@@ -719,7 +1045,14 @@ router.get('/tests/all', authenticateToken, async (req, res) => {
 router.get('/dashboard', authenticateToken, async (req, res) => {
   try {
     const userId = req.userId;
-    const { urlAnalysisId } = req.query; // Get analysis ID from query parameter
+    const { urlAnalysisId, promptVersions = 'all' } = req.query; // Get analysis ID from query parameter
+
+    if (!promptVersionService.versionScopes.includes(promptVersions)) {
+      return res.status(400).json({
+        success: false,
+        message: `promptVersions must be one of: ${promptVersionService.versionScopes.join(', ')}`
+      });
+    }
     
     console.log('📊 [PROMPTS DASHBOARD] Fetching prompts tab data for user:', userId);
     console.log('📊 [PROMPTS DASHBOARD] Requested analysis ID:', urlAnalysisId);
@@ -898,9 +1231,10 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     const promptTests = await PromptTest.find({ 
       userId, 
       status: 'completed',
-      urlAnalysisId: analysis._id
+      urlAnalysisId: analysis._id,
+      ...promptVersionService.buildVersionQuery(promptVersions) // 'current' leaves out tests of earlier prompt versions
     })
-    .populate('promptId', 'text queryType topicId personaId')
+    .populate('promptId', 'text queryType topicId personaId currentVersion metadata.mergedDuplicates')
     .populate('topicId', 'name')
     .populate('personaId', 'type')
     .lean();
@@ -1011,6 +1345,9 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
           id: group.prompt._id,
           text: group.prompt.text || 'N/A',
           queryType: group.prompt.queryType || 'N/A',
+          mergedDuplicates: group.prompt.metadata?.mergedDuplicates || [],
+          currentVersion: group.prompt.currentVersion || 1,
+          earlierVersionTests: group.tests.filter(test => test.supersededAt).length,
           totalTests: responseMetrics.length,
           mentionedBrands: mentionedBrands,
           // Keep mentionedCompetitors for backward compatibility
@@ -1156,6 +1493,9 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
           id: group.prompt._id,
           text: group.prompt.text || 'N/A',
           queryType: group.prompt.queryType || 'N/A',
+          mergedDuplicates: group.prompt.metadata?.mergedDuplicates || [],
+          currentVersion: group.prompt.currentVersion || 1,
+          earlierVersionTests: group.tests.filter(test => test.supersededAt).length,
           totalTests: responseMetrics.length,
           mentionedBrands: mentionedBrands,
           // Keep mentionedCompetitors for backward compatibility
@@ -1240,6 +1580,14 @@ router.get('/details/:promptId', authenticateToken, async (req, res) => {
   try {
     const { promptId } = req.params;
     const userId = req.userId;
+    const { promptVersions = 'all' } = req.query;
+
+    if (!promptVersionService.versionScopes.includes(promptVersions)) {
+      return res.status(400).json({
+        success: false,
+        message: `promptVersions must be one of: ${promptVersionService.versionScopes.join(', ')}`
+      });
+    }
 
     console.log(`📊 [PROMPT DETAILS] Fetching prompt details for ${promptId}`);
 
@@ -1285,10 +1633,16 @@ router.get('/details/:promptId', authenticateToken, async (req, res) => {
       console.warn('⚠️ [PROMPTS/BRAND-NAMES] No urlAnalysisId available, may mix data from multiple analyses');
     }
     
-    const promptTests = await PromptTest.find(promptTestQuery)
-    .populate('topicId')
-    .populate('personaId')
-    .lean();
+    const [promptTests, versionTests] = await Promise.all([
+      PromptTest.find({ ...promptTestQuery, ...promptVersionService.buildVersionQuery(promptVersions) })
+        .populate('topicId')
+        .populate('personaId')
+        .lean(),
+      // Every completed test, segmented by the prompt version it ran against
+      PromptTest.find({ ...promptTestQuery, status: 'completed' })
+        .select('promptVersion testedAt scorecard.brandMentioned')
+        .lean()
+    ]);
     
     promptTests.forEach(test => {
       if (Array.isArray(test.brandMetrics)) {
@@ -1328,6 +1682,7 @@ router.get('/details/:promptId', authenticateToken, async (req, res) => {
 
     // Group responses by platform
     const platformResponses = {};
+    const providerRegistry = require('../services/promptTesting/providers');
     const platformNames = {
       'openai': 'OpenAI',
       'claude': 'Claude', 
@@ -1336,7 +1691,7 @@ router.get('/details/:promptId', authenticateToken, async (req, res) => {
     };
     
     promptTests.forEach(test => {
-      const platformName = platformNames[test.llmProvider] || test.llmProvider;
+      const platformName = platformNames[test.llmProvider] || providerRegistry.getDisplayName(test.llmProvider);
 
       // ✅ FIX: Extract mentioned brands/competitors with URLs (like /dashboard endpoint)
       let mentionedBrands = [];
@@ -1428,8 +1783,11 @@ router.get('/details/:promptId', authenticateToken, async (req, res) => {
           id: prompt._id,
           text: prompt.text,
           queryType: prompt.queryType || 'General',
-          createdAt: prompt.createdAt
+          createdAt: prompt.createdAt,
+          currentVersion: prompt.currentVersion || 1
         },
+        promptVersions,
+        versions: promptVersionService.summarizeTestsByVersion(versionTests),
         topic: promptTests[0]?.topicId?.name || 'Unknown',
         persona: promptTests[0]?.personaId?.type || 'Unknown',
         brandName: brandName,
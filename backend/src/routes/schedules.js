@@ -0,0 +1,126 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const visibilityScheduleService = require('../services/visibilityScheduleService');
+const { validateScheduleTiming } = require('../utils/scheduleTiming');
+const { MAX_SAMPLES_PER_PROMPT } = require('../services/promptTesting/sampling');
+
+function assertObjectId(value, field) {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ValidationError(`Invalid ${field}`, [{ field, message: `${field} must be a valid id` }]);
+  }
+}
+
+function validateTestLimit(testLimit) {
+  if (testLimit !== undefined && testLimit !== null && !(Number.isInteger(testLimit) && testLimit > 0)) {
+    throw new ValidationError('Invalid testLimit', [{ field: 'testLimit', message: 'testLimit must be a positive integer' }]);
+  }
+}
+
+function validateSamplesPerPrompt(samplesPerPrompt) {
+  if (samplesPerPrompt !== undefined && samplesPerPrompt !== null &&
+    !(Number.isInteger(samplesPerPrompt) && samplesPerPrompt >= 1 && samplesPerPrompt <= MAX_SAMPLES_PER_PROMPT)) {
+    throw new ValidationError('Invalid samplesPerPrompt', [{
+      field: 'samplesPerPrompt',
+      message: `samplesPerPrompt must be an integer from 1 to ${MAX_SAMPLES_PER_PROMPT}`
+    }]);
+  }
+}
+
+/**
+ * GET /api/schedules
+ * List the user's visibility schedules (optionally for one analysis)
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId } = req.query;
+  if (urlAnalysisId) assertObjectId(urlAnalysisId, 'urlAnalysisId');
+
+  const schedules = await visibilityScheduleService.listSchedules(req.userId, { urlAnalysisId });
+
+  res.json({
+    success: true,
+    data: schedules
+  });
+}));
+
+/**
+ * POST /api/schedules
+ * Create a recurring visibility run
+ * Body: { urlAnalysisId, frequency: 'daily'|'weekly', hourUtc?, minuteUtc?, dayOfWeek?, testLimit?, samplesPerPrompt?, name? }
+ */
+router.post('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId, testLimit, samplesPerPrompt } = req.body;
+  assertObjectId(urlAnalysisId, 'urlAnalysisId');
+
+  const timingErrors = validateScheduleTiming(req.body);
+  if (timingErrors.length > 0) {
+    throw new ValidationError('Invalid schedule', timingErrors);
+  }
+  validateTestLimit(testLimit);
+  validateSamplesPerPrompt(samplesPerPrompt);
+
+  const schedule = await visibilityScheduleService.createSchedule(req.userId, req.body);
+  if (!schedule) {
+    throw new NotFoundError('URL analysis');
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Schedule created',
+    data: schedule
+  });
+}));
+
+/**
+ * PATCH /api/schedules/:id
+ * Pause/resume ({ status: 'paused'|'active' }) or change timing and options
+ */
+router.patch('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+
+  const { status, frequency, testLimit, samplesPerPrompt } = req.body;
+  if (status !== undefined && !['active', 'paused'].includes(status)) {
+    throw new ValidationError('Invalid status', [{ field: 'status', message: "status must be 'active' or 'paused'" }]);
+  }
+
+  // frequency is optional on update; check the other fields as if weekly so dayOfWeek is range-checked too
+  const timingErrors = validateScheduleTiming({ ...req.body, frequency: frequency || 'weekly' });
+  if (timingErrors.length > 0) {
+    throw new ValidationError('Invalid schedule', timingErrors);
+  }
+  validateTestLimit(testLimit);
+  validateSamplesPerPrompt(samplesPerPrompt);
+
+  const schedule = await visibilityScheduleService.updateSchedule(req.params.id, req.userId, req.body);
+  if (!schedule) {
+    throw new NotFoundError('Schedule');
+  }
+
+  res.json({
+    success: true,
+    message: status === 'paused' ? 'Schedule paused' : 'Schedule updated',
+    data: schedule
+  });
+}));
+
+/**
+ * DELETE /api/schedules/:id
+ */
+router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+
+  const deleted = await visibilityScheduleService.deleteSchedule(req.params.id, req.userId);
+  if (!deleted) {
+    throw new NotFoundError('Schedule');
+  }
+
+  res.json({
+    success: true,
+    message: 'Schedule deleted'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const spendService = require('../services/spendService');
+const { LEDGER_SOURCES } = require('../models/SpendLedgerEntry');
+
+function assertObjectId(value, field) {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ValidationError(`Invalid ${field}`, [{ field, message: `${field} must be a valid id` }]);
+  }
+}
+
+/**
+ * GET /api/spend/summary
+ * Month-to-date spend by source and model, monthly totals and budgets
+ * Query: urlAnalysisId?, months? (1-24, default 6)
+ */
+router.get('/summary', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId } = req.query;
+  if (urlAnalysisId) assertObjectId(urlAnalysisId, 'urlAnalysisId');
+
+  const months = req.query.months === undefined ? 6 : Number(req.query.months);
+  if (!Number.isInteger(months) || months < 1 || months > 24) {
+    throw new ValidationError('Invalid months', [{ field: 'months', message: 'months must be an integer from 1 to 24' }]);
+  }
+
+  const summary = await spendService.getSummary(req.userId, { urlAnalysisId, months });
+
+  res.json({
+    success: true,
+    data: summary
+  });
+}));
+
+/**
+ * GET /api/spend/ledger
+ * Most recent billed LLM calls
+ * Query: urlAnalysisId?, source?, limit? (1-500, default 100)
+ */
+router.get('/ledger', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId, source } = req.query;
+  if (urlAnalysisId) assertObjectId(urlAnalysisId, 'urlAnalysisId');
+  if (source && !LEDGER_SOURCES.includes(source)) {
+    throw new ValidationError('Invalid source', [{ field: 'source', message: `source must be one of: ${LEDGER_SOURCES.join(', ')}` }]);
+  }
+
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    throw new ValidationError('Invalid limit', [{ field: 'limit', message: 'limit must be an integer from 1 to 500' }]);
+  }
+
+  const entries = await spendService.listEntries(req.userId, { urlAnalysisId, source, limit });
+
+  res.json({
+    success: true,
+    data: entries
+  });
+}));
+
+/**
+ * GET /api/spend/budgets
+ * Every budget the user has set, with month-to-date spend against each
+ */
+router.get('/budgets', authenticateToken, asyncHandler(async (req, res) => {
+  const budgets = await spendService.getBudgetStatus(req.userId, { all: true });
+
+  res.json({
+    success: true,
+    data: budgets
+  });
+}));
+
+/**
+ * PUT /api/spend/budgets
+ * Create or replace the monthly budget for the user (no urlAnalysisId) or one analysis
+ * Body: { urlAnalysisId?, monthlyLimit, hardStop? }
+ */
+router.put('/budgets', authenticateToken, asyncHandler(async (req, res) => {
+  const { urlAnalysisId, monthlyLimit, hardStop } = req.body;
+  if (urlAnalysisId) assertObjectId(urlAnalysisId, 'urlAnalysisId');
+
+  if (typeof monthlyLimit !== 'number' || !Number.isFinite(monthlyLimit) || monthlyLimit < 0) {
+    throw new ValidationError('Invalid monthlyLimit', [{ field: 'monthlyLimit', message: 'monthlyLimit must be a non-negative number (USD)' }]);
+  }
+  if (hardStop !== undefined && typeof hardStop !== 'boolean') {
+    throw new ValidationError('Invalid hardStop', [{ field: 'hardStop', message: 'hardStop must be a boolean' }]);
+  }
+
+  if (urlAnalysisId) {
+    const UrlAnalysis = require('../models/UrlAnalysis');
+    const analysis = await UrlAnalysis.exists({ _id: urlAnalysisId, userId: req.userId });
+    if (!analysis) {
+      throw new NotFoundError('URL analysis');
+    }
+  }
+
+  await spendService.setBudget(req.userId, { urlAnalysisId, monthlyLimit, hardStop });
+  const budgets = await spendService.getBudgetStatus(req.userId, { all: true });
+
+  res.json({
+    success: true,
+    message: 'Budget saved',
+    data: budgets
+  });
+}));
+
+/**
+ * DELETE /api/spend/budgets/:id
+ */
+router.delete('/budgets/:id', authenticateToken, asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+
+  const budget = await spendService.deleteBudget(req.userId, req.params.id);
+  if (!budget) {
+    throw new NotFoundError('Budget');
+  }
+
+  res.json({
+    success: true,
+    message: 'Budget deleted'
+  });
+}));
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
-const { asyncHandler } = require('../middleware/errorHandler');
+const mongoose = require('mongoose');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const UrlAnalysis = require('../models/UrlAnalysis');
 const AggregatedMetrics = require('../models/AggregatedMetrics');
+const User = require('../models/User');
+const { parseLocales, resolveAnalysisLocales, localeKey } = require('../utils/locales');
 const router = express.Router();
 
 
@@ -346,4 +349,61 @@ function formatForDashboard(metrics) {
   };
 }
 
+/**
+ * Locales an analysis targets, falling back to the owner's preferred region/language
+ */
+async function describeLocales(urlAnalysis, userId) {
+  const user = urlAnalysis.locales?.length > 0 ? null : await User.findById(userId).select('preferences').lean();
+  const locales = resolveAnalysisLocales(urlAnalysis, user);
+  return {
+    locales: locales.map(locale => ({ ...locale, key: localeKey(locale) })),
+    usesDefault: !(urlAnalysis.locales?.length > 0)
+  };
+}
+
+/**
+ * GET /api/url-analysis/:id/locales
+ * Locales prompts are generated and tested for
+ */
+router.get('/:id/locales', authenticateToken, asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new ValidationError('Invalid id', [{ field: 'id', message: 'id must be a valid id' }]);
+  }
+
+  const urlAnalysis = await UrlAnalysis.findOne({ _id: req.params.id, userId: req.userId }).select('locales').lean();
+  if (!urlAnalysis) throw new NotFoundError('URL analysis');
+
+  res.json({ success: true, data: await describeLocales(urlAnalysis, req.userId) });
+}));
+
+/**
+ * PUT /api/url-analysis/:id/locales
+ * Body: { locales: [{ region, language }] }
+ * Replaces the target locales. Prompts for newly added locales are created by the
+ * next prompt generation; existing prompts keep their locale.
+ */
+router.put('/:id/locales', authenticateToken, asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new ValidationError('Invalid id', [{ field: 'id', message: 'id must be a valid id' }]);
+  }
+
+  let locales;
+  try {
+    locales = parseLocales(req.body.locales);
+  } catch (error) {
+    throw new ValidationError(error.message, [{ field: 'locales', message: error.message }]);
+  }
+
+  const urlAnalysis = await UrlAnalysis.findOneAndUpdate(
+    { _id: req.params.id, userId: req.userId },
+    { $set: { locales, updatedAt: new Date() } },
+    { new: true }
+  ).select('locales').lean();
+  if (!urlAnalysis) throw new NotFoundError('URL analysis');
+
+  console.log(`🌍 [API] Analysis ${req.params.id} now targets: ${locales.map(localeKey).join(', ')}`);
+
+  res.json({ success: true, data: await describeLocales(urlAnalysis, req.userId) });
+}));
+
 module.exports = router;
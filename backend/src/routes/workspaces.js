@@ -0,0 +1,206 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const { authenticateToken, requireWorkspaceRole, requireUserSession } = require('../middleware/auth');
+const { asyncHandler, AuthorizationError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { parseGA4Session } = require('../middleware/ga4Session');
+const User = require('../models/User');
+const workspaceService = require('../services/workspaceService');
+
+const INVITE_ROLES = ['editor', 'viewer'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// "current" is the workspace of the request (X-Workspace-Id, else the personal workspace)
+router.use(authenticateToken, requireUserSession);
+
+function assertObjectId(value, field) {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ValidationError(`Invalid ${field}`, [{ field, message: `${field} must be a valid id` }]);
+  }
+}
+
+function assertName(name) {
+  if (!(typeof name === 'string' && name.trim() && name.trim().length <= 100)) {
+    throw new ValidationError('Invalid name', [{ field: 'name', message: 'name is required (at most 100 characters)' }]);
+  }
+}
+
+/**
+ * GET /api/workspaces
+ * Workspaces the user belongs to, with their role, and the current one
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      workspaces: await workspaceService.listWorkspaces(req.userId),
+      currentWorkspaceId: req.workspaceId
+    }
+  });
+}));
+
+/**
+ * POST /api/workspaces
+ * Body: { name } - the user becomes its owner
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  assertName(req.body.name);
+  const workspace = await workspaceService.createWorkspace(req.userId, req.body.name);
+  res.status(201).json({ success: true, message: 'Workspace created', data: workspace });
+}));
+
+/**
+ * POST /api/workspaces/invites/accept
+ * Body: { token } from the invite link; the signed-in user must have the invited email
+ */
+router.post('/invites/accept', asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('email').lean();
+  if (!user) throw new NotFoundError('User');
+
+  const { workspace, role } = await workspaceService.acceptInvite(user, req.body.token);
+  res.json({
+    success: true,
+    message: `You joined ${workspace.name}`,
+    data: { workspaceId: workspace._id, name: workspace.name, role }
+  });
+}));
+
+/**
+ * PATCH /api/workspaces/current
+ * Body: { name }
+ */
+router.patch('/current', requireWorkspaceRole('owner'), asyncHandler(async (req, res) => {
+  assertName(req.body.name);
+  const workspace = await workspaceService.renameWorkspace(req.workspaceId, req.body.name);
+  res.json({ success: true, message: 'Workspace renamed', data: workspace });
+}));
+
+/**
+ * GET /api/workspaces/current/members
+ */
+router.get('/current/members', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: await workspaceService.listMembers(req.workspaceId) });
+}));
+
+/**
+ * PATCH /api/workspaces/current/members/:userId
+ * Body: { role: owner | editor | viewer }
+ */
+router.patch('/current/members/:userId', requireWorkspaceRole('owner'), asyncHandler(async (req, res) => {
+  assertObjectId(req.params.userId, 'userId');
+  const { role } = req.body;
+  if (!['owner', ...INVITE_ROLES].includes(role)) {
+    throw new ValidationError('Invalid role', [{ field: 'role', message: 'role must be one of: owner, editor, viewer' }]);
+  }
+
+  await workspaceService.updateMemberRole(req.workspaceId, req.params.userId, role);
+  res.json({ success: true, message: 'Role updated', data: await workspaceService.listMembers(req.workspaceId) });
+}));
+
+/**
+ * DELETE /api/workspaces/current/members/:userId
+ * Owners remove members; any member can remove themselves (leave)
+ */
+router.delete('/current/members/:userId', asyncHandler(async (req, res) => {
+  assertObjectId(req.params.userId, 'userId');
+  const leaving = req.params.userId === req.userId.toString();
+  if (!leaving && !workspaceService.hasRole(req.workspaceRole, 'owner')) {
+    throw new AuthorizationError('Only owners can remove other members');
+  }
+
+  await workspaceService.removeMember(req.workspaceId, req.params.userId);
+  res.json({ success: true, message: leaving ? 'You left the workspace' : 'Member removed' });
+}));
+
+/**
+ * GET /api/workspaces/current/invites
+ * Pending invites
+ */
+router.get('/current/invites', requireWorkspaceRole('owner'), asyncHandler(async (req, res) => {
+  res.json({ success: true, data: await workspaceService.listInvites(req.workspaceId) });
+}));
+
+/**
+ * POST /api/workspaces/current/invites
+ * Body: { email, role: editor | viewer } - emails an invite link (also returned as inviteUrl)
+ */
+router.post('/current/invites', requireWorkspaceRole('owner'), asyncHandler(async (req, res) => {
+  const { email, role } = req.body;
+  const errors = [];
+  if (!(typeof email === 'string' && EMAIL_PATTERN.test(email.trim()))) {
+    errors.push({ field: 'email', message: 'email must be a valid email address' });
+  }
+  if (!INVITE_ROLES.includes(role)) {
+    errors.push({ field: 'role', message: `role must be one of: ${INVITE_ROLES.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid invite', errors);
+  }
+
+  const inviter = await User.findById(req.userId).select('email firstName lastName').lean();
+  const { invite, inviteUrl } = await workspaceService.createInvite(req.workspace, inviter, { email, role });
+
+  res.status(201).json({
+    success: true,
+    message: `Invite sent to ${invite.email}`,
+    data: { ...invite.toJSON(), inviteUrl }
+  });
+}));
+
+/**
+ * DELETE /api/workspaces/current/invites/:id
+ */
+router.delete('/current/invites/:id', requireWorkspaceRole('owner'), asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, 'id');
+  const revoked = await workspaceService.revokeInvite(req.workspaceId, req.params.id);
+  if (!revoked) throw new NotFoundError('Invite');
+
+  res.json({ success: true, message: 'Invite revoked' });
+}));
+
+/**
+ * GET /api/workspaces/current/ga4
+ * GA4 property shared with the workspace, if any
+ */
+router.get('/current/ga4', asyncHandler(async (req, res) => {
+  const connection = await workspaceService.getSharedGA4Connection(req.workspaceId);
+  res.json({
+    success: true,
+    data: connection
+      ? { propertyId: connection.propertyId, propertyName: connection.propertyName, accountName: connection.accountName, email: connection.email }
+      : null
+  });
+}));
+
+/**
+ * POST /api/workspaces/current/ga4
+ * Share the GA4 connection of the caller's GA4 session (ga4_session cookie) with the workspace
+ */
+router.post('/current/ga4', requireWorkspaceRole('editor'), asyncHandler(async (req, res) => {
+  const session = parseGA4Session(req);
+  if (!session) {
+    throw new ValidationError('GA4 is not connected', [{ field: 'ga4', message: 'Connect Google Analytics first' }]);
+  }
+
+  const connection = await workspaceService.shareGA4Connection(req.workspaceId, session.userId);
+  if (!connection) {
+    throw new ValidationError('No active GA4 property', [{ field: 'ga4', message: 'Select a GA4 property first' }]);
+  }
+
+  res.json({
+    success: true,
+    message: `${connection.propertyName || connection.propertyId} is now shared with the workspace`,
+    data: { propertyId: connection.propertyId, propertyName: connection.propertyName, accountName: connection.accountName, email: connection.email }
+  });
+}));
+
+/**
+ * DELETE /api/workspaces/current/ga4
+ */
+router.delete('/current/ga4', requireWorkspaceRole('editor'), asyncHandler(async (req, res) => {
+  await workspaceService.unshareGA4Connection(req.workspaceId);
+  res.json({ success: true, message: 'GA4 is no longer shared with the workspace' });
+}));
+
+module.exports = router;
@@ -0,0 +1,157 @@
+/**
+ * alertService payloads and webhook delivery with retry (HTTP and models
+ * stubbed, no network or database)
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const dns = require('dns');
+const mongoose = require('mongoose');
+const alertService = require('../alertService');
+const AlertWebhook = require('../../models/AlertWebhook');
+
+jest.mock('axios');
+
+const webhook = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Team channel',
+  url: 'https://hooks.slack.test/services/T000/B000/XXX',
+  format: 'slack',
+  secret: null,
+  enabled: true,
+  ...overrides
+});
+
+const alertEvent = (hook) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ruleId: new mongoose.Types.ObjectId(),
+  ruleName: 'ChatGPT visibility drop',
+  metric: 'visibilityScore',
+  condition: 'decreases_by',
+  threshold: 10,
+  scope: 'platform',
+  scopeValue: 'openai',
+  brandName: 'Acme',
+  value: 30,
+  previousValue: 42,
+  message: 'Visibility on ChatGPT dropped 12 points for Acme (42% → 30%)',
+  triggeredAt: new Date('2026-03-01T00:00:00Z'),
+  deliveries: [{ webhookId: hook._id, status: 'pending', attempts: 0, nextAttemptAt: new Date('2026-03-01T00:01:00Z') }],
+  save: jest.fn().mockResolvedValue()
+});
+
+const stubWebhooks = (hooks) => {
+  jest.spyOn(AlertWebhook, 'find').mockReturnValue({ lean: () => Promise.resolve(hooks) });
+  jest.spyOn(AlertWebhook, 'updateOne').mockResolvedValue({});
+};
+
+describe('alertService', () => {
+  beforeEach(() => {
+    // Retries and give-ups are logged as warnings/errors
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(dns.promises, 'lookup').mockImplementation(async (hostname) => [
+      { address: hostname === 'hooks.internal.test' ? '192.168.1.20' : '203.0.114.7', family: 4 }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    axios.post.mockReset();
+  });
+
+  test('payloads are Slack shaped; json webhooks also get the structured alert', () => {
+    const hook = webhook();
+    const event = alertEvent(hook);
+
+    const slack = alertService.buildPayload(event, hook);
+    expect(slack.text).toBe(`🚨 ${event.message}`);
+    expect(slack.blocks[0]).toMatchObject({ type: 'section', text: { type: 'mrkdwn' } });
+    expect(slack.blocks[1].elements[0].text).toBe('Visibility: 42% → 30%');
+    expect(slack.alert).toBeUndefined();
+
+    const json = alertService.buildPayload(event, webhook({ format: 'json' }));
+    expect(json.alert).toMatchObject({ metric: 'visibilityScore', scopeValue: 'openai', value: 30, previousValue: 42 });
+  });
+
+  test('signs the body when the webhook has a secret', async () => {
+    axios.post.mockResolvedValue({ status: 200 });
+    const hook = webhook({ secret: 'shh' });
+
+    await alertService.post(hook, { text: 'hi' });
+
+    const [url, body, config] = axios.post.mock.calls[0];
+    expect(url).toBe(hook.url);
+    expect(config.maxRedirects).toBe(0);
+    expect(config.httpsAgent).toBeDefined();
+    expect(config.headers['X-Rankly-Signature'])
+      .toBe(`sha256=${crypto.createHmac('sha256', 'shh').update(body).digest('hex')}`);
+  });
+
+  test('a failed first attempt is scheduled for retry, then delivered', async () => {
+    const hook = webhook();
+    const event = alertEvent(hook);
+    stubWebhooks([hook]);
+    const now = new Date('2026-03-01T00:00:00Z');
+
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } }));
+    await alertService.deliverEvent(event, { now, initial: true });
+
+    expect(event.deliveries[0]).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 500 });
+    expect(event.deliveries[0].nextAttemptAt).toEqual(new Date('2026-03-01T00:01:00Z'));
+
+    // Not due yet
+    await alertService.deliverEvent(event, { now });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    axios.post.mockResolvedValueOnce({ status: 200 });
+    await alertService.deliverEvent(event, { now: new Date('2026-03-01T00:02:00Z') });
+    expect(event.deliveries[0]).toMatchObject({ status: 'delivered', attempts: 2, responseStatus: 200 });
+    expect(event.save).toHaveBeenCalled();
+  });
+
+  test('a webhook whose host resolves to a private address fails without retries', async () => {
+    const hook = webhook({ url: 'https://hooks.internal.test/alerts' });
+    const event = alertEvent(hook);
+    stubWebhooks([hook]);
+
+    await alertService.deliverEvent(event, { now: new Date('2026-03-01T00:00:00Z'), initial: true });
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(event.deliveries[0]).toMatchObject({
+      status: 'failed',
+      attempts: 1,
+      lastError: 'hooks.internal.test resolves to a private or reserved address'
+    });
+  });
+
+  test('gives up after the last attempt and fails deliveries to deleted webhooks', async () => {
+    const hook = webhook();
+    const event = alertEvent(hook);
+    event.deliveries[0].attempts = 4;
+    event.deliveries.push({ webhookId: new mongoose.Types.ObjectId(), status: 'pending', attempts: 0, nextAttemptAt: new Date(0) });
+    stubWebhooks([hook]);
+
+    axios.post.mockRejectedValueOnce(new Error('timeout of 10000ms exceeded'));
+    await alertService.deliverEvent(event, { now: new Date('2026-03-02T00:00:00Z') });
+
+    expect(event.deliveries[0]).toMatchObject({ status: 'failed', attempts: 5, lastError: 'timeout of 10000ms exceeded' });
+    expect(event.deliveries[1]).toMatchObject({ status: 'failed', lastError: 'Webhook deleted' });
+  });
+
+  test('pairs each scope document with its previous version and untracked brands', () => {
+    const results = {
+      overall: { scope: 'overall', scopeValue: 'all', brandMetrics: [{ brandName: 'Acme', isOwner: true }] },
+      platform: [{ scope: 'platform', scopeValue: 'openai', brandMetrics: [{ brandName: 'Acme', isOwner: true }] }]
+    };
+    const tests = [
+      { llmProvider: 'openai', brandMetrics: [{ brandName: 'Initech', mentioned: true }] },
+      { llmProvider: 'gemini', brandMetrics: [] }
+    ];
+    const previous = [{ scope: 'platform', scopeValue: 'openai', brandMetrics: [{ brandName: 'Acme', visibilityScore: 40 }] }];
+
+    const [overall, openai] = alertService.buildScopes(previous, results, tests);
+
+    expect(overall).toMatchObject({ previousBrands: null, untrackedBrands: [{ brandName: 'Initech', visibilityScore: 50 }] });
+    expect(openai).toMatchObject({ previousBrands: previous[0].brandMetrics, untrackedBrands: [{ brandName: 'Initech', visibilityScore: 100 }] });
+  });
+});
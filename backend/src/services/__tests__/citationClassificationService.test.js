@@ -0,0 +1,67 @@
+/**
+ * citationClassificationService.categorizeCitation against the golden citations
+ */
+const golden = require('../../../fixtures/golden/responses.json');
+const citationClassificationService = require('../citationClassificationService');
+
+const allBrands = [golden.brand, ...golden.competitors.map(c => c.name)];
+const categorize = (url) => citationClassificationService.categorizeCitation(url, golden.brand, allBrands);
+
+describe('citationClassificationService.categorizeCitation', () => {
+  test('classifies the golden citations as brand, earned and social', () => {
+    const [brandUrl, reviewUrl, socialUrl] = golden.responses.positiveLead.citations.map(c => c.url);
+
+    expect(categorize(brandUrl)).toMatchObject({ type: 'brand', brand: golden.brand });
+    expect(categorize(reviewUrl).type).toBe('earned');
+    expect(categorize(socialUrl).type).toBe('social');
+  });
+
+  test('brand-owned domains are classified with high confidence', () => {
+    const result = categorize('https://acmecrm.example/pricing');
+
+    expect(result.confidence).toBeGreaterThanOrEqual(0.9);
+    expect(result.label).toBe('brand_owned_domain');
+  });
+
+  test('a competitor domain is not attributed to the user brand', () => {
+    const result = categorize(golden.responses.competitorOnly.citations[0].url);
+
+    expect(result.type).not.toBe('brand');
+    expect(result.brand).not.toBe(golden.brand);
+  });
+
+  test.each([
+    ['https://www.youtube.com/watch?v=abc', 'social'],
+    ['https://www.forbes.com/advisor/business/software/best-crm-small-business/', 'earned']
+  ])('%s is %s', (url, type) => {
+    expect(categorize(url).type).toBe(type);
+  });
+
+  test('malformed URLs are unknown with zero confidence', () => {
+    expect(categorize('not a url')).toMatchObject({ type: 'unknown', confidence: 0 });
+  });
+});
+
+describe('citationClassificationService overrides', () => {
+  const overrides = [
+    { pattern: 'youtube.com', classification: 'earned', brandName: null },
+    { pattern: 'acme-partners.example', classification: 'brand', brandName: golden.brand },
+    { pattern: 'globex-labs.example', classification: 'owned-competitor', brandName: 'Globex' }
+  ];
+  const categorizeFor = (url, brandName) =>
+    citationClassificationService.categorizeCitation(url, brandName, allBrands, overrides);
+
+  test('an override replaces the built-in domain lists', () => {
+    expect(categorizeFor('https://www.youtube.com/watch?v=abc', golden.brand)).toMatchObject({
+      type: 'earned',
+      confidence: 1,
+      label: 'override_earned'
+    });
+  });
+
+  test('owned domains are brand citations for their owner and earned for everyone else', () => {
+    expect(categorizeFor('https://acme-partners.example/case-study', golden.brand)).toMatchObject({ type: 'brand', brand: golden.brand });
+    expect(categorizeFor('https://blog.globex-labs.example/post', 'Globex')).toMatchObject({ type: 'brand', brand: 'Globex' });
+    expect(categorizeFor('https://blog.globex-labs.example/post', golden.brand)).toMatchObject({ type: 'earned', brand: null });
+  });
+});
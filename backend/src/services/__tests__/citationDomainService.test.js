@@ -0,0 +1,71 @@
+/**
+ * citationDomainService.buildLeaderboard over prompt tests shaped like the
+ * golden responses (no database)
+ */
+const golden = require('../../../fixtures/golden/responses.json');
+const citationDomainService = require('../citationDomainService');
+
+const BRAND = golden.brand;
+
+const brandMetric = (brandName, citations, isOwner = false) => ({ brandName, isOwner, citations });
+
+const tests = [
+  {
+    llmProvider: 'openai',
+    topicId: 'topic-crm',
+    brandMetrics: [
+      brandMetric(BRAND, [
+        { url: 'https://acmecrm.example/pricing', type: 'brand' },
+        { url: 'https://www.g2.com/categories/crm', type: 'earned' }
+      ], true),
+      brandMetric('Globex', [
+        { url: 'https://www.g2.com/products/globex', type: 'earned' },
+        { url: 'https://www.forbes.com/advisor/best-crm/', type: 'earned' }
+      ])
+    ]
+  },
+  {
+    llmProvider: 'perplexity',
+    topicId: 'topic-pricing',
+    brandMetrics: [
+      brandMetric('Globex', [{ url: 'https://forbes.com/advisor/crm-pricing', type: 'earned' }]),
+      brandMetric('Initech', [
+        { url: 'https://www.reddit.com/r/sales/comments/xyz', type: 'social' },
+        { url: 'citation_1', type: 'earned' }
+      ])
+    ]
+  }
+];
+
+const topicNames = new Map([['topic-crm', 'CRM software'], ['topic-pricing', 'Pricing']]);
+
+describe('citationDomainService.buildLeaderboard', () => {
+  const leaderboard = citationDomainService.buildLeaderboard(tests, { topicNames });
+  const byDomain = (domain) => leaderboard.find(entry => entry.domain === domain);
+
+  test('ranks third-party domains by citations, then responses, and skips brand-owned and invalid URLs', () => {
+    expect(leaderboard.map(entry => entry.domain)).toEqual(['forbes.com', 'g2.com', 'reddit.com']);
+    expect(leaderboard.map(entry => entry.rank)).toEqual([1, 2, 3]);
+    expect(byDomain('acmecrm.example')).toBeUndefined();
+  });
+
+  test('counts responses, unique URLs, platforms and topics per domain', () => {
+    const forbes = byDomain('forbes.com');
+
+    expect(forbes.totalCitations).toBe(2);
+    expect(forbes.responses).toBe(2);
+    expect(forbes.uniqueUrls).toBe(2);
+    expect(forbes.platforms.map(p => p.count)).toEqual([1, 1]);
+    expect(forbes.topics.map(t => t.topic).sort()).toEqual(['CRM software', 'Pricing']);
+  });
+
+  test('flags domains that cite competitors but not the user brand', () => {
+    expect(byDomain('g2.com')).toMatchObject({ mentionsOwner: true, outreachTarget: false });
+    expect(byDomain('forbes.com')).toMatchObject({
+      mentionsOwner: false,
+      outreachTarget: true,
+      competitors: [{ name: 'Globex', count: 2 }]
+    });
+    expect(byDomain('reddit.com').citationType).toBe('social');
+  });
+});
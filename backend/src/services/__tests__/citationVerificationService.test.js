@@ -0,0 +1,157 @@
+/**
+ * citationVerificationService status, brand-mention and hallucination checks
+ * (HTTP stubbed, no network or database)
+ */
+const axios = require('axios');
+const dns = require('dns');
+const PromptTest = require('../../models/PromptTest');
+const citationVerificationService = require('../citationVerificationService');
+
+jest.mock('axios');
+
+const response = (status, { data = '', location } = {}) => ({
+  status,
+  data,
+  headers: location ? { location } : {}
+});
+
+const PAGE = '<html><head><title>Best CRM tools</title><script>var Globex = 1;</script></head>'
+  + '<body><h1>Top picks</h1><p>Acme CRM leads for small teams.</p></body></html>';
+
+describe('citationVerificationService.verifyUrl', () => {
+  beforeEach(() => {
+    jest.spyOn(dns.promises, 'lookup').mockImplementation(async (hostname) => [
+      { address: hostname === 'internal.example' ? '10.0.0.12' : '93.184.216.34', family: 4 }
+    ]);
+  });
+
+  afterEach(() => {
+    axios.mockReset();
+    jest.restoreAllMocks();
+  });
+
+  test('a live page records its title and which brands it mentions', async () => {
+    axios.mockResolvedValueOnce(response(200)).mockResolvedValueOnce(response(200, { data: PAGE }));
+
+    const result = await citationVerificationService.verifyUrl('https://g2.com/crm', ['Acme CRM', 'Globex']);
+
+    expect(result).toMatchObject({ status: 'live', httpStatus: 200, title: 'Best CRM tools' });
+    // Script contents are not page text
+    expect(result.brandMentions).toEqual([
+      { brandName: 'Acme CRM', mentioned: true },
+      { brandName: 'Globex', mentioned: false }
+    ]);
+  });
+
+  test('a redirect to a different page is recorded with its final URL', async () => {
+    const finalUrl = 'https://www.g2.com/categories/crm';
+    axios
+      .mockResolvedValueOnce(response(200))
+      .mockResolvedValueOnce(response(301, { location: '/categories/crm' }))
+      .mockResolvedValueOnce(response(301, { location: finalUrl }))
+      .mockResolvedValueOnce(response(200, { data: PAGE }));
+
+    const result = await citationVerificationService.verifyUrl('https://g2.com/crm', ['Acme CRM']);
+
+    expect(result).toMatchObject({ status: 'redirected', finalUrl });
+    expect(axios.mock.calls.map(([config]) => [config.url, config.maxRedirects])).toEqual([
+      ['https://g2.com/crm', 0],
+      ['https://g2.com/crm', 0],
+      ['https://g2.com/categories/crm', 0],
+      [finalUrl, 0]
+    ]);
+  });
+
+  test('private and reserved addresses are never fetched, also behind a redirect', async () => {
+    expect(await citationVerificationService.verifyUrl('http://169.254.169.254/latest/meta-data', ['Acme CRM'])).toMatchObject({
+      status: 'unreachable',
+      error: expect.stringContaining('private or reserved address')
+    });
+    expect((await citationVerificationService.verifyUrl('https://internal.example/admin', [])).status).toBe('unreachable');
+    expect(axios).not.toHaveBeenCalled();
+
+    axios.mockResolvedValueOnce(response(200)).mockResolvedValueOnce(response(302, { location: 'http://127.0.0.1:8080/' }));
+    expect((await citationVerificationService.verifyUrl('https://g2.com/out', [])).status).toBe('unreachable');
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  test('a 404 on HEAD is broken without a GET', async () => {
+    axios.mockResolvedValueOnce(response(404));
+
+    const result = await citationVerificationService.verifyUrl('https://g2.com/missing', ['Acme CRM']);
+
+    expect(result).toMatchObject({ status: 'broken', httpStatus: 404 });
+    expect(result.brandMentions).toEqual([{ brandName: 'Acme CRM', mentioned: null }]);
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+
+  test('bot protection is blocked and an unknown domain is broken', async () => {
+    axios.mockResolvedValueOnce(response(405)).mockResolvedValueOnce(response(403));
+    expect((await citationVerificationService.verifyUrl('https://forbes.com/a', [])).status).toBe('blocked');
+
+    axios.mockRejectedValueOnce(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+    expect((await citationVerificationService.verifyUrl('https://made-up.example/a', [])).status).toBe('broken');
+
+    axios.mockResolvedValueOnce(response(200)).mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+    expect(await citationVerificationService.verifyUrl('https://slow.example/a', [])).toMatchObject({
+      status: 'unreachable',
+      error: 'ECONNABORTED'
+    });
+  });
+});
+
+describe('citationVerificationService.isHallucinated', () => {
+  const verification = (status, mentioned) => ({ status, brandMentions: [{ brandName: 'Acme CRM', mentioned }] });
+
+  test('broken links and pages that never mention the brand are hallucinated', () => {
+    expect(citationVerificationService.isHallucinated(verification('broken', null), 'Acme CRM')).toBe(true);
+    expect(citationVerificationService.isHallucinated(verification('live', false), 'Acme CRM')).toBe(true);
+    expect(citationVerificationService.isHallucinated(verification('redirected', true), 'Acme CRM')).toBe(false);
+  });
+
+  test('pages that could not be read are not held against the citation', () => {
+    expect(citationVerificationService.isHallucinated(verification('blocked', null), 'Acme CRM')).toBe(false);
+    expect(citationVerificationService.isHallucinated(verification('unreachable', null), 'Acme CRM')).toBe(false);
+    expect(citationVerificationService.isHallucinated(null, 'Acme CRM')).toBe(false);
+  });
+});
+
+describe('citationVerificationService.tagPromptTests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sets only the verification of citations whose result changed', async () => {
+    const bulkWrite = jest.spyOn(PromptTest, 'bulkWrite').mockResolvedValue({});
+    const checkedAt = new Date('2026-10-01');
+    const verifications = new Map([
+      ['https://g2.com/crm', { status: 'live', checkedAt, brandMentions: [{ brandName: 'Acme CRM', mentioned: false }] }],
+      ['https://capterra.com/crm', { status: 'live', checkedAt, brandMentions: [{ brandName: 'Acme CRM', mentioned: true }] }]
+    ]);
+    const tests = [{
+      _id: 'test-1',
+      brandMetrics: [{
+        brandName: 'Acme CRM',
+        citations: [
+          { url: 'https://g2.com/crm', type: 'earned' },
+          { url: 'https://capterra.com/crm', type: 'earned', verification: { status: 'live', hallucinated: false } }
+        ]
+      }]
+    }];
+
+    const hallucinated = await citationVerificationService.tagPromptTests(tests, verifications);
+
+    expect(hallucinated).toBe(1);
+    expect(bulkWrite).toHaveBeenCalledWith([{
+      updateOne: {
+        filter: { _id: 'test-1' },
+        update: {
+          $set: {
+            'brandMetrics.$[brand].citations.$[citation].verification': { status: 'live', hallucinated: true, checkedAt }
+          }
+        },
+        arrayFilters: [{ 'brand.brandName': 'Acme CRM' }, { 'citation.url': 'https://g2.com/crm' }]
+      }
+    }]);
+  });
+});
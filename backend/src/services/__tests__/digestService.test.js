@@ -0,0 +1,133 @@
+/**
+ * digestService summaries, rendering, delivery through the disk email
+ * transport and claiming due digests (comparison and models stubbed, no database)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rankly-outbox-'));
+process.env.EMAIL_OUTBOX_DIR = outboxDir;
+delete process.env.EMAIL_TRANSPORT;
+delete process.env.SENDGRID_API_KEY;
+
+const User = require('../../models/User');
+const digestService = require('../digestService');
+const emailService = require('../emailService');
+
+const metric = (current, previous, significant = null) => ({
+  current,
+  previous,
+  delta: current !== null && previous !== null ? current - previous : null,
+  significance: significant === null ? null : { significant }
+});
+
+const brand = (brandName, isOwner, { visibility, mentions }) => ({
+  brandName,
+  isOwner,
+  metrics: {
+    visibilityScore: metric(...visibility),
+    totalMentions: metric(...mentions),
+    shareOfVoice: metric(40, 35),
+    avgPosition: metric(1.5, 2),
+    citationShare: metric(10, 10)
+  }
+});
+
+const comparison = {
+  userBrandName: 'Acme <CRM>',
+  current: { totalResponses: 40 },
+  previous: { totalResponses: 38 },
+  brands: [
+    brand('Acme <CRM>', true, { visibility: [55, 50, true], mentions: [22, 19] }),
+    brand('Globex', false, { visibility: [30, 45], mentions: [12, 18] }),
+    brand('Initech', false, { visibility: [20, 0], mentions: [8, 0] }),
+    brand('Umbrella', false, { visibility: [5, 5], mentions: [2, 2] })
+  ],
+  promptChanges: {
+    lost: [{ promptId: 'p1', text: 'Best CRM for startups?', previousPlatforms: ['openai'], currentPlatforms: [] }],
+    gained: []
+  }
+};
+
+describe('digestService', () => {
+  afterAll(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('summarizes owner movement, competitor moves and new competitors', () => {
+    const summary = digestService.summarizeComparison(comparison);
+
+    expect(summary.movements.find(m => m.key === 'visibilityScore')).toMatchObject({ current: 55, previous: 50, delta: 5, significant: true });
+    expect(summary.competitorMoves.map(move => move.brandName)).toEqual(['Initech', 'Globex']);
+    expect(summary.newCompetitors).toEqual([{ brandName: 'Initech', mentions: 8, visibilityScore: 20 }]);
+    expect(summary.promptsLostCount).toBe(1);
+    expect(summary.promptsLost[0].text).toBe('Best CRM for startups?');
+  });
+
+  test('has no position for a brand that was not mentioned', () => {
+    const unmentioned = {
+      ...comparison,
+      brands: [brand('Acme <CRM>', true, { visibility: [0, 10], mentions: [0, 3] })]
+    };
+
+    expect(digestService.summarizeComparison(unmentioned).movements.find(m => m.key === 'avgPosition'))
+      .toMatchObject({ current: null, delta: null });
+  });
+
+  test('renders escaped HTML and a subject with the visibility change', () => {
+    const digest = {
+      firstName: 'Sam',
+      frequency: 'weekly',
+      periodStart: new Date('2026-03-01T00:00:00Z'),
+      periodEnd: new Date('2026-03-08T00:00:00Z'),
+      analyses: [{ ...digestService.summarizeComparison(comparison), url: 'https://acme.test', insights: [] }]
+    };
+
+    expect(digestService.renderSubject(digest)).toBe('Weekly AI visibility digest: Acme <CRM> at 55% visibility (+5 pts)');
+
+    const html = digestService.renderHtml(digest);
+    expect(html).toContain('Acme &lt;CRM&gt;');
+    expect(html).not.toContain('<CRM>');
+    expect(html).toContain('Initech</strong> appeared');
+    expect(digestService.renderText(digest)).toContain('Prompts lost: 1');
+  });
+
+  test('skips digests with nothing new and writes sent ones to the outbox', async () => {
+    const user = { _id: 'user-1', email: 'sam@acme.test', preferences: { digest: { enabled: true } } };
+    const quiet = { frequency: 'weekly', periodStart: new Date(), periodEnd: new Date(), analyses: [] };
+    jest.spyOn(digestService, 'buildDigest').mockResolvedValue(quiet);
+
+    expect(emailService.transport).toBe('disk');
+    expect(await digestService.sendDigest(user)).toMatchObject({ sent: false });
+    expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+
+    expect(await digestService.sendDigest(user, { force: true })).toMatchObject({ sent: true });
+    const files = fs.readdirSync(outboxDir);
+    expect(files.filter(file => file.endsWith('.html'))).toHaveLength(1);
+
+    const message = JSON.parse(fs.readFileSync(path.join(outboxDir, files.find(file => file.endsWith('.json'))), 'utf8'));
+    expect(message).toMatchObject({ to: 'sam@acme.test', subject: 'Weekly AI visibility digest' });
+  });
+
+  test('a due digest is claimed once, by advancing nextSendAt', async () => {
+    const now = new Date('2026-10-19T08:00:00Z');
+    const nextSendAt = new Date('2026-10-19T08:00:00Z');
+    const user = { _id: 'user-1', preferences: { digest: { enabled: true, frequency: 'weekly', dayOfWeek: 1, hourUtc: 8, nextSendAt } } };
+    const claim = jest.spyOn(User, 'findOneAndUpdate')
+      .mockReturnValueOnce({ select: () => ({ lean: () => Promise.resolve({ _id: 'user-1' }) }) })
+      // Another instance already advanced it
+      .mockReturnValueOnce({ select: () => ({ lean: () => Promise.resolve(null) }) });
+
+    expect(await digestService.claimDigest(user, now)).toBe(true);
+    expect(await digestService.claimDigest(user, now)).toBe(false);
+    expect(claim).toHaveBeenCalledWith(
+      { _id: 'user-1', 'preferences.digest.nextSendAt': nextSendAt },
+      { $set: { 'preferences.digest.nextSendAt': new Date('2026-10-26T08:00:00Z') } }
+    );
+  });
+});
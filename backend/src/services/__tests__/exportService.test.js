@@ -0,0 +1,175 @@
+/**
+ * exportService dataset builders and serialization over prompt tests shaped
+ * like the golden responses (no database)
+ */
+const ExcelJS = require('exceljs');
+const golden = require('../../../fixtures/golden/responses.json');
+const PromptTest = require('../../models/PromptTest');
+const exportService = require('../exportService');
+const { parseCsv } = require('../../utils/csv');
+
+const BRAND = golden.brand;
+
+const test_ = (overrides) => ({
+  testedAt: new Date('2026-03-02T10:00:00Z'),
+  llmProvider: 'openai',
+  llmModel: 'gpt-4o',
+  promptText: 'Best CRM for startups?',
+  queryType: 'Commercial',
+  topicId: { name: 'CRM software' },
+  personaId: { type: 'Founder' },
+  rawResponse: 'Acme CRM is a strong pick.',
+  responseMetadata: { totalWords: 20, totalSentences: 2 },
+  ...overrides
+});
+
+const tests = [
+  test_({
+    promptId: 'prompt-1',
+    scorecard: { brandMentioned: true, brandPosition: 1, visibilityScore: 100, overallScore: 80, sentiment: 'positive', competitorsMentioned: ['Globex'] },
+    brandMetrics: [
+      {
+        brandName: BRAND,
+        mentioned: true,
+        mentionCount: 1,
+        firstPosition: 1,
+        rankPosition: 1,
+        citations: [
+          { url: 'https://www.g2.com/categories/crm', type: 'earned', confidence: 1, verification: { status: 'live', hallucinated: false } }
+        ]
+      }
+    ]
+  }),
+  test_({
+    promptId: 'prompt-2',
+    llmProvider: 'perplexity',
+    personaId: { type: 'Sales lead' },
+    scorecard: { brandMentioned: false, visibilityScore: 0, overallScore: 10, sentiment: 'negative', competitorsMentioned: ['Globex'] },
+    brandMetrics: [
+      { brandName: 'Globex', mentioned: true, mentionCount: 2, firstPosition: 1, rankPosition: 1, citations: [] }
+    ]
+  })
+];
+
+const brandContext = { userBrandName: BRAND, brandNames: new Set([BRAND, 'Globex']) };
+
+describe('exportService.loadTests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const stubFind = (count) => {
+    const query = {};
+    ['sort', 'limit', 'populate'].forEach((method) => {
+      query[method] = jest.fn(() => query);
+    });
+    query.lean = () => Promise.resolve(Array.from({ length: count }, () => ({})));
+    jest.spyOn(PromptTest, 'find').mockReturnValue(query);
+    return query;
+  };
+
+  test('refuses a window with more tests than an export holds instead of cutting it off', async () => {
+    const query = stubFind(20001);
+    await expect(exportService.loadTests('64b000000000000000000001', { urlAnalysisId: '64b000000000000000000002' }))
+      .rejects.toMatchObject({ statusCode: 413, code: 'EXPORT_TOO_LARGE' });
+    expect(query.limit).toHaveBeenCalledWith(20001);
+
+    stubFind(20000);
+    expect(await exportService.loadTests('64b000000000000000000001', {})).toHaveLength(20000);
+  });
+});
+
+describe('exportService dataset builders', () => {
+  test('metrics rows cover every brand overall and per platform', () => {
+    const rows = exportService.buildMetricsRows(tests, brandContext);
+
+    expect(rows.filter(row => row.scope === 'overall').map(row => row.brandName).sort()).toEqual([BRAND, 'Globex'].sort());
+    expect(rows.filter(row => row.scope === 'platform')).toHaveLength(4);
+
+    const owner = rows.find(row => row.scope === 'overall' && row.brandName === BRAND);
+    expect(owner).toMatchObject({ isOwner: 'yes', visibilityScore: 50, responses: 2 });
+  });
+
+  test('prompt test rows flatten names, locale and citation counts', () => {
+    const [row] = exportService.buildPromptTestRows(tests);
+
+    expect(row).toMatchObject({
+      topic: 'CRM software',
+      persona: 'Founder',
+      locale: 'English (Global)',
+      brandMentioned: 'yes',
+      totalCitations: 1,
+      competitorsMentioned: ['Globex']
+    });
+  });
+
+  test('citation rows carry the domain and verification result', () => {
+    expect(exportService.buildCitationRows(tests)).toEqual([
+      expect.objectContaining({ brandName: BRAND, domain: 'g2.com', type: 'earned', verificationStatus: 'live', hallucinated: 'no' })
+    ]);
+  });
+
+  test('sentiment rows count responses per topic and per persona', () => {
+    const rows = exportService.buildSentimentRows(tests);
+    const topic = rows.find(row => row.groupType === 'topic');
+
+    expect(topic).toMatchObject({ group: 'CRM software', positive: 1, negative: 1, total: 2, positivePercent: 50 });
+    expect(rows.filter(row => row.groupType === 'persona')).toHaveLength(2);
+  });
+
+  test('GA4 rows sum landing pages per platform against the previous period', () => {
+    const rows = exportService.buildGa4PlatformRows({
+      current: [
+        { landingPage: '/a', platform: 'ChatGPT', sessions: 30, engagedSessions: 15, conversions: 2 },
+        { landingPage: '/b', platform: 'ChatGPT', sessions: 10, engagedSessions: 5, conversions: 0 },
+        { landingPage: '/a', platform: 'Perplexity', sessions: 5, engagedSessions: 1, conversions: 0 }
+      ],
+      previous: [{ landingPage: '/a', platform: 'ChatGPT', sessions: 20, engagedSessions: 10, conversions: 1 }]
+    });
+
+    expect(rows[0]).toEqual({
+      platform: 'ChatGPT',
+      sessions: 40,
+      previousSessions: 20,
+      changePercent: 100,
+      engagedSessions: 20,
+      engagementRate: 50,
+      conversions: 2,
+      landingPages: 2
+    });
+    expect(rows[1]).toMatchObject({ platform: 'Perplexity', changePercent: null });
+  });
+});
+
+describe('exportService serialization', () => {
+  let dataset;
+
+  beforeAll(async () => {
+    dataset = await exportService.getDataset('prompt-tests', { userId: 'user-1', tests });
+  });
+
+  test('CSV has a header row and one row per test', () => {
+    const rows = parseCsv(exportService.toCsv(dataset));
+
+    expect(rows[0].cells[0]).toBe('Tested at');
+    expect(rows).toHaveLength(tests.length + 1);
+  });
+
+  test('XLSX has a sheet per dataset with typed cells', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exportService.toXlsx([dataset]));
+    const sheet = workbook.getWorksheet('Prompt test results');
+
+    expect(sheet.rowCount).toBe(tests.length + 1);
+    expect(sheet.getRow(1).getCell(1).value).toBe('Tested at');
+    expect(sheet.getRow(2).getCell(1).value).toBeInstanceOf(Date);
+  });
+
+  test('a workbook that left a sheet out says why on a Notes sheet', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exportService.toXlsx([dataset, exportService.buildNotesDataset(['GA4 traffic could not be loaded'])]));
+
+    expect(workbook.worksheets.map((sheet) => sheet.name)).toEqual(['Prompt test results', 'Notes']);
+    expect(workbook.getWorksheet('Notes').getRow(2).getCell(1).value).toBe('GA4 traffic could not be loaded');
+  });
+});
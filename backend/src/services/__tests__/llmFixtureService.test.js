@@ -0,0 +1,59 @@
+/**
+ * llmFixtureService replay: exact fixtures, and the default fixture only for
+ * callers that opt in (temporary fixture directory, no network)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const llmFixtureService = require('../llmFixtureService');
+const { DEFAULT_FIXTURE_NAME, buildFixtureKey, getFixturePath } = require('../../utils/llmFixtures');
+
+const model = 'openai/gpt-4o';
+const recorded = [{ role: 'user', content: 'Which CRM is best for startups?' }];
+const unrecorded = [{ role: 'user', content: 'Insights for metrics computed just now' }];
+
+const writeFixture = (dir, key, content) => {
+  const fixturePath = getFixturePath(dir, model, key);
+  fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+  fs.writeFileSync(fixturePath, JSON.stringify({ key, model, response: { choices: [{ message: { content } }] } }));
+};
+
+describe('llmFixtureService replay', () => {
+  const { mode, fixtureDir } = llmFixtureService;
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    writeFixture(dir, buildFixtureKey(model, recorded), 'exact');
+    writeFixture(dir, DEFAULT_FIXTURE_NAME, 'default');
+    llmFixtureService.mode = 'replay';
+    llmFixtureService.fixtureDir = dir;
+  });
+
+  afterEach(() => {
+    llmFixtureService.mode = mode;
+    llmFixtureService.fixtureDir = fixtureDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const content = (response) => response.data.choices[0].message.content;
+
+  test('serves the exact fixture', async () => {
+    const response = await llmFixtureService.post('https://llm.example/chat/completions', { model, messages: recorded });
+    expect(content(response)).toBe('exact');
+  });
+
+  test('a missing fixture fails instead of falling back to the default', async () => {
+    await expect(llmFixtureService.post('https://llm.example/chat/completions', { model, messages: unrecorded }))
+      .rejects.toThrow(/No LLM fixture for openai\/gpt-4o/);
+  });
+
+  test('callers that opt in get the default fixture, and still an exact one when it exists', async () => {
+    const options = { allowDefaultFixture: true };
+    const fallback = await llmFixtureService.post('https://llm.example/chat/completions', { model, messages: unrecorded }, {}, options);
+    const exact = await llmFixtureService.post('https://llm.example/chat/completions', { model, messages: recorded }, {}, options);
+
+    expect(content(fallback)).toBe('default');
+    expect(content(exact)).toBe('exact');
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * metricsAggregationService.calculateBrandMetrics over prompt tests shaped like
+ * the golden responses (brand context stubbed, no database)
+ */
+const golden = require('../../../fixtures/golden/responses.json');
+const AggregatedMetrics = require('../../models/AggregatedMetrics');
+const AggregatedMetricsSnapshot = require('../../models/AggregatedMetricsSnapshot');
+const metricsAggregationService = require('../metricsAggregationService');
+
+const BRAND = golden.brand;
+
+const mention = (brandName, { firstPosition, rankPosition, mentionCount = 1, citations = [], sentimentScore = 0 }) => ({
+  brandName,
+  mentioned: true,
+  firstPosition,
+  rankPosition,
+  mentionCount,
+  citations,
+  sentimentScore,
+  sentences: [{ text: `${brandName} sentence`, position: firstPosition - 1, wordCount: 10 }]
+});
+
+// One test per golden response, each for a different prompt
+const tests = [
+  {
+    promptId: 'prompt-1',
+    llmProvider: golden.responses.positiveLead.provider,
+    responseMetadata: { totalWords: 50, totalSentences: 4 },
+    scorecard: { sentiment: 'positive', competitorsMentioned: ['Globex'] },
+    brandMetrics: [
+      mention(BRAND, {
+        firstPosition: 1,
+        rankPosition: 1,
+        mentionCount: 2,
+        sentimentScore: 0.2,
+        citations: [
+          { url: 'https://acmecrm.example/pricing', type: 'brand', confidence: 1 },
+          { url: 'https://www.g2.com/categories/crm', type: 'earned', confidence: 1 },
+          { url: 'https://www.reddit.com/r/startups/comments/abc123/best_crm', type: 'social', confidence: 1 }
+        ]
+      }),
+      mention('Globex', { firstPosition: 3, rankPosition: 2 })
+    ]
+  },
+  {
+    promptId: 'prompt-2',
+    llmProvider: golden.responses.competitorOnly.provider,
+    responseMetadata: { totalWords: 25, totalSentences: 3 },
+    scorecard: { sentiment: 'neutral', competitorsMentioned: ['Globex', 'Initech'] },
+    brandMetrics: [
+      mention('Globex', {
+        firstPosition: 1,
+        rankPosition: 1,
+        mentionCount: 2,
+        citations: [{ url: 'https://globex.example/features', type: 'brand', confidence: 1 }]
+      }),
+      mention('Initech', { firstPosition: 1, rankPosition: 2, mentionCount: 2 })
+    ]
+  },
+  {
+    promptId: 'prompt-3',
+    llmProvider: golden.responses.negativeLate.provider,
+    responseMetadata: { totalWords: 30, totalSentences: 3 },
+    scorecard: { sentiment: 'negative', competitorsMentioned: ['Globex', 'Initech'] },
+    brandMetrics: [
+      mention('Globex', { firstPosition: 1, rankPosition: 1 }),
+      mention('Initech', { firstPosition: 2, rankPosition: 2 }),
+      mention(BRAND, { firstPosition: 3, rankPosition: 3, sentimentScore: -1 })
+    ]
+  }
+];
+
+const byName = (metrics) => Object.fromEntries(metrics.map(m => [m.brandName, m]));
+
+describe('metricsAggregationService.calculateBrandMetrics', () => {
+  let metrics;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(metricsAggregationService, 'getBrandContext').mockResolvedValue({
+      userBrandName: BRAND,
+      brandNames: new Set([BRAND, ...golden.competitors.map(c => c.name)])
+    });
+
+    metrics = byName(await metricsAggregationService.calculateBrandMetrics(tests, 'user-1', 'analysis-1'));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports the user brand and every selected competitor', () => {
+    expect(Object.keys(metrics).sort()).toEqual([BRAND, 'Globex', 'Initech'].sort());
+    expect(metrics[BRAND].isOwner).toBe(true);
+    expect(metrics.Globex.isOwner).toBe(false);
+  });
+
+  test('visibility is the share of responses mentioning the brand', () => {
+    expect(metrics.Globex.visibilityScore).toBe(100);
+    expect(metrics[BRAND].visibilityScore).toBeCloseTo(66.67, 2);
+    expect(metrics.Initech.visibilityScore).toBeCloseTo(66.67, 2);
+    expect(metrics.Globex.visibilityRank).toBe(1);
+  });
+
+  test('share of voice splits total mentions between brands', () => {
+    // 3 + 4 + 3 mentions
+    expect(metrics[BRAND].shareOfVoice).toBe(30);
+    expect(metrics.Globex.shareOfVoice).toBe(40);
+    expect(metrics.Initech.shareOfVoice).toBe(30);
+    expect(metrics.Globex.shareOfVoiceRank).toBe(1);
+  });
+
+  test('average position and position distribution', () => {
+    expect(metrics[BRAND].avgPosition).toBe(2);
+    expect(metrics.Globex.avgPosition).toBeCloseTo(1.67, 2);
+    expect(metrics[BRAND]).toMatchObject({ count1st: 1, count2nd: 0, count3rd: 1 });
+  });
+
+  test('citations are counted by type', () => {
+    expect(metrics[BRAND]).toMatchObject({
+      brandCitationsTotal: 1,
+      earnedCitationsTotal: 0.9,
+      socialCitationsTotal: 0.8
+    });
+    expect(metrics[BRAND].citationShare).toBeGreaterThan(metrics.Initech.citationShare);
+  });
+
+  test('sentiment averages scores and counts the test sentiment', () => {
+    expect(metrics[BRAND].sentimentScore).toBe(-0.4);
+    expect(metrics[BRAND].sentimentBreakdown).toMatchObject({ positive: 1, negative: 1 });
+    expect(metrics[BRAND].sentimentShare).toBe(50);
+  });
+
+  test('no tests gives zeroed metrics', async () => {
+    const empty = byName(await metricsAggregationService.calculateBrandMetrics([], 'user-1', 'analysis-1'));
+
+    expect(empty[BRAND]).toMatchObject({ visibilityScore: 0, totalMentions: 0, shareOfVoice: 0, avgPosition: 0 });
+  });
+});
+
+describe('metricsAggregationService confidence intervals', () => {
+  const brandContext = {
+    userBrandName: BRAND,
+    brandNames: new Set([BRAND, ...golden.competitors.map(c => c.name)])
+  };
+
+  test('intervals bracket visibility, position and share of voice', () => {
+    const metrics = byName(metricsAggregationService.buildBrandMetrics(tests, brandContext));
+    const { visibilityScore, avgPosition, shareOfVoice } = metrics[BRAND].confidence;
+
+    expect(visibilityScore.n).toBe(3);
+    expect(visibilityScore.lower).toBeLessThanOrEqual(metrics[BRAND].visibilityScore);
+    expect(visibilityScore.upper).toBeGreaterThanOrEqual(metrics[BRAND].visibilityScore);
+    expect(visibilityScore.upper).toBeLessThanOrEqual(100);
+
+    expect(avgPosition.lower).toBeGreaterThanOrEqual(1);
+    expect(avgPosition.upper).toBeGreaterThan(metrics[BRAND].avgPosition);
+
+    expect(shareOfVoice.lower).toBeLessThan(30);
+    expect(shareOfVoice.upper).toBeGreaterThan(30);
+  });
+
+  test('repeated samples of a prompt count as one observation', () => {
+    // Every prompt sampled three times with identical answers
+    const sampled = tests.flatMap(test => [0, 1, 2].map(sampleIndex => ({ ...test, sampleIndex })));
+    const single = byName(metricsAggregationService.buildBrandMetrics(tests, brandContext));
+    const repeated = byName(metricsAggregationService.buildBrandMetrics(sampled, brandContext));
+
+    expect(repeated[BRAND].visibilityScore).toBeCloseTo(single[BRAND].visibilityScore, 2);
+    expect(repeated[BRAND].confidence.visibilityScore.n).toBe(3);
+    expect(repeated[BRAND].confidence.visibilityScore.stdError)
+      .toBeCloseTo(single[BRAND].confidence.visibilityScore.stdError, 4);
+  });
+
+  test('a brand that is never mentioned still gets a non-zero upper bound', () => {
+    const withoutInitech = tests.map(test => ({
+      ...test,
+      brandMetrics: test.brandMetrics.filter(bm => bm.brandName !== 'Initech')
+    }));
+    const metrics = byName(metricsAggregationService.buildBrandMetrics(withoutInitech, brandContext));
+
+    expect(metrics.Initech.visibilityScore).toBe(0);
+    expect(metrics.Initech.confidence.visibilityScore).toMatchObject({ lower: 0 });
+    expect(metrics.Initech.confidence.visibilityScore.upper).toBeGreaterThan(0);
+    expect(metrics.Initech.confidence.avgPosition).toBeNull();
+  });
+});
+
+describe('metricsAggregationService hallucinated citations', () => {
+  const brandContext = {
+    userBrandName: BRAND,
+    brandNames: new Set([BRAND, ...golden.competitors.map(c => c.name)])
+  };
+
+  // The g2 citation was verified as not mentioning the brand
+  const verifiedTests = tests.map((test, index) => index !== 0 ? test : {
+    ...test,
+    brandMetrics: test.brandMetrics.map(bm => bm.brandName !== BRAND ? bm : {
+      ...bm,
+      citations: bm.citations.map(c => c.type !== 'earned' ? c : { ...c, verification: { status: 'live', hallucinated: true } })
+    })
+  });
+
+  test('hallucinated citations count unless the analysis excludes them', () => {
+    const included = byName(metricsAggregationService.buildBrandMetrics(verifiedTests, brandContext));
+    const excluded = byName(metricsAggregationService.buildBrandMetrics(verifiedTests, {
+      ...brandContext,
+      excludeHallucinatedCitations: true
+    }));
+
+    expect(included[BRAND].earnedCitationsTotal).toBe(0.9);
+    expect(excluded[BRAND].earnedCitationsTotal).toBe(0);
+    expect(excluded[BRAND].brandCitationsTotal).toBe(1);
+    expect(excluded[BRAND].citationShare).toBeLessThan(included[BRAND].citationShare);
+  });
+});
+
+describe('metricsAggregationService live documents and snapshots', () => {
+  const runTests = tests.map((test, index) => ({ ...test, _id: `test-${index}`, testedAt: new Date('2026-10-01T06:00:00Z') }));
+
+  beforeEach(() => {
+    jest.spyOn(metricsAggregationService, 'getBrandContext').mockResolvedValue({
+      userBrandName: BRAND,
+      brandNames: new Set([BRAND, ...golden.competitors.map(c => c.name)])
+    });
+    jest.spyOn(metricsAggregationService, 'applyRankChanges').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a snapshot-only aggregation of a run leaves the live documents alone', async () => {
+    const live = jest.spyOn(AggregatedMetrics, 'findOneAndUpdate').mockResolvedValue({});
+    const snapshot = jest.spyOn(AggregatedMetricsSnapshot, 'create').mockResolvedValue({});
+
+    await metricsAggregationService.aggregatePlatform('user-1', runTests, {
+      urlAnalysisId: 'analysis-1',
+      snapshot: { testRunId: 'run-1' },
+      snapshotOnly: true
+    });
+
+    expect(live).not.toHaveBeenCalled();
+    expect(snapshot).toHaveBeenCalledTimes(new Set(runTests.map(t => t.llmProvider)).size);
+    expect(snapshot).toHaveBeenCalledWith(expect.objectContaining({ scope: 'platform', testRunId: 'run-1' }));
+  });
+
+  test('a full aggregation replaces the live document of each scope', async () => {
+    const live = jest.spyOn(AggregatedMetrics, 'findOneAndUpdate').mockResolvedValue({});
+    const snapshot = jest.spyOn(AggregatedMetricsSnapshot, 'create');
+
+    await metricsAggregationService.aggregateOverall('user-1', runTests, { urlAnalysisId: 'analysis-1' });
+
+    expect(live).toHaveBeenCalledWith(
+      { userId: 'user-1', scope: 'overall', scopeValue: 'all', urlAnalysisId: 'analysis-1' },
+      expect.objectContaining({ totalResponses: runTests.length }),
+      { upsert: true, new: true }
+    );
+    expect(snapshot).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Search query import: conversion, topic/persona assignment, dedup against
+ * existing prompts and GA4 site-search terms (models and HTTP stubbed, no database)
+ */
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Prompt = require('../../models/Prompt');
+const Topic = require('../../models/Topic');
+const Persona = require('../../models/Persona');
+const UrlAnalysis = require('../../models/UrlAnalysis');
+const promptImportService = require('../promptImportService');
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+const { normalizeDateRange } = require('../../utils/ga4DateHelpers');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const urlAnalysisId = new mongoose.Types.ObjectId();
+
+const topics = [
+  { _id: new mongoose.Types.ObjectId(), name: 'CRM Software', description: 'Customer relationship management tools', keywords: ['crm', 'sales pipeline', 'hubspot', 'salesforce'] },
+  { _id: new mongoose.Types.ObjectId(), name: 'Email Marketing', description: 'Newsletters and email campaigns', keywords: ['email', 'newsletter', 'mailchimp'] }
+];
+const personas = [
+  { _id: new mongoose.Types.ObjectId(), type: 'Startup Founder', description: 'Founder of an early-stage startup', painPoints: ['small budget'], goals: ['grow startup revenue'] },
+  { _id: new mongoose.Types.ObjectId(), type: 'Marketing Manager', description: 'Runs newsletters and campaigns for a marketing team', painPoints: ['low open rates'], goals: ['more email subscribers'] }
+];
+
+const lean = (value) => ({ select: () => ({ lean: () => Promise.resolve(value) }) });
+
+function stubAnalysis({ existingPrompts = [], topicList = topics, personaList = personas } = {}) {
+  jest.spyOn(UrlAnalysis, 'findOne').mockReturnValue(lean({ _id: urlAnalysisId, locales: [] }));
+  jest.spyOn(Topic, 'find').mockReturnValue(lean(topicList));
+  jest.spyOn(Persona, 'find').mockReturnValue(lean(personaList));
+  jest.spyOn(Prompt, 'find').mockReturnValue({
+    select: () => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve(existingPrompts) }) }) })
+  });
+}
+
+describe('promptImportService.importQueries', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('converts, assigns and saves Search Console queries ranked by clicks', async () => {
+    stubAnalysis();
+    const insertMany = jest.spyOn(Prompt, 'insertMany').mockImplementation(async (docs) =>
+      docs.map(doc => ({ ...doc, _id: new mongoose.Types.ObjectId() }))
+    );
+    jest.spyOn(Prompt, 'countDocuments').mockResolvedValue(4);
+    const topicUpdate = jest.spyOn(Topic, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const { source, rows } = promptImportService.parseCsvQueries(
+      'Top queries,Clicks,Impressions,CTR,Position\n' +
+      'email newsletter tools,12,900,1%,8\n' +
+      'best crm for startups,340,5000,7%,3\n' +
+      'https://acme.com,1,2,50%,1\n'
+    );
+    expect(source).toBe('search_console');
+
+    const result = await promptImportService.importQueries(userId, { urlAnalysisId, source, rows });
+
+    expect(result.items.map(item => [item.promptText, item.queryType, item.topic.name, item.status])).toEqual([
+      ['What is the best crm for startups?', 'Commercial', 'CRM Software', 'imported'],
+      ['What should I know about email newsletter tools?', 'Informational', 'Email Marketing', 'imported']
+    ]);
+    expect(result.items[0].persona.type).toBe('Startup Founder');
+    expect(result.skipped).toEqual([{ line: 4, query: 'https://acme.com', reason: 'A URL, not a query' }]);
+    expect(result.summary).toMatchObject({ received: 3, converted: 2, imported: 2, merged: 0, skipped: 1, truncated: 0 });
+
+    expect(insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({
+        topicId: topics[0]._id.toString(),
+        text: 'What is the best crm for startups?',
+        locale: { region: 'Global', language: 'English' },
+        metadata: expect.objectContaining({
+          generatedBy: 'import',
+          importSource: expect.objectContaining({ source: 'search_console', query: 'best crm for startups', clicks: 340, impressions: 5000 })
+        })
+      }),
+      expect.any(Object)
+    ]);
+    expect(result.items[0].promptId).toEqual(expect.any(String));
+    expect(topicUpdate).toHaveBeenCalledWith({ userId, _id: topics[0]._id.toString() }, { $set: { promptCount: 4 } });
+  });
+
+  test('dry run merges queries that repeat existing prompts and saves nothing', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), text: 'What is the best CRM for startups?' };
+    stubAnalysis({ existingPrompts: [existing] });
+    const insertMany = jest.spyOn(Prompt, 'insertMany');
+
+    const result = await promptImportService.importQueries(userId, {
+      urlAnalysisId,
+      source: 'csv',
+      rows: [{ query: 'best CRM for startups' }, { query: 'Best crm for startups ' }, { query: 'hubspot vs salesforce' }],
+      dryRun: true
+    });
+
+    expect(insertMany).not.toHaveBeenCalled();
+    expect(result.items).toEqual([
+      expect.objectContaining({
+        query: 'best CRM for startups',
+        status: 'merged',
+        mergedInto: { id: existing._id.toString(), text: existing.text, source: 'existing' },
+        reason: expect.stringMatching(/similar to an existing prompt$/)
+      }),
+      expect.objectContaining({ promptText: 'How does hubspot compare to salesforce?', status: 'ready' })
+    ]);
+    expect(result.summary).toMatchObject({ received: 3, converted: 2, ready: 1, merged: 1 });
+  });
+
+  test('keeps the top queries and reports the rest as truncated', async () => {
+    stubAnalysis();
+
+    const result = await promptImportService.importQueries(userId, {
+      urlAnalysisId,
+      source: 'csv',
+      rows: [
+        { query: 'crm for agencies', impressions: 10 },
+        { query: 'email marketing for shops', impressions: 500 },
+        { query: 'sales pipeline stages', impressions: 50 }
+      ],
+      dryRun: true,
+      maxQueries: 2
+    });
+
+    expect(result.items.map(item => item.query)).toEqual(['email marketing for shops', 'sales pipeline stages']);
+    expect(result.summary.truncated).toBe(1);
+  });
+
+  test('needs a known analysis with selected topics and personas', async () => {
+    stubAnalysis({ topicList: [] });
+    await expect(promptImportService.importQueries(userId, { urlAnalysisId, source: 'csv', rows: [] }))
+      .rejects.toThrow(ValidationError);
+
+    jest.spyOn(UrlAnalysis, 'findOne').mockReturnValue(lean(null));
+    await expect(promptImportService.importQueries(userId, { urlAnalysisId, source: 'csv', rows: [] }))
+      .rejects.toThrow(NotFoundError);
+
+    await expect(promptImportService.importQueries(userId, { urlAnalysisId, source: 'ads', rows: [] }))
+      .rejects.toThrow('source must be one of: csv, search_console, ga4');
+  });
+});
+
+describe('promptImportService.fetchGA4SearchTerms', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads view_search_results search terms from runReport', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({
+      data: {
+        rows: [
+          { dimensionValues: [{ value: 'crm pricing' }], metricValues: [{ value: '42' }] },
+          { dimensionValues: [{ value: 'email templates' }], metricValues: [{ value: '7' }] }
+        ]
+      }
+    });
+
+    const terms = await promptImportService.fetchGA4SearchTerms(
+      { accessToken: 'token', propertyId: '123' },
+      { dateRange: '7 days' }
+    );
+
+    expect(terms).toEqual([{ query: 'crm pricing', searches: 42 }, { query: 'email templates', searches: 7 }]);
+    expect(post).toHaveBeenCalledWith(
+      expect.stringContaining('properties/123:runReport'),
+      expect.objectContaining({
+        dateRanges: [normalizeDateRange(null, null, '7 days')],
+        dimensions: [{ name: 'searchTerm' }],
+        dimensionFilter: { filter: { fieldName: 'eventName', stringFilter: { matchType: 'EXACT', value: 'view_search_results' } } }
+      }),
+      expect.any(Object)
+    );
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * promptTestQueueService.enqueue: one active run per analysis, including for
+ * concurrent requests, and the hard-stop budget check (models stubbed, no database)
+ */
+const mongoose = require('mongoose');
+const PromptTestRun = require('../../models/PromptTestRun');
+const promptTestQueueService = require('../promptTestQueueService');
+const spendService = require('../spendService');
+const { BudgetExceededError } = require('../../middleware/errorHandler');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const urlAnalysisId = new mongoose.Types.ObjectId().toString();
+
+const stubActiveRuns = (...runs) => {
+  const findOne = jest.spyOn(PromptTestRun, 'findOne');
+  runs.forEach(run => findOne.mockReturnValueOnce({ sort: () => ({ lean: () => Promise.resolve(run) }) }));
+  return findOne;
+};
+
+describe('promptTestQueueService.enqueue', () => {
+  beforeEach(() => {
+    jest.spyOn(spendService, 'estimateTestRun').mockResolvedValue({ estimatedCost: 0.5, totalCalls: 20 });
+    jest.spyOn(spendService, 'assertWithinBudget').mockResolvedValue({ allowed: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the run already active for the analysis', async () => {
+    const activeRun = { _id: new mongoose.Types.ObjectId(), status: 'running' };
+    stubActiveRuns(activeRun);
+    const create = jest.spyOn(PromptTestRun, 'create');
+
+    const result = await promptTestQueueService.enqueue(userId, { urlAnalysisId });
+
+    expect(result).toEqual({ run: activeRun, alreadyActive: true });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('a run queued concurrently wins the unique index and is returned', async () => {
+    const concurrentRun = { _id: new mongoose.Types.ObjectId(), status: 'queued' };
+    const findOne = stubActiveRuns(null, concurrentRun);
+    jest.spyOn(PromptTestRun, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const result = await promptTestQueueService.enqueue(userId, { urlAnalysisId });
+
+    expect(result).toEqual({ run: concurrentRun, alreadyActive: true });
+    expect(findOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('other create errors are rethrown', async () => {
+    stubActiveRuns(null);
+    jest.spyOn(PromptTestRun, 'create').mockRejectedValue(new Error('Validation failed'));
+
+    await expect(promptTestQueueService.enqueue(userId, { urlAnalysisId })).rejects.toThrow('Validation failed');
+  });
+
+  test('a run the hard-stop budget cannot cover is refused before it is queued', async () => {
+    stubActiveRuns(null);
+    spendService.assertWithinBudget.mockRejectedValue(new BudgetExceededError('Only $0.10 is left'));
+    const create = jest.spyOn(PromptTestRun, 'create');
+
+    await expect(promptTestQueueService.enqueue(userId, { urlAnalysisId, testLimit: 20, trigger: 'onboarding' }))
+      .rejects.toThrow(BudgetExceededError);
+    expect(spendService.estimateTestRun).toHaveBeenCalledWith(userId, expect.objectContaining({ urlAnalysisId, testLimit: 20 }));
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('unique index allows one queued or running run per user and analysis', () => {
+    const [, options] = PromptTestRun.schema.indexes()
+      .find(([fields, opts]) => opts.unique && fields.userId === 1 && fields.urlAnalysisId === 1);
+
+    expect(options.partialFilterExpression).toEqual({ status: { $in: ['queued', 'running'] } });
+  });
+});
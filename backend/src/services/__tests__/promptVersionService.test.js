@@ -0,0 +1,287 @@
+/**
+ * Prompt versions: recording edits, history with per-version test summaries,
+ * and leaving out earlier versions in trends (models stubbed, no database)
+ */
+const mongoose = require('mongoose');
+const Prompt = require('../../models/Prompt');
+const PromptTest = require('../../models/PromptTest');
+const PromptVersion = require('../../models/PromptVersion');
+const promptVersionService = require('../promptVersionService');
+const metricsTrendsService = require('../metricsTrendsService');
+const metricsAggregationService = require('../metricsAggregationService');
+const { ConflictError, NotFoundError } = require('../../middleware/errorHandler');
+
+const ownerId = new mongoose.Types.ObjectId();
+const editorId = new mongoose.Types.ObjectId().toString();
+const promptId = new mongoose.Types.ObjectId();
+const createdAt = new Date('2026-09-01T10:00:00Z');
+
+const storedPrompt = (overrides = {}) => ({
+  _id: promptId,
+  userId: ownerId,
+  urlAnalysisId: new mongoose.Types.ObjectId(),
+  title: 'CRM Software × Startup Founder - Commercial',
+  text: 'What is the best CRM for startups?',
+  queryType: 'Commercial',
+  currentVersion: 1,
+  createdAt,
+  ...overrides
+});
+
+describe('promptVersionService.updatePrompt', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('first edit records the original as v1, the edit as v2 and supersedes earlier tests', async () => {
+    jest.spyOn(Prompt, 'findOne').mockReturnValue({ lean: () => Promise.resolve(storedPrompt()) });
+    jest.spyOn(PromptVersion, 'exists').mockResolvedValue(null);
+    const create = jest.spyOn(PromptVersion, 'create').mockImplementation(async (doc) => ({ createdAt: new Date(), ...doc }));
+    const update = jest.spyOn(Prompt, 'findOneAndUpdate').mockImplementation(async (filter, fields) => ({ ...storedPrompt(), ...fields }));
+    const supersede = jest.spyOn(PromptTest, 'updateMany').mockResolvedValue({ modifiedCount: 6 });
+
+    const { prompt, version } = await promptVersionService.updatePrompt(ownerId.toString(), promptId.toString(), {
+      text: ' What is the best CRM for early-stage startups? ',
+      currentVersion: 9,
+      userId: editorId
+    }, { authorId: editorId, changeNote: 'Narrow to early-stage' });
+
+    expect(create).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      promptId,
+      version: 1,
+      text: 'What is the best CRM for startups?',
+      authorId: ownerId,
+      createdAt
+    }));
+    expect(create).toHaveBeenNthCalledWith(2, expect.objectContaining({
+      version: 2,
+      text: 'What is the best CRM for early-stage startups?',
+      authorId: editorId,
+      changeNote: 'Narrow to early-stage',
+      changedFields: ['text'],
+      diff: [
+        { type: 'equal', text: 'What is the best CRM for ' },
+        { type: 'added', text: 'early-stage ' },
+        { type: 'equal', text: 'startups?' }
+      ]
+    }));
+
+    // Fields outside the updatable ones are ignored; the version is claimed from the one read
+    expect(update).toHaveBeenCalledWith(
+      { _id: promptId, userId: ownerId.toString(), currentVersion: { $in: [1, null] } },
+      { text: ' What is the best CRM for early-stage startups? ', currentVersion: 2 },
+      { new: true, runValidators: true }
+    );
+    expect(update.mock.invocationCallOrder[0]).toBeLessThan(create.mock.invocationCallOrder[0]);
+    // Tests from before promptVersion was recorded are superseded too
+    expect(supersede).toHaveBeenCalledWith(
+      {
+        promptId,
+        supersededAt: null,
+        $or: [{ promptVersion: { $lt: 2 } }, { promptVersion: { $exists: false } }]
+      },
+      { $set: { supersededAt: expect.any(Date) } }
+    );
+    expect(prompt.currentVersion).toBe(2);
+    expect(version).toMatchObject({ version: 2, diffSummary: { added: 1, removed: 0 }, changeNote: 'Narrow to early-stage' });
+  });
+
+  test('changes outside the versioned fields do not create a version', async () => {
+    jest.spyOn(Prompt, 'findOne').mockReturnValue({ lean: () => Promise.resolve(storedPrompt({ currentVersion: 3 })) });
+    const create = jest.spyOn(PromptVersion, 'create');
+    jest.spyOn(Prompt, 'findOneAndUpdate').mockResolvedValue(storedPrompt({ status: 'archived' }));
+    const supersede = jest.spyOn(PromptTest, 'updateMany');
+
+    const { version } = await promptVersionService.updatePrompt(ownerId.toString(), promptId.toString(), {
+      status: 'archived',
+      text: 'What is the best CRM for startups?'
+    });
+
+    expect(version).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+    expect(supersede).not.toHaveBeenCalled();
+  });
+
+  test('a concurrent edit of the same version is a conflict', async () => {
+    jest.spyOn(Prompt, 'findOne').mockReturnValue({ lean: () => Promise.resolve(storedPrompt({ currentVersion: 2 })) });
+    // The other edit already moved the prompt past version 2
+    const update = jest.spyOn(Prompt, 'findOneAndUpdate').mockResolvedValue(null);
+    const create = jest.spyOn(PromptVersion, 'create');
+
+    await expect(promptVersionService.updatePrompt(ownerId.toString(), promptId.toString(), { queryType: 'Informational' }))
+      .rejects.toThrow(ConflictError);
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({ currentVersion: 2 }),
+      { queryType: 'Informational', currentVersion: 3 },
+      expect.anything()
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('a failed update records no version, and a failed version write rolls the prompt back', async () => {
+    jest.spyOn(Prompt, 'findOne').mockReturnValue({ lean: () => Promise.resolve(storedPrompt({ currentVersion: 2 })) });
+    const create = jest.spyOn(PromptVersion, 'create').mockRejectedValue(new Error('write failed'));
+    const update = jest.spyOn(Prompt, 'findOneAndUpdate').mockRejectedValueOnce(new Error('Validation failed'));
+    const rollback = jest.spyOn(Prompt, 'updateOne').mockResolvedValue({});
+
+    await expect(promptVersionService.updatePrompt(ownerId.toString(), promptId.toString(), { title: 'New title' }))
+      .rejects.toThrow('Validation failed');
+    expect(create).not.toHaveBeenCalled();
+
+    update.mockResolvedValueOnce(storedPrompt({ title: 'New title', currentVersion: 3 }));
+    await expect(promptVersionService.updatePrompt(ownerId.toString(), promptId.toString(), { title: 'New title' }))
+      .rejects.toThrow('write failed');
+    expect(rollback).toHaveBeenCalledWith(
+      { _id: promptId, currentVersion: 3 },
+      { currentVersion: 2, title: 'CRM Software × Startup Founder - Commercial' }
+    );
+  });
+
+  test('a title-only rename is versioned but keeps earlier tests current', async () => {
+    jest.spyOn(Prompt, 'findOne').mockReturnValue({ lean: () => Promise.resolve(storedPrompt({ currentVersion: 2 })) });
+    const create = jest.spyOn(PromptVersion, 'create').mockImplementation(async (doc) => ({ createdAt: new Date(), ...doc }));
+    jest.spyOn(Prompt, 'findOneAndUpdate').mockImplementation(async (filter, fields) => ({ ...storedPrompt(), ...fields }));
+    const supersede = jest.spyOn(PromptTest, 'updateMany');
+
+    const { version } = await promptVersionService.updatePrompt(ownerId.toString(), promptId.toString(), { title: 'CRM for founders' });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ version: 3, title: 'CRM for founders', changedFields: ['title'] }));
+    expect(version).toMatchObject({ version: 3, changedFields: ['title'] });
+    expect(supersede).not.toHaveBeenCalled();
+  });
+
+  test('unknown prompt', async () => {
+    jest.spyOn(Prompt, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+    await expect(promptVersionService.updatePrompt(ownerId.toString(), promptId.toString(), { text: 'x' }))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+describe('promptVersionService.supersedeIfEdited', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const stubEdit = (edit) => jest.spyOn(PromptVersion, 'findOne').mockReturnValue({
+    sort: () => ({ select: () => ({ lean: () => Promise.resolve(edit) }) })
+  });
+
+  test('a test saved after its prompt text was edited is superseded at the edit', async () => {
+    const editedAt = new Date('2026-10-02T09:00:00Z');
+    const findEdit = stubEdit({ createdAt: editedAt });
+    const update = jest.spyOn(PromptTest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const test = { _id: new mongoose.Types.ObjectId(), promptId, promptVersion: 1, supersededAt: null };
+
+    await expect(promptVersionService.supersedeIfEdited(test)).resolves.toEqual(editedAt);
+
+    // Title-only versions in between don't count
+    expect(findEdit).toHaveBeenCalledWith({ promptId, version: { $gt: 1 }, changedFields: { $in: ['text', 'queryType'] } });
+    expect(update).toHaveBeenCalledWith({ _id: test._id, supersededAt: null }, { $set: { supersededAt: editedAt } });
+    expect(test.supersededAt).toEqual(editedAt);
+  });
+
+  test('a test of the current text is left alone', async () => {
+    stubEdit(null);
+    const update = jest.spyOn(PromptTest, 'updateOne');
+    const test = { _id: new mongoose.Types.ObjectId(), promptId, promptVersion: 3, supersededAt: null };
+
+    await expect(promptVersionService.supersedeIfEdited(test)).resolves.toBeNull();
+    expect(update).not.toHaveBeenCalled();
+    expect(test.supersededAt).toBeNull();
+  });
+});
+
+describe('promptVersionService.listVersions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const stubTests = (tests) => jest.spyOn(PromptTest, 'find').mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve(tests) })
+  });
+
+  test('segments tests by the version they ran against', async () => {
+    jest.spyOn(Prompt, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(storedPrompt({ currentVersion: 2 })) }) });
+    jest.spyOn(PromptVersion, 'find').mockReturnValue({
+      sort: () => ({
+        populate: () => ({
+          lean: () => Promise.resolve([
+            { version: 2, text: 'Best CRM for early-stage startups?', title: 't', queryType: 'Commercial', authorId: { _id: editorId, firstName: 'Sam', lastName: 'Lee', email: 'sam@example.com' }, changedFields: ['text'], diff: [{ type: 'added', text: 'early-stage ' }], createdAt: new Date('2026-10-01') },
+            { version: 1, text: 'Best CRM for startups?', title: 't', queryType: 'Commercial', authorId: ownerId, changedFields: [], diff: [], createdAt }
+          ])
+        })
+      })
+    });
+    stubTests([
+      { promptVersion: 1, testedAt: new Date('2026-09-05'), scorecard: { brandMentioned: true } },
+      { promptVersion: 1, testedAt: new Date('2026-09-12'), scorecard: { brandMentioned: false } },
+      { promptVersion: 2, testedAt: new Date('2026-10-02'), scorecard: { brandMentioned: true } }
+    ]);
+
+    const history = await promptVersionService.listVersions(ownerId.toString(), promptId.toString());
+
+    expect(history.currentVersion).toBe(2);
+    expect(history.versions[0]).toMatchObject({
+      version: 2,
+      isCurrent: true,
+      author: { id: editorId, name: 'Sam Lee', email: 'sam@example.com' },
+      diffSummary: { added: 1, removed: 0 },
+      tests: { version: 2, totalTests: 1, brandMentionRate: 100 }
+    });
+    expect(history.versions[1]).toMatchObject({
+      version: 1,
+      isCurrent: false,
+      author: { id: ownerId.toString() },
+      tests: { totalTests: 2, brandMentionRate: 50, firstTestedAt: new Date('2026-09-05'), lastTestedAt: new Date('2026-09-12') }
+    });
+  });
+
+  test('a never edited prompt has its stored text as version 1', async () => {
+    jest.spyOn(Prompt, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(storedPrompt()) }) });
+    jest.spyOn(PromptVersion, 'find').mockReturnValue({ sort: () => ({ populate: () => ({ lean: () => Promise.resolve([]) }) }) });
+    stubTests([]);
+
+    const history = await promptVersionService.listVersions(ownerId.toString(), promptId.toString());
+
+    expect(history.versions).toEqual([
+      expect.objectContaining({ version: 1, text: 'What is the best CRM for startups?', isCurrent: true, tests: null, createdAt })
+    ]);
+  });
+});
+
+describe('trends with prompt versions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('current scope leaves out superseded tests and edits are counted per bucket', async () => {
+    const findTests = jest.spyOn(PromptTest, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ lean: () => Promise.resolve([]) }) })
+    });
+    jest.spyOn(PromptVersion, 'find').mockReturnValue({
+      select: () => ({
+        lean: () => Promise.resolve([
+          { promptId, version: 2, createdAt: new Date('2026-10-02T09:00:00Z') },
+          { promptId, version: 3, createdAt: new Date('2026-10-02T15:00:00Z') }
+        ])
+      })
+    });
+    jest.spyOn(metricsAggregationService, 'getBrandContext').mockResolvedValue({ brandNames: new Set(['Acme']), userBrandName: 'Acme' });
+
+    const trends = await metricsTrendsService.getTrends(ownerId.toString(), {
+      bucket: 'day',
+      dateFrom: '2026-10-01T00:00:00Z',
+      dateTo: '2026-10-03T00:00:00Z',
+      promptVersions: 'current'
+    });
+
+    expect(findTests).toHaveBeenCalledWith(expect.objectContaining({ supersededAt: null }));
+    expect(trends.promptVersions).toBe('current');
+    expect(trends.buckets.map(b => [b.date, b.promptEdits])).toEqual([
+      ['2026-10-01', 0],
+      ['2026-10-02', 2],
+      ['2026-10-03', 0]
+    ]);
+    expect(promptVersionService.buildVersionQuery('all')).toEqual({});
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * scoringService.calculateDeterministicScore against the golden LLM responses
+ */
+const golden = require('../../../fixtures/golden/responses.json');
+const scoringService = require('../scoringService');
+
+const brandContext = {
+  companyName: golden.brand,
+  competitors: golden.competitors
+};
+
+const score = (name) => {
+  const { response, citations } = golden.responses[name];
+  return scoringService.calculateDeterministicScore(response, citations, brandContext);
+};
+
+describe('scoringService.calculateDeterministicScore', () => {
+  test('brand leading the answer with its own citation', () => {
+    const scorecard = score('positiveLead');
+
+    expect(scorecard.brandMentioned).toBe(true);
+    expect(scorecard.brandPosition).toBe(1);
+    expect(scorecard.brandMentionCount).toBeGreaterThanOrEqual(2);
+    expect(scorecard.citationPresent).toBe(true);
+    expect(scorecard.citationType).toBe('direct_link');
+    expect(scorecard).toMatchObject({
+      brandCitations: 1,
+      earnedCitations: 1,
+      socialCitations: 1,
+      totalCitations: 3
+    });
+    expect(scorecard.competitorsMentioned).toEqual(['Globex']);
+    expect(scorecard.visibilityScore).toBe(100);
+  });
+
+  test('response that only names competitors', () => {
+    const scorecard = score('competitorOnly');
+
+    expect(scorecard).toMatchObject({
+      brandMentioned: false,
+      brandPosition: null,
+      citationType: 'none',
+      visibilityScore: 0,
+      overallScore: 0
+    });
+    expect(scorecard.competitorsMentioned).toEqual(['Globex', 'Initech']);
+  });
+
+  test('brand mentioned late and negatively', () => {
+    const scorecard = score('negativeLate');
+
+    expect(scorecard.brandMentioned).toBe(true);
+    expect(scorecard.brandPosition).toBe(3);
+    expect(scorecard.totalCitations).toBe(0);
+    expect(scorecard.sentiment).toBe('negative');
+    expect(scorecard.sentimentScore).toBeLessThan(0);
+    expect(scorecard.competitorsMentioned).toEqual(['Globex', 'Initech']);
+  });
+
+  test('a leading, cited mention outscores a late negative one', () => {
+    expect(score('positiveLead').overallScore).toBeGreaterThan(score('negativeLate').overallScore);
+    expect(score('negativeLate').overallScore).toBeGreaterThan(score('competitorOnly').overallScore);
+  });
+
+  test('default scorecard reports nothing detected', () => {
+    expect(scoringService.getDefaultScorecard()).toMatchObject({
+      brandMentioned: false,
+      brandPosition: null,
+      citationType: 'none',
+      totalCitations: 0,
+      sentiment: 'neutral',
+      competitorsMentioned: []
+    });
+  });
+});
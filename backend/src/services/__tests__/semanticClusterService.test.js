@@ -0,0 +1,200 @@
+/**
+ * semanticClusterService clustering, metrics and promotion, and the
+ * embeddingService backends (models and HTTP stubbed, no database)
+ */
+const axios = require('axios');
+const mongoose = require('mongoose');
+const semanticClusterService = require('../semanticClusterService');
+const embeddingService = require('../embeddingService');
+const spendService = require('../spendService');
+const metricsAggregationService = require('../metricsAggregationService');
+const Prompt = require('../../models/Prompt');
+const PromptTest = require('../../models/PromptTest');
+const Topic = require('../../models/Topic');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const urlAnalysisId = new mongoose.Types.ObjectId().toString();
+const crmTopic = { _id: new mongoose.Types.ObjectId(), name: 'CRM Software' };
+const emailTopic = { _id: new mongoose.Types.ObjectId(), name: 'Marketing' };
+
+const prompt = (text, topic) => ({
+  _id: new mongoose.Types.ObjectId(),
+  text,
+  queryType: 'Commercial',
+  topicId: topic,
+  personaId: { type: 'Startup Founder' }
+});
+
+const prompts = [
+  prompt('What is the best CRM for startups?', crmTopic),
+  prompt('Which CRM should a small startup use?', crmTopic),
+  prompt('CRM pricing comparison for startups', emailTopic),
+  prompt('How do I automate email marketing campaigns?', emailTopic),
+  prompt('Best email marketing tools for ecommerce', emailTopic),
+  prompt('What is the weather like today', emailTopic)
+];
+
+const testFor = (promptDoc, { mentioned, owner = 0, others = 0 }) => ({
+  promptId: promptDoc._id,
+  llmProvider: 'openai',
+  rawResponse: `${promptDoc.text} Here are some options.`,
+  scorecard: { brandMentioned: mentioned, brandPosition: mentioned ? 2 : null, citationPresent: mentioned },
+  brandMetrics: [
+    { brandName: 'Acme', isOwner: true, mentionCount: owner },
+    { brandName: 'Globex', isOwner: false, mentionCount: others }
+  ]
+});
+
+const tests = [
+  testFor(prompts[0], { mentioned: true, owner: 3, others: 1 }),
+  testFor(prompts[1], { mentioned: true, owner: 1, others: 3 }),
+  testFor(prompts[2], { mentioned: false, others: 2 }),
+  testFor(prompts[3], { mentioned: false, others: 4 }),
+  testFor(prompts[4], { mentioned: true, owner: 1, others: 3 })
+];
+
+// Resolves whatever chain of populate/select/sort/limit the service builds
+const queryReturning = (value) => {
+  const query = {};
+  ['select', 'populate', 'sort', 'limit'].forEach(method => {
+    query[method] = () => query;
+  });
+  query.lean = () => Promise.resolve(value);
+  return query;
+};
+
+// Metric fields for all prompts at once, responses one prompt at a time
+const stubTests = (tests) => jest.spyOn(PromptTest, 'find').mockImplementation((filter) => queryReturning(
+  filter.promptId.$in ? tests : tests.filter(test => test.promptId.equals(filter.promptId))
+));
+
+describe('semanticClusterService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('clusters prompts across topics with a label, visibility and share of voice each', async () => {
+    jest.spyOn(Prompt, 'find').mockReturnValue(queryReturning(prompts));
+    stubTests(tests);
+
+    const { clusters, unclustered, summary } = await semanticClusterService.getClusters(userId, { urlAnalysisId });
+
+    expect(clusters).toHaveLength(2);
+    const [crm, email] = clusters;
+
+    expect(crm.label).toMatch(/^CRM/);
+    expect(crm.promptIds).toEqual(prompts.slice(0, 3).map(p => p._id.toString()));
+    expect(crm.topics.map(t => t.name)).toEqual(['CRM Software', 'Marketing']);
+    expect(crm).toMatchObject({ promptCount: 3, testCount: 3, visibility: 67, shareOfVoice: 40 });
+    expect(crm.metrics).toEqual({ totalMentions: 2, avgPosition: 2, citationRate: 67 });
+
+    expect(email.label).toBe('Email marketing');
+    expect(email).toMatchObject({ promptCount: 2, testCount: 2, visibility: 50, shareOfVoice: 13 });
+
+    expect(unclustered.map(p => p.text)).toEqual(['What is the weather like today']);
+    // One query for the metrics of all tests, one per prompt for its latest responses
+    expect(PromptTest.find).toHaveBeenCalledTimes(prompts.length + 1);
+    expect(summary).toMatchObject({
+      totalClusters: 2,
+      totalPrompts: 6,
+      clusteredPrompts: 5,
+      totalTests: 5,
+      embedding: { provider: 'local', threshold: 0.2 }
+    });
+  });
+
+  test('an explicit threshold overrides the backend default', async () => {
+    jest.spyOn(Prompt, 'find').mockReturnValue(queryReturning(prompts));
+    stubTests(tests);
+
+    const { clusters, unclustered } = await semanticClusterService.getClusters(userId, { urlAnalysisId, threshold: 0.99 });
+    expect(clusters).toHaveLength(0);
+    expect(unclustered).toHaveLength(prompts.length);
+  });
+
+  test('promoting a cluster creates a topic, moves its prompts and tests and re-aggregates metrics', async () => {
+    const moved = prompts.slice(0, 3).map(p => ({ _id: p._id, topicId: p.topicId._id }));
+    jest.spyOn(Prompt, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(moved) }) });
+    const topic = { _id: new mongoose.Types.ObjectId(), name: 'CRM for startups' };
+    jest.spyOn(Topic, 'create').mockResolvedValue(topic);
+    const promptUpdate = jest.spyOn(Prompt, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    const testUpdate = jest.spyOn(PromptTest, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    jest.spyOn(Prompt, 'countDocuments').mockResolvedValue(0);
+    const topicUpdate = jest.spyOn(Topic, 'updateOne').mockResolvedValue({});
+    const aggregate = jest.spyOn(metricsAggregationService, 'calculateMetrics').mockResolvedValue({ success: true });
+
+    const result = await semanticClusterService.promoteCluster(userId, {
+      urlAnalysisId,
+      promptIds: moved.map(p => p._id.toString()),
+      name: 'CRM for startups',
+      keywords: ['CRM', 'startups']
+    });
+
+    expect(result).toEqual({ topic, movedPrompts: 3, movedTests: 3, metricsRecalculated: true });
+    expect(aggregate).toHaveBeenCalledWith(userId, { urlAnalysisId });
+    expect(Topic.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId, urlAnalysisId, name: 'CRM for startups', keywords: ['CRM', 'startups'], promptCount: 3
+    }));
+    expect(promptUpdate.mock.calls[0][1].$set.topicId).toBe(topic._id);
+    expect(testUpdate.mock.calls[0][1]).toEqual({ $set: { topicId: topic._id } });
+    // Both topics the prompts came from get their counts recomputed
+    expect(topicUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  test('promoting prompts that are not in the analysis is a 404', async () => {
+    jest.spyOn(Prompt, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+    const create = jest.spyOn(Topic, 'create');
+
+    await expect(semanticClusterService.promoteCluster(userId, {
+      urlAnalysisId, promptIds: [new mongoose.Types.ObjectId().toString()], name: 'Nope'
+    })).rejects.toMatchObject({ statusCode: 404 });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('embeddingService', () => {
+  beforeEach(() => {
+    embeddingService.configure({ EMBEDDING_PROVIDER: 'openai-compatible', EMBEDDING_API_KEY: 'sk-test' });
+    jest.spyOn(spendService, 'record').mockResolvedValue(null);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    embeddingService.configure({});
+  });
+
+  test('openai-compatible backend posts uncached texts once and records the spend', async () => {
+    const post = jest.spyOn(axios, 'post').mockImplementation(async (url, body) => ({
+      data: {
+        // Out of order on purpose: results are matched by index
+        data: body.input.map((text, index) => ({ index, embedding: [text.length, 1] })).reverse(),
+        usage: { prompt_tokens: 12, total_tokens: 12 }
+      }
+    }));
+
+    const first = await embeddingService.embed(['alpha', 'be', 'alpha']);
+    expect(first).toMatchObject({ provider: 'openai-compatible', model: 'text-embedding-3-small', defaultThreshold: 0.5 });
+    expect(first.vectors).toEqual([[5, 1], [2, 1], [5, 1]]);
+    expect(post).toHaveBeenCalledWith('https://api.openai.com/v1/embeddings',
+      { model: 'text-embedding-3-small', input: ['alpha', 'be'] },
+      expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer sk-test' }) }));
+    expect(spendService.record).toHaveBeenCalledWith('embeddings', {
+      model: 'text-embedding-3-small', usage: { prompt_tokens: 12, total_tokens: 12 }
+    });
+
+    await embeddingService.embed(['be', 'gamma']);
+    expect(post).toHaveBeenCalledTimes(2);
+    expect(post.mock.calls[1][1].input).toEqual(['gamma']);
+  });
+
+  test('a failing API falls back to local embeddings for the whole batch', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const result = await embeddingService.embed(['best CRM for startups']);
+    expect(result.provider).toBe('local');
+    expect(result.defaultThreshold).toBe(0.2);
+    expect(result.vectors[0]).toHaveLength(1024);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('falling back to local embeddings'));
+  });
+});
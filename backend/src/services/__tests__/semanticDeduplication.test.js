@@ -0,0 +1,212 @@
+/**
+ * Semantic deduplication of generated prompts, on its own and inside
+ * promptGenerationService.generatePrompts (models and HTTP stubbed, no database)
+ */
+process.env.OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || 'test-key';
+
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Prompt = require('../../models/Prompt');
+const embeddingService = require('../embeddingService');
+const spendService = require('../spendService');
+const { generatePrompts } = require('../promptGenerationService');
+const {
+  SemanticDeduplicator,
+  createAnalysisDeduplicator,
+  getConfiguredThreshold
+} = require('../promptGeneration/semanticDeduplication');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const urlAnalysisId = new mongoose.Types.ObjectId().toString();
+const candidate = (promptText) => ({ promptText, topicName: 'CRM Software', personaType: 'Startup Founder' });
+
+describe('SemanticDeduplicator', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.PROMPT_DEDUP_THRESHOLD;
+  });
+
+  test('merges rewordings within a batch and says why', async () => {
+    const deduplicator = new SemanticDeduplicator();
+    const texts = ['Best CRM for startups', 'Which CRM is best for a startup', 'Best CRM for enterprises'];
+    await deduplicator.prepare(texts);
+
+    expect(deduplicator.check(candidate(texts[0]))).toBeNull();
+    deduplicator.accept(candidate(texts[0]));
+
+    const merge = deduplicator.check(candidate(texts[1]));
+    expect(merge).toMatchObject({
+      text: 'Which CRM is best for a startup',
+      mergedInto: { id: null, text: 'Best CRM for startups', source: 'batch' },
+      reason: expect.stringMatching(/^\d+% similar to a prompt generated in this batch$/)
+    });
+    expect(merge.similarity).toBeGreaterThanOrEqual(0.75);
+
+    // Same words, different audience: kept
+    expect(deduplicator.check(candidate(texts[2]))).toBeNull();
+
+    deduplicator.linkSaved('Best CRM for startups', 'abc123');
+    expect(deduplicator.getMerged()[0].mergedInto.id).toBe('abc123');
+    expect(deduplicator.getMergesInto('best crm for startups')).toEqual([
+      expect.objectContaining({ text: 'Which CRM is best for a startup', source: 'batch', mergedAt: expect.any(Date) })
+    ]);
+    expect(deduplicator.getSummary()).toMatchObject({ provider: 'local', threshold: 0.75, mergedCount: 1 });
+  });
+
+  test('merges into the analysis\' existing prompts and records it on them', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), text: 'Which CRM tools are best for startups' };
+    const find = jest.spyOn(Prompt, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve([existing]) }) }) })
+    });
+    const update = jest.spyOn(Prompt, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const deduplicator = await createAnalysisDeduplicator({
+      userId, urlAnalysisId, locale: { region: 'Germany', language: 'German' }
+    });
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      userId, urlAnalysisId, status: 'active', 'locale.region': 'Germany', 'locale.language': 'German'
+    }));
+
+    await deduplicator.prepare(['Best CRM tool for startups']);
+    expect(deduplicator.check(candidate('Best CRM tool for startups'))).toMatchObject({
+      mergedInto: { id: existing._id.toString(), source: 'existing' },
+      reason: expect.stringMatching(/similar to an existing prompt$/)
+    });
+
+    await expect(deduplicator.saveExistingMerges(userId)).resolves.toBe(1);
+    expect(update).toHaveBeenCalledWith(
+      { _id: existing._id.toString(), userId },
+      { $push: { 'metadata.mergedDuplicates': { $each: [expect.objectContaining({ text: 'Best CRM tool for startups', source: 'existing' })] } } }
+    );
+  });
+
+  test('local vectors merge same-word rewordings but not paraphrases or different questions', async () => {
+    const deduplicator = new SemanticDeduplicator();
+    const texts = [
+      'best CRM for startups',
+      'Which CRM is best for a startup',
+      'which CRM should a new startup pick',
+      'cheapest CRM for startups'
+    ];
+    await deduplicator.prepare(texts);
+    deduplicator.accept(candidate(texts[0]));
+
+    expect(deduplicator.check(candidate(texts[1]))).toMatchObject({ mergedInto: { text: 'best CRM for startups' } });
+    // A paraphrase in other words needs a model backend to be caught
+    expect(deduplicator.findMatch(texts[2])).toBeNull();
+    expect(deduplicator.check(candidate(texts[2]))).toBeNull();
+    // Same words, different question: kept
+    expect(deduplicator.check(candidate(texts[3]))).toBeNull();
+  });
+
+  test('threshold: explicit over PROMPT_DEDUP_THRESHOLD over the backend default', () => {
+    expect(new SemanticDeduplicator().getThreshold()).toBe(0.75);
+
+    process.env.PROMPT_DEDUP_THRESHOLD = '0.9';
+    expect(new SemanticDeduplicator().getThreshold()).toBe(0.9);
+    expect(new SemanticDeduplicator({ threshold: 0.5 }).getThreshold()).toBe(0.5);
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(getConfiguredThreshold({ PROMPT_DEDUP_THRESHOLD: '2' })).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring PROMPT_DEDUP_THRESHOLD'));
+  });
+
+  describe('with a remote embedding model', () => {
+    // Paraphrases get near-identical vectors, as a real model would give them;
+    // local vectors can't catch these (see above)
+    const vectors = {
+      'best CRM for startups': [1, 0, 0],
+      'which CRM should a new startup pick': [0.95, 0.31, 0],
+      'email marketing tools for ecommerce': [0, 0, 1]
+    };
+
+    beforeEach(() => {
+      embeddingService.configure({ EMBEDDING_PROVIDER: 'openai-compatible', EMBEDDING_API_KEY: 'sk-test' });
+      jest.spyOn(spendService, 'record').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      embeddingService.configure({});
+    });
+
+    test('merges true paraphrases at the remote default threshold', async () => {
+      jest.spyOn(axios, 'post').mockImplementation(async (url, body) => ({
+        data: { data: body.input.map((text, index) => ({ index, embedding: vectors[text] })), usage: {} }
+      }));
+
+      const deduplicator = new SemanticDeduplicator();
+      await deduplicator.prepare(Object.keys(vectors));
+      deduplicator.accept(candidate('best CRM for startups'));
+
+      expect(deduplicator.check(candidate('which CRM should a new startup pick'))).toMatchObject({
+        similarity: 0.95,
+        reason: '95% similar to a prompt generated in this batch'
+      });
+      expect(deduplicator.check(candidate('email marketing tools for ecommerce'))).toBeNull();
+      expect(deduplicator.getSummary()).toMatchObject({ provider: 'openai-compatible', threshold: 0.85 });
+    });
+
+    test('re-embeds everything locally when a later batch falls back', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(axios, 'post')
+        .mockImplementationOnce(async (url, body) => ({
+          data: { data: body.input.map((text, index) => ({ index, embedding: vectors[text] })), usage: {} }
+        }))
+        .mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const deduplicator = new SemanticDeduplicator();
+      await deduplicator.prepare(['best CRM for startups']);
+      deduplicator.accept(candidate('best CRM for startups'));
+      await deduplicator.prepare(['Best CRM for startups in 2025']);
+
+      expect(deduplicator.getSummary()).toMatchObject({ provider: 'local', threshold: 0.75 });
+      expect(deduplicator.check(candidate('Best CRM for startups in 2025'))).toMatchObject({
+        mergedInto: { text: 'best CRM for startups' }
+      });
+    });
+  });
+});
+
+describe('generatePrompts with a semantic deduplicator', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rewordings are merged and the combination is filled from the rest', async () => {
+    const generated = [
+      'Best CRM for startups',
+      'Which CRM is best for a startup',
+      'CRM pricing comparison for startups',
+      'CRM with email automation for startups',
+      'Help me find an affordable sales tool',
+      'Top helpdesk software for small teams'
+    ];
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { choices: [{ message: { content: JSON.stringify(generated) } }] }
+    });
+    jest.spyOn(spendService, 'recordResponse').mockResolvedValue(null);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const deduplicator = new SemanticDeduplicator();
+    const prompts = await generatePrompts({
+      topics: [{ _id: 't1', name: 'CRM Software' }],
+      personas: [{ _id: 'p1', type: 'Startup Founder' }],
+      totalPrompts: 3,
+      options: { overGenerationFactor: 2, deduplicator }
+    });
+
+    expect(prompts.map(p => p.promptText)).toEqual([
+      'Best CRM for startups',
+      'CRM pricing comparison for startups',
+      'CRM with email automation for startups'
+    ]);
+    expect(deduplicator.getMerged()).toEqual([
+      expect.objectContaining({
+        text: 'Which CRM is best for a startup',
+        topicName: 'CRM Software',
+        personaType: 'Startup Founder',
+        mergedInto: expect.objectContaining({ text: 'Best CRM for startups', source: 'batch' })
+      })
+    ]);
+  });
+});
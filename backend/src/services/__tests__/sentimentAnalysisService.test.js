@@ -0,0 +1,40 @@
+/**
+ * sentimentAnalysisService.analyzeSentiment against the golden LLM responses
+ */
+const golden = require('../../../fixtures/golden/responses.json');
+const sentimentAnalysisService = require('../sentimentAnalysisService');
+
+const analyze = (name) => sentimentAnalysisService.analyzeSentiment(golden.responses[name].response, golden.brand);
+
+describe('sentimentAnalysisService.analyzeSentiment', () => {
+  test('negative keywords around the brand give a negative sentiment with drivers', () => {
+    const result = analyze('negativeLate');
+
+    expect(result.sentiment).toBe('negative');
+    expect(result.sentimentScore).toBeLessThan(0);
+    expect(result.drivers.length).toBeGreaterThan(0);
+
+    const keywords = result.drivers.flatMap(d => d.keywords);
+    expect(keywords).toEqual(expect.arrayContaining(['-expensive', '-limited']));
+  });
+
+  test('is neutral when the brand is not mentioned', () => {
+    expect(analyze('competitorOnly')).toMatchObject({
+      sentiment: 'neutral',
+      sentimentScore: 0,
+      drivers: []
+    });
+  });
+
+  test('scores the recommending response above the critical one', () => {
+    expect(analyze('positiveLead').sentimentScore).toBeGreaterThan(analyze('negativeLate').sentimentScore);
+  });
+
+  test('scores stay within -1..1', () => {
+    Object.keys(golden.responses).forEach(name => {
+      const { sentimentScore } = analyze(name);
+      expect(sentimentScore).toBeGreaterThanOrEqual(-1);
+      expect(sentimentScore).toBeLessThanOrEqual(1);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * spendService pricing and budget checks (budgets stubbed, no database)
+ */
+const spendService = require('../spendService');
+const SpendLedgerEntry = require('../../models/SpendLedgerEntry');
+
+const budget = (overrides) => ({
+  scope: 'user',
+  urlAnalysisId: null,
+  monthlyLimit: 10,
+  hardStop: true,
+  spent: 9,
+  remaining: 1,
+  ...overrides
+});
+
+describe('spendService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env.LLM_FIXTURE_MODE = 'replay';
+  });
+
+  test('normalizes OpenAI-style and adapter-style usage', () => {
+    expect(spendService.normalizeUsage({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }))
+      .toEqual({ promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+    expect(spendService.normalizeUsage({ promptTokens: 10, completionTokens: 5 }))
+      .toEqual({ promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+  });
+
+  test('prices models from config, including :online variants', () => {
+    expect(spendService.estimateCost('openai/gpt-4o', { prompt_tokens: 1000000, completion_tokens: 100000 })).toBe(3.5);
+    expect(spendService.estimateCost('openai/gpt-4o-mini:online', { prompt_tokens: 1000000 })).toBe(0.15);
+    expect(spendService.estimateCost('unknown/model', { prompt_tokens: 1000 })).toBeNull();
+  });
+
+  test('prices prompt tests from the provider definition', () => {
+    // claude: $0.25 in / $1.25 out per 1M tokens (config/llmProviders)
+    expect(spendService.estimateCost('anything', { promptTokens: 1000000, completionTokens: 1000000 }, 'claude')).toBe(1.5);
+  });
+
+  test('a run that would go over a hard-stop budget is refused', async () => {
+    jest.spyOn(spendService, 'getBudgetStatus').mockResolvedValue([budget()]);
+
+    const check = await spendService.checkBudget('user-1', { amount: 2 });
+    expect(check.allowed).toBe(false);
+    await expect(spendService.assertWithinBudget('user-1', { amount: 2 }))
+      .rejects.toMatchObject({ statusCode: 402, code: 'BUDGET_EXCEEDED' });
+  });
+
+  test('a run that fits, or a soft budget, is allowed', async () => {
+    jest.spyOn(spendService, 'getBudgetStatus').mockResolvedValue([budget(), budget({ scope: 'analysis', hardStop: false, spent: 50 })]);
+
+    expect((await spendService.checkBudget('user-1', { amount: 0.5 })).allowed).toBe(true);
+  });
+
+  test('with no amount, a budget is exhausted once spend reaches the limit', async () => {
+    jest.spyOn(spendService, 'getBudgetStatus').mockResolvedValue([budget({ spent: 10, remaining: 0 })]);
+
+    expect((await spendService.checkBudget('user-1')).allowed).toBe(false);
+  });
+
+  test('replayed fixture calls are not billed', async () => {
+    const create = jest.spyOn(SpendLedgerEntry, 'create');
+
+    await expect(spendService.record('insights', { model: 'openai/gpt-4o', usage: { prompt_tokens: 100 } })).resolves.toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('attributes calls to the current context', async () => {
+    process.env.LLM_FIXTURE_MODE = 'off';
+    const create = jest.spyOn(SpendLedgerEntry, 'create').mockImplementation(async (doc) => doc);
+
+    const entry = await spendService.runWithContext({ userId: 'user-1', urlAnalysisId: 'analysis-1' }, () =>
+      spendService.recordResponse('insights', 'openai/gpt-4o', { usage: { prompt_tokens: 1000000, completion_tokens: 0, cost: 2.1 } })
+    );
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(entry).toMatchObject({
+      userId: 'user-1',
+      urlAnalysisId: 'analysis-1',
+      testRunId: null,
+      source: 'insights',
+      cost: 2.1,
+      costSource: 'provider'
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Workspace scoping of queries (models/plugins/workspaceScoped), invites and
+ * dashboard access (models stubbed, no database)
+ */
+const mongoose = require('mongoose');
+const workspaceService = require('../workspaceService');
+const Topic = require('../../models/Topic');
+const User = require('../../models/User');
+const Workspace = require('../../models/Workspace');
+const WorkspaceInvite = require('../../models/WorkspaceInvite');
+const { runInWorkspace } = require('../../utils/workspaceContext');
+
+/**
+ * Filter and update of a query after its pre hooks (where the plugin rewrites
+ * it), without executing it
+ */
+const runPreHooks = (query) => new Promise((resolve, reject) => {
+  Topic.schema.s.hooks.execPre(query.op, query, [], error => (error
+    ? reject(error)
+    : resolve({ filter: query.getFilter(), update: query.getUpdate() })));
+});
+
+describe('workspace scoping', () => {
+  const workspaceId = new mongoose.Types.ObjectId().toString();
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  test('filters on one userId are scoped to the workspace of the context', async () => {
+    const query = await runInWorkspace({ workspaceId, userId }, () =>
+      runPreHooks(Topic.find({ userId, selected: true })));
+
+    expect(query.filter).toEqual({ selected: true, workspaceId });
+  });
+
+  test('upserts keep the creator on insert', async () => {
+    const query = await runInWorkspace({ workspaceId, userId }, () =>
+      runPreHooks(Topic.updateOne({ userId, name: 'Pricing' }, { $set: { selected: true } }, { upsert: true })));
+
+    expect(query.filter).toEqual({ name: 'Pricing', workspaceId });
+    expect(query.update.$setOnInsert).toMatchObject({ userId });
+  });
+
+  test('queries outside a workspace, on several users or opted out are left alone', async () => {
+    const outside = await runPreHooks(Topic.find({ userId }));
+    expect(outside.filter).toEqual({ userId });
+
+    const several = await runInWorkspace({ workspaceId, userId }, () =>
+      runPreHooks(Topic.find({ userId: { $in: [userId] } })));
+    expect(several.filter).toEqual({ userId: { $in: [userId] } });
+
+    const optedOut = await runInWorkspace({ workspaceId, userId }, () =>
+      runPreHooks(Topic.find({ userId }).setOptions({ workspaceScope: false })));
+    expect(optedOut.filter).toEqual({ userId });
+  });
+});
+
+describe('workspaceService.acceptInvite', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'Invitee@Example.com' };
+  const now = new Date('2026-03-01T00:00:00Z');
+
+  const stubInvite = (overrides = {}) => {
+    const invite = {
+      workspaceId: new mongoose.Types.ObjectId(),
+      email: 'invitee@example.com',
+      role: 'editor',
+      expiresAt: new Date('2026-03-05T00:00:00Z'),
+      acceptedAt: null,
+      revokedAt: null,
+      save: jest.fn().mockResolvedValue(),
+      ...overrides
+    };
+    jest.spyOn(WorkspaceInvite, 'findOne').mockResolvedValue(invite);
+    return invite;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('adds the user to the workspace with the invited role', async () => {
+    const invite = stubInvite();
+    const workspace = {
+      _id: invite.workspaceId,
+      members: [{ userId: new mongoose.Types.ObjectId(), role: 'owner' }],
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(Workspace, 'findById').mockResolvedValue(workspace);
+
+    const result = await workspaceService.acceptInvite(user, 'token', { now });
+
+    expect(result.role).toBe('editor');
+    expect(workspace.members).toHaveLength(2);
+    expect(invite).toMatchObject({ acceptedAt: now, acceptedBy: user._id });
+  });
+
+  test('rejects used, expired and other people\'s invites', async () => {
+    stubInvite({ acceptedAt: now });
+    await expect(workspaceService.acceptInvite(user, 'token', { now })).rejects.toMatchObject({ statusCode: 409 });
+
+    stubInvite({ expiresAt: new Date('2026-02-28T00:00:00Z') });
+    await expect(workspaceService.acceptInvite(user, 'token', { now })).rejects.toMatchObject({ statusCode: 400 });
+
+    stubInvite({ email: 'someone-else@example.com' });
+    await expect(workspaceService.acceptInvite(user, 'token', { now })).rejects.toMatchObject({ statusCode: 403 });
+
+    stubInvite({ revokedAt: now });
+    await expect(workspaceService.acceptInvite(user, 'token', { now })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('workspaceService.hasDashboardAccess', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('users with access or admin rights have it', async () => {
+    expect(await workspaceService.hasDashboardAccess({ _id: userId, access: true })).toBe(true);
+    expect(await workspaceService.hasDashboardAccess({ _id: userId, access: false, isAdmin: true })).toBe(true);
+  });
+
+  test('members get it from the workspace creator', async () => {
+    const owner = new mongoose.Types.ObjectId();
+    const exists = jest.spyOn(User, 'exists').mockResolvedValue({ _id: owner });
+
+    expect(await workspaceService.hasDashboardAccess({ _id: userId, access: false }, { ownerId: owner })).toBe(true);
+    expect(exists.mock.calls[0][0]._id.$in).toEqual([owner]);
+
+    exists.mockResolvedValue(null);
+    expect(await workspaceService.hasDashboardAccess({ _id: userId, access: false }, { ownerId: owner })).toBe(false);
+  });
+
+  test('their own workspace gives them nothing', async () => {
+    const exists = jest.spyOn(User, 'exists');
+    expect(await workspaceService.hasDashboardAccess({ _id: userId, access: false }, { ownerId: userId })).toBe(false);
+    expect(exists).not.toHaveBeenCalled();
+  });
+});
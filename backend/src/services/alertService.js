@@ -0,0 +1,509 @@
+/**
+ * Alert Service
+ *
+ * Threshold alerts on aggregated metrics. metricsAggregationService captures
+ * the live AggregatedMetrics documents before it overwrites them and hands
+ * both versions to evaluateAggregation, which checks every enabled rule
+ * (utils/alertRules), records an AlertEvent per breach and posts it to the
+ * rule's webhooks. Payloads are Slack incoming-webhook shaped. Failed
+ * deliveries are retried with backoff by a poller, so retries survive a
+ * restart; every event and its delivery state stays in the alert history.
+ * Webhook hosts are resolved and checked against private addresses on every
+ * delivery, not only when the webhook is saved (utils/addressGuard).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const AlertRule = require('../models/AlertRule');
+const AlertWebhook = require('../models/AlertWebhook');
+const AlertEvent = require('../models/AlertEvent');
+const AggregatedMetrics = require('../models/AggregatedMetrics');
+const UrlAnalysis = require('../models/UrlAnalysis');
+const providerRegistry = require('./promptTesting/providers');
+const { localeKey } = require('../utils/locales');
+const { BLOCKED_ADDRESS, assertPublicUrl, pinnedAgents } = require('../utils/addressGuard');
+const {
+  ALERT_METRICS,
+  untrackedBrandShares,
+  evaluateAlertRule,
+  describeAlert
+} = require('../utils/alertRules');
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+const RETRY_BATCH_SIZE = 50;
+// Wait before attempt 2, 3, ...; the delivery fails after the last one
+const RETRY_BACKOFF_MINUTES = [1, 5, 30, 120];
+const MAX_ATTEMPTS = RETRY_BACKOFF_MINUTES.length + 1;
+const HOUR_MS = 60 * 60 * 1000;
+
+const RULE_FIELDS = ['name', 'urlAnalysisId', 'metric', 'scope', 'scopeValue', 'brandName', 'condition', 'threshold', 'webhookIds', 'cooldownHours', 'enabled'];
+const WEBHOOK_FIELDS = ['name', 'url', 'format', 'secret', 'enabled'];
+
+// How PromptTests are grouped into each scope (mirrors metricsAggregationService)
+const SCOPE_KEYS = {
+  platform: test => test.llmProvider,
+  topic: test => test.topicId?.name || 'Unknown',
+  persona: test => test.personaId?.type || 'Unknown',
+  locale: test => localeKey(test.locale)
+};
+
+class AlertService {
+  constructor() {
+    this.pollTimer = null;
+    this.isProcessing = false;
+    console.log('🚨 AlertService initialized');
+  }
+
+  /**
+   * Start retrying pending deliveries. Safe to call more than once.
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => {
+      this.retryPendingDeliveries().catch(error => {
+        console.error('❌ [ALERTS] Retry poll failed:', error.message);
+      });
+    }, POLL_INTERVAL_MS);
+
+    if (this.pollTimer.unref) {
+      this.pollTimer.unref();
+    }
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  // ---- Rules ----
+
+  async listRules(userId, { urlAnalysisId } = {}) {
+    const query = { userId };
+    if (urlAnalysisId) query.urlAnalysisId = { $in: [urlAnalysisId, null] };
+    return AlertRule.find(query).sort({ createdAt: -1 }).lean();
+  }
+
+  async getRule(ruleId, userId) {
+    return AlertRule.findOne({ _id: ruleId, userId }).lean();
+  }
+
+  /**
+   * @returns {Promise<object|null>} - Created rule, or null if the analysis wasn't found
+   */
+  async createRule(userId, data) {
+    const fields = await this.pickRuleFields(userId, data);
+    if (!fields) {
+      return null;
+    }
+
+    const rule = await AlertRule.create({ ...fields, userId });
+    console.log(`🚨 [ALERTS] Created rule "${rule.name}" (${rule.metric} ${rule.condition} ${rule.threshold})`);
+    return rule.toObject();
+  }
+
+  /**
+   * @returns {Promise<object|null>} - Updated rule, or null if the rule or analysis wasn't found
+   */
+  async updateRule(ruleId, userId, data) {
+    const rule = await AlertRule.findOne({ _id: ruleId, userId });
+    if (!rule) {
+      return null;
+    }
+
+    const fields = await this.pickRuleFields(userId, data);
+    if (!fields) {
+      return null;
+    }
+
+    Object.assign(rule, fields);
+    await rule.save();
+    return rule.toObject();
+  }
+
+  async deleteRule(ruleId, userId) {
+    const result = await AlertRule.deleteOne({ _id: ruleId, userId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Editable rule fields, with the analysis and webhooks checked against the user
+   */
+  async pickRuleFields(userId, data) {
+    const fields = {};
+    RULE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+
+    if (fields.urlAnalysisId) {
+      const exists = await UrlAnalysis.exists({ _id: fields.urlAnalysisId, userId });
+      if (!exists) return null;
+    }
+    if (Array.isArray(fields.webhookIds)) {
+      const webhooks = await AlertWebhook.find({ _id: { $in: fields.webhookIds }, userId }).select('_id').lean();
+      fields.webhookIds = webhooks.map(webhook => webhook._id);
+    }
+    if (fields.scope === 'overall') {
+      fields.scopeValue = null;
+    }
+    return fields;
+  }
+
+  // ---- Webhooks ----
+
+  async listWebhooks(userId) {
+    const webhooks = await AlertWebhook.find({ userId }).sort({ createdAt: -1 });
+    return webhooks.map(webhook => webhook.toJSON());
+  }
+
+  async createWebhook(userId, data) {
+    const webhook = await AlertWebhook.create({ ...this.pickWebhookFields(data), userId });
+    console.log(`🚨 [ALERTS] Added ${webhook.format} webhook "${webhook.name}"`);
+    return webhook.toJSON();
+  }
+
+  async updateWebhook(webhookId, userId, data) {
+    const webhook = await AlertWebhook.findOne({ _id: webhookId, userId });
+    if (!webhook) {
+      return null;
+    }
+    Object.assign(webhook, this.pickWebhookFields(data));
+    await webhook.save();
+    return webhook.toJSON();
+  }
+
+  /**
+   * Delete a webhook and detach it from the user's rules
+   */
+  async deleteWebhook(webhookId, userId) {
+    const result = await AlertWebhook.deleteOne({ _id: webhookId, userId });
+    if (result.deletedCount === 0) {
+      return false;
+    }
+    await AlertRule.updateMany({ userId }, { $pull: { webhookIds: webhookId } });
+    return true;
+  }
+
+  pickWebhookFields(data) {
+    const fields = {};
+    WEBHOOK_FIELDS.forEach(field => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+    // An empty secret removes it
+    if (fields.secret === '') fields.secret = null;
+    return fields;
+  }
+
+  /**
+   * Post a sample alert to a webhook (no retry, not kept in the history)
+   * @returns {Promise<object|null>} - { delivered, responseStatus, error }, or null if not found
+   */
+  async testWebhook(webhookId, userId) {
+    const webhook = await AlertWebhook.findOne({ _id: webhookId, userId }).lean();
+    if (!webhook) {
+      return null;
+    }
+
+    const sample = {
+      _id: new mongoose.Types.ObjectId(),
+      ruleName: 'Test alert',
+      metric: 'visibilityScore',
+      condition: 'decreases_by',
+      threshold: 10,
+      scope: 'overall',
+      brandName: 'Your brand',
+      value: 35,
+      previousValue: 48,
+      message: 'Test alert from Rankly: this webhook is connected',
+      triggeredAt: new Date()
+    };
+
+    try {
+      const response = await this.post(webhook, this.buildPayload(sample, webhook));
+      return { delivered: true, responseStatus: response.status };
+    } catch (error) {
+      return { delivered: false, responseStatus: error.response?.status || null, error: error.message };
+    }
+  }
+
+  // ---- History ----
+
+  async listEvents(userId, { urlAnalysisId, ruleId, limit = 50 } = {}) {
+    const query = { userId };
+    if (urlAnalysisId) query.urlAnalysisId = urlAnalysisId;
+    if (ruleId) query.ruleId = ruleId;
+    return AlertEvent.find(query).sort({ triggeredAt: -1 }).limit(limit).lean();
+  }
+
+  // ---- Evaluation ----
+
+  /**
+   * Live AggregatedMetrics for an analysis before an aggregation overwrites
+   * them; null when the user has no enabled rule that could apply
+   */
+  async capturePrevious(userId, urlAnalysisId) {
+    const ruleQuery = { userId, enabled: true };
+    if (urlAnalysisId) ruleQuery.urlAnalysisId = { $in: [urlAnalysisId, null] };
+
+    const hasRules = await AlertRule.exists(ruleQuery);
+    if (!hasRules) {
+      return null;
+    }
+
+    return AggregatedMetrics.find({ userId, urlAnalysisId })
+      .select('scope scopeValue brandMetrics')
+      .lean();
+  }
+
+  /**
+   * Evaluate the user's rules after an aggregation, record the breaches and
+   * start delivering them
+   * @param {object} aggregation - { userId, urlAnalysisId, previous (capturePrevious), results
+   *   (calculateMetrics results), tests (the aggregated PromptTests) }
+   * @returns {Promise<Array>} - created AlertEvents
+   */
+  async evaluateAggregation({ userId, urlAnalysisId, previous, results, tests }) {
+    const ruleQuery = { userId, enabled: true };
+    if (urlAnalysisId) ruleQuery.urlAnalysisId = { $in: [urlAnalysisId, null] };
+    const rules = await AlertRule.find(ruleQuery).lean();
+    if (rules.length === 0) {
+      return [];
+    }
+
+    const scopes = this.buildScopes(previous || [], results, tests);
+    const now = new Date();
+    const events = [];
+
+    for (const rule of rules) {
+      const triggers = evaluateAlertRule(rule, scopes);
+
+      for (const trigger of triggers) {
+        const dedupeKey = [urlAnalysisId || 'all', trigger.scope, trigger.scopeValue, trigger.brandName.toLowerCase()].join('|');
+        const recent = rule.cooldownHours > 0 && await AlertEvent.exists({
+          ruleId: rule._id,
+          dedupeKey,
+          triggeredAt: { $gte: new Date(now.getTime() - rule.cooldownHours * HOUR_MS) }
+        });
+        if (recent) continue;
+
+        const webhooks = await AlertWebhook.find({ _id: { $in: rule.webhookIds }, userId, enabled: true }).select('_id').lean();
+        const event = await AlertEvent.create({
+          userId,
+          ruleId: rule._id,
+          urlAnalysisId,
+          ruleName: rule.name,
+          metric: rule.metric,
+          condition: rule.condition,
+          threshold: rule.threshold,
+          scope: trigger.scope,
+          scopeValue: trigger.scope === 'overall' ? null : trigger.scopeValue,
+          brandName: trigger.brandName,
+          value: trigger.value,
+          previousValue: trigger.previousValue,
+          message: describeAlert(rule, trigger, this.scopeLabel(trigger.scope, trigger.scopeValue)),
+          dedupeKey,
+          triggeredAt: now,
+          // First attempted right below; the poller only picks it up as a retry
+          deliveries: webhooks.map(webhook => ({ webhookId: webhook._id, nextAttemptAt: new Date(now.getTime() + RETRY_BACKOFF_MINUTES[0] * 60 * 1000) }))
+        });
+        events.push(event);
+      }
+
+      if (triggers.length > 0) {
+        await AlertRule.updateOne({ _id: rule._id }, { $set: { lastTriggeredAt: now } });
+      }
+    }
+
+    if (events.length > 0) {
+      console.log(`🚨 [ALERTS] ${events.length} alerts triggered for user ${userId}`);
+      // Delivery is retried by the poller; don't hold up the aggregation
+      Promise.all(events.map(event => this.deliverEvent(event, { initial: true }))).catch(error => {
+        console.error('❌ [ALERTS] Delivery failed:', error.message);
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Pair each new scope document with its previous version and the untracked
+   * brands mentioned in its tests
+   */
+  buildScopes(previous, results, tests = []) {
+    const previousByScope = new Map(previous.map(doc => [`${doc.scope}|${doc.scopeValue}`, doc.brandMetrics]));
+    const docs = [results.overall, ...(results.platform || []), ...(results.topic || []), ...(results.persona || []), ...(results.locale || [])]
+      .filter(Boolean);
+
+    return docs.map(doc => {
+      const scopeTests = doc.scope === 'overall'
+        ? tests
+        : tests.filter(test => SCOPE_KEYS[doc.scope](test) === doc.scopeValue);
+      return {
+        scope: doc.scope,
+        scopeValue: doc.scopeValue,
+        brands: doc.brandMetrics,
+        previousBrands: previousByScope.get(`${doc.scope}|${doc.scopeValue}`) || null,
+        untrackedBrands: untrackedBrandShares(scopeTests, doc.brandMetrics.map(brand => brand.brandName))
+      };
+    });
+  }
+
+  scopeLabel(scope, scopeValue) {
+    if (scope === 'overall') return null;
+    if (scope === 'platform') return providerRegistry.getDisplayName(scopeValue) || scopeValue;
+    return scopeValue;
+  }
+
+  // ---- Delivery ----
+
+  /**
+   * Slack incoming-webhook payload; 'json' webhooks also get the structured alert
+   */
+  buildPayload(event, webhook) {
+    const metric = ALERT_METRICS[event.metric] || { label: event.metric, unit: '' };
+    const format = (value) => (value === null || value === undefined ? '—' : `${value}${metric.unit}`);
+    const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`;
+
+    const payload = {
+      text: `🚨 ${event.message}`,
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: `*${event.ruleName || 'Rankly alert'}*\n${event.message}` }
+        },
+        {
+          type: 'context',
+          elements: [
+            { type: 'mrkdwn', text: `${metric.label}: ${format(event.previousValue)} → ${format(event.value)}` },
+            { type: 'mrkdwn', text: `<${dashboardUrl}|Open dashboard>` }
+          ]
+        }
+      ]
+    };
+
+    if (webhook.format === 'json') {
+      payload.alert = {
+        id: event._id.toString(),
+        ruleId: event.ruleId ? event.ruleId.toString() : null,
+        urlAnalysisId: event.urlAnalysisId ? event.urlAnalysisId.toString() : null,
+        rule: event.ruleName,
+        metric: event.metric,
+        condition: event.condition,
+        threshold: event.threshold,
+        scope: event.scope,
+        scopeValue: event.scopeValue || null,
+        brandName: event.brandName,
+        value: event.value,
+        previousValue: event.previousValue ?? null,
+        message: event.message,
+        triggeredAt: event.triggeredAt
+      };
+    }
+
+    return payload;
+  }
+
+  /**
+   * Post to a webhook, connecting only to the public address its host was checked against
+   */
+  async post(webhook, payload) {
+    const target = await assertPublicUrl(webhook.url);
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'Rankly-Alerts/1.0' };
+    if (webhook.secret) {
+      headers['X-Rankly-Signature'] = `sha256=${crypto.createHmac('sha256', webhook.secret).update(body).digest('hex')}`;
+    }
+
+    return axios.post(webhook.url, body, {
+      headers,
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      ...pinnedAgents(target)
+    });
+  }
+
+  /**
+   * Attempt every due pending delivery of an event and save the outcome
+   * @param {object} options - { now, initial (first attempt right after the event was created) }
+   */
+  async deliverEvent(event, { now = new Date(), initial = false } = {}) {
+    const due = event.deliveries.filter(delivery => delivery.status === 'pending' && (initial || delivery.nextAttemptAt <= now));
+    if (due.length === 0) {
+      return event;
+    }
+
+    const webhooks = await AlertWebhook.find({ _id: { $in: due.map(delivery => delivery.webhookId) } }).lean();
+    const webhookMap = new Map(webhooks.map(webhook => [webhook._id.toString(), webhook]));
+
+    for (const delivery of due) {
+      const webhook = webhookMap.get(delivery.webhookId.toString());
+      if (!webhook || !webhook.enabled) {
+        delivery.status = 'failed';
+        delivery.lastError = webhook ? 'Webhook disabled' : 'Webhook deleted';
+        continue;
+      }
+
+      delivery.attempts += 1;
+      try {
+        const response = await this.post(webhook, this.buildPayload(event, webhook));
+        delivery.status = 'delivered';
+        delivery.responseStatus = response.status;
+        delivery.deliveredAt = new Date();
+        delivery.lastError = undefined;
+      } catch (error) {
+        delivery.responseStatus = error.response?.status;
+        delivery.lastError = error.message;
+        // A host on a private address won't be retried
+        if (delivery.attempts >= MAX_ATTEMPTS || error.code === BLOCKED_ADDRESS) {
+          delivery.status = 'failed';
+          console.error(`❌ [ALERTS] Giving up on webhook "${webhook.name}" after ${delivery.attempts} attempts: ${error.message}`);
+        } else {
+          delivery.nextAttemptAt = new Date(now.getTime() + RETRY_BACKOFF_MINUTES[delivery.attempts - 1] * 60 * 1000);
+          console.warn(`⚠️  [ALERTS] Webhook "${webhook.name}" failed (attempt ${delivery.attempts}), retrying at ${delivery.nextAttemptAt.toISOString()}`);
+        }
+      }
+
+      if (delivery.status !== 'pending') {
+        await AlertWebhook.updateOne(
+          { _id: webhook._id },
+          { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.status } }
+        );
+      }
+    }
+
+    await event.save();
+    return event;
+  }
+
+  /**
+   * One poll cycle: retry deliveries whose backoff has passed
+   */
+  async retryPendingDeliveries(now = new Date()) {
+    if (this.isProcessing || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      const events = await AlertEvent.find({
+        deliveries: { $elemMatch: { status: 'pending', nextAttemptAt: { $lte: now } } }
+      })
+        .sort({ triggeredAt: 1 })
+        .limit(RETRY_BATCH_SIZE);
+
+      for (const event of events) {
+        await this.deliverEvent(event, { now });
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+module.exports = new AlertService();
@@ -0,0 +1,108 @@
+/**
+ * API Key Service
+ *
+ * Personal API keys for the public REST API: created and revoked by their
+ * user, stored hashed (utils/apiKeys) and resolved by authenticateToken when
+ * a request carries a key instead of a JWT.
+ */
+
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey, hashApiKey, isApiKey } = require('../utils/apiKeys');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// lastUsedAt is informational, so it's written at most once a minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeyService {
+  constructor() {
+    console.log('🔑 ApiKeyService initialized');
+  }
+
+  /**
+   * Active (unrevoked) keys of a user, newest first
+   */
+  async listKeys(userId) {
+    return ApiKey.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Create a key. The plain key is only returned here.
+   * @param {object} input - { name, scopes, rateLimitPerMinute?, expiresInDays? }
+   * @returns {Promise<{ apiKey: object, key: string }>}
+   */
+  async createKey(userId, { name, scopes, rateLimitPerMinute, expiresInDays }) {
+    const { key, keyHash, prefix } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      userId,
+      name: name.trim(),
+      keyHash,
+      prefix,
+      scopes: [...new Set(scopes)],
+      ...(rateLimitPerMinute !== undefined && { rateLimitPerMinute }),
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null
+    });
+
+    console.log(`🔑 [ApiKeys] Created key ${prefix}… (${apiKey.scopes.join(', ')}) for user ${userId}`);
+    return { apiKey, key };
+  }
+
+  /**
+   * Rename a key or change its scopes or rate limit
+   * @returns {Promise<object|null>} - null when the key doesn't exist or is revoked
+   */
+  async updateKey(userId, keyId, { name, scopes, rateLimitPerMinute }) {
+    const apiKey = await ApiKey.findOne({ _id: keyId, userId, revokedAt: null });
+    if (!apiKey) return null;
+
+    if (name !== undefined) apiKey.name = name.trim();
+    if (scopes !== undefined) apiKey.scopes = [...new Set(scopes)];
+    if (rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = rateLimitPerMinute;
+
+    await apiKey.save();
+    return apiKey;
+  }
+
+  /**
+   * Revoke a key; it's kept (without being listed) so its prefix stays traceable in logs
+   * @returns {Promise<boolean>} - false when the key doesn't exist or is already revoked
+   */
+  async revokeKey(userId, keyId) {
+    const result = await ApiKey.updateOne(
+      { _id: keyId, userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), updatedAt: new Date() } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`🔑 [ApiKeys] Revoked key ${keyId} for user ${userId}`);
+    }
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Resolve a key from a request
+   * @param {string} key - the plain key
+   * @param {object} options - { ip?, now? }
+   * @returns {Promise<object|null>} - the ApiKey (lean), null when unknown, revoked or expired
+   */
+  async authenticate(key, { ip = null, now = new Date() } = {}) {
+    if (!isApiKey(key)) return null;
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null })
+      .select('userId name prefix scopes rateLimitPerMinute expiresAt lastUsedAt')
+      .lean();
+
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } })
+        .catch(error => console.warn(`⚠️ [ApiKeys] Could not record use of key ${apiKey.prefix}…:`, error.message));
+    }
+
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -4,6 +4,7 @@
  */
 
 const brandPatternService = require('./brandPatternService');
+const { findCitationOverride } = require('../utils/citationOverrides');
 
 class CitationClassificationService {
   /**
@@ -139,9 +140,10 @@ class CitationClassificationService {
    * @param {string} url - Citation URL
    * @param {string} brandName - Brand to check for
    * @param {Array} allBrands - All brands (including competitors)
+   * @param {Array} overrides - Analysis override rules with owners resolved (citationOverrideService.getClassificationRules)
    * @returns {object} - Classification result with type, brand, confidence
    */
-  categorizeCitation(url, brandName, allBrands = []) {
+  categorizeCitation(url, brandName, allBrands = [], overrides = []) {
     // Clean and validate URL first
     const urlValidation = this.cleanAndValidateUrl(url);
     
@@ -149,6 +151,12 @@ class CitationClassificationService {
       return { type: 'unknown', brand: null, confidence: 0.0 };
     }
     
+    // 0. User-defined overrides win over the built-in domain lists
+    const override = findCitationOverride(urlValidation.cleanedUrl, overrides);
+    if (override) {
+      return this.classifyOverride(override, brandName);
+    }
+    
     const domain = urlValidation.domain;
     
     // 1. Check for Brand citations (official brand-owned sources)
@@ -182,6 +190,23 @@ class CitationClassificationService {
     return earnedClassification;
   }
 
+  /**
+   * Classification from a matching override rule
+   * Owned URLs are brand citations for their owner and earned media for every other brand,
+   * the same split the built-in brand check makes
+   */
+  classifyOverride(rule, brandName) {
+    if (rule.classification === 'earned' || rule.classification === 'social') {
+      return { type: rule.classification, brand: null, confidence: 1.0, label: `override_${rule.classification}` };
+    }
+
+    const ownedByBrand = Boolean(rule.brandName && brandName)
+      && rule.brandName.trim().toLowerCase() === brandName.trim().toLowerCase();
+    return ownedByBrand
+      ? { type: 'brand', brand: brandName, confidence: 1.0, label: 'override_brand_owned' }
+      : { type: 'earned', brand: null, confidence: 1.0, label: 'override_owned_by_other_brand' };
+  }
+
   /**
    * Classify if a domain belongs to a brand (official brand-owned sources)
    * Enhanced to work dynamically with any brand from the database
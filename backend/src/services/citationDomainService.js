@@ -0,0 +1,166 @@
+/**
+ * Citation Domain Service
+ *
+ * Leaderboard of third-party domains answer engines cite, built from
+ * PromptTest.brandMetrics[].citations. A citation belongs to the brand whose
+ * brandMetrics entry it sits in, so a domain "mentions" every brand it was
+ * cited for. Domains cited for competitors but never for the user's brand are
+ * flagged as outreach targets.
+ */
+
+const mongoose = require('mongoose');
+const PromptTest = require('../models/PromptTest');
+const Topic = require('../models/Topic');
+const citationClassificationService = require('./citationClassificationService');
+const providerRegistry = require('./promptTesting/providers');
+
+// Brand-owned citations (acme.com cited for Acme) are not third-party sources
+const THIRD_PARTY_TYPES = ['earned', 'social'];
+const MAX_SAMPLE_URLS = 5;
+
+const increment = (counts, key, by = 1) => {
+  counts[key] = (counts[key] || 0) + by;
+};
+
+const toRankedList = (counts, keyName) => Object.entries(counts)
+  .map(([key, count]) => ({ [keyName]: key, count }))
+  .sort((a, b) => b.count - a.count);
+
+class CitationDomainService {
+  constructor() {
+    console.log('🌐 CitationDomainService initialized');
+  }
+
+  /**
+   * Aggregate cited domains across prompt tests
+   * @param {Array<object>} promptTests - lean PromptTests with brandMetrics, llmProvider, topicId
+   * @param {object} options - { topicNames: Map(topicId -> name) }
+   * @returns {Array<object>} - domains ranked by citation count
+   */
+  buildLeaderboard(promptTests, { topicNames = new Map() } = {}) {
+    const domains = new Map();
+
+    promptTests.forEach((test) => {
+      const platform = providerRegistry.getDisplayName(test.llmProvider) || 'Unknown';
+      const topic = test.topicId ? topicNames.get(String(test.topicId)) || 'Unknown' : 'Unknown';
+      const citedInTest = new Set();
+
+      (test.brandMetrics || []).forEach((brandMetric) => {
+        (brandMetric.citations || []).forEach((citation) => {
+          if (!THIRD_PARTY_TYPES.includes(citation.type)) {
+            return;
+          }
+
+          const { valid, cleanedUrl, domain } = citationClassificationService.cleanAndValidateUrl(citation.url);
+          if (!valid || !domain) {
+            return;
+          }
+
+          if (!domains.has(domain)) {
+            domains.set(domain, {
+              domain,
+              citationType: citation.type,
+              totalCitations: 0,
+              responses: 0,
+              urls: new Set(),
+              platforms: {},
+              topics: {},
+              competitors: {},
+              ownerCitations: 0
+            });
+          }
+
+          const entry = domains.get(domain);
+          entry.totalCitations += 1;
+          entry.urls.add(cleanedUrl);
+          increment(entry.platforms, platform);
+          increment(entry.topics, topic);
+
+          if (brandMetric.isOwner) {
+            entry.ownerCitations += 1;
+          } else {
+            increment(entry.competitors, brandMetric.brandName);
+          }
+
+          if (!citedInTest.has(domain)) {
+            citedInTest.add(domain);
+            entry.responses += 1;
+          }
+        });
+      });
+    });
+
+    return Array.from(domains.values())
+      .map((entry) => {
+        const competitors = toRankedList(entry.competitors, 'name');
+        return {
+          domain: entry.domain,
+          citationType: entry.citationType,
+          totalCitations: entry.totalCitations,
+          responses: entry.responses,
+          uniqueUrls: entry.urls.size,
+          sampleUrls: Array.from(entry.urls).slice(0, MAX_SAMPLE_URLS),
+          platforms: toRankedList(entry.platforms, 'platform'),
+          topics: toRankedList(entry.topics, 'topic'),
+          competitors,
+          mentionsOwner: entry.ownerCitations > 0,
+          ownerCitations: entry.ownerCitations,
+          // Cites competitors but never us: where PR outreach pays off
+          outreachTarget: competitors.length > 0 && entry.ownerCitations === 0
+        };
+      })
+      .sort((a, b) => b.totalCitations - a.totalCitations || b.responses - a.responses)
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+  }
+
+  /**
+   * Domain leaderboard for one analysis
+   * @param {object} params - { userId, urlAnalysisId, platforms, topics, outreachOnly, limit }
+   *   platforms are provider IDs or display names, topics are topic names
+   */
+  async getDomainLeaderboard({ userId, urlAnalysisId, platforms = [], topics = [], outreachOnly = false, limit = 100 }) {
+    const query = {
+      userId,
+      status: 'completed',
+      'brandMetrics.citations.0': { $exists: true }
+    };
+    if (urlAnalysisId) {
+      query.urlAnalysisId = new mongoose.Types.ObjectId(String(urlAnalysisId));
+    }
+
+    const topicDocs = await Topic.find(urlAnalysisId ? { userId, urlAnalysisId } : { userId }).select('_id name').lean();
+    const topicNames = new Map(topicDocs.map((topic) => [String(topic._id), topic.name]));
+
+    // Available filter values come from the unfiltered set
+    const availablePlatforms = await PromptTest.distinct('llmProvider', query);
+
+    if (platforms.length > 0) {
+      query.llmProvider = { $in: platforms.map((platform) => providerRegistry.resolveProviderId(platform)) };
+    }
+    if (topics.length > 0) {
+      const selectedTopicIds = topicDocs.filter((topic) => topics.includes(topic.name)).map((topic) => topic._id);
+      query.topicId = { $in: selectedTopicIds };
+    }
+
+    const promptTests = await PromptTest.find(query)
+      .select('llmProvider topicId brandMetrics.brandName brandMetrics.isOwner brandMetrics.citations')
+      .lean();
+
+    const leaderboard = this.buildLeaderboard(promptTests, { topicNames });
+    const outreachTargets = leaderboard.filter((entry) => entry.outreachTarget);
+    const domains = outreachOnly ? outreachTargets : leaderboard;
+
+    console.log(`🌐 [CitationDomains] ${leaderboard.length} domains from ${promptTests.length} tests (${outreachTargets.length} outreach targets)`);
+
+    return {
+      totalDomains: leaderboard.length,
+      outreachTargets: outreachTargets.length,
+      testsAnalyzed: promptTests.length,
+      domains: domains.slice(0, limit),
+      availablePlatforms: availablePlatforms.map((id) => providerRegistry.getDisplayName(id)),
+      availableTopics: topicDocs.map((topic) => topic.name)
+    };
+  }
+}
+
+module.exports = new CitationDomainService();
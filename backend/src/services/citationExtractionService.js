@@ -5,9 +5,9 @@
 
 class CitationExtractionService {
   /**
-   * Extract citations from LLM response - Enhanced for unlimited capture across all 4 LLMs
+   * Extract citations from LLM response - Enhanced for unlimited capture across all providers
    * @param {object} responseData - Full API response
-   * @param {string} llmProvider - LLM provider name (openai, gemini, claude, perplexity)
+   * @param {string} llmProvider - LLM provider ID (see config/llmProviders)
    * @param {string} responseText - Response text content
    * @returns {Array} - Array of citation objects with proper labeling
    */
@@ -21,86 +21,29 @@ class CitationExtractionService {
 
       // ===== PROVIDER-SPECIFIC CITATION EXTRACTION =====
       
-      // Method 1: Perplexity API citations (structured in API response)
-      if (llmProvider === 'perplexity' && responseData.citations) {
-        responseData.citations.forEach((cit, idx) => {
-          const cleanUrl = this.cleanUrl(cit);
+      // Methods 1-4: Structured API citations, read per provider rules in config/llmProviders
+      // (e.g. Perplexity and Grok return a `citations` array, Claude returns `sources`)
+      const providerRegistry = require('./promptTesting/providers');
+      const citationRules = providerRegistry.getCitationRules(llmProvider);
+      const apiSources = citationRules ? responseData?.[citationRules.field] : null;
+      if (Array.isArray(apiSources)) {
+        apiSources.forEach((source, idx) => {
+          const cleanUrl = this.cleanUrl(source?.url || source);
           if (cleanUrl && !seenUrls.has(cleanUrl)) {
             citations.push({
               url: cleanUrl,
-              text: `Citation ${idx + 1}`,
+              text: source?.text || `${citationRules.textPrefix || 'Citation'} ${idx + 1}`,
               type: 'api_source',
               position: citations.length + 1,
-              provider: 'perplexity_api',
-              confidence: 1.0,
-              label: 'perplexity_api_citation',
-              extractedAt: new Date().toISOString()
-            });
-            seenUrls.add(cleanUrl);
-          }
-        });
-        console.log(`         ✅ Extracted ${responseData.citations.length} citations from Perplexity API`);
-      }
-
-      // Method 2: Claude API citations (if available in structured format)
-      if (llmProvider === 'claude' && responseData.sources) {
-        responseData.sources.forEach((source, idx) => {
-          const url = source.url || source;
-          const cleanUrl = this.cleanUrl(url);
-          if (cleanUrl && !seenUrls.has(cleanUrl)) {
-            citations.push({
-              url: cleanUrl,
-              text: source.text || `Claude source ${idx + 1}`,
-              type: 'api_source',
-              position: citations.length + 1,
-              provider: 'claude_api',
-              confidence: 0.95,
-              label: 'claude_api_citation',
-              extractedAt: new Date().toISOString()
-            });
-            seenUrls.add(cleanUrl);
-          }
-        });
-      }
-
-      // Method 3: OpenAI API citations (if available in structured format)
-      if (llmProvider === 'openai' && responseData.citations) {
-        responseData.citations.forEach((cit, idx) => {
-          const cleanUrl = this.cleanUrl(cit.url || cit);
-          if (cleanUrl && !seenUrls.has(cleanUrl)) {
-            citations.push({
-              url: cleanUrl,
-              text: cit.text || `OpenAI citation ${idx + 1}`,
-              type: 'api_source',
-              position: citations.length + 1,
-              provider: 'openai_api',
-              confidence: 0.95,
-              label: 'openai_api_citation',
-              extractedAt: new Date().toISOString()
-            });
-            seenUrls.add(cleanUrl);
-          }
-        });
-      }
-
-      // Method 4: Gemini API citations (if available in structured format)
-      if (llmProvider === 'gemini' && responseData.citations) {
-        responseData.citations.forEach((cit, idx) => {
-          const cleanUrl = this.cleanUrl(cit.url || cit);
-          if (cleanUrl && !seenUrls.has(cleanUrl)) {
-            citations.push({
-              url: cleanUrl,
-              text: cit.text || `Gemini citation ${idx + 1}`,
-              type: 'api_source',
-              position: citations.length + 1,
-              provider: 'gemini_api',
-              confidence: 0.95,
-              label: 'gemini_api_citation',
+              provider: `${llmProvider}_api`,
+              confidence: citationRules.confidence ?? 0.95,
+              label: `${llmProvider}_api_citation`,
               extractedAt: new Date().toISOString()
             });
             seenUrls.add(cleanUrl);
           }
         });
+        console.log(`         ✅ Extracted ${apiSources.length} citations from ${providerRegistry.getDisplayName(llmProvider)} API`);
       }
 
       // ===== TEXT-BASED CITATION EXTRACTION (Universal for all LLMs) =====
@@ -0,0 +1,155 @@
+/**
+ * Citation Override Service
+ *
+ * Loads an analysis's classification override rules for scoring and reruns
+ * citation classification over its existing PromptTests after the rules change
+ * (the in-app counterpart of scripts/reprocessCitationTypes.js).
+ */
+
+const mongoose = require('mongoose');
+const PromptTest = require('../models/PromptTest');
+const UrlAnalysis = require('../models/UrlAnalysis');
+const CitationOverrideRule = require('../models/CitationOverrideRule');
+const citationClassificationService = require('./citationClassificationService');
+const { overrideOwner } = require('../utils/citationOverrides');
+const { ConflictError } = require('../middleware/errorHandler');
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+class CitationOverrideService {
+  constructor() {
+    this.runningAnalyses = new Set();
+    console.log('🏷️ CitationOverrideService initialized');
+  }
+
+  /**
+   * Override rules of an analysis with owners resolved, ready for categorizeCitation
+   * @param {string} urlAnalysisId
+   * @param {string} userBrandName - owner of brand rules without a brandName
+   * @returns {Promise<Array<{ pattern: string, classification: string, brandName: string|null }>>}
+   */
+  async getClassificationRules(urlAnalysisId, userBrandName) {
+    if (!urlAnalysisId) {
+      return [];
+    }
+
+    const rules = await CitationOverrideRule.find({ urlAnalysisId: toObjectId(urlAnalysisId) })
+      .select('pattern classification brandName')
+      .lean();
+
+    return rules.map((rule) => ({
+      pattern: rule.pattern,
+      classification: rule.classification,
+      brandName: overrideOwner(rule, userBrandName)
+    }));
+  }
+
+  /**
+   * Reclassify the citations of one prompt test
+   * @returns {{ brandMetrics: Array<object>, changed: number }} - changed counts citations whose type or brand moved
+   */
+  reclassifyTest(test, allBrands, rules) {
+    let changed = 0;
+
+    const brandMetrics = (test.brandMetrics || []).map((brandMetric) => {
+      if (!Array.isArray(brandMetric.citations) || brandMetric.citations.length === 0) {
+        return brandMetric;
+      }
+
+      const citations = brandMetric.citations.map((citation) => {
+        const classification = citationClassificationService.categorizeCitation(citation.url, brandMetric.brandName, allBrands, rules);
+        if (classification.type === 'unknown') {
+          return citation;
+        }
+        if (classification.type !== citation.type || (classification.brand || null) !== (citation.brand || null)) {
+          changed++;
+        }
+        return {
+          ...citation,
+          type: classification.type,
+          brand: classification.brand,
+          confidence: classification.confidence || 0.8
+        };
+      });
+
+      const brandCitations = citations.filter(c => c.type === 'brand' && c.brand === brandMetric.brandName).length;
+      const earnedCitations = citations.filter(c => c.type === 'earned').length;
+      const socialCitations = citations.filter(c => c.type === 'social').length;
+
+      return {
+        ...brandMetric,
+        citations,
+        citationMetrics: {
+          ...brandMetric.citationMetrics,
+          brandCitations,
+          earnedCitations,
+          socialCitations,
+          totalCitations: citations.length
+        }
+      };
+    });
+
+    return { brandMetrics, changed };
+  }
+
+  /**
+   * Rerun classification over every cited PromptTest of an analysis with the current
+   * rules, then re-aggregate its metrics. Citations stay on the brand entry they were
+   * extracted for; only their type changes.
+   * @returns {Promise<object>} - { testsProcessed, testsUpdated, citationsChanged, metricsRecalculated }
+   */
+  async reprocessAnalysis(userId, urlAnalysisId) {
+    const key = String(urlAnalysisId);
+    if (this.runningAnalyses.has(key)) {
+      throw new ConflictError('Citation reprocessing is already running for this analysis');
+    }
+
+    this.runningAnalyses.add(key);
+    try {
+      const urlAnalysis = await UrlAnalysis.findOne({ _id: urlAnalysisId, userId }).select('brandContext').lean();
+      const userBrandName = urlAnalysis?.brandContext?.companyName || 'Unknown Brand';
+      const rules = await this.getClassificationRules(urlAnalysisId, userBrandName);
+
+      const tests = await PromptTest.find({
+        userId: toObjectId(userId),
+        urlAnalysisId: toObjectId(urlAnalysisId),
+        'brandMetrics.citations.0': { $exists: true }
+      }).select('brandMetrics').lean();
+
+      console.log(`🏷️ [CitationOverrides] Reprocessing ${tests.length} tests for analysis ${key} with ${rules.length} rules`);
+
+      let citationsChanged = 0;
+      const operations = [];
+      tests.forEach((test) => {
+        const allBrands = Array.from(new Set([userBrandName, ...(test.brandMetrics || []).map(bm => bm.brandName)]));
+        const { brandMetrics, changed } = this.reclassifyTest(test, allBrands, rules);
+        if (changed > 0) {
+          citationsChanged += changed;
+          operations.push({ updateOne: { filter: { _id: test._id }, update: { $set: { brandMetrics } } } });
+        }
+      });
+
+      let metricsRecalculated = false;
+      if (operations.length > 0) {
+        await PromptTest.bulkWrite(operations);
+
+        const metricsAggregationService = require('./metricsAggregationService');
+        const result = await metricsAggregationService.calculateMetrics(String(userId), { urlAnalysisId });
+        metricsRecalculated = result.success;
+      }
+
+      console.log(`✅ [CitationOverrides] ${citationsChanged} citations reclassified in ${operations.length} tests`);
+
+      return {
+        testsProcessed: tests.length,
+        testsUpdated: operations.length,
+        citationsChanged,
+        metricsRecalculated
+      };
+    } finally {
+      this.runningAnalyses.delete(key);
+    }
+  }
+}
+
+module.exports = new CitationOverrideService();
@@ -0,0 +1,391 @@
+/**
+ * Citation Verification Service
+ *
+ * Fetches every unique URL cited in an analysis's prompt tests (HEAD, then GET)
+ * and records whether it resolves, where it redirects, its title and whether
+ * the page mentions the brands it was cited for. Citations whose URL is broken
+ * or whose page never mentions the brand are tagged as hallucinated on the
+ * PromptTest so aggregation can leave them out of citation share when the
+ * analysis opts in (UrlAnalysis.citationSettings.excludeHallucinated).
+ *
+ * Cited URLs come from LLM answers, so every request and redirect hop is
+ * checked with utils/addressGuard: hosts on private or reserved addresses are
+ * never fetched.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const mongoose = require('mongoose');
+const PromptTest = require('../models/PromptTest');
+const UrlAnalysis = require('../models/UrlAnalysis');
+const CitationVerification = require('../models/CitationVerification');
+const citationClassificationService = require('./citationClassificationService');
+const { canonicalizeUrl } = require('../utils/actionablesUrlNormalizer');
+const { getShortBrandName } = require('../utils/brandNameUtils');
+const { BLOCKED_ADDRESS, assertPublicUrl, pinnedAgents } = require('../utils/addressGuard');
+
+const RECHECK_AFTER_DAYS = 7;
+const CONCURRENCY = 3;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (compatible; RanklyCitationVerifier/1.0; +https://rankly.ai)';
+
+// Statuses that usually mean bot protection rather than a missing page
+const BLOCKED_STATUSES = [401, 403, 429];
+// HEAD answers that are final; anything else is confirmed with a GET
+const DEFINITIVE_HEAD_STATUSES = [404, 410];
+const DNS_ERRORS = ['ENOTFOUND', 'EAI_AGAIN'];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+class CitationVerificationService {
+  constructor() {
+    this.runningAnalyses = new Set();
+    console.log('🔎 CitationVerificationService initialized');
+  }
+
+  // ===== FETCHING =====
+
+  /**
+   * Request a cited URL, following redirects one hop at a time so every
+   * location is checked against private addresses before it is fetched
+   * @returns {Promise<object>} - axios response, plus finalUrl
+   */
+  async request(method, url) {
+    let currentUrl = url;
+    for (let redirects = 0; ; redirects++) {
+      const target = await assertPublicUrl(currentUrl);
+      const response = await axios({
+        method,
+        url: currentUrl,
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        maxContentLength: MAX_BODY_BYTES,
+        responseType: 'text',
+        validateStatus: () => true,
+        headers: {
+          'User-Agent': USER_AGENT,
+          Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+        },
+        ...pinnedAgents(target)
+      });
+
+      const location = response.headers?.location;
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+        return { ...response, finalUrl: currentUrl };
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw Object.assign(new Error(`More than ${MAX_REDIRECTS} redirects`), { code: 'ERR_FR_TOO_MANY_REDIRECTS' });
+      }
+      currentUrl = new URL(location, currentUrl).toString();
+    }
+  }
+
+  /**
+   * Lowercased names a page could use for a brand, e.g. "American Express" -> ["american express", "amex", "americanexpress"]
+   */
+  brandVariants(brandName) {
+    const variants = [brandName, getShortBrandName(brandName), brandName.replace(/\s+/g, '')]
+      .filter(Boolean)
+      .map((variant) => variant.toLowerCase().trim())
+      .filter((variant) => variant.length >= 3);
+    return Array.from(new Set(variants));
+  }
+
+  /**
+   * @param {string} pageText - visible page text
+   * @param {Array<string>} brandNames - brands the URL was cited for
+   * @returns {Array<{ brandName: string, mentioned: boolean|null }>} - mentioned is null without page text
+   */
+  findBrandMentions(pageText, brandNames) {
+    const text = typeof pageText === 'string' ? pageText.toLowerCase() : null;
+    return brandNames.map((brandName) => ({
+      brandName,
+      mentioned: text ? this.brandVariants(brandName).some((variant) => text.includes(variant)) : null
+    }));
+  }
+
+  extractPage(html) {
+    const $ = cheerio.load(html || '');
+    const title = $('title').first().text().trim() || null;
+    const description = $('meta[name="description"]').attr('content') || '';
+    $('script, style, noscript, svg').remove();
+    const text = `${title || ''} ${description} ${$('body').text()}`.replace(/\s+/g, ' ');
+    return { title, text };
+  }
+
+  /**
+   * Map an HTTP status to a verification status
+   */
+  classifyStatus(httpStatus, url, finalUrl) {
+    if (BLOCKED_STATUSES.includes(httpStatus)) return 'blocked';
+    if (httpStatus >= 400) return 'broken';
+    if (finalUrl && canonicalizeUrl(finalUrl) !== canonicalizeUrl(url)) return 'redirected';
+    return 'live';
+  }
+
+  classifyError(error) {
+    if (DNS_ERRORS.includes(error.code)) {
+      return { status: 'broken', error: 'Domain does not resolve' };
+    }
+    if (error.code === BLOCKED_ADDRESS) {
+      return { status: 'unreachable', error: error.message };
+    }
+    return { status: 'unreachable', error: error.code || error.message };
+  }
+
+  /**
+   * Fetch a cited URL and check it against the brands it was cited for
+   * @returns {Promise<object>} - { status, httpStatus, finalUrl, title, error, brandMentions }
+   */
+  async verifyUrl(url, brandNames = []) {
+    const result = { status: 'unreachable', httpStatus: null, finalUrl: null, title: null, error: null };
+
+    try {
+      const head = await this.request('head', url);
+      if (DEFINITIVE_HEAD_STATUSES.includes(head.status)) {
+        return {
+          ...result,
+          status: 'broken',
+          httpStatus: head.status,
+          finalUrl: head.finalUrl,
+          brandMentions: this.findBrandMentions(null, brandNames)
+        };
+      }
+    } catch (error) {
+      // Some servers drop HEAD; a DNS failure or a refused address will fail the GET too
+      if (DNS_ERRORS.includes(error.code) || error.code === BLOCKED_ADDRESS) {
+        return { ...result, ...this.classifyError(error), brandMentions: this.findBrandMentions(null, brandNames) };
+      }
+    }
+
+    try {
+      const response = await this.request('get', url);
+      const { finalUrl } = response;
+      const status = this.classifyStatus(response.status, url, finalUrl);
+      const page = status === 'live' || status === 'redirected' ? this.extractPage(response.data) : null;
+
+      return {
+        ...result,
+        status,
+        httpStatus: response.status,
+        finalUrl,
+        title: page?.title || null,
+        brandMentions: this.findBrandMentions(page?.text, brandNames)
+      };
+    } catch (error) {
+      return { ...result, ...this.classifyError(error), brandMentions: this.findBrandMentions(null, brandNames) };
+    }
+  }
+
+  /**
+   * Whether a citation of this URL for this brand should be treated as hallucinated
+   */
+  isHallucinated(verification, brandName) {
+    if (!verification) return false;
+    if (verification.status === 'broken') return true;
+    const mention = (verification.brandMentions || []).find((m) => m.brandName === brandName);
+    return mention?.mentioned === false;
+  }
+
+  // ===== ANALYSIS RUNS =====
+
+  /**
+   * Unique cleaned URLs across prompt tests, with the brands each was cited for
+   * @returns {Map<string, Set<string>>}
+   */
+  collectCitedUrls(promptTests) {
+    const urls = new Map();
+    promptTests.forEach((test) => {
+      (test.brandMetrics || []).forEach((brandMetric) => {
+        (brandMetric.citations || []).forEach((citation) => {
+          const { valid, cleanedUrl } = citationClassificationService.cleanAndValidateUrl(citation.url);
+          if (!valid) return;
+          if (!urls.has(cleanedUrl)) urls.set(cleanedUrl, new Set());
+          urls.get(cleanedUrl).add(brandMetric.brandName);
+        });
+      });
+    });
+    return urls;
+  }
+
+  async loadCitedTests(userId, urlAnalysisId) {
+    return PromptTest.find({
+      userId: toObjectId(userId),
+      urlAnalysisId: toObjectId(urlAnalysisId),
+      status: 'completed',
+      'brandMetrics.citations.0': { $exists: true }
+    }).select('brandMetrics').lean();
+  }
+
+  /**
+   * Verify every cited URL of an analysis that hasn't been checked recently,
+   * then tag the analysis's citations and re-aggregate if hallucinated citations are excluded
+   * @param {object} options - { force: recheck URLs checked within RECHECK_AFTER_DAYS }
+   * @returns {Promise<object>} - { urls, checked, hallucinatedCitations }
+   */
+  async verifyAnalysis(userId, urlAnalysisId, { force = false } = {}) {
+    const promptTests = await this.loadCitedTests(userId, urlAnalysisId);
+    const citedUrls = this.collectCitedUrls(promptTests);
+
+    const recheckBefore = new Date(Date.now() - RECHECK_AFTER_DAYS * 24 * 60 * 60 * 1000);
+    const existing = await CitationVerification.find({
+      urlAnalysisId: toObjectId(urlAnalysisId),
+      url: { $in: Array.from(citedUrls.keys()) }
+    }).lean();
+    const existingByUrl = new Map(existing.map((verification) => [verification.url, verification]));
+
+    // Recheck stale results, and fresh ones that are missing a brand the URL is now cited for
+    const pending = Array.from(citedUrls.entries()).filter(([url, brands]) => {
+      const previous = existingByUrl.get(url);
+      if (!previous || force || previous.checkedAt < recheckBefore) return true;
+      const checkedBrands = new Set((previous.brandMentions || []).map((m) => m.brandName));
+      return Array.from(brands).some((brand) => !checkedBrands.has(brand));
+    });
+
+    console.log(`🔎 [CitationVerification] ${citedUrls.size} cited URLs, ${pending.length} to check for analysis ${urlAnalysisId}`);
+
+    let index = 0;
+    const worker = async () => {
+      while (index < pending.length) {
+        const [url, brands] = pending[index++];
+        const result = await this.verifyUrl(url, Array.from(brands));
+        const saved = await CitationVerification.findOneAndUpdate(
+          { urlAnalysisId: toObjectId(urlAnalysisId), url },
+          { $set: { ...result, userId: toObjectId(userId), checkedAt: new Date() } },
+          { upsert: true, new: true, lean: true }
+        );
+        existingByUrl.set(url, saved);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, pending.length) }, worker));
+
+    const hallucinatedCitations = await this.tagPromptTests(promptTests, existingByUrl);
+
+    const urlAnalysis = await UrlAnalysis.findById(urlAnalysisId).select('citationSettings').lean();
+    if (pending.length > 0 && urlAnalysis?.citationSettings?.excludeHallucinated) {
+      const metricsAggregationService = require('./metricsAggregationService');
+      await metricsAggregationService.calculateMetrics(String(userId), { urlAnalysisId });
+    }
+
+    console.log(`✅ [CitationVerification] Checked ${pending.length} URLs, ${hallucinatedCitations} hallucinated citations`);
+
+    return { urls: citedUrls.size, checked: pending.length, hallucinatedCitations };
+  }
+
+  /**
+   * Write verification results onto the citations of the given prompt tests.
+   * Only the verification field of the matching citations is set, so citation
+   * changes made since the tests were read (overrides, reprocessing) are kept.
+   * @returns {Promise<number>} - hallucinated citations
+   */
+  async tagPromptTests(promptTests, verificationsByUrl) {
+    let hallucinatedCitations = 0;
+    const operations = [];
+
+    promptTests.forEach((test) => {
+      const tagged = new Set();
+      (test.brandMetrics || []).forEach((brandMetric) => {
+        (brandMetric.citations || []).forEach((citation) => {
+          const { valid, cleanedUrl } = citationClassificationService.cleanAndValidateUrl(citation.url);
+          const verification = valid ? verificationsByUrl.get(cleanedUrl) : null;
+          if (!verification) return;
+
+          const hallucinated = this.isHallucinated(verification, brandMetric.brandName);
+          if (hallucinated) hallucinatedCitations++;
+
+          const key = `${brandMetric.brandName}|${citation.url}`;
+          if (tagged.has(key)) return;
+          if (citation.verification?.status === verification.status && citation.verification?.hallucinated === hallucinated) {
+            return;
+          }
+
+          tagged.add(key);
+          operations.push({
+            updateOne: {
+              filter: { _id: test._id },
+              update: {
+                $set: {
+                  'brandMetrics.$[brand].citations.$[citation].verification': {
+                    status: verification.status,
+                    hallucinated,
+                    checkedAt: verification.checkedAt
+                  }
+                }
+              },
+              arrayFilters: [{ 'brand.brandName': brandMetric.brandName }, { 'citation.url': citation.url }]
+            }
+          });
+        });
+      });
+    });
+
+    if (operations.length > 0) {
+      await PromptTest.bulkWrite(operations);
+    }
+    return hallucinatedCitations;
+  }
+
+  /**
+   * Run verifyAnalysis in the background; one run per analysis at a time
+   * @returns {boolean} - false when a run for the analysis is already in progress
+   */
+  startVerification(userId, urlAnalysisId, options = {}) {
+    const key = String(urlAnalysisId);
+    if (this.runningAnalyses.has(key)) {
+      return false;
+    }
+
+    this.runningAnalyses.add(key);
+    this.verifyAnalysis(userId, urlAnalysisId, options)
+      .catch((error) => console.error(`❌ [CitationVerification] Run failed for analysis ${key}:`, error.message))
+      .finally(() => this.runningAnalyses.delete(key));
+    return true;
+  }
+
+  isRunning(urlAnalysisId) {
+    return this.runningAnalyses.has(String(urlAnalysisId));
+  }
+
+  /**
+   * Verification results of an analysis, problems first
+   */
+  async getSummary(userId, urlAnalysisId, { limit = 200 } = {}) {
+    const verifications = await CitationVerification.find({
+      userId: toObjectId(userId),
+      urlAnalysisId: toObjectId(urlAnalysisId)
+    }).sort({ checkedAt: -1 }).lean();
+
+    const byStatus = { live: 0, redirected: 0, broken: 0, blocked: 0, unreachable: 0 };
+    verifications.forEach((verification) => {
+      byStatus[verification.status] = (byStatus[verification.status] || 0) + 1;
+    });
+
+    const isProblem = (verification) => verification.status === 'broken'
+      || (verification.brandMentions || []).some((mention) => mention.mentioned === false);
+
+    return {
+      running: this.isRunning(urlAnalysisId),
+      totalUrls: verifications.length,
+      byStatus,
+      problemUrls: verifications.filter(isProblem).length,
+      lastCheckedAt: verifications[0]?.checkedAt || null,
+      verifications: [...verifications.filter(isProblem), ...verifications.filter((v) => !isProblem(v))]
+        .slice(0, limit)
+        .map((verification) => ({
+          url: verification.url,
+          status: verification.status,
+          httpStatus: verification.httpStatus,
+          finalUrl: verification.finalUrl,
+          title: verification.title,
+          error: verification.error,
+          brandMentions: verification.brandMentions,
+          checkedAt: verification.checkedAt
+        }))
+    };
+  }
+}
+
+module.exports = new CitationVerificationService();
@@ -1,4 +1,5 @@
-const axios = require('axios');
+const llmFixtureService = require('./llmFixtureService');
+const spendService = require('./spendService');
 
 class ContentRegenerationService {
   constructor() {
@@ -487,7 +488,7 @@ Respond STRICTLY in JSON with schema:
     });
 
     try {
-      const response = await axios.post(
+      const response = await llmFixtureService.post(
         `${this.baseUrl}/chat/completions`,
         {
           model,
@@ -512,6 +513,8 @@ Respond STRICTLY in JSON with schema:
         },
       );
 
+      await spendService.recordResponse('content_regeneration', model, response.data);
+
       const content = response.data?.choices?.[0]?.message?.content;
       if (!content) {
         throw new Error('Received empty response from AI service');
@@ -0,0 +1,452 @@
+/**
+ * Digest Service
+ *
+ * Daily or weekly email digests of visibility changes. Subscriptions live in
+ * User.preferences.digest; every few minutes the service looks for users whose
+ * nextSendAt has passed, advances it and emails a summary per analysis of the
+ * period against the one before it (metricsComparisonService): movement of the
+ * user's brand metrics, competitors that moved or appeared, prompts where the
+ * brand was lost or gained, and the top insights. Insights come from the stored
+ * LLM insights when fresh, otherwise from the deterministic performance
+ * insights, so a digest never triggers a paid LLM call.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UrlAnalysis = require('../models/UrlAnalysis');
+const emailService = require('./emailService');
+const workspaceService = require('./workspaceService');
+const insightsService = require('./insightsService');
+const metricsComparisonService = require('./metricsComparisonService');
+const { computeNextRunAt } = require('../utils/scheduleTiming');
+const { runInWorkspace } = require('../utils/workspaceContext');
+const { escapeHtml } = require('../utils/reportCharts');
+
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+const DIGEST_BATCH_SIZE = 20;
+const MAX_ANALYSES = 5;
+const MAX_PROMPT_CHANGES = 5;
+const MAX_COMPETITOR_MOVES = 3;
+const MAX_INSIGHTS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+const SETTINGS_FIELDS = ['enabled', 'frequency', 'hourUtc', 'dayOfWeek', 'urlAnalysisIds', 'includeInsights'];
+
+const DIGEST_METRICS = [
+  { key: 'visibilityScore', label: 'Visibility', unit: '%' },
+  { key: 'shareOfVoice', label: 'Share of voice', unit: '%' },
+  { key: 'avgPosition', label: 'Avg position', unit: '', lowerIsBetter: true },
+  { key: 'citationShare', label: 'Citation share', unit: '%' }
+];
+
+const IMPACT_ORDER = { High: 0, Medium: 1, Low: 2 };
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : null);
+
+const formatDelta = (delta, unit) => `${delta > 0 ? '+' : ''}${round(delta)}${unit}`;
+
+class DigestService {
+  constructor() {
+    this.pollTimer = null;
+    this.isProcessing = false;
+    console.log('📬 DigestService initialized');
+  }
+
+  /**
+   * Start polling for due digests. Safe to call more than once.
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    console.log(`📬 [DIGEST] Checking for due digests every ${POLL_INTERVAL_MS / 60000} minutes`);
+    this.pollTimer = setInterval(() => {
+      this.tick().catch(error => {
+        console.error('❌ [DIGEST] Poll failed:', error.message);
+      });
+    }, POLL_INTERVAL_MS);
+
+    if (this.pollTimer.unref) {
+      this.pollTimer.unref();
+    }
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  async getSettings(userId) {
+    const user = await User.findById(userId).select('email preferences.digest').lean();
+    if (!user) {
+      return null;
+    }
+    return { email: user.email, ...this.settingsOf(user) };
+  }
+
+  settingsOf(user) {
+    const digest = user.preferences?.digest || {};
+    return {
+      enabled: Boolean(digest.enabled),
+      frequency: digest.frequency || 'weekly',
+      hourUtc: digest.hourUtc ?? 8,
+      dayOfWeek: digest.dayOfWeek ?? 1,
+      urlAnalysisIds: (digest.urlAnalysisIds || []).map(id => id.toString()),
+      includeInsights: digest.includeInsights !== false,
+      nextSendAt: digest.nextSendAt || null,
+      lastSentAt: digest.lastSentAt || null
+    };
+  }
+
+  /**
+   * Update the subscription. Analyses must belong to the user; timing changes
+   * and re-enabling recompute nextSendAt.
+   * @returns {Promise<object|null>} - Settings, or null if the user wasn't found
+   */
+  async updateSettings(userId, data) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return null;
+    }
+
+    if (Array.isArray(data.urlAnalysisIds) && data.urlAnalysisIds.length > 0) {
+      const owned = await UrlAnalysis.find({ _id: { $in: data.urlAnalysisIds }, userId }).select('_id').lean();
+      data = { ...data, urlAnalysisIds: owned.map(analysis => analysis._id) };
+    }
+
+    SETTINGS_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        user.set(`preferences.digest.${field}`, data[field]);
+      }
+    });
+
+    const settings = this.settingsOf(user.toObject());
+    user.set('preferences.digest.nextSendAt', settings.enabled
+      ? computeNextRunAt({ ...settings, minuteUtc: 0 })
+      : null);
+    await user.save();
+
+    console.log(`📬 [DIGEST] ${settings.enabled ? `${settings.frequency} digest on` : 'Digest off'} for user ${userId}`);
+    return this.getSettings(userId);
+  }
+
+  /**
+   * One poll cycle: send every due digest
+   */
+  async tick(now = new Date()) {
+    if (this.isProcessing || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      const dueUsers = await User.find({
+        'preferences.digest.enabled': true,
+        'preferences.digest.nextSendAt': { $lte: now }
+      })
+        .select('email firstName preferences.digest')
+        .limit(DIGEST_BATCH_SIZE)
+        .lean();
+
+      for (const user of dueUsers) {
+        // Claimed before sending so a failing digest isn't retried every poll
+        if (!(await this.claimDigest(user, now))) {
+          continue;
+        }
+
+        try {
+          // Digests cover the analyses of the user's personal workspace
+          const workspace = await workspaceService.ensurePersonalWorkspace(user._id);
+          const result = await runInWorkspace(
+            { workspaceId: workspace._id, userId: user._id },
+            () => this.sendDigest(user, { now })
+          );
+          if (result.sent) {
+            await User.updateOne({ _id: user._id }, { $set: { 'preferences.digest.lastSentAt': now } });
+          }
+        } catch (error) {
+          console.error(`❌ [DIGEST] Failed to send digest to user ${user._id}:`, error.message);
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Claim a due digest by advancing nextSendAt. The conditional update means
+   * only one server instance sends each occurrence.
+   * @returns {Promise<boolean>} - false when another instance claimed it first
+   */
+  async claimDigest(user, now) {
+    const settings = this.settingsOf(user);
+    const claimed = await User.findOneAndUpdate(
+      { _id: user._id, 'preferences.digest.nextSendAt': settings.nextSendAt },
+      { $set: { 'preferences.digest.nextSendAt': computeNextRunAt({ ...settings, minuteUtc: 0 }, now) } }
+    ).select('_id').lean();
+    return Boolean(claimed);
+  }
+
+  /**
+   * Build and email one user's digest. Digests with no new tests in any
+   * analysis are skipped unless forced.
+   * @returns {Promise<{ sent: boolean, reason?: string, digest: object }>}
+   */
+  async sendDigest(user, { now = new Date(), force = false } = {}) {
+    const digest = await this.buildDigest(user, { now });
+
+    if (!force && !digest.analyses.some(analysis => analysis.responses > 0)) {
+      console.log(`📭 [DIGEST] Nothing to report for user ${user._id}, skipping`);
+      return { sent: false, reason: 'No new prompt tests in this period', digest };
+    }
+
+    await emailService.send({
+      to: user.email,
+      subject: this.renderSubject(digest),
+      html: this.renderHtml(digest),
+      text: this.renderText(digest)
+    });
+
+    console.log(`📬 [DIGEST] Sent ${digest.frequency} digest to user ${user._id} (${digest.analyses.length} analyses)`);
+    return { sent: true, digest };
+  }
+
+  /**
+   * Digest content for the user's subscribed analyses
+   * @param {object} user - lean User with email, firstName and preferences.digest
+   */
+  async buildDigest(user, { now = new Date() } = {}) {
+    const settings = this.settingsOf(user);
+    const periodMs = PERIOD_DAYS[settings.frequency] * DAY_MS;
+    const window = {
+      currentFrom: new Date(now.getTime() - periodMs).toISOString(),
+      currentTo: now.toISOString(),
+      previousFrom: new Date(now.getTime() - 2 * periodMs).toISOString(),
+      previousTo: new Date(now.getTime() - periodMs).toISOString()
+    };
+
+    const query = { userId: user._id.toString() };
+    if (settings.urlAnalysisIds.length > 0) {
+      query._id = { $in: settings.urlAnalysisIds };
+    }
+    const analyses = await UrlAnalysis.find(query)
+      .select('url')
+      .sort({ analysisDate: -1 })
+      .limit(MAX_ANALYSES)
+      .lean();
+
+    const sections = [];
+    for (const analysis of analyses) {
+      const comparison = await metricsComparisonService.comparePeriods(query.userId, {
+        urlAnalysisId: analysis._id.toString(),
+        ...window
+      });
+      const section = this.summarizeComparison(comparison);
+      section.urlAnalysisId = analysis._id.toString();
+      section.url = analysis.url;
+      section.insights = settings.includeInsights && section.responses > 0
+        ? await this.getTopInsights(query.userId, section.urlAnalysisId)
+        : [];
+      sections.push(section);
+    }
+
+    return {
+      firstName: user.firstName || null,
+      frequency: settings.frequency,
+      periodStart: new Date(window.currentFrom),
+      periodEnd: now,
+      analyses: sections
+    };
+  }
+
+  /**
+   * Reduce a metricsComparisonService.comparePeriods result to what a digest shows
+   */
+  summarizeComparison(comparison) {
+    const owner = comparison.brands.find(brand => brand.isOwner) || null;
+    const competitors = comparison.brands.filter(brand => !brand.isOwner);
+
+    const movements = owner
+      ? DIGEST_METRICS.map(metric => {
+        const values = owner.metrics[metric.key];
+        // A brand that wasn't mentioned has no position rather than position 0
+        const unplaced = metric.key === 'avgPosition' && !(owner.metrics.totalMentions.current > 0);
+        return {
+          ...metric,
+          current: unplaced ? null : round(values.current),
+          previous: unplaced ? null : round(values.previous),
+          delta: unplaced ? null : values.delta,
+          significant: values.significance ? values.significance.significant : null
+        };
+      })
+      : [];
+
+    const competitorMoves = competitors
+      .map(brand => ({ brandName: brand.brandName, ...brand.metrics.visibilityScore }))
+      .filter(move => move.delta !== null && move.delta !== 0)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+      .slice(0, MAX_COMPETITOR_MOVES)
+      .map(move => ({ brandName: move.brandName, current: round(move.current), previous: round(move.previous), delta: move.delta }));
+
+    const newCompetitors = competitors
+      .filter(brand => brand.metrics.totalMentions.current > 0 && !(brand.metrics.totalMentions.previous > 0))
+      .map(brand => ({
+        brandName: brand.brandName,
+        mentions: brand.metrics.totalMentions.current,
+        visibilityScore: round(brand.metrics.visibilityScore.current)
+      }));
+
+    const describePrompt = change => ({
+      text: change.text || change.title || 'Untitled prompt',
+      previousPlatforms: change.previousPlatforms,
+      currentPlatforms: change.currentPlatforms
+    });
+
+    return {
+      brandName: comparison.userBrandName,
+      responses: comparison.current.totalResponses,
+      previousResponses: comparison.previous.totalResponses,
+      movements,
+      competitorMoves,
+      newCompetitors,
+      promptsLost: comparison.promptChanges.lost.slice(0, MAX_PROMPT_CHANGES).map(describePrompt),
+      promptsGained: comparison.promptChanges.gained.slice(0, MAX_PROMPT_CHANGES).map(describePrompt),
+      promptsLostCount: comparison.promptChanges.lost.length,
+      promptsGainedCount: comparison.promptChanges.gained.length
+    };
+  }
+
+  /**
+   * Top visibility insights: stored LLM insights (needs attention first, by
+   * impact), falling back to the deterministic performance insights
+   * @returns {Promise<Array<{ kind: string, description: string, recommendation?: string }>>}
+   */
+  async getTopInsights(userId, urlAnalysisId) {
+    try {
+      const stored = await insightsService.getStoredInsights(userId, urlAnalysisId, 'visibility');
+      if (stored) {
+        const byImpact = (a, b) => (IMPACT_ORDER[a.impact] ?? 3) - (IMPACT_ORDER[b.impact] ?? 3);
+        return [
+          ...[...(stored.needsAttention || [])].sort(byImpact).map(insight => ({ kind: 'needsAttention', ...this.pickInsight(insight) })),
+          ...[...(stored.whatsWorking || [])].sort(byImpact).map(insight => ({ kind: 'whatsWorking', ...this.pickInsight(insight) }))
+        ].slice(0, MAX_INSIGHTS);
+      }
+
+      const structuredData = await insightsService.collectTabData(userId, urlAnalysisId, 'visibility');
+      return insightsService.generatePerformanceInsights(structuredData, 'visibility')
+        .filter(insight => insight.metric !== 'data')
+        .slice(0, MAX_INSIGHTS)
+        .map(insight => ({ kind: 'performance', description: insight.description }));
+    } catch (error) {
+      console.error(`⚠️  [DIGEST] Could not load insights for analysis ${urlAnalysisId}:`, error.message);
+      return [];
+    }
+  }
+
+  pickInsight({ description, recommendation, impact }) {
+    return { description, recommendation, impact };
+  }
+
+  renderSubject(digest) {
+    const label = digest.frequency === 'daily' ? 'Daily' : 'Weekly';
+    const lead = digest.analyses.find(analysis => analysis.responses > 0);
+    const visibility = lead?.movements.find(metric => metric.key === 'visibilityScore');
+    if (!visibility || visibility.current === null) {
+      return `${label} AI visibility digest`;
+    }
+    const change = visibility.delta ? ` (${formatDelta(visibility.delta, ' pts')})` : '';
+    return `${label} AI visibility digest: ${lead.brandName} at ${visibility.current}% visibility${change}`;
+  }
+
+  renderHtml(digest) {
+    const period = `${digest.periodStart.toISOString().slice(0, 10)} to ${digest.periodEnd.toISOString().slice(0, 10)}`;
+    const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`;
+
+    const deltaHtml = (delta, unit, lowerIsBetter) => {
+      if (delta === null || delta === undefined || delta === 0) return '<span style="color:#64748b">no change</span>';
+      const improved = lowerIsBetter ? delta < 0 : delta > 0;
+      return `<span style="color:${improved ? '#059669' : '#dc2626'}">${formatDelta(delta, unit)}</span>`;
+    };
+
+    const promptList = (prompts, total, color) => prompts.length === 0 ? '' : `
+      <ul style="margin:4px 0 0;padding-left:18px">${prompts.map(prompt =>
+        `<li style="color:${color}"><span style="color:#0f172a">${escapeHtml(prompt.text)}</span></li>`).join('')}</ul>
+      ${total > prompts.length ? `<p style="color:#64748b;margin:4px 0">and ${total - prompts.length} more</p>` : ''}`;
+
+    const sections = digest.analyses.map(analysis => {
+      if (analysis.responses === 0) {
+        return `<h2 style="font-size:16px;margin:24px 0 4px">${escapeHtml(analysis.brandName)}</h2>
+          <p style="color:#64748b;margin:0">No prompt tests ran for ${escapeHtml(analysis.url)} in this period.</p>`;
+      }
+
+      const metricRows = analysis.movements.map(metric => `
+        <tr>
+          <td style="padding:4px 12px 4px 0">${escapeHtml(metric.label)}</td>
+          <td style="padding:4px 12px 4px 0;font-weight:bold">${metric.current === null ? '—' : `${metric.current}${metric.unit}`}</td>
+          <td style="padding:4px 0">${deltaHtml(metric.delta, metric.unit === '%' ? ' pts' : '', metric.lowerIsBetter)}${metric.significant === false ? ' <span style="color:#94a3b8">(within noise)</span>' : ''}</td>
+        </tr>`).join('');
+
+      const competitorLines = [
+        ...analysis.newCompetitors.map(brand =>
+          `<li><strong>${escapeHtml(brand.brandName)}</strong> appeared: ${brand.mentions} mentions, ${brand.visibilityScore}% visibility</li>`),
+        ...analysis.competitorMoves.map(move =>
+          `<li>${escapeHtml(move.brandName)} visibility ${formatDelta(move.delta, ' pts')} to ${move.current}%</li>`)
+      ].join('');
+
+      const insightLines = analysis.insights.map(insight =>
+        `<li>${escapeHtml(insight.description)}${insight.recommendation ? `<br><span style="color:#64748b">${escapeHtml(insight.recommendation)}</span>` : ''}</li>`).join('');
+
+      return `
+        <h2 style="font-size:16px;margin:24px 0 4px">${escapeHtml(analysis.brandName)}</h2>
+        <p style="color:#64748b;margin:0 0 8px">${escapeHtml(analysis.url)} · ${analysis.responses} responses (previous period: ${analysis.previousResponses})</p>
+        <table style="border-collapse:collapse;font-size:14px">${metricRows}</table>
+        ${competitorLines ? `<h3 style="font-size:14px;margin:16px 0 4px">Competitors</h3><ul style="margin:0;padding-left:18px">${competitorLines}</ul>` : ''}
+        ${analysis.promptsLostCount > 0 ? `<h3 style="font-size:14px;margin:16px 0 4px">Prompts where you lost your mention (${analysis.promptsLostCount})</h3>${promptList(analysis.promptsLost, analysis.promptsLostCount, '#dc2626')}` : ''}
+        ${analysis.promptsGainedCount > 0 ? `<h3 style="font-size:14px;margin:16px 0 4px">Prompts where you gained a mention (${analysis.promptsGainedCount})</h3>${promptList(analysis.promptsGained, analysis.promptsGainedCount, '#059669')}` : ''}
+        ${insightLines ? `<h3 style="font-size:14px;margin:16px 0 4px">Top insights</h3><ul style="margin:0;padding-left:18px">${insightLines}</ul>` : ''}`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family:Helvetica,Arial,sans-serif;color:#0f172a;max-width:640px;margin:0 auto;padding:16px">
+  <h1 style="font-size:20px;margin:0 0 4px">Your ${digest.frequency} AI visibility digest</h1>
+  <p style="color:#64748b;margin:0">${digest.firstName ? `Hi ${escapeHtml(digest.firstName)}, here` : 'Here'} is what changed from ${period} compared with the period before.</p>
+  ${sections || '<p>You have no analyses yet.</p>'}
+  <p style="margin-top:32px;font-size:12px;color:#64748b">
+    <a href="${escapeHtml(dashboardUrl)}">Open the dashboard</a> to change or turn off these emails.
+  </p>
+</body>
+</html>`;
+  }
+
+  renderText(digest) {
+    const lines = [`Your ${digest.frequency} AI visibility digest`, ''];
+
+    digest.analyses.forEach(analysis => {
+      lines.push(`${analysis.brandName} (${analysis.url})`);
+      if (analysis.responses === 0) {
+        lines.push('  No prompt tests ran in this period.', '');
+        return;
+      }
+      analysis.movements.forEach(metric => {
+        const change = metric.delta ? ` (${formatDelta(metric.delta, metric.unit === '%' ? ' pts' : '')})` : '';
+        lines.push(`  ${metric.label}: ${metric.current === null ? '-' : `${metric.current}${metric.unit}`}${change}`);
+      });
+      analysis.newCompetitors.forEach(brand => lines.push(`  New competitor: ${brand.brandName} (${brand.mentions} mentions)`));
+      analysis.competitorMoves.forEach(move => lines.push(`  ${move.brandName} visibility ${formatDelta(move.delta, ' pts')}`));
+      if (analysis.promptsLostCount > 0) lines.push(`  Prompts lost: ${analysis.promptsLostCount}`);
+      if (analysis.promptsGainedCount > 0) lines.push(`  Prompts gained: ${analysis.promptsGainedCount}`);
+      analysis.insights.forEach(insight => lines.push(`  * ${insight.description}`));
+      lines.push('');
+    });
+
+    lines.push(`Manage these emails: ${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = new DigestService();
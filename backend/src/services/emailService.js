@@ -0,0 +1,86 @@
+/**
+ * Email Service
+ *
+ * Sends transactional email through SendGrid, or writes it to disk for local
+ * testing. The transport is EMAIL_TRANSPORT ('sendgrid' | 'disk'); it defaults
+ * to SendGrid when SENDGRID_API_KEY is set and to disk otherwise, so a dev
+ * machine never needs credentials. Disk mode writes each message as an .html
+ * file (open it in a browser) next to a .json file with the envelope and the
+ * plain-text body.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const sgMail = require('@sendgrid/mail');
+
+const TRANSPORTS = ['sendgrid', 'disk'];
+const DEFAULT_FROM = 'Rankly <no-reply@tryrankly.com>';
+
+class EmailService {
+  constructor() {
+    this.transport = this.resolveTransport();
+    if (this.transport === 'sendgrid') {
+      sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    }
+    console.log(`📧 EmailService initialized (transport: ${this.transport})`);
+  }
+
+  resolveTransport(env = process.env) {
+    const configured = (env.EMAIL_TRANSPORT || '').toLowerCase();
+    if (configured) {
+      if (!TRANSPORTS.includes(configured)) {
+        throw new Error(`Unsupported EMAIL_TRANSPORT "${env.EMAIL_TRANSPORT}" (use ${TRANSPORTS.join(' or ')})`);
+      }
+      if (configured === 'sendgrid' && !env.SENDGRID_API_KEY) {
+        throw new Error('EMAIL_TRANSPORT=sendgrid requires SENDGRID_API_KEY');
+      }
+      return configured;
+    }
+    return env.SENDGRID_API_KEY ? 'sendgrid' : 'disk';
+  }
+
+  get outboxDir() {
+    return path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'outbox'));
+  }
+
+  /**
+   * Send one email
+   * @param {object} message - { to, subject, html, text, from? }
+   * @returns {Promise<{ transport: string, id: string|null, path?: string }>}
+   */
+  async send({ to, subject, html, text, from }) {
+    if (!to || !subject || (!html && !text)) {
+      throw new Error('Email requires to, subject and a body');
+    }
+
+    const message = { to, from: from || process.env.EMAIL_FROM || DEFAULT_FROM, subject, html, text };
+
+    if (this.transport === 'disk') {
+      return this.writeToDisk(message);
+    }
+
+    const [response] = await sgMail.send(message);
+    const id = response?.headers?.['x-message-id'] || null;
+    console.log(`📧 [EMAIL] Sent "${subject}" to ${to} via SendGrid (${id || 'no id'})`);
+    return { transport: 'sendgrid', id };
+  }
+
+  async writeToDisk(message) {
+    const dir = this.outboxDir;
+    await fs.mkdir(dir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const recipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+    const base = path.join(dir, `${stamp}-${recipient}`);
+
+    await fs.writeFile(`${base}.json`, JSON.stringify({ ...message, html: undefined, sentAt: new Date() }, null, 2));
+    if (message.html) {
+      await fs.writeFile(`${base}.html`, message.html);
+    }
+
+    console.log(`📧 [EMAIL] Wrote "${message.subject}" for ${message.to} to ${base}.*`);
+    return { transport: 'disk', id: null, path: `${base}.json` };
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,158 @@
+/**
+ * Embedding Service
+ *
+ * Text embeddings for semantic clustering, behind a pluggable backend chosen
+ * with environment variables:
+ *   EMBEDDING_PROVIDER - local (default): hashed word/n-gram vectors computed
+ *                        in-process (utils/localEmbedding), offline and free
+ *                        openai-compatible: any /embeddings API - OpenAI, Ollama,
+ *                        vLLM, LM Studio...
+ *   EMBEDDING_BASE_URL - API base URL (default: https://api.openai.com/v1)
+ *   EMBEDDING_API_KEY  - Bearer token; optional for self-hosted servers
+ *   EMBEDDING_MODEL    - Model name (default: text-embedding-3-small)
+ *
+ * Remote vectors are cached in memory per model and text, so re-clustering
+ * the same analysis only embeds new prompts and responses. If the remote API
+ * fails, the whole batch is embedded locally instead - vectors from two
+ * models are never mixed in one result.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const spendService = require('./spendService');
+const { embedText } = require('../utils/localEmbedding');
+
+const PROVIDERS = ['local', 'openai-compatible'];
+const LOCAL_MODEL = 'local-hashing-v1';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_REMOTE_MODEL = 'text-embedding-3-small';
+const REMOTE_BATCH_SIZE = 100;
+const REMOTE_TIMEOUT_MS = 30000;
+const MAX_INPUT_CHARS = 8000; // Well under the 8k-token input limit of common embedding models
+const MAX_CACHE_ENTRIES = 20000;
+
+// Cosine similarity above which prompts are grouped, per backend: hashed
+// vectors only overlap on shared words, so they need a lower bar
+const DEFAULT_THRESHOLDS = {
+  'local': 0.2,
+  'openai-compatible': 0.5
+};
+
+class EmbeddingService {
+  constructor() {
+    this.cache = new Map();
+    this.configure();
+    console.log(`🧭 EmbeddingService initialized (${this.provider}, ${this.model})`);
+  }
+
+  /**
+   * (Re)read the backend configuration
+   */
+  configure(env = process.env) {
+    const provider = (env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+    if (!PROVIDERS.includes(provider)) {
+      console.warn(`⚠️  [EMBEDDINGS] Unknown EMBEDDING_PROVIDER "${provider}" - using local embeddings`);
+    }
+
+    this.provider = PROVIDERS.includes(provider) ? provider : 'local';
+    this.baseUrl = (env.EMBEDDING_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = env.EMBEDDING_API_KEY || null;
+    this.model = this.provider === 'local' ? LOCAL_MODEL : (env.EMBEDDING_MODEL || DEFAULT_REMOTE_MODEL);
+    this.cache.clear();
+  }
+
+  /**
+   * Active backend, for responses and logs
+   * @returns {{ provider: string, model: string, defaultThreshold: number }}
+   */
+  getInfo() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      defaultThreshold: DEFAULT_THRESHOLDS[this.provider]
+    };
+  }
+
+  /**
+   * Embed texts with the configured backend
+   * @param {Array<string>} texts
+   * @returns {Promise<{ vectors: Array<Array<number>>, provider: string, model: string, defaultThreshold: number }>}
+   */
+  async embed(texts) {
+    if (this.provider === 'local' || texts.length === 0) {
+      return this.embedLocally(texts);
+    }
+
+    try {
+      const vectors = await this.embedRemotely(texts);
+      return { vectors, ...this.getInfo() };
+    } catch (error) {
+      const detail = error.response?.data?.error?.message || error.message;
+      console.warn(`⚠️  [EMBEDDINGS] ${this.model} failed (${detail}) - falling back to local embeddings`);
+      return this.embedLocally(texts);
+    }
+  }
+
+  embedLocally(texts) {
+    return {
+      vectors: texts.map(text => embedText(text)),
+      provider: 'local',
+      model: LOCAL_MODEL,
+      defaultThreshold: DEFAULT_THRESHOLDS.local
+    };
+  }
+
+  /**
+   * POST uncached texts to {baseUrl}/embeddings in batches
+   */
+  async embedRemotely(texts) {
+    const inputs = texts.map(text => String(text || '').slice(0, MAX_INPUT_CHARS) || ' ');
+    const vectors = inputs.map(input => this.cache.get(this.getCacheKey(input)));
+    const missing = [...new Set(inputs.filter((_, index) => !vectors[index]))];
+    const fetched = new Map();
+
+    for (let start = 0; start < missing.length; start += REMOTE_BATCH_SIZE) {
+      const batch = missing.slice(start, start + REMOTE_BATCH_SIZE);
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) {
+        headers['Authorization'] = `Bearer ${this.apiKey}`;
+      }
+
+      const response = await axios.post(`${this.baseUrl}/embeddings`, {
+        model: this.model,
+        input: batch
+      }, { headers, timeout: REMOTE_TIMEOUT_MS });
+
+      const data = response.data?.data;
+      if (!Array.isArray(data) || data.length !== batch.length) {
+        throw new Error('Invalid response from embedding API');
+      }
+
+      await spendService.record('embeddings', { model: this.model, usage: response.data.usage || {} });
+
+      // Results carry their input index; don't rely on the order
+      data.forEach((item, position) => {
+        const input = batch[item.index ?? position];
+        fetched.set(input, item.embedding);
+        this.setCached(this.getCacheKey(input), item.embedding);
+      });
+    }
+
+    return vectors.map((vector, index) => vector || fetched.get(inputs[index]));
+  }
+
+  getCacheKey(input) {
+    return `${this.model}:${crypto.createHash('sha1').update(input).digest('hex')}`;
+  }
+
+  setCached(key, vector) {
+    // Oldest entries go first (Map keeps insertion order)
+    if (this.cache.size >= MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, vector);
+  }
+}
+
+module.exports = new EmbeddingService();
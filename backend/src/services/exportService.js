@@ -0,0 +1,410 @@
+/**
+ * Export Service
+ *
+ * Flattens dashboard data into tabular datasets ({ name, title, columns, rows })
+ * and serializes them as CSV or XLSX. Brand metrics are recomputed from the
+ * completed PromptTests in the requested window with the dashboard formulas,
+ * so an export for a date range matches what the dashboard shows for it.
+ */
+
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+const PromptTest = require('../models/PromptTest');
+const metricsAggregationService = require('./metricsAggregationService');
+const citationClassificationService = require('./citationClassificationService');
+const landingPageTrafficService = require('./landingPageTrafficService');
+const providerRegistry = require('./promptTesting/providers');
+const { formatCsv, formatCell } = require('../utils/csv');
+const { localeKey } = require('../utils/locales');
+const { AppError } = require('../middleware/errorHandler');
+
+const DATASETS = {
+  metrics: 'Brand metrics',
+  'prompt-tests': 'Prompt test results',
+  citations: 'Citations',
+  sentiment: 'Sentiment breakdown',
+  'ga4-platforms': 'GA4 LLM platforms'
+};
+const MAX_EXPORT_TESTS = 20000;
+const SENTIMENTS = ['positive', 'neutral', 'negative', 'mixed'];
+
+const round = (value, digits = 2) => (typeof value === 'number' && Number.isFinite(value)
+  ? Math.round(value * 10 ** digits) / 10 ** digits
+  : null);
+
+const percent = (part, total) => (total > 0 ? round((part / total) * 100) : 0);
+
+const platformName = (llmProvider) => providerRegistry.getDisplayName(llmProvider) || llmProvider;
+
+const METRIC_COLUMNS = [
+  { key: 'scope', header: 'Scope' },
+  { key: 'scopeValue', header: 'Scope value' },
+  { key: 'brandName', header: 'Brand' },
+  { key: 'isOwner', header: 'Your brand' },
+  { key: 'visibilityScore', header: 'Visibility %' },
+  { key: 'visibilityRank', header: 'Visibility rank' },
+  { key: 'shareOfVoice', header: 'Share of voice %' },
+  { key: 'avgPosition', header: 'Avg position' },
+  { key: 'depthOfMention', header: 'Depth of mention %' },
+  { key: 'totalMentions', header: 'Mentions' },
+  { key: 'citationShare', header: 'Citation share %' },
+  { key: 'brandCitationsTotal', header: 'Brand citations' },
+  { key: 'earnedCitationsTotal', header: 'Earned citations' },
+  { key: 'socialCitationsTotal', header: 'Social citations' },
+  { key: 'sentimentScore', header: 'Sentiment score' },
+  { key: 'sentimentShare', header: 'Positive sentiment %' },
+  { key: 'responses', header: 'Responses' }
+];
+
+const PROMPT_TEST_COLUMNS = [
+  { key: 'testedAt', header: 'Tested at' },
+  { key: 'platform', header: 'Platform' },
+  { key: 'model', header: 'Model' },
+  { key: 'prompt', header: 'Prompt' },
+  { key: 'queryType', header: 'Query type' },
+  { key: 'topic', header: 'Topic' },
+  { key: 'persona', header: 'Persona' },
+  { key: 'locale', header: 'Locale' },
+  { key: 'sampleIndex', header: 'Sample' },
+  { key: 'brandMentioned', header: 'Brand mentioned' },
+  { key: 'brandPosition', header: 'Brand position' },
+  { key: 'brandMentionCount', header: 'Brand mentions' },
+  { key: 'visibilityScore', header: 'Visibility score' },
+  { key: 'overallScore', header: 'Overall score' },
+  { key: 'sentiment', header: 'Sentiment' },
+  { key: 'sentimentScore', header: 'Sentiment score' },
+  { key: 'totalCitations', header: 'Citations' },
+  { key: 'competitorsMentioned', header: 'Competitors mentioned' },
+  { key: 'response', header: 'Response' }
+];
+
+const CITATION_COLUMNS = [
+  { key: 'testedAt', header: 'Tested at' },
+  { key: 'platform', header: 'Platform' },
+  { key: 'prompt', header: 'Prompt' },
+  { key: 'topic', header: 'Topic' },
+  { key: 'brandName', header: 'Cited for brand' },
+  { key: 'url', header: 'URL' },
+  { key: 'domain', header: 'Domain' },
+  { key: 'type', header: 'Type' },
+  { key: 'confidence', header: 'Confidence' },
+  { key: 'verificationStatus', header: 'Verification' },
+  { key: 'hallucinated', header: 'Hallucinated' }
+];
+
+const SENTIMENT_COLUMNS = [
+  { key: 'groupType', header: 'Group by' },
+  { key: 'group', header: 'Group' },
+  { key: 'positive', header: 'Positive' },
+  { key: 'neutral', header: 'Neutral' },
+  { key: 'negative', header: 'Negative' },
+  { key: 'mixed', header: 'Mixed' },
+  { key: 'total', header: 'Responses' },
+  { key: 'positivePercent', header: 'Positive %' },
+  { key: 'negativePercent', header: 'Negative %' }
+];
+
+const GA4_PLATFORM_COLUMNS = [
+  { key: 'platform', header: 'Platform' },
+  { key: 'sessions', header: 'Sessions' },
+  { key: 'previousSessions', header: 'Previous sessions' },
+  { key: 'changePercent', header: 'Change %' },
+  { key: 'engagedSessions', header: 'Engaged sessions' },
+  { key: 'engagementRate', header: 'Engagement rate %' },
+  { key: 'conversions', header: 'Conversions' },
+  { key: 'landingPages', header: 'Landing pages' }
+];
+
+const NOTE_COLUMNS = [{ key: 'note', header: 'Note' }];
+
+class ExportService {
+  constructor() {
+    this.datasets = DATASETS;
+    console.log('📤 ExportService initialized');
+  }
+
+  isDataset(name) {
+    return Object.prototype.hasOwnProperty.call(DATASETS, name);
+  }
+
+  /**
+   * Completed tests of an analysis in a window, with prompt/topic/persona names
+   * @param {object} options - { urlAnalysisId, dateFrom, dateTo } (dates optional)
+   * @throws {AppError} 413 when the window has more than MAX_EXPORT_TESTS tests, rather than exporting part of it
+   */
+  async loadTests(userId, { urlAnalysisId, dateFrom, dateTo } = {}) {
+    const query = {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      status: 'completed'
+    };
+    if (urlAnalysisId) query.urlAnalysisId = new mongoose.Types.ObjectId(String(urlAnalysisId));
+    if (dateFrom || dateTo) {
+      query.testedAt = {};
+      if (dateFrom) query.testedAt.$gte = new Date(dateFrom);
+      if (dateTo) query.testedAt.$lte = new Date(dateTo);
+    }
+
+    const tests = await PromptTest.find(query)
+      .sort({ testedAt: -1 })
+      .limit(MAX_EXPORT_TESTS + 1)
+      .populate('topicId', 'name')
+      .populate('personaId', 'type')
+      .lean();
+
+    if (tests.length > MAX_EXPORT_TESTS) {
+      throw new AppError(
+        `This export covers more than ${MAX_EXPORT_TESTS} prompt tests. Choose a shorter date range and try again.`,
+        413,
+        'EXPORT_TOO_LARGE'
+      );
+    }
+    return tests;
+  }
+
+  // ===== DATASET BUILDERS (pure) =====
+
+  /**
+   * Brand metrics overall and per platform
+   * @param {Array<object>} tests - completed PromptTests
+   * @param {object} brandContext - metricsAggregationService.getBrandContext result
+   */
+  buildMetricsRows(tests, brandContext) {
+    const scopes = [{ scope: 'overall', scopeValue: 'All platforms', tests }];
+
+    const byPlatform = new Map();
+    tests.forEach((test) => {
+      if (!byPlatform.has(test.llmProvider)) byPlatform.set(test.llmProvider, []);
+      byPlatform.get(test.llmProvider).push(test);
+    });
+    byPlatform.forEach((platformTests, llmProvider) => {
+      scopes.push({ scope: 'platform', scopeValue: platformName(llmProvider), tests: platformTests });
+    });
+
+    return scopes.flatMap(({ scope, scopeValue, tests: scopeTests }) => metricsAggregationService
+      .buildBrandMetrics(scopeTests, brandContext)
+      .sort((a, b) => a.visibilityRank - b.visibilityRank)
+      .map((metrics) => ({
+        scope,
+        scopeValue,
+        brandName: metrics.brandName,
+        isOwner: metrics.isOwner ? 'yes' : 'no',
+        visibilityScore: round(metrics.visibilityScore),
+        visibilityRank: metrics.visibilityRank,
+        shareOfVoice: round(metrics.shareOfVoice),
+        avgPosition: metrics.totalAppearances > 0 ? round(metrics.avgPosition) : null,
+        depthOfMention: round(metrics.depthOfMention),
+        totalMentions: metrics.totalMentions,
+        citationShare: round(metrics.citationShare),
+        brandCitationsTotal: round(metrics.brandCitationsTotal),
+        earnedCitationsTotal: round(metrics.earnedCitationsTotal),
+        socialCitationsTotal: round(metrics.socialCitationsTotal),
+        sentimentScore: round(metrics.sentimentScore),
+        sentimentShare: round(metrics.sentimentShare),
+        responses: scopeTests.length
+      })));
+  }
+
+  buildPromptTestRows(tests) {
+    return tests.map((test) => ({
+      testedAt: test.testedAt ? new Date(test.testedAt) : null,
+      platform: platformName(test.llmProvider),
+      model: test.llmModel,
+      prompt: test.promptText,
+      queryType: test.queryType,
+      topic: test.topicId?.name || null,
+      persona: test.personaId?.type || null,
+      locale: localeKey(test.locale),
+      sampleIndex: test.sampleIndex || 0,
+      brandMentioned: test.scorecard?.brandMentioned ? 'yes' : 'no',
+      brandPosition: test.scorecard?.brandPosition ?? null,
+      brandMentionCount: test.scorecard?.brandMentionCount || 0,
+      visibilityScore: test.scorecard?.visibilityScore ?? null,
+      overallScore: test.scorecard?.overallScore ?? null,
+      sentiment: test.scorecard?.sentiment || null,
+      sentimentScore: round(test.scorecard?.sentimentScore),
+      totalCitations: (test.brandMetrics || []).reduce((sum, bm) => sum + (bm.citations?.length || 0), 0),
+      competitorsMentioned: test.scorecard?.competitorsMentioned || [],
+      response: test.rawResponse
+    }));
+  }
+
+  buildCitationRows(tests) {
+    return tests.flatMap((test) => (test.brandMetrics || []).flatMap((brandMetric) =>
+      (brandMetric.citations || []).map((citation) => ({
+        testedAt: test.testedAt ? new Date(test.testedAt) : null,
+        platform: platformName(test.llmProvider),
+        prompt: test.promptText,
+        topic: test.topicId?.name || null,
+        brandName: brandMetric.brandName,
+        url: citation.url,
+        domain: citationClassificationService.cleanAndValidateUrl(citation.url).domain,
+        type: citation.type,
+        confidence: round(citation.confidence),
+        verificationStatus: citation.verification?.status || null,
+        hallucinated: citation.verification ? (citation.verification.hallucinated ? 'yes' : 'no') : null
+      }))));
+  }
+
+  /**
+   * Response sentiment (scorecard.sentiment) counted per topic and per persona
+   */
+  buildSentimentRows(tests) {
+    const groups = new Map();
+    const add = (groupType, group, sentiment) => {
+      const key = `${groupType}:${group}`;
+      if (!groups.has(key)) {
+        groups.set(key, { groupType, group, positive: 0, neutral: 0, negative: 0, mixed: 0, total: 0 });
+      }
+      const row = groups.get(key);
+      row[SENTIMENTS.includes(sentiment) ? sentiment : 'neutral']++;
+      row.total++;
+    };
+
+    tests.forEach((test) => {
+      const sentiment = test.scorecard?.sentiment || 'neutral';
+      add('topic', test.topicId?.name || 'Unknown', sentiment);
+      add('persona', test.personaId?.type || 'Unknown', sentiment);
+    });
+
+    return Array.from(groups.values())
+      .sort((a, b) => a.groupType.localeCompare(b.groupType) || b.total - a.total)
+      .map((row) => ({
+        ...row,
+        positivePercent: percent(row.positive, row.total),
+        negativePercent: percent(row.negative, row.total)
+      }));
+  }
+
+  /**
+   * LLM landing-page traffic summed per platform, with the previous period for comparison
+   * @param {object} traffic - landingPageTrafficService.getLandingPageTraffic result
+   */
+  buildGa4PlatformRows(traffic) {
+    const platforms = new Map();
+    const entry = (platform) => {
+      if (!platforms.has(platform)) {
+        platforms.set(platform, { platform, sessions: 0, previousSessions: 0, engagedSessions: 0, conversions: 0, pages: new Set() });
+      }
+      return platforms.get(platform);
+    };
+
+    (traffic.current || []).forEach((row) => {
+      const platform = entry(row.platform);
+      platform.sessions += row.sessions;
+      platform.engagedSessions += row.engagedSessions;
+      platform.conversions += row.conversions;
+      platform.pages.add(row.landingPage);
+    });
+    (traffic.previous || []).forEach((row) => {
+      entry(row.platform).previousSessions += row.sessions;
+    });
+
+    return Array.from(platforms.values())
+      .sort((a, b) => b.sessions - a.sessions)
+      .map(({ pages, ...platform }) => ({
+        ...platform,
+        changePercent: platform.previousSessions > 0
+          ? round(((platform.sessions - platform.previousSessions) / platform.previousSessions) * 100)
+          : null,
+        engagementRate: percent(platform.engagedSessions, platform.sessions),
+        conversions: round(platform.conversions),
+        landingPages: pages.size
+      }));
+  }
+
+  // ===== DATASETS =====
+
+  /**
+   * Build a dataset for an analysis and window
+   * @param {string} name - key of DATASETS
+   * @param {object} context - { userId, urlAnalysisId, dateFrom, dateTo, tests, ga4Connection, conversionEvent }
+   *   tests are loaded when not given; ga4Connection is required for ga4-platforms
+   * @returns {Promise<{ name: string, title: string, columns: Array, rows: Array }>}
+   */
+  async getDataset(name, context) {
+    const dataset = (columns, rows) => ({ name, title: DATASETS[name], columns, rows });
+
+    if (name === 'ga4-platforms') {
+      if (!context.ga4Connection) {
+        return dataset(GA4_PLATFORM_COLUMNS, []);
+      }
+      const traffic = await landingPageTrafficService.getLandingPageTraffic(context.ga4Connection, {
+        startDate: context.dateFrom ? new Date(context.dateFrom).toISOString().slice(0, 10) : undefined,
+        endDate: context.dateTo ? new Date(context.dateTo).toISOString().slice(0, 10) : undefined,
+        conversionEvent: context.conversionEvent
+      });
+      return dataset(GA4_PLATFORM_COLUMNS, this.buildGa4PlatformRows(traffic));
+    }
+
+    const tests = context.tests || await this.loadTests(context.userId, context);
+
+    switch (name) {
+      case 'metrics': {
+        const brandContext = await metricsAggregationService.getBrandContext(context.userId, context.urlAnalysisId);
+        return dataset(METRIC_COLUMNS, this.buildMetricsRows(tests, brandContext));
+      }
+      case 'prompt-tests':
+        return dataset(PROMPT_TEST_COLUMNS, this.buildPromptTestRows(tests));
+      case 'citations':
+        return dataset(CITATION_COLUMNS, this.buildCitationRows(tests));
+      case 'sentiment':
+        return dataset(SENTIMENT_COLUMNS, this.buildSentimentRows(tests));
+      default:
+        throw new Error(`Unknown export dataset: ${name}`);
+    }
+  }
+
+  /**
+   * Extra sheet for a workbook that had to leave something out, saying what and why
+   * @param {Array<string>} notes
+   */
+  buildNotesDataset(notes) {
+    return { name: 'notes', title: 'Notes', columns: NOTE_COLUMNS, rows: notes.map((note) => ({ note })) };
+  }
+
+  // ===== SERIALIZATION =====
+
+  toCsv(dataset) {
+    return formatCsv(dataset.columns, dataset.rows);
+  }
+
+  /**
+   * One worksheet per dataset, with a bold frozen header and an autofilter
+   * @returns {Promise<Buffer>}
+   */
+  async toXlsx(datasets) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Rankly';
+    workbook.created = new Date();
+
+    datasets.forEach((dataset) => {
+      // Sheet names are limited to 31 characters
+      const sheet = workbook.addWorksheet(dataset.title.slice(0, 31), {
+        views: [{ state: 'frozen', ySplit: 1 }]
+      });
+      sheet.columns = dataset.columns.map((column) => ({
+        header: column.header,
+        key: column.key,
+        width: Math.min(60, Math.max(12, column.header.length + 2))
+      }));
+      dataset.rows.forEach((row) => {
+        const values = {};
+        dataset.columns.forEach((column) => {
+          const value = row[column.key];
+          values[column.key] = value instanceof Date || typeof value === 'number' || value === null || value === undefined
+            ? value
+            : formatCell(value);
+        });
+        sheet.addRow(values);
+      });
+      sheet.getRow(1).font = { bold: true };
+      if (dataset.columns.length > 0) {
+        sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: dataset.columns.length } };
+      }
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new ExportService();
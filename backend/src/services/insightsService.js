@@ -1,4 +1,5 @@
-const axios = require('axios');
+const llmFixtureService = require('./llmFixtureService');
+const spendService = require('./spendService');
 const AggregatedMetrics = require('../models/AggregatedMetrics');
 const Insights = require('../models/Insights');
 const Topic = require('../models/Topic');
@@ -1296,7 +1297,7 @@ EXAMPLES OF VALID INSIGHT STYLE:
     try {
       console.log('🤖 [InsightsService] Calling OpenRouter API with GPT-4o...');
       
-      const response = await axios.post(`${this.openRouterBaseUrl}/chat/completions`, {
+      const response = await llmFixtureService.post(`${this.openRouterBaseUrl}/chat/completions`, {
         model: 'openai/gpt-4o', // Upgraded from gpt-4o-mini for better insight quality
         messages: [
           {
@@ -1313,7 +1314,9 @@ EXAMPLES OF VALID INSIGHT STYLE:
           'HTTP-Referer': process.env.OPENROUTER_REFERER || process.env.FRONTEND_URL || 'https://rankly.ai',
           'X-Title': 'Rankly Performance Insights'
         }
-      });
+      }, { allowDefaultFixture: true }); // The prompt embeds live metrics, so replays can't match it exactly
+
+      await spendService.recordResponse('insights', 'openai/gpt-4o', response.data);
 
       const content = response.data.choices[0].message.content;
       console.log('✅ [InsightsService] OpenRouter API response received');
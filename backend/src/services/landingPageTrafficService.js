@@ -0,0 +1,149 @@
+/**
+ * Landing Page Traffic Service
+ *
+ * LLM-referred GA4 sessions per landing page for the actionables table.
+ * The GA4 connection belongs to the Google account in the ga4_session cookie,
+ * not to the app user, so traffic is only available when the request carries
+ * that cookie, or when a member shared their connection with the request's
+ * workspace, and the connection has a property selected.
+ */
+
+const GAConnection = require('../models/GAConnection');
+const workspaceService = require('./workspaceService');
+const { parseGA4Session } = require('../middleware/ga4Session');
+const { ensureGA4AccessToken } = require('./ga4TokenRefresh');
+const { runReport } = require('../utils/ga4ApiClient');
+const { calculateComparisonDates, getLLMFilterRegex, LLM_PATTERNS } = require('../utils/ga4DataTransformer');
+const { normalizeDateRange } = require('../utils/ga4DateHelpers');
+const { getConversionEventMetric } = require('../utils/ga4MetricHelpers');
+const { getCachedData, setCachedData } = require('./ga4CacheService');
+
+const CACHE_DURATION_MINUTES = 5;
+const REPORT_LIMIT = 10000;
+
+class LandingPageTrafficService {
+  constructor() {
+    console.log('🛬 LandingPageTrafficService initialized');
+  }
+
+  /**
+   * Active GA4 connection for the request's ga4_session cookie, else the one
+   * shared with the request's workspace
+   * @returns {Promise<object|null>} - { googleUserId, propertyId, accessToken, defaultUri } or null
+   */
+  async resolveConnection(req) {
+    const session = parseGA4Session(req);
+    let gaConnection = session
+      ? await GAConnection.findOne({ userId: session.userId, deleted: { $ne: true } })
+      : null;
+
+    if (!gaConnection && req.workspaceId) {
+      gaConnection = await workspaceService.getSharedGA4Connection(req.workspaceId);
+    }
+
+    if (!gaConnection || !gaConnection.isActive || !gaConnection.propertyId) {
+      return null;
+    }
+
+    // Returns the connection itself, fresh tokens after a refresh, or null when refresh failed
+    const tokens = await ensureGA4AccessToken(gaConnection);
+    if (!tokens?.accessToken) {
+      return null;
+    }
+
+    return {
+      googleUserId: gaConnection.userId,
+      propertyId: gaConnection.propertyId,
+      accessToken: tokens.accessToken,
+      defaultUri: gaConnection.defaultUri || null
+    };
+  }
+
+  /**
+   * Map a GA4 sessionSource to an LLM platform name
+   */
+  detectPlatform(source) {
+    for (const [platform, pattern] of Object.entries(LLM_PATTERNS)) {
+      if (pattern.test(source || '')) {
+        return platform;
+      }
+    }
+    return 'Other';
+  }
+
+  /**
+   * Flatten a landingPage x sessionSource report into plain rows
+   */
+  parseReport(data) {
+    return (data?.rows || []).map((row) => ({
+      landingPage: row.dimensionValues?.[0]?.value,
+      platform: this.detectPlatform(row.dimensionValues?.[1]?.value),
+      sessions: parseInt(row.metricValues?.[0]?.value, 10) || 0,
+      engagedSessions: parseInt(row.metricValues?.[1]?.value, 10) || 0,
+      conversions: parseFloat(row.metricValues?.[2]?.value) || 0
+    }));
+  }
+
+  async fetchRows(connection, startDate, endDate, conversionMetric) {
+    const cacheKey = `actionable-landing-pages-${conversionMetric}`;
+    const cached = await getCachedData(connection.googleUserId, connection.propertyId, cacheKey, startDate, endDate);
+    if (cached) {
+      return cached;
+    }
+
+    const data = await runReport(connection.accessToken, connection.propertyId, {
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: 'landingPage' }, { name: 'sessionSource' }],
+      dimensionFilter: {
+        filter: {
+          fieldName: 'sessionSource',
+          stringFilter: {
+            matchType: 'PARTIAL_REGEXP',
+            value: getLLMFilterRegex(),
+            caseSensitive: false
+          }
+        }
+      },
+      metrics: [{ name: 'sessions' }, { name: 'engagedSessions' }, { name: conversionMetric }],
+      keepEmptyRows: false,
+      limit: REPORT_LIMIT
+    });
+
+    const rows = this.parseReport(data);
+    await setCachedData(connection.googleUserId, connection.propertyId, cacheKey, startDate, endDate, rows, CACHE_DURATION_MINUTES);
+    return rows;
+  }
+
+  /**
+   * LLM landing-page rows for the selected period and the period before it
+   * @param {object} connection - resolveConnection result
+   * @param {object} options - { dateRange ('30 days'), startDate, endDate, conversionEvent }
+   *   explicit YYYY-MM-DD dates take precedence over dateRange
+   * @returns {Promise<object>} - { startDate, endDate, comparisonStartDate, comparisonEndDate, conversionMetric, current, previous }
+   */
+  async getLandingPageTraffic(connection, options = {}) {
+    const dateRange = options.startDate || options.endDate ? null : options.dateRange || '30 days';
+    const { startDate, endDate } = normalizeDateRange(options.startDate, options.endDate, dateRange);
+    const { comparisonStartDate, comparisonEndDate } = calculateComparisonDates(startDate, endDate);
+    const conversionMetric = getConversionEventMetric(options.conversionEvent || 'conversions');
+
+    const [current, previous] = await Promise.all([
+      this.fetchRows(connection, startDate, endDate, conversionMetric),
+      this.fetchRows(connection, comparisonStartDate, comparisonEndDate, conversionMetric)
+    ]);
+
+    console.log(`🛬 [LandingPageTraffic] ${current.length} current / ${previous.length} previous landing page rows for property ${connection.propertyId}`);
+
+    return {
+      startDate,
+      endDate,
+      comparisonStartDate,
+      comparisonEndDate,
+      conversionMetric,
+      current,
+      previous
+    };
+  }
+}
+
+module.exports = new LandingPageTrafficService();
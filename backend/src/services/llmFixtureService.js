@@ -0,0 +1,97 @@
+/**
+ * LLM Fixture Service
+ *
+ * Drop-in replacement for axios.post on chat completion calls. Controlled by
+ * environment variables:
+ *   LLM_FIXTURE_MODE - off (default): call the API as usual
+ *                      record: call the API and save each request/response pair
+ *                      replay: serve saved responses, never touch the network
+ *   LLM_FIXTURE_DIR  - fixture root (default: backend/fixtures/llm)
+ *
+ * Fixtures live at <dir>/<model>/<hash of model + messages>.json. A replayed
+ * call without an exact fixture fails, unless its caller passes
+ * allowDefaultFixture: callers whose prompts are built from live data (e.g.
+ * insights) and change with every run are served <dir>/<model>/default.json.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const {
+  DEFAULT_FIXTURE_NAME,
+  getFixtureMode,
+  buildFixtureKey,
+  getFixturePath
+} = require('../utils/llmFixtures');
+
+const DEFAULT_FIXTURE_DIR = path.resolve(__dirname, '../../fixtures/llm');
+
+class LLMFixtureService {
+  constructor() {
+    this.mode = getFixtureMode();
+    this.fixtureDir = process.env.LLM_FIXTURE_DIR
+      ? path.resolve(process.env.LLM_FIXTURE_DIR)
+      : DEFAULT_FIXTURE_DIR;
+
+    if (this.mode !== 'off') {
+      console.log(`🎞️  LLMFixtureService initialized (${this.mode} mode, ${this.fixtureDir})`);
+    }
+  }
+
+  /**
+   * POST a chat completion, recording or replaying it depending on the mode
+   * @param {string} url - Completions URL
+   * @param {object} body - Request body ({ model, messages, ... })
+   * @param {object} config - axios config
+   * @param {object} options - { model } when the model isn't in the body (Azure deployments);
+   *   allowDefaultFixture: in replay mode, serve the model's default.json when no exact fixture exists
+   * @returns {Promise<{ data: object, status: number }>} - axios-shaped response
+   */
+  async post(url, body, config = {}, options = {}) {
+    if (this.mode === 'off') {
+      return axios.post(url, body, config);
+    }
+
+    const model = options.model || body.model;
+    const key = buildFixtureKey(model, body.messages);
+
+    if (this.mode === 'replay') {
+      return this.replay(model, key, options);
+    }
+
+    const response = await axios.post(url, body, config);
+    this.record(model, key, body, response.data);
+    return response;
+  }
+
+  replay(model, key, { allowDefaultFixture = false } = {}) {
+    const exactPath = getFixturePath(this.fixtureDir, model, key);
+    const defaultPath = getFixturePath(this.fixtureDir, model, DEFAULT_FIXTURE_NAME);
+    const fixturePath = fs.existsSync(exactPath) || !allowDefaultFixture ? exactPath : defaultPath;
+
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No LLM fixture for ${model} (${key}) in ${this.fixtureDir} - record one with LLM_FIXTURE_MODE=record`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    console.log(`🎞️  [FIXTURE] Replayed ${model} ${path.basename(fixturePath)}`);
+    return { data: fixture.response, status: 200 };
+  }
+
+  record(model, key, body, responseData) {
+    const fixturePath = getFixturePath(this.fixtureDir, model, key);
+    const { messages, ...parameters } = body;
+
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify({
+      key,
+      model,
+      recordedAt: new Date().toISOString(),
+      request: { messages, parameters },
+      response: responseData
+    }, null, 2));
+
+    console.log(`🎞️  [FIXTURE] Recorded ${model} ${key}.json`);
+  }
+}
+
+module.exports = new LLMFixtureService();
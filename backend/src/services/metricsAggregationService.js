@@ -2,7 +2,7 @@
  * Metrics Aggregation Service
  *
  * Aggregates PromptTest results into dashboard metrics using deterministic formulas.
- * Calculates metrics at: Overall, Platform, Topic, Persona levels
+ * Calculates metrics at: Overall, Platform, Topic, Persona, Locale levels
  *
  * Uses sentence-level data from PromptTest.brandMetrics to calculate:
  * - Total Mentions (primary ranking metric)
@@ -12,14 +12,19 @@
  * - Citation Share (brand, earned, social)
  * - Sentiment Score & Breakdown
  * - Position Distribution
+ * - 95% confidence intervals for visibility, average position and share of voice
  */
 
 const PromptTest = require('../models/PromptTest');
 const AggregatedMetrics = require('../models/AggregatedMetrics');
+const AggregatedMetricsSnapshot = require('../models/AggregatedMetricsSnapshot');
 const UrlAnalysis = require('../models/UrlAnalysis');
 const Topic = require('../models/Topic');
 const Persona = require('../models/Persona');
 const Competitor = require('../models/Competitor');
+const { proportionInterval, ratioInterval } = require('../utils/confidenceIntervals');
+const { localeKey } = require('../utils/locales');
+const alertService = require('./alertService');
 
 class MetricsAggregationService {
   constructor() {
@@ -29,14 +34,17 @@ class MetricsAggregationService {
   /**
    * Calculate and store all metrics for a user
    * @param {string} userId - User ID
-   * @param {object} filters - Optional filters { urlAnalysisId, dateFrom, dateTo }
+   * @param {object} filters - Optional filters { urlAnalysisId, dateFrom, dateTo, testRunId, snapshot, snapshotOnly }
+   *   testRunId restricts aggregation to the tests of one run; snapshot ({ testRunId, scheduleId })
+   *   additionally appends every scope document to AggregatedMetricsSnapshot, and snapshotOnly
+   *   leaves the live AggregatedMetrics documents (and alerts) alone
    * @returns {Promise<object>} - Aggregation results
    */
   async calculateMetrics(userId, filters = {}) {
     try {
       console.log('📊 Starting metrics aggregation for user:', userId);
 
-      const { urlAnalysisId, dateFrom, dateTo } = filters;
+      const { urlAnalysisId, dateFrom, dateTo, testRunId } = filters;
 
       // Build query
       const query = {
@@ -45,6 +53,7 @@ class MetricsAggregationService {
       };
 
       if (urlAnalysisId) query.urlAnalysisId = urlAnalysisId;
+      if (testRunId) query.testRunId = testRunId;
       if (dateFrom || dateTo) {
         query.testedAt = {};
         if (dateFrom) query.testedAt.$gte = new Date(dateFrom);
@@ -63,6 +72,9 @@ class MetricsAggregationService {
       }
 
       console.log(`✅ Found ${tests.length} tests to aggregate`);
+
+      // Live documents as they were before this run, for change-based alert rules
+      const previousForAlerts = filters.snapshotOnly ? null : await alertService.capturePrevious(userId, urlAnalysisId);
       
       // Debug: Show sample test data
       if (tests.length > 0) {
@@ -79,22 +91,32 @@ class MetricsAggregationService {
         overall: await this.aggregateOverall(userId, tests, filters),
         platform: await this.aggregatePlatform(userId, tests, filters),
         topic: await this.aggregateTopic(userId, tests, filters),
-        persona: await this.aggregatePersona(userId, tests, filters)
+        persona: await this.aggregatePersona(userId, tests, filters),
+        locale: await this.aggregateLocale(userId, tests, filters)
       };
 
       const totalCalculations = 
         (results.overall ? 1 : 0) + 
         results.platform.length + 
         results.topic.length + 
-        results.persona.length;
+        results.persona.length +
+        results.locale.length;
 
       console.log('✅ Metrics aggregation complete');
       console.log('   Overall:', results.overall ? 'saved' : 'skipped');
       console.log('   Platforms:', results.platform.length, 'saved');
       console.log('   Topics:', results.topic.length, 'saved');
       console.log('   Personas:', results.persona.length, 'saved');
+      console.log('   Locales:', results.locale.length, 'saved');
       console.log('   Total calculations:', totalCalculations);
 
+      if (previousForAlerts) {
+        try {
+          await alertService.evaluateAggregation({ userId, urlAnalysisId, previous: previousForAlerts, results, tests });
+        } catch (alertError) {
+          console.error('⚠️  Alert evaluation failed (non-critical):', alertError.message);
+        }
+      }
 
       return { 
         success: true, 
@@ -131,12 +153,11 @@ class MetricsAggregationService {
       promptTestIds: tests.map(t => t._id.toString())
     };
 
-    // Upsert (replace existing or create new)
-    await AggregatedMetrics.findOneAndUpdate(
-      { userId, scope: 'overall', scopeValue: 'all', urlAnalysisId: filters.urlAnalysisId },
-      metricsDoc,
-      { upsert: true, new: true }
-    );
+    await this.applyRankChanges(metricsDoc);
+
+    await this.saveLiveDocument(metricsDoc, filters);
+
+    await this.saveSnapshot(metricsDoc, filters);
 
     return metricsDoc;
   }
@@ -147,7 +168,8 @@ class MetricsAggregationService {
   async aggregatePlatform(userId, tests, filters) {
     console.log('  → Aggregating PLATFORM metrics');
 
-    const platforms = ['openai', 'gemini', 'claude', 'perplexity'];
+    // Every provider present in the tests, including ones disabled since they ran
+    const platforms = [...new Set(tests.map(t => t.llmProvider).filter(Boolean))];
     const saved = [];
 
     // Debug: Show platform distribution
@@ -179,11 +201,11 @@ class MetricsAggregationService {
         promptTestIds: platformTests.map(t => t._id.toString())
       };
 
-      await AggregatedMetrics.findOneAndUpdate(
-        { userId, scope: 'platform', scopeValue: platform, urlAnalysisId: filters.urlAnalysisId },
-        metricsDoc,
-        { upsert: true, new: true }
-      );
+      await this.applyRankChanges(metricsDoc);
+
+      await this.saveLiveDocument(metricsDoc, filters);
+
+      await this.saveSnapshot(metricsDoc, filters);
 
       saved.push(metricsDoc);
     }
@@ -225,11 +247,11 @@ class MetricsAggregationService {
         promptTestIds: topicTests.map(t => t._id.toString())
       };
 
-      await AggregatedMetrics.findOneAndUpdate(
-        { userId, scope: 'topic', scopeValue: topicName, urlAnalysisId: filters.urlAnalysisId },
-        metricsDoc,
-        { upsert: true, new: true }
-      );
+      await this.applyRankChanges(metricsDoc);
+
+      await this.saveLiveDocument(metricsDoc, filters);
+
+      await this.saveSnapshot(metricsDoc, filters);
 
       saved.push(metricsDoc);
     }
@@ -271,11 +293,57 @@ class MetricsAggregationService {
         promptTestIds: personaTests.map(t => t._id.toString())
       };
 
-      await AggregatedMetrics.findOneAndUpdate(
-        { userId, scope: 'persona', scopeValue: personaType, urlAnalysisId: filters.urlAnalysisId },
-        metricsDoc,
-        { upsert: true, new: true }
-      );
+      await this.applyRankChanges(metricsDoc);
+
+      await this.saveLiveDocument(metricsDoc, filters);
+
+      await this.saveSnapshot(metricsDoc, filters);
+
+      saved.push(metricsDoc);
+    }
+
+    return saved;
+  }
+
+  /**
+   * Aggregate metrics at LOCALE level (scopeValue is the locale key, e.g. "German (Germany)")
+   */
+  async aggregateLocale(userId, tests, filters) {
+    console.log('  → Aggregating LOCALE metrics');
+
+    // Group tests by locale; tests from before locales existed fall in the default locale
+    const localeGroups = {};
+    tests.forEach(t => {
+      const key = localeKey(t.locale);
+      if (!localeGroups[key]) localeGroups[key] = [];
+      localeGroups[key].push(t);
+    });
+
+    const saved = [];
+
+    for (const [key, localeTests] of Object.entries(localeGroups)) {
+      const brandMetrics = await this.calculateBrandMetrics(localeTests, userId, filters.urlAnalysisId);
+
+      const metricsDoc = {
+        userId,
+        urlAnalysisId: filters.urlAnalysisId,
+        scope: 'locale',
+        scopeValue: key,
+        dateFrom: filters.dateFrom ? new Date(filters.dateFrom) : new Date(localeTests[0].testedAt),
+        dateTo: filters.dateTo ? new Date(filters.dateTo) : new Date(localeTests[localeTests.length - 1].testedAt),
+        totalPrompts: new Set(localeTests.map(t => t.promptId.toString())).size,
+        totalResponses: localeTests.length,
+        totalBrands: brandMetrics.length,
+        brandMetrics,
+        lastCalculated: new Date(),
+        promptTestIds: localeTests.map(t => t._id.toString())
+      };
+
+      await this.applyRankChanges(metricsDoc);
+
+      await this.saveLiveDocument(metricsDoc, filters);
+
+      await this.saveSnapshot(metricsDoc, filters);
 
       saved.push(metricsDoc);
     }
@@ -283,15 +351,93 @@ class MetricsAggregationService {
     return saved;
   }
 
+  /**
+   * Set the *RankChange fields on each brand by comparing against the previous
+   * snapshot of the same scope (falling back to the current live document when
+   * no snapshot exists yet). Positive = moved up, negative = moved down.
+   */
+  async applyRankChanges(metricsDoc) {
+    const scopeFilter = {
+      userId: metricsDoc.userId,
+      urlAnalysisId: metricsDoc.urlAnalysisId,
+      scope: metricsDoc.scope,
+      scopeValue: metricsDoc.scopeValue
+    };
+
+    const previous = await AggregatedMetricsSnapshot.findOne(scopeFilter)
+      .sort({ snapshotAt: -1 })
+      .select('brandMetrics')
+      .lean()
+      || await AggregatedMetrics.findOne(scopeFilter).select('brandMetrics').lean();
+
+    if (!previous?.brandMetrics?.length) return;
+
+    const previousByBrand = new Map(previous.brandMetrics.map(b => [b.brandName, b]));
+    const rankFields = [
+      ['visibilityRank', 'visibilityRankChange'],
+      ['mentionRank', 'mentionRankChange'],
+      ['shareOfVoiceRank', 'shareOfVoiceRankChange'],
+      ['avgPositionRank', 'avgPositionRankChange'],
+      ['depthRank', 'depthRankChange']
+    ];
+
+    metricsDoc.brandMetrics.forEach(brand => {
+      const prev = previousByBrand.get(brand.brandName);
+      if (!prev) return;
+
+      rankFields.forEach(([rankKey, changeKey]) => {
+        if (prev[rankKey] && brand[rankKey]) {
+          brand[changeKey] = prev[rankKey] - brand[rankKey];
+        }
+      });
+    });
+  }
+
+  /**
+   * Replace the live document of a scope (or create it), unless only a
+   * snapshot was asked for
+   */
+  async saveLiveDocument(metricsDoc, filters) {
+    if (filters.snapshotOnly) return;
+
+    const { userId, urlAnalysisId, scope, scopeValue } = metricsDoc;
+    await AggregatedMetrics.findOneAndUpdate(
+      { userId, scope, scopeValue, urlAnalysisId },
+      metricsDoc,
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Append a copy of a scope document to the snapshot history when requested
+   */
+  async saveSnapshot(metricsDoc, filters) {
+    if (!filters.snapshot) return;
+
+    await AggregatedMetricsSnapshot.create({
+      ...metricsDoc,
+      testRunId: filters.snapshot.testRunId,
+      scheduleId: filters.snapshot.scheduleId,
+      snapshotAt: new Date()
+    });
+  }
+
   /**
    * Calculate brand metrics from a set of tests using dashboard formulas
    * Now includes ALL selected competitors, even if they have 0 mentions
    */
   async calculateBrandMetrics(tests, userId, urlAnalysisId = null) {
+    const brandContext = await this.getBrandContext(userId, urlAnalysisId);
+    return this.buildBrandMetrics(tests, brandContext);
+  }
+
+  /**
+   * Resolve the user's brand name and the set of brands to report on
+   * (user brand + selected competitors for the analysis)
+   * @returns {Promise<{ userBrandName: string, brandNames: Set<string>, excludeHallucinatedCitations: boolean }>}
+   */
+  async getBrandContext(userId, urlAnalysisId = null) {
     // ✅ Step 1: Get user's brand name from UrlAnalysis
-    const UrlAnalysis = require('../models/UrlAnalysis');
-    const Competitor = require('../models/Competitor');
-    
     const urlAnalysis = await UrlAnalysis.findOne({ 
       userId,
       ...(urlAnalysisId && { _id: urlAnalysisId })
@@ -325,9 +471,19 @@ class MetricsAggregationService {
     // 1. The user's brand
     // 2. Selected competitors for this urlAnalysisId
     // DO NOT add brands from tests - they may be from other analyses or unselected competitors
-    const allBrandNames = new Set([userBrandName]);
-    selectedCompetitors.filter(comp => comp.name && comp.selected).forEach(comp => allBrandNames.add(comp.name));
-    
+    const brandNames = new Set([userBrandName]);
+    selectedCompetitors.filter(comp => comp.name && comp.selected).forEach(comp => brandNames.add(comp.name));
+
+    // Citations verified as dead links or not mentioning the brand (citationVerificationService)
+    const excludeHallucinatedCitations = Boolean(urlAnalysis?.citationSettings?.excludeHallucinated);
+
+    return { userBrandName, brandNames, excludeHallucinatedCitations };
+  }
+
+  /**
+   * Calculate ranked brand metrics for a set of tests given a resolved brand context
+   */
+  buildBrandMetrics(tests, { userBrandName, brandNames: allBrandNames, excludeHallucinatedCitations = false }) {
     console.log(`     📊 Total brands to calculate metrics for: ${allBrandNames.size} (user brand + selected competitors only)`);
     allBrandNames.forEach(brand => {
       console.log(`        → ${brand}`);
@@ -354,13 +510,16 @@ class MetricsAggregationService {
     // 1. Were selected by the user
     // 2. Belong to this urlAnalysisId
     for (const brandName of allBrandNames) {
-      const metrics = this.calculateSingleBrandMetrics(brandName, tests, userBrandName);
+      const metrics = this.calculateSingleBrandMetrics(brandName, tests, userBrandName, { excludeHallucinatedCitations });
       brandMetrics.push(metrics);
     }
 
     // ✅ Step 6: Calculate ranks for each metric
     this.assignRanks(brandMetrics);
 
+    // ✅ Step 7: Uncertainty of the headline metrics
+    this.applyConfidenceIntervals(brandMetrics, tests);
+
     // Debug log to verify isOwner is set correctly
     console.log('🔍 [calculateBrandMetrics] User brand name:', userBrandName);
     console.log('🔍 [calculateBrandMetrics] Brand metrics with isOwner:', brandMetrics.map(b => ({ name: b.brandName, isOwner: b.isOwner })));
@@ -371,7 +530,7 @@ class MetricsAggregationService {
   /**
    * Calculate all metrics for a single brand across tests
    */
-  calculateSingleBrandMetrics(brandName, tests, userBrandName) {
+  calculateSingleBrandMetrics(brandName, tests, userBrandName, { excludeHallucinatedCitations = false } = {}) {
     const brandData = {
       brandId: brandName.toLowerCase().replace(/\s+/g, '-'),
       brandName,
@@ -456,6 +615,7 @@ class MetricsAggregationService {
             if (!c || !c.url || typeof c.url !== 'string') return;
             const type = c.type;
             if (!validTypes.has(type)) return;
+            if (excludeHallucinatedCitations && c.verification?.hallucinated) return;
 
             // Use confidence-weighted counting (confidence from classification)
             // Default confidence: 0.8 if not specified (backward compatible)
@@ -691,6 +851,67 @@ class MetricsAggregationService {
     this.assignRanksByMetric(brandMetrics, 'count3rd', 'rank3rd', true);
   }
 
+  /**
+   * Attach 95% confidence intervals for visibility, average position and share of voice.
+   * Repeated samples of a prompt on one platform are correlated, so each prompt×platform
+   * pair is one cluster (see utils/confidenceIntervals); more samples per prompt tighten
+   * the interval without pretending every response is independent.
+   */
+  applyConfidenceIntervals(brandMetrics, tests) {
+    const brandNames = new Set(brandMetrics.map(b => b.brandName));
+    const clusters = new Map();
+
+    tests.forEach(test => {
+      const key = `${test.promptId}_${test.llmProvider}`;
+      const cluster = clusters.get(key) || { responses: 0, totalMentions: 0, brands: new Map() };
+      cluster.responses++;
+
+      (test.brandMetrics || []).forEach(bm => {
+        if (!bm.mentioned || !brandNames.has(bm.brandName)) return;
+
+        const stats = cluster.brands.get(bm.brandName) || { appearances: 0, positionSum: 0, positionCount: 0, mentions: 0 };
+        stats.appearances++;
+        stats.mentions += bm.mentionCount || 0;
+        if (bm.firstPosition) {
+          stats.positionSum += bm.firstPosition;
+          stats.positionCount++;
+        }
+        cluster.brands.set(bm.brandName, stats);
+        cluster.totalMentions += bm.mentionCount || 0;
+      });
+
+      clusters.set(key, cluster);
+    });
+
+    const clusterList = Array.from(clusters.values());
+    const withoutValue = (interval) => {
+      if (!interval) return null;
+      const { value, ...bounds } = interval;
+      return bounds;
+    };
+
+    brandMetrics.forEach(brand => {
+      const stats = clusterList.map(c => c.brands.get(brand.brandName) || { appearances: 0, positionSum: 0, positionCount: 0, mentions: 0 });
+
+      brand.confidence = {
+        visibilityScore: withoutValue(proportionInterval(
+          stats.map(s => s.appearances),
+          clusterList.map(c => c.responses)
+        )),
+        avgPosition: withoutValue(ratioInterval(
+          stats.map(s => s.positionSum),
+          stats.map(s => s.positionCount),
+          { bounds: [1, Infinity] }
+        )),
+        shareOfVoice: withoutValue(ratioInterval(
+          stats.map(s => s.mentions),
+          clusterList.map(c => c.totalMentions),
+          { scale: 100, bounds: [0, 1] }
+        ))
+      };
+    });
+  }
+
   /**
    * Helper to assign ranks based on a metric
    * @param {Array} brands - Array of brand metrics
@@ -0,0 +1,237 @@
+/**
+ * Metrics Comparison Service
+ *
+ * Period-over-period comparison for the visibility dashboard. Both windows are
+ * scored from their completed PromptTests with the dashboard formulas, then
+ * compared brand by brand: metric deltas, rank changes and the prompts where
+ * the user's brand went from mentioned to not mentioned (or the reverse).
+ * Deltas of metrics with confidence intervals are tested for significance so
+ * sampling noise isn't reported as a change.
+ */
+
+const Prompt = require('../models/Prompt');
+const metricsAggregationService = require('./metricsAggregationService');
+const metricsTrendsService = require('./metricsTrendsService');
+const { calculateComparisonDates } = require('../utils/ga4DataTransformer');
+const { compareEstimates } = require('../utils/confidenceIntervals');
+
+const COMPARED_METRICS = [
+  'visibilityScore',
+  'totalMentions',
+  'shareOfVoice',
+  'avgPosition',
+  'depthOfMention',
+  'citationShare',
+  'sentimentScore',
+  'sentimentShare'
+];
+
+// Metrics with confidence intervals (see metricsAggregationService.applyConfidenceIntervals)
+const SIGNIFICANCE_METRICS = ['visibilityScore', 'avgPosition', 'shareOfVoice'];
+
+const COMPARED_RANKS = [
+  'visibilityRank',
+  'mentionRank',
+  'shareOfVoiceRank',
+  'avgPositionRank',
+  'depthRank',
+  'citationShareRank'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MetricsComparisonService {
+  constructor() {
+    console.log('⚖️  MetricsComparisonService initialized');
+  }
+
+  /**
+   * Resolve both windows. Date-only values cover whole UTC days; when the
+   * previous window is omitted it defaults to the same-length period directly
+   * before the current one.
+   * @returns {{ current: { dateFrom: Date, dateTo: Date }, previous: { dateFrom: Date, dateTo: Date } }}
+   */
+  resolveWindows({ currentFrom, currentTo, previousFrom, previousTo }) {
+    const toStart = (value) => new Date(value);
+    const toEnd = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(new Date(value).getTime() + DAY_MS - 1)
+      : new Date(value);
+
+    if (!previousFrom || !previousTo) {
+      const day = (value) => new Date(value).toISOString().slice(0, 10);
+      const { comparisonStartDate, comparisonEndDate } = calculateComparisonDates(day(currentFrom), day(currentTo));
+      previousFrom = comparisonStartDate;
+      previousTo = comparisonEndDate;
+    }
+
+    return {
+      current: { dateFrom: toStart(currentFrom), dateTo: toEnd(currentTo) },
+      previous: { dateFrom: toStart(previousFrom), dateTo: toEnd(previousTo) }
+    };
+  }
+
+  /**
+   * Compare two periods
+   * @param {string} userId - User ID
+   * @param {object} options - { urlAnalysisId, currentFrom, currentTo, previousFrom, previousTo, platforms, topics, personas, locales, promptVersions }
+   * @returns {Promise<object>} - { current, previous, userBrandName, brands, promptChanges }
+   */
+  async comparePeriods(userId, options = {}) {
+    const { urlAnalysisId, platforms, topics, personas, locales, promptVersions } = options;
+    const windows = this.resolveWindows(options);
+    const filters = { urlAnalysisId, platforms, topics, personas, locales, promptVersions };
+
+    console.log(`⚖️  [COMPARE] User ${userId}: ${windows.current.dateFrom.toISOString()}..${windows.current.dateTo.toISOString()} vs ${windows.previous.dateFrom.toISOString()}..${windows.previous.dateTo.toISOString()}`);
+
+    const [currentTests, previousTests, brandContext] = await Promise.all([
+      metricsTrendsService.loadTests(userId, { ...filters, ...windows.current }),
+      metricsTrendsService.loadTests(userId, { ...filters, ...windows.previous }),
+      metricsAggregationService.getBrandContext(userId, urlAnalysisId)
+    ]);
+
+    const currentMetrics = currentTests.length > 0
+      ? metricsAggregationService.buildBrandMetrics(currentTests, brandContext)
+      : [];
+    const previousMetrics = previousTests.length > 0
+      ? metricsAggregationService.buildBrandMetrics(previousTests, brandContext)
+      : [];
+
+    const brands = this.compareBrands(currentMetrics, previousMetrics, brandContext);
+    const promptChanges = await this.findPromptChanges(currentTests, previousTests, brandContext.userBrandName);
+
+    console.log(`✅ [COMPARE] ${currentTests.length} vs ${previousTests.length} tests, ${promptChanges.lost.length} prompts lost, ${promptChanges.gained.length} gained`);
+
+    return {
+      current: { ...windows.current, totalResponses: currentTests.length },
+      previous: { ...windows.previous, totalResponses: previousTests.length },
+      userBrandName: brandContext.userBrandName,
+      brands,
+      promptChanges
+    };
+  }
+
+  /**
+   * Per-brand current/previous values, deltas and rank changes.
+   * rankChanges are positive when the brand moved up (previous rank - current rank).
+   * significance is { significant, pValue, zScore } for SIGNIFICANCE_METRICS, null when untestable.
+   */
+  compareBrands(currentMetrics, previousMetrics, { userBrandName, brandNames }) {
+    const currentByBrand = new Map(currentMetrics.map(b => [b.brandName, b]));
+    const previousByBrand = new Map(previousMetrics.map(b => [b.brandName, b]));
+
+    return Array.from(brandNames).map(brandName => {
+      const current = currentByBrand.get(brandName) || null;
+      const previous = previousByBrand.get(brandName) || null;
+
+      const metrics = {};
+      COMPARED_METRICS.forEach(metric => {
+        const currentValue = current ? current[metric] : null;
+        const previousValue = previous ? previous[metric] : null;
+        metrics[metric] = {
+          current: currentValue,
+          previous: previousValue,
+          delta: currentValue !== null && previousValue !== null
+            ? parseFloat((currentValue - previousValue).toFixed(2))
+            : null,
+          significance: SIGNIFICANCE_METRICS.includes(metric)
+            ? this.testSignificance(current, previous, metric)
+            : null
+        };
+      });
+
+      const rankChanges = {};
+      COMPARED_RANKS.forEach(rank => {
+        rankChanges[rank] = {
+          current: current ? current[rank] : null,
+          previous: previous ? previous[rank] : null,
+          change: current && previous ? previous[rank] - current[rank] : null
+        };
+      });
+
+      return {
+        brandName,
+        isOwner: brandName === userBrandName,
+        metrics,
+        rankChanges
+      };
+    }).sort((a, b) => {
+      if (a.isOwner !== b.isOwner) return a.isOwner ? -1 : 1;
+      return (a.rankChanges.visibilityRank.current || Infinity) - (b.rankChanges.visibilityRank.current || Infinity);
+    });
+  }
+
+  /**
+   * Whether a metric's change between periods is larger than sampling noise
+   */
+  testSignificance(current, previous, metric) {
+    const currentInterval = current?.confidence?.[metric];
+    const previousInterval = previous?.confidence?.[metric];
+    if (!currentInterval || !previousInterval) {
+      return null;
+    }
+
+    return compareEstimates(
+      { value: current[metric], stdError: currentInterval.stdError },
+      { value: previous[metric], stdError: previousInterval.stdError }
+    );
+  }
+
+  /**
+   * Prompts tested in both windows whose "brand mentioned" outcome flipped.
+   * A prompt counts as mentioned in a window if any platform mentioned the brand.
+   */
+  async findPromptChanges(currentTests, previousTests, userBrandName) {
+    const summarize = (tests) => {
+      const byPrompt = new Map();
+      tests.forEach(test => {
+        if (!test.promptId) return;
+        const key = test.promptId.toString();
+        const entry = byPrompt.get(key) || { mentioned: false, mentionedOn: [] };
+        const mentioned = Array.isArray(test.brandMetrics) &&
+          test.brandMetrics.some(bm => bm.brandName === userBrandName && bm.mentioned);
+        if (mentioned) {
+          entry.mentioned = true;
+          if (!entry.mentionedOn.includes(test.llmProvider)) entry.mentionedOn.push(test.llmProvider);
+        }
+        byPrompt.set(key, entry);
+      });
+      return byPrompt;
+    };
+
+    const currentByPrompt = summarize(currentTests);
+    const previousByPrompt = summarize(previousTests);
+
+    const lost = [];
+    const gained = [];
+    currentByPrompt.forEach((current, promptId) => {
+      const previous = previousByPrompt.get(promptId);
+      if (!previous || previous.mentioned === current.mentioned) return;
+
+      const change = {
+        promptId,
+        previousPlatforms: previous.mentionedOn,
+        currentPlatforms: current.mentionedOn
+      };
+      (previous.mentioned ? lost : gained).push(change);
+    });
+
+    const promptIds = [...lost, ...gained].map(c => c.promptId);
+    if (promptIds.length > 0) {
+      const prompts = await Prompt.find({ _id: { $in: promptIds } }).select('title text').lean();
+      const promptMap = new Map(prompts.map(p => [p._id.toString(), p]));
+      [...lost, ...gained].forEach(change => {
+        const prompt = promptMap.get(change.promptId);
+        change.title = prompt?.title || null;
+        change.text = prompt?.text || null;
+      });
+    }
+
+    return {
+      comparedPrompts: Array.from(currentByPrompt.keys()).filter(id => previousByPrompt.has(id)).length,
+      lost,
+      gained
+    };
+  }
+}
+
+module.exports = new MetricsComparisonService();
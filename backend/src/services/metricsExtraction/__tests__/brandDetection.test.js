@@ -0,0 +1,50 @@
+/**
+ * metricsExtraction/brandDetection.containsBrand
+ */
+const golden = require('../../../../fixtures/golden/responses.json');
+const { containsBrand } = require('../brandDetection');
+
+describe('brandDetection.containsBrand', () => {
+  test.each([
+    'I use Acme CRM daily',
+    'I use acme crm'
+  ])('exact match: %s', (sentence) => {
+    expect(containsBrand(sentence, golden.brand)).toMatchObject({ detected: true, confidence: 1 });
+  });
+
+  test.each([
+    'Try ACME for that',
+    'Acme is great'
+  ])('abbreviation match: %s', (sentence) => {
+    const result = containsBrand(sentence, golden.brand);
+
+    expect(result.detected).toBe(true);
+    expect(result.confidence).toBeLessThan(1);
+  });
+
+  test('tolerates a small typo in a multi-word brand', () => {
+    const result = containsBrand('Acmee CRM works', golden.brand);
+
+    expect(result.detected).toBe(true);
+    expect(result.confidence).toBeGreaterThanOrEqual(0.7);
+  });
+
+  test('drops the legal suffix from company names', () => {
+    expect(containsBrand('American Express is', 'American Express Company').detected).toBe(true);
+  });
+
+  test('does not match other brands', () => {
+    expect(containsBrand('Globex rules', golden.brand).detected).toBe(false);
+    expect(containsBrand('JPMC is a bank', 'JPMorgan Chase').detected).toBe(false);
+  });
+
+  test('finds the brand in the golden responses that mention it', () => {
+    expect(containsBrand(golden.responses.positiveLead.response, golden.brand).detected).toBe(true);
+    expect(containsBrand(golden.responses.competitorOnly.response, golden.brand).detected).toBe(false);
+  });
+
+  test('empty input is never detected', () => {
+    expect(containsBrand('', golden.brand)).toEqual({ detected: false, confidence: 0 });
+    expect(containsBrand('Acme CRM', '')).toEqual({ detected: false, confidence: 0 });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Metrics Trends Service
+ *
+ * Builds per-brand time series for the dashboard trend charts. Completed
+ * PromptTests are grouped into day or week buckets by testedAt and each bucket
+ * is scored with the same formulas as metricsAggregationService, so a point on
+ * a trend line matches what the dashboard would show for that period alone.
+ */
+
+const PromptTest = require('../models/PromptTest');
+const PromptVersion = require('../models/PromptVersion');
+const Topic = require('../models/Topic');
+const Persona = require('../models/Persona');
+const metricsAggregationService = require('./metricsAggregationService');
+const promptVersionService = require('./promptVersionService');
+const { parseLocaleKey, buildLocaleQuery } = require('../utils/locales');
+const { getBucketStart, listBucketStarts, countBuckets, toBucketKey } = require('../utils/dateBuckets');
+
+const TREND_METRICS = [
+  'visibilityScore',
+  'shareOfVoice',
+  'avgPosition',
+  'depthOfMention',
+  'citationShare',
+  'sentimentScore',
+  'sentimentShare'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = { day: 30, week: 84 };
+const MAX_BUCKETS = 180;
+// Oldest dateFrom accepted, counted back from today (about as far as 180 weekly buckets reach)
+const MAX_LOOKBACK_DAYS = 3 * 365;
+
+class MetricsTrendsService {
+  constructor() {
+    this.maxBuckets = MAX_BUCKETS;
+    this.maxLookbackDays = MAX_LOOKBACK_DAYS;
+    console.log('📈 MetricsTrendsService initialized');
+  }
+
+  /**
+   * Resolve the trend window, defaulting to the last 30 days (daily) or 12 weeks (weekly)
+   * @returns {{ dateFrom: Date, dateTo: Date, bucketCount: number }}
+   */
+  resolveRange({ bucket = 'day', dateFrom, dateTo } = {}) {
+    const end = dateTo ? new Date(dateTo) : new Date();
+    const start = dateFrom
+      ? new Date(dateFrom)
+      : new Date(end.getTime() - DEFAULT_RANGE_DAYS[bucket] * DAY_MS);
+
+    return {
+      dateFrom: start,
+      dateTo: end,
+      bucketCount: countBuckets(start, end, bucket)
+    };
+  }
+
+  /**
+   * Oldest dateFrom a trend request may ask for
+   */
+  earliestDateFrom(now = new Date()) {
+    return new Date(now.getTime() - MAX_LOOKBACK_DAYS * DAY_MS);
+  }
+
+  /**
+   * Load completed tests for a window, applying platform/topic/persona/locale filters
+   * @param {object} filters - { urlAnalysisId, dateFrom, dateTo, platforms, topics, personas, locales, promptVersions }
+   *   platforms are llmProvider values; topics and personas are names/types;
+   *   locales are utils/locales localeKey values, e.g. "German (Germany)";
+   *   promptVersions 'current' leaves out tests of prompts edited since
+   */
+  async loadTests(userId, filters = {}) {
+    const { urlAnalysisId, dateFrom, dateTo, platforms = [], topics = [], personas = [], locales = [], promptVersions = 'all' } = filters;
+
+    const query = {
+      userId,
+      status: 'completed',
+      testedAt: { $gte: new Date(dateFrom), $lte: new Date(dateTo) },
+      ...promptVersionService.buildVersionQuery(promptVersions)
+    };
+
+    if (urlAnalysisId) query.urlAnalysisId = urlAnalysisId;
+    if (platforms.length > 0) query.llmProvider = { $in: platforms };
+    if (locales.length > 0) query.$or = locales.map(key => buildLocaleQuery(parseLocaleKey(key)));
+
+    if (topics.length > 0) {
+      query.topicId = { $in: await this.resolveIds(Topic, 'name', topics, userId, urlAnalysisId) };
+    }
+    if (personas.length > 0) {
+      query.personaId = { $in: await this.resolveIds(Persona, 'type', personas, userId, urlAnalysisId) };
+    }
+
+    return PromptTest.find(query)
+      .select('promptId llmProvider testedAt brandMetrics responseMetadata scorecard')
+      .sort({ testedAt: 1 })
+      .lean();
+  }
+
+  async resolveIds(Model, field, values, userId, urlAnalysisId) {
+    const query = { userId, [field]: { $in: values } };
+    if (urlAnalysisId) query.urlAnalysisId = urlAnalysisId;
+    return Model.find(query).distinct('_id');
+  }
+
+  /**
+   * Prompt edits (versions after the first) made in a window, so charts can
+   * mark where a trend line may shift because the question changed
+   */
+  async loadPromptEdits(userId, { urlAnalysisId, dateFrom, dateTo }) {
+    const query = {
+      userId,
+      version: { $gt: 1 },
+      createdAt: { $gte: new Date(dateFrom), $lte: new Date(dateTo) }
+    };
+    if (urlAnalysisId) query.urlAnalysisId = urlAnalysisId;
+
+    return PromptVersion.find(query).select('promptId version createdAt').lean();
+  }
+
+  /**
+   * Per-brand trend series
+   * @param {string} userId - User ID
+   * @param {object} options - { urlAnalysisId, bucket: 'day'|'week', dateFrom, dateTo, platforms, topics, personas, locales, promptVersions }
+   * @returns {Promise<object>} - { bucket, dateFrom, dateTo, userBrandName, buckets, series }
+   */
+  async getTrends(userId, options = {}) {
+    const bucket = options.bucket || 'day';
+    const { dateFrom, dateTo, bucketCount } = this.resolveRange({ ...options, bucket });
+    if (bucketCount > MAX_BUCKETS) {
+      throw new Error(`Range too large: ${bucketCount} ${bucket} buckets (max ${MAX_BUCKETS})`);
+    }
+
+    console.log(`📈 [TRENDS] ${bucket} trends for user ${userId} from ${dateFrom.toISOString()} to ${dateTo.toISOString()}`);
+
+    const [tests, brandContext, promptEdits] = await Promise.all([
+      this.loadTests(userId, { ...options, dateFrom, dateTo }),
+      metricsAggregationService.getBrandContext(userId, options.urlAnalysisId),
+      this.loadPromptEdits(userId, { urlAnalysisId: options.urlAnalysisId, dateFrom, dateTo })
+    ]);
+
+    // Group tests by bucket
+    const testsByBucket = {};
+    tests.forEach(test => {
+      const key = toBucketKey(getBucketStart(test.testedAt, bucket));
+      if (!testsByBucket[key]) testsByBucket[key] = [];
+      testsByBucket[key].push(test);
+    });
+
+    const editsByBucket = {};
+    promptEdits.forEach(edit => {
+      const key = toBucketKey(getBucketStart(edit.createdAt, bucket));
+      editsByBucket[key] = (editsByBucket[key] || 0) + 1;
+    });
+
+    const brandNames = Array.from(brandContext.brandNames);
+    const seriesByBrand = {};
+    brandNames.forEach(name => {
+      seriesByBrand[name] = {
+        brandName: name,
+        isOwner: name === brandContext.userBrandName,
+        points: []
+      };
+    });
+
+    const buckets = listBucketStarts(dateFrom, dateTo, bucket).map(start => {
+      const key = toBucketKey(start);
+      const bucketTests = testsByBucket[key] || [];
+      const brandMetrics = bucketTests.length > 0
+        ? metricsAggregationService.buildBrandMetrics(bucketTests, brandContext)
+        : [];
+
+      brandNames.forEach(name => {
+        const metrics = brandMetrics.find(b => b.brandName === name);
+        const point = { date: key };
+        TREND_METRICS.forEach(metric => {
+          // Empty buckets are null so charts show a gap rather than a drop to zero
+          point[metric] = metrics ? metrics[metric] : null;
+        });
+        // A brand that was never mentioned has no position
+        if (metrics && metrics.totalAppearances === 0) {
+          point.avgPosition = null;
+        }
+        seriesByBrand[name].points.push(point);
+      });
+
+      return {
+        date: key,
+        totalResponses: bucketTests.length,
+        totalPrompts: new Set(bucketTests.map(t => t.promptId?.toString())).size,
+        promptEdits: editsByBucket[key] || 0
+      };
+    });
+
+    // User's brand first, then competitors by their latest visibility
+    const latestVisibility = (series) => {
+      const withData = series.points.filter(p => p.visibilityScore !== null);
+      return withData.length > 0 ? withData[withData.length - 1].visibilityScore : -1;
+    };
+    const series = Object.values(seriesByBrand).sort((a, b) => {
+      if (a.isOwner !== b.isOwner) return a.isOwner ? -1 : 1;
+      return latestVisibility(b) - latestVisibility(a);
+    });
+
+    console.log(`✅ [TRENDS] ${tests.length} tests in ${buckets.length} buckets for ${series.length} brands`);
+
+    return {
+      bucket,
+      dateFrom,
+      dateTo,
+      promptVersions: options.promptVersions || 'all',
+      userBrandName: brandContext.userBrandName,
+      metrics: TREND_METRICS,
+      buckets,
+      series
+    };
+  }
+}
+
+module.exports = new MetricsTrendsService();
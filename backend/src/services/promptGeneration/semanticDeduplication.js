@@ -0,0 +1,296 @@
+/**
+ * Semantic deduplication for prompt generation
+ *
+ * The hash and edit-distance checks in ./deduplication only catch prompts
+ * that share most of their wording. This stage compares embeddings
+ * (services/embeddingService), so rewordings such as "Which CRM is best for
+ * a startup" / "Best CRM for startups" are merged too - both within one
+ * generation batch and against the prompts an analysis already has.
+ *
+ * The default local backend is lexical: it only merges rewordings that keep
+ * the same words. Paraphrases in other words ("Best CRM for startups" /
+ * "Which CRM should a new startup pick") need a model backend
+ * (EMBEDDING_PROVIDER=openai-compatible).
+ *
+ * Threshold (cosine similarity at or above which two prompts are merged):
+ * the per-request override, else PROMPT_DEDUP_THRESHOLD, else a default for
+ * the embedding backend in use.
+ */
+const Prompt = require('../../models/Prompt');
+const embeddingService = require('../embeddingService');
+const { cosineSimilarity } = require('../../utils/semanticClustering');
+const { buildLocaleQuery } = require('../../utils/locales');
+const { normalizePromptText } = require('./deduplication');
+
+// Hashed local vectors score a rewording with the same words around 0.78-0.87,
+// a different question on mostly the same words ("cheapest" vs "best CRM for
+// startups") around 0.67 and a paraphrase in other words around 0.5, so they
+// can't catch paraphrases. Model embeddings score higher overall.
+const DEFAULT_DEDUP_THRESHOLDS = {
+  'local': 0.75,
+  'openai-compatible': 0.85
+};
+
+const MAX_EXISTING_PROMPTS = 1000;
+
+/**
+ * Threshold from PROMPT_DEDUP_THRESHOLD, or null when unset or invalid
+ */
+function getConfiguredThreshold(env = process.env) {
+  if (env.PROMPT_DEDUP_THRESHOLD === undefined || env.PROMPT_DEDUP_THRESHOLD === '') {
+    return null;
+  }
+
+  const value = Number(env.PROMPT_DEDUP_THRESHOLD);
+  if (!Number.isFinite(value) || value <= 0 || value > 1) {
+    console.warn(`⚠️  [DEDUP] Ignoring PROMPT_DEDUP_THRESHOLD="${env.PROMPT_DEDUP_THRESHOLD}" - expected a number in (0, 1]`);
+    return null;
+  }
+  return value;
+}
+
+class SemanticDeduplicator {
+  /**
+   * @param {object} options - { threshold } overrides the configured/default threshold
+   */
+  constructor({ threshold = null } = {}) {
+    this.threshold = threshold ?? getConfiguredThreshold();
+    this.embedding = null; // { provider, model } of the vectors held
+    this.vectors = new Map(); // normalized text -> vector
+    this.texts = new Map(); // normalized text -> original text, to re-embed on a backend switch
+    this.kept = []; // { key, id, text, source }
+    this.merged = new Map(); // normalized text -> merge record
+  }
+
+  /**
+   * Similarity cut-off in effect for the vectors held
+   */
+  getThreshold() {
+    if (this.threshold !== null) return this.threshold;
+    const provider = this.embedding?.provider || embeddingService.getInfo().provider;
+    return DEFAULT_DEDUP_THRESHOLDS[provider] ?? DEFAULT_DEDUP_THRESHOLDS.local;
+  }
+
+  /**
+   * Embed texts that have no vector yet. If the backend answers with a
+   * different model than before (e.g. the remote API failed and this batch
+   * fell back to local), everything is re-embedded so all vectors compare.
+   * @param {Array<string>} texts
+   */
+  async prepare(texts) {
+    const pending = new Map();
+    texts.forEach(text => {
+      const key = normalizePromptText(text || '');
+      if (key && !this.vectors.has(key) && !pending.has(key)) pending.set(key, text);
+    });
+    if (pending.size === 0) return;
+
+    const result = await embeddingService.embed([...pending.values()]);
+    if (this.embedding && this.embedding.model !== result.model) {
+      pending.forEach((text, key) => this.texts.set(key, text));
+      return this.reembedAll();
+    }
+
+    this.embedding = { provider: result.provider, model: result.model };
+    [...pending.entries()].forEach(([key, text], index) => {
+      this.texts.set(key, text);
+      this.vectors.set(key, result.vectors[index]);
+    });
+  }
+
+  async reembedAll() {
+    const entries = [...this.texts.entries()];
+    const result = await embeddingService.embed(entries.map(([, text]) => text));
+    this.embedding = { provider: result.provider, model: result.model };
+    entries.forEach(([key], index) => this.vectors.set(key, result.vectors[index]));
+  }
+
+  /**
+   * Seed with prompts that already exist; candidates that mean the same are
+   * merged into them
+   * @param {Array<{ _id, text }>} prompts
+   */
+  async addExisting(prompts) {
+    await this.prepare(prompts.map(prompt => prompt.text));
+    prompts.forEach(prompt => {
+      this.kept.push({
+        key: normalizePromptText(prompt.text),
+        id: prompt._id.toString(),
+        text: prompt.text,
+        source: 'existing'
+      });
+    });
+  }
+
+  /**
+   * Most similar kept prompt at or above the threshold
+   * @returns {{ prompt: object, similarity: number }|null}
+   */
+  findMatch(text) {
+    const key = normalizePromptText(text || '');
+    const vector = this.vectors.get(key);
+    if (!vector) return null;
+
+    const threshold = this.getThreshold();
+    let best = null;
+    for (const kept of this.kept) {
+      if (kept.key === key) {
+        return { prompt: kept, similarity: 1 };
+      }
+      const keptVector = this.vectors.get(kept.key);
+      if (!keptVector) continue;
+      const similarity = cosineSimilarity(vector, keptVector);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { prompt: kept, similarity };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Check a generated prompt (call prepare() with its text first). Returns
+   * the merge record when it duplicates a kept prompt, or null.
+   * @param {object} promptData - { promptText, topicName, personaType }
+   */
+  check(promptData) {
+    const key = normalizePromptText(promptData.promptText || '');
+    if (this.merged.has(key)) return this.merged.get(key);
+
+    const match = this.findMatch(promptData.promptText);
+    if (!match) return null;
+
+    const similarity = Math.round(match.similarity * 100) / 100;
+    const record = {
+      text: promptData.promptText,
+      topicName: promptData.topicName || null,
+      personaType: promptData.personaType || null,
+      mergedInto: {
+        id: match.prompt.id,
+        text: match.prompt.text,
+        source: match.prompt.source
+      },
+      similarity,
+      reason: `${Math.round(similarity * 100)}% similar to ${match.prompt.source === 'existing' ? 'an existing prompt' : 'a prompt generated in this batch'}`
+    };
+    this.merged.set(key, record);
+    return record;
+  }
+
+  /**
+   * Keep a generated prompt: later candidates are checked against it
+   */
+  accept(promptData) {
+    this.kept.push({
+      key: normalizePromptText(promptData.promptText),
+      id: null,
+      text: promptData.promptText,
+      source: 'batch'
+    });
+  }
+
+  /**
+   * Once a kept prompt of this batch is saved, point its merges at it
+   */
+  linkSaved(text, promptId) {
+    const key = normalizePromptText(text || '');
+    this.merged.forEach(record => {
+      if (record.mergedInto.source === 'batch' && normalizePromptText(record.mergedInto.text) === key) {
+        record.mergedInto.id = promptId.toString();
+      }
+    });
+  }
+
+  /**
+   * All merges so far
+   * @returns {Array<object>}
+   */
+  getMerged() {
+    return [...this.merged.values()];
+  }
+
+  /**
+   * Merges into a prompt of this batch, in the shape stored on
+   * Prompt.metadata.mergedDuplicates
+   */
+  getMergesInto(text) {
+    const key = normalizePromptText(text || '');
+    return this.getMerged()
+      .filter(record => record.mergedInto.source === 'batch' && normalizePromptText(record.mergedInto.text) === key)
+      .map(toStoredMerge);
+  }
+
+  /**
+   * Record merges into existing prompts on those prompts
+   * @returns {Promise<number>} - prompts updated
+   */
+  async saveExistingMerges(userId) {
+    const byPrompt = new Map();
+    this.getMerged()
+      .filter(record => record.mergedInto.source === 'existing')
+      .forEach(record => {
+        const list = byPrompt.get(record.mergedInto.id) || [];
+        list.push(toStoredMerge(record));
+        byPrompt.set(record.mergedInto.id, list);
+      });
+
+    await Promise.all([...byPrompt.entries()].map(([promptId, merges]) =>
+      Prompt.updateOne(
+        { _id: promptId, userId },
+        { $push: { 'metadata.mergedDuplicates': { $each: merges } } }
+      )
+    ));
+    return byPrompt.size;
+  }
+
+  /**
+   * Embedding backend and threshold used, plus the merge count, for responses
+   */
+  getSummary() {
+    const info = this.embedding || embeddingService.getInfo();
+    return {
+      provider: info.provider,
+      model: info.model,
+      threshold: this.getThreshold(),
+      mergedCount: this.merged.size
+    };
+  }
+}
+
+function toStoredMerge(record) {
+  return {
+    text: record.text,
+    similarity: record.similarity,
+    reason: record.reason,
+    source: record.mergedInto.source,
+    mergedAt: new Date()
+  };
+}
+
+/**
+ * Deduplicator seeded with an analysis' active prompts in one locale
+ * @param {object} params - { userId, urlAnalysisId, locale, threshold }
+ * @returns {Promise<SemanticDeduplicator>}
+ */
+async function createAnalysisDeduplicator({ userId, urlAnalysisId, locale, threshold = null }) {
+  const deduplicator = new SemanticDeduplicator({ threshold });
+  const existing = await Prompt.find({
+    userId,
+    urlAnalysisId,
+    status: 'active',
+    ...buildLocaleQuery(locale)
+  })
+    .select('text')
+    .sort({ createdAt: 1 })
+    .limit(MAX_EXISTING_PROMPTS)
+    .lean();
+
+  await deduplicator.addExisting(existing);
+  return deduplicator;
+}
+
+module.exports = {
+  DEFAULT_DEDUP_THRESHOLDS,
+  getConfiguredThreshold,
+  SemanticDeduplicator,
+  createAnalysisDeduplicator
+};
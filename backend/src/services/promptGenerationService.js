@@ -1,4 +1,5 @@
 const axios = require('axios');
+const spendService = require('./spendService');
 // Removed hyperparameters config dependency
 
 // Import modular components
@@ -33,6 +34,8 @@ const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
  * @param {Object} params.options - Optional configuration overrides
  * @param {Object} params.options.queryTypeDistribution - Override query type distribution
  * @param {Number} params.options.brandedPercentage - Override branded percentage
+ * @param {Object} params.options.deduplicator - SemanticDeduplicator (promptGeneration/semanticDeduplication);
+ *   when given, prompts that mean the same as a kept or existing prompt are merged away
  * @returns {Promise<Array>} Array of generated prompts
  */
 async function generatePrompts({
@@ -287,6 +290,10 @@ async function generatePrompts({
     // This replaces the previous 3-pass approach with a single efficient pass
     console.log(`\n🔍 [OPTIMIZED] Starting single-pass hash-based deduplication...`);
     const dedupStartTime = Date.now();
+    const deduplicator = options?.deduplicator || null;
+    if (deduplicator) {
+      await deduplicator.prepare(allPrompts.map(p => p.promptText));
+    }
     
     const finalPromptsByCombination = new Map(); // Use Map for O(1) operations
     const globalSeenTexts = new Map(); // Track seen texts: hash -> normalized text (for near-duplicate checking)
@@ -352,10 +359,16 @@ async function generatePrompts({
           }
         }
       }
+
+      // Semantic check: same meaning as a kept or existing prompt
+      if (!isDuplicate && deduplicator && deduplicator.check(promptData)) {
+        isDuplicate = true;
+      }
       
       // If not a duplicate, add it
       if (!isDuplicate) {
         globalSeenTexts.set(textHash, normText);
+        deduplicator?.accept(promptData);
         finalPromptsByCombination.get(key).push(promptData);
         combinationCounts.set(key, currentCount + 1);
       }
@@ -378,7 +391,8 @@ async function generatePrompts({
           const textHash = simpleHash(normText);
           
           // Only add if not already in this combination and not a global duplicate
-          if (!usedHashes.has(textHash) && !globalSeenTexts.has(textHash)) {
+          if (!usedHashes.has(textHash) && !globalSeenTexts.has(textHash) && !deduplicator?.check(prompt)) {
+            deduplicator?.accept(prompt);
             finalPromptsByCombination.get(key).push(prompt);
             combinationCounts.set(key, currentCount + 1);
             currentCount++;
@@ -391,6 +405,10 @@ async function generatePrompts({
     
     const dedupDuration = ((Date.now() - dedupStartTime) / 1000).toFixed(3);
     console.log(`   ✅ Deduplication complete in ${dedupDuration}s (single-pass optimized)`);
+    if (deduplicator) {
+      const { mergedCount, threshold, model } = deduplicator.getSummary();
+      console.log(`   🧭 Semantic dedup merged ${mergedCount} prompts (${model}, threshold ${threshold})`);
+    }
     
     // Flatten to final array
     const finalValidatedPrompts = [];
@@ -549,6 +567,10 @@ async function generatePrompts({
           const fillDuration = ((Date.now() - fillStartTime) / 1000).toFixed(2);
           console.log(`   ⏱️  All additional prompts generated in ${fillDuration}s (parallel processing)`);
           
+          if (deduplicator) {
+            await deduplicator.prepare(fillResults.flatMap(result => result.value?.prompts || []).map(p => p.promptText));
+          }
+
           // Process results sequentially to maintain exact count (deduplication requires sequential processing)
           let totalAdded = 0;
           let remainingToFill = missing;
@@ -571,7 +593,8 @@ async function generatePrompts({
                 const textHash = simpleHash(normText);
                 
                 // Check if not a duplicate globally or locally
-                if (!existingHashes.has(textHash) && !globalSeenTexts.has(textHash)) {
+                if (!existingHashes.has(textHash) && !globalSeenTexts.has(textHash) && !deduplicator?.check(prompt)) {
+                  deduplicator?.accept(prompt);
                   existingPrompts.push(prompt);
                   existingHashes.add(textHash);
                   globalSeenTexts.set(textHash, normText);
@@ -705,6 +728,8 @@ async function generatePromptsForCombination({
       }
     );
 
+    await spendService.recordResponse('prompt_generation', 'openai/gpt-4o-mini', response.data);
+
     // Check if response structure is valid
     if (!response.data || !response.data.choices || !response.data.choices[0] || !response.data.choices[0].message) {
       console.error(`❌ Invalid response structure for prompt generation:`, response.data);
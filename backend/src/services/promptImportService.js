@@ -0,0 +1,308 @@
+/**
+ * Prompt Import Service
+ *
+ * Turns real search queries - a CSV or Search Console export, or GA4
+ * site-search terms - into prompts for an analysis. Each query becomes a
+ * conversational prompt with a queryType from its intent (utils/queryImport),
+ * is assigned the selected Topic and Persona closest to it by embedding
+ * similarity, and is dropped when it means the same as an existing prompt or
+ * an earlier query (promptGeneration/semanticDeduplication).
+ */
+
+const Prompt = require('../models/Prompt');
+const Topic = require('../models/Topic');
+const Persona = require('../models/Persona');
+const UrlAnalysis = require('../models/UrlAnalysis');
+const embeddingService = require('./embeddingService');
+const { createAnalysisDeduplicator } = require('./promptGeneration/semanticDeduplication');
+const { cosineSimilarity } = require('../utils/semanticClustering');
+const { parseCsv } = require('../utils/csv');
+const { normalizeQuery, rejectQuery, toConversationalPrompt, classifyQueryType, readQueryCsvRows } = require('../utils/queryImport');
+const { normalizeLocale, resolveAnalysisLocales } = require('../utils/locales');
+const { runReport } = require('../utils/ga4ApiClient');
+const { normalizeDateRange } = require('../utils/ga4DateHelpers');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+const SOURCES = ['csv', 'search_console', 'ga4'];
+const DEFAULT_MAX_QUERIES = 100;
+const MAX_QUERIES = 500;
+const MAX_CSV_ROWS = 5000;
+const GA4_REPORT_LIMIT = 1000;
+
+// Question templates are English; other languages keep the query's own wording
+const CONVERSION_LANGUAGE = 'English';
+
+class PromptImportService {
+  constructor() {
+    // Most queries one import converts; routes validate maxQueries against it
+    this.maxQueries = MAX_QUERIES;
+    console.log('📥 PromptImportService initialized');
+  }
+
+  /**
+   * Queries from a CSV or Search Console export
+   * @param {string} csv - File contents
+   * @returns {{ source: 'csv'|'search_console', rows: Array<object> }}
+   */
+  parseCsvQueries(csv) {
+    const { format, rows } = readQueryCsvRows(parseCsv(csv));
+    if (rows.length > MAX_CSV_ROWS) {
+      throw new ValidationError(`A query import can contain at most ${MAX_CSV_ROWS} rows`, [
+        { field: 'csv', message: `Split the file into chunks of ${MAX_CSV_ROWS} rows.` }
+      ]);
+    }
+    return { source: format, rows };
+  }
+
+  /**
+   * Site-search terms (view_search_results events) from GA4, most searched first
+   * @param {object} connection - landingPageTrafficService.resolveConnection result
+   * @param {object} options - { dateRange ('30 days'), startDate, endDate }
+   * @returns {Promise<Array<{ query: string, searches: number }>>}
+   */
+  async fetchGA4SearchTerms(connection, options = {}) {
+    const dateRange = options.startDate || options.endDate ? null : options.dateRange || '30 days';
+    const { startDate, endDate } = normalizeDateRange(options.startDate, options.endDate, dateRange);
+
+    const data = await runReport(connection.accessToken, connection.propertyId, {
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: 'searchTerm' }],
+      metrics: [{ name: 'eventCount' }],
+      dimensionFilter: {
+        filter: {
+          fieldName: 'eventName',
+          stringFilter: { matchType: 'EXACT', value: 'view_search_results' }
+        }
+      },
+      orderBys: [{ metric: { metricName: 'eventCount' }, desc: true }],
+      keepEmptyRows: false,
+      limit: GA4_REPORT_LIMIT
+    });
+
+    const rows = (data?.rows || []).map(row => ({
+      query: row.dimensionValues?.[0]?.value || '',
+      searches: parseInt(row.metricValues?.[0]?.value, 10) || 0
+    }));
+
+    console.log(`📥 [IMPORT] ${rows.length} GA4 site-search terms for property ${connection.propertyId} (${startDate} - ${endDate})`);
+    return rows;
+  }
+
+  /**
+   * Convert, assign and deduplicate queries, then save them as prompts
+   * @param {string} userId
+   * @param {object} params
+   * @param {string} params.urlAnalysisId
+   * @param {string} params.source - csv | search_console | ga4
+   * @param {Array<object>} params.rows - { query, line?, clicks?, impressions?, searches? }
+   * @param {object} params.locale - Defaults to the analysis' first locale
+   * @param {boolean} params.dryRun - Preview only, nothing is saved
+   * @param {number} params.maxQueries - Top queries to import (by clicks, then impressions/searches)
+   * @param {number} params.dedupThreshold - Semantic dedup similarity cut-off
+   * @returns {Promise<object>} - { source, locale, dryRun, items, skipped, summary }
+   */
+  async importQueries(userId, {
+    urlAnalysisId,
+    source,
+    rows,
+    locale = null,
+    dryRun = false,
+    maxQueries = DEFAULT_MAX_QUERIES,
+    dedupThreshold = null
+  }) {
+    if (!SOURCES.includes(source)) {
+      throw new ValidationError(`source must be one of: ${SOURCES.join(', ')}`);
+    }
+
+    const analysis = await UrlAnalysis.findOne({ _id: urlAnalysisId, userId }).select('_id locales').lean();
+    if (!analysis) {
+      throw new NotFoundError('URL analysis');
+    }
+
+    const [topics, personas] = await Promise.all([
+      Topic.find({ userId, urlAnalysisId: analysis._id, selected: true }).select('name description keywords').lean(),
+      Persona.find({ userId, urlAnalysisId: analysis._id, selected: true }).select('type description painPoints goals').lean()
+    ]);
+    if (topics.length === 0 || personas.length === 0) {
+      throw new ValidationError('Select at least 1 topic and 1 persona before importing queries');
+    }
+
+    const targetLocale = locale ? normalizeLocale(locale) : resolveAnalysisLocales(analysis)[0];
+    const { queries, skipped, truncated } = this.collectQueries(rows, Math.min(maxQueries, MAX_QUERIES));
+
+    const items = queries.map(entry => ({
+      query: entry.query,
+      promptText: targetLocale.language === CONVERSION_LANGUAGE
+        ? toConversationalPrompt(entry.query)
+        : entry.query.charAt(0).toUpperCase() + entry.query.slice(1),
+      queryType: classifyQueryType(entry.query),
+      metrics: { clicks: entry.clicks, impressions: entry.impressions, searches: entry.searches }
+    }));
+
+    await this.assignTopicsAndPersonas(items, topics, personas);
+
+    const deduplicator = await createAnalysisDeduplicator({
+      userId,
+      urlAnalysisId: analysis._id,
+      locale: targetLocale,
+      threshold: dedupThreshold
+    });
+    await deduplicator.prepare(items.map(item => item.promptText));
+
+    items.forEach(item => {
+      const merge = deduplicator.check({
+        promptText: item.promptText,
+        topicName: item.topic.name,
+        personaType: item.persona.type
+      });
+      if (merge) {
+        item.status = 'merged';
+        item.mergedInto = merge.mergedInto;
+        item.similarity = merge.similarity;
+        item.reason = merge.reason;
+        return;
+      }
+      deduplicator.accept({ promptText: item.promptText });
+      item.status = dryRun ? 'ready' : 'imported';
+    });
+
+    if (!dryRun) {
+      await this.savePrompts(userId, analysis._id, source, targetLocale, items.filter(item => item.status === 'imported'));
+      // Queries merged into one imported earlier in this file point at its saved prompt
+      items.filter(item => item.status === 'imported').forEach(item => deduplicator.linkSaved(item.promptText, item.promptId));
+    }
+
+    const count = (status) => items.filter(item => item.status === status).length;
+    const summary = {
+      received: rows.length,
+      converted: items.length,
+      imported: count('imported'),
+      ready: count('ready'),
+      merged: count('merged'),
+      skipped: skipped.length,
+      truncated,
+      deduplication: deduplicator.getSummary()
+    };
+
+    console.log(`📥 [IMPORT] ${source}: ${summary.received} rows -> ${dryRun ? `${summary.ready} ready` : `${summary.imported} imported`}, ${summary.merged} merged, ${summary.skipped} skipped${truncated ? `, ${truncated} over the limit` : ''}`);
+
+    return { source, locale: targetLocale, dryRun, items, skipped, summary };
+  }
+
+  /**
+   * Normalized, valid, unique queries ranked by traffic; the same query on
+   * several rows (e.g. per country) is summed into one
+   */
+  collectQueries(rows, limit) {
+    const skipped = [];
+    const byKey = new Map();
+
+    rows.forEach((row, index) => {
+      const query = normalizeQuery(row.query);
+      const reason = rejectQuery(query);
+      if (reason) {
+        skipped.push({ line: row.line ?? index + 1, query: row.query || '', reason });
+        return;
+      }
+
+      const key = query.toLowerCase();
+      const entry = byKey.get(key) || { query, clicks: 0, impressions: 0, searches: 0, order: index };
+      entry.clicks += row.clicks || 0;
+      entry.impressions += row.impressions || 0;
+      entry.searches += row.searches || 0;
+      byKey.set(key, entry);
+    });
+
+    const ranked = [...byKey.values()].sort((a, b) =>
+      b.clicks - a.clicks ||
+      (b.impressions + b.searches) - (a.impressions + a.searches) ||
+      a.order - b.order
+    );
+
+    return {
+      queries: ranked.slice(0, limit),
+      skipped,
+      truncated: Math.max(0, ranked.length - limit)
+    };
+  }
+
+  /**
+   * Closest topic and persona per item, by cosine similarity of the query to
+   * their names and descriptions. Without any overlap the first one is used.
+   */
+  async assignTopicsAndPersonas(items, topics, personas) {
+    const topicTexts = topics.map(topic => [topic.name, topic.description, (topic.keywords || []).join(', ')].filter(Boolean).join('. '));
+    const personaTexts = personas.map(persona => [
+      persona.type,
+      persona.description,
+      (persona.painPoints || []).join(', '),
+      (persona.goals || []).join(', ')
+    ].filter(Boolean).join('. '));
+
+    const { vectors } = await embeddingService.embed([...topicTexts, ...personaTexts, ...items.map(item => item.query)]);
+    const topicVectors = vectors.slice(0, topics.length);
+    const personaVectors = vectors.slice(topics.length, topics.length + personas.length);
+    const queryVectors = vectors.slice(topics.length + personas.length);
+
+    const closest = (vector, candidates) => candidates.reduce((best, candidate, index) => {
+      const similarity = cosineSimilarity(vector, candidate);
+      return similarity > best.similarity ? { index, similarity } : best;
+    }, { index: 0, similarity: 0 });
+
+    items.forEach((item, index) => {
+      const topic = closest(queryVectors[index], topicVectors);
+      const persona = closest(queryVectors[index], personaVectors);
+      item.topic = {
+        id: topics[topic.index]._id.toString(),
+        name: topics[topic.index].name,
+        similarity: Math.round(topic.similarity * 100) / 100
+      };
+      item.persona = {
+        id: personas[persona.index]._id.toString(),
+        type: personas[persona.index].type,
+        similarity: Math.round(persona.similarity * 100) / 100
+      };
+    });
+  }
+
+  async savePrompts(userId, urlAnalysisId, source, locale, items) {
+    if (items.length === 0) return;
+
+    const importedAt = new Date();
+    const saved = await Prompt.insertMany(items.map(item => ({
+      userId,
+      urlAnalysisId,
+      topicId: item.topic.id,
+      personaId: item.persona.id,
+      title: `${item.topic.name} × ${item.persona.type} - ${item.queryType}`,
+      text: item.promptText,
+      queryType: item.queryType,
+      locale,
+      status: 'active',
+      metadata: {
+        generatedBy: 'import',
+        targetPersonas: [item.persona.type],
+        importSource: {
+          source,
+          query: item.query,
+          clicks: item.metrics.clicks,
+          impressions: item.metrics.impressions,
+          searches: item.metrics.searches,
+          importedAt
+        }
+      }
+    })));
+    saved.forEach((prompt, index) => {
+      items[index].promptId = prompt._id.toString();
+    });
+
+    // Keep topic prompt counts right
+    const topicIds = [...new Set(items.map(item => item.topic.id))];
+    await Promise.all(topicIds.map(async topicId => {
+      const count = await Prompt.countDocuments({ userId, topicId, status: 'active' });
+      await Topic.updateOne({ userId, _id: topicId }, { $set: { promptCount: count } });
+    }));
+  }
+}
+
+module.exports = new PromptImportService();
@@ -0,0 +1,530 @@
+/**
+ * Prompt Test Queue Service
+ *
+ * MongoDB-backed job queue for prompt testing runs. POST /api/prompts/test
+ * enqueues a PromptTestRun and returns immediately; this service polls for
+ * queued runs, executes them one at a time through promptTestingService and
+ * records per-prompt progress on the run document.
+ *
+ * Runs survive restarts: a worker heartbeats while it owns a run, and any
+ * 'running' run whose heartbeat goes stale is put back in the queue. Prompts
+ * already recorded in processedPromptIds are skipped when the run resumes.
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const PromptTestRun = require('../models/PromptTestRun');
+const PromptTest = require('../models/PromptTest');
+const VisibilitySchedule = require('../models/VisibilitySchedule');
+const spendService = require('./spendService');
+const { runInWorkspace } = require('../utils/workspaceContext');
+const { getFixtureMode } = require('../utils/llmFixtures');
+
+const POLL_INTERVAL_MS = 5000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const STALE_RUN_MS = 2 * 60 * 1000; // A running run with no heartbeat for 2 minutes is considered orphaned
+const MAX_ATTEMPTS = 3;
+const DUPLICATE_KEY = 11000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class PromptTestQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollTimer = null;
+    this.isProcessing = false;
+    console.log('📬 PromptTestQueueService initialized');
+  }
+
+  /**
+   * Start polling for queued runs. Safe to call more than once.
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    console.log(`📬 [QUEUE] Worker ${this.workerId} polling every ${POLL_INTERVAL_MS}ms`);
+    this.pollTimer = setInterval(() => {
+      this.tick().catch(error => {
+        console.error('❌ [QUEUE] Poll failed:', error.message);
+      });
+    }, POLL_INTERVAL_MS);
+
+    // Don't keep the process alive just for the queue
+    if (this.pollTimer.unref) {
+      this.pollTimer.unref();
+    }
+
+    this.tick().catch(error => {
+      console.error('❌ [QUEUE] Initial poll failed:', error.message);
+    });
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Queue a new test run, or return the run already active for this user/analysis
+   * @param {string} userId - User ID
+   * @param {object} options - { urlAnalysisId, testLimit, batchSize, samplesPerPrompt, trigger, scheduleId, aggregateMetrics }
+   * @returns {Promise<{ run: object, alreadyActive: boolean }>}
+   * @throws {BudgetExceededError} - when the run's estimate doesn't fit in a hard-stop budget
+   */
+  async enqueue(userId, options = {}) {
+    const urlAnalysisId = options.urlAnalysisId || null;
+
+    const activeRun = await this.findActiveRun(userId, urlAnalysisId);
+    if (activeRun) {
+      console.log(`📬 [QUEUE] Run ${activeRun._id} already ${activeRun.status} for user ${userId}`);
+      return { run: activeRun, alreadyActive: true };
+    }
+
+    // Hard stop for every caller (test button, onboarding, schedules)
+    await this.assertRunWithinBudget({ userId, urlAnalysisId }, {
+      testLimit: options.testLimit,
+      samplesPerPrompt: options.samplesPerPrompt
+    });
+
+    let run;
+    try {
+      run = await PromptTestRun.create({
+        userId,
+        urlAnalysisId,
+        options: {
+          testLimit: options.testLimit,
+          batchSize: options.batchSize,
+          samplesPerPrompt: options.samplesPerPrompt
+        },
+        trigger: options.trigger || 'manual',
+        scheduleId: options.scheduleId || undefined,
+        aggregateMetrics: options.aggregateMetrics === true
+      });
+    } catch (error) {
+      // Queued by a concurrent request (one active run per analysis is a unique index)
+      const concurrentRun = error.code === DUPLICATE_KEY ? await this.findActiveRun(userId, urlAnalysisId) : null;
+      if (concurrentRun) {
+        console.log(`📬 [QUEUE] Run ${concurrentRun._id} was queued concurrently for user ${userId}`);
+        return { run: concurrentRun, alreadyActive: true };
+      }
+      throw error;
+    }
+
+    console.log(`📬 [QUEUE] Queued test run ${run._id} for user ${userId}`);
+
+    // Pick it up right away rather than waiting for the next poll
+    setImmediate(() => {
+      this.tick().catch(error => {
+        console.error('❌ [QUEUE] Poll failed:', error.message);
+      });
+    });
+
+    return { run: run.toObject(), alreadyActive: false };
+  }
+
+  async findActiveRun(userId, urlAnalysisId) {
+    return PromptTestRun.findOne({
+      userId,
+      urlAnalysisId,
+      status: { $in: ACTIVE_STATUSES }
+    }).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Request cancellation. Queued runs are cancelled immediately; running runs
+   * stop before their next batch.
+   * @returns {Promise<object|null>} - Updated run, or null if not found
+   */
+  async cancel(runId, userId) {
+    const run = await PromptTestRun.findOne({ _id: runId, userId });
+    if (!run) {
+      return null;
+    }
+
+    if (run.status === 'queued') {
+      run.status = 'cancelled';
+      run.cancelRequested = true;
+      run.finishedAt = new Date();
+      await run.save();
+      await this.updateSchedule(run, 'cancelled');
+      console.log(`🛑 [QUEUE] Cancelled queued run ${run._id}`);
+    } else if (run.status === 'running') {
+      run.cancelRequested = true;
+      await run.save();
+      console.log(`🛑 [QUEUE] Cancellation requested for running run ${run._id}`);
+    }
+
+    return run.toObject();
+  }
+
+  async getRun(runId, userId) {
+    return PromptTestRun.findOne({ _id: runId, userId })
+      .select('-promptIds -processedPromptIds')
+      .lean();
+  }
+
+  async listRuns(userId, { urlAnalysisId, limit = 20 } = {}) {
+    const query = { userId };
+    if (urlAnalysisId) query.urlAnalysisId = urlAnalysisId;
+
+    return PromptTestRun.find(query)
+      .select('-promptIds -processedPromptIds')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * One poll cycle: requeue orphaned runs, then process the next queued run
+   */
+  async tick() {
+    if (this.isProcessing || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      await this.recoverStaleRuns();
+
+      let run = await this.claimNextRun();
+      while (run) {
+        await this.processRun(run);
+        run = await this.claimNextRun();
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Put runs whose worker stopped heartbeating back in the queue
+   */
+  async recoverStaleRuns() {
+    const staleBefore = new Date(Date.now() - STALE_RUN_MS);
+    const staleRuns = await PromptTestRun.find({
+      status: 'running',
+      $or: [
+        { heartbeatAt: { $lt: staleBefore } },
+        { heartbeatAt: null }
+      ]
+    }).select('_id attempts cancelRequested scheduleId').lean();
+
+    for (const run of staleRuns) {
+      if (run.cancelRequested) {
+        await PromptTestRun.updateOne(
+          { _id: run._id, status: 'running' },
+          { $set: { status: 'cancelled', finishedAt: new Date(), updatedAt: new Date() } }
+        );
+        await this.updateSchedule(run, 'cancelled');
+        console.log(`🛑 [QUEUE] Orphaned run ${run._id} was cancelled`);
+      } else if (run.attempts >= MAX_ATTEMPTS) {
+        await PromptTestRun.updateOne(
+          { _id: run._id, status: 'running' },
+          {
+            $set: {
+              status: 'failed',
+              error: `Run was interrupted ${run.attempts} times and will not be retried`,
+              finishedAt: new Date(),
+              updatedAt: new Date()
+            }
+          }
+        );
+        await this.updateSchedule(run, 'failed', 'Run was interrupted too many times');
+        console.warn(`⚠️  [QUEUE] Orphaned run ${run._id} exceeded ${MAX_ATTEMPTS} attempts - marked failed`);
+      } else {
+        await PromptTestRun.updateOne(
+          { _id: run._id, status: 'running' },
+          { $set: { status: 'queued', workerId: null, updatedAt: new Date() } }
+        );
+        console.log(`♻️  [QUEUE] Requeued orphaned run ${run._id} (attempt ${run.attempts}/${MAX_ATTEMPTS})`);
+      }
+    }
+  }
+
+  /**
+   * Atomically claim the oldest queued run for this worker
+   */
+  async claimNextRun() {
+    const now = new Date();
+    return PromptTestRun.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: {
+          status: 'running',
+          workerId: this.workerId,
+          heartbeatAt: now,
+          updatedAt: now
+        },
+        $inc: { attempts: 1 },
+        $min: { startedAt: now }
+      },
+      { sort: { queuedAt: 1 }, new: true }
+    ).lean();
+  }
+
+  /**
+   * Execute a claimed run to completion, cancellation or failure.
+   * LLM spend during the run is billed to the run's user and analysis, and
+   * the run reads and writes data in the run's workspace.
+   */
+  async processRun(run) {
+    return runInWorkspace({ workspaceId: run.workspaceId, userId: run.userId }, () =>
+      spendService.runWithContext(
+        { userId: run.userId, urlAnalysisId: run.urlAnalysisId, testRunId: run._id },
+        () => this.executeRun(run)
+      )
+    );
+  }
+
+  async executeRun(run) {
+    const runId = run._id;
+    const isResume = Array.isArray(run.promptIds) && run.promptIds.length > 0;
+    console.log(`\n▶️  [QUEUE] Processing run ${runId} (attempt ${run.attempts}${isResume ? ', resuming' : ''})`);
+
+    const heartbeat = setInterval(() => {
+      PromptTestRun.updateOne(
+        { _id: runId, workerId: this.workerId },
+        { $set: { heartbeatAt: new Date() } }
+      ).catch(error => console.error(`❌ [QUEUE] Heartbeat failed for run ${runId}:`, error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+      const options = {
+        urlAnalysisId: run.urlAnalysisId,
+        testLimit: run.options?.testLimit,
+        batchSize: run.options?.batchSize,
+        samplesPerPrompt: run.options?.samplesPerPrompt,
+        testRunId: runId,
+        shouldCancel: async () => (await this.isCancelRequested(runId)) || (await this.isBudgetExhausted(run)),
+        onPromptTested: (prompt, results) => this.recordPromptProgress(runId, prompt, results)
+      };
+
+      if (isResume) {
+        const processed = new Set((run.processedPromptIds || []).map(id => id.toString()));
+        const remaining = run.promptIds.filter(id => !processed.has(id.toString()));
+        console.log(`♻️  [QUEUE] Run ${runId}: ${processed.size} prompts already tested, ${remaining.length} remaining`);
+        options.promptIds = remaining;
+
+        if (remaining.length === 0) {
+          await this.finishRun(runId, { cancelled: false });
+          return;
+        }
+        await this.assertRunWithinBudget(run, { promptCount: remaining.length, samplesPerPrompt: run.options?.samplesPerPrompt });
+      } else {
+        await this.assertRunWithinBudget(run, { testLimit: run.options?.testLimit, samplesPerPrompt: run.options?.samplesPerPrompt });
+        options.onPromptsSelected = (prompts) => PromptTestRun.updateOne(
+          { _id: runId },
+          {
+            $set: {
+              promptIds: prompts.map(p => p._id),
+              'progress.totalPrompts': prompts.length,
+              updatedAt: new Date()
+            }
+          }
+        );
+      }
+
+      // Lazy require - the testing service needs OPENROUTER_API_KEY at load time
+      const promptTestingService = require('./promptTestingService');
+      const result = await promptTestingService.testAllPrompts(run.userId, options);
+
+      await this.finishRun(runId, { cancelled: result.cancelled });
+    } catch (error) {
+      console.error(`❌ [QUEUE] Run ${runId} failed:`, error.message);
+      await PromptTestRun.updateOne(
+        { _id: runId },
+        {
+          $set: {
+            status: 'failed',
+            error: error.message,
+            finishedAt: new Date(),
+            updatedAt: new Date()
+          }
+        }
+      );
+      await this.updateSchedule(run, 'failed', error.message);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Refuse to queue or start a run whose estimate doesn't fit in a hard-stop
+   * budget (checked again at start: spend may have grown while it was queued)
+   */
+  async assertRunWithinBudget(run, { testLimit = null, promptCount = null, samplesPerPrompt = null }) {
+    const estimate = await spendService.estimateTestRun(run.userId, {
+      urlAnalysisId: run.urlAnalysisId,
+      testLimit,
+      promptCount,
+      samplesPerPrompt
+    });
+    console.log(`💰 [QUEUE] Estimated run cost: $${estimate.estimatedCost} (${estimate.totalCalls} calls)`);
+    await spendService.assertWithinBudget(run.userId, {
+      urlAnalysisId: run.urlAnalysisId,
+      amount: estimate.estimatedCost,
+      estimate
+    });
+  }
+
+  /**
+   * Stop a running run once a hard-stop budget is used up; the reason is kept on the run
+   */
+  async isBudgetExhausted(run) {
+    const { allowed, exceeded } = await spendService.checkBudget(run.userId, { urlAnalysisId: run.urlAnalysisId });
+    if (allowed) {
+      return false;
+    }
+
+    const [budget] = exceeded;
+    const message = `Stopped: the $${budget.monthlyLimit} monthly ${budget.scope} budget was reached`;
+    console.warn(`💰 [QUEUE] Run ${run._id}: ${message}`);
+    await PromptTestRun.updateOne({ _id: run._id }, { $set: { error: message, updatedAt: new Date() } });
+    return true;
+  }
+
+  async isCancelRequested(runId) {
+    const run = await PromptTestRun.findById(runId).select('cancelRequested').lean();
+    return !run || run.cancelRequested === true;
+  }
+
+  async recordPromptProgress(runId, prompt, results) {
+    const tests = Array.isArray(results) ? results : [];
+    const completedTests = tests.filter(r => r && r.status === 'completed').length;
+    const failedTests = tests.filter(r => r && r.status === 'failed').length;
+
+    try {
+      await PromptTestRun.updateOne(
+        { _id: runId, processedPromptIds: { $ne: prompt._id } },
+        {
+          $addToSet: { processedPromptIds: prompt._id },
+          $inc: {
+            'progress.processedPrompts': 1,
+            'progress.completedTests': completedTests,
+            'progress.failedTests': failedTests
+          },
+          $set: { heartbeatAt: new Date(), updatedAt: new Date() }
+        }
+      );
+    } catch (error) {
+      // Progress is best-effort; the tests themselves are already saved
+      console.error(`❌ [QUEUE] Failed to record progress for run ${runId}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark a run completed or cancelled and store a summary built from every
+   * test saved under it (including tests from earlier attempts)
+   */
+  async finishRun(runId, { cancelled }) {
+    const { calculateSummary } = require('./promptTesting/summary');
+    const tests = await PromptTest.find({ testRunId: runId })
+      .select('status llmProvider scorecard')
+      .lean();
+
+    const summary = calculateSummary(tests);
+    const status = cancelled ? 'cancelled' : 'completed';
+
+    await PromptTestRun.updateOne(
+      { _id: runId },
+      {
+        $set: {
+          status,
+          summary: {
+            ...summary,
+            totalTests: tests.length,
+            completedTests: tests.filter(t => t.status === 'completed').length,
+            failedTests: tests.filter(t => t.status === 'failed').length
+          },
+          finishedAt: new Date(),
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    console.log(`✅ [QUEUE] Run ${runId} ${status} (${tests.length} tests)`);
+
+    const run = await PromptTestRun.findById(runId)
+      .select('userId urlAnalysisId scheduleId aggregateMetrics startedAt finishedAt')
+      .lean();
+
+    if (!cancelled && run?.aggregateMetrics) {
+      await this.aggregateRunMetrics(run);
+    }
+
+    // Check newly cited URLs in the background; fixture runs stay offline
+    if (!cancelled && run?.urlAnalysisId && getFixtureMode() === 'off') {
+      const citationVerificationService = require('./citationVerificationService');
+      citationVerificationService.startVerification(run.userId, run.urlAnalysisId);
+    }
+
+    await this.updateSchedule(run, status);
+  }
+
+  /**
+   * Refresh the analysis's live metrics over all of its tests, then keep a
+   * snapshot of every scope for the run's own tests for historical comparison.
+   * A run usually covers a few prompts, so its results never replace the live
+   * documents. Failures are recorded on the run but don't change its status -
+   * the tests themselves completed.
+   */
+  async aggregateRunMetrics(run) {
+    try {
+      const metricsAggregationService = require('./metricsAggregationService');
+      const userId = run.userId.toString();
+      const live = await metricsAggregationService.calculateMetrics(userId, { urlAnalysisId: run.urlAnalysisId });
+      const snapshot = await metricsAggregationService.calculateMetrics(userId, {
+        urlAnalysisId: run.urlAnalysisId,
+        testRunId: run._id,
+        dateFrom: run.startedAt,
+        dateTo: run.finishedAt,
+        snapshot: { testRunId: run._id, scheduleId: run.scheduleId },
+        snapshotOnly: true
+      });
+      const result = live.success ? snapshot : live;
+
+      await PromptTestRun.updateOne(
+        { _id: run._id },
+        result.success
+          ? { $set: { metricsAggregatedAt: new Date(), updatedAt: new Date() } }
+          : { $set: { metricsError: result.message, updatedAt: new Date() } }
+      );
+      console.log(`📊 [QUEUE] Run ${run._id} metrics ${result.success ? 'aggregated' : 'skipped: ' + result.message}`);
+    } catch (error) {
+      console.error(`❌ [QUEUE] Metrics aggregation failed for run ${run._id}:`, error.message);
+      await PromptTestRun.updateOne(
+        { _id: run._id },
+        { $set: { metricsError: error.message, updatedAt: new Date() } }
+      );
+    }
+  }
+
+  /**
+   * Record the final status of a scheduled run on its schedule
+   */
+  async updateSchedule(run, status, errorMessage = null) {
+    if (!run?.scheduleId) {
+      return;
+    }
+
+    try {
+      await VisibilitySchedule.updateOne(
+        { _id: run.scheduleId, lastRunId: run._id },
+        { $set: { lastRunStatus: status, lastError: errorMessage, updatedAt: new Date() } }
+      );
+    } catch (error) {
+      console.error(`❌ [QUEUE] Failed to update schedule ${run.scheduleId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new PromptTestQueueService();
@@ -1,13 +1,31 @@
 /**
  * LLM API calling logic for prompt testing
  */
-const axios = require('axios');
+
+const { DEFAULT_LOCALE, isDefaultLocale, normalizeLocale } = require('../../utils/locales');
 
 /**
  * Get system prompt for LLMs to request citations
+ * @param {object} locale - Optional { region, language } the user is asking from
  * @returns {string} - System prompt text
  */
-function getLLMSystemPrompt() {
+function getLLMSystemPrompt(locale = null) {
+  const basePrompt = getBaseSystemPrompt();
+  if (!locale || isDefaultLocale(locale)) {
+    return basePrompt;
+  }
+
+  const { region, language } = normalizeLocale(locale);
+  const regionHint = region === DEFAULT_LOCALE.region
+    ? ''
+    : ` The user is located in ${region}: prefer brands, products, prices and sources that are available and relevant there.`;
+
+  return `${basePrompt}
+
+LOCALE: Answer in ${language}.${regionHint} Keep brand and product names as they are known locally.`;
+}
+
+function getBaseSystemPrompt() {
   return `You are a helpful AI assistant providing comprehensive answers to user questions.
 
 IMPORTANT: When providing information about companies, brands, products, or services, please include relevant citations and links whenever possible. This helps users verify information and access additional resources.
@@ -28,64 +46,41 @@ Be thorough, accurate, and helpful in your responses.`;
 }
 
 /**
- * Call a specific LLM via OpenRouter with retry logic
+ * Call a specific LLM through its provider adapter with retry logic
  * @param {string} promptText - The prompt to send
- * @param {string} llmProvider - LLM provider name
+ * @param {string} llmProvider - LLM provider ID (see config/llmProviders)
  * @param {object} promptDoc - Original prompt document
- * @param {object} config - Configuration object with API key, base URL, models, etc.
+ * @param {object} config - Configuration object, optional llmModels overrides per provider
+ *   and locale ({ region, language }) for the system prompt
  * @param {number} retryCount - Current retry attempt (internal use)
  * @returns {Promise<object>} - LLM response with metadata
  */
-async function callLLM(promptText, llmProvider, promptDoc, config, retryCount = 0) {
+async function callLLM(promptText, llmProvider, promptDoc, config = {}, retryCount = 0) {
   const maxRetries = 3;
   const baseDelay = 2000; // 2 seconds
   const startTime = Date.now();
 
   try {
-    const model = config.llmModels[llmProvider];
+    const providerRegistry = require('./providers');
+    const adapter = providerRegistry.getAdapter(llmProvider);
+    const model = config.llmModels?.[llmProvider] || adapter.model;
     if (retryCount === 0) {
       console.log(`      🌐 [API] Calling ${llmProvider} (${model})...`);
     }
 
-    const response = await axios.post(
-      `${config.openRouterBaseUrl}/chat/completions`,
+    const completion = await adapter.complete([
       {
-        model: model,
-        messages: [
-          {
-            role: 'system',
-            content: getLLMSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: promptText
-          }
-        ],
-        temperature: 0.6, // Reduced for more consistent outputs
-        top_p: 0.9, // Nucleus sampling for focused responses
-        max_tokens: 1500, // Reduced to control costs
-        frequency_penalty: 0.3, // Discourage repetition
-        presence_penalty: 0.3 // Encourage variety
+        role: 'system',
+        content: getLLMSystemPrompt(config.locale)
       },
       {
-        headers: {
-          'Authorization': `Bearer ${config.openRouterApiKey}`,
-          'HTTP-Referer': process.env.OPENROUTER_REFERER || process.env.FRONTEND_URL || 'https://rankly.ai',
-          'X-Title': 'Rankly AEO Platform',
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000 // 1 minute timeout (with retry logic, this is safe and faster failure detection)
+        role: 'user',
+        content: promptText
       }
-    );
-
-    // Check if response structure is valid
-    if (!response.data || !response.data.choices || !response.data.choices[0] || !response.data.choices[0].message) {
-      console.error(`❌ Invalid response structure for LLM call (${llmProvider}):`, response.data);
-      throw new Error('Invalid response from AI service');
-    }
+    ], { model });
 
     const responseTime = Date.now() - startTime;
-    const content = response.data.choices[0].message.content;
+    const content = completion.content;
     
     // Check if content looks like an error message
     if (typeof content === 'string' && (
@@ -103,11 +98,19 @@ async function callLLM(promptText, llmProvider, promptDoc, config, retryCount =
       console.error(`❌ API returned error message instead of response for ${llmProvider}:`, content);
       throw new Error(`AI service returned error: ${content}`);
     }
-    const tokensUsed = response.data.usage?.total_tokens || 0;
+    const tokensUsed = completion.usage.totalTokens;
+    const estimatedCost = adapter.estimateCost(completion.usage);
+
+    const spendService = require('../spendService');
+    await spendService.record('prompt_test', {
+      provider: llmProvider,
+      model,
+      usage: completion.data?.usage || completion.usage
+    });
 
     // Extract citations from response using citation extraction service
     const citationExtractionService = require('../citationExtractionService');
-    const citations = citationExtractionService.extractCitations(response.data, llmProvider, content);
+    const citations = citationExtractionService.extractCitations(completion.data, llmProvider, content);
 
     if (retryCount > 0) {
       console.log(`      ✅ [API] ${llmProvider} responded after ${retryCount} retry(ies) in ${responseTime}ms (${tokensUsed} tokens, ${content.length} chars, ${citations.length} citations)`);
@@ -120,6 +123,8 @@ async function callLLM(promptText, llmProvider, promptDoc, config, retryCount =
       citations,
       responseTime,
       tokensUsed,
+      usage: completion.usage,
+      estimatedCost,
       model: model
     };
 
@@ -0,0 +1,38 @@
+/**
+ * Adapter for Azure OpenAI deployments
+ * The deployment is part of the URL, so `model` is only recorded on the test.
+ */
+const OpenAICompatibleAdapter = require('./openAICompatibleAdapter');
+
+class AzureOpenAIAdapter extends OpenAICompatibleAdapter {
+  constructor(definition, env = process.env) {
+    super(definition, env);
+    this.deployment = (definition.deploymentEnv && env[definition.deploymentEnv]) || definition.deployment;
+    this.apiVersion = definition.apiVersion || '2024-06-01';
+  }
+
+  getConfigurationError() {
+    if (!this.deployment) {
+      return `no deployment (set ${this.definition.deploymentEnv || 'deployment'})`;
+    }
+    return super.getConfigurationError();
+  }
+
+  getUrl() {
+    return `${this.baseUrl}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions?api-version=${this.apiVersion}`;
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'api-key': this.apiKey
+    };
+  }
+
+  getBody(messages, model) {
+    const { model: _model, ...body } = super.getBody(messages, model);
+    return body;
+  }
+}
+
+module.exports = AzureOpenAIAdapter;
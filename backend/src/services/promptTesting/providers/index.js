@@ -0,0 +1,122 @@
+/**
+ * LLM Provider Registry
+ *
+ * Builds one adapter per provider in config/llmProviders and answers "which
+ * platforms do we test against" for the rest of the backend, so adding a
+ * provider is a config change rather than an edit to every provider list.
+ */
+const { loadProviderDefinitions } = require('../../../config/llmProviders');
+const OpenAICompatibleAdapter = require('./openAICompatibleAdapter');
+const OpenRouterAdapter = require('./openRouterAdapter');
+const AzureOpenAIAdapter = require('./azureOpenAIAdapter');
+
+const ADAPTERS = {
+  'openrouter': OpenRouterAdapter,
+  'openai-compatible': OpenAICompatibleAdapter,
+  'azure-openai': AzureOpenAIAdapter
+};
+
+class LLMProviderRegistry {
+  constructor() {
+    this.definitions = {};
+    this.adapters = {};
+    this.enabledIds = [];
+    this.load();
+  }
+
+  /**
+   * (Re)load provider definitions and build adapters
+   * Enabled providers that are missing credentials are skipped with a warning.
+   */
+  load(env = process.env) {
+    this.definitions = loadProviderDefinitions(env);
+    this.adapters = {};
+    this.enabledIds = [];
+
+    Object.values(this.definitions).forEach(definition => {
+      const Adapter = ADAPTERS[definition.adapter];
+      const adapter = new Adapter(definition, env);
+      this.adapters[definition.id] = adapter;
+
+      if (!definition.enabled) return;
+
+      const configError = adapter.getConfigurationError();
+      if (configError) {
+        console.warn(`⚠️  [LLM PROVIDERS] Skipping ${definition.id}: ${configError}`);
+        return;
+      }
+      this.enabledIds.push(definition.id);
+    });
+
+    console.log(`🔌 [LLM PROVIDERS] Enabled: ${this.enabledIds.join(', ') || 'none'}`);
+  }
+
+  /**
+   * Provider IDs prompts are tested against
+   */
+  getEnabledIds() {
+    return [...this.enabledIds];
+  }
+
+  /**
+   * Every configured provider ID, enabled or not (for reading historical tests)
+   */
+  getAllIds() {
+    return Object.keys(this.definitions);
+  }
+
+  getAdapter(providerId) {
+    const adapter = this.adapters[providerId];
+    if (!adapter) {
+      throw new Error(`Unknown LLM provider: ${providerId}`);
+    }
+    return adapter;
+  }
+
+  getDefinition(providerId) {
+    return this.definitions[providerId] || null;
+  }
+
+  /**
+   * Display name shown in the dashboard (e.g. openai -> ChatGPT)
+   */
+  getDisplayName(providerId) {
+    return this.definitions[providerId]?.displayName || providerId;
+  }
+
+  /**
+   * Map a display name, alias or ID from the frontend to a provider ID
+   */
+  resolveProviderId(name) {
+    if (!name) return name;
+    if (this.definitions[name]) return name;
+
+    const lower = name.toLowerCase();
+    const match = Object.values(this.definitions).find(definition =>
+      definition.id === lower ||
+      definition.displayName.toLowerCase() === lower ||
+      definition.aliases.some(alias => alias.toLowerCase() === lower)
+    );
+    return match ? match.id : name;
+  }
+
+  /**
+   * Structured citation rules for a provider, or null if it only cites inline
+   */
+  getCitationRules(providerId) {
+    return this.definitions[providerId]?.citations || null;
+  }
+
+  /**
+   * Public summary of enabled providers for the frontend
+   */
+  listEnabledProviders() {
+    return this.enabledIds.map(id => ({
+      id,
+      displayName: this.definitions[id].displayName,
+      model: this.definitions[id].model
+    }));
+  }
+}
+
+module.exports = new LLMProviderRegistry();
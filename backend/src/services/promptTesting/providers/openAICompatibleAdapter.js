@@ -0,0 +1,107 @@
+/**
+ * Adapter for any OpenAI-compatible /chat/completions API
+ * (xAI, DeepSeek, Mistral, self-hosted vLLM/Ollama...)
+ */
+const llmFixtureService = require('../../llmFixtureService');
+const { calculateCost } = require('../../../config/modelPricing');
+
+const DEFAULT_PARAMETERS = {
+  temperature: 0.6, // Reduced for more consistent outputs
+  top_p: 0.9, // Nucleus sampling for focused responses
+  max_tokens: 1500, // Reduced to control costs
+  frequency_penalty: 0.3, // Discourage repetition
+  presence_penalty: 0.3 // Encourage variety
+};
+
+class OpenAICompatibleAdapter {
+  /**
+   * @param {object} definition - Resolved provider definition from config/llmProviders
+   * @param {object} env - Environment to read keys and URLs from
+   */
+  constructor(definition, env = process.env) {
+    this.id = definition.id;
+    this.definition = definition;
+    this.model = definition.model;
+    this.baseUrl = ((definition.baseUrlEnv && env[definition.baseUrlEnv]) || definition.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = definition.apiKeyEnv ? env[definition.apiKeyEnv] : undefined;
+    this.timeout = definition.timeout || 60000; // 1 minute (with retry logic, this is safe and faster failure detection)
+  }
+
+  /**
+   * Why the provider can't be called, or null when it's ready
+   * @returns {string|null}
+   */
+  getConfigurationError() {
+    if (!this.baseUrl) {
+      return `no base URL (set ${this.definition.baseUrlEnv || 'baseUrl'})`;
+    }
+    if (!this.apiKey && !this.definition.apiKeyOptional) {
+      return `no API key (set ${this.definition.apiKeyEnv || 'apiKeyEnv'})`;
+    }
+    return null;
+  }
+
+  getUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Request body; provider `parameters` override the defaults and null removes one
+   */
+  getBody(messages, model) {
+    const body = { model, messages };
+    const parameters = { ...DEFAULT_PARAMETERS, ...this.definition.parameters };
+    Object.entries(parameters).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) body[key] = value;
+    });
+    return body;
+  }
+
+  /**
+   * Send a chat completion
+   * @param {Array<object>} messages - Chat messages
+   * @param {object} options - { model } to override the configured model
+   * @returns {Promise<object>} - { content, data, model, usage: { promptTokens, completionTokens, totalTokens } }
+   */
+  async complete(messages, options = {}) {
+    const model = options.model || this.model;
+    const response = await llmFixtureService.post(this.getUrl(), this.getBody(messages, model), {
+      headers: this.getHeaders(),
+      timeout: this.timeout
+    }, { model });
+
+    const data = response.data;
+    if (!data || !data.choices || !data.choices[0] || !data.choices[0].message) {
+      console.error(`❌ Invalid response structure for LLM call (${this.id}):`, data);
+      throw new Error('Invalid response from AI service');
+    }
+
+    return {
+      content: data.choices[0].message.content,
+      data,
+      model,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Estimated USD cost of a call from the provider's per-1M-token pricing
+   */
+  estimateCost(usage) {
+    return calculateCost(this.definition.pricing, usage);
+  }
+}
+
+module.exports = OpenAICompatibleAdapter;
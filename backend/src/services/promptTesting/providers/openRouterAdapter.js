@@ -0,0 +1,25 @@
+/**
+ * Adapter for models routed through OpenRouter
+ */
+const OpenAICompatibleAdapter = require('./openAICompatibleAdapter');
+
+class OpenRouterAdapter extends OpenAICompatibleAdapter {
+  constructor(definition, env = process.env) {
+    super({
+      baseUrl: 'https://openrouter.ai/api/v1',
+      apiKeyEnv: 'OPENROUTER_API_KEY',
+      ...definition
+    }, env);
+    this.referer = env.OPENROUTER_REFERER || env.FRONTEND_URL || 'https://rankly.ai';
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'HTTP-Referer': this.referer,
+      'X-Title': 'Rankly AEO Platform'
+    };
+  }
+}
+
+module.exports = OpenRouterAdapter;
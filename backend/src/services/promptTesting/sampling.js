@@ -2,9 +2,14 @@
  * Smart sampling logic for prompt testing
  */
 
+const { localeKey } = require('../../utils/locales');
+
+// Upper bound on repeated samples per prompt/provider (each sample is one paid LLM call)
+const MAX_SAMPLES_PER_PROMPT = 10;
+
 /**
  * Smart sampling: Select a balanced subset of prompts
- * Ensures even distribution across topic×persona combinations
+ * Ensures even distribution across topic×persona×locale combinations
  * @param {Array} prompts - All available prompts
  * @param {number} limit - Maximum number of prompts to select
  * @returns {Array} - Sampled prompts
@@ -15,12 +20,12 @@ function samplePrompts(prompts, limit) {
     return prompts;
   }
 
-  // Group prompts by topic×persona combination for balanced sampling
+  // Group prompts by topic×persona×locale combination for balanced sampling
   const promptsByCombination = {};
   prompts.forEach(prompt => {
     const topicId = prompt.topicId?._id || prompt.topicId;
     const personaId = prompt.personaId?._id || prompt.personaId;
-    const combinationKey = `${topicId}_${personaId}`;
+    const combinationKey = `${topicId}_${personaId}_${localeKey(prompt.locale)}`;
     
     if (!promptsByCombination[combinationKey]) {
       promptsByCombination[combinationKey] = [];
@@ -35,12 +40,12 @@ function samplePrompts(prompts, limit) {
   console.log(`   📊 Sampling strategy:`);
   console.log(`      - Total prompts: ${prompts.length}`);
   console.log(`      - Limit: ${limit}`);
-  console.log(`      - Topic×Persona combinations: ${combinations.length}`);
+  console.log(`      - Topic×Persona×Locale combinations: ${combinations.length}`);
   console.log(`      - Per combination: ${promptsPerCombination} (+ ${remainder} for first ${remainder} combinations)`);
 
   const sampledPrompts = [];
 
-  // Sample evenly from each topic×persona combination
+  // Sample evenly from each topic×persona×locale combination
   combinations.forEach((combinationKey, index) => {
     const comboPrompts = promptsByCombination[combinationKey];
     // Add 1 extra to first few combinations to handle remainder
@@ -52,7 +57,7 @@ function samplePrompts(prompts, limit) {
     
     const topicName = sampled[0]?.topicId?.name || 'Unknown';
     const personaName = sampled[0]?.personaId?.type || 'Unknown';
-    console.log(`      - ${topicName} × ${personaName}: ${sampled.length}/${comboPrompts.length} prompts`);
+    console.log(`      - ${topicName} × ${personaName} × ${localeKey(sampled[0]?.locale)}: ${sampled.length}/${comboPrompts.length} prompts`);
     sampledPrompts.push(...sampled);
   });
 
@@ -60,8 +65,38 @@ function samplePrompts(prompts, limit) {
   return sampledPrompts;
 }
 
+/**
+ * Number of times each prompt is sent to each provider in a run. LLM answers are
+ * non-deterministic, so repeated samples tighten the confidence intervals on the
+ * aggregated metrics. Falls back to PROMPT_TEST_SAMPLES, then 1.
+ * @param {number} [value] - Per-run override
+ * @returns {number} - Integer from 1 to MAX_SAMPLES_PER_PROMPT
+ */
+function resolveSamplesPerPrompt(value) {
+  const isValid = (n) => Number.isInteger(n) && n >= 1 && n <= MAX_SAMPLES_PER_PROMPT;
+
+  if (value !== undefined && value !== null) {
+    if (!isValid(value)) {
+      throw new Error(`samplesPerPrompt must be an integer from 1 to ${MAX_SAMPLES_PER_PROMPT}`);
+    }
+    return value;
+  }
+
+  if (process.env.PROMPT_TEST_SAMPLES) {
+    const fromEnv = Number(process.env.PROMPT_TEST_SAMPLES);
+    if (isValid(fromEnv)) {
+      return fromEnv;
+    }
+    console.warn(`⚠️  Ignoring PROMPT_TEST_SAMPLES=${process.env.PROMPT_TEST_SAMPLES} (expected 1-${MAX_SAMPLES_PER_PROMPT})`);
+  }
+
+  return 1;
+}
+
 module.exports = {
-  samplePrompts
+  MAX_SAMPLES_PER_PROMPT,
+  samplePrompts,
+  resolveSamplesPerPrompt
 };
 
 
@@ -9,6 +9,11 @@ const citationClassificationService = require('./citationClassificationService')
 const brandPatternService = require('./brandPatternService');
 const sentimentAnalysisService = require('./sentimentAnalysisService');
 const scoringService = require('./scoringService');
+const promptVersionService = require('./promptVersionService');
+const citationOverrideService = require('./citationOverrideService');
+const { resolveSamplesPerPrompt } = require('./promptTesting/sampling');
+const { normalizeLocale, localeKey } = require('../utils/locales');
+const { findCitationOverride } = require('../utils/citationOverrides');
 
 class PromptTestingService {
   constructor(options = {}) {
@@ -20,16 +25,14 @@ class PromptTestingService {
       throw new Error('OPENROUTER_API_KEY environment variable is required');
     }
 
-    // Default LLM models configuration - Low-cost models for testing
-    // ✅ FIX: Enable web search (:online) for better citation accuracy with real-time URLs
-    // Web search allows models to access real-time web data and provide more accurate, specific URLs
-    // instead of just domain names from training data
-    this.llmModels = options.models || {
-      openai: 'openai/gpt-4o-mini:online', // Enabled web search for real-time URLs
-      gemini: 'google/gemini-2.0-flash-001:online', // Enabled web search for real-time URLs
-      claude: 'anthropic/claude-3-5-haiku:online', // Enabled web search for real-time URLs
-      perplexity: 'perplexity/sonar' // Perplexity already has web search built-in
-    };
+    // Providers and their models come from config/llmProviders (LLM_PROVIDERS / LLM_PROVIDERS_FILE)
+    // options.models can still override the model per provider
+    this.providerRegistry = require('./promptTesting/providers');
+    const configuredModels = {};
+    this.providerRegistry.getAllIds().forEach(id => {
+      configuredModels[id] = this.providerRegistry.getDefinition(id).model;
+    });
+    this.llmModels = { ...configuredModels, ...options.models };
 
     // PHASE 1 OPTIMIZATION: Default prompt testing configuration
     // Changed default from 5 to Infinity (test all prompts) for better coverage
@@ -42,9 +45,13 @@ class PromptTestingService {
     // Testing strategy: 'all', 'sample', 'priority'
     this.testingStrategy = options.testingStrategy || 'all';
 
-    console.log('📋 [LLM MODELS] Configured:', this.llmModels);
+    // Repeated samples per prompt/provider (PROMPT_TEST_SAMPLES, default 1)
+    this.samplesPerPrompt = resolveSamplesPerPrompt(options.samplesPerPrompt);
+
+    console.log('📋 [LLM MODELS] Configured:', this.providerRegistry.getEnabledIds().map(id => `${id}=${this.llmModels[id]}`).join(', '));
     console.log(`🎯 [TEST LIMIT] Max prompts to test: ${this.maxPromptsToTest === Infinity ? 'ALL (unlimited)' : this.maxPromptsToTest}`);
     console.log(`🎯 [TEST STRATEGY] Strategy: ${this.testingStrategy}`);
+    console.log(`🎯 [SAMPLES] ${this.samplesPerPrompt} sample(s) per prompt per provider`);
     console.log('🧪 PromptTestingService initialized (optimized - Phase 1)');
   }
 
@@ -52,6 +59,14 @@ class PromptTestingService {
    * Main function: Test all prompts for a user
    * @param {string} userId - User ID
    * @param {object} options - Testing options
+   * @param {string} [options.urlAnalysisId] - Only test prompts for this analysis
+   * @param {number} [options.testLimit] - Max prompts to sample
+   * @param {number} [options.samplesPerPrompt] - Times each prompt is sent to each provider (default PROMPT_TEST_SAMPLES or 1)
+   * @param {Array<string>} [options.promptIds] - Test exactly these prompts (no sampling)
+   * @param {string} [options.testRunId] - PromptTestRun to link saved tests to
+   * @param {Function} [options.onPromptsSelected] - async (prompts) => void, called once prompts are chosen
+   * @param {Function} [options.onPromptTested] - async (prompt, results) => void, called after each prompt
+   * @param {Function} [options.shouldCancel] - async () => boolean, checked before each batch
    * @returns {Promise<object>} - Test results summary
    */
   async testAllPrompts(userId, options = {}) {
@@ -86,6 +101,12 @@ class PromptTestingService {
       } else {
         console.warn('⚠️ [WARNING] No urlAnalysisId provided - will test prompts from ALL analyses (may mix data)');
       }
+
+      // Restrict to an explicit prompt set (used when resuming a queued test run)
+      if (Array.isArray(options.promptIds)) {
+        promptQuery._id = { $in: options.promptIds };
+        console.log(`🔍 [FILTER] Restricting to ${options.promptIds.length} explicit prompt IDs`);
+      }
       
       console.log('🔍 [QUERY] Prompt query:', JSON.stringify(promptQuery, null, 2));
       const allPrompts = await Prompt.find(promptQuery)
@@ -97,7 +118,10 @@ class PromptTestingService {
       console.log(`✅ [QUERY] Found ${allPrompts.length} prompts${options.urlAnalysisId ? ` for analysis ${options.urlAnalysisId}` : ' (all analyses)'}`);
       
       // PHASE 1 OPTIMIZATION: Apply smart sampling if limit is set
-      const testLimit = options.testLimit ?? options.maxPromptsToTest ?? this.maxPromptsToTest;
+      // An explicit prompt set has already been sampled, so never sample it again
+      const testLimit = Array.isArray(options.promptIds)
+        ? Infinity
+        : (options.testLimit ?? options.maxPromptsToTest ?? this.maxPromptsToTest);
       
       let prompts;
       if (testLimit === Infinity || testLimit >= allPrompts.length) {
@@ -115,6 +139,15 @@ class PromptTestingService {
         console.error('❌ [ERROR] No prompts found for testing');
         throw new Error('No prompts found for testing');
       }
+
+      const samplesPerPrompt = resolveSamplesPerPrompt(options.samplesPerPrompt ?? this.samplesPerPrompt);
+      if (samplesPerPrompt > 1) {
+        console.log(`🔁 [SAMPLES] Each prompt will be sent ${samplesPerPrompt} times to every provider`);
+      }
+
+      if (options.onPromptsSelected) {
+        await options.onPromptsSelected(prompts);
+      }
       
       console.log(`📊 [INFO] Prompts breakdown:`);
       prompts.forEach((p, idx) => {
@@ -162,12 +195,26 @@ class PromptTestingService {
       // ✅ FIX: Pass urlAnalysisId to getBrandContext to ensure data isolation
       const brandContext = await this.getBrandContext(userId, latestUrlAnalysis._id);
       console.log(`✅ [CONTEXT] Brand: ${brandContext.companyName}, Competitors: ${brandContext.competitors.length}`);
+
+      // Test one prompt and report progress, even if the prompt could not be tested
+      const testPromptWithProgress = async (prompt) => {
+        let results = [];
+        try {
+          results = await this.testSinglePrompt(prompt, brandContext, latestUrlAnalysis._id, options.testRunId, samplesPerPrompt);
+          return results;
+        } finally {
+          if (options.onPromptTested) {
+            await options.onPromptTested(prompt, results);
+          }
+        }
+      };
       
       let flatResults;
+      let cancelled = false;
       
       if (this.aggressiveParallelization) {
         // FIX #5: Rate-limited batching to prevent rate limit failures while maintaining performance
-        const BATCH_SIZE = 10; // Process 10 prompts at a time (each prompt = 4 LLM calls = 40 concurrent calls)
+        const BATCH_SIZE = 10; // Process 10 prompts at a time (each prompt = samplesPerPrompt LLM calls per enabled provider)
         const RATE_LIMIT_DELAY = 100; // 100ms delay between batches to avoid rate limits
         
         console.log(`\n🚀 [RATE-LIMITED BATCHING] Processing ${prompts.length} prompts in batches of ${BATCH_SIZE}`);
@@ -181,13 +228,19 @@ class PromptTestingService {
         for (let i = 0; i < prompts.length; i += BATCH_SIZE) {
           const batch = prompts.slice(i, i + BATCH_SIZE);
           const batchNum = Math.floor(i / BATCH_SIZE) + 1;
+
+          if (options.shouldCancel && await options.shouldCancel()) {
+            console.log(`   🛑 [CANCELLED] Stopping before batch ${batchNum}/${totalBatches}`);
+            cancelled = true;
+            break;
+          }
           
           console.log(`   📦 [BATCH ${batchNum}/${totalBatches}] Processing ${batch.length} prompts...`);
           const batchStartTime = Date.now();
           
           // Process batch in parallel
           const batchResults = await Promise.allSettled(
-            batch.map(prompt => this.testSinglePrompt(prompt, brandContext, latestUrlAnalysis._id))
+            batch.map(prompt => testPromptWithProgress(prompt))
           );
           
           const batchDuration = ((Date.now() - batchStartTime) / 1000).toFixed(2);
@@ -228,6 +281,12 @@ class PromptTestingService {
         for (let i = 0; i < prompts.length; i += batchSize) {
           const batch = prompts.slice(i, i + batchSize);
           const batchNum = Math.floor(i / batchSize) + 1;
+
+          if (options.shouldCancel && await options.shouldCancel()) {
+            console.log(`🛑 [CANCELLED] Stopping before batch ${batchNum}/${totalBatches}`);
+            cancelled = true;
+            break;
+          }
           
           console.log(`${'─'.repeat(60)}`);
           console.log(`📦 [BATCH ${batchNum}/${totalBatches}] Processing ${batch.length} prompts`);
@@ -235,7 +294,7 @@ class PromptTestingService {
           
           const batchStartTime = Date.now();
           const batchResults = await Promise.all(
-            batch.map(prompt => this.testSinglePrompt(prompt, brandContext, latestUrlAnalysis._id))
+            batch.map(prompt => testPromptWithProgress(prompt))
           );
           const batchDuration = ((Date.now() - batchStartTime) / 1000).toFixed(2);
           
@@ -265,6 +324,7 @@ class PromptTestingService {
       
       return {
         success: true,
+        cancelled,
         summary,
         totalTests: flatResults.length,
         completedTests: flatResults.filter(r => r.status === 'completed').length,
@@ -279,13 +339,15 @@ class PromptTestingService {
   }
 
   /**
-   * Test a single prompt across all 4 LLMs
+   * Test a single prompt across all enabled LLM providers
    * @param {object} prompt - Prompt document
    * @param {object} brandContext - Brand context for scoring
    * @param {string} urlAnalysisId - URL analysis ID to link test to
-   * @returns {Promise<Array>} - Array of test results
+   * @param {string} testRunId - Optional PromptTestRun ID to link test to
+   * @param {number} samplesPerPrompt - Independent responses to collect from each provider
+   * @returns {Promise<Array>} - Array of test results (one per provider per sample)
    */
-  async testSinglePrompt(prompt, brandContext, urlAnalysisId) {
+  async testSinglePrompt(prompt, brandContext, urlAnalysisId, testRunId = null, samplesPerPrompt = 1) {
     try {
       // Safety checks for demo reliability
       if (!prompt || typeof prompt !== 'object') {
@@ -311,43 +373,50 @@ class PromptTestingService {
       console.log(`   Query Type: ${prompt.queryType || 'MISSING'}`);
       console.log(`   Topic ID: ${prompt.topicId?._id || prompt.topicId || 'MISSING'}`);
       console.log(`   Persona ID: ${prompt.personaId?._id || prompt.personaId || 'MISSING'}`);
+      console.log(`   Locale: ${localeKey(prompt.locale)}`);
       
-      // Step 1: Send prompt to all 4 LLMs in parallel
-      console.log(`   🚀 [STEP 1] Sending to 4 LLMs in parallel...`);
+      // Step 1: Send prompt to every enabled provider in parallel
+      const providerIds = this.providerRegistry.getEnabledIds();
+      if (providerIds.length === 0) {
+        throw new Error('No LLM providers are enabled - check LLM_PROVIDERS and provider API keys');
+      }
+      // One call per provider per sample - answers vary between calls, so samples are independent
+      const calls = providerIds.flatMap(providerId =>
+        Array.from({ length: samplesPerPrompt }, (_, sampleIndex) => ({ providerId, sampleIndex }))
+      );
+      console.log(`   🚀 [STEP 1] Sending to ${providerIds.length} LLMs in parallel${samplesPerPrompt > 1 ? ` (${samplesPerPrompt} samples each)` : ''}...`);
       const llmStartTime = Date.now();
 
-      const llmResponses = await Promise.allSettled([
-        this.callLLM(promptText, 'openai', prompt),
-        this.callLLM(promptText, 'gemini', prompt),
-        this.callLLM(promptText, 'claude', prompt),
-        this.callLLM(promptText, 'perplexity', prompt)
-      ]);
+      const llmResponses = await Promise.allSettled(
+        calls.map(({ providerId }) => this.callLLM(promptText, providerId, prompt))
+      );
       
       const llmDuration = ((Date.now() - llmStartTime) / 1000).toFixed(2);
       const llmSuccess = llmResponses.filter(r => r.status === 'fulfilled').length;
-      console.log(`   ✅ [STEP 1] LLM calls complete in ${llmDuration}s (${llmSuccess}/4 successful)`);
+      console.log(`   ✅ [STEP 1] LLM calls complete in ${llmDuration}s (${llmSuccess}/${calls.length} successful)`);
       
       // Step 2: Score each response in parallel
       console.log(`   🎯 [STEP 2] Scoring ${llmResponses.length} responses...`);
       const scoringStartTime = Date.now();
       
       const scoringPromises = llmResponses.map(async (result, index) => {
-        const llmProvider = ['openai', 'gemini', 'claude', 'perplexity'][index];
+        const { providerId: llmProvider, sampleIndex } = calls[index];
+        const label = samplesPerPrompt > 1 ? `${llmProvider.toUpperCase()} #${sampleIndex + 1}` : llmProvider.toUpperCase();
         
         if (result.status === 'rejected') {
-          console.error(`   ❌ [${llmProvider.toUpperCase()}] LLM call failed:`, result.reason.message);
-          return this.createFailedTest(prompt, llmProvider, result.reason.message, urlAnalysisId);
+          console.error(`   ❌ [${label}] LLM call failed:`, result.reason.message);
+          return this.createFailedTest(prompt, llmProvider, result.reason.message, urlAnalysisId, testRunId, sampleIndex);
         }
         
         const llmResponse = result.value;
-        console.log(`   📝 [${llmProvider.toUpperCase()}] Response received (${llmResponse.responseTime}ms, ${llmResponse.tokensUsed} tokens)`);
+        console.log(`   📝 [${label}] Response received (${llmResponse.responseTime}ms, ${llmResponse.tokensUsed} tokens)`);
 
         try {
           // Calculate metrics deterministically from citations and brand mentions
           // Safety check: validate llmResponse structure
           if (!llmResponse || typeof llmResponse !== 'object' || !llmResponse.response) {
-            console.error(`   ❌ [${llmProvider.toUpperCase()}] Invalid LLM response structure`);
-            return this.createFailedTest(prompt, llmProvider, 'Invalid LLM response structure', urlAnalysisId);
+            console.error(`   ❌ [${label}] Invalid LLM response structure`);
+            return this.createFailedTest(prompt, llmProvider, 'Invalid LLM response structure', urlAnalysisId, testRunId, sampleIndex);
           }
 
           // Calculate metrics deterministically from citations and brand mentions
@@ -357,7 +426,7 @@ class PromptTestingService {
             brandContext
           );
 
-          console.log(`   ✅ [${llmProvider.toUpperCase()}] Score calculated - Visibility: ${scorecard.visibilityScore}/100, Overall: ${scorecard.overallScore}/100`);
+          console.log(`   ✅ [${label}] Score calculated - Visibility: ${scorecard.visibilityScore}/100, Overall: ${scorecard.overallScore}/100`);
 
           // Save test result to database
           const testResult = await this.saveTestResult(
@@ -366,15 +435,17 @@ class PromptTestingService {
             llmResponse,
             scorecard,
             urlAnalysisId,
-            brandContext
+            brandContext,
+            testRunId,
+            sampleIndex
           );
           
-          console.log(`   💾 [${llmProvider.toUpperCase()}] Saved to database (ID: ${testResult._id})`);
+          console.log(`   💾 [${label}] Saved to database (ID: ${testResult._id})`);
           return testResult;
           
         } catch (scoringError) {
-          console.error(`   ❌ [${llmProvider.toUpperCase()}] Scoring failed:`, scoringError.message);
-          return this.createFailedTest(prompt, llmProvider, scoringError.message, urlAnalysisId);
+          console.error(`   ❌ [${label}] Scoring failed:`, scoringError.message);
+          return this.createFailedTest(prompt, llmProvider, scoringError.message, urlAnalysisId, testRunId, sampleIndex);
         }
       });
       
@@ -382,7 +453,7 @@ class PromptTestingService {
       const scoringDuration = ((Date.now() - scoringStartTime) / 1000).toFixed(2);
       const scoringSuccess = results.filter(r => r && r.status === 'completed').length;
       
-      console.log(`   ✅ [STEP 2] Scoring complete in ${scoringDuration}s (${scoringSuccess}/4 successful)`);
+      console.log(`   ✅ [STEP 2] Scoring complete in ${scoringDuration}s (${scoringSuccess}/${calls.length} successful)`);
       console.log(`   ✨ [COMPLETE] Prompt testing finished\n`);
       
       return results;
@@ -396,27 +467,27 @@ class PromptTestingService {
 
   /**
    * Get system prompt for LLMs to request citations
+   * @param {object} locale - Optional { region, language } to answer for
    * @returns {string} - System prompt text
    */
-  getLLMSystemPrompt() {
+  getLLMSystemPrompt(locale = null) {
     const { getLLMSystemPrompt } = require('./promptTesting/llm');
-    return getLLMSystemPrompt();
+    return getLLMSystemPrompt(locale);
   }
 
   /**
-   * Call a specific LLM via OpenRouter with retry logic
+   * Call a specific LLM through its provider adapter with retry logic
    * @param {string} promptText - The prompt to send
-   * @param {string} llmProvider - LLM provider name
-   * @param {object} promptDoc - Original prompt document
+   * @param {string} llmProvider - LLM provider ID
+   * @param {object} promptDoc - Original prompt document; its locale selects the system prompt
    * @param {number} retryCount - Current retry attempt (internal use)
    * @returns {Promise<object>} - LLM response with metadata
    */
   async callLLM(promptText, llmProvider, promptDoc, retryCount = 0) {
     const { callLLM: callLLMModule } = require('./promptTesting/llm');
     const config = {
-      openRouterApiKey: this.openRouterApiKey,
-      openRouterBaseUrl: this.openRouterBaseUrl,
-      llmModels: this.llmModels
+      llmModels: this.llmModels,
+      locale: promptDoc?.locale
     };
     return callLLMModule(promptText, llmProvider, promptDoc, config, retryCount);
   }
@@ -555,7 +626,7 @@ class PromptTestingService {
    * @param {Array} competitors - Competitor brands
    * @returns {Array} - brandMetrics array with complete data
    */
-  extractBrandMetrics(responseText, citations, brandName, competitors = []) {
+  extractBrandMetrics(responseText, citations, brandName, competitors = [], citationOverrides = []) {
     // Safety checks for demo reliability
     if (!responseText || typeof responseText !== 'string') {
       console.warn('⚠️ [SAFETY] Invalid responseText in extractBrandMetrics, using empty string');
@@ -667,6 +738,11 @@ class PromptTestingService {
           return false; // Don't count citation markers as citations
         }
         
+        // URLs an override rule assigns to this brand belong to it whatever the domain
+        if (findCitationOverride(cit.url, citationOverrides)?.brandName === brand) {
+          return true;
+        }
+        
         // For URLs, check if they contain any of the brand patterns
         return citationBrandPatterns.some(pattern => 
           urlLower.includes(pattern.toLowerCase().replace(/\s+/g, ''))
@@ -690,7 +766,7 @@ class PromptTestingService {
           return null;
         }
         
-        const classification = citationClassificationService.categorizeCitation(urlValidation.cleanedUrl, brand, allBrandsForClassification);
+        const classification = citationClassificationService.categorizeCitation(urlValidation.cleanedUrl, brand, allBrandsForClassification, citationOverrides);
         
         // Only count if classification is valid and not unknown
         if (classification.type === 'brand' && classification.brand === brand) {
@@ -768,7 +844,7 @@ class PromptTestingService {
             return null; // Skip invalid URLs
           }
           
-          const classification = citationClassificationService.categorizeCitation(urlValidation.cleanedUrl, brandName, allBrandsForClassification);
+          const classification = citationClassificationService.categorizeCitation(urlValidation.cleanedUrl, brandName, allBrandsForClassification, citationOverrides);
           
           // Only include valid classifications
           if (classification.type === 'unknown') {
@@ -793,8 +869,9 @@ class PromptTestingService {
 
   /**
    * Save test result to database
+   * sampleIndex numbers repeated samples of the same prompt on the same provider within a run
    */
-  async saveTestResult(prompt, llmProvider, llmResponse, scorecard, urlAnalysisId, brandContext) {
+  async saveTestResult(prompt, llmProvider, llmResponse, scorecard, urlAnalysisId, brandContext, testRunId = null, sampleIndex = 0) {
     try {
       console.log(`      💾 [SAVE] Preparing to save test result for ${llmProvider}`);
 
@@ -832,7 +909,9 @@ class PromptTestingService {
           prompt,
           llmProvider,
           `Missing required fields: topicId=${!!topicId}, personaId=${!!personaId}, queryType=${!!prompt.queryType}`,
-          urlAnalysisId
+          urlAnalysisId,
+          testRunId,
+          sampleIndex
         );
       }
 
@@ -847,7 +926,8 @@ class PromptTestingService {
         llmResponse.response || '',
         llmResponse.citations || [],
         brandContext.companyName || 'Unknown Brand',
-        brandContext.competitors || []
+        brandContext.competitors || [],
+        brandContext.citationOverrides || []
       );
 
       console.log(`      📊 [SAVE] Extracted ${brandMetrics.length} brand entries with complete metrics`);
@@ -863,13 +943,18 @@ class PromptTestingService {
         promptId: prompt._id,
         topicId: topicId,
         personaId: personaId,
+        testRunId: testRunId || undefined,
+        sampleIndex,
+        locale: normalizeLocale(prompt.locale),
         promptText: prompt.text,
+        promptVersion: prompt.currentVersion || 1,
         queryType: prompt.queryType,
         llmProvider: llmProvider,
         llmModel: llmResponse.model,
         rawResponse: llmResponse.response,
         responseTime: llmResponse.responseTime,
         tokensUsed: llmResponse.tokensUsed,
+        cost: llmResponse.estimatedCost || 0,
         scorecard: scorecard,
         brandMetrics: brandMetrics,
         responseMetadata: {
@@ -882,6 +967,7 @@ class PromptTestingService {
       });
 
       await testResult.save();
+      await promptVersionService.supersedeIfEdited(testResult);
       console.log(`      ✅ [SAVE] Test result saved successfully with ${brandMetrics.length} brand metrics`);
       return testResult;
 
@@ -894,7 +980,7 @@ class PromptTestingService {
   /**
    * Create a failed test record
    */
-  async createFailedTest(prompt, llmProvider, errorMessage, urlAnalysisId) {
+  async createFailedTest(prompt, llmProvider, errorMessage, urlAnalysisId, testRunId = null, sampleIndex = 0) {
     try {
       console.log(`      💾 [FAILED TEST] Saving failed test for ${llmProvider}`);
 
@@ -918,7 +1004,11 @@ class PromptTestingService {
         promptId: prompt._id,
         topicId: topicId,
         personaId: personaId,
+        testRunId: testRunId || undefined,
+        sampleIndex,
+        locale: normalizeLocale(prompt.locale),
         promptText: prompt.text,
+        promptVersion: prompt.currentVersion || 1,
         queryType: prompt.queryType,
         llmProvider: llmProvider,
         llmModel: this.llmModels[llmProvider],
@@ -929,6 +1019,7 @@ class PromptTestingService {
       });
       
       await testResult.save();
+      await promptVersionService.supersedeIfEdited(testResult);
       console.log(`      ✅ [FAILED TEST] Saved to database`);
       return testResult;
       
@@ -1063,7 +1154,8 @@ class PromptTestingService {
       
       return {
         companyName: companyName,
-        competitors: competitors.map(c => ({ name: c.name, url: c.url }))
+        competitors: competitors.map(c => ({ name: c.name, url: c.url })),
+        citationOverrides: await citationOverrideService.getClassificationRules(urlAnalysisId || analysis?._id, companyName)
       };
       
     } catch (error) {
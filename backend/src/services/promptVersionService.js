@@ -0,0 +1,298 @@
+/**
+ * Prompt Version Service
+ *
+ * Keeps the change history of prompts. Editing a prompt's text, title or
+ * queryType records an immutable PromptVersion (author, time, word diff against
+ * the previous version) and bumps Prompt.currentVersion. When the text or
+ * queryType changed, tests of earlier versions get supersededAt so dashboards
+ * can leave them out (buildVersionQuery) or compare versions side by side
+ * (summarizeTestsByVersion); a title-only rename keeps their results current.
+ *
+ * Prompts created before versioning, or never edited, have no stored versions:
+ * version 1 is recorded from the prompt as it is on its first edit.
+ */
+
+const Prompt = require('../models/Prompt');
+const PromptTest = require('../models/PromptTest');
+const PromptVersion = require('../models/PromptVersion');
+const { diffWords, summarizeDiff } = require('../utils/promptDiff');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+// Fields recorded in the history
+const VERSIONED_FIELDS = ['text', 'title', 'queryType'];
+
+// Fields that change what is sent to the LLMs; only these supersede earlier tests
+const SUPERSEDING_FIELDS = ['text', 'queryType'];
+
+// Everything an update may set; currentVersion is managed here
+const UPDATABLE_FIELDS = [...VERSIONED_FIELDS, 'status'];
+
+// all: every test; current: only tests of each prompt's current version
+const VERSION_SCOPES = ['all', 'current'];
+
+const DUPLICATE_KEY = 11000;
+const CONFLICT_MESSAGE = 'The prompt was edited at the same time by someone else. Reload it and try again.';
+
+class PromptVersionService {
+  constructor() {
+    this.versionScopes = VERSION_SCOPES;
+    console.log('🗂️ PromptVersionService initialized');
+  }
+
+  /**
+   * PromptTest filter for a version scope
+   * @param {string} scope - all | current
+   * @returns {object}
+   */
+  buildVersionQuery(scope = 'all') {
+    return scope === 'current' ? { supersededAt: null } : {};
+  }
+
+  /**
+   * Update a prompt, recording a new version when a versioned field changes
+   * @param {string} userId - Owner filter (workspace-scoped)
+   * @param {string} promptId
+   * @param {object} updates - Prompt fields to set; only UPDATABLE_FIELDS are applied
+   * @param {object} options - { authorId, changeNote }
+   * @returns {Promise<{ prompt: object, version: object|null }>} - version is null when nothing versioned changed
+   */
+  async updatePrompt(userId, promptId, updates, { authorId = userId, changeNote = null } = {}) {
+    const prompt = await Prompt.findOne({ _id: promptId, userId }).lean();
+    if (!prompt) {
+      throw new NotFoundError('Prompt');
+    }
+
+    const fields = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) fields[field] = updates[field];
+    });
+
+    const next = {};
+    VERSIONED_FIELDS.forEach(field => {
+      next[field] = fields[field] !== undefined ? String(fields[field]).trim() : prompt[field];
+    });
+    const changedFields = VERSIONED_FIELDS.filter(field => next[field] !== prompt[field]);
+
+    if (changedFields.length === 0) {
+      const updated = await Prompt.findOneAndUpdate(
+        { _id: prompt._id, userId },
+        fields,
+        { new: true, runValidators: true }
+      );
+      return { prompt: updated, version: null };
+    }
+
+    // Claim the next version on the prompt first: an edit made concurrently from the
+    // same version matches nothing, and an invalid update leaves no version behind.
+    // Prompts from before versioning have no currentVersion and are on version 1.
+    const currentVersion = prompt.currentVersion || 1;
+    const updated = await Prompt.findOneAndUpdate(
+      { _id: prompt._id, userId, currentVersion: currentVersion === 1 ? { $in: [1, null] } : currentVersion },
+      { ...fields, currentVersion: currentVersion + 1 },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new ConflictError(CONFLICT_MESSAGE);
+    }
+
+    let version;
+    try {
+      await this.ensureInitialVersion(prompt);
+      version = await this.createVersion(prompt, {
+        version: currentVersion + 1,
+        ...next,
+        authorId,
+        changeNote,
+        changedFields,
+        diff: diffWords(prompt.text, next.text)
+      });
+    } catch (error) {
+      // Put the prompt back so its current version always has a stored version
+      const previous = { currentVersion };
+      Object.keys(fields).forEach(field => { previous[field] = prompt[field]; });
+      await Prompt.updateOne({ _id: prompt._id, currentVersion: currentVersion + 1 }, previous);
+      throw error;
+    }
+
+    let modifiedCount = 0;
+    if (changedFields.some(field => SUPERSEDING_FIELDS.includes(field))) {
+      // Tests from before promptVersion was recorded ran against an earlier version too
+      ({ modifiedCount } = await PromptTest.updateMany(
+        {
+          promptId: prompt._id,
+          supersededAt: null,
+          $or: [{ promptVersion: { $lt: version.version } }, { promptVersion: { $exists: false } }]
+        },
+        { $set: { supersededAt: version.createdAt } }
+      ));
+    }
+    console.log(`🗂️ [VERSIONS] Prompt ${prompt._id} is now v${version.version} (${changedFields.join(', ')}); ${modifiedCount || 0} earlier tests superseded`);
+
+    return { prompt: updated, version: this.formatVersion(version.toObject ? version.toObject() : version) };
+  }
+
+  /**
+   * Supersede a test saved after its prompt was edited: a run that started before
+   * the edit saves its results with the earlier promptVersion once updatePrompt has
+   * already superseded that version's tests. Called after the test is saved, so
+   * an edit that lands in between is caught by one side or the other.
+   * @param {object} test - Saved PromptTest (promptId, promptVersion)
+   * @returns {Promise<Date|null>} - the supersededAt set, null when the test is current
+   */
+  async supersedeIfEdited(test) {
+    const edit = await PromptVersion.findOne({
+      promptId: test.promptId,
+      version: { $gt: test.promptVersion || 1 },
+      changedFields: { $in: SUPERSEDING_FIELDS }
+    })
+      .sort({ version: 1 })
+      .select('createdAt')
+      .lean();
+    if (!edit) return null;
+
+    await PromptTest.updateOne({ _id: test._id, supersededAt: null }, { $set: { supersededAt: edit.createdAt } });
+    test.supersededAt = edit.createdAt;
+    return edit.createdAt;
+  }
+
+  /**
+   * Record version 1 from the stored prompt unless it already exists
+   */
+  async ensureInitialVersion(prompt) {
+    if ((prompt.currentVersion || 1) > 1) return;
+
+    const exists = await PromptVersion.exists({ promptId: prompt._id, version: 1 });
+    if (exists) return;
+
+    try {
+      await this.createVersion(prompt, {
+        version: 1,
+        text: prompt.text,
+        title: prompt.title,
+        queryType: prompt.queryType,
+        authorId: prompt.userId,
+        changedFields: [],
+        diff: [{ type: 'added', text: prompt.text }],
+        createdAt: prompt.createdAt
+      });
+    } catch (error) {
+      // Recorded by a concurrent edit
+      if (!(error instanceof ConflictError)) throw error;
+    }
+  }
+
+  async createVersion(prompt, data) {
+    try {
+      return await PromptVersion.create({
+        userId: prompt.userId,
+        urlAnalysisId: prompt.urlAnalysisId,
+        promptId: prompt._id,
+        ...data
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        throw new ConflictError(CONFLICT_MESSAGE);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change history of a prompt, newest first, with test counts per version
+   * @returns {Promise<{ promptId: string, currentVersion: number, versions: Array<object> }>}
+   */
+  async listVersions(userId, promptId) {
+    const prompt = await Prompt.findOne({ _id: promptId, userId })
+      .select('userId urlAnalysisId title text queryType currentVersion createdAt')
+      .lean();
+    if (!prompt) {
+      throw new NotFoundError('Prompt');
+    }
+
+    const [stored, tests] = await Promise.all([
+      PromptVersion.find({ promptId: prompt._id })
+        .sort({ version: -1 })
+        .populate('authorId', 'firstName lastName email')
+        .lean(),
+      PromptTest.find({ promptId: prompt._id, status: 'completed' })
+        .select('promptVersion testedAt scorecard.brandMentioned')
+        .lean()
+    ]);
+
+    // Never edited: version 1 is the prompt itself
+    const versions = stored.length > 0 ? stored : [{
+      version: 1,
+      title: prompt.title,
+      text: prompt.text,
+      queryType: prompt.queryType,
+      authorId: prompt.userId,
+      changedFields: [],
+      diff: [{ type: 'added', text: prompt.text }],
+      createdAt: prompt.createdAt
+    }];
+
+    const testsByVersion = new Map(this.summarizeTestsByVersion(tests).map(summary => [summary.version, summary]));
+    const currentVersion = prompt.currentVersion || 1;
+
+    return {
+      promptId: prompt._id.toString(),
+      currentVersion,
+      versions: versions.map(version => ({
+        ...this.formatVersion(version),
+        isCurrent: version.version === currentVersion,
+        tests: testsByVersion.get(version.version) || null
+      }))
+    };
+  }
+
+  formatVersion(version) {
+    const author = version.authorId && typeof version.authorId === 'object' && version.authorId.email
+      ? {
+          id: version.authorId._id.toString(),
+          name: [version.authorId.firstName, version.authorId.lastName].filter(Boolean).join(' ') || null,
+          email: version.authorId.email
+        }
+      : version.authorId ? { id: version.authorId.toString(), name: null, email: null } : null;
+
+    return {
+      version: version.version,
+      title: version.title,
+      text: version.text,
+      queryType: version.queryType,
+      author,
+      changeNote: version.changeNote || null,
+      changedFields: version.changedFields || [],
+      diff: version.diff || [],
+      diffSummary: summarizeDiff(version.diff || []),
+      createdAt: version.createdAt
+    };
+  }
+
+  /**
+   * Completed tests segmented by the prompt version they ran against, newest version first
+   * @param {Array<object>} tests - PromptTests with promptVersion, testedAt and scorecard.brandMentioned
+   * @returns {Array<{ version: number, totalTests: number, brandMentionRate: number, firstTestedAt: Date, lastTestedAt: Date }>}
+   */
+  summarizeTestsByVersion(tests) {
+    const byVersion = new Map();
+    tests.forEach(test => {
+      const version = test.promptVersion || 1;
+      const entry = byVersion.get(version) || { version, totalTests: 0, mentions: 0, firstTestedAt: null, lastTestedAt: null };
+      const testedAt = test.testedAt ? new Date(test.testedAt) : null;
+      entry.totalTests++;
+      if (test.scorecard?.brandMentioned) entry.mentions++;
+      if (testedAt && (!entry.firstTestedAt || testedAt < entry.firstTestedAt)) entry.firstTestedAt = testedAt;
+      if (testedAt && (!entry.lastTestedAt || testedAt > entry.lastTestedAt)) entry.lastTestedAt = testedAt;
+      byVersion.set(version, entry);
+    });
+
+    return [...byVersion.values()]
+      .sort((a, b) => b.version - a.version)
+      .map(({ mentions, ...entry }) => ({
+        ...entry,
+        brandMentionRate: Math.round((mentions / entry.totalTests) * 100)
+      }));
+  }
+}
+
+module.exports = new PromptVersionService();
@@ -0,0 +1,299 @@
+/**
+ * Report Service
+ *
+ * Server-rendered PDF executive report for one analysis and date range:
+ * headline metrics for the user's brand against the previous period of the
+ * same length, brand and platform comparisons, a visibility trend, top cited
+ * third-party domains and response sentiment. The HTML is rendered to PDF with
+ * the headless Chrome that website analysis already uses.
+ */
+
+const puppeteer = require('puppeteer');
+const UrlAnalysis = require('../models/UrlAnalysis');
+const exportService = require('./exportService');
+const metricsAggregationService = require('./metricsAggregationService');
+const metricsTrendsService = require('./metricsTrendsService');
+const citationDomainService = require('./citationDomainService');
+const { escapeHtml, barChartSvg, lineChartSvg } = require('../utils/reportCharts');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_DOMAINS = 10;
+const MAX_TREND_BRANDS = 4;
+
+const HEADLINE_METRICS = [
+  { key: 'visibilityScore', label: 'Visibility', unit: '%' },
+  { key: 'shareOfVoice', label: 'Share of voice', unit: '%' },
+  { key: 'avgPosition', label: 'Avg position', unit: '', lowerIsBetter: true },
+  { key: 'citationShare', label: 'Citation share', unit: '%' },
+  { key: 'sentimentShare', label: 'Positive sentiment', unit: '%' }
+];
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+const round = (value) => Math.round((value || 0) * 10) / 10;
+
+// A brand that never appeared has no position rather than position 0
+const headlineValue = (brand, key) => {
+  if (!brand || (key === 'avgPosition' && brand.totalAppearances === 0)) return null;
+  return round(brand[key]);
+};
+
+class ReportService {
+  constructor() {
+    console.log('📄 ReportService initialized');
+  }
+
+  /**
+   * Report window, defaulting to the last 30 days
+   * @returns {{ dateFrom: Date, dateTo: Date }}
+   * @throws {Error} - when the range is inverted or longer than a year
+   */
+  resolveRange({ dateFrom, dateTo } = {}) {
+    const end = dateTo ? new Date(dateTo) : new Date();
+    const start = dateFrom ? new Date(dateFrom) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new Error('dateFrom and dateTo must be valid dates');
+    }
+    if (start > end) {
+      throw new Error('dateFrom must be before dateTo');
+    }
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+      throw new Error(`The report range can be at most ${MAX_RANGE_DAYS} days`);
+    }
+    return { dateFrom: start, dateTo: end };
+  }
+
+  /**
+   * Everything the report shows, computed from completed PromptTests
+   */
+  async buildReportData(userId, { urlAnalysisId, dateFrom, dateTo }) {
+    const range = this.resolveRange({ dateFrom, dateTo });
+    const previousRange = {
+      dateFrom: new Date(range.dateFrom.getTime() - (range.dateTo - range.dateFrom)),
+      dateTo: range.dateFrom
+    };
+    const bucket = range.dateTo - range.dateFrom > 60 * DAY_MS ? 'week' : 'day';
+
+    const [urlAnalysis, brandContext, tests, previousTests, trends] = await Promise.all([
+      UrlAnalysis.findOne({ _id: urlAnalysisId, userId }).select('url brandContext.companyName').lean(),
+      metricsAggregationService.getBrandContext(userId, urlAnalysisId),
+      exportService.loadTests(userId, { urlAnalysisId, ...range }),
+      exportService.loadTests(userId, { urlAnalysisId, ...previousRange }),
+      metricsTrendsService.getTrends(userId, { urlAnalysisId, bucket, ...range })
+    ]);
+
+    const brands = metricsAggregationService.buildBrandMetrics(tests, brandContext)
+      .sort((a, b) => a.visibilityRank - b.visibilityRank);
+    const previousBrands = previousTests.length > 0
+      ? metricsAggregationService.buildBrandMetrics(previousTests, brandContext)
+      : [];
+    const owner = brands.find(brand => brand.isOwner) || null;
+    const previousOwner = previousBrands.find(brand => brand.isOwner) || null;
+
+    const platforms = exportService.buildMetricsRows(tests, brandContext)
+      .filter(row => row.scope === 'platform' && row.isOwner === 'yes')
+      .map(row => ({ platform: row.scopeValue, visibilityScore: row.visibilityScore, responses: row.responses }));
+
+    const sentiment = { positive: 0, neutral: 0, negative: 0, mixed: 0 };
+    tests.forEach(test => {
+      const value = test.scorecard?.sentiment || 'neutral';
+      sentiment[value in sentiment ? value : 'neutral']++;
+    });
+
+    return {
+      generatedAt: new Date(),
+      brandName: brandContext.userBrandName,
+      url: urlAnalysis?.url || null,
+      ...range,
+      previousRange,
+      responses: tests.length,
+      prompts: new Set(tests.map(test => String(test.promptId))).size,
+      headline: HEADLINE_METRICS.map(metric => ({
+        ...metric,
+        value: headlineValue(owner, metric.key),
+        previous: headlineValue(previousOwner, metric.key)
+      })),
+      brands,
+      platforms,
+      trend: {
+        labels: trends.buckets.map(b => b.date),
+        series: trends.series.slice(0, MAX_TREND_BRANDS).map(s => ({
+          name: s.brandName,
+          highlight: s.isOwner,
+          values: s.points.map(point => point.visibilityScore)
+        }))
+      },
+      domains: citationDomainService.buildLeaderboard(tests).slice(0, TOP_DOMAINS),
+      sentiment
+    };
+  }
+
+  renderDelta(metric) {
+    if (metric.value === null || metric.previous === null) {
+      return '<span class="muted">no previous data</span>';
+    }
+    const delta = round(metric.value - metric.previous);
+    if (delta === 0) {
+      return '<span class="muted">no change</span>';
+    }
+    const improved = metric.lowerIsBetter ? delta < 0 : delta > 0;
+    return `<span class="${improved ? 'up' : 'down'}">${delta > 0 ? '+' : ''}${delta}${metric.unit} vs previous</span>`;
+  }
+
+  /**
+   * Standalone HTML for the report
+   * @param {object} data - buildReportData result
+   * @returns {string}
+   */
+  renderHtml(data) {
+    const sentimentTotal = Object.values(data.sentiment).reduce((sum, count) => sum + count, 0);
+    const sentimentItems = Object.entries(data.sentiment).map(([label, count]) => ({
+      label: label.charAt(0).toUpperCase() + label.slice(1),
+      value: sentimentTotal > 0 ? round((count / sentimentTotal) * 100) : 0,
+      highlight: label === 'positive'
+    }));
+
+    const cards = data.headline.map(metric => `
+      <div class="card">
+        <div class="label">${escapeHtml(metric.label)}</div>
+        <div class="value">${metric.value === null ? '—' : `${metric.value}${metric.unit}`}</div>
+        <div class="delta">${this.renderDelta(metric)}</div>
+      </div>`).join('');
+
+    const brandRows = data.brands.map(brand => `
+      <tr class="${brand.isOwner ? 'owner' : ''}">
+        <td>${brand.visibilityRank}</td>
+        <td>${escapeHtml(brand.brandName)}</td>
+        <td>${round(brand.visibilityScore)}%</td>
+        <td>${round(brand.shareOfVoice)}%</td>
+        <td>${brand.totalAppearances > 0 ? round(brand.avgPosition) : '—'}</td>
+        <td>${round(brand.citationShare)}%</td>
+        <td>${round(brand.sentimentShare)}%</td>
+      </tr>`).join('');
+
+    const domainRows = data.domains.map(domain => `
+      <tr>
+        <td>${escapeHtml(domain.domain)}</td>
+        <td>${domain.totalCitations}</td>
+        <td>${escapeHtml(domain.platforms.map(p => p.platform).join(', '))}</td>
+        <td>${domain.outreachTarget ? '<span class="down">Cites competitors only</span>' : domain.mentionsOwner ? '<span class="up">Cites you</span>' : '—'}</td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(data.brandName)} AI visibility report</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #0f172a; margin: 0; font-size: 12px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  .muted { color: #64748b; }
+  .up { color: #059669; }
+  .down { color: #dc2626; }
+  .cards { display: flex; gap: 8px; margin-top: 16px; }
+  .card { flex: 1; border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px; }
+  .card .label { font-size: 10px; color: #64748b; text-transform: uppercase; }
+  .card .value { font-size: 20px; font-weight: bold; margin: 4px 0; }
+  .card .delta { font-size: 10px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #f1f5f9; }
+  th { font-size: 10px; color: #64748b; text-transform: uppercase; }
+  tr.owner td { font-weight: bold; background: #eff6ff; }
+  .columns { display: flex; gap: 24px; }
+  .columns > div { flex: 1; }
+  section { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(data.brandName)} · AI visibility report</h1>
+  <div class="muted">
+    ${formatDate(data.dateFrom)} to ${formatDate(data.dateTo)}
+    ${data.url ? ` · ${escapeHtml(data.url)}` : ''}
+    · ${data.responses} responses to ${data.prompts} prompts
+  </div>
+
+  <div class="cards">${cards}</div>
+
+  <section>
+    <h2>Visibility trend</h2>
+    ${data.trend.labels.length > 0 ? lineChartSvg(data.trend.labels, data.trend.series, { width: 680, height: 220, max: 100, unit: '%' }) : '<p class="muted">No data for this period.</p>'}
+  </section>
+
+  <section class="columns">
+    <div>
+      <h2>Visibility by brand</h2>
+      ${barChartSvg(data.brands.map(brand => ({ label: brand.brandName, value: round(brand.visibilityScore), highlight: brand.isOwner })), { width: 330, max: 100, unit: '%' })}
+    </div>
+    <div>
+      <h2>Your visibility by platform</h2>
+      ${data.platforms.length > 0 ? barChartSvg(data.platforms.map(p => ({ label: p.platform, value: p.visibilityScore, highlight: true })), { width: 330, max: 100, unit: '%' }) : '<p class="muted">No platform data.</p>'}
+    </div>
+  </section>
+
+  <section>
+    <h2>Competitive ranking</h2>
+    <table>
+      <thead><tr><th>#</th><th>Brand</th><th>Visibility</th><th>Share of voice</th><th>Avg position</th><th>Citation share</th><th>Positive sentiment</th></tr></thead>
+      <tbody>${brandRows}</tbody>
+    </table>
+  </section>
+
+  <section class="columns">
+    <div>
+      <h2>Top cited domains</h2>
+      ${data.domains.length > 0 ? `<table>
+        <thead><tr><th>Domain</th><th>Citations</th><th>Platforms</th><th></th></tr></thead>
+        <tbody>${domainRows}</tbody>
+      </table>` : '<p class="muted">No third-party citations in this period.</p>'}
+    </div>
+    <div>
+      <h2>Response sentiment</h2>
+      ${barChartSvg(sentimentItems, { width: 330, max: 100, unit: '%' })}
+    </div>
+  </section>
+
+  <p class="muted" style="margin-top: 24px;">
+    Generated ${escapeHtml(data.generatedAt.toISOString().replace('T', ' ').slice(0, 16))} UTC.
+    Metrics are computed from the answer engine responses collected in this period.
+  </p>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render the report for an analysis to a PDF
+   * @returns {Promise<{ pdf: Buffer, filename: string }>}
+   */
+  async generatePdf(userId, options) {
+    const data = await this.buildReportData(userId, options);
+    const html = this.renderHtml(data);
+
+    let browser = null;
+    try {
+      browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+      });
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'load' });
+      const pdf = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '16mm', bottom: '16mm', left: '14mm', right: '14mm' }
+      });
+
+      const slug = data.brandName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+      console.log(`📄 [Report] Rendered ${data.brandName} report (${data.responses} responses)`);
+      return { pdf: Buffer.from(pdf), filename: `${slug}-ai-visibility-${formatDate(data.dateFrom)}-to-${formatDate(data.dateTo)}.pdf` };
+    } finally {
+      if (browser) {
+        await browser.close();
+      }
+    }
+  }
+}
+
+module.exports = new ReportService();
@@ -6,6 +6,7 @@
 const brandPatternService = require('./brandPatternService');
 const citationClassificationService = require('./citationClassificationService');
 const sentimentAnalysisService = require('./sentimentAnalysisService');
+const { findCitationOverride } = require('../utils/citationOverrides');
 
 class ScoringService {
   /**
@@ -30,6 +31,7 @@ class ScoringService {
 
     const brandName = brandContext.companyName || 'Unknown Brand';
     const competitors = Array.isArray(brandContext.competitors) ? brandContext.competitors : [];
+    const citationOverrides = Array.isArray(brandContext.citationOverrides) ? brandContext.citationOverrides : [];
     
     // Ensure citations is an array
     if (!Array.isArray(citations)) {
@@ -82,6 +84,10 @@ class ScoringService {
       if (c.type === 'citation_marker') {
         return brandMentioned; // If brand is mentioned, citation markers count as citations
       }
+      // URLs an override rule assigns to the brand belong to it whatever the domain
+      if (findCitationOverride(c.url, citationOverrides)?.brandName === brandName) {
+        return true;
+      }
       // For URLs, check if they contain brand name
       const urlLower = c.url.toLowerCase();
       return citationBrandPatterns.some(pattern => 
@@ -105,7 +111,7 @@ class ScoringService {
         return; // Skip invalid URLs (use return in forEach, not continue)
       }
       
-      const classification = citationClassificationService.categorizeCitation(urlValidation.cleanedUrl, brandName, allBrands);
+      const classification = citationClassificationService.categorizeCitation(urlValidation.cleanedUrl, brandName, allBrands, citationOverrides);
       
       // Only process valid classifications
       if (classification.type === 'unknown') {
@@ -0,0 +1,341 @@
+/**
+ * Semantic Cluster Service
+ *
+ * Groups an analysis' prompts into emergent themes by what they and their
+ * LLM responses are about, independent of the topics they were created
+ * under. Each prompt is embedded (services/embeddingService) together with
+ * its recent responses, prompts are clustered by cosine similarity
+ * (utils/semanticClustering), and each cluster gets a label from its most
+ * distinctive terms plus its own visibility and share of voice.
+ *
+ * A discovered cluster can be promoted to a Topic: its prompts and their
+ * tests move to the new topic and the analysis' metrics are re-aggregated,
+ * so topic-level dashboards pick it up right away.
+ */
+
+const Prompt = require('../models/Prompt');
+const PromptTest = require('../models/PromptTest');
+const Topic = require('../models/Topic');
+const UrlAnalysis = require('../models/UrlAnalysis');
+const embeddingService = require('./embeddingService');
+const { meanVector, clusterVectors, labelClusters, clusterKey } = require('../utils/semanticClustering');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const MAX_PROMPTS = 500;
+const MAX_RESPONSES_PER_PROMPT = 4;
+const MAX_RESPONSE_CHARS = 2000; // The opening of an answer says what it is about
+const PROMPT_WEIGHT = 0.6; // Share of the prompt itself in its vector; the rest is its responses
+const MIN_CLUSTER_SIZE = 2;
+const TOP_PROMPTS = 5;
+const TEST_METRIC_FIELDS = 'promptId llmProvider scorecard.brandMentioned scorecard.brandPosition scorecard.citationPresent brandMetrics.isOwner brandMetrics.mentionCount';
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+class SemanticClusterService {
+  constructor() {
+    console.log('🧩 SemanticClusterService initialized');
+  }
+
+  /**
+   * The requested analysis, or the user's latest one
+   * @returns {Promise<string|null>}
+   */
+  async resolveUrlAnalysisId(userId, urlAnalysisId = null) {
+    if (urlAnalysisId) {
+      return urlAnalysisId.toString();
+    }
+
+    const latest = await UrlAnalysis.findOne({ userId }).sort({ analysisDate: -1 }).select('_id').lean();
+    return latest ? latest._id.toString() : null;
+  }
+
+  /**
+   * Cluster the active prompts of an analysis
+   * @param {string} userId
+   * @param {object} options - { urlAnalysisId, threshold } threshold overrides the backend's default similarity cut-off
+   * @returns {Promise<object>} - { urlAnalysisId, clusters, unclustered, summary }
+   */
+  async getClusters(userId, { urlAnalysisId = null, threshold = null } = {}) {
+    const analysisId = await this.resolveUrlAnalysisId(userId, urlAnalysisId);
+    const emptyResult = (embedding) => ({
+      urlAnalysisId: analysisId,
+      clusters: [],
+      unclustered: [],
+      summary: this.buildSummary([], [], embedding, threshold)
+    });
+
+    if (!analysisId) {
+      return emptyResult(embeddingService.getInfo());
+    }
+
+    const prompts = await Prompt.find({ userId, urlAnalysisId: analysisId, status: 'active' })
+      .select('text queryType topicId personaId')
+      .populate('topicId', 'name')
+      .populate('personaId', 'type')
+      .sort({ createdAt: 1 })
+      .limit(MAX_PROMPTS)
+      .lean();
+
+    if (prompts.length === 0) {
+      return emptyResult(embeddingService.getInfo());
+    }
+
+    // Metrics need every completed test but only a few fields; responses only the latest few
+    const [tests, responsesByPrompt] = await Promise.all([
+      PromptTest.find({
+        userId,
+        urlAnalysisId: analysisId,
+        promptId: { $in: prompts.map(p => p._id) },
+        status: 'completed'
+      })
+        .select(TEST_METRIC_FIELDS)
+        .lean(),
+      this.loadRecentResponses(userId, analysisId, prompts)
+    ]);
+
+    const testsByPrompt = new Map(prompts.map(p => [p._id.toString(), []]));
+    tests.forEach(test => testsByPrompt.get(test.promptId.toString())?.push(test));
+
+    const vectors = await this.embedPrompts(prompts, responsesByPrompt);
+    const cutoff = threshold ?? vectors.defaultThreshold;
+    const groups = clusterVectors(vectors.vectors, { threshold: cutoff });
+
+    const clustered = groups.filter(group => group.length >= MIN_CLUSTER_SIZE);
+    const unclusteredIndexes = groups.filter(group => group.length < MIN_CLUSTER_SIZE).flat();
+
+    // Unclustered prompts take part in labelling as one more group, so terms
+    // common to every prompt of the analysis don't end up in labels
+    const labels = labelClusters([
+      ...clustered.map(group => group.map(index => prompts[index].text)),
+      unclusteredIndexes.map(index => prompts[index].text)
+    ]);
+
+    const clusters = clustered
+      .map((group, index) => this.buildCluster(group.map(i => prompts[i]), testsByPrompt, labels[index]))
+      .sort((a, b) => b.promptCount - a.promptCount || b.visibility - a.visibility);
+
+    const unclustered = unclusteredIndexes.map(index => ({
+      id: prompts[index]._id.toString(),
+      text: prompts[index].text,
+      topic: prompts[index].topicId?.name || null
+    }));
+
+    return {
+      urlAnalysisId: analysisId,
+      clusters,
+      unclustered,
+      summary: this.buildSummary(clusters, prompts, vectors, cutoff, tests.length)
+    };
+  }
+
+  /**
+   * The latest responses of each prompt, MAX_RESPONSES_PER_PROMPT at most
+   * @returns {Promise<Map<string, Array<string>>>} - by prompt id
+   */
+  async loadRecentResponses(userId, analysisId, prompts) {
+    const entries = await Promise.all(prompts.map(async prompt => {
+      const tests = await PromptTest.find({
+        userId,
+        urlAnalysisId: analysisId,
+        promptId: prompt._id,
+        status: 'completed',
+        rawResponse: { $nin: [null, ''] }
+      })
+        .select('rawResponse')
+        .sort({ createdAt: -1 })
+        .limit(MAX_RESPONSES_PER_PROMPT)
+        .lean();
+      return [prompt._id.toString(), tests.map(test => test.rawResponse)];
+    }));
+    return new Map(entries);
+  }
+
+  /**
+   * One vector per prompt: its own embedding blended with the mean of its
+   * latest responses'. All texts go to the backend in one batch.
+   */
+  async embedPrompts(prompts, responsesByPrompt) {
+    const texts = [];
+    const layout = prompts.map(prompt => {
+      const promptIndex = texts.push(prompt.text) - 1;
+      const responseIndexes = (responsesByPrompt.get(prompt._id.toString()) || [])
+        .map(response => texts.push(response.slice(0, MAX_RESPONSE_CHARS)) - 1);
+      return { promptIndex, responseIndexes };
+    });
+
+    const embedding = await embeddingService.embed(texts);
+    const vectors = layout.map(({ promptIndex, responseIndexes }) => {
+      const promptVector = embedding.vectors[promptIndex];
+      if (responseIndexes.length === 0) return promptVector;
+      const responseVector = meanVector(responseIndexes.map(index => embedding.vectors[index]));
+      return meanVector([promptVector, responseVector], [PROMPT_WEIGHT, 1 - PROMPT_WEIGHT]);
+    });
+
+    return { ...embedding, vectors };
+  }
+
+  /**
+   * Metrics of a cluster from its prompts' completed tests
+   * visibility: % of tests mentioning the user's brand
+   * shareOfVoice: the brand's mentions as a % of all brand mentions
+   */
+  buildCluster(prompts, testsByPrompt, { label, terms }) {
+    const tests = prompts.flatMap(prompt => testsByPrompt.get(prompt._id.toString()));
+    const mentionedTests = tests.filter(test => test.scorecard?.brandMentioned);
+
+    let ownerMentions = 0;
+    let allMentions = 0;
+    tests.forEach(test => {
+      (test.brandMetrics || []).forEach(brand => {
+        allMentions += brand.mentionCount || 0;
+        if (brand.isOwner) ownerMentions += brand.mentionCount || 0;
+      });
+    });
+
+    const positioned = tests.filter(test => test.scorecard?.brandPosition > 0);
+    const avgPosition = positioned.length > 0
+      ? Math.round((positioned.reduce((sum, test) => sum + test.scorecard.brandPosition, 0) / positioned.length) * 10) / 10
+      : 0;
+
+    const topics = new Map();
+    prompts.forEach(prompt => {
+      const key = prompt.topicId?._id?.toString() || 'none';
+      const entry = topics.get(key) || { id: prompt.topicId?._id || null, name: prompt.topicId?.name || 'Uncategorized', promptCount: 0 };
+      entry.promptCount++;
+      topics.set(key, entry);
+    });
+
+    const promptRows = prompts.map(prompt => {
+      const promptTests = testsByPrompt.get(prompt._id.toString());
+      return {
+        id: prompt._id.toString(),
+        text: prompt.text,
+        queryType: prompt.queryType,
+        testCount: promptTests.length,
+        visibilityScore: percent(promptTests.filter(test => test.scorecard?.brandMentioned).length, promptTests.length)
+      };
+    });
+
+    const visibility = percent(mentionedTests.length, tests.length);
+
+    return {
+      id: clusterKey(promptRows.map(p => p.id)),
+      name: label,
+      label,
+      terms,
+      promptIds: promptRows.map(p => p.id),
+      promptCount: prompts.length,
+      testCount: tests.length,
+      visibility,
+      shareOfVoice: percent(ownerMentions, allMentions),
+      avgVisibility: visibility,
+      brandMentionRate: visibility,
+      platforms: [...new Set(tests.map(test => test.llmProvider))],
+      personas: [...new Set(prompts.map(prompt => prompt.personaId?.type).filter(Boolean))],
+      topics: [...topics.values()].sort((a, b) => b.promptCount - a.promptCount),
+      topPrompts: promptRows
+        .sort((a, b) => b.visibilityScore - a.visibilityScore || b.testCount - a.testCount)
+        .slice(0, TOP_PROMPTS)
+        .map(p => ({
+          ...p,
+          text: p.text.length > 100 ? p.text.substring(0, 100) + '...' : p.text
+        })),
+      metrics: {
+        totalMentions: mentionedTests.length,
+        avgPosition,
+        citationRate: percent(tests.filter(test => test.scorecard?.citationPresent).length, tests.length)
+      }
+    };
+  }
+
+  buildSummary(clusters, prompts, embedding, threshold, testCount = 0) {
+    const tested = clusters.filter(cluster => cluster.testCount > 0);
+    const byVisibility = [...tested].sort((a, b) => b.visibility - a.visibility);
+
+    return {
+      totalClusters: clusters.length,
+      totalTopics: new Set(prompts.map(prompt => prompt.topicId?._id?.toString()).filter(Boolean)).size,
+      totalPrompts: prompts.length,
+      clusteredPrompts: clusters.reduce((sum, cluster) => sum + cluster.promptCount, 0),
+      totalTests: testCount,
+      avgVisibility: tested.length > 0
+        ? Math.round(tested.reduce((sum, cluster) => sum + cluster.visibility, 0) / tested.length)
+        : 0,
+      topPerforming: byVisibility.slice(0, 3).map(c => ({ name: c.label, score: c.visibility })),
+      needsAttention: byVisibility.filter(c => c.visibility < 30).reverse().slice(0, 3)
+        .map(c => ({ name: c.label, score: c.visibility })),
+      embedding: {
+        provider: embedding.provider,
+        model: embedding.model,
+        threshold: threshold ?? embedding.defaultThreshold
+      }
+    };
+  }
+
+  /**
+   * Create a Topic from a discovered cluster, move its prompts (and their
+   * tests) to it and re-aggregate the analysis' metrics
+   * @param {string} userId
+   * @param {object} params - { urlAnalysisId, promptIds, name, description, keywords }
+   * @returns {Promise<{ topic: object, movedPrompts: number, movedTests: number, metricsRecalculated: boolean }>}
+   */
+  async promoteCluster(userId, { urlAnalysisId, promptIds, name, description = '', keywords = [] }) {
+    const prompts = await Prompt.find({
+      _id: { $in: promptIds },
+      userId,
+      urlAnalysisId,
+      status: 'active'
+    }).select('_id topicId').lean();
+
+    if (prompts.length === 0) {
+      throw new NotFoundError('Prompts');
+    }
+
+    const topic = await Topic.create({
+      userId,
+      urlAnalysisId,
+      name,
+      description,
+      keywords,
+      selected: true,
+      source: 'user',
+      promptCount: prompts.length
+    });
+
+    const ids = prompts.map(p => p._id);
+    const previousTopicIds = [...new Set(prompts.map(p => p.topicId?.toString()).filter(Boolean))];
+
+    await Prompt.updateMany({ userId, _id: { $in: ids } }, { $set: { topicId: topic._id, updatedAt: new Date() } });
+    const movedTests = await PromptTest.updateMany({ userId, promptId: { $in: ids } }, { $set: { topicId: topic._id } });
+
+    // Keep the prompt counts of the topics the prompts came from right
+    await Promise.all(previousTopicIds.map(async topicId => {
+      const count = await Prompt.countDocuments({ userId, topicId, status: 'active' });
+      await Topic.updateOne({ userId, _id: topicId }, { $set: { promptCount: count } });
+    }));
+
+    console.log(`🧩 [CLUSTERS] Promoted ${prompts.length} prompts to topic "${name}" (${topic._id})`);
+
+    // Topic metrics were aggregated from the tests' old topics
+    let metricsRecalculated = false;
+    if (movedTests.modifiedCount > 0) {
+      try {
+        const metricsAggregationService = require('./metricsAggregationService');
+        const result = await metricsAggregationService.calculateMetrics(String(userId), { urlAnalysisId });
+        metricsRecalculated = result.success;
+      } catch (error) {
+        // The topic exists either way; metrics catch up on the next aggregation
+        console.error(`❌ [CLUSTERS] Failed to re-aggregate metrics after promoting to topic ${topic._id}:`, error.message);
+      }
+    }
+
+    return {
+      topic,
+      movedPrompts: prompts.length,
+      movedTests: movedTests.modifiedCount || 0,
+      metricsRecalculated
+    };
+  }
+}
+
+module.exports = new SemanticClusterService();
@@ -0,0 +1,361 @@
+/**
+ * Spend Service
+ *
+ * Ledger of every billed LLM call plus monthly budgets per user and per
+ * analysis. Call sites record what they spent (`record` / `recordResponse`)
+ * with the source of the call; who it is attributed to comes from the spend
+ * context, set once per request by authenticateToken and per run by the
+ * prompt test queue.
+ *
+ * Budgets are calendar months in UTC. A budget with hardStop refuses prompt
+ * test runs whose estimate doesn't fit in what is left, and stops a running
+ * run once the limit is reached.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const SpendLedgerEntry = require('../models/SpendLedgerEntry');
+const SpendBudget = require('../models/SpendBudget');
+const PromptTest = require('../models/PromptTest');
+const Prompt = require('../models/Prompt');
+const { BudgetExceededError } = require('../middleware/errorHandler');
+const { getModelPricing, calculateCost, DEFAULT_TEST_USAGE } = require('../config/modelPricing');
+const { getFixtureMode } = require('../utils/llmFixtures');
+const { resolveSamplesPerPrompt } = require('./promptTesting/sampling');
+
+const HISTORY_SAMPLE_SIZE = 50; // Recent completed tests per provider used to estimate a run
+
+const toObjectId = (id) => (id ? new mongoose.Types.ObjectId(id.toString()) : null);
+const roundUsd = (value) => parseFloat((value || 0).toFixed(6));
+
+class SpendService {
+  constructor() {
+    this.contextStorage = new AsyncLocalStorage();
+    console.log('💰 SpendService initialized');
+  }
+
+  // ===== CONTEXT =====
+
+  /**
+   * Run fn with calls attributed to this user/analysis/run
+   * @param {object} context - { userId, urlAnalysisId, testRunId }
+   */
+  runWithContext(context, fn) {
+    return this.contextStorage.run({
+      userId: context.userId || null,
+      urlAnalysisId: context.urlAnalysisId || null,
+      testRunId: context.testRunId || null
+    }, fn);
+  }
+
+  getContext() {
+    return this.contextStorage.getStore() || {};
+  }
+
+  // ===== RECORDING =====
+
+  /**
+   * Accept OpenAI-style (prompt_tokens) or adapter-style (promptTokens) usage
+   */
+  normalizeUsage(usage = {}) {
+    const promptTokens = usage.prompt_tokens ?? usage.promptTokens ?? 0;
+    const completionTokens = usage.completion_tokens ?? usage.completionTokens ?? 0;
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens ?? usage.totalTokens ?? (promptTokens + completionTokens)
+    };
+  }
+
+  /**
+   * Price a call from the provider definition (prompt tests) or config/modelPricing
+   * @returns {number|null} - USD, or null when the model has no known pricing
+   */
+  estimateCost(model, usage, provider = null) {
+    const providerRegistry = require('./promptTesting/providers');
+    const definition = provider ? providerRegistry.getDefinition(provider) : null;
+    const pricing = definition?.pricing || getModelPricing(model);
+    return pricing ? calculateCost(pricing, this.normalizeUsage(usage)) : null;
+  }
+
+  /**
+   * Add a ledger entry. Never throws - a failed write must not fail the call it records.
+   * @param {string} source - One of SpendLedgerEntry.LEDGER_SOURCES
+   * @param {object} call - { model, provider?, usage } where usage may carry the provider-reported `cost`
+   * @returns {Promise<object|null>} - Saved entry, or null when skipped or failed
+   */
+  async record(source, { model, provider = null, usage = {} }) {
+    // Replayed fixtures were paid for when they were recorded
+    if (getFixtureMode() === 'replay') {
+      return null;
+    }
+
+    try {
+      const tokens = this.normalizeUsage(usage);
+      const reportedCost = typeof usage.cost === 'number' ? usage.cost : null;
+      const estimatedCost = reportedCost === null ? this.estimateCost(model, tokens, provider) : null;
+
+      if (reportedCost === null && estimatedCost === null) {
+        console.warn(`⚠️  [SPEND] No pricing for ${model} - recording ${tokens.totalTokens} tokens at $0`);
+      }
+
+      const { userId, urlAnalysisId, testRunId } = this.getContext();
+      return await SpendLedgerEntry.create({
+        userId,
+        urlAnalysisId,
+        testRunId,
+        source,
+        provider,
+        model,
+        ...tokens,
+        cost: roundUsd(reportedCost ?? estimatedCost),
+        costSource: reportedCost === null ? 'estimated' : 'provider'
+      });
+    } catch (error) {
+      console.error(`❌ [SPEND] Failed to record ${source} call (${model}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a raw /chat/completions response body
+   */
+  async recordResponse(source, model, responseData) {
+    return this.record(source, { model: responseData?.model || model, usage: responseData?.usage || {} });
+  }
+
+  // ===== SPEND AND BUDGETS =====
+
+  getMonthStart(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  /**
+   * Spend since the start of the current month, for the user or one analysis
+   */
+  async getMonthToDateSpend(userId, urlAnalysisId = null) {
+    const match = { userId: toObjectId(userId), createdAt: { $gte: this.getMonthStart() } };
+    if (urlAnalysisId) {
+      match.urlAnalysisId = toObjectId(urlAnalysisId);
+    }
+
+    const [row] = await SpendLedgerEntry.aggregate([
+      { $match: match },
+      { $group: { _id: null, cost: { $sum: '$cost' } } }
+    ]);
+    return roundUsd(row?.cost);
+  }
+
+  /**
+   * Budgets that apply to a user (and analysis) with what's been spent against each
+   * @param {string} userId
+   * @param {object} options - { urlAnalysisId } to include that analysis's budget, { all: true } for every budget
+   */
+  async getBudgetStatus(userId, { urlAnalysisId = null, all = false } = {}) {
+    const query = { userId };
+    if (!all) {
+      query.urlAnalysisId = urlAnalysisId ? { $in: [null, urlAnalysisId] } : null;
+    }
+
+    const budgets = await SpendBudget.find(query).sort({ urlAnalysisId: 1 }).lean();
+    const periodStart = this.getMonthStart();
+
+    return Promise.all(budgets.map(async budget => {
+      const spent = await this.getMonthToDateSpend(userId, budget.urlAnalysisId);
+      return {
+        budgetId: budget._id,
+        scope: budget.urlAnalysisId ? 'analysis' : 'user',
+        urlAnalysisId: budget.urlAnalysisId,
+        monthlyLimit: budget.monthlyLimit,
+        hardStop: budget.hardStop,
+        spent,
+        remaining: roundUsd(Math.max(0, budget.monthlyLimit - spent)),
+        periodStart
+      };
+    }));
+  }
+
+  /**
+   * Would spending `amount` more go over a hard-stop budget?
+   * @returns {Promise<{ allowed: boolean, budgets: Array<object>, exceeded: Array<object> }>}
+   */
+  async checkBudget(userId, { urlAnalysisId = null, amount = 0 } = {}) {
+    const budgets = await this.getBudgetStatus(userId, { urlAnalysisId });
+    const exceeded = budgets.filter(b => b.hardStop && (amount > 0 ? b.spent + amount > b.monthlyLimit : b.spent >= b.monthlyLimit));
+    return { allowed: exceeded.length === 0, budgets, exceeded };
+  }
+
+  /**
+   * Throw BudgetExceededError when `amount` doesn't fit in a hard-stop budget
+   */
+  async assertWithinBudget(userId, { urlAnalysisId = null, amount = 0, estimate = null } = {}) {
+    const check = await this.checkBudget(userId, { urlAnalysisId, amount });
+    if (!check.allowed) {
+      const [budget] = check.exceeded;
+      const message = amount > 0
+        ? `This run is estimated at $${amount.toFixed(4)}, but only $${budget.remaining.toFixed(4)} is left of the $${budget.monthlyLimit} monthly ${budget.scope} budget`
+        : `The $${budget.monthlyLimit} monthly ${budget.scope} budget has been reached`;
+      throw new BudgetExceededError(message, { estimate, budgets: check.budgets });
+    }
+    return check;
+  }
+
+  async setBudget(userId, { urlAnalysisId = null, monthlyLimit, hardStop }) {
+    const update = { monthlyLimit, updatedAt: new Date() };
+    if (hardStop !== undefined) update.hardStop = hardStop;
+
+    return SpendBudget.findOneAndUpdate(
+      { userId, urlAnalysisId: urlAnalysisId || null },
+      { $set: update, $setOnInsert: { createdAt: new Date() } },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+  }
+
+  async deleteBudget(userId, budgetId) {
+    return SpendBudget.findOneAndDelete({ _id: budgetId, userId }).lean();
+  }
+
+  // ===== ESTIMATES =====
+
+  /**
+   * Average cost of one call per enabled provider, from recent tests or default token counts
+   */
+  async getProviderCallCosts(userId) {
+    const providerRegistry = require('./promptTesting/providers');
+
+    return Promise.all(providerRegistry.getEnabledIds().map(async id => {
+      const recent = await PromptTest.find({ userId, llmProvider: id, status: 'completed', cost: { $gt: 0 } })
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_SAMPLE_SIZE)
+        .select('cost')
+        .lean();
+
+      const adapter = providerRegistry.getAdapter(id);
+      const costPerCall = recent.length > 0
+        ? recent.reduce((sum, t) => sum + t.cost, 0) / recent.length
+        : adapter.estimateCost(DEFAULT_TEST_USAGE);
+
+      return {
+        id,
+        displayName: providerRegistry.getDisplayName(id),
+        model: adapter.model,
+        costPerCall: roundUsd(costPerCall),
+        basis: recent.length > 0 ? 'history' : 'default'
+      };
+    }));
+  }
+
+  /**
+   * Estimate a prompt test run before it is queued
+   * @param {string} userId
+   * @param {object} options - { urlAnalysisId, testLimit, promptCount, samplesPerPrompt } (promptCount skips counting active prompts)
+   * @returns {Promise<object>} - { promptsToTest, samplesPerPrompt, providers, totalCalls, estimatedCost, budgets, withinBudget, exceeded }
+   */
+  async estimateTestRun(userId, { urlAnalysisId = null, testLimit = null, promptCount = null, samplesPerPrompt = null } = {}) {
+    const activePrompts = promptCount ?? await Prompt.countDocuments({
+      userId,
+      status: 'active',
+      ...(urlAnalysisId && { urlAnalysisId })
+    });
+    const promptsToTest = testLimit ? Math.min(activePrompts, testLimit) : activePrompts;
+    const samples = resolveSamplesPerPrompt(samplesPerPrompt);
+
+    const providers = await this.getProviderCallCosts(userId);
+    const costPerPrompt = providers.reduce((sum, p) => sum + p.costPerCall, 0);
+    const estimatedCost = roundUsd(promptsToTest * samples * costPerPrompt);
+
+    const check = await this.checkBudget(userId, { urlAnalysisId, amount: estimatedCost });
+
+    return {
+      activePrompts,
+      promptsToTest,
+      samplesPerPrompt: samples,
+      providers,
+      totalCalls: promptsToTest * samples * providers.length,
+      estimatedCost,
+      budgets: check.budgets,
+      withinBudget: check.allowed,
+      exceeded: check.exceeded
+    };
+  }
+
+  // ===== REPORTING =====
+
+  /**
+   * Spend report: this month by source and model, monthly totals and budgets
+   * @param {string} userId
+   * @param {object} options - { urlAnalysisId, months } (months of history, default 6)
+   */
+  async getSummary(userId, { urlAnalysisId = null, months = 6 } = {}) {
+    const match = { userId: toObjectId(userId) };
+    if (urlAnalysisId) {
+      match.urlAnalysisId = toObjectId(urlAnalysisId);
+    }
+
+    const monthStart = this.getMonthStart();
+    const historyStart = new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() - (months - 1), 1));
+
+    const groupTotals = (key) => SpendLedgerEntry.aggregate([
+      { $match: { ...match, createdAt: { $gte: monthStart } } },
+      {
+        $group: {
+          _id: key,
+          cost: { $sum: '$cost' },
+          calls: { $sum: 1 },
+          totalTokens: { $sum: '$totalTokens' }
+        }
+      },
+      { $sort: { cost: -1 } }
+    ]);
+
+    const [bySource, byModel, monthly, budgets] = await Promise.all([
+      groupTotals('$source'),
+      groupTotals('$model'),
+      SpendLedgerEntry.aggregate([
+        { $match: { ...match, createdAt: { $gte: historyStart } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+            cost: { $sum: '$cost' },
+            calls: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      this.getBudgetStatus(userId, { urlAnalysisId, all: !urlAnalysisId })
+    ]);
+
+    const format = (rows, field) => rows.map(row => ({
+      [field]: row._id,
+      cost: roundUsd(row.cost),
+      calls: row.calls,
+      ...(row.totalTokens !== undefined && { totalTokens: row.totalTokens })
+    }));
+
+    return {
+      periodStart: monthStart,
+      monthToDate: roundUsd(bySource.reduce((sum, row) => sum + row.cost, 0)),
+      bySource: format(bySource, 'source'),
+      byModel: format(byModel, 'model'),
+      monthly: format(monthly, 'month'),
+      budgets
+    };
+  }
+
+  /**
+   * Most recent ledger entries
+   * @param {object} options - { urlAnalysisId, source, limit }
+   */
+  async listEntries(userId, { urlAnalysisId = null, source = null, limit = 100 } = {}) {
+    const query = { userId };
+    if (urlAnalysisId) query.urlAnalysisId = urlAnalysisId;
+    if (source) query.source = source;
+
+    return SpendLedgerEntry.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+}
+
+module.exports = new SpendService();
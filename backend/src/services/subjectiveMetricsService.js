@@ -1,4 +1,5 @@
-const axios = require('axios');
+const llmFixtureService = require('./llmFixtureService');
+const spendService = require('./spendService');
 const SubjectiveMetrics = require('../models/SubjectiveMetrics');
 const PromptTest = require('../models/PromptTest');
 // Removed hyperparameters config dependency
@@ -564,7 +565,7 @@ EXAMPLE BAD REASONING:
     const startTime = Date.now();
     
     try {
-      const response = await axios.post(
+      const response = await llmFixtureService.post(
         `${this.openRouterBaseUrl}/chat/completions`,
         {
           model: this.model,
@@ -593,14 +594,16 @@ EXAMPLE BAD REASONING:
       );
 
       const duration = Date.now() - startTime;
+      const ledgerEntry = await spendService.recordResponse('subjective_metrics', this.model, response.data);
+
       const content = response.data.choices[0].message.content;
       const usage = response.data.usage;
       const tokensUsed = usage.total_tokens;
       const inputTokens = usage.prompt_tokens;
       const outputTokens = usage.completion_tokens;
       
-      // GPT-4o-mini pricing via OpenRouter: $0.15/1M input tokens, $0.6/1M output tokens
-      const cost = (inputTokens * 0.00000015) + (outputTokens * 0.0000006);
+      // Same figure as the spend ledger (priced from config/modelPricing when it wasn't recorded)
+      const cost = ledgerEntry ? ledgerEntry.cost : (spendService.estimateCost(this.model, usage) || 0);
 
       return {
         content,
@@ -8,6 +8,8 @@
 const UrlAnalysis = require('../models/UrlAnalysis');
 const PromptTest = require('../models/PromptTest');
 const AggregatedMetrics = require('../models/AggregatedMetrics');
+const AggregatedMetricsSnapshot = require('../models/AggregatedMetricsSnapshot');
+const VisibilitySchedule = require('../models/VisibilitySchedule');
 const SubjectiveMetrics = require('../models/SubjectiveMetrics');
 const Competitor = require('../models/Competitor');
 const Topic = require('../models/Topic');
@@ -35,6 +37,8 @@ class UrlCleanupService {
       urlAnalyses: 0,
       promptTests: 0,
       aggregatedMetrics: 0,
+      metricsSnapshots: 0,
+      schedules: 0,
       subjectiveMetrics: 0,
       competitors: 0,
       topics: 0,
@@ -65,6 +69,15 @@ class UrlCleanupService {
         results.aggregatedMetrics = metricsResult.deletedCount;
         console.log(`📊 Deleted ${results.aggregatedMetrics} aggregated metrics`);
 
+        // Step 3b: Delete metric history and recurring schedules for these URL analyses
+        const [snapshotResult, scheduleResult] = await Promise.all([
+          AggregatedMetricsSnapshot.deleteMany({ urlAnalysisId: { $in: urlAnalysisIds } }),
+          VisibilitySchedule.deleteMany({ urlAnalysisId: { $in: urlAnalysisIds } })
+        ]);
+        results.metricsSnapshots = snapshotResult.deletedCount;
+        results.schedules = scheduleResult.deletedCount;
+        console.log(`🗂️  Deleted ${results.metricsSnapshots} metric snapshots and ${results.schedules} schedules`);
+
         // Step 4: Delete all subjective metrics for this user (since prompts will be regenerated)
         const subjectiveMetricsResult = await SubjectiveMetrics.deleteMany({
           userId
@@ -0,0 +1,231 @@
+/**
+ * Visibility Schedule Service
+ *
+ * Manages recurring visibility runs. Every minute the service looks for active
+ * schedules whose nextRunAt has passed, advances nextRunAt and queues a
+ * PromptTestRun through promptTestQueueService. Scheduled runs are flagged
+ * with aggregateMetrics, so when they complete the queue refreshes the live
+ * metrics and keeps an AggregatedMetricsSnapshot per scope of the run's tests.
+ */
+
+const mongoose = require('mongoose');
+const VisibilitySchedule = require('../models/VisibilitySchedule');
+const UrlAnalysis = require('../models/UrlAnalysis');
+const promptTestQueueService = require('./promptTestQueueService');
+const { computeNextRunAt } = require('../utils/scheduleTiming');
+const { runInWorkspace } = require('../utils/workspaceContext');
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const SCHEDULE_BATCH_SIZE = 20;
+
+const EDITABLE_FIELDS = ['name', 'frequency', 'hourUtc', 'minuteUtc', 'dayOfWeek', 'testLimit', 'samplesPerPrompt'];
+const TIMING_FIELDS = ['frequency', 'hourUtc', 'minuteUtc', 'dayOfWeek'];
+
+class VisibilityScheduleService {
+  constructor() {
+    this.pollTimer = null;
+    this.isProcessing = false;
+    console.log('⏰ VisibilityScheduleService initialized');
+  }
+
+  /**
+   * Start polling for due schedules. Safe to call more than once.
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    console.log(`⏰ [SCHEDULER] Checking for due schedules every ${POLL_INTERVAL_MS / 1000}s`);
+    this.pollTimer = setInterval(() => {
+      this.tick().catch(error => {
+        console.error('❌ [SCHEDULER] Poll failed:', error.message);
+      });
+    }, POLL_INTERVAL_MS);
+
+    if (this.pollTimer.unref) {
+      this.pollTimer.unref();
+    }
+
+    this.tick().catch(error => {
+      console.error('❌ [SCHEDULER] Initial poll failed:', error.message);
+    });
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Create a schedule for an analysis the user owns
+   * @returns {Promise<object|null>} - Created schedule, or null if the analysis wasn't found
+   */
+  async createSchedule(userId, data) {
+    const analysis = await UrlAnalysis.findOne({ _id: data.urlAnalysisId, userId }).select('_id url').lean();
+    if (!analysis) {
+      return null;
+    }
+
+    const fields = this.pickEditableFields(data);
+    const schedule = new VisibilitySchedule({
+      ...fields,
+      userId,
+      urlAnalysisId: analysis._id,
+      name: fields.name || analysis.url
+    });
+    schedule.nextRunAt = computeNextRunAt(schedule);
+    await schedule.save();
+
+    console.log(`⏰ [SCHEDULER] Created ${schedule.frequency} schedule ${schedule._id} (next run ${schedule.nextRunAt.toISOString()})`);
+    return schedule.toObject();
+  }
+
+  async listSchedules(userId, { urlAnalysisId } = {}) {
+    const query = { userId };
+    if (urlAnalysisId) query.urlAnalysisId = urlAnalysisId;
+
+    return VisibilitySchedule.find(query).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Update timing/options, or pause/resume via { status }
+   * @returns {Promise<object|null>} - Updated schedule, or null if not found
+   */
+  async updateSchedule(scheduleId, userId, data) {
+    const schedule = await VisibilitySchedule.findOne({ _id: scheduleId, userId });
+    if (!schedule) {
+      return null;
+    }
+
+    Object.assign(schedule, this.pickEditableFields(data));
+
+    const timingChanged = TIMING_FIELDS.some(field => data[field] !== undefined);
+    const resumed = data.status === 'active' && schedule.status === 'paused';
+
+    if (data.status) {
+      schedule.status = data.status;
+    }
+
+    // Paused schedules keep no next run; resuming or retiming starts from now
+    if (schedule.status === 'paused') {
+      schedule.nextRunAt = null;
+    } else if (timingChanged || resumed || !schedule.nextRunAt) {
+      schedule.nextRunAt = computeNextRunAt(schedule);
+    }
+
+    await schedule.save();
+    console.log(`⏰ [SCHEDULER] Updated schedule ${schedule._id} (${schedule.status})`);
+    return schedule.toObject();
+  }
+
+  /**
+   * Delete a schedule. Runs it already queued are left to finish; their
+   * snapshots are kept.
+   * @returns {Promise<boolean>} - Whether a schedule was deleted
+   */
+  async deleteSchedule(scheduleId, userId) {
+    const result = await VisibilitySchedule.deleteOne({ _id: scheduleId, userId });
+    if (result.deletedCount > 0) {
+      console.log(`🗑️  [SCHEDULER] Deleted schedule ${scheduleId}`);
+    }
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * One poll cycle: queue a run for every due schedule
+   */
+  async tick() {
+    if (this.isProcessing || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      const now = new Date();
+      const dueSchedules = await VisibilitySchedule.find({
+        status: 'active',
+        nextRunAt: { $lte: now }
+      })
+        .sort({ nextRunAt: 1 })
+        .limit(SCHEDULE_BATCH_SIZE)
+        .lean();
+
+      for (const schedule of dueSchedules) {
+        await this.fireSchedule(schedule, now);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Claim a due schedule by advancing nextRunAt, then queue its run. The
+   * conditional update means only one server instance fires each occurrence.
+   */
+  async fireSchedule(schedule, now) {
+    const claimed = await VisibilitySchedule.findOneAndUpdate(
+      { _id: schedule._id, status: 'active', nextRunAt: schedule.nextRunAt },
+      {
+        $set: {
+          nextRunAt: computeNextRunAt(schedule, now),
+          lastRunAt: now,
+          updatedAt: now
+        }
+      },
+      { new: true }
+    ).lean();
+
+    if (!claimed) {
+      return;
+    }
+
+    try {
+      // Queue the run in the schedule's workspace, as the member who created the schedule
+      const { run, alreadyActive } = await runInWorkspace(
+        { workspaceId: schedule.workspaceId, userId: schedule.userId },
+        () => promptTestQueueService.enqueue(schedule.userId, {
+          urlAnalysisId: schedule.urlAnalysisId,
+          testLimit: schedule.testLimit,
+          samplesPerPrompt: schedule.samplesPerPrompt,
+          trigger: 'schedule',
+          scheduleId: schedule._id,
+          aggregateMetrics: true
+        })
+      );
+
+      // Don't pile up runs - if one is still going for this analysis, skip this occurrence
+      await VisibilitySchedule.updateOne(
+        { _id: schedule._id },
+        {
+          $set: {
+            lastRunId: alreadyActive ? schedule.lastRunId : run._id,
+            lastRunStatus: alreadyActive ? 'skipped' : 'queued',
+            lastError: alreadyActive ? `Run ${run._id} was already ${run.status}` : null
+          },
+          $inc: { runCount: alreadyActive ? 0 : 1 }
+        }
+      );
+
+      console.log(`⏰ [SCHEDULER] Schedule ${schedule._id} ${alreadyActive ? 'skipped (run already active)' : `queued run ${run._id}`}; next run ${claimed.nextRunAt.toISOString()}`);
+    } catch (error) {
+      console.error(`❌ [SCHEDULER] Failed to queue run for schedule ${schedule._id}:`, error.message);
+      await VisibilitySchedule.updateOne(
+        { _id: schedule._id },
+        { $set: { lastRunStatus: 'failed', lastError: error.message } }
+      );
+    }
+  }
+
+  pickEditableFields(data) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+    return fields;
+  }
+}
+
+module.exports = new VisibilityScheduleService();
@@ -5,6 +5,7 @@ const { SYSTEM_PROMPTS, ANALYSIS_TEMPLATES } = require('../config/aiPrompts');
 // Removed hyperparameters config dependency
 const UrlAnalysisHelper = require('../utils/urlAnalysisHelper');
 const ProductDataExtractor = require('../utils/productDataExtractor');
+const spendService = require('./spendService');
 
 class WebsiteAnalysisService {
   constructor() {
@@ -1199,6 +1200,8 @@ Identify 3-4 category-level personas:
         timeout: 120000 // Reduced to 2 minutes timeout (was 5 minutes) - most calls complete in 30-60s
       });
 
+      await spendService.recordResponse('website_analysis', model, response.data);
+
       // Check if response structure is valid
       if (!response.data || !response.data.choices || !response.data.choices[0] || !response.data.choices[0].message) {
         console.error(`❌ Invalid response structure for ${analysisType}:`, response.data);
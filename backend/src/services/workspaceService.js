@@ -0,0 +1,386 @@
+/**
+ * Workspace Service
+ *
+ * Workspaces, their members and email invites. authenticateToken resolves
+ * the workspace of every request (X-Workspace-Id header, else the user's
+ * personal workspace) and runs the request inside it, which scopes the
+ * workspace-owned models (models/plugins/workspaceScoped).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvite = require('../models/WorkspaceInvite');
+const User = require('../models/User');
+const GAConnection = require('../models/GAConnection');
+const emailService = require('./emailService');
+const { escapeHtml } = require('../utils/reportCharts');
+const { AuthorizationError, ConflictError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Models backfilled into a user's personal workspace when it's created
+const SCOPED_MODELS = [
+  'UrlAnalysis', 'Prompt', 'Topic', 'Persona', 'Competitor', 'PromptTest', 'PromptTestRun',
+  'AggregatedMetrics', 'AggregatedMetricsSnapshot', 'Insights', 'SubjectiveMetrics',
+  'CitationVerification', 'CitationOverrideRule', 'UrlMappingRule', 'VisibilitySchedule',
+  'AlertRule', 'AlertWebhook', 'AlertEvent'
+];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Role of a user in a workspace, null when they aren't a member
+ */
+function memberRole(workspace, userId) {
+  const member = (workspace?.members || []).find(m => m.userId.toString() === userId.toString());
+  return member ? member.role : null;
+}
+
+/**
+ * Whether a role is at least minRole (viewer < editor < owner)
+ */
+function hasRole(role, minRole) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minRole];
+}
+
+class WorkspaceService {
+  constructor() {
+    console.log('🏢 WorkspaceService initialized');
+  }
+
+  memberRole(workspace, userId) {
+    return memberRole(workspace, userId);
+  }
+
+  hasRole(role, minRole) {
+    return hasRole(role, minRole);
+  }
+
+  // ===== WORKSPACES =====
+
+  /**
+   * The user's personal workspace, created (and backfilled with the data the
+   * user created before workspaces existed) on first use
+   */
+  async ensurePersonalWorkspace(userId) {
+    const existing = await Workspace.findOne({ ownerId: userId, personal: true }).lean();
+    if (existing) return existing;
+
+    const user = await User.findById(userId).select('firstName companyName').lean();
+    const name = user?.companyName || (user?.firstName ? `${user.firstName}'s workspace` : 'My workspace');
+
+    let workspace;
+    try {
+      workspace = (await Workspace.create({
+        name,
+        ownerId: userId,
+        personal: true,
+        members: [{ userId, role: 'owner' }]
+      })).toObject();
+    } catch (error) {
+      // Created by a concurrent request
+      if (error.code === 11000) {
+        return Workspace.findOne({ ownerId: userId, personal: true }).lean();
+      }
+      throw error;
+    }
+
+    const moved = await this.backfillWorkspace(userId, workspace._id);
+    console.log(`🏢 [Workspaces] Created personal workspace ${workspace._id} for user ${userId} (${moved} documents moved in)`);
+    return workspace;
+  }
+
+  /**
+   * Assign a user's documents without a workspace to one
+   * @returns {Promise<number>} - documents updated
+   */
+  async backfillWorkspace(userId, workspaceId) {
+    let moved = 0;
+    // Only models the process has loaded (every one of them once the app is up)
+    const modelNames = SCOPED_MODELS.filter(name => mongoose.modelNames().includes(name));
+    for (const modelName of modelNames) {
+      const result = await mongoose.model(modelName)
+        .updateMany({ userId, workspaceId: null }, { $set: { workspaceId } })
+        .setOptions({ workspaceScope: false });
+      moved += result.modifiedCount || 0;
+    }
+    return moved;
+  }
+
+  /**
+   * Workspace a request acts in
+   * @param {string} userId - the signed-in user
+   * @param {string} requestedId - X-Workspace-Id, if any
+   * @returns {Promise<{ workspace: object, role: string }|null>} - null when the user isn't a member
+   */
+  async resolveMembership(userId, requestedId = null) {
+    let workspace;
+    if (requestedId) {
+      if (!mongoose.Types.ObjectId.isValid(requestedId)) return null;
+      workspace = await Workspace.findOne({ _id: requestedId, 'members.userId': userId }).lean();
+    } else {
+      workspace = await this.ensurePersonalWorkspace(userId);
+    }
+
+    const role = memberRole(workspace, userId);
+    return role ? { workspace, role } : null;
+  }
+
+  /**
+   * Workspaces the user belongs to, personal first
+   */
+  async listWorkspaces(userId) {
+    await this.ensurePersonalWorkspace(userId);
+    const workspaces = await Workspace.find({ 'members.userId': userId }).sort({ personal: -1, createdAt: 1 }).lean();
+
+    return workspaces.map(workspace => ({
+      _id: workspace._id,
+      name: workspace.name,
+      personal: workspace.personal,
+      ownerId: workspace.ownerId,
+      role: memberRole(workspace, userId),
+      memberCount: workspace.members.length,
+      createdAt: workspace.createdAt
+    }));
+  }
+
+  async createWorkspace(userId, name) {
+    const workspace = await Workspace.create({
+      name: name.trim(),
+      ownerId: userId,
+      members: [{ userId, role: 'owner' }]
+    });
+
+    console.log(`🏢 [Workspaces] User ${userId} created workspace ${workspace._id}`);
+    return workspace;
+  }
+
+  async renameWorkspace(workspaceId, name) {
+    return Workspace.findByIdAndUpdate(workspaceId, { $set: { name: name.trim(), updatedAt: new Date() } }, { new: true });
+  }
+
+  // ===== MEMBERS =====
+
+  async listMembers(workspaceId) {
+    const workspace = await Workspace.findById(workspaceId).lean();
+    if (!workspace) return [];
+
+    const users = await User.find({ _id: { $in: workspace.members.map(m => m.userId) } })
+      .select('email firstName lastName')
+      .lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    return workspace.members.map(member => {
+      const user = usersById.get(member.userId.toString());
+      return {
+        userId: member.userId,
+        role: member.role,
+        joinedAt: member.joinedAt,
+        email: user?.email || null,
+        name: user ? [user.firstName, user.lastName].filter(Boolean).join(' ') : null,
+        isCreator: workspace.ownerId.toString() === member.userId.toString()
+      };
+    });
+  }
+
+  /**
+   * Change a member's role; the workspace creator always stays an owner
+   */
+  async updateMemberRole(workspaceId, memberId, role) {
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace || !memberRole(workspace, memberId)) {
+      throw new NotFoundError('Workspace member');
+    }
+    if (workspace.ownerId.toString() === memberId.toString() && role !== 'owner') {
+      throw new AuthorizationError('The workspace creator is always an owner');
+    }
+
+    workspace.members.find(m => m.userId.toString() === memberId.toString()).role = role;
+    await workspace.save();
+    return workspace;
+  }
+
+  /**
+   * Remove a member (or let a member leave). The creator can't be removed and
+   * personal workspaces can't be left.
+   */
+  async removeMember(workspaceId, memberId) {
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace || !memberRole(workspace, memberId)) {
+      throw new NotFoundError('Workspace member');
+    }
+    if (workspace.ownerId.toString() === memberId.toString()) {
+      throw new AuthorizationError('The workspace creator cannot be removed');
+    }
+
+    workspace.members = workspace.members.filter(m => m.userId.toString() !== memberId.toString());
+    await workspace.save();
+    console.log(`🏢 [Workspaces] Removed user ${memberId} from workspace ${workspaceId}`);
+  }
+
+  // ===== INVITES =====
+
+  /**
+   * Invite an email into a workspace and email the link. A new invite
+   * replaces a pending one for the same email.
+   * @returns {Promise<{ invite: object, inviteUrl: string }>}
+   */
+  async createInvite(workspace, inviter, { email, role }) {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingUser = await User.findOne({ email: normalizedEmail }).select('_id').lean();
+    if (existingUser && memberRole(workspace, existingUser._id)) {
+      throw new ConflictError(`${normalizedEmail} is already a member of this workspace`);
+    }
+
+    await WorkspaceInvite.updateMany(
+      { workspaceId: workspace._id, email: normalizedEmail, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invite = await WorkspaceInvite.create({
+      workspaceId: workspace._id,
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: inviter._id,
+      expiresAt: new Date(Date.now() + INVITE_TTL_MS)
+    });
+
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invite?token=${token}`;
+    const inviterName = [inviter.firstName, inviter.lastName].filter(Boolean).join(' ') || inviter.email;
+
+    try {
+      await emailService.send({
+        to: normalizedEmail,
+        subject: `${inviterName} invited you to ${workspace.name} on Rankly`,
+        html: `<p>${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(workspace.name)}</strong> on Rankly as ${role === 'editor' ? 'an editor' : 'a viewer'}.</p>` +
+          `<p><a href="${escapeHtml(inviteUrl)}">Accept the invite</a></p><p>The link expires in 7 days.</p>`,
+        text: `${inviterName} invited you to join ${workspace.name} on Rankly as ${role === 'editor' ? 'an editor' : 'a viewer'}.\n\nAccept the invite: ${inviteUrl}\n\nThe link expires in 7 days.`
+      });
+    } catch (error) {
+      // The owner can still share the link
+      console.warn(`⚠️ [Workspaces] Could not email invite ${invite._id}:`, error.message);
+    }
+
+    console.log(`🏢 [Workspaces] Invited ${normalizedEmail} to workspace ${workspace._id} as ${role}`);
+    return { invite, inviteUrl };
+  }
+
+  /**
+   * Pending invites of a workspace
+   */
+  async listInvites(workspaceId, { now = new Date() } = {}) {
+    return WorkspaceInvite.find({ workspaceId, acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } })
+      .sort({ createdAt: -1 });
+  }
+
+  async revokeInvite(workspaceId, inviteId) {
+    const result = await WorkspaceInvite.updateOne(
+      { _id: inviteId, workspaceId, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Join a workspace with an invite token
+   * @param {object} user - the signed-in user; must have the invited email
+   * @returns {Promise<{ workspace: object, role: string }>}
+   */
+  async acceptInvite(user, token, { now = new Date() } = {}) {
+    const invite = typeof token === 'string' && token
+      ? await WorkspaceInvite.findOne({ tokenHash: hashToken(token) })
+      : null;
+
+    if (!invite || invite.revokedAt) {
+      throw new NotFoundError('Invite');
+    }
+    if (invite.acceptedAt) {
+      throw new ConflictError('This invite has already been used');
+    }
+    if (invite.expiresAt <= now) {
+      throw new ValidationError('Invite expired', [{ field: 'token', message: 'This invite has expired. Ask for a new one.' }]);
+    }
+    if (invite.email !== user.email.toLowerCase()) {
+      throw new AuthorizationError(`This invite was sent to ${invite.email}. Sign in with that email to accept it.`);
+    }
+
+    const workspace = await Workspace.findById(invite.workspaceId);
+    if (!workspace) {
+      throw new NotFoundError('Workspace');
+    }
+
+    if (!memberRole(workspace, user._id)) {
+      workspace.members.push({ userId: user._id, role: invite.role, joinedAt: now });
+      await workspace.save();
+    }
+
+    invite.acceptedAt = now;
+    invite.acceptedBy = user._id;
+    await invite.save();
+
+    console.log(`🏢 [Workspaces] User ${user._id} joined workspace ${workspace._id} as ${invite.role}`);
+    return { workspace, role: memberRole(workspace, user._id) };
+  }
+
+  // ===== ACCESS =====
+
+  /**
+   * Dashboard access: the user's own flag, or (as a member) the flag of the
+   * workspace's creator
+   * @param {object} user - with access and isAdmin
+   * @param {object} workspace - workspace of the request; all the user's workspaces when omitted
+   */
+  async hasDashboardAccess(user, workspace = null) {
+    if (!user) return false;
+    if (user.access === true || user.isAdmin === true) return true;
+
+    const ownerIds = workspace
+      ? [workspace.ownerId]
+      : (await Workspace.find({ 'members.userId': user._id }).select('ownerId').lean()).map(w => w.ownerId);
+    const others = ownerIds.filter(id => id.toString() !== user._id.toString());
+    if (others.length === 0) return false;
+
+    return Boolean(await User.exists({ _id: { $in: others }, $or: [{ access: true }, { isAdmin: true }] }));
+  }
+
+  // ===== GA4 =====
+
+  /**
+   * Share the GA4 connection of a GA4 session with a workspace, replacing the one shared before
+   * @param {string} googleUserId - ga4_session userId
+   * @returns {Promise<object|null>} - the connection, null when there is no active one
+   */
+  async shareGA4Connection(workspaceId, googleUserId) {
+    const connection = await GAConnection.findOne({ userId: googleUserId, deleted: { $ne: true }, isActive: true });
+    if (!connection) return null;
+
+    await GAConnection.updateMany(
+      { workspaceId, _id: { $ne: connection._id } },
+      { $set: { workspaceId: null } }
+    );
+    connection.workspaceId = workspaceId;
+    await connection.save();
+
+    console.log(`🏢 [Workspaces] GA4 property ${connection.propertyId} shared with workspace ${workspaceId}`);
+    return connection;
+  }
+
+  async unshareGA4Connection(workspaceId) {
+    const result = await GAConnection.updateMany({ workspaceId }, { $set: { workspaceId: null } });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Active GA4 connection shared with a workspace, if any
+   */
+  async getSharedGA4Connection(workspaceId) {
+    return GAConnection.findOne({ workspaceId, deleted: { $ne: true }, isActive: true });
+  }
+}
+
+module.exports = new WorkspaceService();
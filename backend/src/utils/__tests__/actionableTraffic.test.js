@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeLandingPage,
+  buildTrafficIndex,
+  summarizeTraffic,
+  determineActionableReason,
+} = require('../actionableTraffic');
+
+test('normalizeLandingPage resolves GA4 paths against the site URL', () => {
+  assert.equal(normalizeLandingPage('/pricing/', 'https://www.example.com').canonicalUrl, 'example.com/pricing');
+  assert.equal(normalizeLandingPage('/pricing', 'example.com').canonicalUrl, 'example.com/pricing');
+  assert.equal(normalizeLandingPage('(not set)', 'https://example.com'), null);
+  assert.equal(normalizeLandingPage('/pricing', null), null);
+});
+
+test('buildTrafficIndex sums sessions per canonical URL and platform, applying mapping rules', () => {
+  const mappingRules = [{ sourceUrl: 'https://example.com/old-pricing', targetUrl: 'https://example.com/pricing' }];
+  const index = buildTrafficIndex([
+    { landingPage: '/pricing', platform: 'ChatGPT', sessions: 10, engagedSessions: 5, conversions: 1 },
+    { landingPage: '/pricing/', platform: 'ChatGPT', sessions: 2, engagedSessions: 1, conversions: 0 },
+    { landingPage: '/old-pricing', platform: 'Perplexity', sessions: 4, engagedSessions: 4, conversions: 1 },
+  ], { baseUrl: 'https://example.com', mappingRules });
+
+  assert.equal(index.size, 1);
+  const entry = index.get('example.com/pricing');
+  assert.equal(entry.sessions, 16);
+  assert.equal(entry.platforms.get('ChatGPT').sessions, 12);
+  assert.equal(entry.platforms.get('Perplexity').conversions, 1);
+});
+
+test('summarizeTraffic reports engagement, conversions and change by platform', () => {
+  const [current] = buildTrafficIndex([
+    { landingPage: '/docs', platform: 'ChatGPT', sessions: 6, engagedSessions: 3, conversions: 1 },
+    { landingPage: '/docs', platform: 'Claude', sessions: 2, engagedSessions: 2, conversions: 0 },
+  ], { baseUrl: 'example.com' }).values();
+  const [previous] = buildTrafficIndex([
+    { landingPage: '/docs', platform: 'ChatGPT', sessions: 4, engagedSessions: 2, conversions: 0 },
+  ], { baseUrl: 'example.com' }).values();
+
+  const traffic = summarizeTraffic(current, previous);
+  assert.equal(traffic.sessions, 8);
+  assert.equal(traffic.previousSessions, 4);
+  assert.equal(traffic.changePercent, 100);
+  assert.equal(traffic.engagementRate, 0.625);
+  assert.equal(traffic.conversions, 1);
+  assert.deepEqual(traffic.byPlatform.map((p) => p.platform), ['ChatGPT', 'Claude']);
+
+  assert.equal(summarizeTraffic(undefined, undefined).sessions, 0);
+  assert.equal(summarizeTraffic(undefined, undefined).changePercent, null);
+});
+
+test('determineActionableReason classifies pages', () => {
+  const traffic = (sessions, previousSessions) => ({ sessions, previousSessions });
+
+  assert.equal(determineActionableReason({ totalCitations: 3, traffic: null }), 'unknown');
+  assert.equal(determineActionableReason({ totalCitations: 3, traffic: traffic(0, 0) }), 'cited_no_traffic');
+  assert.equal(determineActionableReason({ totalCitations: 0, traffic: traffic(12, 10) }), 'traffic_not_cited');
+  assert.equal(determineActionableReason({ totalCitations: 2, traffic: traffic(5, 20) }), 'declining_traffic');
+  assert.equal(determineActionableReason({ totalCitations: 0, traffic: traffic(0, 20) }), 'declining_traffic');
+  assert.equal(determineActionableReason({ totalCitations: 2, traffic: traffic(2, 3) }), 'healthy');
+  assert.equal(determineActionableReason({ totalCitations: 2, traffic: traffic(18, 20) }), 'healthy');
+});
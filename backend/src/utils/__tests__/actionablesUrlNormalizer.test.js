@@ -4,6 +4,7 @@ const assert = require('node:assert/strict');
 const {
   canonicalizeUrl,
   normalizeActionableUrl,
+  validateMappingRule,
 } = require('../actionablesUrlNormalizer');
 
 test('canonicalizeUrl removes protocol, www, and trailing slash', () => {
@@ -50,5 +51,47 @@ test('normalizeActionableUrl returns null for invalid URLs', () => {
   assert.equal(normalized, null);
 });
 
+test('normalizeActionableUrl honours exact, prefix and wildcard rules', () => {
+  const mappingRules = [
+    { sourceUrl: 'https://example.com/docs', targetUrl: 'https://docs.example.com/', matchType: 'prefix' },
+    { sourceUrl: 'https://example.com/docs/legacy', targetUrl: 'https://example.com/archive', matchType: 'exact' },
+    { sourceUrl: 'https://example.com/blog/*', targetUrl: 'https://blog.example.com/posts/*', matchType: 'wildcard' },
+  ];
+
+  assert.equal(normalizeActionableUrl('https://example.com/docs/setup', mappingRules).canonicalUrl, 'docs.example.com/');
+  assert.equal(normalizeActionableUrl('https://example.com/docs/legacy', mappingRules).canonicalUrl, 'example.com/archive');
+  assert.equal(normalizeActionableUrl('https://example.com/blog/Hello-World', mappingRules).canonicalUrl, 'blog.example.com/posts/Hello-World');
+  assert.equal(normalizeActionableUrl('https://example.com/blog', mappingRules).canonicalUrl, 'example.com/blog');
+
+  const exactOnly = [{ sourceUrl: 'https://example.com/pricing', targetUrl: 'https://example.com/plans', matchType: 'exact' }];
+  assert.equal(normalizeActionableUrl('https://example.com/pricing/team', exactOnly).canonicalUrl, 'example.com/pricing/team');
+});
 
+test('validateMappingRule rejects inconsistent rules', () => {
+  assert.deepEqual(validateMappingRule({ sourceUrl: 'https://example.com/a', targetUrl: 'https://example.com/b' }), []);
+  assert.deepEqual(
+    validateMappingRule({ sourceUrl: 'example.com/blog/*', targetUrl: 'blog.example.com/*', matchType: 'wildcard' }),
+    [],
+  );
 
+  const fields = (rule) => validateMappingRule(rule).map((error) => error.field);
+  assert.deepEqual(fields({ sourceUrl: '/relative', targetUrl: 'https://example.com' }), ['sourceUrl']);
+  assert.deepEqual(fields({ sourceUrl: 'example.com/a', targetUrl: 'example.com/b', matchType: 'regex' }), ['matchType']);
+  assert.deepEqual(fields({ sourceUrl: 'example.com/blog/*', targetUrl: 'example.com/b' }), ['matchType']);
+  assert.deepEqual(fields({ sourceUrl: 'example.com/a', targetUrl: 'example.com/*/b', matchType: 'exact' }), ['targetUrl']);
+  assert.deepEqual(fields({ sourceUrl: 'https://www.example.com/a/', targetUrl: 'example.com/a' }), ['targetUrl']);
+});
+
+test('wildcard rules are limited and never backtrack', () => {
+  const pathological = `https://example.com/${'*a'.repeat(12)}*z`;
+  assert.deepEqual(
+    validateMappingRule({ sourceUrl: pathological, targetUrl: 'https://example.com/b', matchType: 'wildcard' }).map((error) => error.field),
+    ['sourceUrl'],
+  );
+
+  // Rules saved before the limit still match in linear time
+  const started = Date.now();
+  const rules = [{ sourceUrl: pathological, targetUrl: 'https://example.com/b', matchType: 'wildcard' }];
+  assert.equal(normalizeActionableUrl(`https://example.com/${'a'.repeat(60)}`, rules).canonicalUrl, `example.com/${'a'.repeat(60)}`);
+  assert.ok(Date.now() - started < 1000);
+});
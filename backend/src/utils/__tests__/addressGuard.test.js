@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+
+const { BLOCKED_ADDRESS, isPrivateAddress, assertPublicUrl, pinnedAgents } = require('../addressGuard');
+
+test('isPrivateAddress refuses private, loopback, link-local and reserved ranges', () => {
+  [
+    '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '127.0.0.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', 'not-an-ip'
+  ].forEach((address) => assert.equal(isPrivateAddress(address), true, address));
+
+  ['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:4700::1111', '::ffff:93.184.216.34']
+    .forEach((address) => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test('assertPublicUrl checks every address a host resolves to', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async (hostname) => (hostname === 'mixed.example'
+    ? [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]
+    : [{ address: '93.184.216.34', family: 4 }]));
+
+  const target = await assertPublicUrl('https://public.example/page');
+  assert.equal(target.address, '93.184.216.34');
+  assert.equal(target.family, 4);
+
+  await assert.rejects(assertPublicUrl('https://mixed.example/'), { code: BLOCKED_ADDRESS });
+  await assert.rejects(assertPublicUrl('http://[::1]:3000/'), { code: BLOCKED_ADDRESS });
+  await assert.rejects(assertPublicUrl('http://127.0.0.1/'), { code: BLOCKED_ADDRESS });
+  await assert.rejects(assertPublicUrl('file:///etc/passwd'), { code: BLOCKED_ADDRESS });
+  await assert.rejects(assertPublicUrl('not a url'), { code: BLOCKED_ADDRESS });
+});
+
+test('pinnedAgents connect to the checked address whatever the host name', async () => {
+  const server = http.createServer((req, res) => res.end(req.headers.host));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    const { httpAgent } = pinnedAgents({ address: '127.0.0.1', family: 4 });
+    const body = await new Promise((resolve, reject) => {
+      http.get(`http://unresolvable.invalid:${port}/`, { agent: httpAgent }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => resolve(data));
+      }).on('error', reject);
+    });
+    assert.equal(body, `unresolvable.invalid:${port}`);
+  } finally {
+    server.close();
+  }
+});
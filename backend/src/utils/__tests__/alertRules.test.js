@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  metricValue,
+  untrackedBrandShares,
+  evaluateAlertRule,
+  describeAlert,
+  validateAlertRule,
+} = require('../alertRules');
+
+const brand = (brandName, overrides = {}) => ({
+  brandName,
+  isOwner: false,
+  visibilityScore: 0,
+  totalAppearances: 0,
+  avgPosition: 0,
+  sentimentBreakdown: { positive: 0, neutral: 0, negative: 0, mixed: 0 },
+  ...overrides,
+});
+
+const scopes = [
+  {
+    scope: 'overall',
+    scopeValue: 'all',
+    brands: [
+      brand('Acme', { isOwner: true, visibilityScore: 40, totalAppearances: 8, sentimentBreakdown: { positive: 2, neutral: 4, negative: 4, mixed: 0 } }),
+      brand('Globex', { visibilityScore: 25 }),
+    ],
+    previousBrands: [brand('Acme', { isOwner: true, visibilityScore: 45 }), brand('Globex', { visibilityScore: 0 })],
+    untrackedBrands: [{ brandName: 'Initech', visibilityScore: 30 }, { brandName: 'Hooli', visibilityScore: 5 }],
+  },
+  {
+    scope: 'platform',
+    scopeValue: 'openai',
+    brands: [brand('Acme', { isOwner: true, visibilityScore: 30 })],
+    previousBrands: [brand('Acme', { isOwner: true, visibilityScore: 42 })],
+    untrackedBrands: [],
+  },
+  {
+    scope: 'platform',
+    scopeValue: 'perplexity',
+    brands: [brand('Acme', { isOwner: true, visibilityScore: 50 })],
+    previousBrands: null,
+    untrackedBrands: [],
+  },
+];
+
+test('metricValue derives negative sentiment share and has no position without appearances', () => {
+  assert.equal(metricValue(scopes[0].brands[0], 'negativeSentimentShare'), 40);
+  assert.equal(metricValue(brand('Unseen'), 'negativeSentimentShare'), null);
+  assert.equal(metricValue(brand('Unseen'), 'avgPosition'), null);
+});
+
+test('decreases_by compares with the previous aggregation of the same scope', () => {
+  const rule = { metric: 'visibilityScore', scope: 'platform', scopeValue: 'openai', condition: 'decreases_by', threshold: 10 };
+
+  assert.deepEqual(evaluateAlertRule(rule, scopes), [
+    { scope: 'platform', scopeValue: 'openai', brandName: 'Acme', value: 30, previousValue: 42 },
+  ]);
+  // Without a scope value every platform is checked; perplexity has no previous value
+  assert.equal(evaluateAlertRule({ ...rule, scopeValue: null }, scopes).length, 1);
+  assert.equal(evaluateAlertRule({ ...rule, threshold: 15 }, scopes).length, 0);
+});
+
+test('level conditions read the owner or a named brand', () => {
+  const rule = { metric: 'negativeSentimentShare', scope: 'overall', condition: 'above', threshold: 30 };
+  assert.equal(evaluateAlertRule(rule, scopes)[0].value, 40);
+
+  const competitor = { metric: 'visibilityScore', scope: 'overall', brandName: 'globex', condition: 'below', threshold: 30 };
+  assert.equal(evaluateAlertRule(competitor, scopes)[0].brandName, 'Globex');
+});
+
+test('newCompetitor flags newly visible tracked brands and untracked brands above the threshold', () => {
+  const rule = { metric: 'newCompetitor', scope: 'overall', condition: 'above', threshold: 20 };
+  const triggers = evaluateAlertRule(rule, scopes);
+
+  assert.deepEqual(triggers.map(t => [t.brandName, t.untracked]), [['Globex', false], ['Initech', true]]);
+});
+
+test('untrackedBrandShares counts each response once per brand', () => {
+  const tests = [
+    { brandMetrics: [{ brandName: 'Acme', mentioned: true }, { brandName: 'Initech', mentioned: true }, { brandName: 'initech', mentioned: true }] },
+    { brandMetrics: [{ brandName: 'Initech', mentioned: false }] },
+  ];
+
+  assert.deepEqual(untrackedBrandShares(tests, ['Acme']), [{ brandName: 'Initech', visibilityScore: 50 }]);
+});
+
+test('describeAlert reads like the rule', () => {
+  const rule = { metric: 'visibilityScore', condition: 'decreases_by', threshold: 10 };
+  assert.equal(
+    describeAlert(rule, { brandName: 'Acme', value: 30, previousValue: 42 }, 'ChatGPT'),
+    'Visibility on ChatGPT dropped 12 points for Acme (42% → 30%)'
+  );
+  assert.equal(
+    describeAlert({ metric: 'newCompetitor', condition: 'above', threshold: 20 }, { brandName: 'Initech', value: 30, untracked: true }),
+    'New competitor Initech (not tracked yet) appears in 30% of answers'
+  );
+});
+
+test('validateAlertRule reports each invalid field', () => {
+  assert.deepEqual(validateAlertRule({ name: 'Drop', metric: 'visibilityScore', condition: 'decreases_by', threshold: 10 }), []);
+
+  const fields = validateAlertRule({ metric: 'newCompetitor', scope: 'country', condition: 'below', threshold: -1 })
+    .map(error => error.field);
+  assert.deepEqual(fields, ['name', 'scope', 'condition', 'threshold']);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  requiredScope,
+  scopeAllows,
+  validateApiKeyInput,
+} = require('../apiKeys');
+
+test('generateApiKey returns a prefixed key, its hash and a display prefix', () => {
+  const { key, keyHash, prefix } = generateApiKey();
+
+  assert.match(key, /^rk_[A-Za-z0-9_-]{43}$/);
+  assert.equal(keyHash, hashApiKey(key));
+  assert.match(keyHash, /^[0-9a-f]{64}$/);
+  assert.equal(prefix, key.slice(0, 10));
+  assert.notEqual(generateApiKey().key, key);
+});
+
+test('isApiKey tells keys apart from JWTs', () => {
+  assert.equal(isApiKey(generateApiKey().key), true);
+  assert.equal(isApiKey('eyJhbGciOiJIUzI1NiJ9.eyJ1c2VySWQiOiIxIn0.sig'), false);
+  assert.equal(isApiKey(undefined), false);
+});
+
+test('read keys can only use safe methods; write is needed for the rest', () => {
+  assert.equal(requiredScope('GET'), 'read');
+  assert.equal(requiredScope('head'), 'read');
+  assert.equal(requiredScope('POST'), 'write');
+  assert.equal(requiredScope('DELETE'), 'write');
+
+  assert.equal(scopeAllows(['read'], 'GET'), true);
+  assert.equal(scopeAllows(['read'], 'PATCH'), false);
+  assert.equal(scopeAllows(['write'], 'GET'), false);
+  assert.equal(scopeAllows(['read', 'write'], 'PUT'), true);
+});
+
+test('validateApiKeyInput requires a name and known scopes on create', () => {
+  assert.deepEqual(validateApiKeyInput({ name: 'BI export', scopes: ['read'] }), []);
+
+  const fields = validateApiKeyInput({ name: ' ', scopes: ['admin'], rateLimitPerMinute: 0, expiresInDays: 1.5 })
+    .map(error => error.field);
+  assert.deepEqual(fields, ['name', 'scopes', 'rateLimitPerMinute', 'expiresInDays']);
+
+  assert.deepEqual(validateApiKeyInput({ scopes: [] }, { partial: true }).map(error => error.field), ['scopes']);
+  assert.deepEqual(validateApiKeyInput({ rateLimitPerMinute: 120 }, { partial: true }), []);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeOverridePattern,
+  findCitationOverride,
+  overrideOwner,
+  validateCitationOverride,
+} = require('../citationOverrides');
+
+test('normalizeOverridePattern strips protocol, www and trailing slashes but keeps path case', () => {
+  assert.equal(normalizeOverridePattern(' HTTPS://www.Example.com/Blog/ '), 'example.com/Blog');
+  assert.equal(normalizeOverridePattern('*.Example.com'), '*.example.com');
+  assert.equal(normalizeOverridePattern(undefined), '');
+});
+
+test('domain patterns match the domain and its subdomains only', () => {
+  const rules = [{ pattern: 'example.com', classification: 'earned' }];
+
+  assert.equal(findCitationOverride('https://www.example.com/a', rules)?.classification, 'earned');
+  assert.equal(findCitationOverride('https://docs.example.com/a', rules)?.classification, 'earned');
+  assert.equal(findCitationOverride('https://notexample.com/a', rules), null);
+});
+
+test('path patterns match the path and everything below it', () => {
+  const rules = [{ pattern: 'example.com/reviews', classification: 'earned' }];
+
+  assert.ok(findCitationOverride('https://example.com/reviews', rules));
+  assert.ok(findCitationOverride('https://example.com/reviews/acme/', rules));
+  assert.equal(findCitationOverride('https://example.com/reviewsabc', rules), null);
+  assert.equal(findCitationOverride('https://example.com/pricing', rules), null);
+});
+
+test('wildcards match host and path, and *. also matches the bare domain', () => {
+  const rules = [{ pattern: '*.example.com/blog/*', classification: 'brand' }];
+
+  assert.ok(findCitationOverride('https://example.com/blog/post-1', rules));
+  assert.ok(findCitationOverride('https://eu.example.com/blog/post-1', rules));
+  assert.ok(findCitationOverride('https://eu.example.com/blog', rules));
+  assert.equal(findCitationOverride('https://eu.example.com/docs/post-1', rules), null);
+});
+
+test('the most specific matching rule wins', () => {
+  const rules = [
+    { pattern: 'example.com', classification: 'earned' },
+    { pattern: 'example.com/community/*', classification: 'social' },
+    { pattern: 'example.com/community/announcements', classification: 'brand' },
+  ];
+
+  assert.equal(findCitationOverride('https://example.com/pricing', rules).classification, 'earned');
+  assert.equal(findCitationOverride('https://example.com/community/t/123', rules).classification, 'social');
+  assert.equal(findCitationOverride('https://example.com/community/announcements', rules).classification, 'brand');
+});
+
+test('overrideOwner defaults brand rules to the analysis brand', () => {
+  assert.equal(overrideOwner({ classification: 'brand' }, 'Acme'), 'Acme');
+  assert.equal(overrideOwner({ classification: 'brand', brandName: 'Acme EU' }, 'Acme'), 'Acme EU');
+  assert.equal(overrideOwner({ classification: 'owned-competitor', brandName: 'Globex' }, 'Acme'), 'Globex');
+  assert.equal(overrideOwner({ classification: 'social', brandName: 'Globex' }, 'Acme'), null);
+});
+
+test('validateCitationOverride reports each invalid field', () => {
+  assert.deepEqual(validateCitationOverride({ pattern: 'g2.com', classification: 'earned' }), []);
+  assert.deepEqual(
+    validateCitationOverride({ pattern: 'not a domain', classification: 'paid' }).map(error => error.field),
+    ['pattern', 'classification']
+  );
+  assert.deepEqual(
+    validateCitationOverride({ pattern: 'globex-labs.com', classification: 'owned-competitor' }).map(error => error.field),
+    ['brandName']
+  );
+});
+
+test('wildcard patterns are limited and never backtrack', () => {
+  const pathological = `example.com/${'*a'.repeat(12)}*z`;
+  assert.deepEqual(validateCitationOverride({ pattern: pathological, classification: 'earned' }).map(e => e.field), ['pattern']);
+
+  // Rules saved before the limit still match in linear time
+  const started = Date.now();
+  assert.equal(findCitationOverride(`https://example.com/${'a'.repeat(40)}`, [{ pattern: pathological, classification: 'earned' }]), null);
+  assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalCdf,
+  wilsonInterval,
+  ratioInterval,
+  proportionInterval,
+  compareEstimates,
+} = require('../confidenceIntervals');
+
+test('normalCdf matches standard normal quantiles', () => {
+  assert.ok(Math.abs(normalCdf(0) - 0.5) < 1e-7);
+  assert.ok(Math.abs(normalCdf(1.959964) - 0.975) < 1e-6);
+  assert.ok(Math.abs(normalCdf(-1.644854) - 0.05) < 1e-6);
+});
+
+test('wilsonInterval stays inside [0, 1] at the extremes', () => {
+  const none = wilsonInterval(0, 20);
+  assert.equal(none.lower, 0);
+  assert.ok(none.upper > 0.15 && none.upper < 0.17);
+
+  const all = wilsonInterval(20, 20);
+  assert.equal(all.upper, 1);
+  assert.ok(all.lower < 1);
+});
+
+test('ratioInterval with one response per cluster matches the per-response standard error', () => {
+  // 6 of 10 responses mention the brand
+  const successes = [1, 1, 1, 1, 1, 1, 0, 0, 0, 0];
+  const interval = ratioInterval(successes, successes.map(() => 1), { scale: 100, bounds: [0, 1] });
+
+  assert.equal(interval.value, 60);
+  assert.equal(interval.n, 10);
+  // sd of a 0/1 sample with p = 0.6 over n = 10: sqrt(0.24 * 10 / 9) / sqrt(10)
+  assert.equal(interval.stdError, 16.3299);
+  assert.ok(interval.lower < 60 && interval.upper > 60);
+});
+
+test('ratioInterval narrows as repeated samples agree', () => {
+  // Same 50% rate across 4 prompts, but 5 consistent samples each instead of 1 noisy one
+  const noisy = ratioInterval([1, 0, 1, 0], [1, 1, 1, 1], { scale: 100, bounds: [0, 1] });
+  const sampled = ratioInterval([5, 0, 5, 0, 3, 2, 3, 2], [5, 5, 5, 5, 5, 5, 5, 5], { scale: 100, bounds: [0, 1] });
+
+  assert.equal(noisy.value, 50);
+  assert.equal(sampled.value, 50);
+  assert.ok(sampled.stdError < noisy.stdError);
+});
+
+test('ratioInterval returns null without data and no bounds for a single cluster', () => {
+  assert.equal(ratioInterval([], []), null);
+  assert.equal(ratioInterval([0, 0], [0, 0]), null);
+
+  const single = ratioInterval([3], [2]);
+  assert.equal(single.value, 1.5);
+  assert.equal(single.lower, null);
+  assert.equal(single.stdError, null);
+});
+
+test('proportionInterval falls back to Wilson when every cluster agrees', () => {
+  const interval = proportionInterval([0, 0, 0, 0, 0], [3, 3, 3, 3, 3]);
+  assert.equal(interval.value, 0);
+  assert.equal(interval.lower, 0);
+  assert.ok(interval.upper > 0, 'a never-mentioned brand should not get a zero-width band');
+  assert.ok(interval.stdError > 0);
+});
+
+test('compareEstimates separates real changes from noise', () => {
+  const big = compareEstimates({ value: 70, stdError: 4 }, { value: 40, stdError: 5 });
+  assert.equal(big.significant, true);
+  assert.ok(big.pValue < 0.001);
+
+  const small = compareEstimates({ value: 52, stdError: 8 }, { value: 48, stdError: 8 });
+  assert.equal(small.significant, false);
+  assert.ok(small.pValue > 0.5);
+
+  assert.equal(compareEstimates({ value: 52, stdError: null }, { value: 48, stdError: 8 }), null);
+});
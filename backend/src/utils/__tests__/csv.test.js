@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv, formatCsv } = require('../csv');
+
+test('parseCsv handles quotes, escaped quotes and CRLF', () => {
+  const rows = parseCsv('\uFEFFsource,target,note\r\n"https://a.com/x","https://a.com/y","moved, ""permanently"""\r\n\r\nb.com/1, b.com/2\n');
+  assert.deepEqual(rows, [
+    { line: 1, cells: ['source', 'target', 'note'] },
+    { line: 2, cells: ['https://a.com/x', 'https://a.com/y', 'moved, "permanently"'] },
+    { line: 4, cells: ['b.com/1', 'b.com/2'] },
+  ]);
+});
+
+test('parseCsv keeps line numbers across quoted newlines and a missing final newline', () => {
+  const rows = parseCsv('a,"multi\nline"\nb,c');
+  assert.deepEqual(rows.map((row) => row.line), [1, 3]);
+  assert.equal(rows[0].cells[1], 'multi\nline');
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('formatCsv quotes special characters and round-trips through parseCsv', () => {
+  const columns = [{ key: 'name', header: 'Name' }, { key: 'score', header: 'Score' }, { key: 'tags', header: 'Tags' }];
+  const csv = formatCsv(columns, [
+    { name: 'Acme, Inc.', score: 42.5, tags: ['a', 'b'] },
+    { name: 'Says "hi"\nthere', score: null },
+  ]);
+
+  assert.ok(csv.startsWith('\uFEFFName,Score,Tags\r\n'));
+  assert.deepEqual(parseCsv(csv).map((row) => row.cells), [
+    ['Name', 'Score', 'Tags'],
+    ['Acme, Inc.', '42.5', 'a; b'],
+    ['Says "hi"\nthere', '', ''],
+  ]);
+});
+
+test('formatCsv neutralizes formula-like text but not negative numbers', () => {
+  const csv = formatCsv([{ key: 'value', header: 'Value' }], [{ value: '=HYPERLINK("x")' }, { value: -3 }, { value: '@sum' }]);
+
+  assert.deepEqual(parseCsv(csv).slice(1).map((row) => row.cells[0]), [`'=HYPERLINK("x")`, '-3', `'@sum`]);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getBucketStart,
+  listBucketStarts,
+  countBuckets,
+  toBucketKey,
+} = require('../dateBuckets');
+
+test('getBucketStart truncates to the UTC day', () => {
+  assert.equal(getBucketStart('2025-03-12T23:59:00Z', 'day').toISOString(), '2025-03-12T00:00:00.000Z');
+});
+
+test('getBucketStart uses Monday as the start of the week', () => {
+  // Wednesday and Sunday both belong to the week starting Monday 10 March
+  assert.equal(toBucketKey(getBucketStart('2025-03-12T10:00:00Z', 'week')), '2025-03-10');
+  assert.equal(toBucketKey(getBucketStart('2025-03-16T10:00:00Z', 'week')), '2025-03-10');
+  assert.equal(toBucketKey(getBucketStart('2025-03-17T00:00:00Z', 'week')), '2025-03-17');
+});
+
+test('listBucketStarts includes empty buckets between the range ends', () => {
+  const days = listBucketStarts('2025-03-10T12:00:00Z', '2025-03-13T01:00:00Z', 'day').map(toBucketKey);
+  assert.deepEqual(days, ['2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13']);
+
+  const weeks = listBucketStarts('2025-03-12T00:00:00Z', '2025-03-25T00:00:00Z', 'week').map(toBucketKey);
+  assert.deepEqual(weeks, ['2025-03-10', '2025-03-17', '2025-03-24']);
+});
+
+test('countBuckets matches listBucketStarts without building the buckets', () => {
+  [
+    ['2025-03-10T12:00:00Z', '2025-03-13T01:00:00Z', 'day'],
+    ['2025-03-10T00:00:00Z', '2025-03-10T00:00:00Z', 'day'],
+    ['2025-03-12T00:00:00Z', '2025-03-25T00:00:00Z', 'week'],
+    ['2025-03-12T00:00:00Z', '2025-03-24T00:00:00Z', 'week'],
+    ['2025-03-13T00:00:00Z', '2025-03-10T00:00:00Z', 'day']
+  ].forEach(([from, to, bucket]) => {
+    assert.equal(countBuckets(from, to, bucket), listBucketStarts(from, to, bucket).length, `${from} ${to} ${bucket}`);
+  });
+
+  // 200,000 years of days: listing them would exhaust memory
+  assert.equal(countBuckets('-100000-01-01T00:00:00Z', '+100000-01-01T00:00:00Z', 'day'), 73048501);
+});
+
+test('getBucketStart rejects unknown bucket sizes', () => {
+  assert.throws(() => getBucketStart(new Date(), 'month'), /Unsupported bucket/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const {
+  getFixtureMode,
+  buildFixtureKey,
+  getModelDirName,
+  getFixturePath,
+} = require('../llmFixtures');
+
+const messages = [
+  { role: 'system', content: 'You are helpful.' },
+  { role: 'user', content: 'Best CRM for startups?' },
+];
+
+test('buildFixtureKey is stable for the same model and messages', () => {
+  assert.equal(buildFixtureKey('openai/gpt-4o', messages), buildFixtureKey('openai/gpt-4o', messages.map(m => ({ ...m }))));
+  assert.match(buildFixtureKey('openai/gpt-4o', messages), /^[0-9a-f]{24}$/);
+});
+
+test('buildFixtureKey changes with the model or the prompt', () => {
+  const key = buildFixtureKey('openai/gpt-4o', messages);
+  assert.notEqual(buildFixtureKey('openai/gpt-4o-mini', messages), key);
+  assert.notEqual(buildFixtureKey('openai/gpt-4o', [messages[0], { role: 'user', content: 'Best CRM for banks?' }]), key);
+});
+
+test('buildFixtureKey ignores fields other than role and content', () => {
+  const withName = messages.map(m => ({ ...m, name: 'ignored' }));
+  assert.equal(buildFixtureKey('openai/gpt-4o', withName), buildFixtureKey('openai/gpt-4o', messages));
+});
+
+test('getFixturePath groups fixtures by a filesystem-safe model name', () => {
+  assert.equal(getModelDirName('openai/gpt-4o-mini:online'), 'openai_gpt-4o-mini_online');
+  assert.equal(getFixturePath('/fixtures', 'perplexity/sonar', 'abc'), path.join('/fixtures', 'perplexity_sonar', 'abc.json'));
+});
+
+test('getFixtureMode defaults to off and rejects unknown modes', () => {
+  assert.equal(getFixtureMode({}), 'off');
+  assert.equal(getFixtureMode({ LLM_FIXTURE_MODE: 'Replay' }), 'replay');
+  assert.throws(() => getFixtureMode({ LLM_FIXTURE_MODE: 'mock' }), /Invalid LLM_FIXTURE_MODE/);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_LOCALE,
+  MAX_LOCALES_PER_ANALYSIS,
+  normalizeLocale,
+  localeKey,
+  parseLocaleKey,
+  parseLocales,
+  resolveAnalysisLocales,
+  buildLocaleQuery,
+} = require('../locales');
+
+test('normalizeLocale fills missing parts with the default locale', () => {
+  assert.deepEqual(normalizeLocale(undefined), DEFAULT_LOCALE);
+  assert.deepEqual(normalizeLocale({ language: ' German ' }), { region: 'Global', language: 'German' });
+});
+
+test('localeKey round-trips through parseLocaleKey', () => {
+  const key = localeKey({ region: 'Germany', language: 'German' });
+  assert.equal(key, 'German (Germany)');
+  assert.deepEqual(parseLocaleKey(key), { region: 'Germany', language: 'German' });
+  assert.equal(parseLocaleKey('German'), null);
+});
+
+test('parseLocales de-duplicates and rejects invalid lists', () => {
+  const locales = parseLocales([
+    { region: 'France', language: 'French' },
+    { region: 'France ', language: 'French' },
+    { region: 'Global', language: 'English' },
+  ]);
+  assert.equal(locales.length, 2);
+
+  assert.throws(() => parseLocales([]), /non-empty/);
+  assert.throws(() => parseLocales([{ region: 42 }]), /region/);
+  const tooMany = Array.from({ length: MAX_LOCALES_PER_ANALYSIS + 1 }, (_, i) => ({ region: `Region ${i}`, language: 'English' }));
+  assert.throws(() => parseLocales(tooMany), /at most/);
+});
+
+test('resolveAnalysisLocales falls back to the user preference', () => {
+  const user = { preferences: { region: 'Spain', language: 'Spanish' } };
+  assert.deepEqual(resolveAnalysisLocales({ locales: [] }, user), [{ region: 'Spain', language: 'Spanish' }]);
+  assert.deepEqual(resolveAnalysisLocales({}, null), [DEFAULT_LOCALE]);
+  assert.deepEqual(
+    resolveAnalysisLocales({ locales: [{ region: 'Japan', language: 'Japanese' }] }, user),
+    [{ region: 'Japan', language: 'Japanese' }]
+  );
+});
+
+test('buildLocaleQuery matches legacy documents only for the default locale', () => {
+  assert.deepEqual(buildLocaleQuery(DEFAULT_LOCALE)['locale.region'], { $in: ['Global', null] });
+  assert.deepEqual(buildLocaleQuery({ region: 'Japan', language: 'Japanese' }), {
+    'locale.region': 'Japan',
+    'locale.language': 'Japanese',
+  });
+});
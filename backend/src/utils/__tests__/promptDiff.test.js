@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffWords, summarizeDiff } = require('../promptDiff');
+
+const join = (parts, types) => parts.filter((part) => types.includes(part.type)).map((part) => part.text).join('');
+
+test('diffWords marks inserted and replaced words', () => {
+  const parts = diffWords('What is the best CRM for startups?', 'What is the best CRM for early-stage startups in 2026?');
+  assert.deepEqual(parts, [
+    { type: 'equal', text: 'What is the best CRM for ' },
+    { type: 'removed', text: 'startups?' },
+    { type: 'added', text: 'early-stage startups in 2026?' }
+  ]);
+  assert.deepEqual(summarizeDiff(parts), { added: 4, removed: 1 });
+});
+
+test('diffWords parts rebuild both texts', () => {
+  const before = 'Which  helpdesk tools work well\nfor small teams?';
+  const after = 'Which helpdesk tools are best for small support teams?';
+  const parts = diffWords(before, after);
+
+  assert.equal(join(parts, ['equal', 'removed']).replace(/\s+/g, ' '), before.replace(/\s+/g, ' '));
+  assert.equal(join(parts, ['equal', 'added']), after);
+});
+
+test('diffWords handles empty and identical texts', () => {
+  assert.deepEqual(diffWords('', 'new prompt'), [{ type: 'added', text: 'new prompt' }]);
+  assert.deepEqual(diffWords('old prompt', ''), [{ type: 'removed', text: 'old prompt' }]);
+  assert.deepEqual(diffWords('same text', 'same text'), [{ type: 'equal', text: 'same text' }]);
+  assert.deepEqual(summarizeDiff(diffWords('same text', 'same text')), { added: 0, removed: 0 });
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toList } = require('../queryFilters');
+
+test('toList reads single and repeated params, dropping blanks', () => {
+  assert.deepEqual(toList(undefined), []);
+  assert.deepEqual(toList('openai'), ['openai']);
+  assert.deepEqual(toList([' openai ', '', 'gemini']), ['openai', 'gemini']);
+});
+
+test('toList treats the "All ..." entry as no filter', () => {
+  assert.deepEqual(toList(['All Platforms', 'openai'], 'All Platforms'), []);
+  assert.deepEqual(toList('All Topics', 'All Platforms'), ['All Topics']);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv } = require('../csv');
+const {
+  normalizeQuery,
+  rejectQuery,
+  isConversational,
+  toConversationalPrompt,
+  classifyQueryType,
+  readQueryCsvRows
+} = require('../queryImport');
+
+test('toConversationalPrompt rewrites keyword-style queries as questions', () => {
+  assert.equal(toConversationalPrompt('best crm for startups'), 'What is the best crm for startups?');
+  assert.equal(toConversationalPrompt('top 10 running shoes for men'), 'What are the best running shoes for men?');
+  assert.equal(toConversationalPrompt('hubspot vs salesforce'), 'How does hubspot compare to salesforce?');
+  assert.equal(toConversationalPrompt('how to migrate from excel to a crm'), 'How do I migrate from excel to a crm?');
+  assert.equal(toConversationalPrompt('pipedrive alternatives'), 'What are the best alternatives to pipedrive?');
+  assert.equal(toConversationalPrompt('hubspot pricing'), 'How much does hubspot cost?');
+  assert.equal(toConversationalPrompt('acme login'), 'How do I log in to acme?');
+  assert.equal(toConversationalPrompt('crm for real estate agents'), 'What crm would you recommend for real estate agents?');
+  assert.equal(toConversationalPrompt('sales pipeline'), 'What should I know about sales pipeline?');
+});
+
+test('toConversationalPrompt keeps queries that already read as questions or requests', () => {
+  assert.equal(toConversationalPrompt('which crm should a new startup pick'), 'Which crm should a new startup pick?');
+  assert.equal(toConversationalPrompt('what is a crm?'), 'What is a crm?');
+  assert.equal(toConversationalPrompt('recommend a crm for my agency'), 'Recommend a crm for my agency');
+  assert.equal(isConversational('how to set up a crm for a small sales team'), false);
+});
+
+test('classifyQueryType maps search intent to a queryType', () => {
+  assert.equal(classifyQueryType('acme login'), 'Navigational');
+  assert.equal(classifyQueryType('buy standing desk'), 'Transactional');
+  assert.equal(classifyQueryType('acme promo code'), 'Transactional');
+  assert.equal(classifyQueryType('best crm for startups'), 'Commercial');
+  assert.equal(classifyQueryType('which crm should a new startup pick'), 'Commercial');
+  assert.equal(classifyQueryType('crm for real estate agents'), 'Commercial');
+  assert.equal(classifyQueryType('what is a sales pipeline'), 'Informational');
+});
+
+test('normalizeQuery and rejectQuery clean up and filter raw rows', () => {
+  assert.equal(normalizeQuery('  "best   crm". '), 'best crm');
+  assert.equal(normalizeQuery('is it worth it?'), 'is it worth it?');
+  assert.equal(rejectQuery('ab'), 'Too short');
+  assert.equal(rejectQuery('x'.repeat(301)), 'Longer than 300 characters');
+  assert.equal(rejectQuery('https://acme.com/pricing'), 'A URL, not a query');
+  assert.equal(rejectQuery('12345'), 'No words');
+  assert.equal(rejectQuery('(not set)'), 'Placeholder value');
+  assert.equal(rejectQuery('best crm'), null);
+});
+
+test('readQueryCsvRows detects Search Console exports and reads their metrics', () => {
+  const { format, rows } = readQueryCsvRows(parseCsv('Top queries,Clicks,Impressions,CTR,Position\nbest crm,"1,204",35000,3.4%,4.2\nacme login,80,120,66%,1\n'));
+  assert.equal(format, 'search_console');
+  assert.deepEqual(rows, [
+    { line: 2, query: 'best crm', clicks: 1204, impressions: 35000 },
+    { line: 3, query: 'acme login', clicks: 80, impressions: 120 }
+  ]);
+});
+
+test('readQueryCsvRows reads keyword files and header-less query lists', () => {
+  const keywords = readQueryCsvRows(parseCsv('Volume,Keyword\n900,crm for agencies\n'));
+  assert.equal(keywords.format, 'csv');
+  assert.deepEqual(keywords.rows, [{ line: 2, query: 'crm for agencies', clicks: 0, impressions: 900 }]);
+
+  const plain = readQueryCsvRows(parseCsv('best crm\nhubspot vs salesforce\n'));
+  assert.equal(plain.format, 'csv');
+  assert.deepEqual(plain.rows.map((row) => row.query), ['best crm', 'hubspot vs salesforce']);
+  assert.deepEqual(readQueryCsvRows([]), { format: 'csv', rows: [] });
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeHtml, barChartSvg, lineChartSvg } = require('../reportCharts');
+
+test('escapeHtml escapes markup characters', () => {
+  assert.equal(escapeHtml('<b>"A&B"</b>'), '&lt;b&gt;&quot;A&amp;B&quot;&lt;/b&gt;');
+  assert.equal(escapeHtml(null), '');
+});
+
+test('barChartSvg scales bars to the max and escapes labels', () => {
+  const svg = barChartSvg([
+    { label: 'Acme <CRM>', value: 50, highlight: true },
+    { label: 'Globex', value: 100 },
+  ], { width: 306, max: 100, unit: '%' });
+
+  // 306 - 150 label - 56 value = 100px of bar space
+  assert.match(svg, /width="50\.0" height="16"/);
+  assert.match(svg, /width="100\.0" height="16"/);
+  assert.match(svg, /Acme &lt;CRM&gt;/);
+  assert.match(svg, />50%</);
+});
+
+test('lineChartSvg breaks lines at missing values', () => {
+  const svg = lineChartSvg(['d1', 'd2', 'd3', 'd4'], [
+    { name: 'Acme', values: [10, 20, null, 40], highlight: true },
+  ]);
+
+  assert.equal((svg.match(/<polyline/g) || []).length, 1);
+  assert.equal((svg.match(/<circle/g) || []).length, 1);
+  assert.match(svg, />d1</);
+  assert.match(svg, />d4</);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  computeNextRunAt,
+  validateScheduleTiming,
+} = require('../scheduleTiming');
+
+test('computeNextRunAt returns later today for daily schedules', () => {
+  const from = new Date('2025-03-10T04:30:00Z');
+  const next = computeNextRunAt({ frequency: 'daily', hourUtc: 6 }, from);
+  assert.equal(next.toISOString(), '2025-03-10T06:00:00.000Z');
+});
+
+test('computeNextRunAt rolls daily schedules to tomorrow once the time has passed', () => {
+  const from = new Date('2025-03-10T06:00:00Z');
+  const next = computeNextRunAt({ frequency: 'daily', hourUtc: 6 }, from);
+  assert.equal(next.toISOString(), '2025-03-11T06:00:00.000Z');
+});
+
+test('computeNextRunAt waits for the configured weekday', () => {
+  // 2025-03-10 is a Monday
+  const from = new Date('2025-03-10T12:00:00Z');
+  const next = computeNextRunAt({ frequency: 'weekly', hourUtc: 9, minuteUtc: 15, dayOfWeek: 3 }, from);
+  assert.equal(next.toISOString(), '2025-03-12T09:15:00.000Z');
+});
+
+test('computeNextRunAt moves weekly schedules a full week ahead on the same day', () => {
+  const from = new Date('2025-03-10T10:00:00Z');
+  const next = computeNextRunAt({ frequency: 'weekly', hourUtc: 9, dayOfWeek: 1 }, from);
+  assert.equal(next.toISOString(), '2025-03-17T09:00:00.000Z');
+});
+
+test('computeNextRunAt rejects unknown frequencies', () => {
+  assert.throws(() => computeNextRunAt({ frequency: 'hourly' }), /Unsupported schedule frequency/);
+});
+
+test('validateScheduleTiming reports out-of-range fields', () => {
+  assert.deepEqual(validateScheduleTiming({ frequency: 'daily', hourUtc: 6 }), []);
+
+  const errors = validateScheduleTiming({ frequency: 'weekly', hourUtc: 24, minuteUtc: 5, dayOfWeek: 7 });
+  assert.deepEqual(errors.map(e => e.field), ['hourUtc', 'dayOfWeek']);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { embedText, tokenize } = require('../localEmbedding');
+const {
+  cosineSimilarity,
+  meanVector,
+  clusterVectors,
+  labelClusters,
+  clusterKey,
+} = require('../semanticClustering');
+
+const PROMPTS = [
+  'What is the best CRM for startups?',
+  'Which CRM should a small startup use?',
+  'CRM pricing comparison for startups',
+  'How do I automate email marketing campaigns?',
+  'Best email marketing tools for ecommerce',
+  'Email marketing automation software with good deliverability',
+  'What is the weather like today',
+];
+
+test('local embeddings are deterministic unit vectors that reflect shared vocabulary', () => {
+  const [crm, startupCrm, , emailCampaigns] = PROMPTS.map(text => embedText(text));
+
+  assert.deepEqual(embedText(PROMPTS[0]), crm);
+  assert.ok(Math.abs(Math.hypot(...crm) - 1) < 1e-9);
+  assert.ok(cosineSimilarity(crm, startupCrm) > 0.3);
+  assert.ok(cosineSimilarity(crm, emailCampaigns) < 0.1);
+  assert.equal(embedText('the and of').every(value => value === 0), true);
+});
+
+test('tokenize drops stopwords and folds plurals', () => {
+  assert.deepEqual(tokenize('What are the best CRM tools?').map(t => t.token), ['best', 'crm', 'tool']);
+  assert.deepEqual(tokenize('What are the best CRM tools?').map(t => t.surface), ['best', 'CRM', 'tools']);
+});
+
+test('meanVector weights its inputs and returns a unit vector', () => {
+  assert.deepEqual(meanVector([[1, 0], [0, 1]], [3, 0]), [1, 0]);
+  const mixed = meanVector([[1, 0], [0, 1]]);
+  assert.ok(Math.abs(mixed[0] - Math.SQRT1_2) < 1e-9);
+  assert.deepEqual(meanVector([]), []);
+});
+
+test('clusterVectors groups by average-linkage similarity above the threshold', () => {
+  const vectors = PROMPTS.map(text => embedText(text));
+
+  assert.deepEqual(clusterVectors(vectors, { threshold: 0.2 }), [[0, 1, 2], [3, 4, 5], [6]]);
+  assert.deepEqual(clusterVectors(vectors, { threshold: 1.01 }), PROMPTS.map((_, index) => [index]));
+  assert.deepEqual(clusterVectors([]), []);
+});
+
+test('labelClusters picks the terms that set a cluster apart, keeping acronym casing', () => {
+  const labels = labelClusters([PROMPTS.slice(0, 3), PROMPTS.slice(3, 6), PROMPTS.slice(6)]);
+
+  assert.equal(labels[0].terms[0], 'CRM');
+  assert.ok(labels[0].terms.includes('startups'));
+  assert.equal(labels[1].label, 'Email marketing');
+  assert.deepEqual(labels[2].terms, ['weather today']);
+  assert.equal(labelClusters([['the and of', 'of the']])[0].label, 'Miscellaneous');
+});
+
+test('clusterKey is stable regardless of member order', () => {
+  assert.equal(clusterKey(['b', 'a', 'c']), clusterKey(['c', 'b', 'a']));
+  assert.notEqual(clusterKey(['a', 'b']), clusterKey(['a', 'c']));
+  assert.match(clusterKey(['a']), /^[0-9a-f]{16}$/);
+});
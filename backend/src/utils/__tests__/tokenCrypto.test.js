@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  parseKeyring,
+  isEncrypted,
+  encryptedKeyId,
+  encryptToken,
+  decryptToken,
+  needsReencryption,
+  signValue,
+  verifySignedValue,
+} = require('../tokenCrypto');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+test('parseKeyring reads keyId:base64key pairs, the first one primary by default', () => {
+  const keyring = parseKeyring(`old:${newKey()}, new:${newKey()}`);
+  assert.equal(keyring.primaryKeyId, 'old');
+  assert.deepEqual([...keyring.keys.keys()], ['old', 'new']);
+
+  assert.equal(parseKeyring(`old:${newKey()},new:${newKey()}`, 'new').primaryKeyId, 'new');
+  assert.throws(() => parseKeyring(''), /No encryption keys/);
+  const pastedKey = newKey();
+  assert.throws(() => parseKeyring(`k1:${newKey()},${pastedKey}`), (error) => {
+    assert.match(error.message, /entry #2/);
+    assert.equal(error.message.includes(pastedKey.slice(0, 4)), false);
+    return true;
+  });
+  assert.throws(() => parseKeyring(`k1:${crypto.randomBytes(16).toString('base64')}`), /must be 32 bytes/);
+  assert.throws(() => parseKeyring(`k1:${newKey()}`, 'k2'), /not in the keyring/);
+});
+
+test('tokens round-trip through envelope encryption with a fresh data key each time', () => {
+  const keyring = parseKeyring(`k1:${newKey()}`);
+
+  const first = encryptToken('ya29.access-token', keyring);
+  const second = encryptToken('ya29.access-token', keyring);
+
+  assert.equal(isEncrypted(first), true);
+  assert.equal(encryptedKeyId(first), 'k1');
+  assert.equal(first.includes('ya29'), false);
+  assert.notEqual(first, second);
+  assert.equal(decryptToken(first, keyring), 'ya29.access-token');
+  assert.equal(encryptToken(first, keyring), first);
+});
+
+test('plain text and empty values pass through', () => {
+  const keyring = parseKeyring(`k1:${newKey()}`);
+
+  assert.equal(decryptToken('legacy-plain-token', keyring), 'legacy-plain-token');
+  assert.equal(encryptToken(null, keyring), null);
+  assert.equal(encryptToken('', keyring), '');
+  assert.equal(needsReencryption(null, keyring), false);
+  assert.equal(needsReencryption('legacy-plain-token', keyring), true);
+});
+
+test('rotation: old keys still decrypt, values under them need re-encryption', () => {
+  const oldKey = newKey();
+  const before = parseKeyring(`old:${oldKey}`);
+  const after = parseKeyring(`new:${newKey()},old:${oldKey}`);
+  const stored = encryptToken('refresh-token', before);
+
+  assert.equal(decryptToken(stored, after), 'refresh-token');
+  assert.equal(needsReencryption(stored, after), true);
+
+  const rotated = encryptToken(decryptToken(stored, after), after);
+  assert.equal(encryptedKeyId(rotated), 'new');
+  assert.equal(needsReencryption(rotated, after), false);
+  assert.throws(() => decryptToken(rotated, before), /not in the keyring/);
+});
+
+test('tampered ciphertexts are rejected', () => {
+  const keyring = parseKeyring(`k1:${newKey()}`);
+  const stored = encryptToken('access-token', keyring);
+  const parts = stored.split(':');
+  const ciphertext = Buffer.from(parts[4], 'base64url');
+  ciphertext[ciphertext.length - 1] ^= 1;
+  parts[4] = ciphertext.toString('base64url');
+
+  assert.throws(() => decryptToken(parts.join(':'), keyring));
+});
+
+test('signed values verify only with the same secret and unmodified', () => {
+  const signed = signValue({ cid: 'abc', uid: '123' }, 'secret');
+
+  assert.deepEqual(verifySignedValue(signed, 'secret'), { cid: 'abc', uid: '123' });
+  assert.equal(verifySignedValue(signed, 'other-secret'), null);
+
+  const [, signature] = signed.split('.');
+  const forged = `${Buffer.from(JSON.stringify({ cid: 'abc', uid: '999' })).toString('base64url')}.${signature}`;
+  assert.equal(verifySignedValue(forged, 'secret'), null);
+
+  const unsigned = Buffer.from(JSON.stringify({ userId: '123', accessToken: 'x' })).toString('base64');
+  assert.equal(verifySignedValue(unsigned, 'secret'), null);
+  assert.equal(verifySignedValue(undefined, 'secret'), null);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { countWildcards, matchWildcard } = require('../wildcards');
+
+test('matchWildcard captures what each * matched, greedily and case-insensitively', () => {
+  assert.deepEqual(matchWildcard('example.com/blog/*', 'Example.com/blog/Hello-World'), ['Hello-World']);
+  assert.deepEqual(matchWildcard('example.com/*/docs/*', 'example.com/a/docs/b/docs/c'), ['a/docs/b', 'c']);
+  assert.deepEqual(matchWildcard('example.com/pricing', 'EXAMPLE.com/Pricing'), []);
+  assert.deepEqual(matchWildcard('a*b*c', 'abc'), ['', '']);
+  assert.equal(matchWildcard('a*a', 'a'), null);
+  assert.equal(matchWildcard('example.com/blog/*', 'example.com/news/x'), null);
+});
+
+test('matchWildcard stays fast on patterns that make a regex backtrack', () => {
+  const started = Date.now();
+  const pattern = `example.com/${'*a'.repeat(12)}*z`;
+  assert.equal(matchWildcard(pattern, `example.com/${'a'.repeat(5000)}`), null);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('countWildcards', () => {
+  assert.equal(countWildcards('*.example.com/blog/*'), 2);
+  assert.equal(countWildcards('example.com'), 0);
+});
@@ -0,0 +1,154 @@
+/**
+ * Join GA4 landing-page traffic onto actionable pages.
+ *
+ * Landing pages are keyed by the same canonical URL as citations
+ * (normalizeActionableUrl, mapping rules applied), so a cited URL and the page
+ * LLM visitors land on end up in the same row.
+ */
+
+const { normalizeActionableUrl } = require('./actionablesUrlNormalizer');
+
+// A page is declining when LLM sessions fell by at least this share vs the previous period
+const DECLINE_THRESHOLD = 0.3;
+// ...and the previous period had enough sessions for the drop to mean something
+const MIN_SESSIONS_FOR_DECLINE = 5;
+
+const round = (value, digits = 4) => parseFloat((value || 0).toFixed(digits));
+
+/**
+ * Resolve a GA4 landing page (path or full URL) against the site's base URL
+ * @returns {object|null} - normalizeActionableUrl result
+ */
+function normalizeLandingPage(landingPage, baseUrl, mappingRules = []) {
+  if (!landingPage || typeof landingPage !== 'string' || landingPage === '(not set)') {
+    return null;
+  }
+
+  if (/^https?:\/\//i.test(landingPage)) {
+    return normalizeActionableUrl(landingPage, mappingRules);
+  }
+
+  if (!baseUrl) {
+    return null;
+  }
+
+  try {
+    const withProtocol = /^https?:\/\//i.test(baseUrl) ? baseUrl : `https://${baseUrl}`;
+    return normalizeActionableUrl(new URL(landingPage, withProtocol).toString(), mappingRules);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sum landing-page report rows per canonical URL and platform
+ * @param {Array<object>} rows - [{ landingPage, platform, sessions, engagedSessions, conversions }]
+ * @param {object} options - { baseUrl, mappingRules }
+ * @returns {Map<string, object>} - canonicalUrl -> { normalizedUrl, hostname, sessions, engagedSessions, conversions, platforms: Map }
+ */
+function buildTrafficIndex(rows = [], { baseUrl, mappingRules = [] } = {}) {
+  const index = new Map();
+
+  rows.forEach((row) => {
+    const normalized = normalizeLandingPage(row.landingPage, baseUrl, mappingRules);
+    if (!normalized?.canonicalUrl) {
+      return;
+    }
+
+    if (!index.has(normalized.canonicalUrl)) {
+      index.set(normalized.canonicalUrl, {
+        normalizedUrl: normalized.normalizedUrl,
+        hostname: normalized.hostname,
+        mapping: normalized.mapping,
+        sessions: 0,
+        engagedSessions: 0,
+        conversions: 0,
+        platforms: new Map(),
+      });
+    }
+
+    const entry = index.get(normalized.canonicalUrl);
+    const sessions = Number(row.sessions) || 0;
+    const engagedSessions = Number(row.engagedSessions) || 0;
+    const conversions = Number(row.conversions) || 0;
+
+    entry.sessions += sessions;
+    entry.engagedSessions += engagedSessions;
+    entry.conversions += conversions;
+
+    const platform = row.platform || 'Other';
+    const platformEntry = entry.platforms.get(platform) || { sessions: 0, engagedSessions: 0, conversions: 0 };
+    platformEntry.sessions += sessions;
+    platformEntry.engagedSessions += engagedSessions;
+    platformEntry.conversions += conversions;
+    entry.platforms.set(platform, platformEntry);
+  });
+
+  return index;
+}
+
+/**
+ * Row traffic metrics from the current and previous period index entries
+ * @param {object|undefined} current - buildTrafficIndex entry for the current period
+ * @param {object|undefined} previous - buildTrafficIndex entry for the previous period
+ */
+function summarizeTraffic(current, previous) {
+  const sessions = current?.sessions || 0;
+  const previousSessions = previous?.sessions || 0;
+
+  const byPlatform = Array.from(current?.platforms?.entries() || [])
+    .map(([platform, metrics]) => ({
+      platform,
+      sessions: metrics.sessions,
+      engagementRate: metrics.sessions > 0 ? round(metrics.engagedSessions / metrics.sessions) : 0,
+      conversions: metrics.conversions,
+    }))
+    .sort((a, b) => b.sessions - a.sessions);
+
+  return {
+    sessions,
+    previousSessions,
+    changePercent: previousSessions > 0 ? round(((sessions - previousSessions) / previousSessions) * 100, 2) : null,
+    engagementRate: sessions > 0 ? round((current.engagedSessions || 0) / sessions) : 0,
+    conversions: current?.conversions || 0,
+    conversionRate: sessions > 0 ? round((current.conversions || 0) / sessions) : 0,
+    byPlatform,
+  };
+}
+
+function isDeclining(traffic) {
+  if (!traffic || traffic.previousSessions < MIN_SESSIONS_FOR_DECLINE) {
+    return false;
+  }
+  return traffic.sessions <= traffic.previousSessions * (1 - DECLINE_THRESHOLD);
+}
+
+/**
+ * Why a page is on the actionables list
+ * @param {object} params - { totalCitations, traffic (summarizeTraffic result, null when GA4 is unavailable) }
+ * @returns {'cited_no_traffic'|'traffic_not_cited'|'declining_traffic'|'healthy'|'unknown'}
+ */
+function determineActionableReason({ totalCitations = 0, traffic = null }) {
+  if (!traffic) {
+    return 'unknown';
+  }
+  if (totalCitations > 0 && traffic.sessions === 0) {
+    return 'cited_no_traffic';
+  }
+  if (totalCitations === 0 && traffic.sessions > 0) {
+    return 'traffic_not_cited';
+  }
+  if (isDeclining(traffic)) {
+    return 'declining_traffic';
+  }
+  return 'healthy';
+}
+
+module.exports = {
+  DECLINE_THRESHOLD,
+  MIN_SESSIONS_FOR_DECLINE,
+  normalizeLandingPage,
+  buildTrafficIndex,
+  summarizeTraffic,
+  determineActionableReason,
+};
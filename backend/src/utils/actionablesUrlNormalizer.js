@@ -1,4 +1,5 @@
 const { URL } = require('url');
+const { MAX_WILDCARDS, MAX_PATTERN_LENGTH, countWildcards, matchWildcard } = require('./wildcards');
 
 function ensureProtocol(url) {
   if (!url) return '';
@@ -79,37 +80,75 @@ function buildFullUrlFromCanonical(canonicalUrl) {
   return `https://${hostname}${path}`;
 }
 
-function findMappingForUrl(canonicalUrl, mappingRules = []) {
-  if (!canonicalUrl) {
+// exact: only the source URL; prefix: the source URL and everything below it;
+// wildcard: `*` in the source matches any text, and each `*` in the target is
+// replaced with what the matching source `*` captured
+const MAPPING_MATCH_TYPES = ['exact', 'prefix', 'wildcard'];
+
+function resolveMatchType(rule, sourceCanonical) {
+  if (MAPPING_MATCH_TYPES.includes(rule.matchType)) {
+    return rule.matchType;
+  }
+  // Rules saved before matchType existed matched exact and prefix
+  return sourceCanonical.includes('*') ? 'wildcard' : 'prefix';
+}
+
+function matchMappingRule(canonicalUrl, rule) {
+  const sourceCanonical = canonicalizeUrl(rule.sourceUrl);
+  const targetCanonical = canonicalizeUrl(rule.targetUrl);
+
+  if (!sourceCanonical || !targetCanonical) {
     return null;
   }
 
+  const matchType = resolveMatchType(rule, sourceCanonical);
   const canonicalLower = canonicalUrl.toLowerCase();
+  const sourceLower = sourceCanonical.toLowerCase();
 
-  for (const rule of mappingRules) {
-    if (!rule || !rule.sourceUrl || !rule.targetUrl) {
-      continue;
+  if (matchType === 'wildcard') {
+    const captures = matchWildcard(sourceCanonical, canonicalUrl);
+    if (!captures) {
+      return null;
     }
+    let captureIndex = 0;
+    const resolvedTarget = targetCanonical.replace(/\*/g, () => captures[captureIndex++] || '');
+    return { matchType, sourceCanonical, targetCanonical: canonicalizeUrl(resolvedTarget) || resolvedTarget };
+  }
 
-    const sourceCanonical = canonicalizeUrl(rule.sourceUrl);
-    const targetCanonical = canonicalizeUrl(rule.targetUrl);
+  const exactMatch = canonicalLower === sourceLower;
+  const prefixMatch = matchType === 'prefix' && canonicalLower.startsWith(sourceLower.endsWith('/')
+    ? sourceLower
+    : `${sourceLower}/`);
 
-    if (!sourceCanonical || !targetCanonical) {
-      continue;
-    }
+  return exactMatch || prefixMatch ? { matchType, sourceCanonical, targetCanonical } : null;
+}
+
+// Most specific rule wins: exact rules first, then the longest literal source
+function mappingRuleSpecificity(rule) {
+  const source = canonicalizeUrl(rule.sourceUrl);
+  const literalLength = source.replace(/\*/g, '').length;
+  return (rule.matchType === 'exact' ? 100000 : 0) + literalLength;
+}
+
+function findMappingForUrl(canonicalUrl, mappingRules = []) {
+  if (!canonicalUrl) {
+    return null;
+  }
 
-    const sourceLower = sourceCanonical.toLowerCase();
-    const exactMatch = canonicalLower === sourceLower;
-    const prefixMatch = canonicalLower.startsWith(sourceLower.endsWith('/')
-      ? sourceLower
-      : `${sourceLower}/`);
+  const candidates = mappingRules
+    .filter((rule) => rule && rule.sourceUrl && rule.targetUrl)
+    .sort((a, b) => mappingRuleSpecificity(b) - mappingRuleSpecificity(a));
 
-    if (exactMatch || prefixMatch) {
+  for (const rule of candidates) {
+    const match = matchMappingRule(canonicalUrl, rule);
+    if (match) {
       return {
-        targetCanonical,
+        targetCanonical: match.targetCanonical,
         mapping: {
-          sourceUrl: buildFullUrlFromCanonical(sourceCanonical),
-          targetUrl: buildFullUrlFromCanonical(targetCanonical),
+          ruleId: rule._id ? String(rule._id) : undefined,
+          matchType: match.matchType,
+          sourceUrl: buildFullUrlFromCanonical(match.sourceCanonical),
+          targetUrl: buildFullUrlFromCanonical(match.targetCanonical),
           note: rule.note || undefined,
         },
       };
@@ -119,6 +158,55 @@ function findMappingForUrl(canonicalUrl, mappingRules = []) {
   return null;
 }
 
+/**
+ * Check a mapping rule before it is saved
+ * @param {object} rule - { sourceUrl, targetUrl, matchType }
+ * @returns {Array<{ field: string, message: string }>} - empty when the rule is valid
+ */
+function validateMappingRule({ sourceUrl, targetUrl, matchType = 'prefix' } = {}) {
+  const errors = [];
+  const sourceCanonical = canonicalizeUrl(sourceUrl);
+  const targetCanonical = canonicalizeUrl(targetUrl);
+
+  if (!MAPPING_MATCH_TYPES.includes(matchType)) {
+    errors.push({ field: 'matchType', message: `matchType must be one of: ${MAPPING_MATCH_TYPES.join(', ')}` });
+  }
+  if (!sourceCanonical) {
+    errors.push({ field: 'sourceUrl', message: 'sourceUrl must be an absolute URL or hostname with path' });
+  }
+  if (!targetCanonical) {
+    errors.push({ field: 'targetUrl', message: 'targetUrl must be an absolute URL or hostname with path' });
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const sourceWildcards = countWildcards(sourceCanonical);
+  const targetWildcards = countWildcards(targetCanonical);
+
+  if (sourceCanonical.length > MAX_PATTERN_LENGTH) {
+    errors.push({ field: 'sourceUrl', message: `sourceUrl must be at most ${MAX_PATTERN_LENGTH} characters` });
+  }
+  if (sourceWildcards > MAX_WILDCARDS) {
+    errors.push({ field: 'sourceUrl', message: `sourceUrl can have at most ${MAX_WILDCARDS} *` });
+  }
+
+  if (matchType === 'wildcard' && sourceWildcards === 0) {
+    errors.push({ field: 'sourceUrl', message: 'Wildcard rules need at least one * in sourceUrl' });
+  }
+  if (matchType !== 'wildcard' && sourceWildcards > 0) {
+    errors.push({ field: 'matchType', message: 'Use matchType "wildcard" for a sourceUrl containing *' });
+  }
+  if (targetWildcards > (matchType === 'wildcard' ? sourceWildcards : 0)) {
+    errors.push({ field: 'targetUrl', message: 'targetUrl can only use * where the wildcard sourceUrl has one' });
+  }
+  if (sourceCanonical.toLowerCase() === targetCanonical.toLowerCase()) {
+    errors.push({ field: 'targetUrl', message: 'targetUrl must differ from sourceUrl' });
+  }
+
+  return errors;
+}
+
 function normalizeActionableUrl(rawUrl, mappingRules = []) {
   const canonicalUrl = canonicalizeUrl(rawUrl);
   if (!canonicalUrl) {
@@ -138,9 +226,11 @@ function normalizeActionableUrl(rawUrl, mappingRules = []) {
 }
 
 module.exports = {
+  MAPPING_MATCH_TYPES,
   normalizeActionableUrl,
   canonicalizeUrl,
   buildFullUrlFromCanonical,
+  validateMappingRule,
 };
 
 
@@ -0,0 +1,124 @@
+/**
+ * Outbound request guard for user-supplied URLs (cited pages, alert webhooks).
+ *
+ * A URL is only fetched after its host resolves to public addresses: private,
+ * loopback, link-local and reserved ranges are refused so the server can't be
+ * pointed at itself or the internal network. The connection is then pinned to
+ * the checked address (pinnedAgents), so a second DNS answer can't swap in an
+ * internal one between the check and the request. Redirects are not followed
+ * by the HTTP client; callers check every Location with assertPublicUrl again.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const BLOCKED_ADDRESS = 'EBLOCKEDADDRESS';
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64, can map onto private IPv4
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+function blockedError(message) {
+  return Object.assign(new Error(message), { code: BLOCKED_ADDRESS });
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local or reserved
+ * @param {string} address - IPv4 or IPv6 literal
+ * @returns {boolean} - true for anything that isn't a valid public address
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a URL's host and make sure every address it resolves to is public
+ * @param {string} url
+ * @returns {Promise<{ url: URL, address: string, family: number }>} - the address to connect to
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw blockedError(`Invalid URL: ${url}`);
+  }
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw blockedError(`Unsupported protocol ${parsed.protocol}`);
+  }
+
+  // URL keeps IPv6 literals in brackets
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+  if (addresses.length === 0) {
+    throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw blockedError(`${hostname} resolves to a private or reserved address`);
+  }
+
+  return { url: parsed, address: addresses[0].address, family: addresses[0].family };
+}
+
+/**
+ * HTTP(S) agents that connect to the given address whatever the host name
+ * resolves to by then (the Host header and TLS server name stay the URL's)
+ * @returns {{ httpAgent: http.Agent, httpsAgent: https.Agent }} - axios request options
+ */
+function pinnedAgents({ address, family }) {
+  const lookup = (hostname, options, callback) => {
+    if (options && options.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+  return {
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup })
+  };
+}
+
+module.exports = {
+  BLOCKED_ADDRESS,
+  isPrivateAddress,
+  assertPublicUrl,
+  pinnedAgents
+};
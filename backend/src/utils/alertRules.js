@@ -0,0 +1,198 @@
+/**
+ * Alert rule evaluation.
+ *
+ * A rule reads one metric for one brand in each aggregated scope document
+ * (overall, or per platform/topic/persona/locale) and compares it with a
+ * threshold, or with the same document from the previous aggregation for
+ * increases_by/decreases_by. newCompetitor rules instead look for competitors
+ * that weren't visible in the previous aggregation, plus brands the answers
+ * mention that aren't tracked at all, above a visibility threshold.
+ */
+
+const ALERT_METRICS = {
+  visibilityScore: { label: 'Visibility', unit: '%' },
+  shareOfVoice: { label: 'Share of voice', unit: '%' },
+  avgPosition: { label: 'Average position', unit: '', lowerIsBetter: true },
+  citationShare: { label: 'Citation share', unit: '%' },
+  sentimentShare: { label: 'Positive sentiment share', unit: '%' },
+  negativeSentimentShare: { label: 'Negative sentiment share', unit: '%' },
+  newCompetitor: { label: 'New competitor visibility', unit: '%' },
+};
+
+const ALERT_CONDITIONS = ['above', 'below', 'increases_by', 'decreases_by'];
+const ALERT_SCOPES = ['overall', 'platform', 'topic', 'persona', 'locale'];
+const CHANGE_CONDITIONS = ['increases_by', 'decreases_by'];
+
+const round = (value) => Math.round(value * 10) / 10;
+const sameName = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Value of a metric for one brand entry of AggregatedMetrics.brandMetrics
+ * @returns {number|null} - null when the metric is undefined (no position without mentions)
+ */
+function metricValue(brand, metric) {
+  if (!brand) return null;
+
+  if (metric === 'negativeSentimentShare') {
+    const breakdown = brand.sentimentBreakdown || {};
+    const total = ['positive', 'neutral', 'negative', 'mixed'].reduce((sum, key) => sum + (breakdown[key] || 0), 0);
+    return total > 0 ? round(((breakdown.negative || 0) / total) * 100) : null;
+  }
+  if (metric === 'avgPosition' && !(brand.totalAppearances > 0)) {
+    return null;
+  }
+
+  return typeof brand[metric] === 'number' ? round(brand[metric]) : null;
+}
+
+/**
+ * Share of responses mentioning each brand that isn't tracked for the analysis
+ * @param {Array} tests - PromptTests of one scope
+ * @param {Set<string>|Array<string>} trackedBrands - brand names in AggregatedMetrics
+ * @returns {Array<{ brandName: string, visibilityScore: number }>}
+ */
+function untrackedBrandShares(tests, trackedBrands) {
+  const tracked = new Set(Array.from(trackedBrands, name => name.toLowerCase()));
+  const counts = new Map();
+
+  tests.forEach(test => {
+    const seen = new Set();
+    (test.brandMetrics || []).forEach(bm => {
+      if (!bm.brandName || bm.mentioned === false) return;
+      const key = bm.brandName.toLowerCase();
+      if (tracked.has(key) || seen.has(key)) return;
+      seen.add(key);
+      const entry = counts.get(key) || { brandName: bm.brandName, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+  });
+
+  return Array.from(counts.values())
+    .map(({ brandName, count }) => ({ brandName, visibilityScore: tests.length > 0 ? round((count / tests.length) * 100) : 0 }))
+    .sort((a, b) => b.visibilityScore - a.visibilityScore);
+}
+
+/**
+ * Evaluate a rule against one aggregation
+ * @param {object} rule - AlertRule fields
+ * @param {Array<object>} scopes - [{ scope, scopeValue, brands, previousBrands (null without a previous
+ *   aggregation), untrackedBrands }]
+ * @returns {Array<{ scope, scopeValue, brandName, value, previousValue }>} - one per breach
+ */
+function evaluateAlertRule(rule, scopes) {
+  const matching = scopes.filter(entry => entry.scope === rule.scope &&
+    (!rule.scopeValue || sameName(entry.scopeValue, rule.scopeValue)));
+  const triggers = [];
+
+  matching.forEach(entry => {
+    const { scope, scopeValue } = entry;
+
+    if (rule.metric === 'newCompetitor') {
+      const previousVisible = new Set((entry.previousBrands || [])
+        .filter(brand => brand.visibilityScore > 0)
+        .map(brand => brand.brandName.toLowerCase()));
+
+      // Tracked competitors need a previous aggregation to count as new
+      if (entry.previousBrands) {
+        (entry.brands || [])
+          .filter(brand => !brand.isOwner && !previousVisible.has(brand.brandName.toLowerCase()) && brand.visibilityScore > rule.threshold)
+          .forEach(brand => triggers.push({ scope, scopeValue, brandName: brand.brandName, value: round(brand.visibilityScore), previousValue: 0, untracked: false }));
+      }
+      (entry.untrackedBrands || [])
+        .filter(brand => brand.visibilityScore > rule.threshold)
+        .forEach(brand => triggers.push({ scope, scopeValue, brandName: brand.brandName, value: brand.visibilityScore, previousValue: null, untracked: true }));
+      return;
+    }
+
+    const findBrand = (brands) => (brands || []).find(brand => (rule.brandName ? sameName(brand.brandName, rule.brandName) : brand.isOwner));
+    const brand = findBrand(entry.brands);
+    if (!brand) return;
+
+    const value = metricValue(brand, rule.metric);
+    const previousValue = metricValue(findBrand(entry.previousBrands), rule.metric);
+    if (value === null) return;
+
+    let breached = false;
+    if (rule.condition === 'above') breached = value > rule.threshold;
+    if (rule.condition === 'below') breached = value < rule.threshold;
+    if (CHANGE_CONDITIONS.includes(rule.condition) && previousValue !== null) {
+      const change = value - previousValue;
+      breached = rule.condition === 'increases_by' ? change >= rule.threshold : -change >= rule.threshold;
+    }
+
+    if (breached) {
+      triggers.push({ scope, scopeValue, brandName: brand.brandName, value, previousValue });
+    }
+  });
+
+  return triggers;
+}
+
+/**
+ * One-line description of a breach, e.g.
+ * "Visibility on ChatGPT dropped 12 points for Acme (48% → 36%)"
+ * @param {string} scopeLabel - display name of the scope value ("ChatGPT"), null for overall
+ */
+function describeAlert(rule, trigger, scopeLabel = null) {
+  const definition = ALERT_METRICS[rule.metric];
+  const format = (value) => `${value}${definition.unit}`;
+  const where = scopeLabel ? ` on ${scopeLabel}` : '';
+
+  if (rule.metric === 'newCompetitor') {
+    const tracked = trigger.untracked ? ' (not tracked yet)' : '';
+    return `New competitor ${trigger.brandName}${tracked} appears in ${format(trigger.value)} of answers${where}`;
+  }
+
+  if (CHANGE_CONDITIONS.includes(rule.condition)) {
+    const change = round(Math.abs(trigger.value - trigger.previousValue));
+    const direction = trigger.value > trigger.previousValue ? 'rose' : 'dropped';
+    const unit = definition.unit === '%' ? ' points' : '';
+    return `${definition.label}${where} ${direction} ${change}${unit} for ${trigger.brandName} (${format(trigger.previousValue)} → ${format(trigger.value)})`;
+  }
+
+  const relation = rule.condition === 'above' ? 'is above' : 'is below';
+  return `${definition.label}${where} for ${trigger.brandName} ${relation} ${format(rule.threshold)} at ${format(trigger.value)}`;
+}
+
+/**
+ * Validate an alert rule from a request body
+ * @returns {Array<{ field: string, message: string }>} - empty when valid
+ */
+function validateAlertRule({ name, metric, scope = 'overall', condition, threshold, cooldownHours } = {}) {
+  const errors = [];
+
+  if (!(typeof name === 'string' && name.trim())) {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+  if (!ALERT_METRICS[metric]) {
+    errors.push({ field: 'metric', message: `metric must be one of: ${Object.keys(ALERT_METRICS).join(', ')}` });
+  }
+  if (!ALERT_SCOPES.includes(scope)) {
+    errors.push({ field: 'scope', message: `scope must be one of: ${ALERT_SCOPES.join(', ')}` });
+  }
+  if (!ALERT_CONDITIONS.includes(condition)) {
+    errors.push({ field: 'condition', message: `condition must be one of: ${ALERT_CONDITIONS.join(', ')}` });
+  } else if (metric === 'newCompetitor' && condition !== 'above') {
+    errors.push({ field: 'condition', message: 'newCompetitor rules only support the above condition' });
+  }
+  if (!(typeof threshold === 'number' && Number.isFinite(threshold) && threshold >= 0)) {
+    errors.push({ field: 'threshold', message: 'threshold must be a non-negative number' });
+  }
+  if (cooldownHours !== undefined && !(typeof cooldownHours === 'number' && cooldownHours >= 0)) {
+    errors.push({ field: 'cooldownHours', message: 'cooldownHours must be a non-negative number' });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ALERT_METRICS,
+  ALERT_CONDITIONS,
+  ALERT_SCOPES,
+  metricValue,
+  untrackedBrandShares,
+  evaluateAlertRule,
+  describeAlert,
+  validateAlertRule,
+};
@@ -0,0 +1,84 @@
+/**
+ * Personal API key helpers.
+ *
+ * Keys look like rk_<43 url-safe characters> so they can be told apart from
+ * JWTs in the Authorization header. Only the SHA-256 of a key is stored: keys
+ * carry 256 bits of randomness, so a fast hash is enough (unlike passwords).
+ * The 'read' scope allows safe methods (GET, HEAD, OPTIONS); 'write' allows
+ * everything else.
+ */
+
+const crypto = require('crypto');
+
+const API_KEY_PREFIX = 'rk_';
+const API_KEY_SCOPES = ['read', 'write'];
+const DISPLAY_PREFIX_LENGTH = 10;
+const MAX_RATE_LIMIT_PER_MINUTE = 600;
+const MAX_EXPIRY_DAYS = 365;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * @returns {{ key: string, keyHash: string, prefix: string }}
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, keyHash: hashApiKey(key), prefix: key.slice(0, DISPLAY_PREFIX_LENGTH) };
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Scope an HTTP method needs
+ * @returns {'read'|'write'}
+ */
+function requiredScope(method) {
+  return SAFE_METHODS.includes(String(method).toUpperCase()) ? 'read' : 'write';
+}
+
+function scopeAllows(scopes, method) {
+  return Array.isArray(scopes) && scopes.includes(requiredScope(method));
+}
+
+/**
+ * Validate API key fields from a request body; name and scopes are required on create
+ * @returns {Array<{ field: string, message: string }>} - empty when valid
+ */
+function validateApiKeyInput({ name, scopes, rateLimitPerMinute, expiresInDays } = {}, { partial = false } = {}) {
+  const errors = [];
+
+  if ((!partial || name !== undefined) && !(typeof name === 'string' && name.trim())) {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+  if ((!partial || scopes !== undefined) &&
+    !(Array.isArray(scopes) && scopes.length > 0 && scopes.every(scope => API_KEY_SCOPES.includes(scope)))) {
+    errors.push({ field: 'scopes', message: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` });
+  }
+  if (rateLimitPerMinute !== undefined &&
+    !(Number.isInteger(rateLimitPerMinute) && rateLimitPerMinute >= 1 && rateLimitPerMinute <= MAX_RATE_LIMIT_PER_MINUTE)) {
+    errors.push({ field: 'rateLimitPerMinute', message: `rateLimitPerMinute must be an integer between 1 and ${MAX_RATE_LIMIT_PER_MINUTE}` });
+  }
+  if (expiresInDays !== undefined && expiresInDays !== null &&
+    !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= MAX_EXPIRY_DAYS)) {
+    errors.push({ field: 'expiresInDays', message: `expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}` });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  MAX_RATE_LIMIT_PER_MINUTE,
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  requiredScope,
+  scopeAllows,
+  validateApiKeyInput,
+};
@@ -0,0 +1,144 @@
+/**
+ * Per-analysis citation classification overrides.
+ *
+ * A rule maps a pattern to a classification that wins over the built-in
+ * domain lists in citationClassificationService:
+ *   - "partner.example"           the domain and its subdomains
+ *   - "example.com/reviews"       URLs on the domain under that path
+ *   - "*.example.com/blog/*"      wildcard over host + path
+ * Patterns are stored normalized (no protocol, no www., lowercase host, no trailing slash).
+ *
+ * "brand" and "owned-competitor" rules name the brand that owns the matched URLs;
+ * a brand rule without a brandName belongs to the analysis's own brand.
+ */
+
+const { MAX_WILDCARDS, MAX_PATTERN_LENGTH, countWildcards, matchWildcard } = require('./wildcards');
+
+const OVERRIDE_CLASSIFICATIONS = ['brand', 'earned', 'social', 'owned-competitor'];
+const OWNED_CLASSIFICATIONS = ['brand', 'owned-competitor'];
+
+/**
+ * @returns {string} - normalized pattern, '' when nothing usable is left
+ */
+function normalizeOverridePattern(pattern) {
+  if (typeof pattern !== 'string') return '';
+
+  const withoutProtocol = pattern.trim().replace(/^[a-z]+:\/\//i, '').replace(/^www\./i, '');
+  const slash = withoutProtocol.indexOf('/');
+  const host = (slash === -1 ? withoutProtocol : withoutProtocol.slice(0, slash)).toLowerCase();
+  const path = slash === -1 ? '' : withoutProtocol.slice(slash).replace(/\/+$/, '');
+  return `${host}${path}`;
+}
+
+/**
+ * Host + path of a cleaned citation URL, in the same shape as a normalized pattern
+ */
+function urlToMatchTarget(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return { host, target: `${host}${path}` };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a normalized pattern matches a URL's host + path
+ */
+function patternMatches(pattern, { host, target }) {
+  if (pattern.includes('*')) {
+    // "*.example.com" should also match example.com itself; trailing "/*" matches the bare directory
+    return Boolean(matchWildcard(pattern, target) || matchWildcard(pattern, `${target}/`)
+      || (pattern.startsWith('*.') && matchWildcard(pattern, `.${target}`)));
+  }
+
+  if (!pattern.includes('/')) {
+    return host === pattern || host.endsWith(`.${pattern}`);
+  }
+
+  const patternHost = pattern.slice(0, pattern.indexOf('/'));
+  const patternPath = pattern.slice(pattern.indexOf('/'));
+  const targetPath = target.slice(host.length);
+  return (host === patternHost || host.endsWith(`.${patternHost}`))
+    && (targetPath === patternPath || targetPath.startsWith(`${patternPath}/`));
+}
+
+// More literal characters = more specific; ties go to the rule without wildcards
+function patternSpecificity(pattern) {
+  return pattern.replace(/\*/g, '').length * 2 + (pattern.includes('*') ? 0 : 1);
+}
+
+/**
+ * Most specific override matching a URL
+ * @param {string} url - cleaned citation URL
+ * @param {Array<object>} rules - [{ pattern, classification, brandName }]
+ * @returns {object|null} - the matching rule
+ */
+function findCitationOverride(url, rules = []) {
+  if (!Array.isArray(rules) || rules.length === 0) return null;
+
+  const target = urlToMatchTarget(url);
+  if (!target) return null;
+
+  let best = null;
+  for (const rule of rules) {
+    const pattern = normalizeOverridePattern(rule.pattern);
+    if (!pattern || !patternMatches(pattern, target)) continue;
+    if (!best || patternSpecificity(pattern) > patternSpecificity(normalizeOverridePattern(best.pattern))) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+/**
+ * Brand that owns URLs matched by a rule, null for earned/social rules
+ * @param {object} rule - { classification, brandName }
+ * @param {string} userBrandName - the analysis's own brand
+ */
+function overrideOwner(rule, userBrandName) {
+  if (!rule || !OWNED_CLASSIFICATIONS.includes(rule.classification)) return null;
+  return rule.brandName || (rule.classification === 'brand' ? userBrandName : null);
+}
+
+/**
+ * Validate an override rule from a request body
+ * @returns {Array<{ field: string, message: string }>} - empty when valid
+ */
+function validateCitationOverride({ pattern, classification, brandName } = {}) {
+  const errors = [];
+  const normalized = normalizeOverridePattern(pattern);
+
+  if (!normalized) {
+    errors.push({ field: 'pattern', message: 'pattern is required' });
+  } else if (normalized.length > MAX_PATTERN_LENGTH) {
+    errors.push({ field: 'pattern', message: `pattern must be at most ${MAX_PATTERN_LENGTH} characters` });
+  } else if (countWildcards(normalized) > MAX_WILDCARDS) {
+    errors.push({ field: 'pattern', message: `pattern can have at most ${MAX_WILDCARDS} *` });
+  } else {
+    const host = normalized.split('/')[0];
+    if (!/^[a-z0-9*.-]+$/.test(host) || !host.replace(/\*/g, '').includes('.')) {
+      errors.push({ field: 'pattern', message: 'pattern must start with a domain, e.g. example.com or *.example.com/blog/*' });
+    }
+  }
+
+  if (!OVERRIDE_CLASSIFICATIONS.includes(classification)) {
+    errors.push({ field: 'classification', message: `classification must be one of: ${OVERRIDE_CLASSIFICATIONS.join(', ')}` });
+  }
+
+  if (classification === 'owned-competitor' && !(typeof brandName === 'string' && brandName.trim())) {
+    errors.push({ field: 'brandName', message: 'brandName is required for owned-competitor rules' });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  OVERRIDE_CLASSIFICATIONS,
+  normalizeOverridePattern,
+  findCitationOverride,
+  overrideOwner,
+  validateCitationOverride,
+};
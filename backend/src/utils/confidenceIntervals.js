@@ -0,0 +1,153 @@
+/**
+ * Confidence intervals and significance tests for visibility metrics.
+ *
+ * The dashboard metrics are ratios of sums over responses (mentions / responses,
+ * positions / appearances, brand mentions / all mentions). Responses to the same
+ * prompt on the same platform are correlated, so intervals are computed over
+ * clusters - one per prompt×platform pair - with the delta-method variance of a
+ * ratio estimator. With one sample per prompt this reduces to the usual
+ * per-response variance.
+ */
+
+const Z_95 = 1.959964;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 26.2.17, error < 7.5e-8)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Wilson score interval for a proportion
+ * @returns {{ lower: number, upper: number }} - bounds as proportions (0-1)
+ */
+function wilsonInterval(successes, trials, z = Z_95) {
+  if (trials <= 0) {
+    return { lower: 0, upper: 1 };
+  }
+
+  const p = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials))) / denominator;
+
+  return {
+    lower: Math.max(0, center - margin),
+    upper: Math.min(1, center + margin)
+  };
+}
+
+/**
+ * Ratio estimator R = Σx / Σy over clusters with its delta-method standard error
+ * @param {Array<number>} numerators - x per cluster
+ * @param {Array<number>} denominators - y per cluster
+ * @returns {{ estimate: number, stdError: number|null, n: number }|null} - null when Σy is 0
+ */
+function ratioEstimate(numerators, denominators) {
+  const n = denominators.length;
+  const sumX = numerators.reduce((a, b) => a + b, 0);
+  const sumY = denominators.reduce((a, b) => a + b, 0);
+  if (n === 0 || sumY === 0) {
+    return null;
+  }
+
+  const estimate = sumX / sumY;
+  if (n < 2) {
+    return { estimate, stdError: null, n };
+  }
+
+  const meanY = sumY / n;
+  const residualSquares = numerators.reduce((sum, x, i) => sum + (x - estimate * denominators[i]) ** 2, 0);
+  const stdError = Math.sqrt(residualSquares / (n * (n - 1))) / meanY;
+
+  return { estimate, stdError, n };
+}
+
+/**
+ * Interval for a ratio metric, reported on `scale` (100 for percentages)
+ * @param {object} options - { scale, bounds: [min, max] on the unscaled ratio, z }
+ * @returns {{ value: number, lower: number|null, upper: number|null, stdError: number|null, n: number }|null}
+ */
+function ratioInterval(numerators, denominators, { scale = 1, bounds = [-Infinity, Infinity], z = Z_95 } = {}) {
+  const ratio = ratioEstimate(numerators, denominators);
+  if (!ratio) {
+    return null;
+  }
+
+  const { estimate, stdError, n } = ratio;
+  const clamp = (value) => Math.min(bounds[1], Math.max(bounds[0], value));
+
+  return {
+    value: round(estimate * scale),
+    lower: stdError === null ? null : round(clamp(estimate - z * stdError) * scale),
+    upper: stdError === null ? null : round(clamp(estimate + z * stdError) * scale),
+    stdError: stdError === null ? null : round(stdError * scale, 4),
+    n
+  };
+}
+
+/**
+ * Interval for a proportion measured over clusters (successes / trials per cluster).
+ * When every cluster has the same rate (e.g. never mentioned) the ratio variance is
+ * zero, which would claim certainty; fall back to a Wilson interval over clusters.
+ */
+function proportionInterval(successes, trials, { scale = 100, z = Z_95 } = {}) {
+  const interval = ratioInterval(successes, trials, { scale, bounds: [0, 1], z });
+  if (!interval || interval.stdError !== 0) {
+    return interval;
+  }
+
+  const { lower, upper } = wilsonInterval(interval.value / scale * interval.n, interval.n, z);
+  return {
+    ...interval,
+    lower: round(lower * scale),
+    upper: round(upper * scale),
+    stdError: round(((upper - lower) / (2 * z)) * scale, 4)
+  };
+}
+
+/**
+ * Two-sided z-test for the difference between two independent estimates
+ * @param {{ value: number, stdError: number|null }} current
+ * @param {{ value: number, stdError: number|null }} previous
+ * @returns {{ significant: boolean, pValue: number, zScore: number }|null} - null without standard errors
+ */
+function compareEstimates(current, previous, alpha = SIGNIFICANCE_LEVEL) {
+  if (!current || !previous || current.stdError == null || previous.stdError == null) {
+    return null;
+  }
+
+  const difference = current.value - previous.value;
+  const combinedError = Math.sqrt(current.stdError ** 2 + previous.stdError ** 2);
+  if (combinedError === 0) {
+    return { significant: difference !== 0, pValue: difference === 0 ? 1 : 0, zScore: 0 };
+  }
+
+  const zScore = difference / combinedError;
+  const pValue = 2 * (1 - normalCdf(Math.abs(zScore)));
+
+  return {
+    significant: pValue < alpha,
+    pValue: round(pValue, 4),
+    zScore: round(zScore, 3)
+  };
+}
+
+module.exports = {
+  Z_95,
+  SIGNIFICANCE_LEVEL,
+  normalCdf,
+  wilsonInterval,
+  ratioEstimate,
+  ratioInterval,
+  proportionInterval,
+  compareEstimates
+};
@@ -0,0 +1,109 @@
+/**
+ * Minimal RFC 4180 CSV parsing for user uploads (quoted fields, "" escapes,
+ * CRLF or LF line endings, optional UTF-8 BOM) and formatting for exports.
+ */
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of trimmed cells; blank lines are dropped
+ * @param {string} text - CSV content
+ * @returns {Array<{ line: number, cells: string[] }>} - line is 1-based, for error messages
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    cells.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (cells.some((value) => value !== '')) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Text form of a cell value; dates as ISO strings, arrays joined with "; "
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(formatCell).join('; ');
+  return String(value);
+}
+
+function escapeCell(value) {
+  let text = formatCell(value);
+  // Numbers (including negatives) are safe; other text that looks like a formula is quoted with '
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV with a header row, CRLF line endings and a UTF-8 BOM so Excel detects the encoding
+ * @param {Array<{ key: string, header: string }>} columns
+ * @param {Array<object>} rows - values are read by column key
+ * @returns {string}
+ */
+function formatCsv(columns, rows) {
+  const lines = [columns.map((column) => escapeCell(column.header))];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCell(row[column.key])));
+  });
+  return `\uFEFF${lines.map((cells) => cells.join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  formatCell,
+  formatCsv
+};
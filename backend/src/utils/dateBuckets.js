@@ -0,0 +1,63 @@
+const BUCKETS = ['day', 'week'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUCKET_MS = { day: DAY_MS, week: 7 * DAY_MS };
+
+/**
+ * Start of the UTC day or ISO week (Monday) containing `date`
+ */
+function getBucketStart(date, bucket = 'day') {
+  if (!BUCKETS.includes(bucket)) {
+    throw new Error(`Unsupported bucket: ${bucket}`);
+  }
+
+  const d = new Date(date);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+
+  if (bucket === 'week') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+
+  return start;
+}
+
+/**
+ * Every bucket start between two dates (inclusive), so gaps in data show up
+ * as empty buckets instead of being skipped
+ */
+function listBucketStarts(dateFrom, dateTo, bucket = 'day') {
+  const starts = [];
+  const step = bucket === 'week' ? 7 : 1;
+  const end = new Date(dateTo);
+
+  for (let cursor = getBucketStart(dateFrom, bucket); cursor <= end; ) {
+    starts.push(new Date(cursor));
+    cursor.setUTCDate(cursor.getUTCDate() + step);
+  }
+
+  return starts;
+}
+
+/**
+ * Number of buckets listBucketStarts would return, worked out without building
+ * them so oversized ranges can be refused first
+ */
+function countBuckets(dateFrom, dateTo, bucket = 'day') {
+  const elapsed = new Date(dateTo).getTime() - getBucketStart(dateFrom, bucket).getTime();
+  return elapsed < 0 ? 0 : Math.floor(elapsed / BUCKET_MS[bucket]) + 1;
+}
+
+/**
+ * ISO date key (YYYY-MM-DD) for a bucket start
+ */
+function toBucketKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  BUCKETS,
+  getBucketStart,
+  listBucketStarts,
+  countBuckets,
+  toBucketKey,
+};
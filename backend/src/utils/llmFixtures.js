@@ -0,0 +1,67 @@
+/**
+ * LLM fixture helpers
+ *
+ * Pure helpers for recording and replaying chat completions. A fixture is keyed
+ * by the model and a hash of the prompt messages, so the same prompt to the
+ * same model always resolves to the same file.
+ */
+const crypto = require('crypto');
+const path = require('path');
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+// Served when no exact fixture exists for a model, to callers that opt in (prompts built from live data)
+const DEFAULT_FIXTURE_NAME = 'default';
+
+/**
+ * Resolve the fixture mode from LLM_FIXTURE_MODE
+ * @returns {'off'|'record'|'replay'}
+ */
+function getFixtureMode(env = process.env) {
+  const mode = (env.LLM_FIXTURE_MODE || 'off').toLowerCase();
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Invalid LLM_FIXTURE_MODE "${env.LLM_FIXTURE_MODE}" (expected one of: ${FIXTURE_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Hash of the model and prompt messages; only role and content take part so
+ * sampling parameters can be tuned without invalidating recorded fixtures
+ * @param {string} model - Model ID
+ * @param {Array<object>} messages - Chat messages
+ * @returns {string} - 24-char hex key
+ */
+function buildFixtureKey(model, messages = []) {
+  const normalized = JSON.stringify({
+    model,
+    messages: messages.map(({ role, content }) => ({ role, content }))
+  });
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 24);
+}
+
+/**
+ * Directory name for a model's fixtures (e.g. openai/gpt-4o-mini:online -> openai_gpt-4o-mini_online)
+ */
+function getModelDirName(model) {
+  return String(model || 'unknown').replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+/**
+ * Path of a fixture file
+ * @param {string} baseDir - Fixture root directory
+ * @param {string} model - Model ID
+ * @param {string} key - Fixture key or DEFAULT_FIXTURE_NAME
+ */
+function getFixturePath(baseDir, model, key) {
+  return path.join(baseDir, getModelDirName(model), `${key}.json`);
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  DEFAULT_FIXTURE_NAME,
+  getFixtureMode,
+  buildFixtureKey,
+  getModelDirName,
+  getFixturePath
+};
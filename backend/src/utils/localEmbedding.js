@@ -0,0 +1,131 @@
+/**
+ * Local Text Embeddings
+ *
+ * Offline embedding backend (see services/embeddingService): words, word
+ * bigrams and character trigrams are hashed into a fixed-size vector (the
+ * "hashing trick") and L2-normalized. No model, no network, deterministic -
+ * texts that share vocabulary and word forms end up close, which is enough
+ * to group prompts that talk about the same thing. Paraphrases with no words
+ * in common need a real embedding model.
+ */
+
+const DIMENSIONS = 1024;
+
+// Relative weight of each feature kind in the vector
+const FEATURE_WEIGHTS = {
+  word: 1,
+  bigram: 0.7,
+  trigram: 0.35
+};
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'between', 'both', 'but', 'by', 'can', 'could', 'did',
+  'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'get', 'had', 'has',
+  'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is',
+  'it', 'its', 'just', 'like', 'me', 'more', 'most', 'my', 'need', 'no', 'nor', 'not', 'now', 'of',
+  'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'own', 'same', 'she',
+  'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very', 'want', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your', 'yours'
+]);
+
+/**
+ * Fold simple English plurals and verb forms so "tools"/"tool" and
+ * "pricing"/"priced" share a feature. Deliberately crude.
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+  if (word.endsWith('es') && /(ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Lowercase content words of a text, stopwords removed
+ * @param {string} text
+ * @returns {Array<{ token: string, surface: string }>} - Stemmed token and the word as written
+ */
+function tokenize(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}][\p{L}\p{N}'+&.-]*/gu) || [];
+  return words
+    .map(word => word.replace(/['.-]+$/, ''))
+    .filter(word => word.length > 1 && !STOPWORDS.has(word.toLowerCase()))
+    .map(word => ({ token: stem(word.toLowerCase()), surface: word }));
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scale a vector to unit length (zero vectors stay zero)
+ * @param {Array<number>|Float64Array} vector
+ * @returns {Array<number>}
+ */
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return Array.from(vector, value => (norm > 0 ? value / norm : 0));
+}
+
+/**
+ * Embed one text
+ * @param {string} text
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} - Unit-length vector (all zeros for a text with no content words)
+ */
+function embedText(text, dimensions = DIMENSIONS) {
+  const counts = new Map();
+  const add = (kind, feature) => {
+    const key = `${kind}:${feature}`;
+    const entry = counts.get(key) || { weight: FEATURE_WEIGHTS[kind], count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  };
+
+  const tokens = tokenize(text).map(({ token }) => token);
+  tokens.forEach((token, index) => {
+    add('word', token);
+    if (index > 0) {
+      add('bigram', `${tokens[index - 1]} ${token}`);
+    }
+    const padded = `^${token}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add('trigram', padded.slice(i, i + 3));
+    }
+  });
+
+  const vector = new Float64Array(dimensions);
+  counts.forEach(({ weight, count }, feature) => {
+    const hash = hashFeature(feature);
+    // Sign bit spreads collisions instead of letting them pile up
+    const sign = hash & 0x80000000 ? -1 : 1;
+    // Sublinear term frequency so a repeated word doesn't dominate long responses
+    vector[hash % dimensions] += sign * weight * (1 + Math.log(count));
+  });
+
+  return normalizeVector(vector);
+}
+
+module.exports = {
+  DIMENSIONS,
+  STOPWORDS,
+  stem,
+  tokenize,
+  normalizeVector,
+  embedText,
+};
@@ -0,0 +1,120 @@
+/**
+ * Locale helpers for prompt generation and testing.
+ *
+ * A locale is a { region, language } pair using the same free-form names as
+ * User.preferences (e.g. { region: 'Germany', language: 'German' }). Prompts and
+ * test results without a locale belong to DEFAULT_LOCALE, which is what every
+ * prompt used before analyses could target several locales.
+ */
+
+const DEFAULT_LOCALE = Object.freeze({ region: 'Global', language: 'English' });
+const MAX_LOCALES_PER_ANALYSIS = 5;
+const MAX_LOCALE_PART_LENGTH = 60;
+
+/**
+ * Fill in missing parts of a locale with the default
+ * @param {object} locale - { region, language }, may be partial or missing
+ * @returns {{ region: string, language: string }}
+ */
+function normalizeLocale(locale) {
+  const region = typeof locale?.region === 'string' && locale.region.trim() ? locale.region.trim() : DEFAULT_LOCALE.region;
+  const language = typeof locale?.language === 'string' && locale.language.trim() ? locale.language.trim() : DEFAULT_LOCALE.language;
+  return { region, language };
+}
+
+/**
+ * Stable display key used as the aggregation scopeValue and filter value, e.g. "German (Germany)"
+ */
+function localeKey(locale) {
+  const { region, language } = normalizeLocale(locale);
+  return `${language} (${region})`;
+}
+
+/**
+ * Inverse of localeKey
+ * @returns {{ region: string, language: string }|null} - null when the key is malformed
+ */
+function parseLocaleKey(key) {
+  const match = typeof key === 'string' ? key.match(/^(.+) \((.+)\)$/) : null;
+  return match ? { language: match[1], region: match[2] } : null;
+}
+
+function isDefaultLocale(locale) {
+  return localeKey(locale) === localeKey(DEFAULT_LOCALE);
+}
+
+/**
+ * Validate a list of locales from a request body
+ * @param {Array<object>} input - [{ region, language }]
+ * @returns {Array<{ region: string, language: string }>} - normalized and de-duplicated
+ * @throws {Error} - with a user-facing message when the list is invalid
+ */
+function parseLocales(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new Error('locales must be a non-empty array of { region, language }');
+  }
+
+  const locales = [];
+  for (const entry of input) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error('Each locale must be an object with region and language');
+    }
+    for (const part of ['region', 'language']) {
+      const value = entry[part];
+      if (value !== undefined && (typeof value !== 'string' || value.trim().length > MAX_LOCALE_PART_LENGTH)) {
+        throw new Error(`locale ${part} must be a string of at most ${MAX_LOCALE_PART_LENGTH} characters`);
+      }
+    }
+
+    const locale = normalizeLocale(entry);
+    if (!locales.some(existing => localeKey(existing) === localeKey(locale))) {
+      locales.push(locale);
+    }
+  }
+
+  if (locales.length > MAX_LOCALES_PER_ANALYSIS) {
+    throw new Error(`An analysis can target at most ${MAX_LOCALES_PER_ANALYSIS} locales`);
+  }
+
+  return locales;
+}
+
+/**
+ * Locales an analysis targets: its own list, else the user's preferred locale
+ * @param {object} urlAnalysis - UrlAnalysis document (or lean object)
+ * @param {object} user - User document, optional
+ * @returns {Array<{ region: string, language: string }>}
+ */
+function resolveAnalysisLocales(urlAnalysis, user = null) {
+  if (urlAnalysis?.locales?.length > 0) {
+    return urlAnalysis.locales.map(normalizeLocale);
+  }
+  return [normalizeLocale(user?.preferences)];
+}
+
+/**
+ * Mongo filter matching a locale on documents with a `locale` subdocument.
+ * Documents saved before locales existed have no locale and count as the default.
+ */
+function buildLocaleQuery(locale) {
+  const { region, language } = normalizeLocale(locale);
+  if (isDefaultLocale(locale)) {
+    return {
+      'locale.region': { $in: [region, null] },
+      'locale.language': { $in: [language, null] }
+    };
+  }
+  return { 'locale.region': region, 'locale.language': language };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  MAX_LOCALES_PER_ANALYSIS,
+  normalizeLocale,
+  localeKey,
+  parseLocaleKey,
+  isDefaultLocale,
+  parseLocales,
+  resolveAnalysisLocales,
+  buildLocaleQuery
+};
@@ -0,0 +1,86 @@
+const DIFF_TYPES = ['equal', 'added', 'removed'];
+
+// Longer texts are diffed as a single replacement to keep the LCS table small
+const MAX_DIFF_TOKENS = 2000;
+
+/**
+ * Words and the whitespace after them, so joining tokens gives the text back
+ */
+function tokenize(text) {
+  return String(text || '').match(/\S+\s*|\s+/g) || [];
+}
+
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+}
+
+/**
+ * Word-level diff between two prompt texts (longest common subsequence).
+ * Joining the equal and removed parts gives `before`, equal and added gives `after`.
+ * @returns {Array<{ type: 'equal'|'added'|'removed', text: string }>}
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const parts = [];
+
+  if (a.length * b.length > MAX_DIFF_TOKENS * MAX_DIFF_TOKENS) {
+    if (a.length > 0) pushPart(parts, 'removed', a.join(''));
+    if (b.length > 0) pushPart(parts, 'added', b.join(''));
+    return parts;
+  }
+
+  // Compare words without their trailing whitespace so "best crm" matches "best crm "
+  const key = (token) => token.trimEnd();
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = key(a[i]) === key(b[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (key(a[i]) === key(b[j])) {
+      pushPart(parts, 'equal', b[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushPart(parts, 'removed', a[i++]);
+    } else {
+      pushPart(parts, 'added', b[j++]);
+    }
+  }
+  while (i < a.length) pushPart(parts, 'removed', a[i++]);
+  while (j < b.length) pushPart(parts, 'added', b[j++]);
+
+  return parts;
+}
+
+/**
+ * Counts of added and removed words in a diff
+ * @returns {{ added: number, removed: number }}
+ */
+function summarizeDiff(parts) {
+  const countWords = (type) => parts
+    .filter((part) => part.type === type)
+    .reduce((sum, part) => sum + part.text.split(/\s+/).filter(Boolean).length, 0);
+
+  return { added: countWords('added'), removed: countWords('removed') };
+}
+
+module.exports = {
+  DIFF_TYPES,
+  diffWords,
+  summarizeDiff
+};
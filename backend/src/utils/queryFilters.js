@@ -0,0 +1,18 @@
+/**
+ * Dashboard filter query params: repeated params (?topics=a&topics=b) as the
+ * dashboard filters send them, where an "All ..." entry means no filter.
+ */
+
+/**
+ * @param {string|Array<string>|undefined} value - req.query value
+ * @param {string} [allLabel] - entry meaning "no filter", e.g. "All Platforms"
+ * @returns {Array<string>} - trimmed, non-empty values; empty when allLabel is among them
+ */
+function toList(value, allLabel = null) {
+  const list = (value ? (Array.isArray(value) ? value : [value]) : [])
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+  return allLabel && list.includes(allLabel) ? [] : list;
+}
+
+module.exports = { toList };
@@ -0,0 +1,188 @@
+/**
+ * Helpers for importing real search queries as prompts: reading query CSVs
+ * (Search Console exports or any file with a query/keyword column), turning
+ * keyword-style queries into the conversational questions people ask LLMs,
+ * and classifying a query's intent into a Prompt queryType.
+ */
+
+const MIN_QUERY_LENGTH = 3;
+const MAX_QUERY_LENGTH = 300;
+const CONVERSATIONAL_MIN_WORDS = 7;
+
+// Header cells are compared lowercased with spaces, dashes and underscores removed
+const CSV_QUERY_HEADERS = ['topqueries', 'query', 'queries', 'searchquery', 'searchterm', 'searchterms', 'keyword', 'keywords', 'prompt'];
+const CSV_CLICKS_HEADERS = ['clicks'];
+const CSV_IMPRESSIONS_HEADERS = ['impressions', 'searchvolume', 'volume', 'searches', 'avgmonthlysearches'];
+
+// "how to ..." is keyword style and gets rewritten
+const QUESTION_START = /^(who|what|what's|whats|when|where|why|which|how(?! to\b)|is|are|can|could|should|does|do|did|will|would|was|were|has|have)\b/i;
+const REQUEST_START = /^(i|i'm|im|i've|my|we|we're|help me|tell me|recommend|compare|explain|give me|show me|find me|looking for)\b/i;
+
+// Words that end the noun phrase after "best"/"top", e.g. "best [crm] for startups"
+const PHRASE_BREAK = /\s(?:for|in|with|to|under|on|near|without|that|from|by)\s/i;
+
+const INTENT_PATTERNS = [
+  ['Navigational', /\b(login|log in|sign in|signin|website|official site|homepage|customer service|contact number|phone number|app download)\b/i],
+  ['Transactional', /\b(buy|order|purchase|coupons?|discounts?|promo codes?|deals?|free trial|download|sign up|subscribe|near me)\b/i],
+  ['Commercial', /\b(best|top|vs|versus|compare|comparison|reviews?|alternatives?|competitors?|pricing|prices?|costs?|cheap|cheapest|affordable|recommended|recommend|worth it)\b|\bhow much\b|^which\b|\bshould (?:i|we) (?:get|use|choose|pick|buy)\b/i]
+];
+
+// Keyword patterns and the question each becomes; $1/$2 are the captured parts as typed
+const CONVERSION_RULES = [
+  [/^how to (.+)$/i, (m) => `How do I ${m[1]}?`],
+  [/^(.+?) (?:vs\.?|versus) (.+)$/i, (m) => `How does ${m[1]} compare to ${m[2]}?`],
+  [/^(?:alternatives?|competitors?) (?:to|for) (.+)$/i, (m) => `What are the best alternatives to ${m[1]}?`],
+  [/^(.+?) (?:alternatives?|competitors?)$/i, (m) => `What are the best alternatives to ${m[1]}?`],
+  [/^(?:best|top)(?: \d+)? (.+)$/i, (m) => `${isPluralPhrase(m[1]) ? 'What are' : 'What is'} the best ${m[1]}?`],
+  [/^(?:cheap|cheapest|affordable) (.+)$/i, (m) => `What are the most affordable options for ${m[1]}?`],
+  [/^(.+?) (?:pricing|prices?|costs?)$/i, (m) => `How much does ${m[1]} cost?`],
+  [/^(?:reviews? of) (.+)$/i, (m) => `What do reviews say about ${m[1]}?`],
+  [/^(.+?) reviews?$/i, (m) => `What do reviews say about ${m[1]}?`],
+  [/^(.+?) worth it$/i, (m) => `Is ${m[1]} worth it?`],
+  [/^(.+?) (?:login|log in|sign in)$/i, (m) => `How do I log in to ${m[1]}?`],
+  [/^(?:buy|order|purchase) (.+)$/i, (m) => `Where can I buy ${m[1]}?`],
+  [/^(.+?) (?:coupons?|discounts?|promo codes?|deals?)$/i, (m) => `Are there any discounts for ${m[1]}?`],
+  [/^(.+?) near me$/i, (m) => `Where can I find ${m[1]} near me?`],
+  [/^(?:define|definition of|meaning of) (.+)$/i, (m) => `What does ${m[1]} mean?`],
+  [/^(.+?) (?:meaning|definition)$/i, (m) => `What does ${m[1]} mean?`],
+  [/^(.+?) (?:tutorial|guide)$/i, (m) => `How do I get started with ${m[1]}?`],
+  [/^(.+?) (?:examples?|ideas?)$/i, (m) => `What are some good examples of ${m[1]}?`],
+  [/^(.+?) for (.+)$/i, (m) => `What ${m[1]} would you recommend for ${m[2]}?`]
+];
+
+/**
+ * Tidy a raw query: collapse whitespace, drop surrounding quotes and
+ * punctuation (a trailing "?" is kept)
+ * @returns {string}
+ */
+function normalizeQuery(query) {
+  return String(query || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["'“”‘’\s.,;:!-]+/, '')
+    .replace(/["'“”‘’\s.,;:!-]+$/, '')
+    .trim();
+}
+
+/**
+ * Why a normalized query can't be imported, or null when it can
+ * @returns {string|null}
+ */
+function rejectQuery(query) {
+  if (query.length < MIN_QUERY_LENGTH) return 'Too short';
+  if (query.length > MAX_QUERY_LENGTH) return `Longer than ${MAX_QUERY_LENGTH} characters`;
+  if (/^(https?:\/\/|www\.)\S+$/i.test(query)) return 'A URL, not a query';
+  if (!/\p{L}/u.test(query)) return 'No words';
+  if (/^\(not set\)$|^\(other\)$/i.test(query)) return 'Placeholder value';
+  return null;
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Whether a query already reads like something asked of an assistant
+ */
+function isConversational(query) {
+  if (/^how to\b/i.test(query)) return false;
+  return /\?$/.test(query) ||
+    QUESTION_START.test(query) ||
+    REQUEST_START.test(query) ||
+    countWords(query) >= CONVERSATIONAL_MIN_WORDS;
+}
+
+/**
+ * Rough plural check on the head of a noun phrase ("running shoes for men" -> shoes)
+ */
+function isPluralPhrase(phrase) {
+  const head = phrase.split(PHRASE_BREAK)[0].trim().split(/\s+/).pop() || '';
+  return /[^su]s$/i.test(head) || /(?:ies|es)$/i.test(head) || /^(people|men|women|children)$/i.test(head);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Conversational prompt for a search query. Keyword-style queries are
+ * rewritten with English question templates; queries that already read as
+ * questions or requests only get a capital letter (and a "?" for questions).
+ * @param {string} query - normalized query
+ * @returns {string}
+ */
+function toConversationalPrompt(query) {
+  if (isConversational(query)) {
+    const text = capitalize(query);
+    return QUESTION_START.test(query) && !/[?.!]$/.test(text) ? `${text}?` : text;
+  }
+
+  for (const [pattern, build] of CONVERSION_RULES) {
+    const match = query.match(pattern);
+    if (match) return capitalize(build(match));
+  }
+
+  return `What should I know about ${query}?`;
+}
+
+/**
+ * Prompt queryType for a search query's intent
+ * @returns {'Informational'|'Navigational'|'Commercial'|'Transactional'}
+ */
+function classifyQueryType(query) {
+  for (const [queryType, pattern] of INTENT_PATTERNS) {
+    if (pattern.test(query)) return queryType;
+  }
+  return / for /i.test(query) ? 'Commercial' : 'Informational';
+}
+
+/**
+ * Rows of a query CSV. Search Console exports ("Top queries", Clicks,
+ * Impressions, CTR, Position) are detected by their header; other files need
+ * a query/keyword/search term column or have the query in the first column.
+ * @param {Array<{ line: number, cells: string[] }>} rows - utils/csv parseCsv output
+ * @returns {{ format: 'search_console'|'csv', rows: Array<{ line: number, query: string, clicks: number, impressions: number }> }}
+ */
+function readQueryCsvRows(rows) {
+  if (rows.length === 0) {
+    return { format: 'csv', rows: [] };
+  }
+
+  const headerKeys = rows[0].cells.map((cell) => cell.toLowerCase().replace(/[\s_-]/g, ''));
+  const findColumn = (names) => headerKeys.findIndex((key) => names.includes(key));
+  const queryColumn = findColumn(CSV_QUERY_HEADERS);
+  const hasHeader = queryColumn !== -1;
+
+  const columns = {
+    query: hasHeader ? queryColumn : 0,
+    clicks: hasHeader ? findColumn(CSV_CLICKS_HEADERS) : -1,
+    impressions: hasHeader ? findColumn(CSV_IMPRESSIONS_HEADERS) : -1
+  };
+  const isSearchConsole = hasHeader && ['topqueries', 'query', 'queries'].includes(headerKeys[queryColumn]) &&
+    columns.clicks !== -1 && headerKeys.includes('impressions');
+
+  const toNumber = (value) => {
+    const number = Number(String(value || '').replace(/[,\s%]/g, ''));
+    return Number.isFinite(number) ? number : 0;
+  };
+
+  return {
+    format: isSearchConsole ? 'search_console' : 'csv',
+    rows: rows.slice(hasHeader ? 1 : 0).map(({ line, cells }) => ({
+      line,
+      query: cells[columns.query] || '',
+      clicks: columns.clicks >= 0 ? toNumber(cells[columns.clicks]) : 0,
+      impressions: columns.impressions >= 0 ? toNumber(cells[columns.impressions]) : 0
+    }))
+  };
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  normalizeQuery,
+  rejectQuery,
+  isConversational,
+  toConversationalPrompt,
+  classifyQueryType,
+  readQueryCsvRows
+};
@@ -0,0 +1,114 @@
+/**
+ * Inline SVG charts for server-rendered reports (the PDF executive report).
+ * No client JS is involved, so charts render the same in headless Chrome and
+ * in an email client.
+ */
+
+const COLORS = ['#2563eb', '#f97316', '#10b981', '#a855f7', '#ef4444', '#14b8a6', '#eab308', '#64748b'];
+const OWNER_COLOR = COLORS[0];
+const MUTED_COLOR = '#94a3b8';
+const FONT = 'font-family="Helvetica, Arial, sans-serif"';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const formatNumber = (value, digits = 1) => (Number.isInteger(value) ? String(value) : value.toFixed(digits));
+
+/**
+ * Horizontal bar chart
+ * @param {Array<{ label: string, value: number, highlight?: boolean }>} items
+ * @param {object} options - { width, max (defaults to the largest value), unit ('%') }
+ * @returns {string} - <svg> markup
+ */
+function barChartSvg(items, { width = 520, max, unit = '' } = {}) {
+  const rowHeight = 26;
+  const labelWidth = 150;
+  const valueWidth = 56;
+  const height = Math.max(rowHeight, items.length * rowHeight);
+  const scaleMax = max || Math.max(1, ...items.map(item => item.value || 0));
+  const barSpace = width - labelWidth - valueWidth;
+
+  const rows = items.map((item, index) => {
+    const y = index * rowHeight;
+    const value = Math.max(0, item.value || 0);
+    const barWidth = Math.max(value > 0 ? 2 : 0, (value / scaleMax) * barSpace);
+    const color = item.highlight ? OWNER_COLOR : MUTED_COLOR;
+    return [
+      `<text x="0" y="${y + 17}" font-size="11" ${FONT} fill="#0f172a">${escapeHtml(item.label)}</text>`,
+      `<rect x="${labelWidth}" y="${y + 5}" width="${barWidth.toFixed(1)}" height="16" rx="3" fill="${color}"/>`,
+      `<text x="${labelWidth + barWidth + 6}" y="${y + 17}" font-size="11" ${FONT} fill="#334155">${formatNumber(value)}${unit}</text>`
+    ].join('');
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${rows.join('')}</svg>`;
+}
+
+/**
+ * Line chart over shared x labels; null values leave a gap
+ * @param {Array<string>} labels - x axis labels (dates)
+ * @param {Array<{ name: string, values: Array<number|null>, highlight?: boolean }>} series
+ * @param {object} options - { width, height, max, unit }
+ * @returns {string} - <svg> markup
+ */
+function lineChartSvg(labels, series, { width = 520, height = 200, max, unit = '' } = {}) {
+  const padding = { top: 10, right: 10, bottom: 36, left: 36 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const allValues = series.flatMap(s => s.values).filter(value => typeof value === 'number');
+  const scaleMax = max || Math.max(1, ...allValues);
+
+  const x = (index) => padding.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => padding.top + plotHeight - (value / scaleMax) * plotHeight;
+
+  const grid = [0, 0.5, 1].map((fraction) => {
+    const value = scaleMax * fraction;
+    return `<line x1="${padding.left}" x2="${width - padding.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" stroke="#e2e8f0"/>`
+      + `<text x="${padding.left - 4}" y="${(y(value) + 4).toFixed(1)}" font-size="9" ${FONT} text-anchor="end" fill="#64748b">${formatNumber(value, 0)}${unit}</text>`;
+  });
+
+  // First, middle and last labels keep the axis readable
+  const labelIndexes = Array.from(new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])).filter(index => index >= 0);
+  const xLabels = labelIndexes.map(index =>
+    `<text x="${x(index).toFixed(1)}" y="${height - padding.bottom + 16}" font-size="9" ${FONT} text-anchor="middle" fill="#64748b">${escapeHtml(labels[index])}</text>`);
+
+  const lines = series.map((s, seriesIndex) => {
+    const color = s.highlight ? OWNER_COLOR : COLORS[(seriesIndex % (COLORS.length - 1)) + 1];
+    const segments = [];
+    let current = [];
+    s.values.forEach((value, index) => {
+      if (typeof value === 'number') {
+        current.push(`${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+      } else if (current.length > 0) {
+        segments.push(current);
+        current = [];
+      }
+    });
+    if (current.length > 0) segments.push(current);
+
+    return segments.map(points => points.length === 1
+      ? `<circle cx="${points[0].split(',')[0]}" cy="${points[0].split(',')[1]}" r="2.5" fill="${color}"/>`
+      : `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="${s.highlight ? 2.5 : 1.5}"/>`).join('');
+  });
+
+  const legend = series.map((s, seriesIndex) => {
+    const color = s.highlight ? OWNER_COLOR : COLORS[(seriesIndex % (COLORS.length - 1)) + 1];
+    const legendX = padding.left + seriesIndex * 110;
+    return `<rect x="${legendX}" y="${height - 12}" width="10" height="3" fill="${color}"/>`
+      + `<text x="${legendX + 14}" y="${height - 8}" font-size="9" ${FONT} fill="#334155">${escapeHtml(s.name.slice(0, 18))}</text>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + `${grid.join('')}${xLabels.join('')}${lines.join('')}${legend.join('')}</svg>`;
+}
+
+module.exports = {
+  escapeHtml,
+  barChartSvg,
+  lineChartSvg,
+};
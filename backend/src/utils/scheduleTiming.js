@@ -0,0 +1,66 @@
+const FREQUENCIES = ['daily', 'weekly'];
+
+/**
+ * Next time a schedule should fire, strictly after `from`.
+ * Times are UTC: daily schedules fire at hourUtc:minuteUtc every day, weekly
+ * schedules additionally wait for dayOfWeek (0 = Sunday).
+ */
+function computeNextRunAt(schedule, from = new Date()) {
+  const { frequency, hourUtc = 0, minuteUtc = 0, dayOfWeek = 0 } = schedule || {};
+
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Unsupported schedule frequency: ${frequency}`);
+  }
+
+  const base = new Date(from);
+  const next = new Date(Date.UTC(
+    base.getUTCFullYear(),
+    base.getUTCMonth(),
+    base.getUTCDate(),
+    hourUtc,
+    minuteUtc,
+    0,
+    0
+  ));
+
+  if (frequency === 'weekly') {
+    const daysAhead = (dayOfWeek - next.getUTCDay() + 7) % 7;
+    next.setUTCDate(next.getUTCDate() + daysAhead);
+  }
+
+  if (next <= base) {
+    next.setUTCDate(next.getUTCDate() + (frequency === 'weekly' ? 7 : 1));
+  }
+
+  return next;
+}
+
+/**
+ * Validate schedule timing fields from a request body.
+ * Returns an array of { field, message } errors (empty when valid).
+ */
+function validateScheduleTiming({ frequency, hourUtc, minuteUtc, dayOfWeek } = {}) {
+  const errors = [];
+  const isIntInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    errors.push({ field: 'frequency', message: `frequency must be one of: ${FREQUENCIES.join(', ')}` });
+  }
+  if (hourUtc !== undefined && !isIntInRange(hourUtc, 0, 23)) {
+    errors.push({ field: 'hourUtc', message: 'hourUtc must be an integer between 0 and 23' });
+  }
+  if (minuteUtc !== undefined && !isIntInRange(minuteUtc, 0, 59)) {
+    errors.push({ field: 'minuteUtc', message: 'minuteUtc must be an integer between 0 and 59' });
+  }
+  if (frequency === 'weekly' && dayOfWeek !== undefined && !isIntInRange(dayOfWeek, 0, 6)) {
+    errors.push({ field: 'dayOfWeek', message: 'dayOfWeek must be an integer between 0 (Sunday) and 6' });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  FREQUENCIES,
+  computeNextRunAt,
+  validateScheduleTiming,
+};
@@ -0,0 +1,219 @@
+/**
+ * Semantic Clustering Helpers
+ *
+ * Pure functions behind services/semanticClusterService: vector similarity,
+ * average-linkage agglomerative clustering with a similarity cut-off, and
+ * cluster labels from the words that set each cluster apart (class-based
+ * TF-IDF, as in BERTopic).
+ */
+
+const crypto = require('crypto');
+const { tokenize, normalizeVector } = require('./localEmbedding');
+
+/**
+ * Cosine similarity of two vectors (0 when either is all zeros)
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Weighted mean of vectors, normalized to unit length
+ * @param {Array<Array<number>>} vectors
+ * @param {Array<number>} weights - One per vector (default: equal)
+ * @returns {Array<number>}
+ */
+function meanVector(vectors, weights = null) {
+  if (vectors.length === 0) return [];
+  const sum = new Float64Array(vectors[0].length);
+  vectors.forEach((vector, index) => {
+    const weight = weights ? weights[index] : 1;
+    for (let i = 0; i < sum.length; i++) {
+      sum[i] += weight * (vector[i] || 0);
+    }
+  });
+  return normalizeVector(sum);
+}
+
+/**
+ * Agglomerative clustering with average linkage: the two most similar
+ * clusters are merged until no pair is more similar than the threshold.
+ * @param {Array<Array<number>>} vectors
+ * @param {object} options - { threshold } minimum average cosine similarity to merge (default 0.5)
+ * @returns {Array<Array<number>>} - Clusters as sorted vector indexes, largest first
+ */
+function clusterVectors(vectors, { threshold = 0.5 } = {}) {
+  const members = vectors.map((_, index) => [index]);
+  const similarity = vectors.map((vector, i) => Float64Array.from(vectors, (other, j) => (
+    i === j ? 0 : cosineSimilarity(vector, other)
+  )));
+  const active = new Set(members.keys());
+
+  while (active.size > 1) {
+    let best = { score: -Infinity, a: -1, b: -1 };
+    active.forEach(a => {
+      active.forEach(b => {
+        if (b > a && similarity[a][b] > best.score) {
+          best = { score: similarity[a][b], a, b };
+        }
+      });
+    });
+
+    if (best.score < threshold) break;
+
+    // Average linkage (Lance-Williams): similarity to the merged cluster is
+    // the size-weighted mean of the similarities to its two halves
+    const { a, b } = best;
+    const sizeA = members[a].length;
+    const sizeB = members[b].length;
+    active.forEach(k => {
+      if (k === a || k === b) return;
+      const merged = (sizeA * similarity[a][k] + sizeB * similarity[b][k]) / (sizeA + sizeB);
+      similarity[a][k] = merged;
+      similarity[k][a] = merged;
+    });
+    members[a] = members[a].concat(members[b]);
+    active.delete(b);
+  }
+
+  return [...active]
+    .map(index => members[index].sort((x, y) => x - y))
+    .sort((x, y) => y.length - x.length || x[0] - y[0]);
+}
+
+/**
+ * Unigram and bigram terms of a text, each once
+ * @returns {Map<string, Array<string>>} - Term to the words as written
+ */
+function extractTerms(text) {
+  const tokens = tokenize(text);
+  const terms = new Map();
+  tokens.forEach((entry, index) => {
+    if (!terms.has(entry.token)) terms.set(entry.token, [entry.surface]);
+    if (index > 0) {
+      const previous = tokens[index - 1];
+      const bigram = `${previous.token} ${entry.token}`;
+      if (!terms.has(bigram)) terms.set(bigram, [previous.surface, entry.surface]);
+    }
+  });
+  return terms;
+}
+
+/**
+ * How a term is displayed: lowercase unless it is never written that way
+ * (acronyms and brand names keep their casing)
+ */
+function displayForm(surfaces) {
+  const counts = new Map();
+  surfaces.forEach(surface => counts.set(surface, (counts.get(surface) || 0) + 1));
+  const lower = [...counts.keys()].find(surface => surface === surface.toLowerCase());
+  if (lower) return lower;
+  const [mostCommon] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  // Sentence-case words ("Best") are just capitalized at the start of a prompt
+  return /^\p{Lu}\p{Ll}+$/u.test(mostCommon) ? mostCommon.toLowerCase() : mostCommon;
+}
+
+/**
+ * Label clusters of texts with their most distinctive terms (c-TF-IDF):
+ * a term scores high when many texts of the cluster use it and few other
+ * clusters do. Terms used by a single text of a larger cluster are ignored.
+ * @param {Array<Array<string>>} clusterTexts - Texts of each cluster
+ * @param {object} options - { maxTerms } terms per label (default 3)
+ * @returns {Array<{ label: string, terms: Array<string> }>}
+ */
+function labelClusters(clusterTexts, { maxTerms = 3 } = {}) {
+  // Per cluster: term -> number of texts using it, plus how it was written
+  const clusterTerms = clusterTexts.map(texts => {
+    const frequencies = new Map();
+    texts.forEach(text => {
+      extractTerms(text).forEach((words, term) => {
+        const entry = frequencies.get(term) || { count: 0, words: [] };
+        entry.count++;
+        entry.words.push(words);
+        frequencies.set(term, entry);
+      });
+    });
+    return frequencies;
+  });
+
+  const totalFrequency = new Map();
+  let totalTerms = 0;
+  clusterTerms.forEach(frequencies => {
+    frequencies.forEach(({ count }, term) => {
+      totalFrequency.set(term, (totalFrequency.get(term) || 0) + count);
+      totalTerms += count;
+    });
+  });
+  const averageTermsPerCluster = clusterTerms.length > 0 ? totalTerms / clusterTerms.length : 0;
+
+  return clusterTerms.map((frequencies, index) => {
+    const textCount = clusterTexts[index].length;
+    const minCount = textCount > 1 ? 2 : 1;
+
+    const scored = [...frequencies.entries()]
+      .filter(([, { count }]) => count >= minCount)
+      .map(([term, { count, words }]) => ({
+        term,
+        words,
+        score: (count / textCount) * Math.log(1 + averageTermsPerCluster / totalFrequency.get(term))
+          // Bigrams read better than their two words apart
+          * (term.includes(' ') ? 1.2 : 1)
+      }))
+      .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term));
+
+    const chosen = [];
+    for (const candidate of scored) {
+      if (chosen.length >= maxTerms) break;
+      const parts = candidate.term.split(' ');
+      const overlaps = chosen.some(({ term }) => {
+        const chosenParts = term.split(' ');
+        return parts.some(part => chosenParts.includes(part));
+      });
+      if (!overlaps) chosen.push(candidate);
+    }
+
+    const terms = chosen.map(({ words }) => {
+      const wordCount = words[0].length;
+      return Array.from({ length: wordCount }, (_, position) => (
+        displayForm(words.map(written => written[position]))
+      )).join(' ');
+    });
+
+    const label = terms.length > 0
+      ? terms.join(', ').replace(/^\p{Ll}/u, first => first.toUpperCase())
+      : 'Miscellaneous';
+
+    return { label, terms };
+  });
+}
+
+/**
+ * Stable cluster id from its members, so the same group of prompts keeps
+ * its id across requests
+ * @param {Array<string>} memberIds
+ * @returns {string}
+ */
+function clusterKey(memberIds) {
+  const sorted = memberIds.map(String).sort();
+  return crypto.createHash('sha1').update(sorted.join(',')).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  cosineSimilarity,
+  meanVector,
+  clusterVectors,
+  labelClusters,
+  clusterKey,
+};
@@ -0,0 +1,168 @@
+/**
+ * Envelope encryption of OAuth tokens at rest, and signed cookie values.
+ *
+ * Every value gets its own random data key: the value is encrypted with it
+ * (AES-256-GCM) and the data key is encrypted ("wrapped") with a master key
+ * from the keyring. Stored values name the master key that wrapped them, so
+ * keys can be rotated: add the new key, make it primary, and re-encrypt
+ * (scripts/encryptGA4Tokens.js) before dropping the old one.
+ *
+ * Stored format: enc:v1:<keyId>:<wrapped data key>:<ciphertext>, each part
+ * base64url of iv | auth tag | encrypted bytes.
+ */
+
+const crypto = require('crypto');
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Parse a keyring from its env form
+ * @param {string} value - "keyId:base64key,keyId:base64key" (TOKEN_ENCRYPTION_KEYS)
+ * @param {string} primaryKeyId - key new values are encrypted with; defaults to the first listed
+ * @returns {{ primaryKeyId: string, keys: Map<string, Buffer> }}
+ */
+function parseKeyring(value, primaryKeyId = null) {
+  const keys = new Map();
+
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator < 1 || !KEY_ID_PATTERN.test(keyId)) {
+      // Never echo the entry: it may be key material
+      throw new Error(`Invalid encryption key entry #${index + 1}: expected keyId:base64key`);
+    }
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Encryption key ${keyId} must be ${KEY_BYTES} bytes (generate with: openssl rand -base64 32)`);
+    }
+    keys.set(keyId, key);
+  });
+
+  if (keys.size === 0) {
+    throw new Error('No encryption keys configured');
+  }
+
+  const primary = primaryKeyId || keys.keys().next().value;
+  if (!keys.has(primary)) {
+    throw new Error(`Primary encryption key ${primary} is not in the keyring`);
+  }
+
+  return { primaryKeyId: primary, keys };
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(aad);
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+function open(key, sealed, aad) {
+  const bytes = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, bytes.subarray(0, IV_BYTES));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(bytes.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(bytes.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Id of the master key a stored value was encrypted with, null for plain text
+ */
+function encryptedKeyId(value) {
+  return isEncrypted(value) ? value.slice(ENCRYPTED_PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Encrypt a token with a fresh data key wrapped by the primary key.
+ * Values that are already encrypted are returned as is.
+ */
+function encryptToken(plaintext, keyring) {
+  if (plaintext === null || plaintext === undefined || plaintext === '' || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const keyId = keyring.primaryKeyId;
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const wrappedKey = seal(keyring.keys.get(keyId), dataKey, Buffer.from(keyId));
+  const ciphertext = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), Buffer.from(wrappedKey));
+
+  return `${ENCRYPTED_PREFIX}${keyId}:${wrappedKey}:${ciphertext}`;
+}
+
+/**
+ * Decrypt a stored token. Plain text (stored before encryption) is returned as is.
+ * @throws when the master key isn't in the keyring or the value was tampered with
+ */
+function decryptToken(value, keyring) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, wrappedKey, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const masterKey = keyring.keys.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Encryption key ${keyId} is not in the keyring`);
+  }
+
+  const dataKey = open(masterKey, wrappedKey, Buffer.from(keyId));
+  return open(dataKey, ciphertext, Buffer.from(wrappedKey)).toString('utf8');
+}
+
+/**
+ * Whether a stored token should be (re-)encrypted with the primary key
+ */
+function needsReencryption(value, keyring) {
+  if (value === null || value === undefined || value === '') return false;
+  return encryptedKeyId(value) !== keyring.primaryKeyId;
+}
+
+/**
+ * Sign a JSON payload for a cookie: base64url(payload).base64url(HMAC-SHA256)
+ */
+function signValue(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Payload of a signed value
+ * @returns {object|null} - null when malformed or the signature doesn't match
+ */
+function verifySignedValue(value, secret) {
+  if (typeof value !== 'string') return null;
+  const [body, signature, extra] = value.split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(body).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  parseKeyring,
+  isEncrypted,
+  encryptedKeyId,
+  encryptToken,
+  decryptToken,
+  needsReencryption,
+  signValue,
+  verifySignedValue,
+};
@@ -0,0 +1,69 @@
+/**
+ * `*` patterns for user-defined URL rules (actionable URL mappings, citation
+ * overrides): each `*` matches any text, case-insensitively.
+ *
+ * Patterns are matched by placing their literal parts with lastIndexOf rather
+ * than through a RegExp, so a pattern with many `*` can't backtrack
+ * exponentially on a long URL. Captures are the same as a greedy `(.*)` regex
+ * would give: earlier `*` take as much text as they can.
+ */
+
+const MAX_WILDCARDS = 5;
+const MAX_PATTERN_LENGTH = 300;
+
+/**
+ * Number of `*` in a pattern
+ */
+function countWildcards(pattern) {
+  return (String(pattern).match(/\*/g) || []).length;
+}
+
+/**
+ * Match a whole text against a `*` pattern
+ * @param {string} pattern - e.g. "example.com/blog/*"
+ * @param {string} text
+ * @returns {Array<string>|null} - what each `*` matched, null when the text doesn't match
+ */
+function matchWildcard(pattern, text) {
+  const parts = pattern.toLowerCase().split('*');
+  const lowered = text.toLowerCase();
+  // Captures come from the original text unless lowercasing changed its length
+  const source = lowered.length === text.length ? text : lowered;
+
+  const first = parts[0];
+  const last = parts[parts.length - 1];
+  if (parts.length === 1) {
+    return lowered === first ? [] : null;
+  }
+  if (first.length + last.length > lowered.length || !lowered.startsWith(first) || !lowered.endsWith(last)) {
+    return null;
+  }
+
+  // Place the middle parts right to left, each as late as it fits
+  const starts = new Array(parts.length);
+  starts[0] = 0;
+  starts[parts.length - 1] = lowered.length - last.length;
+  let limit = starts[parts.length - 1];
+  for (let i = parts.length - 2; i > 0; i--) {
+    const latest = limit - parts[i].length;
+    const index = latest < first.length ? -1 : lowered.lastIndexOf(parts[i], latest);
+    if (index < first.length) {
+      return null;
+    }
+    starts[i] = index;
+    limit = index;
+  }
+
+  const captures = [];
+  for (let i = 0; i < parts.length - 1; i++) {
+    captures.push(source.slice(starts[i] + parts[i].length, starts[i + 1]));
+  }
+  return captures;
+}
+
+module.exports = {
+  MAX_WILDCARDS,
+  MAX_PATTERN_LENGTH,
+  countWildcards,
+  matchWildcard,
+};
@@ -0,0 +1,35 @@
+/**
+ * The workspace a request (or background job) acts in.
+ *
+ * authenticateToken runs every request inside a workspace context; the prompt
+ * test queue, schedules and digests do the same for their jobs. Models with
+ * the workspaceScoped plugin read it to scope their queries.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn acting in a workspace
+ * @param {object} context - { workspaceId, userId?, role? }
+ */
+function runInWorkspace(context, fn) {
+  return storage.run({
+    workspaceId: context.workspaceId ? context.workspaceId.toString() : null,
+    userId: context.userId ? context.userId.toString() : null,
+    role: context.role || null
+  }, fn);
+}
+
+/**
+ * @returns {{ workspaceId: string|null, userId: string|null, role: string|null }|null}
+ */
+function getWorkspaceContext() {
+  return storage.getStore() || null;
+}
+
+module.exports = {
+  runInWorkspace,
+  getWorkspaceContext,
+};
@@ -39,7 +39,7 @@ export function Dashboard({ initialTab, urlAnalysisId: urlParamAnalysisId }: Das
   const [error, setError] = useState<string | null>(null)
   const [accessChecked, setAccessChecked] = useState(false)
   const [hasAccess, setHasAccess] = useState(false)
-  const { selectedTopics, selectedPersonas, selectedPlatforms, selectedAnalysisId, setSelectedAnalysisId, setSelectedTopics, setSelectedPersonas, setSelectedPlatforms } = useFilters()
+  const { selectedTopics, selectedPersonas, selectedPlatforms, selectedLocales, selectedAnalysisId, setSelectedAnalysisId, setSelectedTopics, setSelectedPersonas, setSelectedPlatforms } = useFilters()
   
   // Track if we're fetching the latest analysis
   const [isFetchingLatestAnalysis, setIsFetchingLatestAnalysis] = useState(false)
@@ -249,14 +249,8 @@ export function Dashboard({ initialTab, urlAnalysisId: urlParamAnalysisId }: Das
         setAccessChecked(true)
         const userResponse = await apiService.getCurrentUser()
         const userData = userResponse.data?.user || userResponse.data
-        const hasAccessField = userData?.access === true
-        
-        // Check if email is in allowed list (fallback check)
-        const allowedEmails = ['sj@tryrankly.com', 'satyajeetdas225@gmail.com']
-        const userEmail = userData?.email?.toLowerCase() || user?.email?.toLowerCase()
-        const isAllowedEmail = userEmail && allowedEmails.includes(userEmail)
-        
-        const finalAccess = hasAccessField || isAllowedEmail
+        // Access is granted by an admin, or comes from the workspace owner
+        const finalAccess = userData?.access === true
         
         if (!finalAccess) {
           console.warn('⚠️ [Dashboard] User does not have dashboard access, redirecting to results page')
@@ -367,7 +361,8 @@ export function Dashboard({ initialTab, urlAnalysisId: urlParamAnalysisId }: Das
           urlAnalysisIdFromUrl: urlAnalysisIdFromUrl,
           topics: selectedTopics,
           personas: selectedPersonas,
-          platforms: selectedPlatforms
+          platforms: selectedPlatforms,
+          locales: selectedLocales
         })
         
         // Clear cache only when analysis actually changes
@@ -386,6 +381,7 @@ export function Dashboard({ initialTab, urlAnalysisId: urlParamAnalysisId }: Das
           platforms: selectedPlatforms,
           topics: selectedTopics,
           personas: selectedPersonas,
+          locales: selectedLocales,
           selectedAnalysisId: finalAnalysisId
         }
         
@@ -431,7 +427,7 @@ export function Dashboard({ initialTab, urlAnalysisId: urlParamAnalysisId }: Das
     }
 
     loadDashboardData()
-  }, [selectedAnalysisId, selectedTopics, selectedPersonas, selectedPlatforms, setGlobalLoading, previousAnalysisId, authLoading, isAuthenticated, isFetchingLatestAnalysis, urlAnalysisIdFromUrl, setSelectedAnalysisId]) // Reload when analysis OR filters change - INCLUDES urlAnalysisIdFromUrl to prevent stale ID usage
+  }, [selectedAnalysisId, selectedTopics, selectedPersonas, selectedPlatforms, selectedLocales, setGlobalLoading, previousAnalysisId, authLoading, isAuthenticated, isFetchingLatestAnalysis, urlAnalysisIdFromUrl, setSelectedAnalysisId]) // Reload when analysis OR filters change - INCLUDES urlAnalysisIdFromUrl to prevent stale ID usage
 
   // Remove redundant global loading effect since we now handle it directly in loadDashboardData
 
@@ -656,6 +652,7 @@ export function Dashboard({ initialTab, urlAnalysisId: urlParamAnalysisId }: Das
       selectedTopics,
       selectedPersonas,
       selectedPlatforms,
+      selectedLocales,
       selectedAnalysisId
     }
 
@@ -730,6 +730,7 @@ function Onboarding() {
   // Region & Language Component
   const RegionLanguage = () => {
     const [validationError, setValidationError] = useState('')
+    const [testProgress, setTestProgress] = useState<string | null>(null)
 
     const handleGeneratePrompts = async () => {
       // ✅ Validation before generation
@@ -815,7 +816,7 @@ function Onboarding() {
 
         console.log('✅ Selections saved:', selectionResponse)
 
-        // Generate prompts - backend automatically handles testing and metrics calculation
+        // Generate prompts - the backend queues a test run for them
         console.log('🎯 Starting prompt generation with automatic testing and metrics calculation...')
         const response = await apiService.generatePrompts(data.urlAnalysisId) // ✅ Pass urlAnalysisId
 
@@ -824,13 +825,20 @@ function Onboarding() {
           console.log(`📊 Total prompts: ${response.data.totalPrompts}`)
           console.log('📝 Generated prompts:', response.data.prompts)
 
-          // Backend automatically completed:
-          // ✅ Prompt generation (50 TOFU-focused prompts)
-          // ✅ Multi-LLM testing across 4 platforms  
-          // ✅ Metrics calculation and aggregation
-          // ✅ AI insights generation
-          
-          console.log('🎉 All processing complete! Backend handled everything automatically.')
+          // The backend queued a test run for the new prompts; it aggregates
+          // metrics when it completes, so follow it before opening the dashboard
+          if (response.data.testRun) {
+            setTestProgress('Testing prompts...')
+            try {
+              await apiService.streamTestRun(response.data.testRun.runId, (run) => {
+                setTestProgress(`Testing prompts ${run.progress.processedPrompts}/${run.progress.totalPrompts || '?'}...`)
+              })
+            } catch (streamError) {
+              // The run keeps going on the server; results fill in on the dashboard
+              console.error('❌ Error following the test run:', streamError)
+            }
+          }
+
           console.log('📊 Redirecting to dashboard to view results...')
           router.push('/dashboard')
         } else {
@@ -925,7 +933,7 @@ function Onboarding() {
             onClick={handleGeneratePrompts}
             disabled={isGeneratingPrompts}
           >
-            {isGeneratingPrompts ? 'Generating...' : validationError.includes('retry') ? 'Retry Generation' : 'Generate Prompts'}
+            {isGeneratingPrompts ? testProgress || 'Generating...' : validationError.includes('retry') ? 'Retry Generation' : 'Generate Prompts'}
           </Button>
 
           <p className="text-label text-muted-foreground text-center mt-3">
@@ -0,0 +1,412 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { BellRing, Plus, Send, Trash2 } from 'lucide-react'
+import { formatDistanceToNow } from 'date-fns'
+import apiService from '@/services/api'
+import type { LLMProvider } from '@/types/promptTesting'
+import type { AlertCondition, AlertEvent, AlertMetric, AlertRule, AlertScope, AlertWebhook } from '@/types/alerts'
+
+const METRIC_LABELS: Record<AlertMetric, string> = {
+  visibilityScore: 'Visibility',
+  shareOfVoice: 'Share of voice',
+  avgPosition: 'Average position',
+  citationShare: 'Citation share',
+  sentimentShare: 'Positive sentiment share',
+  negativeSentimentShare: 'Negative sentiment share',
+  newCompetitor: 'New competitor visibility',
+}
+
+const CONDITION_LABELS: Record<AlertCondition, string> = {
+  above: 'is above',
+  below: 'is below',
+  increases_by: 'rises by at least',
+  decreases_by: 'drops by at least',
+}
+
+const SCOPE_LABELS: Partial<Record<AlertScope, string>> = {
+  overall: 'All answers',
+  platform: 'One platform',
+  topic: 'Topic',
+  persona: 'Persona',
+}
+
+const ANY_PLATFORM = '__any__'
+
+interface AlertManagerProps {
+  urlAnalysisId?: string | null
+}
+
+/**
+ * Threshold alerts checked after every metrics aggregation, the webhooks
+ * (Slack or JSON) they post to, and the alert history
+ */
+export function AlertManager({ urlAnalysisId }: AlertManagerProps) {
+  const [open, setOpen] = useState(false)
+  const [rules, setRules] = useState<AlertRule[]>([])
+  const [webhooks, setWebhooks] = useState<AlertWebhook[]>([])
+  const [events, setEvents] = useState<AlertEvent[]>([])
+  const [providers, setProviders] = useState<LLMProvider[]>([])
+  const [error, setError] = useState<string | null>(null)
+  const [notice, setNotice] = useState<string | null>(null)
+
+  // New rule
+  const [name, setName] = useState('')
+  const [metric, setMetric] = useState<AlertMetric>('visibilityScore')
+  const [condition, setCondition] = useState<AlertCondition>('decreases_by')
+  const [threshold, setThreshold] = useState('10')
+  const [scope, setScope] = useState<AlertScope>('overall')
+  const [scopeValue, setScopeValue] = useState('')
+  const [ruleWebhookIds, setRuleWebhookIds] = useState<string[]>([])
+
+  // New webhook
+  const [webhookName, setWebhookName] = useState('')
+  const [webhookUrl, setWebhookUrl] = useState('')
+  const [webhookFormat, setWebhookFormat] = useState<'slack' | 'json'>('slack')
+  const [webhookSecret, setWebhookSecret] = useState('')
+
+  useEffect(() => {
+    if (!open || !urlAnalysisId) return
+    setError(null)
+    setNotice(null)
+
+    Promise.all([
+      apiService.getAlertRules(urlAnalysisId),
+      apiService.getAlertWebhooks(),
+      apiService.getAlertEvents({ urlAnalysisId, limit: 20 }),
+      apiService.getLLMProviders(),
+    ])
+      .then(([rulesResponse, webhooksResponse, eventsResponse, providersResponse]) => {
+        if (rulesResponse.success) setRules(rulesResponse.data)
+        if (webhooksResponse.success) setWebhooks(webhooksResponse.data)
+        if (eventsResponse.success) setEvents(eventsResponse.data)
+        if (providersResponse.success) setProviders(providersResponse.data)
+      })
+      .catch(err => {
+        console.error('❌ [AlertManager] Error fetching alerts:', err)
+        setError('Failed to load alerts')
+      })
+  }, [open, urlAnalysisId])
+
+  const handleMetricChange = (value: AlertMetric) => {
+    setMetric(value)
+    if (value === 'newCompetitor') setCondition('above')
+  }
+
+  const handleScopeChange = (value: AlertScope) => {
+    setScope(value)
+    setScopeValue('')
+  }
+
+  const handleCreateRule = async () => {
+    if (!urlAnalysisId) return
+    try {
+      setError(null)
+      const response = await apiService.createAlertRule({
+        urlAnalysisId,
+        name: name.trim() || `${METRIC_LABELS[metric]} ${CONDITION_LABELS[condition]} ${threshold}`,
+        metric,
+        condition,
+        threshold: Number(threshold),
+        scope,
+        scopeValue: scopeValue.trim() || null,
+        webhookIds: ruleWebhookIds,
+      })
+      if (response.success) {
+        setRules(prev => [response.data, ...prev])
+        setName('')
+        setNotice('Alert rule created. It is checked every time metrics are recalculated.')
+      }
+    } catch (err) {
+      console.error('❌ [AlertManager] Error creating rule:', err)
+      setError(err instanceof Error ? err.message : 'Failed to create rule')
+    }
+  }
+
+  const handleToggleRule = async (rule: AlertRule) => {
+    try {
+      setError(null)
+      const response = await apiService.updateAlertRule(rule._id, { enabled: !rule.enabled })
+      if (response.success) {
+        setRules(prev => prev.map(r => (r._id === rule._id ? response.data : r)))
+      }
+    } catch (err) {
+      console.error('❌ [AlertManager] Error updating rule:', err)
+      setError(err instanceof Error ? err.message : 'Failed to update rule')
+    }
+  }
+
+  const handleDeleteRule = async (rule: AlertRule) => {
+    try {
+      setError(null)
+      await apiService.deleteAlertRule(rule._id)
+      setRules(prev => prev.filter(r => r._id !== rule._id))
+    } catch (err) {
+      console.error('❌ [AlertManager] Error deleting rule:', err)
+      setError(err instanceof Error ? err.message : 'Failed to delete rule')
+    }
+  }
+
+  const handleCreateWebhook = async () => {
+    try {
+      setError(null)
+      const response = await apiService.createAlertWebhook({
+        name: webhookName.trim(),
+        url: webhookUrl.trim(),
+        format: webhookFormat,
+        secret: webhookSecret || undefined,
+      })
+      if (response.success) {
+        setWebhooks(prev => [response.data, ...prev])
+        setRuleWebhookIds(prev => [...prev, response.data._id])
+        setWebhookName('')
+        setWebhookUrl('')
+        setWebhookSecret('')
+      }
+    } catch (err) {
+      console.error('❌ [AlertManager] Error creating webhook:', err)
+      setError(err instanceof Error ? err.message : 'Failed to add webhook')
+    }
+  }
+
+  const handleTestWebhook = async (webhook: AlertWebhook) => {
+    try {
+      setError(null)
+      const response = await apiService.testAlertWebhook(webhook._id)
+      setNotice(`${webhook.name}: ${response.message}`)
+    } catch (err) {
+      console.error('❌ [AlertManager] Error testing webhook:', err)
+      setError(err instanceof Error ? err.message : 'Failed to test webhook')
+    }
+  }
+
+  const handleDeleteWebhook = async (webhook: AlertWebhook) => {
+    try {
+      setError(null)
+      await apiService.deleteAlertWebhook(webhook._id)
+      setWebhooks(prev => prev.filter(w => w._id !== webhook._id))
+      setRuleWebhookIds(prev => prev.filter(id => id !== webhook._id))
+      setRules(prev => prev.map(rule => ({ ...rule, webhookIds: rule.webhookIds.filter(id => id !== webhook._id) })))
+    } catch (err) {
+      console.error('❌ [AlertManager] Error deleting webhook:', err)
+      setError(err instanceof Error ? err.message : 'Failed to delete webhook')
+    }
+  }
+
+  const toggleRuleWebhook = (webhookId: string, checked: boolean) => {
+    setRuleWebhookIds(prev => (checked ? [...prev, webhookId] : prev.filter(id => id !== webhookId)))
+  }
+
+  const describeRule = (rule: AlertRule) => {
+    const where = rule.scope === 'overall'
+      ? ''
+      : ` on ${rule.scopeValue ? (providers.find(p => p.id === rule.scopeValue)?.displayName || rule.scopeValue) : `any ${rule.scope}`}`
+    const unit = rule.metric === 'avgPosition' ? '' : rule.condition.endsWith('_by') ? ' pts' : '%'
+    return `${METRIC_LABELS[rule.metric]}${where} ${CONDITION_LABELS[rule.condition]} ${rule.threshold}${unit}`
+  }
+
+  const thresholdValid = threshold.trim() !== '' && Number.isFinite(Number(threshold)) && Number(threshold) >= 0
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" className="body-text" disabled={!urlAnalysisId}>
+          <BellRing className="mr-2 h-4 w-4" />
+          Alerts
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl max-h-[80vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-foreground">Alerts</DialogTitle>
+          <DialogDescription>
+            Get notified in Slack or any webhook when a metric crosses a threshold. Rules are checked every time metrics are recalculated.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* New rule */}
+        <div className="space-y-3 border-b border-border/60 pb-4">
+          <div className="flex flex-wrap items-end gap-2">
+            <Select value={metric} onValueChange={(value) => handleMetricChange(value as AlertMetric)}>
+              <SelectTrigger className="w-[210px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {(Object.keys(METRIC_LABELS) as AlertMetric[]).map(key => (
+                  <SelectItem key={key} value={key}>{METRIC_LABELS[key]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={condition} onValueChange={(value) => setCondition(value as AlertCondition)} disabled={metric === 'newCompetitor'}>
+              <SelectTrigger className="w-[170px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {(Object.keys(CONDITION_LABELS) as AlertCondition[]).map(key => (
+                  <SelectItem key={key} value={key}>{CONDITION_LABELS[key]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input value={threshold} onChange={(e) => setThreshold(e.target.value)} className="w-[80px]" inputMode="decimal" />
+          </div>
+
+          <div className="flex flex-wrap items-end gap-2">
+            <Select value={scope} onValueChange={(value) => handleScopeChange(value as AlertScope)}>
+              <SelectTrigger className="w-[150px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(SCOPE_LABELS).map(([key, label]) => (
+                  <SelectItem key={key} value={key}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {scope === 'platform' && (
+              <Select value={scopeValue || ANY_PLATFORM} onValueChange={(value) => setScopeValue(value === ANY_PLATFORM ? '' : value)}>
+                <SelectTrigger className="w-[160px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ANY_PLATFORM}>Any platform</SelectItem>
+                  {providers.map(provider => (
+                    <SelectItem key={provider.id} value={provider.id}>{provider.displayName}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+            {(scope === 'topic' || scope === 'persona') && (
+              <Input value={scopeValue} onChange={(e) => setScopeValue(e.target.value)} placeholder={`Any ${scope}`} className="w-[160px]" />
+            )}
+            <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Rule name (optional)" className="w-[200px]" />
+          </div>
+
+          {webhooks.length > 0 && (
+            <div className="flex flex-wrap gap-4">
+              {webhooks.map(webhook => (
+                <label key={webhook._id} className="flex items-center gap-2 caption text-foreground">
+                  <Checkbox
+                    checked={ruleWebhookIds.includes(webhook._id)}
+                    onCheckedChange={(checked) => toggleRuleWebhook(webhook._id, checked === true)}
+                  />
+                  {webhook.name}
+                </label>
+              ))}
+            </div>
+          )}
+
+          <Button size="sm" onClick={handleCreateRule} disabled={!thresholdValid}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add rule
+          </Button>
+        </div>
+
+        {/* Rules */}
+        <div className="space-y-2 border-b border-border/60 pb-4">
+          {rules.length === 0 ? (
+            <p className="caption text-muted-foreground">No alert rules yet.</p>
+          ) : (
+            rules.map(rule => (
+              <div key={rule._id} className="flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="body-text text-foreground truncate">{rule.name}</p>
+                  <p className="caption text-muted-foreground">
+                    {describeRule(rule)}
+                    {rule.webhookIds.length === 0 && ' · history only'}
+                    {rule.lastTriggeredAt && ` · last fired ${formatDistanceToNow(new Date(rule.lastTriggeredAt), { addSuffix: true })}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <Switch checked={rule.enabled} onCheckedChange={() => handleToggleRule(rule)} aria-label="Enable rule" />
+                  <Button variant="ghost" size="sm" onClick={() => handleDeleteRule(rule)} aria-label="Delete rule">
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* Webhooks */}
+        <div className="space-y-3 border-b border-border/60 pb-4">
+          <Label className="body-text text-foreground">Webhooks</Label>
+          <div className="flex flex-wrap items-end gap-2">
+            <Input value={webhookName} onChange={(e) => setWebhookName(e.target.value)} placeholder="Name" className="w-[140px]" />
+            <Input value={webhookUrl} onChange={(e) => setWebhookUrl(e.target.value)} placeholder="https://hooks.slack.com/services/..." className="w-[260px]" />
+            <Select value={webhookFormat} onValueChange={(value) => setWebhookFormat(value as 'slack' | 'json')}>
+              <SelectTrigger className="w-[100px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="slack">Slack</SelectItem>
+                <SelectItem value="json">JSON</SelectItem>
+              </SelectContent>
+            </Select>
+            {webhookFormat === 'json' && (
+              <Input value={webhookSecret} onChange={(e) => setWebhookSecret(e.target.value)} placeholder="Signing secret (optional)" className="w-[180px]" type="password" />
+            )}
+            <Button size="sm" variant="outline" onClick={handleCreateWebhook} disabled={!webhookName.trim() || !webhookUrl.trim()}>
+              Add
+            </Button>
+          </div>
+          {webhooks.map(webhook => (
+            <div key={webhook._id} className="flex items-center justify-between gap-3">
+              <div className="min-w-0">
+                <p className="body-text text-foreground">{webhook.name} <Badge variant="outline" className="ml-1 text-xs">{webhook.format}</Badge></p>
+                <p className="caption text-muted-foreground truncate">
+                  {webhook.url}
+                  {webhook.lastDeliveryStatus && ` · last delivery ${webhook.lastDeliveryStatus}`}
+                </p>
+              </div>
+              <div className="flex gap-1 shrink-0">
+                <Button variant="ghost" size="sm" onClick={() => handleTestWebhook(webhook)} aria-label="Send test alert">
+                  <Send className="h-4 w-4" />
+                </Button>
+                <Button variant="ghost" size="sm" onClick={() => handleDeleteWebhook(webhook)} aria-label="Delete webhook">
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* History */}
+        <div className="space-y-2">
+          <Label className="body-text text-foreground">Recent alerts</Label>
+          {events.length === 0 ? (
+            <p className="caption text-muted-foreground">No alerts have fired for this analysis.</p>
+          ) : (
+            events.map(event => {
+              const failed = event.deliveries.filter(d => d.status === 'failed').length
+              const pending = event.deliveries.filter(d => d.status === 'pending').length
+              return (
+                <div key={event._id} className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="caption text-foreground">{event.message}</p>
+                    <p className="caption text-muted-foreground">
+                      {event.ruleName} · {formatDistanceToNow(new Date(event.triggeredAt), { addSuffix: true })}
+                    </p>
+                  </div>
+                  {event.deliveries.length > 0 && (
+                    <Badge variant={failed > 0 ? 'destructive' : 'outline'} className="text-xs shrink-0">
+                      {failed > 0 ? `${failed} failed` : pending > 0 ? 'retrying' : 'delivered'}
+                    </Badge>
+                  )}
+                </div>
+              )
+            })
+          )}
+        </div>
+
+        {error && <p className="caption text-destructive">{error}</p>}
+        {notice && !error && <p className="caption text-muted-foreground">{notice}</p>}
+      </DialogContent>
+    </Dialog>
+  )
+}
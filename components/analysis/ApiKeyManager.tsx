@@ -0,0 +1,213 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Copy, KeyRound, Plus, Trash2 } from 'lucide-react'
+import { formatDistanceToNow } from 'date-fns'
+import apiService from '@/services/api'
+import type { ApiKey, ApiKeyScope, CreatedApiKey } from '@/types/apiKeys'
+
+const SCOPE_OPTIONS: Record<string, { label: string; scopes: ApiKeyScope[] }> = {
+  read: { label: 'Read only', scopes: ['read'] },
+  write: { label: 'Read & write', scopes: ['read', 'write'] },
+}
+
+const EXPIRY_OPTIONS = [
+  { value: 'never', label: 'Never expires' },
+  { value: '30', label: 'Expires in 30 days' },
+  { value: '90', label: 'Expires in 90 days' },
+  { value: '365', label: 'Expires in 1 year' },
+]
+
+// The list keeps the key's details, never the secret itself
+const toListEntry = (apiKey: CreatedApiKey): ApiKey => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimitPerMinute: apiKey.rateLimitPerMinute,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  createdAt: apiKey.createdAt,
+})
+
+const OPENAPI_URL = `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api'}/openapi.json`
+
+/**
+ * Personal API keys for pulling metrics into other tools. A key is shown
+ * once, right after it's created.
+ */
+export function ApiKeyManager() {
+  const [open, setOpen] = useState(false)
+  const [keys, setKeys] = useState<ApiKey[]>([])
+  const [name, setName] = useState('')
+  const [access, setAccess] = useState('read')
+  const [rateLimit, setRateLimit] = useState('60')
+  const [expiry, setExpiry] = useState('never')
+  const [created, setCreated] = useState<CreatedApiKey | null>(null)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!open) {
+      // Never keep a created key around once the dialog is closed
+      setCreated(null)
+      return
+    }
+    setError(null)
+    apiService.getApiKeys()
+      .then(response => {
+        if (response.success) setKeys(response.data)
+      })
+      .catch(err => {
+        console.error('❌ [ApiKeyManager] Error fetching API keys:', err)
+        setError('Failed to load API keys')
+      })
+  }, [open])
+
+  const handleCreate = async () => {
+    try {
+      setError(null)
+      const response = await apiService.createApiKey({
+        name: name.trim(),
+        scopes: SCOPE_OPTIONS[access].scopes,
+        rateLimitPerMinute: Number(rateLimit),
+        expiresInDays: expiry === 'never' ? null : Number(expiry),
+      })
+      if (response.success) {
+        setKeys(prev => [toListEntry(response.data), ...prev])
+        setCreated(response.data)
+        setCopied(false)
+        setName('')
+      }
+    } catch (err) {
+      console.error('❌ [ApiKeyManager] Error creating API key:', err)
+      setError(err instanceof Error ? err.message : 'Failed to create API key')
+    }
+  }
+
+  const handleRevoke = async (apiKey: ApiKey) => {
+    try {
+      setError(null)
+      await apiService.revokeApiKey(apiKey._id)
+      setKeys(prev => prev.filter(k => k._id !== apiKey._id))
+      if (created?._id === apiKey._id) setCreated(null)
+    } catch (err) {
+      console.error('❌ [ApiKeyManager] Error revoking API key:', err)
+      setError(err instanceof Error ? err.message : 'Failed to revoke API key')
+    }
+  }
+
+  const handleCopy = async () => {
+    if (!created) return
+    try {
+      await navigator.clipboard.writeText(created.key)
+      setCopied(true)
+    } catch (err) {
+      console.error('❌ [ApiKeyManager] Error copying API key:', err)
+    }
+  }
+
+  const rateLimitValid = /^\d+$/.test(rateLimit) && Number(rateLimit) >= 1 && Number(rateLimit) <= 600
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" className="body-text">
+          <KeyRound className="mr-2 h-4 w-4" />
+          API keys
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-xl">
+        <DialogHeader>
+          <DialogTitle className="text-foreground">API keys</DialogTitle>
+          <DialogDescription>
+            Use a key as <code>Authorization: Bearer &lt;key&gt;</code> to read your metrics from BI tools.{' '}
+            <a href={OPENAPI_URL} target="_blank" rel="noopener noreferrer" className="underline">OpenAPI spec</a>
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3 border-b border-border/60 pb-4">
+          <div className="flex flex-wrap items-end gap-2">
+            <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Key name, e.g. Looker" className="w-[180px]" />
+            <Select value={access} onValueChange={setAccess}>
+              <SelectTrigger className="w-[140px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(SCOPE_OPTIONS).map(([value, option]) => (
+                  <SelectItem key={value} value={value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={expiry} onValueChange={setExpiry}>
+              <SelectTrigger className="w-[170px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {EXPIRY_OPTIONS.map(option => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex items-center gap-2">
+            <Label className="caption text-muted-foreground">Requests per minute</Label>
+            <Input value={rateLimit} onChange={(e) => setRateLimit(e.target.value)} className="w-[80px]" inputMode="numeric" />
+            <Button size="sm" onClick={handleCreate} disabled={!name.trim() || !rateLimitValid}>
+              <Plus className="mr-2 h-4 w-4" />
+              Create key
+            </Button>
+          </div>
+
+          {created && (
+            <div className="space-y-2 rounded-md border border-border p-3">
+              <p className="caption text-foreground">Copy this key now. It won&apos;t be shown again.</p>
+              <div className="flex items-center gap-2">
+                <code className="caption flex-1 truncate rounded bg-muted px-2 py-1">{created.key}</code>
+                <Button variant="outline" size="sm" onClick={handleCopy}>
+                  <Copy className="mr-2 h-4 w-4" />
+                  {copied ? 'Copied' : 'Copy'}
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          {keys.length === 0 ? (
+            <p className="caption text-muted-foreground">No API keys yet.</p>
+          ) : (
+            keys.map(apiKey => (
+              <div key={apiKey._id} className="flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="body-text text-foreground truncate">
+                    {apiKey.name}
+                    {apiKey.scopes.map(scope => (
+                      <Badge key={scope} variant="outline" className="ml-2 text-xs">{scope}</Badge>
+                    ))}
+                  </p>
+                  <p className="caption text-muted-foreground">
+                    {apiKey.prefix}… · {apiKey.rateLimitPerMinute}/min ·{' '}
+                    {apiKey.lastUsedAt ? `used ${formatDistanceToNow(new Date(apiKey.lastUsedAt), { addSuffix: true })}` : 'never used'}
+                    {apiKey.expiresAt && ` · expires ${formatDistanceToNow(new Date(apiKey.expiresAt), { addSuffix: true })}`}
+                  </p>
+                </div>
+                <Button variant="ghost" size="sm" onClick={() => handleRevoke(apiKey)} aria-label="Revoke key">
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))
+          )}
+        </div>
+
+        {error && <p className="caption text-destructive">{error}</p>}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,181 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Button } from '@/components/ui/button'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Mail } from 'lucide-react'
+import { formatDistanceToNow } from 'date-fns'
+import apiService from '@/services/api'
+import type { DigestFrequency, DigestSettings } from '@/types/digests'
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour)
+
+const formatHour = (hour: number) => `${hour.toString().padStart(2, '0')}:00 UTC`
+
+/**
+ * Email digest subscription: how often the user hears about visibility
+ * changes, new competitors and lost or gained prompts
+ */
+export function DigestManager() {
+  const [open, setOpen] = useState(false)
+  const [settings, setSettings] = useState<DigestSettings | null>(null)
+  const [saving, setSaving] = useState(false)
+  const [sending, setSending] = useState(false)
+  const [notice, setNotice] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!open) return
+    setNotice(null)
+    setError(null)
+    apiService.getDigestSettings()
+      .then(response => {
+        if (response.success) setSettings(response.data)
+      })
+      .catch(err => {
+        console.error('❌ [DigestManager] Error fetching digest settings:', err)
+        setError('Failed to load digest settings')
+      })
+  }, [open])
+
+  const update = (changes: Partial<DigestSettings>) => {
+    setSettings(prev => (prev ? { ...prev, ...changes } : prev))
+    setNotice(null)
+  }
+
+  const handleSave = async () => {
+    if (!settings) return
+    try {
+      setSaving(true)
+      setError(null)
+      const { enabled, frequency, hourUtc, dayOfWeek, includeInsights } = settings
+      const response = await apiService.updateDigestSettings({ enabled, frequency, hourUtc, dayOfWeek, includeInsights })
+      if (response.success) {
+        setSettings(response.data)
+        setNotice(response.message)
+      }
+    } catch (err) {
+      console.error('❌ [DigestManager] Error saving digest settings:', err)
+      setError(err instanceof Error ? err.message : 'Failed to save digest settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSendNow = async () => {
+    try {
+      setSending(true)
+      setError(null)
+      const response = await apiService.sendDigestNow()
+      if (response.success) setNotice(response.message)
+    } catch (err) {
+      console.error('❌ [DigestManager] Error sending digest:', err)
+      setError(err instanceof Error ? err.message : 'Failed to send digest')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" className="body-text">
+          <Mail className="mr-2 h-4 w-4" />
+          Digest
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle className="text-foreground">Email digest</DialogTitle>
+          <DialogDescription>
+            A summary of visibility and share of voice changes, new competitors, prompts you lost or gained and top insights for each analysis.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!settings ? (
+          <p className="caption text-muted-foreground">{error || 'Loading settings...'}</p>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <Label htmlFor="digest-enabled" className="body-text">Send to {settings.email}</Label>
+              <Switch id="digest-enabled" checked={settings.enabled} onCheckedChange={(enabled) => update({ enabled })} />
+            </div>
+
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="space-y-1">
+                <Label className="caption text-muted-foreground">Frequency</Label>
+                <Select value={settings.frequency} onValueChange={(value) => update({ frequency: value as DigestFrequency })}>
+                  <SelectTrigger className="w-[110px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="daily">Daily</SelectItem>
+                    <SelectItem value="weekly">Weekly</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {settings.frequency === 'weekly' && (
+                <div className="space-y-1">
+                  <Label className="caption text-muted-foreground">Day</Label>
+                  <Select value={settings.dayOfWeek.toString()} onValueChange={(value) => update({ dayOfWeek: Number(value) })}>
+                    <SelectTrigger className="w-[130px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {DAYS.map((day, index) => (
+                        <SelectItem key={day} value={index.toString()}>{day}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              <div className="space-y-1">
+                <Label className="caption text-muted-foreground">Time</Label>
+                <Select value={settings.hourUtc.toString()} onValueChange={(value) => update({ hourUtc: Number(value) })}>
+                  <SelectTrigger className="w-[120px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {HOURS.map(hour => (
+                      <SelectItem key={hour} value={hour.toString()}>{formatHour(hour)}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <Label htmlFor="digest-insights" className="body-text">Include top insights</Label>
+              <Switch id="digest-insights" checked={settings.includeInsights} onCheckedChange={(includeInsights) => update({ includeInsights })} />
+            </div>
+
+            {settings.enabled && settings.nextSendAt && (
+              <p className="caption text-muted-foreground">
+                Next digest {formatDistanceToNow(new Date(settings.nextSendAt), { addSuffix: true })}
+                {settings.lastSentAt && ` · last sent ${formatDistanceToNow(new Date(settings.lastSentAt), { addSuffix: true })}`}
+              </p>
+            )}
+
+            <div className="flex justify-between gap-2">
+              <Button variant="outline" size="sm" onClick={handleSendNow} disabled={sending}>
+                {sending ? 'Sending...' : 'Send one now'}
+              </Button>
+              <Button size="sm" onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+
+            {error && <p className="caption text-destructive">{error}</p>}
+            {notice && !error && <p className="caption text-muted-foreground">{notice}</p>}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
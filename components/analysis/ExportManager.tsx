@@ -0,0 +1,135 @@
+'use client'
+
+import { useState } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Download, FileText } from 'lucide-react'
+import apiService from '@/services/api'
+import type { ExportDataset, ExportFormat } from '@/types/exports'
+
+const DATASETS: Array<{ id: ExportDataset; label: string; description: string }> = [
+  { id: 'metrics', label: 'Dashboard metrics', description: 'Visibility, share of voice, position and citations per brand and platform' },
+  { id: 'prompt-tests', label: 'Prompt test results', description: 'One row per LLM response with its scorecard' },
+  { id: 'citations', label: 'Citations', description: 'Every cited URL with its classification and verification' },
+  { id: 'sentiment', label: 'Sentiment breakdown', description: 'Positive, neutral and negative responses per topic and persona' },
+  { id: 'ga4-platforms', label: 'GA4 platform traffic', description: 'LLM referral sessions per platform (requires GA4)' },
+]
+
+const toDateInput = (date: Date) => date.toISOString().slice(0, 10)
+
+interface ExportManagerProps {
+  urlAnalysisId?: string | null
+}
+
+/**
+ * Downloads for the selected analysis: each dataset as CSV or XLSX, everything
+ * as one workbook, and the PDF executive report for a date range
+ */
+export function ExportManager({ urlAnalysisId }: ExportManagerProps) {
+  const [open, setOpen] = useState(false)
+  const [dateFrom, setDateFrom] = useState(() => toDateInput(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000)))
+  const [dateTo, setDateTo] = useState(() => toDateInput(new Date()))
+  const [pending, setPending] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const runDownload = async (key: string, download: () => Promise<void>) => {
+    try {
+      setPending(key)
+      setError(null)
+      await download()
+    } catch (err) {
+      console.error('❌ [ExportManager] Export failed:', err)
+      setError(err instanceof Error ? err.message : 'Export failed')
+    } finally {
+      setPending(null)
+    }
+  }
+
+  if (!urlAnalysisId) {
+    return null
+  }
+
+  const query = { urlAnalysisId, dateFrom: dateFrom || undefined, dateTo: dateTo || undefined }
+  const invalidRange = Boolean(dateFrom && dateTo && dateFrom > dateTo)
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" className="body-text">
+          <Download className="mr-2 h-4 w-4" />
+          Export
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-xl max-h-[80vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-foreground">Export data</DialogTitle>
+          <DialogDescription>
+            Download this analysis for the selected period. Metrics are recalculated from the prompt tests run in that period.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-end gap-3">
+          <div className="space-y-1">
+            <Label htmlFor="export-from" className="caption">From</Label>
+            <Input id="export-from" type="date" value={dateFrom} max={dateTo || undefined} onChange={(e) => setDateFrom(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="export-to" className="caption">To</Label>
+            <Input id="export-to" type="date" value={dateTo} min={dateFrom || undefined} onChange={(e) => setDateTo(e.target.value)} />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 border-b border-border/60 pb-4">
+          <Button
+            size="sm"
+            disabled={invalidRange || pending !== null}
+            onClick={() => runDownload('report', () => apiService.downloadReport(query))}
+          >
+            <FileText className="mr-2 h-4 w-4" />
+            {pending === 'report' ? 'Generating report...' : 'Executive report (PDF)'}
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={invalidRange || pending !== null}
+            onClick={() => runDownload('workbook', () => apiService.downloadWorkbookExport(query))}
+          >
+            {pending === 'workbook' ? 'Preparing...' : 'Full workbook (XLSX)'}
+          </Button>
+        </div>
+
+        <div className="space-y-3">
+          {DATASETS.map(dataset => (
+            <div key={dataset.id} className="flex items-center justify-between gap-3">
+              <div>
+                <p className="body-text text-foreground">{dataset.label}</p>
+                <p className="caption text-muted-foreground">{dataset.description}</p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                {(['csv', 'xlsx'] as ExportFormat[]).map(format => {
+                  const key = `${dataset.id}:${format}`
+                  return (
+                    <Button
+                      key={format}
+                      variant="ghost"
+                      size="sm"
+                      disabled={invalidRange || pending !== null}
+                      onClick={() => runDownload(key, () => apiService.downloadDatasetExport(dataset.id, format, query))}
+                    >
+                      {pending === key ? '...' : format.toUpperCase()}
+                    </Button>
+                  )
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {invalidRange && <p className="caption text-destructive">The start date must be before the end date.</p>}
+        {error && <p className="caption text-destructive">{error}</p>}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,162 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Languages, Plus, Trash2 } from 'lucide-react'
+import apiService from '@/services/api'
+import type { AnalysisLocale, Locale } from '@/types/locales'
+
+const MAX_LOCALES = 5
+
+const toKey = (locale: Locale) => `${locale.language} (${locale.region})`
+
+interface LocaleManagerProps {
+  urlAnalysisId?: string | null
+  // Called with the saved locales so filters can refresh their options
+  onChange?: (locales: AnalysisLocale[]) => void
+}
+
+export function LocaleManager({ urlAnalysisId, onChange }: LocaleManagerProps) {
+  const [open, setOpen] = useState(false)
+  const [locales, setLocales] = useState<Locale[]>([])
+  const [usesDefault, setUsesDefault] = useState(false)
+  const [region, setRegion] = useState('')
+  const [language, setLanguage] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [notice, setNotice] = useState<string | null>(null)
+
+  const fetchLocales = async () => {
+    if (!urlAnalysisId) return
+
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await apiService.getAnalysisLocales(urlAnalysisId)
+      if (response.success) {
+        setLocales(response.data.locales.map(({ region, language }) => ({ region, language })))
+        setUsesDefault(response.data.usesDefault)
+      }
+    } catch (err) {
+      console.error('❌ [LocaleManager] Error fetching locales:', err)
+      setError('Failed to load locales')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (open) {
+      setNotice(null)
+      fetchLocales()
+    }
+  }, [open, urlAnalysisId])
+
+  const handleAdd = () => {
+    const locale = { region: region.trim() || 'Global', language: language.trim() || 'English' }
+    if (locales.some(existing => toKey(existing) === toKey(locale))) {
+      setError(`${toKey(locale)} is already targeted`)
+      return
+    }
+    setError(null)
+    setLocales(prev => [...prev, locale])
+    setRegion('')
+    setLanguage('')
+  }
+
+  const handleSave = async () => {
+    if (!urlAnalysisId) return
+
+    try {
+      setSaving(true)
+      setError(null)
+      const response = await apiService.updateAnalysisLocales(urlAnalysisId, locales)
+      if (response.success) {
+        setUsesDefault(response.data.usesDefault)
+        setNotice('Saved. Generate prompts again to create prompts for newly added locales.')
+        onChange?.(response.data.locales)
+      }
+    } catch (err) {
+      console.error('❌ [LocaleManager] Error saving locales:', err)
+      setError(err instanceof Error ? err.message : 'Failed to save locales')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" className="body-text" disabled={!urlAnalysisId}>
+          <Languages className="mr-2 h-4 w-4" />
+          Locales
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-xl max-h-[80vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-foreground">Target locales</DialogTitle>
+          <DialogDescription>
+            Prompts are generated in each locale&apos;s language and AI platforms are asked to answer as they would for someone in that region. Results can be filtered by locale.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Current locales */}
+        <div className="space-y-2">
+          {loading ? (
+            <p className="caption text-muted-foreground">Loading locales...</p>
+          ) : (
+            locales.map(locale => (
+              <div key={toKey(locale)} className="flex items-center justify-between rounded-md border border-border/60 p-3">
+                <div className="flex items-center gap-2">
+                  <span className="body-text font-medium text-foreground">{locale.language}</span>
+                  <span className="caption text-muted-foreground">{locale.region}</span>
+                  {usesDefault && <Badge variant="secondary">Account default</Badge>}
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setLocales(prev => prev.filter(l => toKey(l) !== toKey(locale)))}
+                  disabled={locales.length === 1}
+                  title="Remove locale"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* New locale */}
+        <div className="flex flex-wrap items-end gap-3 border-t border-border/60 pt-4">
+          <div className="space-y-1">
+            <Label className="caption text-muted-foreground">Language</Label>
+            <Input value={language} onChange={(e) => setLanguage(e.target.value)} placeholder="English" className="w-[140px]" />
+          </div>
+          <div className="space-y-1">
+            <Label className="caption text-muted-foreground">Region</Label>
+            <Input value={region} onChange={(e) => setRegion(e.target.value)} placeholder="Global" className="w-[140px]" />
+          </div>
+          <Button variant="outline" size="sm" onClick={handleAdd} disabled={locales.length >= MAX_LOCALES}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add
+          </Button>
+          <Button size="sm" onClick={handleSave} disabled={saving || loading || locales.length === 0}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </div>
+
+        {notice && (
+          <p className="caption text-muted-foreground">{notice}</p>
+        )}
+        {error && (
+          <p className="caption text-destructive">{error}</p>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,260 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Label } from '@/components/ui/label'
+import { CalendarClock, Pause, Play, Plus, Trash2 } from 'lucide-react'
+import { formatDistanceToNow } from 'date-fns'
+import apiService from '@/services/api'
+import type { ScheduleFrequency, VisibilitySchedule } from '@/types/schedules'
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour)
+// Repeated samples per prompt/platform; more samples narrow the confidence bands but cost more
+const SAMPLE_OPTIONS = [1, 3, 5, 10]
+
+const formatHour = (hour: number, minute = 0) =>
+  `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')} UTC`
+
+const describeSchedule = (schedule: VisibilitySchedule) => {
+  const time = formatHour(schedule.hourUtc, schedule.minuteUtc)
+  const when = schedule.frequency === 'weekly'
+    ? `Every ${DAYS[schedule.dayOfWeek]} at ${time}`
+    : `Every day at ${time}`
+  return schedule.samplesPerPrompt && schedule.samplesPerPrompt > 1
+    ? `${when} · ${schedule.samplesPerPrompt} samples per prompt`
+    : when
+}
+
+interface ScheduleManagerProps {
+  urlAnalysisId?: string | null
+}
+
+export function ScheduleManager({ urlAnalysisId }: ScheduleManagerProps) {
+  const [open, setOpen] = useState(false)
+  const [schedules, setSchedules] = useState<VisibilitySchedule[]>([])
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const [frequency, setFrequency] = useState<ScheduleFrequency>('weekly')
+  const [dayOfWeek, setDayOfWeek] = useState(1)
+  const [hourUtc, setHourUtc] = useState(6)
+  const [samplesPerPrompt, setSamplesPerPrompt] = useState(1)
+
+  const fetchSchedules = async () => {
+    if (!urlAnalysisId) return
+
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await apiService.getSchedules(urlAnalysisId)
+      if (response.success) {
+        setSchedules(response.data)
+      }
+    } catch (err) {
+      console.error('❌ [ScheduleManager] Error fetching schedules:', err)
+      setError('Failed to load schedules')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (open) {
+      fetchSchedules()
+    }
+  }, [open, urlAnalysisId])
+
+  const handleCreate = async () => {
+    if (!urlAnalysisId) return
+
+    try {
+      setSaving(true)
+      setError(null)
+      const response = await apiService.createSchedule({
+        urlAnalysisId,
+        frequency,
+        hourUtc,
+        samplesPerPrompt,
+        ...(frequency === 'weekly' && { dayOfWeek })
+      })
+      if (response.success) {
+        setSchedules(prev => [response.data, ...prev])
+      }
+    } catch (err) {
+      console.error('❌ [ScheduleManager] Error creating schedule:', err)
+      setError(err instanceof Error ? err.message : 'Failed to create schedule')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggle = async (schedule: VisibilitySchedule) => {
+    try {
+      setError(null)
+      const response = await apiService.updateSchedule(schedule._id, {
+        status: schedule.status === 'active' ? 'paused' : 'active'
+      })
+      if (response.success) {
+        setSchedules(prev => prev.map(s => (s._id === schedule._id ? response.data : s)))
+      }
+    } catch (err) {
+      console.error('❌ [ScheduleManager] Error updating schedule:', err)
+      setError(err instanceof Error ? err.message : 'Failed to update schedule')
+    }
+  }
+
+  const handleDelete = async (schedule: VisibilitySchedule) => {
+    try {
+      setError(null)
+      const response = await apiService.deleteSchedule(schedule._id)
+      if (response.success) {
+        setSchedules(prev => prev.filter(s => s._id !== schedule._id))
+      }
+    } catch (err) {
+      console.error('❌ [ScheduleManager] Error deleting schedule:', err)
+      setError(err instanceof Error ? err.message : 'Failed to delete schedule')
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" className="body-text" disabled={!urlAnalysisId}>
+          <CalendarClock className="mr-2 h-4 w-4" />
+          Schedules
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-xl max-h-[80vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-foreground">Recurring visibility runs</DialogTitle>
+          <DialogDescription>
+            Re-test your prompts on a schedule. Each completed run keeps a snapshot of your metrics so you can track changes over time.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* New schedule */}
+        <div className="flex flex-wrap items-end gap-3 border-b border-border/60 pb-4">
+          <div className="space-y-1">
+            <Label className="caption text-muted-foreground">Frequency</Label>
+            <Select value={frequency} onValueChange={(value) => setFrequency(value as ScheduleFrequency)}>
+              <SelectTrigger className="w-[110px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="daily">Daily</SelectItem>
+                <SelectItem value="weekly">Weekly</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {frequency === 'weekly' && (
+            <div className="space-y-1">
+              <Label className="caption text-muted-foreground">Day</Label>
+              <Select value={dayOfWeek.toString()} onValueChange={(value) => setDayOfWeek(Number(value))}>
+                <SelectTrigger className="w-[130px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {DAYS.map((day, index) => (
+                    <SelectItem key={day} value={index.toString()}>{day}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          <div className="space-y-1">
+            <Label className="caption text-muted-foreground">Time</Label>
+            <Select value={hourUtc.toString()} onValueChange={(value) => setHourUtc(Number(value))}>
+              <SelectTrigger className="w-[120px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {HOURS.map(hour => (
+                  <SelectItem key={hour} value={hour.toString()}>{formatHour(hour)}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-1">
+            <Label className="caption text-muted-foreground">Samples</Label>
+            <Select value={samplesPerPrompt.toString()} onValueChange={(value) => setSamplesPerPrompt(Number(value))}>
+              <SelectTrigger className="w-[90px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {SAMPLE_OPTIONS.map(samples => (
+                  <SelectItem key={samples} value={samples.toString()}>{samples}×</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <Button size="sm" onClick={handleCreate} disabled={saving || !urlAnalysisId}>
+            <Plus className="mr-2 h-4 w-4" />
+            {saving ? 'Creating...' : 'Add schedule'}
+          </Button>
+        </div>
+
+        {error && (
+          <p className="caption text-destructive">{error}</p>
+        )}
+
+        {/* Existing schedules */}
+        <div className="space-y-2">
+          {loading ? (
+            <p className="caption text-muted-foreground">Loading schedules...</p>
+          ) : schedules.length === 0 ? (
+            <p className="caption text-muted-foreground">No schedules yet for this analysis.</p>
+          ) : (
+            schedules.map(schedule => (
+              <div key={schedule._id} className="flex items-center justify-between rounded-md border border-border/60 p-3">
+                <div className="space-y-1">
+                  <div className="flex items-center gap-2">
+                    <span className="body-text font-medium text-foreground">{describeSchedule(schedule)}</span>
+                    <Badge variant={schedule.status === 'active' ? 'default' : 'secondary'}>
+                      {schedule.status === 'active' ? 'Active' : 'Paused'}
+                    </Badge>
+                  </div>
+                  <div className="caption text-muted-foreground">
+                    {schedule.status === 'active' && schedule.nextRunAt
+                      ? `Next run ${formatDistanceToNow(new Date(schedule.nextRunAt), { addSuffix: true })}`
+                      : 'Not running'}
+                    {schedule.lastRunAt && (
+                      <> · Last run {formatDistanceToNow(new Date(schedule.lastRunAt), { addSuffix: true })}
+                        {schedule.lastRunStatus && ` (${schedule.lastRunStatus})`}</>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleToggle(schedule)}
+                    title={schedule.status === 'active' ? 'Pause' : 'Resume'}
+                  >
+                    {schedule.status === 'active' ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDelete(schedule)}
+                    title="Delete"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
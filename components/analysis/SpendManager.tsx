@@ -0,0 +1,328 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Switch } from '@/components/ui/switch'
+import { PlayCircle, Trash2, Wallet } from 'lucide-react'
+import apiService from '@/services/api'
+import type { BudgetScope, SpendBudgetStatus, SpendSource, SpendSummary, TestRunEstimate } from '@/types/spend'
+
+const SOURCE_LABELS: Record<SpendSource, string> = {
+  prompt_test: 'Prompt tests',
+  prompt_generation: 'Prompt generation',
+  insights: 'Insights',
+  subjective_metrics: 'Subjective metrics',
+  website_analysis: 'Website analysis',
+  content_regeneration: 'Content regeneration',
+  embeddings: 'Embeddings'
+}
+
+// Repeated samples per prompt/platform; more samples narrow the confidence bands but cost more
+const SAMPLE_OPTIONS = [1, 3, 5, 10]
+
+const formatUsd = (value: number) =>
+  value < 0.01 && value > 0 ? `$${value.toFixed(4)}` : `$${value.toFixed(2)}`
+
+interface BudgetRowProps {
+  label: string
+  budget?: SpendBudgetStatus
+  disabled?: boolean
+  onSave: (monthlyLimit: number, hardStop: boolean) => Promise<void>
+  onDelete: (budget: SpendBudgetStatus) => Promise<void>
+}
+
+function BudgetRow({ label, budget, disabled, onSave, onDelete }: BudgetRowProps) {
+  const [limit, setLimit] = useState(budget ? budget.monthlyLimit.toString() : '')
+  const [hardStop, setHardStop] = useState(budget ? budget.hardStop : true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    setLimit(budget ? budget.monthlyLimit.toString() : '')
+    setHardStop(budget ? budget.hardStop : true)
+  }, [budget])
+
+  const parsedLimit = Number(limit)
+  const isValid = limit.trim() !== '' && Number.isFinite(parsedLimit) && parsedLimit >= 0
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      await onSave(parsedLimit, hardStop)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-2 rounded-md border border-border/60 p-3">
+      <div className="flex items-center justify-between">
+        <span className="body-text font-medium text-foreground">{label}</span>
+        {budget && (
+          <span className="caption text-muted-foreground">
+            {formatUsd(budget.spent)} of {formatUsd(budget.monthlyLimit)} used · {formatUsd(budget.remaining)} left
+          </span>
+        )}
+      </div>
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="space-y-1">
+          <Label className="caption text-muted-foreground">Monthly limit (USD)</Label>
+          <Input
+            type="number"
+            min={0}
+            step="0.5"
+            value={limit}
+            onChange={(e) => setLimit(e.target.value)}
+            placeholder="No limit"
+            className="w-[140px]"
+            disabled={disabled}
+          />
+        </div>
+        <div className="flex items-center gap-2 pb-2">
+          <Switch checked={hardStop} onCheckedChange={setHardStop} disabled={disabled} />
+          <Label className="caption text-muted-foreground">Hard stop</Label>
+        </div>
+        <Button size="sm" onClick={handleSave} disabled={disabled || saving || !isValid}>
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+        {budget && (
+          <Button variant="ghost" size="sm" onClick={() => onDelete(budget)} title="Remove budget">
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+interface SpendManagerProps {
+  urlAnalysisId?: string | null
+}
+
+export function SpendManager({ urlAnalysisId }: SpendManagerProps) {
+  const [open, setOpen] = useState(false)
+  const [summary, setSummary] = useState<SpendSummary | null>(null)
+  const [budgets, setBudgets] = useState<SpendBudgetStatus[]>([])
+  const [estimate, setEstimate] = useState<TestRunEstimate | null>(null)
+  const [samplesPerPrompt, setSamplesPerPrompt] = useState(1)
+  const [loading, setLoading] = useState(false)
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [notice, setNotice] = useState<string | null>(null)
+
+  const fetchSpend = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [summaryResponse, budgetsResponse, estimateResponse] = await Promise.all([
+        apiService.getSpendSummary(urlAnalysisId || undefined),
+        apiService.getSpendBudgets(),
+        apiService.getTestRunEstimate(urlAnalysisId || undefined, samplesPerPrompt)
+      ])
+      if (summaryResponse.success) setSummary(summaryResponse.data)
+      if (budgetsResponse.success) setBudgets(budgetsResponse.data)
+      if (estimateResponse.success) setEstimate(estimateResponse.data)
+    } catch (err) {
+      console.error('❌ [SpendManager] Error fetching spend:', err)
+      setError('Failed to load spend')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (open) {
+      setNotice(null)
+      fetchSpend()
+    }
+  }, [open, urlAnalysisId])
+
+  const refreshEstimate = async (samples = samplesPerPrompt) => {
+    const estimateResponse = await apiService.getTestRunEstimate(urlAnalysisId || undefined, samples)
+    if (estimateResponse.success) setEstimate(estimateResponse.data)
+  }
+
+  const handleSamplesChange = async (value: string) => {
+    const samples = Number(value)
+    setSamplesPerPrompt(samples)
+    try {
+      setError(null)
+      await refreshEstimate(samples)
+    } catch (err) {
+      console.error('❌ [SpendManager] Error fetching estimate:', err)
+      setError('Failed to update estimate')
+    }
+  }
+
+  const findBudget = (scope: BudgetScope) =>
+    budgets.find(b => b.scope === scope && (scope === 'user' || b.urlAnalysisId === urlAnalysisId))
+
+  const handleSaveBudget = (scope: BudgetScope) => async (monthlyLimit: number, hardStop: boolean) => {
+    try {
+      setError(null)
+      const response = await apiService.setSpendBudget({
+        monthlyLimit,
+        hardStop,
+        ...(scope === 'analysis' && urlAnalysisId && { urlAnalysisId })
+      })
+      if (response.success) {
+        setBudgets(response.data)
+        // The estimate's budget check depends on the limits
+        await refreshEstimate()
+      }
+    } catch (err) {
+      console.error('❌ [SpendManager] Error saving budget:', err)
+      setError(err instanceof Error ? err.message : 'Failed to save budget')
+    }
+  }
+
+  const handleDeleteBudget = async (budget: SpendBudgetStatus) => {
+    try {
+      setError(null)
+      const response = await apiService.deleteSpendBudget(budget.budgetId)
+      if (response.success) {
+        setBudgets(prev => prev.filter(b => b.budgetId !== budget.budgetId))
+        await refreshEstimate()
+      }
+    } catch (err) {
+      console.error('❌ [SpendManager] Error deleting budget:', err)
+      setError(err instanceof Error ? err.message : 'Failed to delete budget')
+    }
+  }
+
+  const handleRunTests = async () => {
+    try {
+      setRunning(true)
+      setError(null)
+      const response = await apiService.testPrompts(urlAnalysisId || undefined, samplesPerPrompt)
+      if (response.success) {
+        setNotice(response.message)
+      }
+    } catch (err) {
+      // 402 when the run no longer fits in a hard-stop budget
+      console.error('❌ [SpendManager] Error starting test run:', err)
+      setError(err instanceof Error ? err.message : 'Failed to start test run')
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" className="body-text">
+          <Wallet className="mr-2 h-4 w-4" />
+          Spend
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-xl max-h-[80vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-foreground">LLM spend and budgets</DialogTitle>
+          <DialogDescription>
+            Every AI call is billed to your account. Budgets reset on the 1st of each month (UTC); with hard stop on, test runs that would go over are refused.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading && !summary ? (
+          <p className="caption text-muted-foreground">Loading spend...</p>
+        ) : (
+          <>
+            {/* Month to date */}
+            {summary && (
+              <div className="space-y-2 border-b border-border/60 pb-4">
+                <div className="flex items-baseline justify-between">
+                  <span className="body-text text-muted-foreground">
+                    {urlAnalysisId ? 'This analysis, month to date' : 'Month to date'}
+                  </span>
+                  <span className="text-xl font-semibold text-foreground">{formatUsd(summary.monthToDate)}</span>
+                </div>
+                {summary.bySource.length === 0 ? (
+                  <p className="caption text-muted-foreground">No AI calls yet this month.</p>
+                ) : (
+                  summary.bySource.map(row => (
+                    <div key={row.source} className="flex justify-between caption text-muted-foreground">
+                      <span>{SOURCE_LABELS[row.source] || row.source} · {row.calls} calls</span>
+                      <span>{formatUsd(row.cost)}</span>
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
+
+            {/* Budgets */}
+            <div className="space-y-2">
+              <BudgetRow
+                label="Account budget"
+                budget={findBudget('user')}
+                onSave={handleSaveBudget('user')}
+                onDelete={handleDeleteBudget}
+              />
+              <BudgetRow
+                label="This analysis"
+                budget={findBudget('analysis')}
+                disabled={!urlAnalysisId}
+                onSave={handleSaveBudget('analysis')}
+                onDelete={handleDeleteBudget}
+              />
+            </div>
+
+            {/* Pre-run estimate */}
+            {estimate && (
+              <div className="space-y-2 border-t border-border/60 pt-4">
+                <div className="flex items-center justify-between">
+                  <span className="body-text font-medium text-foreground">Next test run</span>
+                  <Badge variant={estimate.withinBudget ? 'secondary' : 'destructive'}>
+                    {estimate.withinBudget ? 'Within budget' : 'Over budget'}
+                  </Badge>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Label className="caption text-muted-foreground">Samples per prompt</Label>
+                  <Select value={samplesPerPrompt.toString()} onValueChange={handleSamplesChange}>
+                    <SelectTrigger className="h-8 w-[80px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {SAMPLE_OPTIONS.map(samples => (
+                        <SelectItem key={samples} value={samples.toString()}>{samples}×</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <p className="caption text-muted-foreground">
+                  {estimate.promptsToTest} prompts × {estimate.providers.length} platforms
+                  {estimate.samplesPerPrompt > 1 && ` × ${estimate.samplesPerPrompt} samples`} = {estimate.totalCalls} calls,
+                  estimated at {formatUsd(estimate.estimatedCost)}
+                  {estimate.providers.some(p => p.basis === 'default') && ' (partly from default token counts)'}
+                </p>
+                {!estimate.withinBudget && estimate.exceeded[0] && (
+                  <p className="caption text-destructive">
+                    Only {formatUsd(estimate.exceeded[0].remaining)} is left of the {estimate.exceeded[0].scope === 'user' ? 'account' : 'analysis'} budget.
+                  </p>
+                )}
+                <Button
+                  size="sm"
+                  onClick={handleRunTests}
+                  disabled={running || !estimate.withinBudget || estimate.promptsToTest === 0}
+                >
+                  <PlayCircle className="mr-2 h-4 w-4" />
+                  {running ? 'Starting...' : `Run prompt tests (~${formatUsd(estimate.estimatedCost)})`}
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+
+        {notice && (
+          <p className="caption text-muted-foreground">{notice}</p>
+        )}
+        {error && (
+          <p className="caption text-destructive">{error}</p>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
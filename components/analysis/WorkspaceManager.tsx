@@ -0,0 +1,320 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Copy, Plus, Trash2, Users } from 'lucide-react'
+import { formatDistanceToNow } from 'date-fns'
+import apiService from '@/services/api'
+import { useAuth } from '@/contexts/AuthContext'
+import type { AdminUser, InviteRole, SharedGA4Property, Workspace, WorkspaceInvite, WorkspaceMember, WorkspaceRole } from '@/types/workspaces'
+
+const ROLE_LABELS: Record<WorkspaceRole, string> = {
+  owner: 'Owner',
+  editor: 'Editor',
+  viewer: 'Viewer',
+}
+
+/**
+ * Workspaces: switch between them, manage members and invites, and share a
+ * GA4 property with the team. Admins also grant dashboard access here.
+ */
+export function WorkspaceManager() {
+  const { user } = useAuth()
+  const [open, setOpen] = useState(false)
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([])
+  const [currentId, setCurrentId] = useState<string | null>(null)
+  const [members, setMembers] = useState<WorkspaceMember[]>([])
+  const [invites, setInvites] = useState<WorkspaceInvite[]>([])
+  const [ga4, setGa4] = useState<SharedGA4Property | null>(null)
+  const [newName, setNewName] = useState('')
+  const [inviteEmail, setInviteEmail] = useState('')
+  const [inviteRole, setInviteRole] = useState<InviteRole>('editor')
+  const [inviteUrl, setInviteUrl] = useState<string | null>(null)
+  const [adminSearch, setAdminSearch] = useState('')
+  const [adminUsers, setAdminUsers] = useState<AdminUser[]>([])
+  const [error, setError] = useState<string | null>(null)
+
+  const currentUserId = user?._id || user?.id
+  const current = workspaces.find(workspace => workspace._id === currentId)
+  const isOwner = current?.role === 'owner'
+  const canEdit = current?.role === 'owner' || current?.role === 'editor'
+
+  useEffect(() => {
+    if (!open) {
+      setInviteUrl(null)
+      return
+    }
+    setError(null)
+    apiService.getWorkspaces()
+      .then(response => {
+        if (!response.success) return
+        setWorkspaces(response.data.workspaces)
+        setCurrentId(response.data.currentWorkspaceId)
+      })
+      .catch(err => {
+        console.error('❌ [WorkspaceManager] Error fetching workspaces:', err)
+        setError('Failed to load workspaces')
+      })
+  }, [open])
+
+  useEffect(() => {
+    if (!open || !current) return
+    Promise.all([
+      apiService.getWorkspaceMembers(),
+      isOwner ? apiService.getWorkspaceInvites() : Promise.resolve({ success: true, data: [] as WorkspaceInvite[] }),
+      apiService.getWorkspaceGA4(),
+    ])
+      .then(([membersResponse, invitesResponse, ga4Response]) => {
+        if (membersResponse.success) setMembers(membersResponse.data)
+        if (invitesResponse.success) setInvites(invitesResponse.data)
+        if (ga4Response.success) setGa4(ga4Response.data)
+      })
+      .catch(err => {
+        console.error('❌ [WorkspaceManager] Error fetching workspace details:', err)
+        setError('Failed to load workspace details')
+      })
+  }, [open, current, isOwner])
+
+  const run = async (action: () => Promise<void>, message: string) => {
+    try {
+      setError(null)
+      await action()
+    } catch (err) {
+      console.error(`❌ [WorkspaceManager] ${message}:`, err)
+      setError(err instanceof Error ? err.message : message)
+    }
+  }
+
+  // Every view reads the current workspace, so reload rather than refetch each of them
+  const switchTo = (workspaceId: string) => {
+    if (workspaceId === currentId) return
+    apiService.setCurrentWorkspaceId(workspaceId)
+    window.location.reload()
+  }
+
+  const handleCreate = () => run(async () => {
+    const response = await apiService.createWorkspace(newName.trim())
+    if (response.success) switchTo(response.data._id)
+  }, 'Failed to create workspace')
+
+  const handleRoleChange = (member: WorkspaceMember, role: WorkspaceRole) => run(async () => {
+    const response = await apiService.updateWorkspaceMemberRole(member.userId, role)
+    if (response.success) setMembers(response.data)
+  }, 'Failed to change role')
+
+  const handleRemove = (member: WorkspaceMember) => run(async () => {
+    await apiService.removeWorkspaceMember(member.userId)
+    if (member.userId === currentUserId) {
+      // Left the workspace: go back to the personal one
+      apiService.setCurrentWorkspaceId(null)
+      window.location.reload()
+      return
+    }
+    setMembers(prev => prev.filter(m => m.userId !== member.userId))
+  }, 'Failed to remove member')
+
+  const handleInvite = () => run(async () => {
+    const response = await apiService.inviteToWorkspace(inviteEmail.trim(), inviteRole)
+    if (response.success) {
+      setInvites(prev => [response.data, ...prev.filter(invite => invite.email !== response.data.email)])
+      setInviteUrl(response.data.inviteUrl || null)
+      setInviteEmail('')
+    }
+  }, 'Failed to send invite')
+
+  const handleRevokeInvite = (invite: WorkspaceInvite) => run(async () => {
+    await apiService.revokeWorkspaceInvite(invite._id)
+    setInvites(prev => prev.filter(i => i._id !== invite._id))
+  }, 'Failed to revoke invite')
+
+  const handleShareGA4 = () => run(async () => {
+    const response = await apiService.shareGA4WithWorkspace()
+    if (response.success) setGa4(response.data)
+  }, 'Failed to share GA4')
+
+  const handleUnshareGA4 = () => run(async () => {
+    await apiService.unshareGA4FromWorkspace()
+    setGa4(null)
+  }, 'Failed to stop sharing GA4')
+
+  const handleAdminSearch = () => run(async () => {
+    const response = await apiService.getAdminUsers(adminSearch.trim())
+    if (response.success) setAdminUsers(response.data)
+  }, 'Failed to load users')
+
+  const handleAdminUpdate = (adminUser: AdminUser, updates: { access?: boolean; isAdmin?: boolean }) => run(async () => {
+    const response = await apiService.updateAdminUser(adminUser._id, updates)
+    if (response.success) setAdminUsers(prev => prev.map(u => (u._id === adminUser._id ? response.data : u)))
+  }, 'Failed to update user')
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" className="body-text">
+          <Users className="mr-2 h-4 w-4" />
+          Workspace
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-foreground">Workspace</DialogTitle>
+          <DialogDescription>
+            Analyses, prompts, topics and personas belong to a workspace. Editors can change them, viewers can only read.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3 border-b border-border/60 pb-4">
+          <div className="flex flex-wrap items-center gap-2">
+            <Select value={currentId || undefined} onValueChange={switchTo}>
+              <SelectTrigger className="w-[240px]">
+                <SelectValue placeholder="Select workspace" />
+              </SelectTrigger>
+              <SelectContent>
+                {workspaces.map(workspace => (
+                  <SelectItem key={workspace._id} value={workspace._id}>
+                    {workspace.name}{workspace.personal ? ' (personal)' : ''}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {current && <Badge variant="outline">{ROLE_LABELS[current.role]}</Badge>}
+          </div>
+          <div className="flex items-center gap-2">
+            <Input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="New workspace name" className="w-[240px]" />
+            <Button size="sm" onClick={handleCreate} disabled={!newName.trim()}>
+              <Plus className="mr-2 h-4 w-4" />
+              Create
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-2 border-b border-border/60 pb-4">
+          <Label className="body-text text-foreground">Members</Label>
+          {members.map(member => (
+            <div key={member.userId} className="flex items-center justify-between gap-3">
+              <div className="min-w-0">
+                <p className="body-text text-foreground truncate">{member.name || member.email}</p>
+                <p className="caption text-muted-foreground truncate">
+                  {member.email} · joined {formatDistanceToNow(new Date(member.joinedAt), { addSuffix: true })}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                {isOwner && !member.isCreator ? (
+                  <Select value={member.role} onValueChange={(role) => handleRoleChange(member, role as WorkspaceRole)}>
+                    <SelectTrigger className="w-[110px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                ) : (
+                  <Badge variant="outline">{ROLE_LABELS[member.role]}</Badge>
+                )}
+                {!member.isCreator && (isOwner || member.userId === currentUserId) && (
+                  <Button variant="ghost" size="sm" onClick={() => handleRemove(member)} aria-label={member.userId === currentUserId ? 'Leave workspace' : 'Remove member'}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {isOwner && (
+          <div className="space-y-2 border-b border-border/60 pb-4">
+            <Label className="body-text text-foreground">Invite</Label>
+            <div className="flex flex-wrap items-center gap-2">
+              <Input value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} placeholder="teammate@company.com" className="w-[220px]" type="email" />
+              <Select value={inviteRole} onValueChange={(role) => setInviteRole(role as InviteRole)}>
+                <SelectTrigger className="w-[110px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="editor">Editor</SelectItem>
+                  <SelectItem value="viewer">Viewer</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button size="sm" onClick={handleInvite} disabled={!inviteEmail.trim()}>Send invite</Button>
+            </div>
+            {inviteUrl && (
+              <div className="flex items-center gap-2">
+                <code className="caption flex-1 truncate rounded bg-muted px-2 py-1">{inviteUrl}</code>
+                <Button variant="outline" size="sm" onClick={() => navigator.clipboard.writeText(inviteUrl).catch(() => {})}>
+                  <Copy className="mr-2 h-4 w-4" />
+                  Copy link
+                </Button>
+              </div>
+            )}
+            {invites.map(invite => (
+              <div key={invite._id} className="flex items-center justify-between gap-3">
+                <p className="caption text-muted-foreground truncate">
+                  {invite.email} · {ROLE_LABELS[invite.role]} · expires {formatDistanceToNow(new Date(invite.expiresAt), { addSuffix: true })}
+                </p>
+                <Button variant="ghost" size="sm" onClick={() => handleRevokeInvite(invite)} aria-label="Revoke invite">
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <Label className="body-text text-foreground">Google Analytics</Label>
+          <p className="caption text-muted-foreground">
+            {ga4
+              ? `Members see traffic from ${ga4.propertyName || ga4.propertyId}${ga4.email ? ` (connected by ${ga4.email})` : ''}.`
+              : 'Share your GA4 property so members without their own connection see traffic too.'}
+          </p>
+          {canEdit && (
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={handleShareGA4}>
+                {ga4 ? 'Share my GA4 property instead' : 'Share my GA4 property'}
+              </Button>
+              {ga4 && <Button variant="ghost" size="sm" onClick={handleUnshareGA4}>Stop sharing</Button>}
+            </div>
+          )}
+        </div>
+
+        {user?.isAdmin && (
+          <div className="space-y-2 border-t border-border/60 pt-4">
+            <Label className="body-text text-foreground">Dashboard access (admin)</Label>
+            <div className="flex items-center gap-2">
+              <Input value={adminSearch} onChange={(e) => setAdminSearch(e.target.value)} placeholder="Search users by email or name" className="w-[240px]" />
+              <Button variant="outline" size="sm" onClick={handleAdminSearch}>Search</Button>
+            </div>
+            {adminUsers.map(adminUser => (
+              <div key={adminUser._id} className="flex items-center justify-between gap-3">
+                <p className="caption text-foreground truncate">{adminUser.email}</p>
+                <div className="flex items-center gap-3">
+                  <label className="caption text-muted-foreground flex items-center gap-1">
+                    Access
+                    <Switch checked={adminUser.access} onCheckedChange={(access) => handleAdminUpdate(adminUser, { access })} />
+                  </label>
+                  <label className="caption text-muted-foreground flex items-center gap-1">
+                    Admin
+                    <Switch
+                      checked={adminUser.isAdmin}
+                      disabled={adminUser._id === currentUserId}
+                      onCheckedChange={(isAdmin) => handleAdminUpdate(adminUser, { isAdmin })}
+                    />
+                  </label>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {error && <p className="caption text-destructive">{error}</p>}
+      </DialogContent>
+    </Dialog>
+  )
+}
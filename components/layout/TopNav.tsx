@@ -6,12 +6,21 @@ import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger, DropdownMenuCheckboxItem } from '@/components/ui/dropdown-menu'
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip'
-import { Filter, Globe, ChevronDown, Users, RefreshCw, Settings, Calendar } from 'lucide-react'
+import { Filter, Globe, ChevronDown, Users, RefreshCw, Settings, Calendar, Languages } from 'lucide-react'
 import { useFilters } from '@/contexts/FilterContext'
 import { useAuth } from '@/contexts/AuthContext'
 import { useTheme } from 'next-themes'
 import { useRouter } from 'next/navigation'
 import apiService from '@/services/api'
+import { ScheduleManager } from '@/components/analysis/ScheduleManager'
+import { SpendManager } from '@/components/analysis/SpendManager'
+import { ExportManager } from '@/components/analysis/ExportManager'
+import { DigestManager } from '@/components/analysis/DigestManager'
+import { AlertManager } from '@/components/analysis/AlertManager'
+import { ApiKeyManager } from '@/components/analysis/ApiKeyManager'
+import { WorkspaceManager } from '@/components/analysis/WorkspaceManager'
+import { LocaleManager } from '@/components/analysis/LocaleManager'
+import type { AnalysisLocale } from '@/types/locales'
 
 interface TopNavProps {
   activeTab: string
@@ -42,10 +51,12 @@ export function TopNav({
     selectedPlatforms, 
     selectedTopics, 
     selectedPersonas, 
+    selectedLocales,
     selectedAnalysisId,
     setSelectedPlatforms, 
     setSelectedTopics, 
-    setSelectedPersonas 
+    setSelectedPersonas,
+    setSelectedLocales
   } = useFilters()
   const { isAuthenticated, isLoading: isAuthLoading } = useAuth()
   const { theme } = useTheme()
@@ -56,6 +67,28 @@ export function TopNav({
   const [personaOptions, setPersonaOptions] = useState<Array<{value: string, label: string}>>([
     { value: 'All Personas', label: 'All Personas' }
   ])
+  // Replaced by the providers enabled on the backend once loaded
+  const [platformOptions, setPlatformOptions] = useState<Array<{value: string, label: string}>>([
+    { value: 'All Platforms', label: 'All Platforms' },
+    { value: 'ChatGPT', label: 'ChatGPT' },
+    { value: 'Claude', label: 'Claude' },
+    { value: 'Gemini', label: 'Gemini' },
+    { value: 'Perplexity', label: 'Perplexity' },
+  ])
+
+  // Locale filter is only shown when the analysis targets more than one locale
+  const [localeOptions, setLocaleOptions] = useState<Array<{value: string, label: string}>>([])
+
+  const applyLocaleOptions = (locales: AnalysisLocale[]) => {
+    setLocaleOptions(locales.length > 1
+      ? [{ value: 'All Locales', label: 'All Locales' }, ...locales.map(locale => ({ value: locale.key, label: locale.key }))]
+      : [])
+    // Drop selections for locales that are no longer targeted
+    setSelectedLocales(prev => {
+      const remaining = prev.filter(key => key === 'All Locales' || locales.some(locale => locale.key === key))
+      return remaining.length === 0 ? ['All Locales'] : remaining
+    })
+  }
 
   // Fetch topics and personas from database
   useEffect(() => {
@@ -63,9 +96,11 @@ export function TopNav({
       try {
         console.log('🔄 [TopNav] Fetching topics and personas from database...', { selectedAnalysisId })
         
-        const [topicsResponse, personasResponse] = await Promise.all([
+        const [topicsResponse, personasResponse, providersResponse, localesResponse] = await Promise.all([
           apiService.getTopics(selectedAnalysisId),
-          apiService.getPersonas(selectedAnalysisId)
+          apiService.getPersonas(selectedAnalysisId),
+          apiService.getLLMProviders(),
+          selectedAnalysisId ? apiService.getAnalysisLocales(selectedAnalysisId) : Promise.resolve(null)
         ])
 
         if (topicsResponse.success && topicsResponse.data) {
@@ -95,6 +130,20 @@ export function TopNav({
           ])
           console.log(`✅ [TopNav] Loaded ${dbPersonas.length} personas from database`)
         }
+
+        if (providersResponse.success && providersResponse.data.length > 0) {
+          setPlatformOptions([
+            { value: 'All Platforms', label: 'All Platforms' },
+            ...providersResponse.data.map(provider => ({
+              value: provider.displayName,
+              label: provider.displayName
+            }))
+          ])
+        }
+
+        if (localesResponse?.success) {
+          applyLocaleOptions(localesResponse.data.locales)
+        }
       } catch (error) {
         console.error('❌ [TopNav] Error fetching filter options:', error)
         // Keep default options on error
@@ -138,13 +187,6 @@ export function TopNav({
     return faviconMap[platformName as keyof typeof faviconMap] || `https://www.google.com/s2/favicons?domain=${platformName.toLowerCase()}.com&sz=16`
   }
 
-  const platformOptions = [
-    { value: 'All Platforms', label: 'All Platforms' },
-    { value: 'ChatGPT', label: 'ChatGPT' },
-    { value: 'Claude', label: 'Claude' },
-    { value: 'Gemini', label: 'Gemini' },
-    { value: 'Perplexity', label: 'Perplexity' },
-  ]
 
   const handleTopicChange = (topic: string, checked: boolean) => {
     if (topic === 'All Topics') {
@@ -200,6 +242,27 @@ export function TopNav({
     }
   }
 
+  const handleLocaleChange = (locale: string, checked: boolean) => {
+    if (locale === 'All Locales') {
+      setSelectedLocales(checked ? ['All Locales'] : [])
+    } else {
+      setSelectedLocales(prev => {
+        if (checked) {
+          return [...prev.filter(l => l !== 'All Locales'), locale]
+        }
+        const newSelection = prev.filter(l => l !== locale)
+        return newSelection.length === 0 ? ['All Locales'] : newSelection
+      })
+    }
+  }
+
+  const getLocaleButtonText = () => {
+    if (selectedLocales.includes('All Locales') || selectedLocales.length === 0) {
+      return 'All Locales'
+    }
+    return selectedLocales.length === 1 ? selectedLocales[0] : `${selectedLocales.length} selected`
+  }
+
   const getTopicButtonText = () => {
     if (selectedTopics.includes('All Topics') || selectedTopics.length === 0) {
       return '# Topics'
@@ -325,6 +388,39 @@ export function TopNav({
         ) : (
           activeTab !== 'prompts' && (
             <div className="flex space-x-3 pr-4">
+          <ScheduleManager urlAnalysisId={selectedAnalysisId} />
+          <SpendManager urlAnalysisId={selectedAnalysisId} />
+          <ExportManager urlAnalysisId={selectedAnalysisId} />
+          <DigestManager />
+          <AlertManager urlAnalysisId={selectedAnalysisId} />
+          <ApiKeyManager />
+          <WorkspaceManager />
+          <LocaleManager urlAnalysisId={selectedAnalysisId} onChange={applyLocaleOptions} />
+
+          {localeOptions.length > 0 && (
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button variant="outline" size="sm" className="body-text">
+                  <Languages className="mr-2 h-4 w-4" />
+                  {getLocaleButtonText()}
+                  <ChevronDown className="ml-2 h-3 w-3" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end" className="w-full" onCloseAutoFocus={(e) => e.preventDefault()}>
+                {localeOptions.map((option) => (
+                  <DropdownMenuCheckboxItem
+                    key={option.value}
+                    checked={selectedLocales.includes(option.value)}
+                    onCheckedChange={(checked) => handleLocaleChange(option.value, checked)}
+                    onSelect={(e) => e.preventDefault()}
+                  >
+                    {option.label}
+                  </DropdownMenuCheckboxItem>
+                ))}
+              </DropdownMenuContent>
+            </DropdownMenu>
+          )}
+
           <DropdownMenu>
             <DropdownMenuTrigger asChild>
               <Button variant="outline" size="sm" className="body-text">
@@ -0,0 +1,57 @@
+'use client'
+
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip'
+import type { ConfidenceInterval } from '@/types/dashboard'
+
+interface ConfidenceBandProps {
+  value: number
+  interval?: ConfidenceInterval | null
+  // Scale of the track; the band is clipped to it
+  min?: number
+  max?: number
+  format?: (value: number) => string
+}
+
+/**
+ * 95% confidence band under a headline metric: a shaded range on a track with
+ * a marker at the measured value. Renders nothing without an interval.
+ */
+export function ConfidenceBand({ value, interval, min = 0, max = 100, format = (v) => v.toFixed(2) }: ConfidenceBandProps) {
+  if (!interval || interval.lower === null || interval.upper === null || max <= min) {
+    return null
+  }
+
+  const toPercent = (v: number) => `${((Math.min(max, Math.max(min, v)) - min) / (max - min)) * 100}%`
+  const lowerPct = toPercent(interval.lower)
+  const upperPct = toPercent(interval.upper)
+
+  return (
+    <TooltipProvider>
+      <Tooltip>
+        <TooltipTrigger asChild>
+          <div className="space-y-1 w-48 cursor-help">
+            <div className="relative h-1.5 rounded-full bg-muted">
+              <div
+                className="absolute top-0 h-full rounded-full bg-primary/30"
+                style={{ left: lowerPct, width: `calc(${upperPct} - ${lowerPct})` }}
+              />
+              <div
+                className="absolute -top-0.5 h-2.5 w-0.5 rounded bg-primary"
+                style={{ left: toPercent(value) }}
+              />
+            </div>
+            <p className="caption text-muted-foreground">
+              95% CI {format(interval.lower)} – {format(interval.upper)}
+            </p>
+          </div>
+        </TooltipTrigger>
+        <TooltipContent side="bottom" className="max-w-xs">
+          <p className="text-sm leading-relaxed">
+            AI answers vary between runs. Based on {interval.n} prompt × platform pairs, the true value is likely
+            within this range. Run more samples per prompt to narrow it.
+          </p>
+        </TooltipContent>
+      </Tooltip>
+    </TooltipProvider>
+  )
+}
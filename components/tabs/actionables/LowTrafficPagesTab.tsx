@@ -6,100 +6,110 @@
 
 'use client'
 
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import { UnifiedCard, UnifiedCardContent } from '@/components/ui/unified-card'
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
 import { Badge } from '@/components/ui/badge'
 import { Button } from '@/components/ui/button'
-import { ArrowRight } from 'lucide-react'
-
-interface LowTrafficPage {
-  id: string
-  title: string
-  url: string
-  sessions: number
-  trafficBand: 'Zero' | 'Very Low' | 'Low'
-  hasCitation: boolean
-  suggestedAction: 'Create New Content' | 'Regenerate Content'
+import { ArrowRight, Link2 } from 'lucide-react'
+import apiService from '@/services/api'
+import { useFilters } from '@/contexts/FilterContext'
+import type { ActionablePageRow, ActionablePagesGa4Status, ActionableReason } from '@/types/actionables'
+import { ImportMappingsButton, MapUrlDialog } from './UrlMappingControls'
+
+const DATE_RANGE = '30 days'
+
+const REASON_LABELS: Partial<Record<ActionableReason, string>> = {
+  cited_no_traffic: 'Cited, No Traffic',
+  traffic_not_cited: 'Traffic, Not Cited',
+  declining_traffic: 'Declining',
+  healthy: 'Healthy',
+  unknown: 'No GA4 Data',
 }
 
+const formatPercent = (value?: number) => `${((value ?? 0) * 100).toFixed(0)}%`
+
 export function LowTrafficPagesTab() {
-  const [selectedPage, setSelectedPage] = useState<LowTrafficPage | null>(null)
-
-  // Mock data for demonstration
-  const mockLowTrafficPages: LowTrafficPage[] = [
-    {
-      id: '1',
-      title: 'AI Tools Comparison Guide',
-      url: 'https://acme.com/ai-tools-comparison',
-      sessions: 12,
-      trafficBand: 'Very Low',
-      hasCitation: true,
-      suggestedAction: 'Regenerate Content'
-    },
-    {
-      id: '2',
-      title: 'Pricing Plans',
-      url: 'https://acme.com/pricing',
-      sessions: 12,
-      trafficBand: 'Very Low',
-      hasCitation: true,
-      suggestedAction: 'Regenerate Content'
-    },
-    {
-      id: '3',
-      title: 'API Documentation',
-      url: 'https://acme.com/docs/api',
-      sessions: 0,
-      trafficBand: 'Zero',
-      hasCitation: false,
-      suggestedAction: 'Create New Content'
-    },
-    {
-      id: '4',
-      title: 'Getting Started Guide',
-      url: 'https://acme.com/getting-started',
-      sessions: 8,
-      trafficBand: 'Low',
-      hasCitation: false,
-      suggestedAction: 'Create New Content'
-    },
-    {
-      id: '5',
-      title: 'Contact Us',
-      url: 'https://acme.com/contact',
-      sessions: 3,
-      trafficBand: 'Very Low',
-      hasCitation: true,
-      suggestedAction: 'Regenerate Content'
+  const { selectedAnalysisId } = useFilters()
+  const [rows, setRows] = useState<ActionablePageRow[]>([])
+  const [ga4Status, setGa4Status] = useState<ActionablePagesGa4Status | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+  const [selectedPage, setSelectedPage] = useState<ActionablePageRow | null>(null)
+  const [mappingPage, setMappingPage] = useState<ActionablePageRow | null>(null)
+  // Bumped after mapping changes so rows are re-joined with the new rules
+  const [reloadKey, setReloadKey] = useState(0)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchPages = async () => {
+      try {
+        setIsLoading(true)
+        setError(null)
+        const response = await apiService.getActionablePages(selectedAnalysisId || undefined, DATE_RANGE)
+        if (!cancelled && response.success) {
+          // Healthy pages need no action
+          setRows(response.data.rows.filter(row => row.actionableReason !== 'healthy'))
+          setGa4Status(response.data.ga4)
+        }
+      } catch (err) {
+        console.error('❌ [LowTrafficPagesTab] Error fetching actionable pages:', err)
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Failed to load pages')
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false)
+        }
+      }
     }
-  ]
 
-  const openPanel = (page: LowTrafficPage) => {
+    fetchPages()
+    return () => {
+      cancelled = true
+    }
+  }, [selectedAnalysisId, reloadKey])
+
+  const reload = () => setReloadKey(key => key + 1)
+
+  const openPanel = (page: ActionablePageRow) => {
     setSelectedPage(page)
     // In a real implementation, this would open a side panel
-    console.log('Opening panel for:', page.title)
+    console.log('Opening panel for:', page.url)
   }
 
-  const getTrafficBadgeVariant = (trafficBand: string) => {
-    switch (trafficBand) {
-      case 'Zero':
+  const getReasonBadgeVariant = (reason: ActionableReason) => {
+    switch (reason) {
+      case 'cited_no_traffic':
         return 'destructive'
-      case 'Very Low':
+      case 'declining_traffic':
         return 'secondary'
-      case 'Low':
-        return 'outline'
+      case 'traffic_not_cited':
+        return 'default'
       default:
         return 'outline'
     }
   }
 
-  const getActionBadgeVariant = (hasCitation: boolean) => {
-    return hasCitation ? 'secondary' : 'default'
+  if (isLoading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12 text-center space-y-2">
+        <p className="text-sm text-muted-foreground">Loading pages...</p>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12 text-center space-y-2">
+        <p className="text-sm text-destructive">{error}</p>
+      </div>
+    )
   }
 
   // Empty state if no low traffic pages
-  if (mockLowTrafficPages.length === 0) {
+  if (rows.length === 0) {
     return (
       <div className="flex flex-col items-center justify-center py-12 text-center space-y-2">
         <p className="text-sm text-muted-foreground">
@@ -124,31 +134,38 @@ export function LowTrafficPagesTab() {
               </div>
 
               <div className="flex items-center gap-3">
-                <Badge variant="secondary" className="px-3 py-1 text-xs">30 days</Badge>
+                <ImportMappingsButton urlAnalysisId={selectedAnalysisId} onImported={reload} />
+                <Badge variant="secondary" className="px-3 py-1 text-xs">{DATE_RANGE}</Badge>
               </div>
             </div>
 
+            {ga4Status?.warning && (
+              <p className="text-sm text-muted-foreground">{ga4Status.warning}</p>
+            )}
+
             {/* Table */}
             <div className="border rounded-lg overflow-x-auto">
-              <Table className="min-w-[880px] table-fixed">
+              <Table className="min-w-[1040px] table-fixed">
                 <TableHeader>
                   <TableRow>
-                    <TableHead className="w-[360px]">Page</TableHead>
-                    <TableHead className="text-center w-[140px]">LLM Traffic</TableHead>
-                    <TableHead className="text-center w-[120px]">Citation</TableHead>
-                    <TableHead className="text-center w-[200px]">Suggested Action</TableHead>
-                    <TableHead className="text-center w-[60px]"></TableHead>
+                    <TableHead className="w-[320px]">Page</TableHead>
+                    <TableHead className="text-center w-[160px]">LLM Sessions</TableHead>
+                    <TableHead className="text-center w-[110px]">Engagement</TableHead>
+                    <TableHead className="text-center w-[110px]">Conversions</TableHead>
+                    <TableHead className="text-center w-[100px]">Citations</TableHead>
+                    <TableHead className="text-center w-[180px]">Reason</TableHead>
+                    <TableHead className="text-center w-[100px]"></TableHead>
                   </TableRow>
                 </TableHeader>
 
                 <TableBody>
-                  {mockLowTrafficPages.map((page) => (
+                  {rows.map((page) => (
                     <TableRow key={page.id} className="hover:bg-muted/50 transition-colors">
                       {/* 1. Page */}
                       <TableCell className="text-left">
                         <div className="space-y-1">
                           <div className="text-sm font-medium text-foreground truncate">
-                            {page.title}
+                            {page.title || page.hostname}
                           </div>
                           <div className="text-xs text-muted-foreground truncate">
                             <a 
@@ -160,21 +177,53 @@ export function LowTrafficPagesTab() {
                               {page.url}
                             </a>
                           </div>
+                          {page.hasMappingWarning && (
+                            <div className="text-xs text-destructive">
+                              Cited on another host. Map it to a page on your site to join traffic.
+                            </div>
+                          )}
+                          {page.mapping && (
+                            <div className="text-xs text-muted-foreground truncate">
+                              Mapped from {page.mapping.sourceUrl}
+                            </div>
+                          )}
                         </div>
                       </TableCell>
 
                       {/* 2. Traffic */}
                       <TableCell className="text-center">
-                        <Badge variant={getTrafficBadgeVariant(page.trafficBand)}>
-                          {page.trafficBand}
-                        </Badge>
+                        <div className="space-y-1">
+                          <div className="text-sm font-medium text-foreground">
+                            {page.traffic.sessions}
+                            {page.traffic.changePercent !== undefined && page.traffic.changePercent !== null && (
+                              <span className={`ml-1 text-xs ${page.traffic.changePercent < 0 ? 'text-destructive' : 'text-muted-foreground'}`}>
+                                {page.traffic.changePercent > 0 ? '+' : ''}{page.traffic.changePercent.toFixed(0)}%
+                              </span>
+                            )}
+                          </div>
+                          {page.traffic.byPlatform && page.traffic.byPlatform.length > 0 && (
+                            <div className="text-xs text-muted-foreground truncate">
+                              {page.traffic.byPlatform.map(p => `${p.platform} ${p.sessions}`).join(' · ')}
+                            </div>
+                          )}
+                        </div>
+                      </TableCell>
+
+                      {/* 3. Engagement */}
+                      <TableCell className="text-center text-sm">
+                        {ga4Status?.available ? formatPercent(page.traffic.engagementRate) : '—'}
                       </TableCell>
 
-                      {/* 3. Citation */}
+                      {/* 4. Conversions */}
+                      <TableCell className="text-center text-sm">
+                        {ga4Status?.available ? page.traffic.conversions ?? 0 : '—'}
+                      </TableCell>
+
+                      {/* 5. Citation */}
                       <TableCell className="text-center">
-                        {page.hasCitation ? (
+                        {page.citations.totalCitations > 0 ? (
                           <Badge variant="default" className="bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
-                            Yes
+                            {page.citations.totalCitations}
                           </Badge>
                         ) : (
                           <Badge variant="outline" className="text-muted-foreground">
@@ -183,18 +232,27 @@ export function LowTrafficPagesTab() {
                         )}
                       </TableCell>
 
-                      {/* 4. Action */}
+                      {/* 6. Reason */}
                       <TableCell className="text-center">
                         <Badge
-                          variant={getActionBadgeVariant(page.hasCitation)}
+                          variant={getReasonBadgeVariant(page.actionableReason)}
                           className="font-medium"
                         >
-                          {page.suggestedAction}
+                          {REASON_LABELS[page.actionableReason] || page.actionableReason}
                         </Badge>
                       </TableCell>
 
-                      {/* 5. Right Arrow */}
+                      {/* 7. Map + Right Arrow */}
                       <TableCell className="text-center">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setMappingPage(page)}
+                          title={page.mapping?.ruleId ? 'Edit URL mapping' : 'Map this URL'}
+                          className="inline-flex items-center justify-center w-8 h-8 rounded-md hover:bg-muted/70"
+                        >
+                          <Link2 className={`w-4 h-4 ${page.hasMappingWarning ? 'text-destructive' : 'text-muted-foreground'}`} />
+                        </Button>
                         <Button
                           variant="ghost"
                           size="sm"
@@ -212,6 +270,13 @@ export function LowTrafficPagesTab() {
           </div>
         </UnifiedCardContent>
       </UnifiedCard>
+
+      <MapUrlDialog
+        urlAnalysisId={selectedAnalysisId}
+        page={mappingPage}
+        onOpenChange={(open) => { if (!open) setMappingPage(null) }}
+        onSaved={reload}
+      />
     </div>
   )
 }
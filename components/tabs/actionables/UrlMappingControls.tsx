@@ -0,0 +1,220 @@
+'use client'
+
+import { useEffect, useRef, useState } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Upload } from 'lucide-react'
+import apiService from '@/services/api'
+import type { ActionablePageRow, UrlMappingImportResult, UrlMappingMatchType } from '@/types/actionables'
+
+const MATCH_TYPE_LABELS: Record<UrlMappingMatchType, string> = {
+  prefix: 'This URL and everything below it',
+  exact: 'Only this exact URL',
+  wildcard: 'Wildcard pattern (*)',
+}
+
+interface MapUrlDialogProps {
+  urlAnalysisId: string | null
+  page: ActionablePageRow | null
+  onOpenChange: (open: boolean) => void
+  // Called after a rule is saved or removed so the table can reload
+  onSaved: () => void
+}
+
+/**
+ * Create or edit the mapping rule for one actionables row
+ */
+export function MapUrlDialog({ urlAnalysisId, page, onOpenChange, onSaved }: MapUrlDialogProps) {
+  const [sourceUrl, setSourceUrl] = useState('')
+  const [targetUrl, setTargetUrl] = useState('')
+  const [matchType, setMatchType] = useState<UrlMappingMatchType>('prefix')
+  const [note, setNote] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const ruleId = page?.mapping?.ruleId
+
+  useEffect(() => {
+    if (!page) return
+    setSourceUrl(page.mapping?.sourceUrl || page.sourceUrls?.[0] || page.url)
+    setTargetUrl(page.mapping?.targetUrl || '')
+    setMatchType(page.mapping?.matchType || 'prefix')
+    setNote(page.mapping?.note || '')
+    setError(null)
+  }, [page])
+
+  const handleSave = async () => {
+    if (!urlAnalysisId) return
+
+    try {
+      setSaving(true)
+      setError(null)
+      const mapping = { sourceUrl, targetUrl, matchType, note: note || undefined }
+      const response = ruleId
+        ? await apiService.updateUrlMapping(ruleId, mapping)
+        : await apiService.createUrlMapping(urlAnalysisId, mapping)
+      if (response.success) {
+        onSaved()
+        onOpenChange(false)
+      }
+    } catch (err) {
+      console.error('❌ [MapUrlDialog] Error saving mapping:', err)
+      setError(err instanceof Error ? err.message : 'Failed to save mapping')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!ruleId) return
+
+    try {
+      setSaving(true)
+      setError(null)
+      await apiService.deleteUrlMapping(ruleId)
+      onSaved()
+      onOpenChange(false)
+    } catch (err) {
+      console.error('❌ [MapUrlDialog] Error deleting mapping:', err)
+      setError(err instanceof Error ? err.message : 'Failed to delete mapping')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={Boolean(page)} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-xl">
+        <DialogHeader>
+          <DialogTitle className="text-foreground">Map this URL</DialogTitle>
+          <DialogDescription>
+            Point a cited URL at the page on your site that GA4 reports traffic for, e.g. after a redirect or when content moved to a subdomain.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-1">
+            <Label className="caption text-muted-foreground">Cited URL</Label>
+            <Input value={sourceUrl} onChange={(e) => setSourceUrl(e.target.value)} placeholder="https://example.com/old-page" />
+          </div>
+          <div className="space-y-1">
+            <Label className="caption text-muted-foreground">Match</Label>
+            <Select value={matchType} onValueChange={(value) => setMatchType(value as UrlMappingMatchType)}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {(Object.keys(MATCH_TYPE_LABELS) as UrlMappingMatchType[]).map(type => (
+                  <SelectItem key={type} value={type}>{MATCH_TYPE_LABELS[type]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {matchType === 'wildcard' && (
+              <p className="caption text-muted-foreground">
+                Use * in the cited URL; a * in the target is replaced with the matched text (example.com/blog/* → blog.example.com/*).
+              </p>
+            )}
+          </div>
+          <div className="space-y-1">
+            <Label className="caption text-muted-foreground">Maps to</Label>
+            <Input value={targetUrl} onChange={(e) => setTargetUrl(e.target.value)} placeholder="https://example.com/new-page" />
+          </div>
+          <div className="space-y-1">
+            <Label className="caption text-muted-foreground">Note</Label>
+            <Input value={note} onChange={(e) => setNote(e.target.value)} placeholder="Optional" />
+          </div>
+
+          {error && (
+            <p className="caption text-destructive">{error}</p>
+          )}
+
+          <div className="flex justify-end gap-2">
+            {ruleId && (
+              <Button variant="outline" size="sm" onClick={handleDelete} disabled={saving}>
+                Remove mapping
+              </Button>
+            )}
+            <Button size="sm" onClick={handleSave} disabled={saving || !sourceUrl.trim() || !targetUrl.trim()}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+interface ImportMappingsButtonProps {
+  urlAnalysisId: string | null
+  onImported: () => void
+}
+
+/**
+ * Bulk import redirects from a CSV (source,target[,note] or a header row naming the columns)
+ */
+export function ImportMappingsButton({ urlAnalysisId, onImported }: ImportMappingsButtonProps) {
+  const fileInputRef = useRef<HTMLInputElement>(null)
+  const [importing, setImporting] = useState(false)
+  const [result, setResult] = useState<UrlMappingImportResult | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const handleFile = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file || !urlAnalysisId) return
+
+    try {
+      setImporting(true)
+      setError(null)
+      const response = await apiService.importUrlMappings(urlAnalysisId, await file.text())
+      if (response.success) {
+        setResult(response.data)
+        onImported()
+      }
+    } catch (err) {
+      console.error('❌ [ImportMappingsButton] Error importing mappings:', err)
+      setError(err instanceof Error ? err.message : 'Failed to import mappings')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  return (
+    <>
+      <input ref={fileInputRef} type="file" accept=".csv,text/csv" className="hidden" onChange={handleFile} />
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={!urlAnalysisId || importing}
+      >
+        <Upload className="mr-2 h-4 w-4" />
+        {importing ? 'Importing...' : 'Import redirects'}
+      </Button>
+
+      <Dialog open={Boolean(result || error)} onOpenChange={(open) => { if (!open) { setResult(null); setError(null) } }}>
+        <DialogContent className="max-w-lg max-h-[80vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle className="text-foreground">Redirect import</DialogTitle>
+          </DialogHeader>
+          {error && <p className="caption text-destructive">{error}</p>}
+          {result && (
+            <div className="space-y-2">
+              <p className="body-text text-foreground">
+                {result.created} created, {result.updated} updated, {result.skipped.length} skipped.
+              </p>
+              {result.skipped.map(row => (
+                <p key={row.line} className="caption text-muted-foreground">
+                  Line {row.line}: {row.message}
+                </p>
+              ))}
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
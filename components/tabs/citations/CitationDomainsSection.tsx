@@ -0,0 +1,172 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { UnifiedCard, UnifiedCardContent } from '@/components/ui/unified-card'
+import { Badge } from '@/components/ui/badge'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { getDynamicFaviconUrl, handleFaviconError } from '../../../lib/faviconUtils'
+import { useFilters } from '@/contexts/FilterContext'
+import apiService from '@/services/api'
+import type { CitationDomainLeaderboard } from '@/types/citations'
+
+interface CitationDomainsSectionProps {
+  filterContext?: {
+    selectedTopics: string[]
+    selectedPersonas: string[]
+    selectedPlatforms: string[]
+  }
+}
+
+// "All Topics" / "All Platforms" mean no filter
+const withoutAll = (values: string[] = []) => values.filter(value => !value.startsWith('All '))
+
+const summarize = (items: { count: number }[], label: (item: any) => string, max = 3) =>
+  items.slice(0, max).map(item => `${label(item)} (${item.count})`).join(', ') + (items.length > max ? ` +${items.length - max}` : '')
+
+export function CitationDomainsSection({ filterContext }: CitationDomainsSectionProps) {
+  const { selectedAnalysisId } = useFilters()
+  const [leaderboard, setLeaderboard] = useState<CitationDomainLeaderboard | null>(null)
+  const [outreachOnly, setOutreachOnly] = useState(false)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  const topics = withoutAll(filterContext?.selectedTopics)
+  const platforms = withoutAll(filterContext?.selectedPlatforms)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchDomains = async () => {
+      try {
+        setIsLoading(true)
+        setError(null)
+        const response = await apiService.getCitationDomains({
+          urlAnalysisId: selectedAnalysisId || undefined,
+          topics,
+          platforms,
+          outreachOnly,
+          limit: 50,
+        })
+        if (!cancelled && response.success) {
+          setLeaderboard(response.data)
+        }
+      } catch (err) {
+        console.error('❌ [CitationDomainsSection] Error fetching cited domains:', err)
+        if (!cancelled) {
+          setError('Failed to load cited domains')
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false)
+        }
+      }
+    }
+
+    fetchDomains()
+    return () => {
+      cancelled = true
+    }
+  }, [selectedAnalysisId, topics.join('|'), platforms.join('|'), outreachOnly])
+
+  return (
+    <UnifiedCard className="w-full">
+      <UnifiedCardContent className="p-6">
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">Cited Domains</h2>
+              <p className="text-sm text-muted-foreground mt-1">
+                Third-party sites answer engines cite for your topics. Outreach targets cite competitors but not you.
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              {leaderboard && (
+                <Badge variant="secondary" className="px-3 py-1 text-xs">
+                  {leaderboard.outreachTargets} outreach targets
+                </Badge>
+              )}
+              <div className="flex items-center gap-2">
+                <Switch id="outreach-only" checked={outreachOnly} onCheckedChange={setOutreachOnly} />
+                <Label htmlFor="outreach-only" className="caption text-muted-foreground">Outreach targets only</Label>
+              </div>
+            </div>
+          </div>
+
+          {isLoading && !leaderboard ? (
+            <p className="text-sm text-muted-foreground">Loading cited domains...</p>
+          ) : error ? (
+            <p className="text-sm text-destructive">{error}</p>
+          ) : !leaderboard || leaderboard.domains.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No third-party citations found for the selected filters.</p>
+          ) : (
+            <div className="border rounded-lg overflow-x-auto">
+              <Table className="min-w-[960px]">
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-[50px] text-center">#</TableHead>
+                    <TableHead>Domain</TableHead>
+                    <TableHead className="text-center">Citations</TableHead>
+                    <TableHead>Platforms</TableHead>
+                    <TableHead>Topics</TableHead>
+                    <TableHead>Competitors Cited</TableHead>
+                    <TableHead className="text-center">Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {leaderboard.domains.map(entry => (
+                    <TableRow key={entry.domain}>
+                      <TableCell className="text-center text-sm text-muted-foreground">{entry.rank}</TableCell>
+                      <TableCell>
+                        <div className="flex items-center gap-2">
+                          <img
+                            src={getDynamicFaviconUrl(entry.domain)}
+                            alt=""
+                            className="w-4 h-4"
+                            onError={handleFaviconError}
+                          />
+                          <a
+                            href={entry.sampleUrls[0] || `https://${entry.domain}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-sm font-medium text-foreground hover:text-primary transition-colors"
+                          >
+                            {entry.domain}
+                          </a>
+                          <Badge variant="outline" className="text-xs capitalize">{entry.citationType}</Badge>
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-center text-sm">
+                        {entry.totalCitations}
+                        <span className="ml-1 text-xs text-muted-foreground">({entry.responses} responses)</span>
+                      </TableCell>
+                      <TableCell className="text-xs text-muted-foreground">
+                        {summarize(entry.platforms, item => item.platform)}
+                      </TableCell>
+                      <TableCell className="text-xs text-muted-foreground">
+                        {summarize(entry.topics, item => item.topic)}
+                      </TableCell>
+                      <TableCell className="text-xs text-muted-foreground">
+                        {entry.competitors.length > 0 ? summarize(entry.competitors, item => item.name) : '—'}
+                      </TableCell>
+                      <TableCell className="text-center">
+                        {entry.outreachTarget ? (
+                          <Badge variant="destructive">Outreach target</Badge>
+                        ) : entry.mentionsOwner ? (
+                          <Badge variant="default" className="bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">Cites you</Badge>
+                        ) : (
+                          <Badge variant="outline" className="text-muted-foreground">Neutral</Badge>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+      </UnifiedCardContent>
+    </UnifiedCard>
+  )
+}
@@ -0,0 +1,204 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import { UnifiedCard, UnifiedCardContent } from '@/components/ui/unified-card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { Plus, Trash2 } from 'lucide-react'
+import { useFilters } from '@/contexts/FilterContext'
+import apiService from '@/services/api'
+import type { CitationOverrideClassification, CitationOverrideRule } from '@/types/citations'
+
+const CLASSIFICATION_LABELS: Record<CitationOverrideClassification, string> = {
+  brand: 'Brand (owned by you)',
+  'owned-competitor': 'Owned by a competitor',
+  earned: 'Earned media',
+  social: 'Social',
+}
+
+/**
+ * Per-analysis rules that override how cited domains are classified, plus the
+ * action that reapplies them to existing prompt tests
+ */
+export function CitationOverridesSection() {
+  const { selectedAnalysisId } = useFilters()
+  const [rules, setRules] = useState<CitationOverrideRule[]>([])
+  const [pattern, setPattern] = useState('')
+  const [classification, setClassification] = useState<CitationOverrideClassification>('earned')
+  const [brandName, setBrandName] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+  const [isReprocessing, setIsReprocessing] = useState(false)
+  const [message, setMessage] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const fetchRules = useCallback(async () => {
+    if (!selectedAnalysisId) return
+    try {
+      const response = await apiService.getCitationOverrides(selectedAnalysisId)
+      if (response.success) {
+        setRules(response.data)
+      }
+    } catch (err) {
+      console.error('❌ [CitationOverridesSection] Error fetching overrides:', err)
+      setError('Failed to load classification rules')
+    }
+  }, [selectedAnalysisId])
+
+  useEffect(() => {
+    setRules([])
+    setMessage(null)
+    setError(null)
+    fetchRules()
+  }, [fetchRules])
+
+  const handleAdd = async () => {
+    if (!selectedAnalysisId) return
+    try {
+      setIsSaving(true)
+      setError(null)
+      const response = await apiService.createCitationOverride(selectedAnalysisId, {
+        pattern,
+        classification,
+        brandName: brandName.trim() || undefined,
+      })
+      if (response.success) {
+        setRules(prev => [response.data, ...prev])
+        setPattern('')
+        setBrandName('')
+        setMessage('Rule added. New tests use it right away; reprocess to update existing citations.')
+      }
+    } catch (err) {
+      console.error('❌ [CitationOverridesSection] Error creating override:', err)
+      setError(err instanceof Error ? err.message : 'Failed to add rule')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDelete = async (ruleId: string) => {
+    try {
+      setError(null)
+      await apiService.deleteCitationOverride(ruleId)
+      setRules(prev => prev.filter(rule => rule.id !== ruleId))
+    } catch (err) {
+      console.error('❌ [CitationOverridesSection] Error deleting override:', err)
+      setError(err instanceof Error ? err.message : 'Failed to delete rule')
+    }
+  }
+
+  const handleReprocess = async () => {
+    if (!selectedAnalysisId) return
+    try {
+      setIsReprocessing(true)
+      setError(null)
+      const response = await apiService.reprocessCitationOverrides(selectedAnalysisId)
+      if (response.success) {
+        const { citationsChanged, testsUpdated, testsProcessed } = response.data
+        setMessage(`${citationsChanged} citations reclassified across ${testsUpdated} of ${testsProcessed} tests.`)
+      }
+    } catch (err) {
+      console.error('❌ [CitationOverridesSection] Error reprocessing citations:', err)
+      setError(err instanceof Error ? err.message : 'Failed to reprocess citations')
+    } finally {
+      setIsReprocessing(false)
+    }
+  }
+
+  if (!selectedAnalysisId) {
+    return null
+  }
+
+  const needsBrand = classification === 'owned-competitor'
+
+  return (
+    <UnifiedCard className="w-full">
+      <UnifiedCardContent className="p-6">
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">Classification Rules</h2>
+              <p className="text-sm text-muted-foreground mt-1">
+                Fix misclassified sources, e.g. partner sites, review sites or your own subdomains.
+              </p>
+            </div>
+            <Button variant="outline" size="sm" onClick={handleReprocess} disabled={isReprocessing}>
+              {isReprocessing ? 'Reprocessing...' : 'Reprocess citations'}
+            </Button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <Input
+              value={pattern}
+              onChange={(e) => setPattern(e.target.value)}
+              placeholder="g2.com, example.com/reviews or *.example.com/blog/*"
+              className="w-[320px]"
+            />
+            <Select value={classification} onValueChange={(value) => setClassification(value as CitationOverrideClassification)}>
+              <SelectTrigger className="w-[220px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {(Object.keys(CLASSIFICATION_LABELS) as CitationOverrideClassification[]).map(type => (
+                  <SelectItem key={type} value={type}>{CLASSIFICATION_LABELS[type]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {(needsBrand || classification === 'brand') && (
+              <Input
+                value={brandName}
+                onChange={(e) => setBrandName(e.target.value)}
+                placeholder={needsBrand ? 'Competitor name' : 'Brand (defaults to yours)'}
+                className="w-[200px]"
+              />
+            )}
+            <Button size="sm" onClick={handleAdd} disabled={isSaving || !pattern.trim() || (needsBrand && !brandName.trim())}>
+              <Plus className="mr-2 h-4 w-4" />
+              Add rule
+            </Button>
+          </div>
+
+          {error && <p className="text-sm text-destructive">{error}</p>}
+          {message && !error && <p className="text-sm text-muted-foreground">{message}</p>}
+
+          {rules.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No rules yet; citations use the built-in classification.</p>
+          ) : (
+            <div className="border rounded-lg overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Pattern</TableHead>
+                    <TableHead>Classification</TableHead>
+                    <TableHead>Owner</TableHead>
+                    <TableHead className="w-[60px]" />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {rules.map(rule => (
+                    <TableRow key={rule.id}>
+                      <TableCell className="text-sm font-medium text-foreground">{rule.pattern}</TableCell>
+                      <TableCell>
+                        <Badge variant="outline" className="text-xs">{CLASSIFICATION_LABELS[rule.classification]}</Badge>
+                      </TableCell>
+                      <TableCell className="text-sm text-muted-foreground">
+                        {rule.brandName || (rule.classification === 'brand' ? 'Your brand' : '—')}
+                      </TableCell>
+                      <TableCell>
+                        <Button variant="ghost" size="sm" onClick={() => handleDelete(rule.id)} aria-label="Delete rule">
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+      </UnifiedCardContent>
+    </UnifiedCard>
+  )
+}
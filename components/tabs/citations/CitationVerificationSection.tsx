@@ -0,0 +1,195 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import { UnifiedCard, UnifiedCardContent } from '@/components/ui/unified-card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { useFilters } from '@/contexts/FilterContext'
+import apiService from '@/services/api'
+import type { CitationVerificationStatus, CitationVerificationSummary } from '@/types/citations'
+
+const POLL_INTERVAL_MS = 5000
+
+const STATUS_STYLES: Record<CitationVerificationStatus, string> = {
+  live: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  redirected: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  broken: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  blocked: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  unreachable: 'bg-muted text-muted-foreground',
+}
+
+/**
+ * Liveness and brand-mention checks for cited URLs, with the switch that
+ * leaves hallucinated citations out of citation share
+ */
+export function CitationVerificationSection() {
+  const { selectedAnalysisId } = useFilters()
+  const [summary, setSummary] = useState<CitationVerificationSummary | null>(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const fetchSummary = useCallback(async () => {
+    if (!selectedAnalysisId) return
+    try {
+      const response = await apiService.getCitationVerification(selectedAnalysisId)
+      if (response.success) {
+        setSummary(response.data)
+      }
+    } catch (err) {
+      console.error('❌ [CitationVerificationSection] Error fetching verification:', err)
+      setError('Failed to load citation checks')
+    }
+  }, [selectedAnalysisId])
+
+  useEffect(() => {
+    setSummary(null)
+    setError(null)
+    fetchSummary()
+  }, [fetchSummary])
+
+  // Refresh while a run is in progress
+  useEffect(() => {
+    if (!summary?.running) return
+    const timer = setTimeout(fetchSummary, POLL_INTERVAL_MS)
+    return () => clearTimeout(timer)
+  }, [summary, fetchSummary])
+
+  const handleVerify = async () => {
+    if (!selectedAnalysisId) return
+    try {
+      setError(null)
+      await apiService.verifyCitations(selectedAnalysisId, true)
+      setSummary(prev => (prev ? { ...prev, running: true } : prev))
+      setTimeout(fetchSummary, POLL_INTERVAL_MS)
+    } catch (err) {
+      console.error('❌ [CitationVerificationSection] Error starting verification:', err)
+      setError(err instanceof Error ? err.message : 'Failed to start citation checks')
+    }
+  }
+
+  const handleExcludeChange = async (excludeHallucinated: boolean) => {
+    if (!selectedAnalysisId) return
+    try {
+      setIsSaving(true)
+      setError(null)
+      const response = await apiService.updateCitationVerificationSettings(selectedAnalysisId, excludeHallucinated)
+      if (response.success) {
+        setSummary(prev => (prev ? { ...prev, excludeHallucinated } : prev))
+      }
+    } catch (err) {
+      console.error('❌ [CitationVerificationSection] Error saving settings:', err)
+      setError(err instanceof Error ? err.message : 'Failed to save settings')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (!selectedAnalysisId) {
+    return null
+  }
+
+  return (
+    <UnifiedCard className="w-full">
+      <UnifiedCardContent className="p-6">
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">Citation Checks</h2>
+              <p className="text-sm text-muted-foreground mt-1">
+                Whether cited pages exist and actually mention the brand they were cited for.
+                {summary?.lastCheckedAt && ` Last checked ${new Date(summary.lastCheckedAt).toLocaleString()}.`}
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              <div className="flex items-center gap-2">
+                <Switch
+                  id="exclude-hallucinated"
+                  checked={Boolean(summary?.excludeHallucinated)}
+                  onCheckedChange={handleExcludeChange}
+                  disabled={!summary || isSaving}
+                />
+                <Label htmlFor="exclude-hallucinated" className="caption text-muted-foreground">
+                  Exclude hallucinated from citation share
+                </Label>
+              </div>
+              <Button variant="outline" size="sm" onClick={handleVerify} disabled={!summary || summary.running}>
+                {summary?.running ? 'Checking...' : 'Check now'}
+              </Button>
+            </div>
+          </div>
+
+          {summary && summary.totalUrls > 0 && (
+            <div className="flex flex-wrap gap-2">
+              <Badge variant="secondary" className="px-3 py-1 text-xs">{summary.problemUrls} problem URLs</Badge>
+              {(Object.keys(summary.byStatus) as CitationVerificationStatus[]).map(status => (
+                <Badge key={status} variant="outline" className="px-3 py-1 text-xs capitalize">
+                  {status}: {summary.byStatus[status]}
+                </Badge>
+              ))}
+            </div>
+          )}
+
+          {error ? (
+            <p className="text-sm text-destructive">{error}</p>
+          ) : !summary ? (
+            <p className="text-sm text-muted-foreground">Loading citation checks...</p>
+          ) : summary.totalUrls === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              {summary.running ? 'Checking cited URLs...' : 'No cited URLs have been checked yet.'}
+            </p>
+          ) : (
+            <div className="border rounded-lg overflow-x-auto max-h-[480px] overflow-y-auto">
+              <Table className="min-w-[860px]">
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>URL</TableHead>
+                    <TableHead className="text-center">Status</TableHead>
+                    <TableHead>Brand mentions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {summary.verifications.map(entry => (
+                    <TableRow key={entry.url}>
+                      <TableCell className="max-w-[420px]">
+                        <a
+                          href={entry.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="block truncate text-sm font-medium text-foreground hover:text-primary transition-colors"
+                        >
+                          {entry.title || entry.url}
+                        </a>
+                        <p className="truncate text-xs text-muted-foreground">
+                          {entry.status === 'redirected' && entry.finalUrl ? `→ ${entry.finalUrl}` : entry.url}
+                        </p>
+                      </TableCell>
+                      <TableCell className="text-center">
+                        <Badge variant="outline" className={`text-xs capitalize ${STATUS_STYLES[entry.status]}`}>
+                          {entry.status}{entry.httpStatus ? ` ${entry.httpStatus}` : ''}
+                        </Badge>
+                        {entry.error && <p className="text-xs text-muted-foreground mt-1">{entry.error}</p>}
+                      </TableCell>
+                      <TableCell className="text-xs">
+                        {entry.brandMentions.map(mention => (
+                          <span
+                            key={mention.brandName}
+                            className={`mr-2 ${mention.mentioned === false ? 'text-destructive' : 'text-muted-foreground'}`}
+                          >
+                            {mention.brandName}: {mention.mentioned === null ? 'unknown' : mention.mentioned ? 'yes' : 'no'}
+                          </span>
+                        ))}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+      </UnifiedCardContent>
+    </UnifiedCard>
+  )
+}
@@ -2,12 +2,18 @@
 export { CitationShareSection } from './CitationShareSection'
 export { CitationTypesSection } from './CitationTypesSection'
 export { CitationTypesDetailSection } from './CitationTypesDetailSection'
+export { CitationDomainsSection } from './CitationDomainsSection'
+export { CitationVerificationSection } from './CitationVerificationSection'
+export { CitationOverridesSection } from './CitationOverridesSection'
 export { UnifiedPerformanceInsightsSection } from '../visibility/UnifiedPerformanceInsightsSection'
 
 // Citations Tab Main Component
 import { CitationShareSection } from './CitationShareSection'
 import { CitationTypesSection } from './CitationTypesSection'
 import { CitationTypesDetailSection } from './CitationTypesDetailSection'
+import { CitationDomainsSection } from './CitationDomainsSection'
+import { CitationVerificationSection } from './CitationVerificationSection'
+import { CitationOverridesSection } from './CitationOverridesSection'
 import { UnifiedPerformanceInsightsSection } from '../visibility/UnifiedPerformanceInsightsSection'
 
 interface CitationsTabProps {
@@ -25,6 +31,9 @@ export function CitationsTab({ filterContext, dashboardData }: CitationsTabProps
       <CitationShareSection filterContext={filterContext} dashboardData={dashboardData} />
       <CitationTypesSection filterContext={filterContext} dashboardData={dashboardData} />
       <CitationTypesDetailSection filterContext={filterContext} dashboardData={dashboardData} />
+      <CitationDomainsSection filterContext={filterContext} />
+      <CitationVerificationSection />
+      <CitationOverridesSection />
       
       {/* Performance Insights Section */}
       <UnifiedPerformanceInsightsSection filterContext={filterContext} dashboardData={dashboardData} tabType="citations" />
@@ -3,80 +3,49 @@
 import { UnifiedCard, UnifiedCardContent } from '@/components/ui/unified-card'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
-import { Download, Filter, Loader2 } from 'lucide-react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Download, Filter, FolderPlus, Loader2 } from 'lucide-react'
 import { useState, useEffect } from 'react'
 import { useAnalytics } from '@/contexts/AnalyticsContext'
 import apiService from '@/services/api'
-
-interface ClusterBrand {
-  name: string
-  visibilityScore: number
-  mentionRate: number
-}
-
-interface TopPrompt {
-  id: string
-  text: string
-  queryType: string
-  visibilityScore: number
-}
-
-interface Cluster {
-  id: string
-  name: string
-  promptCount: number
-  testCount: number
-  avgVisibility: number
-  brandMentionRate: number
-  platforms: string[]
-  personas: string[]
-  topPrompts: TopPrompt[]
-  metrics: {
-    totalMentions: number
-    avgPosition: number
-    citationRate: number
-  }
-}
-
-interface ClusterData {
-  clusters: Cluster[]
-  summary: {
-    totalClusters: number
-    totalTopics: number
-    totalPrompts: number
-    totalTests: number
-    avgVisibility: number
-    topPerforming: { name: string; score: number }[]
-    needsAttention: { name: string; score: number }[]
-  }
-}
+import type { ClusterGrouping, ClustersResponse, PromptCluster } from '@/types/clusters'
 
 function ClusterViewSection() {
   const { urlAnalysisId } = useAnalytics()
-  const [selectedTopic, setSelectedTopic] = useState<string>("all")
-  const [clusters, setClusters] = useState<Cluster[]>([])
-  const [summary, setSummary] = useState<ClusterData['summary'] | null>(null)
+  const [grouping, setGrouping] = useState<ClusterGrouping>('semantic')
+  const [clusters, setClusters] = useState<PromptCluster[]>([])
+  const [summary, setSummary] = useState<ClustersResponse['summary'] | null>(null)
+  const [unclustered, setUnclustered] = useState<NonNullable<ClustersResponse['unclustered']>>([])
+  const [clusteredAnalysisId, setClusteredAnalysisId] = useState<string | null>(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
+  const [promoting, setPromoting] = useState<PromptCluster | null>(null)
+  const [topicName, setTopicName] = useState('')
+  const [promoteError, setPromoteError] = useState<string | null>(null)
+  const [promoteMessage, setPromoteMessage] = useState<string | null>(null)
+  const [saving, setSaving] = useState(false)
 
   useEffect(() => {
     fetchClusters()
-  }, [urlAnalysisId])
+  }, [urlAnalysisId, grouping])
 
   const fetchClusters = async () => {
     try {
       setLoading(true)
       setError(null)
 
-      const params = urlAnalysisId ? `?urlAnalysisId=${urlAnalysisId}` : ''
-      const response = await apiService.get(`/clusters${params}`)
+      const response = await apiService.getClusters({ urlAnalysisId: urlAnalysisId || undefined, groupBy: grouping })
 
-      if (response.data.success) {
-        setClusters(response.data.data.clusters || [])
-        setSummary(response.data.data.summary || null)
+      if (response.success) {
+        setClusters(response.data.clusters || [])
+        setSummary(response.data.summary || null)
+        setUnclustered(response.data.unclustered || [])
+        setClusteredAnalysisId(response.data.urlAnalysisId || urlAnalysisId || null)
       } else {
-        setError(response.data.message || 'Failed to load clusters')
+        setError(response.message || 'Failed to load clusters')
       }
     } catch (err: any) {
       console.error('Error fetching clusters:', err)
@@ -86,9 +55,36 @@ function ClusterViewSection() {
     }
   }
 
+  const openPromote = (cluster: PromptCluster) => {
+    setPromoting(cluster)
+    setTopicName(cluster.label || cluster.name)
+    setPromoteError(null)
+  }
+
+  const handlePromote = async () => {
+    if (!promoting?.promptIds || !clusteredAnalysisId || !topicName.trim()) return
+    try {
+      setSaving(true)
+      setPromoteError(null)
+      const response = await apiService.promoteCluster({
+        urlAnalysisId: clusteredAnalysisId,
+        promptIds: promoting.promptIds,
+        name: topicName.trim(),
+        keywords: promoting.terms || []
+      })
+      setPromoteMessage(response.message)
+      setPromoting(null)
+      await fetchClusters()
+    } catch (err: any) {
+      setPromoteError(err.message || 'Failed to create topic')
+    } finally {
+      setSaving(false)
+    }
+  }
+
   const handleExport = () => {
     // Export cluster data as JSON
-    const dataStr = JSON.stringify({ clusters, summary }, null, 2)
+    const dataStr = JSON.stringify({ clusters, unclustered, summary }, null, 2)
     const dataBlob = new Blob([dataStr], { type: 'application/json' })
     const url = URL.createObjectURL(dataBlob)
     const link = document.createElement('a')
@@ -97,14 +93,6 @@ function ClusterViewSection() {
     link.click()
   }
 
-  // Filter clusters based on selected topic
-  const filteredClusters = selectedTopic === "all" 
-    ? clusters 
-    : clusters.filter(cluster => cluster.name === selectedTopic)
-
-  // Get unique topic names for filter
-  const topicNames = ['all', ...new Set(clusters.map(c => c.name))]
-
   const getCompetitionLevel = (avgVisibility: number): { level: string; color: string } => {
     if (avgVisibility >= 70) return { level: 'High Performance', color: 'text-green-600 dark:text-green-400' }
     if (avgVisibility >= 40) return { level: 'Medium Performance', color: 'text-yellow-600 dark:text-yellow-400' }
@@ -139,13 +127,33 @@ function ClusterViewSection() {
     )
   }
 
+  const groupingSelect = (
+    <div className="flex items-center gap-3">
+      <Filter className="w-4 h-4 text-muted-foreground" />
+      <Select value={grouping} onValueChange={(value) => setGrouping(value as ClusterGrouping)}>
+        <SelectTrigger className="w-48">
+          <SelectValue placeholder="Group prompts by" />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value="semantic">Semantic themes</SelectItem>
+          <SelectItem value="topic">Existing topics</SelectItem>
+        </SelectContent>
+      </Select>
+    </div>
+  )
+
   if (clusters.length === 0) {
     return (
       <UnifiedCard className="w-full">
         <UnifiedCardContent className="p-8">
           <div className="text-center space-y-3">
+            <div className="flex justify-center">{groupingSelect}</div>
             <p className="text-muted-foreground">No cluster data available.</p>
-            <p className="text-sm text-muted-foreground">Complete some prompt tests to see cluster analysis.</p>
+            <p className="text-sm text-muted-foreground">
+              {grouping === 'semantic'
+                ? 'Add more prompts to discover themes - a theme needs at least two related prompts.'
+                : 'Complete some prompt tests to see cluster analysis.'}
+            </p>
           </div>
         </UnifiedCardContent>
       </UnifiedCard>
@@ -157,9 +165,13 @@ function ClusterViewSection() {
       {/* Header Section */}
       <div className="flex items-center justify-between">
         <div>
-          <h2 className="text-xl font-semibold leading-none tracking-tight text-foreground">Topic Clusters</h2>
+          <h2 className="text-xl font-semibold leading-none tracking-tight text-foreground">
+            {grouping === 'semantic' ? 'Prompt Themes' : 'Topic Clusters'}
+          </h2>
           <p className="text-sm text-muted-foreground mt-2">
-            Analysis of topic performance grouped by clusters with visibility metrics.
+            {grouping === 'semantic'
+              ? 'Prompts grouped by what they and their AI answers are about, with visibility and share of voice per theme.'
+              : 'Analysis of topic performance grouped by clusters with visibility metrics.'}
           </p>
         </div>
           
@@ -219,30 +231,22 @@ function ClusterViewSection() {
           <div className="space-y-6">
             {/* Control Bar */}
             <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
-              <div className="flex items-center gap-3">
-                <Filter className="w-4 h-4 text-muted-foreground" />
-                <Select value={selectedTopic} onValueChange={setSelectedTopic}>
-                  <SelectTrigger className="w-48">
-                    <SelectValue placeholder="Filter by Topic" />
-                  </SelectTrigger>
-                  <SelectContent>
-                    {topicNames.map(topic => (
-                      <SelectItem key={topic} value={topic}>
-                        {topic === 'all' ? 'All Topics' : topic}
-                      </SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
-              </div>
+              {groupingSelect}
 
               <div className="text-sm text-muted-foreground">
-                Showing {filteredClusters.length} of {clusters.length} clusters
+                {grouping === 'semantic' && summary?.embedding
+                  ? `${clusters.length} themes · ${unclustered.length} unclustered prompts · ${summary.embedding.provider} embeddings`
+                  : `Showing ${clusters.length} clusters`}
               </div>
             </div>
 
+            {promoteMessage && (
+              <p className="text-sm text-green-600 dark:text-green-400">{promoteMessage}</p>
+            )}
+
             {/* Cluster Cards */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-              {filteredClusters.map((cluster) => {
+              {clusters.map((cluster) => {
                 const competition = getCompetitionLevel(cluster.avgVisibility)
                 
                 return (
@@ -257,20 +261,37 @@ function ClusterViewSection() {
                               {competition.level}
                             </p>
                           </div>
-                          <Badge variant="outline" className="text-xs">
-                            {cluster.promptCount} prompts
-                          </Badge>
+                          <div className="flex items-center gap-2">
+                            <Badge variant="outline" className="text-xs">
+                              {cluster.promptCount} prompts
+                            </Badge>
+                            {cluster.promptIds && (
+                              <Button variant="ghost" size="sm" className="gap-1 h-7" onClick={() => openPromote(cluster)}>
+                                <FolderPlus className="w-3.5 h-3.5" />
+                                Promote to topic
+                              </Button>
+                            )}
+                          </div>
                         </div>
 
+                        {/* Topics the theme's prompts currently belong to */}
+                        {cluster.topics && cluster.topics.length > 0 && (
+                          <p className="text-xs text-muted-foreground">
+                            From {cluster.topics.map(topic => `${topic.name} (${topic.promptCount})`).join(', ')}
+                          </p>
+                        )}
+
                         {/* Metrics Grid */}
                         <div className="grid grid-cols-2 gap-4">
                           <div className="space-y-1">
-                            <p className="text-xs text-muted-foreground">Avg Visibility</p>
-                            <p className="text-xl font-bold text-foreground">{cluster.avgVisibility}%</p>
+                            <p className="text-xs text-muted-foreground">Visibility</p>
+                            <p className="text-xl font-bold text-foreground">{cluster.visibility ?? cluster.brandMentionRate}%</p>
                           </div>
                           <div className="space-y-1">
-                            <p className="text-xs text-muted-foreground">Mention Rate</p>
-                            <p className="text-xl font-bold text-foreground">{cluster.brandMentionRate}%</p>
+                            <p className="text-xs text-muted-foreground">Share of Voice</p>
+                            <p className="text-xl font-bold text-foreground">
+                              {cluster.shareOfVoice !== undefined ? `${cluster.shareOfVoice}%` : 'N/A'}
+                            </p>
                           </div>
                           <div className="space-y-1">
                             <p className="text-xs text-muted-foreground">Avg Position</p>
@@ -318,10 +339,19 @@ function ClusterViewSection() {
               })}
             </div>
 
-            {filteredClusters.length === 0 && (
-              <div className="text-center py-8">
-                <p className="text-muted-foreground">No clusters found for the selected topic.</p>
-              </div>
+            {unclustered.length > 0 && (
+              <details className="text-sm">
+                <summary className="cursor-pointer text-muted-foreground">
+                  {unclustered.length} prompts didn&apos;t fit a theme
+                </summary>
+                <ul className="mt-2 space-y-1">
+                  {unclustered.map(prompt => (
+                    <li key={prompt.id} className="text-xs text-foreground/80 truncate">
+                      {prompt.text}{prompt.topic ? ` (${prompt.topic})` : ''}
+                    </li>
+                  ))}
+                </ul>
+              </details>
             )}
           </div>
         </UnifiedCardContent>
@@ -333,7 +363,9 @@ function ClusterViewSection() {
           {summary.topPerforming.length > 0 && (
             <UnifiedCard>
               <UnifiedCardContent className="p-5">
-                <h3 className="text-sm font-semibold text-foreground mb-3">Top Performing Topics</h3>
+                <h3 className="text-sm font-semibold text-foreground mb-3">
+                  Top Performing {grouping === 'semantic' ? 'Themes' : 'Topics'}
+                </h3>
                 <div className="space-y-2">
                   {summary.topPerforming.map((topic, idx) => (
                     <div key={idx} className="flex items-center justify-between">
@@ -367,6 +399,40 @@ function ClusterViewSection() {
           )}
         </div>
       )}
+
+      <Dialog open={promoting !== null} onOpenChange={(open) => !open && setPromoting(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Promote theme to topic</DialogTitle>
+            <DialogDescription>
+              Creates a topic from this theme&apos;s {promoting?.promptCount} prompts. The prompts and their test
+              results move to the new topic, so topic dashboards include them after the next metrics refresh.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2">
+            <Label htmlFor="promote-topic-name">Topic name</Label>
+            <Input
+              id="promote-topic-name"
+              value={topicName}
+              onChange={(event) => setTopicName(event.target.value)}
+              maxLength={100}
+            />
+            {promoting?.terms && promoting.terms.length > 0 && (
+              <p className="caption text-muted-foreground">Keywords: {promoting.terms.join(', ')}</p>
+            )}
+            {promoteError && <p className="text-sm text-red-600 dark:text-red-400">{promoteError}</p>}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setPromoting(null)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button onClick={handlePromote} disabled={saving || !topicName.trim() || !clusteredAnalysisId}>
+              {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Create topic
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </div>
   )
 }
@@ -0,0 +1,244 @@
+'use client'
+
+import { useRef, useState } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { Upload } from 'lucide-react'
+import apiService from '@/services/api'
+import type { QueryImportItem, QueryImportResult } from '@/types/prompts'
+
+type ImportSource = 'file' | 'ga4'
+
+const SOURCE_LABELS: Record<QueryImportResult['source'], string> = {
+  csv: 'CSV',
+  search_console: 'Search Console export',
+  ga4: 'GA4 site search',
+}
+
+const DATE_RANGES = ['7 days', '30 days', '90 days']
+const MAX_QUERY_OPTIONS = [25, 50, 100, 250, 500]
+
+interface ImportQueriesDialogProps {
+  urlAnalysisId: string | null
+  // Called after prompts were saved
+  onImported?: () => void
+}
+
+/**
+ * Import real search queries (CSV, Search Console export or GA4 site search)
+ * as prompts: preview the conversion, topic/persona assignment and merges,
+ * then save
+ */
+export function ImportQueriesDialog({ urlAnalysisId, onImported }: ImportQueriesDialogProps) {
+  const fileInputRef = useRef<HTMLInputElement>(null)
+  const [open, setOpen] = useState(false)
+  const [source, setSource] = useState<ImportSource>('file')
+  const [file, setFile] = useState<{ name: string; csv: string } | null>(null)
+  const [dateRange, setDateRange] = useState('30 days')
+  const [maxQueries, setMaxQueries] = useState(100)
+  const [result, setResult] = useState<QueryImportResult | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const reset = () => {
+    setFile(null)
+    setResult(null)
+    setError(null)
+  }
+
+  const runImport = async (dryRun: boolean) => {
+    if (!urlAnalysisId) return
+
+    try {
+      setLoading(true)
+      setError(null)
+      const options = { urlAnalysisId, dryRun, maxQueries }
+      const response = source === 'ga4'
+        ? await apiService.importGA4SearchTerms({ ...options, dateRange })
+        : await apiService.importPromptQueries(file?.csv || '', options)
+      if (response.success) {
+        setResult(response.data)
+        if (!dryRun && response.data.summary.imported > 0) {
+          onImported?.()
+        }
+      }
+    } catch (err) {
+      console.error('❌ [ImportQueriesDialog] Error importing queries:', err)
+      setError(err instanceof Error ? err.message : 'Failed to import queries')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFile = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = event.target.files?.[0]
+    event.target.value = ''
+    if (!selected) return
+    setResult(null)
+    setFile({ name: selected.name, csv: await selected.text() })
+  }
+
+  const statusBadge = (item: QueryImportItem) => {
+    if (item.status === 'merged') return <Badge variant="outline">Merged</Badge>
+    if (item.status === 'imported') return <Badge>Imported</Badge>
+    return <Badge variant="secondary">New</Badge>
+  }
+
+  const canPreview = Boolean(urlAnalysisId) && (source === 'ga4' || Boolean(file)) && !loading
+
+  return (
+    <>
+      <Button variant="outline" size="sm" className="gap-2" onClick={() => setOpen(true)} disabled={!urlAnalysisId}>
+        <Upload className="w-4 h-4" />
+        Import queries
+      </Button>
+
+      <Dialog open={open} onOpenChange={(value) => { setOpen(value); if (!value) reset() }}>
+        <DialogContent className="max-w-4xl max-h-[85vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle className="text-foreground">Import search queries</DialogTitle>
+            <DialogDescription>
+              Turn the queries people really search for into prompts. Each one is rewritten as a question,
+              assigned to the closest topic and persona, and skipped if it means the same as a prompt you already have.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="space-y-1">
+              <Label className="caption text-muted-foreground">Source</Label>
+              <Select value={source} onValueChange={(value) => { setSource(value as ImportSource); setResult(null) }}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="file">CSV or Search Console export</SelectItem>
+                  <SelectItem value="ga4">GA4 site search</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {source === 'file' ? (
+              <div className="space-y-1">
+                <Label className="caption text-muted-foreground">File</Label>
+                <input ref={fileInputRef} type="file" accept=".csv,text/csv" className="hidden" onChange={handleFile} />
+                <Button variant="outline" className="w-full justify-start truncate" onClick={() => fileInputRef.current?.click()}>
+                  {file ? file.name : 'Choose CSV...'}
+                </Button>
+              </div>
+            ) : (
+              <div className="space-y-1">
+                <Label className="caption text-muted-foreground">Period</Label>
+                <Select value={dateRange} onValueChange={(value) => { setDateRange(value); setResult(null) }}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {DATE_RANGES.map(range => (
+                      <SelectItem key={range} value={range}>Last {range}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            <div className="space-y-1">
+              <Label className="caption text-muted-foreground">Top queries</Label>
+              <Select value={String(maxQueries)} onValueChange={(value) => { setMaxQueries(Number(value)); setResult(null) }}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {MAX_QUERY_OPTIONS.map(count => (
+                    <SelectItem key={count} value={String(count)}>{count}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          {source === 'file' && (
+            <p className="caption text-muted-foreground">
+              Search Console: Performance → Export → Queries. Other files need a query, keyword or search term column (or queries in the first column).
+            </p>
+          )}
+
+          {error && <p className="caption text-destructive">{error}</p>}
+
+          {result && (
+            <div className="space-y-3">
+              <p className="body-text text-foreground">
+                {SOURCE_LABELS[result.source]}: {result.summary.converted} queries
+                {result.dryRun ? `, ${result.summary.ready} new` : `, ${result.summary.imported} imported`}
+                , {result.summary.merged} merged with existing prompts
+                {result.summary.skipped > 0 && `, ${result.summary.skipped} skipped`}
+                {result.summary.truncated > 0 && ` (${result.summary.truncated} lower-traffic queries not included)`}.
+              </p>
+              {!result.dryRun && result.summary.imported > 0 && (
+                <p className="caption text-muted-foreground">Imported prompts show up here with metrics after their next test run.</p>
+              )}
+
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Query</TableHead>
+                    <TableHead>Prompt</TableHead>
+                    <TableHead>Topic / Persona</TableHead>
+                    <TableHead>Type</TableHead>
+                    <TableHead>Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {result.items.map((item, idx) => (
+                    <TableRow key={`${item.query}-${idx}`}>
+                      <TableCell className="text-muted-foreground text-sm">{item.query}</TableCell>
+                      <TableCell className="text-sm">
+                        {item.promptText}
+                        {item.status === 'merged' && item.mergedInto && (
+                          <span className="block caption text-muted-foreground">
+                            {item.reason}: "{item.mergedInto.text}"
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {item.topic.name}
+                        <span className="block caption text-muted-foreground">{item.persona.type}</span>
+                      </TableCell>
+                      <TableCell className="text-sm">{item.queryType}</TableCell>
+                      <TableCell>{statusBadge(item)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+
+              {result.skipped.length > 0 && (
+                <div className="space-y-1">
+                  {result.skipped.slice(0, 20).map(row => (
+                    <p key={`skipped-${row.line}`} className="caption text-muted-foreground">
+                      Line {row.line}: {row.query || '(empty)'} - {row.reason}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <DialogFooter>
+            {result?.dryRun && result.summary.ready > 0 ? (
+              <Button size="sm" onClick={() => runImport(false)} disabled={loading}>
+                {loading ? 'Importing...' : `Import ${result.summary.ready} prompts`}
+              </Button>
+            ) : (
+              <Button size="sm" onClick={() => runImport(true)} disabled={!canPreview || Boolean(result && !result.dryRun)}>
+                {loading ? 'Converting...' : 'Preview'}
+              </Button>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
@@ -0,0 +1,176 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Textarea } from '@/components/ui/textarea'
+import { History, Pencil } from 'lucide-react'
+import apiService from '@/services/api'
+import type { PromptDiffPart, PromptVersion, PromptVersionHistory as VersionHistory } from '@/types/prompts'
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '-'
+
+const authorLabel = (version: PromptVersion) =>
+  version.author?.name || version.author?.email || 'Unknown author'
+
+function DiffText({ parts }: { parts: PromptDiffPart[] }) {
+  return (
+    <p className="text-sm text-foreground">
+      {parts.map((part, index) => {
+        if (part.type === 'added') {
+          return <span key={index} className="bg-green-500/15 text-green-700 dark:text-green-400">{part.text}</span>
+        }
+        if (part.type === 'removed') {
+          return <span key={index} className="bg-red-500/15 text-red-700 dark:text-red-400 line-through">{part.text}</span>
+        }
+        return <span key={index}>{part.text}</span>
+      })}
+    </p>
+  )
+}
+
+interface PromptVersionHistoryProps {
+  promptId: string
+  // Called after an edit created a new version
+  onUpdated?: (version: PromptVersion) => void
+}
+
+/**
+ * Edit a prompt and browse its versions: who changed what and when, the word
+ * diff of each edit, and how each version performed in tests
+ */
+export function PromptVersionHistory({ promptId, onUpdated }: PromptVersionHistoryProps) {
+  const [history, setHistory] = useState<VersionHistory | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState('')
+  const [changeNote, setChangeNote] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await apiService.getPromptVersions(promptId)
+      if (response.success) {
+        setHistory(response.data)
+      }
+    } catch (err) {
+      console.error('❌ [PromptVersionHistory] Error fetching versions:', err)
+      setError(err instanceof Error ? err.message : 'Failed to load version history')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    setEditing(false)
+    fetchHistory()
+  }, [promptId])
+
+  const currentText = history?.versions.find(v => v.isCurrent)?.text || ''
+
+  const startEditing = () => {
+    setDraft(currentText)
+    setChangeNote('')
+    setEditing(true)
+  }
+
+  const saveEdit = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+      const response = await apiService.updatePrompt(promptId, {
+        text: draft.trim(),
+        ...(changeNote.trim() ? { changeNote: changeNote.trim() } : {}),
+      })
+      if (response.success) {
+        setEditing(false)
+        await fetchHistory()
+        if (response.version) onUpdated?.(response.version)
+      }
+    } catch (err) {
+      console.error('❌ [PromptVersionHistory] Error saving prompt:', err)
+      setError(err instanceof Error ? err.message : 'Failed to save prompt')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="p-4 bg-muted/50 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold text-sm flex items-center gap-2">
+          <History className="w-4 h-4" />
+          Versions
+          {history && <span className="text-xs text-muted-foreground font-normal">(current: v{history.currentVersion})</span>}
+        </h4>
+        {!editing && history && (
+          <Button variant="outline" size="sm" className="h-7 gap-1 text-xs" onClick={startEditing}>
+            <Pencil className="w-3 h-3" />
+            Edit prompt
+          </Button>
+        )}
+      </div>
+
+      {editing && (
+        <div className="space-y-2">
+          <Textarea value={draft} onChange={(e) => setDraft(e.target.value)} rows={3} />
+          <Input
+            value={changeNote}
+            onChange={(e) => setChangeNote(e.target.value)}
+            placeholder="What changed and why (optional)"
+            maxLength={500}
+          />
+          <p className="caption text-muted-foreground">
+            Saving creates a new version. Earlier results stay linked to the version they ran against.
+          </p>
+          <div className="flex gap-2 justify-end">
+            <Button variant="ghost" size="sm" onClick={() => setEditing(false)} disabled={saving}>Cancel</Button>
+            <Button size="sm" onClick={saveEdit} disabled={saving || !draft.trim() || draft.trim() === currentText}>
+              {saving ? 'Saving...' : 'Save new version'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="caption text-destructive">{error}</p>}
+
+      {loading && !history ? (
+        <p className="caption text-muted-foreground">Loading versions...</p>
+      ) : history && (
+        <div className="space-y-3">
+          {history.versions.map(version => (
+            <div key={version.version} className="border-l-2 border-border pl-3 space-y-1">
+              <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+                <Badge variant={version.isCurrent ? 'default' : 'outline'} className="text-xs">v{version.version}</Badge>
+                <span>{authorLabel(version)}</span>
+                <span>•</span>
+                <span>{formatDate(version.createdAt)}</span>
+                {version.version > 1 && (
+                  <span>
+                    • <span className="text-green-600">+{version.diffSummary.added}</span>{' '}
+                    <span className="text-red-600">-{version.diffSummary.removed}</span> words
+                  </span>
+                )}
+                {version.changedFields.filter(field => field !== 'text').map(field => (
+                  <Badge key={field} variant="secondary" className="text-xs">{field} changed</Badge>
+                ))}
+              </div>
+              {version.version > 1 ? <DiffText parts={version.diff} /> : <p className="text-sm text-foreground">{version.text}</p>}
+              {version.changeNote && <p className="caption text-muted-foreground italic">{version.changeNote}</p>}
+              <p className="caption text-muted-foreground">
+                {version.tests
+                  ? `${version.tests.totalTests} tests, brand mentioned in ${version.tests.brandMentionRate}% (${formatDate(version.tests.firstTestedAt)} - ${formatDate(version.tests.lastTestedAt)})`
+                  : 'Not tested yet'}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
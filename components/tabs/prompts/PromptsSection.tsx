@@ -14,6 +14,8 @@ import { Textarea } from '@/components/ui/textarea'
 import { Checkbox } from '@/components/ui/checkbox'
 import { useRouter } from 'next/navigation'
 import { PromptBuilderModal } from './PromptBuilderModal'
+import { ImportQueriesDialog } from './ImportQueriesDialog'
+import { PromptVersionHistory } from './PromptVersionHistory'
 import apiService from '@/services/api'
 import dashboardService from '@/services/dashboardService'
 import { useSkeletonLoadingWithData } from '@/components/ui/with-skeleton-loading'
@@ -47,9 +49,12 @@ import {
   ChevronsUpDown,
   Layers,
   Flag,
-  FileText
+  FileText,
+  Merge,
+  History
 } from 'lucide-react'
 import { useState, useEffect } from 'react'
+import type { MergedDuplicate } from '@/types/prompts'
 
 // Data types for prompts dashboard
 interface PromptMetrics {
@@ -73,6 +78,9 @@ interface Prompt {
   text: string
   queryType: string
   metrics: PromptMetrics
+  mergedDuplicates?: MergedDuplicate[] // Generated prompts merged into this one as near-duplicates
+  currentVersion?: number
+  earlierVersionTests?: number // Tests that ran against a version before the current one
 }
 
 interface TopicPersonaMetrics {
@@ -754,7 +762,10 @@ function PromptsSection({ onToggleFullScreen, filterContext, dashboardData }: Pr
             citationShareRank: prompt.metrics.citationShareRank
           },
           // Pass through competitor data from backend
-          mentionedCompetitors: (prompt as any).mentionedCompetitors || []
+          mentionedCompetitors: (prompt as any).mentionedCompetitors || [],
+          mergedDuplicates: prompt.mergedDuplicates || [],
+          currentVersion: prompt.currentVersion || 1,
+          earlierVersionTests: prompt.earlierVersionTests || 0
         })),
         visibilityRank: item.metrics.visibilityRank != null ? `#${item.metrics.visibilityRank}` : '-',
         visibilityScore: isMetricNumber(item.metrics.visibilityScore) ? `${item.metrics.visibilityScore}%` : '-',
@@ -1541,13 +1552,18 @@ function PromptsSection({ onToggleFullScreen, filterContext, dashboardData }: Pr
           )}
         </div>
         
-        {/* Modify Prompts Button */}
-        <PromptBuilderModal onGenerate={() => setShowPromptBuilder(true)}>
-          <Button variant="outline" size="sm" className="gap-2">
-            <Settings className="w-4 h-4" />
-            Modify Prompts
-            </Button>
-        </PromptBuilderModal>
+        <div className="flex items-center gap-2">
+          {/* Import Search Queries Button */}
+          <ImportQueriesDialog urlAnalysisId={filterContext?.selectedAnalysisId ?? null} />
+
+          {/* Modify Prompts Button */}
+          <PromptBuilderModal onGenerate={() => setShowPromptBuilder(true)}>
+            <Button variant="outline" size="sm" className="gap-2">
+              <Settings className="w-4 h-4" />
+              Modify Prompts
+              </Button>
+          </PromptBuilderModal>
+        </div>
       </div>
 
       {/* Main Content Box */}
@@ -1816,6 +1832,44 @@ function PromptsSection({ onToggleFullScreen, filterContext, dashboardData }: Pr
                             <TableCell></TableCell>
                             <TableCell className="text-muted-foreground">
                               <span className="text-sm">{prompt.text || prompt.prompt}</span>
+                              {prompt.mergedDuplicates?.length > 0 && (
+                                <Tooltip>
+                                  <TooltipTrigger asChild>
+                                    <Badge variant="outline" className="ml-2 gap-1 text-xs font-normal">
+                                      <Merge className="h-3 w-3" />
+                                      {prompt.mergedDuplicates.length} merged
+                                    </Badge>
+                                  </TooltipTrigger>
+                                  <TooltipContent className="max-w-sm">
+                                    <p className="font-medium mb-1">Near-duplicates merged into this prompt</p>
+                                    <div className="space-y-1">
+                                      {prompt.mergedDuplicates.map((merged: MergedDuplicate, idx: number) => (
+                                        <p key={`prompt-${prompt.id}-merged-${idx}`}>
+                                          "{merged.text}" <span className="text-muted-foreground">({merged.reason})</span>
+                                        </p>
+                                      ))}
+                                    </div>
+                                  </TooltipContent>
+                                </Tooltip>
+                              )}
+                              {prompt.currentVersion > 1 && (
+                                <Tooltip>
+                                  <TooltipTrigger asChild>
+                                    <Badge variant="outline" className="ml-2 gap-1 text-xs font-normal">
+                                      <History className="h-3 w-3" />
+                                      v{prompt.currentVersion}
+                                    </Badge>
+                                  </TooltipTrigger>
+                                  <TooltipContent className="max-w-sm">
+                                    <p>
+                                      Edited {prompt.currentVersion - 1} {prompt.currentVersion === 2 ? 'time' : 'times'}.
+                                      {prompt.earlierVersionTests > 0
+                                        ? ` ${prompt.earlierVersionTests} of ${prompt.metrics.totalTests} tests ran against an earlier version.`
+                                        : ' All tests ran against the current version.'}
+                                    </p>
+                                  </TooltipContent>
+                                </Tooltip>
+                              )}
                             </TableCell>
                             <TableCell className="text-center">
                               {/* Brand favicons for this specific prompt (includes both user's brand and competitors) */}
@@ -2029,6 +2083,14 @@ function PromptsSection({ onToggleFullScreen, filterContext, dashboardData }: Pr
                                 )}
                               </div>
 
+                              {/* Version history */}
+                              {selectedPrompt.promptId && (
+                                <PromptVersionHistory
+                                  promptId={selectedPrompt.promptId}
+                                  onUpdated={() => fetchPromptDetails(selectedPrompt.promptId)}
+                                />
+                              )}
+
 
                               {/* LLM Answers */}
                               <div className="p-4 bg-muted/50 rounded-lg">
@@ -6,12 +6,14 @@ export { SentimentBreakdownSection } from './SentimentBreakdownSection'
 import { UnifiedSentimentSection } from './UnifiedSentimentSection'
 import { SentimentBreakdownSection } from './SentimentBreakdownSection'
 import { UnifiedPerformanceInsightsSection } from '../visibility/UnifiedPerformanceInsightsSection'
+import { UnifiedTrendsSection } from '../visibility/UnifiedTrendsSection'
 
 interface SentimentTabProps {
   filterContext?: {
     selectedTopics: string[]
     selectedPersonas: string[]
     selectedPlatforms: string[]
+    selectedLocales?: string[]
     selectedAnalysisId?: string | null
   }
   dashboardData?: any
@@ -21,6 +23,14 @@ function SentimentTab({ filterContext, dashboardData }: SentimentTabProps) {
   return (
     <div className="space-y-6">
       <UnifiedSentimentSection filterContext={filterContext} dashboardData={dashboardData} />
+
+      {/* Sentiment Trends Section */}
+      <UnifiedTrendsSection
+        filterContext={filterContext}
+        metrics={['sentimentScore', 'sentimentShare']}
+        title="Sentiment Trends"
+        description="How sentiment toward your brand and competitors has changed over time"
+      />
       
       {/* Sentiment Breakdown Section */}
       <SentimentBreakdownSection filterContext={filterContext} dashboardData={dashboardData} />
@@ -17,6 +17,7 @@ import { useSkeletonLoadingWithData } from '@/components/ui/with-skeleton-loadin
 import { SkeletonWrapper } from '@/components/ui/skeleton-wrapper'
 import { UnifiedCardSkeleton } from '@/components/ui/unified-card-skeleton'
 import { formatToTwoDecimals } from '@/lib/numberUtils'
+import { ConfidenceBand } from '@/components/metrics/ConfidenceBand'
 import { truncateForDisplay, truncateForChart, truncateForRanking, truncateForTooltip } from '@/lib/textUtils'
 
 // Helper functions for trend indicators
@@ -136,7 +137,7 @@ function UnifiedAveragePositionSection({ filterContext, dashboardData }: Unified
         rank: 0, // Will be assigned after sorting
         name: item.name,
         isOwner: item.isOwner || competitorData?.isOwner || false,
-        rankChange: 0, // TODO: Calculate from historical data
+        rankChange: dashboardData?.metrics?.averagePosition?.data?.find((d: any) => d.name === item.name)?.rankChange || 0, // Positions gained since the previous snapshot
         score: item.score || 0, // Use same score as chart data
         // ✅ FIX: Use URL from chart data (which comes from backend's data array)
         // chartData already includes url from item.url (backend provides it)
@@ -398,6 +399,13 @@ function UnifiedAveragePositionSection({ filterContext, dashboardData }: Unified
               <div className="metric text-xl font-semibold text-foreground">
                 {formatToTwoDecimals(userBrandValue)}
               </div>
+              <ConfidenceBand
+                value={userBrandValue}
+                interval={dashboardData?.metrics?.averagePosition?.interval}
+                min={1}
+                max={Math.max(5, Math.ceil(dashboardData?.metrics?.averagePosition?.interval?.upper || 0))}
+                format={(v) => formatToTwoDecimals(v)}
+              />
             </div>
 
             {/* Contained Chart */}
@@ -110,7 +110,7 @@ function UnifiedDepthOfMentionSection({ filterContext, dashboardData }: UnifiedD
         rank: 0, // Will be assigned after sorting
         name: item.name,
         isOwner: item.isOwner || competitorData?.isOwner || false,
-        rankChange: 0, // TODO: Calculate from historical data
+        rankChange: dashboardData?.metrics?.depthOfMention?.data?.find((d: any) => d.name === item.name)?.rankChange || 0, // Positions gained since the previous snapshot
         score: item.score || 0, // Use same score as chart data
         // ✅ FIX: Use URL from chart data (which comes from backend's data array)
         // chartData already includes url from item.url (backend provides it)
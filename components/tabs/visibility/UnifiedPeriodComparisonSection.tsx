@@ -0,0 +1,356 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import type { DateRange } from 'react-day-picker'
+import { format, subDays } from 'date-fns'
+import { UnifiedCard, UnifiedCardContent } from '@/components/ui/unified-card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Calendar } from '@/components/ui/calendar'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover'
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip'
+import { ArrowDown, ArrowUp, Calendar as CalendarIcon, ChevronDown, Info, Minus } from 'lucide-react'
+import { formatToTwoDecimals } from '@/lib/numberUtils'
+import apiService from '@/services/api'
+import type { BrandPeriodComparison, ChangeSignificance, ComparisonMetric, ComparisonRank, PeriodComparisonData, PromptMentionChange } from '@/types/dashboard'
+
+const METRIC_CONFIG: Record<ComparisonMetric, { label: string; unit: string; rank: ComparisonRank | null; reversed?: boolean }> = {
+  visibilityScore: { label: 'Visibility Score', unit: '%', rank: 'visibilityRank' },
+  totalMentions: { label: 'Mentions', unit: '', rank: 'mentionRank' },
+  shareOfVoice: { label: 'Share of Voice', unit: '%', rank: 'shareOfVoiceRank' },
+  avgPosition: { label: 'Average Position', unit: '', rank: 'avgPositionRank', reversed: true }, // Lower is better
+  depthOfMention: { label: 'Depth of Mention', unit: '%', rank: 'depthRank' },
+  citationShare: { label: 'Citation Share', unit: '%', rank: 'citationShareRank' },
+  sentimentScore: { label: 'Sentiment Score', unit: '', rank: null },
+  sentimentShare: { label: 'Positive Sentiment', unit: '%', rank: null },
+}
+
+const toDateParam = (date: Date) => format(date, 'yyyy-MM-dd')
+
+const formatRange = (range?: DateRange) =>
+  range?.from
+    ? `${format(range.from, 'MMM d')} – ${format(range.to || range.from, 'MMM d, yyyy')}`
+    : 'Select dates'
+
+const formatWindow = (window: { dateFrom: string; dateTo: string }) =>
+  formatRange({ from: new Date(window.dateFrom), to: new Date(window.dateTo) })
+
+function DeltaValue({ delta, unit, reversed }: { delta: number | null; unit: string; reversed?: boolean }) {
+  if (delta === null) return <span className="text-muted-foreground">—</span>
+  if (delta === 0) return <span className="text-muted-foreground">0{unit}</span>
+
+  const improved = reversed ? delta < 0 : delta > 0
+  return (
+    <span className={improved ? 'text-green-600' : 'text-red-600'}>
+      {delta > 0 ? '+' : ''}{formatToTwoDecimals(delta)}{unit}
+    </span>
+  )
+}
+
+function SignificanceBadge({ significance }: { significance: ChangeSignificance | null }) {
+  if (!significance) return null
+
+  return (
+    <Badge
+      variant="outline"
+      className={`caption h-5 px-1.5 ${significance.significant ? 'border-primary/60 text-foreground' : 'text-muted-foreground'}`}
+      title={`p = ${significance.pValue}`}
+    >
+      {significance.significant ? 'Significant' : 'Noise'}
+    </Badge>
+  )
+}
+
+function RankChange({ change }: { change: number | null }) {
+  if (change === null) return <span className="text-muted-foreground">—</span>
+  if (change === 0) return <Minus className="w-3 h-3 text-muted-foreground inline" />
+
+  return change > 0 ? (
+    <span className="inline-flex items-center gap-0.5 text-green-600">
+      <ArrowUp className="w-3 h-3" />{change}
+    </span>
+  ) : (
+    <span className="inline-flex items-center gap-0.5 text-red-600">
+      <ArrowDown className="w-3 h-3" />{Math.abs(change)}
+    </span>
+  )
+}
+
+function DateRangePicker({ label, range, onChange, placeholder }: {
+  label: string
+  range?: DateRange
+  onChange: (range?: DateRange) => void
+  placeholder?: string
+}) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="caption text-muted-foreground">{label}</span>
+      <Popover>
+        <PopoverTrigger asChild>
+          <Button variant="outline" size="sm" className="body-text">
+            <CalendarIcon className="mr-2 h-3 w-3" />
+            {range?.from ? formatRange(range) : placeholder || 'Select dates'}
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent className="w-auto p-0" align="end">
+          <Calendar
+            mode="range"
+            selected={range}
+            onSelect={onChange}
+            numberOfMonths={2}
+            disabled={{ after: new Date() }}
+            className="rounded-md border"
+          />
+        </PopoverContent>
+      </Popover>
+    </div>
+  )
+}
+
+function PromptChangeList({ title, changes, emptyText }: { title: string; changes: PromptMentionChange[]; emptyText: string }) {
+  return (
+    <div className="space-y-2">
+      <h3 className="body-text font-medium text-foreground">{title} ({changes.length})</h3>
+      {changes.length === 0 ? (
+        <p className="caption text-muted-foreground">{emptyText}</p>
+      ) : (
+        <div className="space-y-2 max-h-64 overflow-y-auto">
+          {changes.map(change => (
+            <div key={change.promptId} className="rounded-md border border-border/60 p-3">
+              <p className="body-text text-foreground">{change.text || change.title || 'Deleted prompt'}</p>
+              <p className="caption text-muted-foreground mt-1">
+                Previously mentioned on: {change.previousPlatforms.length > 0 ? change.previousPlatforms.join(', ') : 'none'}
+                {' · '}
+                Now: {change.currentPlatforms.length > 0 ? change.currentPlatforms.join(', ') : 'none'}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+interface UnifiedPeriodComparisonSectionProps {
+  filterContext?: {
+    selectedTopics: string[]
+    selectedPersonas: string[]
+    selectedPlatforms: string[]
+    selectedLocales?: string[]
+    selectedAnalysisId?: string | null
+  }
+}
+
+function UnifiedPeriodComparisonSection({ filterContext }: UnifiedPeriodComparisonSectionProps) {
+  const [currentRange, setCurrentRange] = useState<DateRange | undefined>({ from: subDays(new Date(), 6), to: new Date() })
+  // Left empty to compare against the same-length period right before the current one
+  const [previousRange, setPreviousRange] = useState<DateRange | undefined>()
+  const [selectedMetric, setSelectedMetric] = useState<ComparisonMetric>('visibilityScore')
+  const [comparison, setComparison] = useState<PeriodComparisonData | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const selectedAnalysisId = filterContext?.selectedAnalysisId
+  const selectedTopics = filterContext?.selectedTopics || []
+  const selectedPersonas = filterContext?.selectedPersonas || []
+  const selectedPlatforms = filterContext?.selectedPlatforms || []
+  const selectedLocales = filterContext?.selectedLocales || []
+
+  const currentFrom = currentRange?.from ? toDateParam(currentRange.from) : null
+  const currentTo = currentRange?.from ? toDateParam(currentRange.to || currentRange.from) : null
+  const previousFrom = previousRange?.from ? toDateParam(previousRange.from) : undefined
+  const previousTo = previousRange?.from ? toDateParam(previousRange.to || previousRange.from) : undefined
+
+  useEffect(() => {
+    if (!currentFrom || !currentTo) return
+    let cancelled = false
+
+    const fetchComparison = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const response = await apiService.getDashboardComparison({
+          urlAnalysisId: selectedAnalysisId || undefined,
+          currentFrom,
+          currentTo,
+          previousFrom,
+          previousTo,
+          topics: selectedTopics,
+          personas: selectedPersonas,
+          platforms: selectedPlatforms,
+          locales: selectedLocales,
+        })
+        if (!cancelled && response.success) {
+          setComparison(response.data)
+        }
+      } catch (err) {
+        console.error('❌ [PeriodComparison] Error fetching comparison:', err)
+        if (!cancelled) setError('Failed to compare periods')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchComparison()
+    return () => {
+      cancelled = true
+    }
+  }, [selectedAnalysisId, currentFrom, currentTo, previousFrom, previousTo, selectedTopics.join('|'), selectedPersonas.join('|'), selectedPlatforms.join('|'), selectedLocales.join('|')])
+
+  const metricConfig = METRIC_CONFIG[selectedMetric]
+  const hasData = !!comparison && (comparison.current.totalResponses > 0 || comparison.previous.totalResponses > 0)
+
+  const renderBrandRow = (brand: BrandPeriodComparison) => {
+    const values = brand.metrics[selectedMetric]
+    const rank = metricConfig.rank ? brand.rankChanges[metricConfig.rank] : null
+
+    return (
+      <TableRow key={brand.brandName} className={brand.isOwner ? 'bg-primary/5' : undefined}>
+        <TableCell className="py-3 px-3">
+          <div className="flex items-center gap-2">
+            <span className={`body-text ${brand.isOwner ? 'font-medium text-foreground' : 'text-foreground'}`}>{brand.brandName}</span>
+            {brand.isOwner && <Badge variant="secondary" className="text-xs">You</Badge>}
+          </div>
+        </TableCell>
+        <TableCell className="py-3 px-3 text-center body-text">
+          {values.previous !== null ? `${formatToTwoDecimals(values.previous)}${metricConfig.unit}` : '—'}
+        </TableCell>
+        <TableCell className="py-3 px-3 text-center body-text">
+          {values.current !== null ? `${formatToTwoDecimals(values.current)}${metricConfig.unit}` : '—'}
+        </TableCell>
+        <TableCell className="py-3 px-3 text-center body-text">
+          <div className="flex items-center justify-center gap-2">
+            <DeltaValue delta={values.delta} unit={metricConfig.unit} reversed={metricConfig.reversed} />
+            {values.delta !== null && values.delta !== 0 && <SignificanceBadge significance={values.significance} />}
+          </div>
+        </TableCell>
+        <TableCell className="py-3 px-3 text-center body-text">
+          {rank ? (
+            <div className="flex items-center justify-center gap-2">
+              <span>{rank.current !== null ? `#${rank.current}` : '—'}</span>
+              <RankChange change={rank.change} />
+            </div>
+          ) : '—'}
+        </TableCell>
+      </TableRow>
+    )
+  }
+
+  return (
+    <div className="w-full">
+      <UnifiedCard className="w-full">
+        <UnifiedCardContent className="p-6">
+          {/* Header */}
+          <div className="flex items-start justify-between flex-wrap gap-4 mb-6">
+            <div>
+              <div className="flex items-center gap-2">
+                <h2 className="text-foreground">Period Comparison</h2>
+                <TooltipProvider>
+                  <Tooltip>
+                    <TooltipTrigger asChild>
+                      <Info className="w-4 h-4 text-muted-foreground cursor-help hover:text-foreground transition-colors" />
+                    </TooltipTrigger>
+                    <TooltipContent side="top" className="max-w-xs">
+                      <p className="text-sm leading-relaxed">
+                        Both periods are scored from the prompt tests run in them. Leave the previous period empty to compare against the same number of days right before. Changes in visibility, share of voice and position are marked significant when they are unlikely to be sampling noise (p &lt; 0.05).
+                      </p>
+                    </TooltipContent>
+                  </Tooltip>
+                </TooltipProvider>
+              </div>
+              <p className="body-text text-muted-foreground mt-1">What changed between two periods</p>
+            </div>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              <DateRangePicker label="Current" range={currentRange} onChange={setCurrentRange} />
+              <DateRangePicker
+                label="vs"
+                range={previousRange}
+                onChange={setPreviousRange}
+                placeholder={comparison ? formatWindow(comparison.previous) : 'Previous period'}
+              />
+              {previousRange && (
+                <Button variant="ghost" size="sm" className="caption" onClick={() => setPreviousRange(undefined)}>
+                  Reset
+                </Button>
+              )}
+
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="outline" size="sm" className="body-text">
+                    {metricConfig.label}
+                    <ChevronDown className="ml-2 h-3 w-3" />
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end">
+                  {(Object.keys(METRIC_CONFIG) as ComparisonMetric[]).map(metric => (
+                    <DropdownMenuItem key={metric} onClick={() => setSelectedMetric(metric)}>
+                      {METRIC_CONFIG[metric].label}
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            </div>
+          </div>
+
+          {loading && !comparison ? (
+            <div className="h-40 flex items-center justify-center caption text-muted-foreground">Comparing periods...</div>
+          ) : error ? (
+            <div className="h-40 flex items-center justify-center caption text-muted-foreground">{error}</div>
+          ) : !hasData ? (
+            <div className="h-40 flex items-center justify-center caption text-muted-foreground">
+              No prompt tests in either period. Schedule recurring runs to compare over time.
+            </div>
+          ) : comparison && (
+            <div className="space-y-6">
+              {/* Brand deltas */}
+              <div className="rounded-lg border border-border/60 overflow-hidden">
+                <Table>
+                  <TableHeader>
+                    <TableRow className="bg-muted/30">
+                      <TableHead className="py-3 px-3 font-semibold text-left">Brand</TableHead>
+                      <TableHead className="py-3 px-3 font-semibold text-center">
+                        Previous <span className="caption text-muted-foreground font-normal">({comparison.previous.totalResponses} responses)</span>
+                      </TableHead>
+                      <TableHead className="py-3 px-3 font-semibold text-center">
+                        Current <span className="caption text-muted-foreground font-normal">({comparison.current.totalResponses} responses)</span>
+                      </TableHead>
+                      <TableHead className="py-3 px-3 font-semibold text-center">Change</TableHead>
+                      <TableHead className="py-3 px-3 font-semibold text-center">Rank</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {comparison.brands.map(renderBrandRow)}
+                  </TableBody>
+                </Table>
+              </div>
+
+              {/* Prompts that flipped */}
+              <div>
+                <p className="caption text-muted-foreground mb-3">
+                  {comparison.promptChanges.comparedPrompts} prompts were tested in both periods
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <PromptChangeList
+                    title="No longer mentioned"
+                    changes={comparison.promptChanges.lost}
+                    emptyText={`No prompts stopped mentioning ${comparison.userBrandName}.`}
+                  />
+                  <PromptChangeList
+                    title="Newly mentioned"
+                    changes={comparison.promptChanges.gained}
+                    emptyText={`No prompts started mentioning ${comparison.userBrandName}.`}
+                  />
+                </div>
+              </div>
+            </div>
+          )}
+        </UnifiedCardContent>
+      </UnifiedCard>
+    </div>
+  )
+}
+
+export { UnifiedPeriodComparisonSection }
@@ -0,0 +1,305 @@
+'use client'
+
+import { useState, useEffect, useMemo } from 'react'
+import { UnifiedCard, UnifiedCardContent } from '@/components/ui/unified-card'
+import { Button } from '@/components/ui/button'
+import { Switch } from '@/components/ui/switch'
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu'
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip'
+import { ChevronDown, Info } from 'lucide-react'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, ResponsiveContainer, ReferenceLine, Tooltip as RechartsTooltip } from 'recharts'
+import { formatToTwoDecimals } from '@/lib/numberUtils'
+import { truncateForChart } from '@/lib/textUtils'
+import apiService from '@/services/api'
+import type { TrendBucket, TrendMetric, TrendsData } from '@/types/dashboard'
+
+// Owner brand is always blue, competitors take the rest of the palette in order
+const OWNER_COLOR = '#3B82F6'
+const COMPETITOR_COLORS = ['#EF4444', '#10B981', '#F59E0B', '#8B5CF6', '#06B6D4', '#F97316', '#EC4899', '#84CC16', '#6366F1']
+
+const METRIC_CONFIG: Record<TrendMetric, { label: string; unit: string; reversed?: boolean }> = {
+  visibilityScore: { label: 'Visibility Score', unit: '%' },
+  shareOfVoice: { label: 'Share of Voice', unit: '%' },
+  avgPosition: { label: 'Average Position', unit: '', reversed: true }, // Lower is better
+  depthOfMention: { label: 'Depth of Mention', unit: '%' },
+  citationShare: { label: 'Citation Share', unit: '%' },
+  sentimentScore: { label: 'Sentiment Score', unit: '' },
+  sentimentShare: { label: 'Positive Sentiment', unit: '%' },
+}
+
+const BUCKET_LABELS: Record<TrendBucket, string> = {
+  day: 'Daily',
+  week: 'Weekly',
+}
+
+const formatBucketDate = (date: string) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })
+
+interface UnifiedTrendsSectionProps {
+  filterContext?: {
+    selectedTopics: string[]
+    selectedPersonas: string[]
+    selectedPlatforms: string[]
+    selectedLocales?: string[]
+    selectedAnalysisId?: string | null
+  }
+  metrics: TrendMetric[]
+  title?: string
+  description?: string
+}
+
+function UnifiedTrendsSection({
+  filterContext,
+  metrics,
+  title = 'Trends',
+  description = 'How your brand and competitors have moved over time'
+}: UnifiedTrendsSectionProps) {
+  const [selectedMetric, setSelectedMetric] = useState<TrendMetric>(metrics[0])
+  const [bucket, setBucket] = useState<TrendBucket>('day')
+  const [showCompetitors, setShowCompetitors] = useState(true)
+  // Only count tests of each prompt's current version, so edited prompts don't shift the line
+  const [currentVersionsOnly, setCurrentVersionsOnly] = useState(false)
+  const [trends, setTrends] = useState<TrendsData | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const selectedAnalysisId = filterContext?.selectedAnalysisId
+  const selectedTopics = filterContext?.selectedTopics || []
+  const selectedPersonas = filterContext?.selectedPersonas || []
+  const selectedPlatforms = filterContext?.selectedPlatforms || []
+  const selectedLocales = filterContext?.selectedLocales || []
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchTrends = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const response = await apiService.getDashboardTrends({
+          urlAnalysisId: selectedAnalysisId || undefined,
+          bucket,
+          topics: selectedTopics,
+          personas: selectedPersonas,
+          platforms: selectedPlatforms,
+          locales: selectedLocales,
+          promptVersions: currentVersionsOnly ? 'current' : 'all',
+        })
+        if (!cancelled && response.success) {
+          setTrends(response.data)
+        }
+      } catch (err) {
+        console.error('❌ [Trends] Error fetching trends:', err)
+        if (!cancelled) setError('Failed to load trends')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchTrends()
+    return () => {
+      cancelled = true
+    }
+    // Arrays are compared by content so a re-render with the same filters doesn't refetch
+  }, [selectedAnalysisId, bucket, currentVersionsOnly, selectedTopics.join('|'), selectedPersonas.join('|'), selectedPlatforms.join('|'), selectedLocales.join('|')])
+
+  const visibleSeries = useMemo(() => {
+    if (!trends) return []
+    const series = trends.series.map((s, index) => ({
+      ...s,
+      color: s.isOwner ? OWNER_COLOR : COMPETITOR_COLORS[(index - 1 + COMPETITOR_COLORS.length) % COMPETITOR_COLORS.length],
+    }))
+    return showCompetitors ? series : series.filter(s => s.isOwner)
+  }, [trends, showCompetitors])
+
+  // Pivot per-brand series into one row per bucket for recharts
+  const chartData = useMemo(() => {
+    if (!trends) return []
+    return trends.buckets.map((b, index) => {
+      const row: Record<string, string | number | null> = { date: b.date }
+      visibleSeries.forEach(s => {
+        row[s.brandName] = s.points[index]?.[selectedMetric] ?? null
+      })
+      return row
+    })
+  }, [trends, visibleSeries, selectedMetric])
+
+  const hasData = !!trends && trends.buckets.some(b => b.totalResponses > 0)
+  const editedBuckets = trends ? trends.buckets.filter(b => b.promptEdits > 0) : []
+  const metricConfig = METRIC_CONFIG[selectedMetric]
+
+  return (
+    <div className="w-full">
+      <UnifiedCard className="w-full">
+        <UnifiedCardContent className="p-6">
+          {/* Header */}
+          <div className="flex items-start justify-between mb-6">
+            <div>
+              <div className="flex items-center gap-2">
+                <h2 className="text-foreground">{title}</h2>
+                <TooltipProvider>
+                  <Tooltip>
+                    <TooltipTrigger asChild>
+                      <Info className="w-4 h-4 text-muted-foreground cursor-help hover:text-foreground transition-colors" />
+                    </TooltipTrigger>
+                    <TooltipContent side="top" className="max-w-xs">
+                      <p className="text-sm leading-relaxed">
+                        Each point is calculated from the prompt tests run in that {bucket === 'day' ? 'day' : 'week'}. Periods with no tests are skipped.
+                      </p>
+                    </TooltipContent>
+                  </Tooltip>
+                </TooltipProvider>
+              </div>
+              <p className="body-text text-muted-foreground mt-1">{description}</p>
+            </div>
+
+            <div className="flex items-center gap-3">
+              <TooltipProvider>
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <div className="flex items-center gap-2">
+                      <Switch checked={currentVersionsOnly} onCheckedChange={setCurrentVersionsOnly} id="trends-current-versions" />
+                      <label htmlFor="trends-current-versions" className="caption text-muted-foreground cursor-pointer">
+                        Latest prompt versions
+                      </label>
+                    </div>
+                  </TooltipTrigger>
+                  <TooltipContent side="top" className="max-w-xs">
+                    <p className="text-sm leading-relaxed">
+                      Leave out results from earlier versions of edited prompts. Dashed lines mark periods where prompts were edited.
+                    </p>
+                  </TooltipContent>
+                </Tooltip>
+              </TooltipProvider>
+
+              <div className="flex items-center gap-2">
+                <Switch checked={showCompetitors} onCheckedChange={setShowCompetitors} id="trends-competitors" />
+                <label htmlFor="trends-competitors" className="caption text-muted-foreground cursor-pointer">
+                  Competitors
+                </label>
+              </div>
+
+              {metrics.length > 1 && (
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <Button variant="outline" size="sm" className="body-text">
+                      {metricConfig.label}
+                      <ChevronDown className="ml-2 h-3 w-3" />
+                    </Button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent align="end">
+                    {metrics.map(metric => (
+                      <DropdownMenuItem key={metric} onClick={() => setSelectedMetric(metric)}>
+                        {METRIC_CONFIG[metric].label}
+                      </DropdownMenuItem>
+                    ))}
+                  </DropdownMenuContent>
+                </DropdownMenu>
+              )}
+
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="outline" size="sm" className="body-text">
+                    {BUCKET_LABELS[bucket]}
+                    <ChevronDown className="ml-2 h-3 w-3" />
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end">
+                  {(Object.keys(BUCKET_LABELS) as TrendBucket[]).map(b => (
+                    <DropdownMenuItem key={b} onClick={() => setBucket(b)}>
+                      {BUCKET_LABELS[b]}
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            </div>
+          </div>
+
+          {/* Chart */}
+          <div className="relative h-72 bg-muted/30 rounded-lg p-4">
+            {loading && !trends ? (
+              <div className="h-full flex items-center justify-center caption text-muted-foreground">Loading trends...</div>
+            ) : error ? (
+              <div className="h-full flex items-center justify-center caption text-muted-foreground">{error}</div>
+            ) : !hasData ? (
+              <div className="h-full flex items-center justify-center caption text-muted-foreground">
+                No prompt tests in this period yet. Schedule recurring runs to build up a trend.
+              </div>
+            ) : (
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData} margin={{ top: 10, left: 0, right: 12, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
+                  <XAxis
+                    dataKey="date"
+                    tickLine={false}
+                    axisLine={false}
+                    tickMargin={8}
+                    tickFormatter={formatBucketDate}
+                    tick={{ fontSize: 12 }}
+                  />
+                  <YAxis
+                    tick={{ fontSize: 12 }}
+                    tickLine={false}
+                    axisLine={false}
+                    reversed={metricConfig.reversed}
+                    tickFormatter={(value: number) => `${value}${metricConfig.unit}`}
+                  />
+                  <RechartsTooltip
+                    labelFormatter={(label: string) => formatBucketDate(label)}
+                    formatter={(value: number, name: string) => [`${formatToTwoDecimals(value)}${metricConfig.unit}`, name]}
+                    contentStyle={{
+                      backgroundColor: 'hsl(var(--card))',
+                      border: '1px solid hsl(var(--border))',
+                      borderRadius: '8px',
+                      fontSize: '12px',
+                      color: 'hsl(var(--foreground))',
+                      boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)'
+                    }}
+                  />
+                  {editedBuckets.map(b => (
+                    <ReferenceLine
+                      key={`edit-${b.date}`}
+                      x={b.date}
+                      stroke="hsl(var(--muted-foreground))"
+                      strokeDasharray="4 4"
+                      label={{ value: `${b.promptEdits} edited`, position: 'insideTopRight', fontSize: 10, fill: 'hsl(var(--muted-foreground))' }}
+                    />
+                  ))}
+                  {visibleSeries.map(s => (
+                    <Line
+                      key={s.brandName}
+                      dataKey={s.brandName}
+                      type="monotone"
+                      stroke={s.color}
+                      strokeWidth={s.isOwner ? 3 : 1.5}
+                      strokeOpacity={s.isOwner ? 1 : 0.8}
+                      dot={{ r: s.isOwner ? 3 : 2 }}
+                      activeDot={{ r: s.isOwner ? 5 : 4 }}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+
+          {/* Legend */}
+          {hasData && (
+            <div className="mt-4 flex flex-wrap gap-4 justify-center">
+              {visibleSeries.map(s => (
+                <div key={s.brandName} className="flex items-center gap-2">
+                  <div className="w-3 h-3 rounded-full" style={{ backgroundColor: s.color }} />
+                  <span className={`caption ${s.isOwner ? 'text-foreground font-medium' : 'text-muted-foreground'}`}>
+                    {truncateForChart(s.brandName)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </UnifiedCardContent>
+      </UnifiedCard>
+    </div>
+  )
+}
+
+export { UnifiedTrendsSection }
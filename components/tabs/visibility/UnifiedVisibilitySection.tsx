@@ -18,6 +18,7 @@ import { useSkeletonLoader } from '@/hooks/useSkeletonLoader'
 import { SkeletonWrapper } from '@/components/ui/skeleton-wrapper'
 import { UnifiedCardSkeleton } from '@/components/ui/unified-card-skeleton'
 import { formatToTwoDecimals, formatPercentage } from '@/lib/numberUtils'
+import { ConfidenceBand } from '@/components/metrics/ConfidenceBand'
 import { truncateForDisplay, truncateForChart, truncateForRanking, truncateForTooltip } from '@/lib/textUtils'
 
 // Helper function to generate trend data from chart data
@@ -419,6 +420,11 @@ function UnifiedVisibilitySection({ filterContext, dashboardData }: UnifiedVisib
                   </Badge>
                 )}
               </div>
+              <ConfidenceBand
+                value={userBrandValue}
+                interval={dashboardData?.metrics?.visibilityScore?.interval}
+                format={formatPercentage}
+              />
             </div>
 
             {/* Contained Chart */}
@@ -5,6 +5,8 @@ export { UnifiedAveragePositionSection } from './UnifiedAveragePositionSection'
 export { UnifiedTopicRankingsSection } from './UnifiedTopicRankingsSection'
 export { UnifiedPersonaRankingsSection } from './UnifiedPersonaRankingsSection'
 export { UnifiedPerformanceInsightsSection } from './UnifiedPerformanceInsightsSection'
+export { UnifiedTrendsSection } from './UnifiedTrendsSection'
+export { UnifiedPeriodComparisonSection } from './UnifiedPeriodComparisonSection'
 
 // Visibility Tab Main Component
 import { UnifiedVisibilitySection } from './UnifiedVisibilitySection'
@@ -13,12 +15,16 @@ import { UnifiedAveragePositionSection } from './UnifiedAveragePositionSection'
 import { UnifiedTopicRankingsSection } from './UnifiedTopicRankingsSection'
 import { UnifiedPersonaRankingsSection } from './UnifiedPersonaRankingsSection'
 import { UnifiedPerformanceInsightsSection } from './UnifiedPerformanceInsightsSection'
+import { UnifiedTrendsSection } from './UnifiedTrendsSection'
+import { UnifiedPeriodComparisonSection } from './UnifiedPeriodComparisonSection'
 
 interface VisibilityTabProps {
   filterContext?: {
     selectedTopics: string[]
     selectedPersonas: string[]
     selectedPlatforms: string[]
+    selectedLocales?: string[]
+    selectedAnalysisId?: string | null
   }
   dashboardData?: any
 }
@@ -29,6 +35,17 @@ export function VisibilityTab({ filterContext, dashboardData }: VisibilityTabPro
       {/* Unified Visibility Score Section */}
       <UnifiedVisibilitySection filterContext={filterContext} dashboardData={dashboardData} />
 
+      {/* Visibility Trends Section */}
+      <UnifiedTrendsSection
+        filterContext={filterContext}
+        metrics={['visibilityScore', 'shareOfVoice', 'avgPosition', 'depthOfMention', 'citationShare']}
+        title="Visibility Trends"
+        description="How your visibility compares to competitors over time"
+      />
+
+      {/* Period Comparison Section */}
+      <UnifiedPeriodComparisonSection filterContext={filterContext} />
+
       {/* Unified Depth of Mention Section */}
       <UnifiedDepthOfMentionSection filterContext={filterContext} dashboardData={dashboardData} />
 
@@ -5,8 +5,10 @@ import apiService from '@/services/api'
 
 interface User {
   id: string
+  _id?: string // the backend sends the user document's _id
   email: string
   access?: boolean
+  isAdmin?: boolean
   profile: {
     firstName: string
     lastName: string
@@ -6,10 +6,12 @@ interface FilterContextType {
   selectedTopics: string[]
   selectedPersonas: string[]
   selectedPlatforms: string[]
+  selectedLocales: string[] // Locale keys, e.g. 'German (Germany)'
   selectedAnalysisId: string | null
   setSelectedTopics: React.Dispatch<React.SetStateAction<string[]>>
   setSelectedPersonas: React.Dispatch<React.SetStateAction<string[]>>
   setSelectedPlatforms: React.Dispatch<React.SetStateAction<string[]>>
+  setSelectedLocales: React.Dispatch<React.SetStateAction<string[]>>
   setSelectedAnalysisId: React.Dispatch<React.SetStateAction<string | null>>
 }
 
@@ -20,6 +22,7 @@ export function FilterProvider({ children }: { children: ReactNode }) {
   const [selectedTopics, setSelectedTopics] = useState<string[]>(['All Topics'])
   const [selectedPersonas, setSelectedPersonas] = useState<string[]>(['All Personas'])
   const [selectedPlatforms, setSelectedPlatforms] = useState<string[]>(['All Platforms'])
+  const [selectedLocales, setSelectedLocales] = useState<string[]>(['All Locales'])
   const [selectedAnalysisId, setSelectedAnalysisIdInternal] = useState<string | null>(() => {
     // Try to load from localStorage on initialization
     if (typeof window !== 'undefined') {
@@ -58,10 +61,12 @@ export function FilterProvider({ children }: { children: ReactNode }) {
       selectedTopics,
       selectedPersonas,
       selectedPlatforms,
+      selectedLocales,
       selectedAnalysisId,
       setSelectedTopics,
       setSelectedPersonas,
       setSelectedPlatforms,
+      setSelectedLocales,
       setSelectedAnalysisId
     }}>
       {children}
@@ -2,9 +2,32 @@ import { classifyError, isRetryableError, getUserFriendlyMessage, sleep, getRetr
 import type {
   ActionablePageContentRequest,
   ActionablePageContentResponse,
+  ActionablePagesResponse,
   ActionableRegenerateContentRequest,
   ActionableRegenerateContentResponse,
+  UrlMappingImportResult,
+  UrlMappingRule,
+  UrlMappingRuleInput,
 } from '@/types/actionables'
+import type { LLMProvider, PromptTestRun, QueuePromptTestRunResponse } from '@/types/promptTesting'
+import type { VisibilitySchedule, CreateScheduleRequest, UpdateScheduleRequest } from '@/types/schedules'
+import type { TrendBucket, TrendsData, PeriodComparisonData } from '@/types/dashboard'
+import type { SpendSummary, SpendLedgerEntry, SpendBudgetStatus, SetSpendBudgetRequest, SpendSource, TestRunEstimate } from '@/types/spend'
+import type { AnalysisLocales, Locale } from '@/types/locales'
+import type {
+  CitationDomainLeaderboard,
+  CitationVerificationSummary,
+  CitationOverrideRule,
+  CitationOverrideRuleInput,
+  CitationReprocessResult,
+} from '@/types/citations'
+import type { ExportDataset, ExportFormat, ExportQuery } from '@/types/exports'
+import type { DigestSettings, UpdateDigestSettingsRequest } from '@/types/digests'
+import type { AlertEvent, AlertRule, AlertRuleInput, AlertWebhook, AlertWebhookInput } from '@/types/alerts'
+import type { ApiKey, CreateApiKeyRequest, CreatedApiKey } from '@/types/apiKeys'
+import type { GA4QueryImportOptions, PromptUpdate, PromptVersion, PromptVersionHistory, PromptVersionScope, QueryImportOptions, QueryImportResult } from '@/types/prompts'
+import type { ClusterGrouping, ClustersResponse, PromoteClusterRequest, PromoteClusterResponse } from '@/types/clusters'
+import type { AdminUser, InviteRole, SharedGA4Property, WorkspaceInvite, WorkspaceMember, WorkspaceRole, WorkspacesResponse, Workspace } from '@/types/workspaces'
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api'
 const DEFAULT_TIMEOUT = 120000 // 120 seconds (2 minutes) - increased for long-running operations
@@ -36,6 +59,7 @@ class ApiService {
     this.token = null
     if (typeof window !== 'undefined') {
       localStorage.removeItem('authToken')
+      localStorage.removeItem('currentWorkspaceId')
     }
   }
 
@@ -48,9 +72,28 @@ class ApiService {
       headers.Authorization = `Bearer ${this.token}`
     }
 
+    // Workspace the request acts in (the backend falls back to the personal one)
+    const workspaceId = this.getCurrentWorkspaceId()
+    if (workspaceId) {
+      headers['X-Workspace-Id'] = workspaceId
+    }
+
     return headers
   }
 
+  getCurrentWorkspaceId(): string | null {
+    return typeof window !== 'undefined' ? localStorage.getItem('currentWorkspaceId') : null
+  }
+
+  setCurrentWorkspaceId(workspaceId: string | null) {
+    if (typeof window === 'undefined') return
+    if (workspaceId) {
+      localStorage.setItem('currentWorkspaceId', workspaceId)
+    } else {
+      localStorage.removeItem('currentWorkspaceId')
+    }
+  }
+
   /**
    * Create abort controller for timeout
    */
@@ -366,15 +409,196 @@ class ApiService {
     })
   }
 
-  // Test prompts with multi-LLM
-  async testPrompts() {
+  // Queue a multi-LLM test run (returns immediately - poll or stream the run for progress)
+  async testPrompts(urlAnalysisId?: string, samplesPerPrompt?: number) {
     return this.request('/prompts/test', {
       method: 'POST',
-      timeout: 600000, // 10 minutes to match Nginx proxy_read_timeout (can involve multiple AI calls)
+      body: JSON.stringify({
+        ...(urlAnalysisId && { urlAnalysisId }),
+        ...(samplesPerPrompt && { samplesPerPrompt }),
+      }),
+    }) as Promise<{ success: boolean; message: string; data: QueuePromptTestRunResponse }>
+  }
+
+  // Estimated cost of the next test run, with the budgets it counts against
+  async getTestRunEstimate(urlAnalysisId?: string, samplesPerPrompt?: number) {
+    const params = new URLSearchParams()
+    if (urlAnalysisId) params.append('urlAnalysisId', urlAnalysisId)
+    if (samplesPerPrompt) params.append('samplesPerPrompt', samplesPerPrompt.toString())
+    const query = params.toString()
+    return this.request(`/prompts/test/estimate${query ? `?${query}` : ''}`) as Promise<{ success: boolean; data: TestRunEstimate }>
+  }
+
+  async getLLMProviders() {
+    return this.request('/prompts/test/providers') as Promise<{ success: boolean; data: LLMProvider[] }>
+  }
+
+  async getTestRuns(urlAnalysisId?: string) {
+    const params = urlAnalysisId ? `?urlAnalysisId=${urlAnalysisId}` : ''
+    return this.request(`/prompts/test/runs${params}`) as Promise<{ success: boolean; data: PromptTestRun[] }>
+  }
+
+  async getTestRun(runId: string) {
+    return this.request(`/prompts/test/runs/${runId}`) as Promise<{ success: boolean; data: PromptTestRun }>
+  }
+
+  async cancelTestRun(runId: string) {
+    return this.request(`/prompts/test/runs/${runId}/cancel`, {
+      method: 'POST',
+    }) as Promise<{ success: boolean; message: string; data: PromptTestRun }>
+  }
+
+  /**
+   * Stream test run progress (Server-Sent Events over fetch so the auth header is sent).
+   * Resolves with the final run once it completes, fails or is cancelled.
+   */
+  async streamTestRun(runId: string, onProgress: (run: PromptTestRun) => void, signal?: AbortSignal): Promise<PromptTestRun | null> {
+    const response = await fetch(`${API_BASE_URL}/prompts/test/runs/${runId}/stream`, {
+      headers: this.getHeaders(),
+      credentials: 'include',
+      signal,
     })
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Failed to stream test run (status ${response.status})`)
+    }
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+    let finalRun: PromptTestRun | null = null
+
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+
+      buffer += decoder.decode(value, { stream: true })
+      const events = buffer.split('\n\n')
+      buffer = events.pop() || ''
+
+      for (const rawEvent of events) {
+        const eventName = rawEvent.match(/^event: (.*)$/m)?.[1]
+        const data = rawEvent.match(/^data: (.*)$/m)?.[1]
+        if (!data) continue
+
+        // The run was deleted while streaming
+        if (eventName === 'error') {
+          throw new Error(JSON.parse(data).message || 'Test run stream failed')
+        }
+
+        const run = JSON.parse(data) as PromptTestRun
+        if (eventName === 'done') {
+          finalRun = run
+        }
+        onProgress(run)
+      }
+    }
+
+    return finalRun
+  }
+
+  // Recurring visibility run schedules
+  async getSchedules(urlAnalysisId?: string) {
+    const params = urlAnalysisId ? `?urlAnalysisId=${urlAnalysisId}` : ''
+    return this.request(`/schedules${params}`) as Promise<{ success: boolean; data: VisibilitySchedule[] }>
+  }
+
+  async createSchedule(payload: CreateScheduleRequest) {
+    return this.request('/schedules', {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    }) as Promise<{ success: boolean; message: string; data: VisibilitySchedule }>
+  }
+
+  async updateSchedule(scheduleId: string, payload: UpdateScheduleRequest) {
+    return this.request(`/schedules/${scheduleId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(payload),
+    }) as Promise<{ success: boolean; message: string; data: VisibilitySchedule }>
+  }
+
+  async deleteSchedule(scheduleId: string) {
+    return this.request(`/schedules/${scheduleId}`, {
+      method: 'DELETE',
+    }) as Promise<{ success: boolean; message: string }>
+  }
+
+  // LLM spend ledger and monthly budgets
+  async getSpendSummary(urlAnalysisId?: string, months?: number) {
+    const params = new URLSearchParams()
+    if (urlAnalysisId) params.append('urlAnalysisId', urlAnalysisId)
+    if (months) params.append('months', months.toString())
+    const query = params.toString()
+    return this.request(`/spend/summary${query ? `?${query}` : ''}`) as Promise<{ success: boolean; data: SpendSummary }>
+  }
+
+  async getSpendLedger(options: { urlAnalysisId?: string; source?: SpendSource; limit?: number } = {}) {
+    const params = new URLSearchParams()
+    if (options.urlAnalysisId) params.append('urlAnalysisId', options.urlAnalysisId)
+    if (options.source) params.append('source', options.source)
+    if (options.limit) params.append('limit', options.limit.toString())
+    const query = params.toString()
+    return this.request(`/spend/ledger${query ? `?${query}` : ''}`) as Promise<{ success: boolean; data: SpendLedgerEntry[] }>
+  }
+
+  async getSpendBudgets() {
+    return this.request('/spend/budgets') as Promise<{ success: boolean; data: SpendBudgetStatus[] }>
+  }
+
+  async setSpendBudget(payload: SetSpendBudgetRequest) {
+    return this.request('/spend/budgets', {
+      method: 'PUT',
+      body: JSON.stringify(payload),
+    }) as Promise<{ success: boolean; message: string; data: SpendBudgetStatus[] }>
+  }
+
+  async deleteSpendBudget(budgetId: string) {
+    return this.request(`/spend/budgets/${budgetId}`, {
+      method: 'DELETE',
+    }) as Promise<{ success: boolean; message: string }>
   }
 
   // Actionables endpoints
+  async getActionablePages(urlAnalysisId?: string, dateRange?: string, conversionEvent?: string) {
+    const params = new URLSearchParams()
+    if (urlAnalysisId) params.append('urlAnalysisId', urlAnalysisId)
+    if (dateRange) params.append('dateRange', dateRange)
+    if (conversionEvent) params.append('conversionEvent', conversionEvent)
+    const query = params.toString()
+    return this.request(`/actionables/pages${query ? `?${query}` : ''}`) as Promise<{ success: boolean; data: ActionablePagesResponse }>
+  }
+
+  async getUrlMappings(urlAnalysisId: string) {
+    return this.request(`/actionables/mappings?urlAnalysisId=${urlAnalysisId}`) as Promise<{ success: boolean; data: UrlMappingRule[] }>
+  }
+
+  async createUrlMapping(urlAnalysisId: string, mapping: UrlMappingRuleInput) {
+    return this.request('/actionables/mappings', {
+      method: 'POST',
+      body: JSON.stringify({ urlAnalysisId, ...mapping }),
+    }) as Promise<{ success: boolean; data: UrlMappingRule }>
+  }
+
+  async updateUrlMapping(mappingId: string, updates: Partial<UrlMappingRuleInput>) {
+    return this.request(`/actionables/mappings/${mappingId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    }) as Promise<{ success: boolean; data: UrlMappingRule }>
+  }
+
+  async deleteUrlMapping(mappingId: string) {
+    return this.request(`/actionables/mappings/${mappingId}`, {
+      method: 'DELETE',
+    }) as Promise<{ success: boolean; message: string }>
+  }
+
+  async importUrlMappings(urlAnalysisId: string, csv: string) {
+    return this.request('/actionables/mappings/import', {
+      method: 'POST',
+      body: JSON.stringify({ urlAnalysisId, csv }),
+    }) as Promise<{ success: boolean; data: UrlMappingImportResult }>
+  }
+
   async loadActionablePageContent(payload: ActionablePageContentRequest) {
     return this.request('/actionables/page-content', {
       method: 'POST',
@@ -507,6 +731,18 @@ class ApiService {
     return this.request(`/url-analysis/${id}/metrics`)
   }
 
+  // Locales (region + language) an analysis generates and tests prompts for
+  async getAnalysisLocales(id: string) {
+    return this.request(`/url-analysis/${id}/locales`) as Promise<{ success: boolean; data: AnalysisLocales }>
+  }
+
+  async updateAnalysisLocales(id: string, locales: Locale[]) {
+    return this.request(`/url-analysis/${id}/locales`, {
+      method: 'PUT',
+      body: JSON.stringify({ locales }),
+    }) as Promise<{ success: boolean; data: AnalysisLocales }>
+  }
+
   // Performance Insights endpoints
   async generateInsights(urlAnalysisId?: string) {
     return this.request('/insights/generate', {
@@ -571,6 +807,7 @@ class ApiService {
     topics?: string[]
     personas?: string[]
     platforms?: string[]
+    locales?: string[]
   } = {}) {
     const params = new URLSearchParams()
     if (options.dateFrom) params.append('dateFrom', options.dateFrom)
@@ -587,10 +824,67 @@ class ApiService {
     if (options.platforms && options.platforms.length > 0) {
       options.platforms.forEach(platform => params.append('platforms', platform))
     }
+    if (options.locales && options.locales.length > 0) {
+      options.locales.forEach(locale => params.append('locales', locale))
+    }
     
     return this.request(`/dashboard/all${params.toString() ? `?${params.toString()}` : ''}`)
   }
 
+  // Per-brand metric time series for trend charts
+  async getDashboardTrends(options: {
+    urlAnalysisId?: string
+    bucket?: TrendBucket
+    dateFrom?: string
+    dateTo?: string
+    topics?: string[]
+    personas?: string[]
+    platforms?: string[]
+    locales?: string[]
+    promptVersions?: PromptVersionScope
+  } = {}) {
+    const params = new URLSearchParams()
+    if (options.urlAnalysisId) params.append('urlAnalysisId', options.urlAnalysisId)
+    if (options.bucket) params.append('bucket', options.bucket)
+    if (options.dateFrom) params.append('dateFrom', options.dateFrom)
+    if (options.dateTo) params.append('dateTo', options.dateTo)
+    options.topics?.forEach(topic => params.append('topics', topic))
+    options.personas?.forEach(persona => params.append('personas', persona))
+    options.platforms?.forEach(platform => params.append('platforms', platform))
+    options.locales?.forEach(locale => params.append('locales', locale))
+    if (options.promptVersions) params.append('promptVersions', options.promptVersions)
+
+    return this.request(`/dashboard/trends${params.toString() ? `?${params.toString()}` : ''}`) as Promise<{ success: boolean; data: TrendsData }>
+  }
+
+  // previousFrom/previousTo default to the same-length window right before the current one
+  async getDashboardComparison(options: {
+    urlAnalysisId?: string
+    currentFrom: string
+    currentTo: string
+    previousFrom?: string
+    previousTo?: string
+    topics?: string[]
+    personas?: string[]
+    platforms?: string[]
+    locales?: string[]
+    promptVersions?: PromptVersionScope
+  }) {
+    const params = new URLSearchParams()
+    if (options.urlAnalysisId) params.append('urlAnalysisId', options.urlAnalysisId)
+    params.append('currentFrom', options.currentFrom)
+    params.append('currentTo', options.currentTo)
+    if (options.previousFrom) params.append('previousFrom', options.previousFrom)
+    if (options.previousTo) params.append('previousTo', options.previousTo)
+    options.topics?.forEach(topic => params.append('topics', topic))
+    options.personas?.forEach(persona => params.append('personas', persona))
+    options.platforms?.forEach(platform => params.append('platforms', platform))
+    options.locales?.forEach(locale => params.append('locales', locale))
+    if (options.promptVersions) params.append('promptVersions', options.promptVersions)
+
+    return this.request(`/dashboard/compare?${params.toString()}`) as Promise<{ success: boolean; data: PeriodComparisonData }>
+  }
+
   // Competitors endpoints
   async getCompetitors(urlAnalysisId?: string) {
     const params = urlAnalysisId ? `?urlAnalysisId=${urlAnalysisId}` : ''
@@ -671,16 +965,23 @@ class ApiService {
 
   // Clusters endpoints
   async getClusters(options: {
-    dateFrom?: string
-    dateTo?: string
     urlAnalysisId?: string
+    groupBy?: ClusterGrouping
+    threshold?: number
   } = {}) {
     const params = new URLSearchParams()
-    if (options.dateFrom) params.append('dateFrom', options.dateFrom)
-    if (options.dateTo) params.append('dateTo', options.dateTo)
     if (options.urlAnalysisId) params.append('urlAnalysisId', options.urlAnalysisId)
-    
-    return this.request(`/clusters${params.toString() ? `?${params.toString()}` : ''}`)
+    if (options.groupBy === 'topic') params.append('groupBy', 'topic')
+    if (options.threshold !== undefined) params.append('threshold', String(options.threshold))
+
+    return this.request(`/clusters${params.toString() ? `?${params.toString()}` : ''}`) as Promise<{ success: boolean; message?: string; data: ClustersResponse }>
+  }
+
+  async promoteCluster(request: PromoteClusterRequest) {
+    return this.request('/clusters/promote', {
+      method: 'POST',
+      body: JSON.stringify(request),
+    }) as Promise<{ success: boolean; message: string; data: PromoteClusterResponse }>
   }
 
   // Analysis endpoints
@@ -694,8 +995,39 @@ class ApiService {
     return this.request(`/prompts/dashboard${params}`)
   }
 
-  async getPromptDetails(promptId: string) {
-    return this.request(`/prompts/details/${promptId}`)
+  async getPromptDetails(promptId: string, promptVersions?: PromptVersionScope) {
+    const params = promptVersions ? `?promptVersions=${promptVersions}` : ''
+    return this.request(`/prompts/details/${promptId}${params}`)
+  }
+
+  // Edit a prompt; changing its text, title or queryType records a new version
+  async updatePrompt(promptId: string, updates: PromptUpdate) {
+    return this.request(`/prompts/${promptId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    }) as Promise<{ success: boolean; message: string; data: any; version: PromptVersion | null }>
+  }
+
+  async getPromptVersions(promptId: string) {
+    return this.request(`/prompts/${promptId}/versions`) as Promise<{ success: boolean; data: PromptVersionHistory }>
+  }
+
+  // Import search queries as prompts from a CSV or Search Console export (dryRun to preview)
+  async importPromptQueries(csv: string, options: QueryImportOptions) {
+    return this.request('/prompts/import', {
+      method: 'POST',
+      body: JSON.stringify({ ...options, csv }),
+      timeout: 120000, // Embedding a few hundred queries with a remote model can take a while
+    }) as Promise<{ success: boolean; data: QueryImportResult }>
+  }
+
+  // Import GA4 site-search terms as prompts (dryRun to preview)
+  async importGA4SearchTerms(options: GA4QueryImportOptions) {
+    return this.request('/prompts/import/ga4', {
+      method: 'POST',
+      body: JSON.stringify(options),
+      timeout: 120000,
+    }) as Promise<{ success: boolean; data: QueryImportResult }>
   }
 
   // Subjective Metrics endpoints
@@ -751,6 +1083,299 @@ class ApiService {
     return this.request(`/dashboard/citations/${encodedBrandName}/${encodedType}`)
   }
 
+  // Third-party domains cited by answer engines, with outreach targets flagged
+  async getCitationDomains(options: {
+    urlAnalysisId?: string
+    topics?: string[]
+    platforms?: string[]
+    outreachOnly?: boolean
+    limit?: number
+  } = {}) {
+    const params = new URLSearchParams()
+    if (options.urlAnalysisId) params.append('urlAnalysisId', options.urlAnalysisId)
+    options.topics?.forEach(topic => params.append('topics', topic))
+    options.platforms?.forEach(platform => params.append('platforms', platform))
+    if (options.outreachOnly) params.append('outreachOnly', 'true')
+    if (options.limit) params.append('limit', options.limit.toString())
+    const query = params.toString()
+    return this.request(`/dashboard/citations/domains${query ? `?${query}` : ''}`) as Promise<{ success: boolean; data: CitationDomainLeaderboard }>
+  }
+
+  async getCitationVerification(urlAnalysisId: string) {
+    return this.request(`/dashboard/citations/verification?urlAnalysisId=${urlAnalysisId}`) as Promise<{ success: boolean; data: CitationVerificationSummary }>
+  }
+
+  async verifyCitations(urlAnalysisId: string, force = false) {
+    return this.request('/dashboard/citations/verify', {
+      method: 'POST',
+      body: JSON.stringify({ urlAnalysisId, force }),
+    })
+  }
+
+  async updateCitationVerificationSettings(urlAnalysisId: string, excludeHallucinated: boolean) {
+    return this.request('/dashboard/citations/verification/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ urlAnalysisId, excludeHallucinated }),
+    }) as Promise<{ success: boolean; data: { excludeHallucinated: boolean } }>
+  }
+
+  async getCitationOverrides(urlAnalysisId: string) {
+    return this.request(`/dashboard/citations/overrides?urlAnalysisId=${urlAnalysisId}`) as Promise<{ success: boolean; data: CitationOverrideRule[] }>
+  }
+
+  async createCitationOverride(urlAnalysisId: string, rule: CitationOverrideRuleInput) {
+    return this.request('/dashboard/citations/overrides', {
+      method: 'POST',
+      body: JSON.stringify({ urlAnalysisId, ...rule }),
+    }) as Promise<{ success: boolean; data: CitationOverrideRule }>
+  }
+
+  async updateCitationOverride(ruleId: string, rule: Partial<CitationOverrideRuleInput>) {
+    return this.request(`/dashboard/citations/overrides/${ruleId}`, {
+      method: 'PUT',
+      body: JSON.stringify(rule),
+    }) as Promise<{ success: boolean; data: CitationOverrideRule }>
+  }
+
+  async deleteCitationOverride(ruleId: string) {
+    return this.request(`/dashboard/citations/overrides/${ruleId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async reprocessCitationOverrides(urlAnalysisId: string) {
+    return this.request('/dashboard/citations/overrides/reprocess', {
+      method: 'POST',
+      body: JSON.stringify({ urlAnalysisId }),
+    }) as Promise<{ success: boolean; data: CitationReprocessResult }>
+  }
+
+  /**
+   * Download an export (CSV/XLSX dataset, full workbook or PDF report) and hand it to the browser.
+   * Uses fetch rather than a link so the auth header is sent.
+   */
+  private async downloadExport(path: string, query: ExportQuery, extra: Record<string, string> = {}) {
+    const params = new URLSearchParams({ urlAnalysisId: query.urlAnalysisId, ...extra })
+    if (query.dateFrom) params.append('dateFrom', query.dateFrom)
+    if (query.dateTo) params.append('dateTo', query.dateTo)
+
+    const response = await fetch(`${API_BASE_URL}/exports/${path}?${params.toString()}`, {
+      headers: this.getHeaders(),
+      credentials: 'include',
+    })
+
+    if (!response.ok) {
+      const data = await this.parseJsonResponse(response).catch(() => null)
+      throw new Error(data?.message || `Export failed (status ${response.status})`)
+    }
+
+    const disposition = response.headers.get('content-disposition') || ''
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `rankly-${path}`
+    const url = URL.createObjectURL(await response.blob())
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+
+  async downloadDatasetExport(dataset: ExportDataset, format: ExportFormat, query: ExportQuery) {
+    return this.downloadExport(dataset, query, { format })
+  }
+
+  async downloadWorkbookExport(query: ExportQuery) {
+    return this.downloadExport('workbook', query)
+  }
+
+  async downloadReport(query: ExportQuery) {
+    return this.downloadExport('report', query)
+  }
+
+  // Email digests of visibility changes
+  async getDigestSettings() {
+    return this.request('/digests/settings') as Promise<{ success: boolean; data: DigestSettings }>
+  }
+
+  async updateDigestSettings(settings: UpdateDigestSettingsRequest) {
+    return this.request('/digests/settings', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    }) as Promise<{ success: boolean; message: string; data: DigestSettings }>
+  }
+
+  async sendDigestNow() {
+    return this.request('/digests/send', {
+      method: 'POST',
+    }) as Promise<{ success: boolean; message: string }>
+  }
+
+  // Threshold alerts and their webhooks
+  async getAlertRules(urlAnalysisId?: string) {
+    const query = urlAnalysisId ? `?urlAnalysisId=${encodeURIComponent(urlAnalysisId)}` : ''
+    return this.request(`/alerts/rules${query}`) as Promise<{ success: boolean; data: AlertRule[] }>
+  }
+
+  async createAlertRule(rule: AlertRuleInput) {
+    return this.request('/alerts/rules', {
+      method: 'POST',
+      body: JSON.stringify(rule),
+    }) as Promise<{ success: boolean; message: string; data: AlertRule }>
+  }
+
+  async updateAlertRule(ruleId: string, updates: AlertRuleInput) {
+    return this.request(`/alerts/rules/${ruleId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    }) as Promise<{ success: boolean; message: string; data: AlertRule }>
+  }
+
+  async deleteAlertRule(ruleId: string) {
+    return this.request(`/alerts/rules/${ruleId}`, {
+      method: 'DELETE',
+    }) as Promise<{ success: boolean; message: string }>
+  }
+
+  async getAlertWebhooks() {
+    return this.request('/alerts/webhooks') as Promise<{ success: boolean; data: AlertWebhook[] }>
+  }
+
+  async createAlertWebhook(webhook: AlertWebhookInput) {
+    return this.request('/alerts/webhooks', {
+      method: 'POST',
+      body: JSON.stringify(webhook),
+    }) as Promise<{ success: boolean; message: string; data: AlertWebhook }>
+  }
+
+  async deleteAlertWebhook(webhookId: string) {
+    return this.request(`/alerts/webhooks/${webhookId}`, {
+      method: 'DELETE',
+    }) as Promise<{ success: boolean; message: string }>
+  }
+
+  async testAlertWebhook(webhookId: string) {
+    return this.request(`/alerts/webhooks/${webhookId}/test`, {
+      method: 'POST',
+    }) as Promise<{ success: boolean; message: string; data: { delivered: boolean; responseStatus: number | null; error?: string } }>
+  }
+
+  async getAlertEvents(options: { urlAnalysisId?: string; ruleId?: string; limit?: number } = {}) {
+    const params = new URLSearchParams()
+    if (options.urlAnalysisId) params.append('urlAnalysisId', options.urlAnalysisId)
+    if (options.ruleId) params.append('ruleId', options.ruleId)
+    if (options.limit) params.append('limit', options.limit.toString())
+    const query = params.toString()
+    return this.request(`/alerts/events${query ? `?${query}` : ''}`) as Promise<{ success: boolean; data: AlertEvent[] }>
+  }
+
+  // Personal API keys for the public REST API
+  async getApiKeys() {
+    return this.request('/api-keys') as Promise<{ success: boolean; data: ApiKey[] }>
+  }
+
+  async createApiKey(apiKey: CreateApiKeyRequest) {
+    return this.request('/api-keys', {
+      method: 'POST',
+      body: JSON.stringify(apiKey),
+    }) as Promise<{ success: boolean; message: string; data: CreatedApiKey }>
+  }
+
+  async revokeApiKey(apiKeyId: string) {
+    return this.request(`/api-keys/${apiKeyId}`, {
+      method: 'DELETE',
+    }) as Promise<{ success: boolean; message: string }>
+  }
+
+  // Workspaces: the current one is sent as X-Workspace-Id (see getHeaders)
+  async getWorkspaces() {
+    return this.request('/workspaces') as Promise<{ success: boolean; data: WorkspacesResponse }>
+  }
+
+  async createWorkspace(name: string) {
+    return this.request('/workspaces', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    }) as Promise<{ success: boolean; message: string; data: Workspace }>
+  }
+
+  async renameWorkspace(name: string) {
+    return this.request('/workspaces/current', {
+      method: 'PATCH',
+      body: JSON.stringify({ name }),
+    }) as Promise<{ success: boolean; message: string }>
+  }
+
+  async getWorkspaceMembers() {
+    return this.request('/workspaces/current/members') as Promise<{ success: boolean; data: WorkspaceMember[] }>
+  }
+
+  async updateWorkspaceMemberRole(userId: string, role: WorkspaceRole) {
+    return this.request(`/workspaces/current/members/${userId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ role }),
+    }) as Promise<{ success: boolean; message: string; data: WorkspaceMember[] }>
+  }
+
+  async removeWorkspaceMember(userId: string) {
+    return this.request(`/workspaces/current/members/${userId}`, {
+      method: 'DELETE',
+    }) as Promise<{ success: boolean; message: string }>
+  }
+
+  async getWorkspaceInvites() {
+    return this.request('/workspaces/current/invites') as Promise<{ success: boolean; data: WorkspaceInvite[] }>
+  }
+
+  async inviteToWorkspace(email: string, role: InviteRole) {
+    return this.request('/workspaces/current/invites', {
+      method: 'POST',
+      body: JSON.stringify({ email, role }),
+    }) as Promise<{ success: boolean; message: string; data: WorkspaceInvite }>
+  }
+
+  async revokeWorkspaceInvite(inviteId: string) {
+    return this.request(`/workspaces/current/invites/${inviteId}`, {
+      method: 'DELETE',
+    }) as Promise<{ success: boolean; message: string }>
+  }
+
+  async acceptWorkspaceInvite(token: string) {
+    return this.request('/workspaces/invites/accept', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    }) as Promise<{ success: boolean; message: string; data: { workspaceId: string; name: string; role: WorkspaceRole } }>
+  }
+
+  async getWorkspaceGA4() {
+    return this.request('/workspaces/current/ga4') as Promise<{ success: boolean; data: SharedGA4Property | null }>
+  }
+
+  async shareGA4WithWorkspace() {
+    return this.request('/workspaces/current/ga4', {
+      method: 'POST',
+    }) as Promise<{ success: boolean; message: string; data: SharedGA4Property }>
+  }
+
+  async unshareGA4FromWorkspace() {
+    return this.request('/workspaces/current/ga4', {
+      method: 'DELETE',
+    }) as Promise<{ success: boolean; message: string }>
+  }
+
+  // Admin: dashboard access and admin rights
+  async getAdminUsers(search?: string) {
+    const query = search ? `?search=${encodeURIComponent(search)}` : ''
+    return this.request(`/admin/users${query}`) as Promise<{ success: boolean; data: AdminUser[] }>
+  }
+
+  async updateAdminUser(userId: string, updates: { access?: boolean; isAdmin?: boolean }) {
+    return this.request(`/admin/users/${userId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    }) as Promise<{ success: boolean; message: string; data: AdminUser }>
+  }
+
   async getPromptIdsForCitations(citationUrls: string[], brandName: string) {
     return this.request('/dashboard/citations/prompt-ids', {
       method: 'POST',
@@ -17,6 +17,7 @@ interface DashboardFilters {
   platforms?: string[]
   topics?: string[]
   personas?: string[]
+  locales?: string[]
   selectedAnalysisId?: string | null
 }
 
@@ -121,7 +122,8 @@ class DashboardService {
     const filterKey = JSON.stringify({
       topics: (filters.topics || []).sort(),
       personas: (filters.personas || []).sort(),
-      platforms: (filters.platforms || []).sort()
+      platforms: (filters.platforms || []).sort(),
+      locales: (filters.locales || []).sort()
     })
     const cacheKey = `dashboard-${analysisId || 'default'}-${Buffer.from(filterKey).toString('base64').slice(0, 16)}`
     console.log('🔑 [DashboardService] Cache key:', cacheKey)
@@ -173,7 +175,8 @@ class DashboardService {
           urlAnalysisId: urlAnalysisId,
           topics: filters.topics,
           personas: filters.personas,
-          platforms: filters.platforms
+          platforms: filters.platforms,
+          locales: filters.locales
         })
         
         console.log('🔍 [DashboardService] DEBUG - getDashboardAll response:', {
@@ -259,7 +262,8 @@ class DashboardService {
                   urlAnalysisId: urlAnalysisId,
                   topics: filters.topics,
                   personas: filters.personas,
-                  platforms: filters.platforms
+                  platforms: filters.platforms,
+                  locales: filters.locales
                 })
                 
                 console.log('🔍 [DashboardService] DEBUG - Retry response:', {
@@ -463,7 +467,8 @@ class DashboardService {
                     urlAnalysisId: urlAnalysisId,
                     topics: filters.topics,
                     personas: filters.personas,
-                    platforms: filters.platforms
+                    platforms: filters.platforms,
+                    locales: filters.locales
                   })
                   
                   console.log('🔍 [DashboardService] DEBUG - Retry getDashboardAll response:', {
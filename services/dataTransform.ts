@@ -1,4 +1,4 @@
-import { DashboardData, Competitor, Metric, TopicRanking, PersonaRanking, Platform, Topic, Persona, ChartDataPoint } from '@/types/dashboard'
+import { DashboardData, Competitor, Metric, TopicRanking, PersonaRanking, Platform, Topic, Persona, ChartDataPoint, ConfidenceInterval } from '@/types/dashboard'
 import { formatToTwoDecimals } from '@/lib/numberUtils'
 
 // Backend data types (matching the backend models)
@@ -37,6 +37,11 @@ interface BackendBrandMetric {
   rank3rd?: number
   totalAppearances: number
   isOwner?: boolean // Whether this is the user's brand
+  confidence?: {
+    visibilityScore?: ConfidenceInterval | null
+    avgPosition?: ConfidenceInterval | null
+    shareOfVoice?: ConfidenceInterval | null
+  }
 }
 
 interface BackendAggregatedMetrics {
@@ -237,6 +242,13 @@ export function transformBrandMetricsToMetric(
   const metricValue = getMetricValue(primaryBrand, metricType, totalResponses)
   console.log(`📊 [Transform] ${metricType} value for ${primaryBrand.brandName}:`, metricValue)
 
+  // Uncertainty band for the user's brand (only visibility, position and share of voice have one)
+  const ownerBrand = brandMetrics.find(b => b.isOwner) || primaryBrand
+  const intervalKey = metricType === 'visibility' ? 'visibilityScore'
+    : metricType === 'averagePosition' ? 'avgPosition'
+    : metricType === 'shareOfVoice' ? 'shareOfVoice'
+    : null
+
   return {
     id: metricType,
     title: getMetricTitle(metricType),
@@ -245,7 +257,8 @@ export function transformBrandMetricsToMetric(
     unit: getMetricUnit(metricType),
     change: 0, // TODO: Calculate change from previous period
     trend: 'stable' as const, // TODO: Calculate trend from previous period
-    data: chartData
+    data: chartData,
+    interval: intervalKey ? ownerBrand?.confidence?.[intervalKey] || null : null
   }
 }
 
@@ -3,10 +3,26 @@ export type ActionableReason =
   | 'low_llm_traffic'
   | 'mapping_required'
   | 'missing_citation'
+  | 'cited_no_traffic'
+  | 'traffic_not_cited'
+  | 'declining_traffic'
+  | 'healthy'
   | 'unknown'
 
+export interface ActionablePlatformTraffic {
+  platform: string
+  sessions: number
+  engagementRate: number
+  conversions: number
+}
+
 export interface ActionableTrafficMetrics {
   sessions: number
+  previousSessions?: number
+  changePercent?: number | null
+  engagementRate?: number
+  conversions?: number
+  byPlatform?: ActionablePlatformTraffic[]
   sqs?: number
   conversionRate?: number
   bounceRate?: number
@@ -29,12 +45,41 @@ export interface ActionableCitationSummary {
   details: ActionableCitationDetail[]
 }
 
+export type UrlMappingMatchType = 'exact' | 'prefix' | 'wildcard'
+
 export interface ActionableUrlMapping {
+  ruleId?: string
+  matchType?: UrlMappingMatchType
+  sourceUrl: string
+  targetUrl: string
+  note?: string
+}
+
+export interface UrlMappingRule {
+  id: string
+  urlAnalysisId: string
+  sourceUrl: string
+  targetUrl: string
+  matchType: UrlMappingMatchType
+  note?: string
+  createdAt: string
+  updatedAt: string
+}
+
+export interface UrlMappingRuleInput {
   sourceUrl: string
   targetUrl: string
+  matchType?: UrlMappingMatchType
   note?: string
 }
 
+export interface UrlMappingImportResult {
+  imported: number
+  created: number
+  updated: number
+  skipped: { line: number; message: string }[]
+}
+
 export interface ActionablePageContentCandidate {
   url: string
   label?: string
@@ -208,4 +253,20 @@ export interface ActionablePageRow {
   mapping?: ActionableUrlMapping
 }
 
+export interface ActionablePagesGa4Status {
+  available: boolean
+  warning: string | null
+  startDate?: string
+  endDate?: string
+  comparisonStartDate?: string
+  comparisonEndDate?: string
+  conversionMetric?: string
+}
 
+export interface ActionablePagesResponse {
+  urlAnalysisId: string
+  pageCount: number
+  mappingsApplied: number
+  ga4: ActionablePagesGa4Status
+  rows: ActionablePageRow[]
+}
@@ -0,0 +1,75 @@
+export type AlertMetric =
+  | 'visibilityScore'
+  | 'shareOfVoice'
+  | 'avgPosition'
+  | 'citationShare'
+  | 'sentimentShare'
+  | 'negativeSentimentShare'
+  | 'newCompetitor'
+
+export type AlertCondition = 'above' | 'below' | 'increases_by' | 'decreases_by'
+
+export type AlertScope = 'overall' | 'platform' | 'topic' | 'persona' | 'locale'
+
+export interface AlertRule {
+  _id: string
+  urlAnalysisId: string | null // null = every analysis
+  name: string
+  metric: AlertMetric
+  scope: AlertScope
+  scopeValue: string | null // platform ID, topic, persona or locale; null = any
+  brandName: string | null // null = your brand
+  condition: AlertCondition
+  threshold: number
+  webhookIds: string[]
+  cooldownHours: number
+  enabled: boolean
+  lastTriggeredAt: string | null
+}
+
+export type AlertRuleInput = Partial<Omit<AlertRule, '_id' | 'lastTriggeredAt'>>
+
+export interface AlertWebhook {
+  _id: string
+  name: string
+  url: string
+  format: 'slack' | 'json'
+  hasSecret: boolean
+  enabled: boolean
+  lastDeliveryAt: string | null
+  lastDeliveryStatus: 'delivered' | 'failed' | null
+}
+
+export interface AlertWebhookInput {
+  name?: string
+  url?: string
+  format?: 'slack' | 'json'
+  secret?: string
+  enabled?: boolean
+}
+
+export interface AlertDelivery {
+  webhookId: string
+  status: 'pending' | 'delivered' | 'failed'
+  attempts: number
+  nextAttemptAt: string
+  responseStatus?: number
+  lastError?: string
+  deliveredAt?: string
+}
+
+export interface AlertEvent {
+  _id: string
+  ruleId: string
+  urlAnalysisId: string | null
+  ruleName: string
+  metric: AlertMetric
+  scope: AlertScope
+  scopeValue: string | null
+  brandName: string
+  value: number
+  previousValue: number | null
+  message: string
+  triggeredAt: string
+  deliveries: AlertDelivery[]
+}
@@ -0,0 +1,24 @@
+export type ApiKeyScope = 'read' | 'write'
+
+export interface ApiKey {
+  _id: string
+  name: string
+  prefix: string // first characters of the key, e.g. "rk_AbC1234"
+  scopes: ApiKeyScope[]
+  rateLimitPerMinute: number
+  expiresAt: string | null
+  lastUsedAt: string | null
+  createdAt: string
+}
+
+export interface CreateApiKeyRequest {
+  name: string
+  scopes: ApiKeyScope[]
+  rateLimitPerMinute?: number
+  expiresInDays?: number | null
+}
+
+// Only returned once, when the key is created
+export interface CreatedApiKey extends ApiKey {
+  key: string
+}
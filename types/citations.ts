@@ -0,0 +1,80 @@
+export interface CitationDomainEntry {
+  rank: number
+  domain: string
+  citationType: 'earned' | 'social'
+  totalCitations: number
+  // Responses that cite the domain at least once
+  responses: number
+  uniqueUrls: number
+  sampleUrls: string[]
+  platforms: { platform: string; count: number }[]
+  topics: { topic: string; count: number }[]
+  competitors: { name: string; count: number }[]
+  mentionsOwner: boolean
+  ownerCitations: number
+  // Cites competitors but never the user's brand
+  outreachTarget: boolean
+}
+
+export interface CitationDomainLeaderboard {
+  totalDomains: number
+  outreachTargets: number
+  testsAnalyzed: number
+  domains: CitationDomainEntry[]
+  availablePlatforms: string[]
+  availableTopics: string[]
+}
+
+export type CitationVerificationStatus = 'live' | 'redirected' | 'broken' | 'blocked' | 'unreachable'
+
+export interface CitationVerificationEntry {
+  url: string
+  status: CitationVerificationStatus
+  httpStatus: number | null
+  finalUrl: string | null
+  title: string | null
+  error: string | null
+  // mentioned is null when the page couldn't be read
+  brandMentions: { brandName: string; mentioned: boolean | null }[]
+  checkedAt: string
+}
+
+export interface CitationVerificationSummary {
+  running: boolean
+  totalUrls: number
+  byStatus: Record<CitationVerificationStatus, number>
+  // Broken, or a page that never mentions a brand it was cited for
+  problemUrls: number
+  lastCheckedAt: string | null
+  verifications: CitationVerificationEntry[]
+  excludeHallucinated: boolean
+}
+
+export type CitationOverrideClassification = 'brand' | 'earned' | 'social' | 'owned-competitor'
+
+export interface CitationOverrideRule {
+  id: string
+  urlAnalysisId: string
+  // Domain (g2.com), domain + path (g2.com/reviews) or wildcard (*.g2.com/blog/*)
+  pattern: string
+  classification: CitationOverrideClassification
+  // Owner for brand/owned-competitor rules; empty brand rules belong to the analysis brand
+  brandName?: string
+  note?: string
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CitationOverrideRuleInput {
+  pattern: string
+  classification: CitationOverrideClassification
+  brandName?: string
+  note?: string
+}
+
+export interface CitationReprocessResult {
+  testsProcessed: number
+  testsUpdated: number
+  citationsChanged: number
+  metricsRecalculated: boolean
+}
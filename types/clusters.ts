@@ -0,0 +1,69 @@
+// Prompt cluster TypeScript interfaces
+
+export type ClusterGrouping = 'semantic' | 'topic'
+
+export interface ClusterPrompt {
+  id: string
+  text: string
+  queryType: string
+  testCount?: number
+  visibilityScore: number // % of the prompt's tests mentioning your brand
+}
+
+export interface PromptCluster {
+  id: string
+  name: string
+  // Semantic clusters only: generated label, its terms and the prompts in the cluster
+  label?: string
+  terms?: string[]
+  promptIds?: string[]
+  topics?: { id: string | null; name: string; promptCount: number }[]
+  visibility?: number // % of tests mentioning your brand
+  shareOfVoice?: number // Your brand's mentions as a % of all brand mentions
+  promptCount: number
+  testCount: number
+  avgVisibility: number
+  brandMentionRate: number
+  platforms: string[]
+  personas: string[]
+  topPrompts: ClusterPrompt[]
+  metrics: {
+    totalMentions: number
+    avgPosition: number
+    citationRate: number
+  }
+}
+
+export interface ClusterSummary {
+  totalClusters: number
+  totalTopics: number
+  totalPrompts: number
+  totalTests: number
+  avgVisibility: number
+  clusteredPrompts?: number
+  topPerforming: { name: string; score: number }[]
+  needsAttention: { name: string; score: number }[]
+  embedding?: { provider: string; model: string; threshold: number }
+}
+
+export interface ClustersResponse {
+  urlAnalysisId?: string | null // Semantic clusters: the analysis clustered (latest when none was given)
+  clusters: PromptCluster[]
+  unclustered?: { id: string; text: string; topic: string | null }[]
+  summary: ClusterSummary
+}
+
+export interface PromoteClusterRequest {
+  urlAnalysisId: string
+  promptIds: string[]
+  name: string
+  description?: string
+  keywords?: string[]
+}
+
+export interface PromoteClusterResponse {
+  topic: { _id: string; name: string }
+  movedPrompts: number
+  movedTests: number
+  metricsRecalculated: boolean
+}
@@ -26,6 +26,14 @@ export interface Competitor {
   totalCitations?: number
 }
 
+// 95% confidence interval from the backend aggregation; n = prompt×platform pairs
+export interface ConfidenceInterval {
+  lower: number | null
+  upper: number | null
+  stdError: number | null
+  n: number
+}
+
 export interface Metric {
   id: string
   title: string
@@ -35,6 +43,8 @@ export interface Metric {
   change: number
   trend: 'up' | 'down' | 'stable'
   data: ChartDataPoint[]
+  // User brand's interval; absent when filters re-average scopes (no per-response data)
+  interval?: ConfidenceInterval | null
 }
 
 export interface ChartDataPoint {
@@ -115,3 +125,92 @@ export interface DashboardData {
   // ✅ Add missing properties
   aiInsights?: any
 }
+
+// Trends (GET /api/dashboard/trends)
+export type TrendBucket = 'day' | 'week'
+
+export type TrendMetric =
+  | 'visibilityScore'
+  | 'shareOfVoice'
+  | 'avgPosition'
+  | 'depthOfMention'
+  | 'citationShare'
+  | 'sentimentScore'
+  | 'sentimentShare'
+
+export type TrendPoint = { date: string } & Record<TrendMetric, number | null>
+
+export interface BrandTrendSeries {
+  brandName: string
+  isOwner: boolean
+  points: TrendPoint[]
+}
+
+export interface TrendsData {
+  bucket: TrendBucket
+  dateFrom: string
+  dateTo: string
+  promptVersions: 'all' | 'current'
+  userBrandName: string
+  metrics: TrendMetric[]
+  // promptEdits: prompts edited in the bucket, where a line may shift because the question changed
+  buckets: Array<{ date: string; totalResponses: number; totalPrompts: number; promptEdits: number }>
+  series: BrandTrendSeries[]
+}
+
+// Period comparison (GET /api/dashboard/compare)
+export type ComparisonMetric = TrendMetric | 'totalMentions'
+
+export type ComparisonRank =
+  | 'visibilityRank'
+  | 'mentionRank'
+  | 'shareOfVoiceRank'
+  | 'avgPositionRank'
+  | 'depthRank'
+  | 'citationShareRank'
+
+export interface ComparisonWindow {
+  dateFrom: string
+  dateTo: string
+  totalResponses: number
+}
+
+export interface ChangeSignificance {
+  significant: boolean
+  pValue: number
+  zScore: number
+}
+
+export interface BrandPeriodComparison {
+  brandName: string
+  isOwner: boolean
+  metrics: Record<ComparisonMetric, {
+    current: number | null
+    previous: number | null
+    delta: number | null
+    // Only for visibilityScore, avgPosition and shareOfVoice; null when either period lacks an interval
+    significance: ChangeSignificance | null
+  }>
+  // change is positive when the brand moved up (previous rank - current rank)
+  rankChanges: Record<ComparisonRank, { current: number | null; previous: number | null; change: number | null }>
+}
+
+export interface PromptMentionChange {
+  promptId: string
+  title: string | null
+  text: string | null
+  previousPlatforms: string[]
+  currentPlatforms: string[]
+}
+
+export interface PeriodComparisonData {
+  current: ComparisonWindow
+  previous: ComparisonWindow
+  userBrandName: string
+  brands: BrandPeriodComparison[]
+  promptChanges: {
+    comparedPrompts: number
+    lost: PromptMentionChange[]
+    gained: PromptMentionChange[]
+  }
+}
@@ -0,0 +1,16 @@
+export type DigestFrequency = 'daily' | 'weekly'
+
+export interface DigestSettings {
+  email: string
+  enabled: boolean
+  frequency: DigestFrequency
+  hourUtc: number
+  dayOfWeek: number // weekly only, 0 = Sunday
+  urlAnalysisIds: string[] // empty = every analysis
+  includeInsights: boolean
+  nextSendAt: string | null
+  lastSentAt: string | null
+}
+
+export type UpdateDigestSettingsRequest = Partial<Pick<DigestSettings,
+  'enabled' | 'frequency' | 'hourUtc' | 'dayOfWeek' | 'urlAnalysisIds' | 'includeInsights'>>
@@ -0,0 +1,9 @@
+export type ExportDataset = 'metrics' | 'prompt-tests' | 'citations' | 'sentiment' | 'ga4-platforms'
+
+export type ExportFormat = 'csv' | 'xlsx'
+
+export interface ExportQuery {
+  urlAnalysisId: string
+  dateFrom?: string // YYYY-MM-DD
+  dateTo?: string // YYYY-MM-DD, inclusive
+}
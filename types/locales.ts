@@ -0,0 +1,15 @@
+// Target market TypeScript interfaces (GET/PUT /api/url-analysis/:id/locales)
+
+export interface Locale {
+  region: string // e.g. 'Germany' or 'Global'
+  language: string // e.g. 'German'
+}
+
+export interface AnalysisLocale extends Locale {
+  key: string // 'German (Germany)'; the value used by the locale filter
+}
+
+export interface AnalysisLocales {
+  locales: AnalysisLocale[]
+  usesDefault: boolean // true when the analysis falls back to the account's region/language
+}
@@ -0,0 +1,53 @@
+// Prompt testing run TypeScript interfaces
+
+export type PromptTestRunStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled'
+
+export interface PromptTestRunProgress {
+  totalPrompts: number
+  processedPrompts: number
+  completedTests: number
+  failedTests: number
+}
+
+export interface PromptTestRunSummary {
+  averageVisibilityScore: number
+  averageOverallScore: number
+  brandMentionRate: number
+  bestPerformingLLM: string
+  worstPerformingLLM: string
+  llmPerformance: Record<string, number>
+  totalTests: number
+  completedTests: number
+  failedTests: number
+}
+
+export interface PromptTestRun {
+  _id: string
+  userId: string
+  urlAnalysisId?: string | null
+  status: PromptTestRunStatus
+  trigger?: 'manual' | 'schedule' | 'onboarding'
+  scheduleId?: string | null
+  progress: PromptTestRunProgress
+  summary?: PromptTestRunSummary
+  error?: string
+  cancelRequested: boolean
+  attempts: number
+  queuedAt: string
+  startedAt?: string
+  finishedAt?: string
+  updatedAt: string
+}
+
+export interface QueuePromptTestRunResponse {
+  runId: string
+  alreadyActive: boolean
+  run: PromptTestRun
+}
+
+// An LLM platform prompts are tested against (configured in backend/src/config/llmProviders.js)
+export interface LLMProvider {
+  id: string
+  displayName: string
+  model: string
+}
@@ -0,0 +1,126 @@
+// Prompt TypeScript interfaces (prompt generation and management)
+
+import type { Locale } from './locales'
+
+// A generated prompt merged away by semantic dedup because it meant the same
+// as a kept prompt (stored on the kept prompt as metadata.mergedDuplicates)
+export interface MergedDuplicate {
+  text: string
+  similarity: number // Cosine similarity of the two prompts' embeddings, 0-1
+  reason: string // e.g. '91% similar to an existing prompt'
+  source: 'batch' | 'existing' // Kept prompt came from the same generation run, or already existed
+  mergedAt: string
+}
+
+// One merge in a generation response
+export interface MergedPrompt {
+  text: string
+  topicName: string | null
+  personaType: string | null
+  locale: string
+  mergedInto: { id: string | null; text: string; source: 'batch' | 'existing' }
+  similarity: number
+  reason: string
+}
+
+export interface DeduplicationSummary {
+  provider: string
+  model: string
+  threshold: number
+  mergedCount: number
+}
+
+// Search query import (POST /api/prompts/import and /api/prompts/import/ga4)
+export type QueryImportSource = 'csv' | 'search_console' | 'ga4'
+
+export interface QueryImportOptions {
+  urlAnalysisId: string
+  dryRun?: boolean // Preview the conversion without saving
+  maxQueries?: number // Top queries by traffic to import (default 100, max 500)
+  dedupThreshold?: number
+  locale?: Locale // Defaults to the analysis' first locale
+}
+
+export interface GA4QueryImportOptions extends QueryImportOptions {
+  dateRange?: string // e.g. '30 days'
+  startDate?: string
+  endDate?: string
+}
+
+export interface QueryImportItem {
+  query: string
+  promptText: string // Conversational prompt the query was turned into
+  queryType: 'Informational' | 'Navigational' | 'Commercial' | 'Transactional'
+  metrics: { clicks: number; impressions: number; searches: number }
+  topic: { id: string; name: string; similarity: number }
+  persona: { id: string; type: string; similarity: number }
+  status: 'ready' | 'imported' | 'merged'
+  promptId?: string
+  // Merged items only
+  mergedInto?: MergedPrompt['mergedInto']
+  similarity?: number
+  reason?: string
+}
+
+export interface QueryImportResult {
+  source: QueryImportSource
+  locale: Locale
+  dryRun: boolean
+  items: QueryImportItem[]
+  skipped: { line: number; query: string; reason: string }[]
+  summary: {
+    received: number
+    converted: number
+    imported: number
+    ready: number
+    merged: number
+    skipped: number
+    truncated: number // Valid queries beyond maxQueries
+    deduplication: DeduplicationSummary
+  }
+}
+
+// Prompt versions (PUT /api/prompts/:id, GET /api/prompts/:id/versions)
+export type PromptVersionScope = 'all' | 'current' // current: leave out tests of earlier prompt versions
+
+export interface PromptDiffPart {
+  type: 'equal' | 'added' | 'removed'
+  text: string
+}
+
+// Completed tests that ran against one version
+export interface PromptVersionTestSummary {
+  version: number
+  totalTests: number
+  brandMentionRate: number // 0-100
+  firstTestedAt: string | null
+  lastTestedAt: string | null
+}
+
+export interface PromptVersion {
+  version: number
+  title: string
+  text: string
+  queryType: 'Informational' | 'Navigational' | 'Commercial' | 'Transactional'
+  author: { id: string; name: string | null; email: string | null } | null
+  changeNote: string | null
+  changedFields: Array<'text' | 'title' | 'queryType'>
+  diff: PromptDiffPart[] // Word diff of the text against the previous version
+  diffSummary: { added: number; removed: number }
+  createdAt: string
+  isCurrent?: boolean
+  tests?: PromptVersionTestSummary | null
+}
+
+export interface PromptVersionHistory {
+  promptId: string
+  currentVersion: number
+  versions: PromptVersion[] // Newest first
+}
+
+export interface PromptUpdate {
+  text?: string
+  title?: string
+  queryType?: PromptVersion['queryType']
+  changeNote?: string
+}
@@ -0,0 +1,42 @@
+// Recurring visibility run schedule TypeScript interfaces
+
+export type ScheduleFrequency = 'daily' | 'weekly'
+
+export type ScheduleStatus = 'active' | 'paused'
+
+export interface VisibilitySchedule {
+  _id: string
+  userId: string
+  urlAnalysisId: string
+  name?: string
+  frequency: ScheduleFrequency
+  hourUtc: number
+  minuteUtc: number
+  dayOfWeek: number // 0 = Sunday, weekly schedules only
+  testLimit?: number
+  samplesPerPrompt?: number // Times each prompt is sent to each platform per run
+  status: ScheduleStatus
+  nextRunAt?: string | null
+  lastRunAt?: string
+  lastRunId?: string
+  lastRunStatus?: string
+  lastError?: string | null
+  runCount: number
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CreateScheduleRequest {
+  urlAnalysisId: string
+  frequency: ScheduleFrequency
+  hourUtc?: number
+  minuteUtc?: number
+  dayOfWeek?: number
+  testLimit?: number
+  samplesPerPrompt?: number
+  name?: string
+}
+
+export type UpdateScheduleRequest = Partial<Omit<CreateScheduleRequest, 'urlAnalysisId'>> & {
+  status?: ScheduleStatus
+}
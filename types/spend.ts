@@ -0,0 +1,80 @@
+// LLM spend ledger and budget TypeScript interfaces
+
+export type SpendSource =
+  | 'prompt_test'
+  | 'prompt_generation'
+  | 'insights'
+  | 'subjective_metrics'
+  | 'website_analysis'
+  | 'content_regeneration'
+  | 'embeddings'
+
+export type BudgetScope = 'user' | 'analysis'
+
+export interface SpendBudgetStatus {
+  budgetId: string
+  scope: BudgetScope
+  urlAnalysisId: string | null
+  monthlyLimit: number // USD per calendar month (UTC)
+  hardStop: boolean
+  spent: number
+  remaining: number
+  periodStart: string
+}
+
+export interface SpendBreakdownRow {
+  cost: number
+  calls: number
+  totalTokens?: number
+}
+
+export interface SpendSummary {
+  periodStart: string
+  monthToDate: number
+  bySource: Array<SpendBreakdownRow & { source: SpendSource }>
+  byModel: Array<SpendBreakdownRow & { model: string }>
+  monthly: Array<SpendBreakdownRow & { month: string }> // month = YYYY-MM
+  budgets: SpendBudgetStatus[]
+}
+
+export interface SpendLedgerEntry {
+  _id: string
+  userId: string | null
+  urlAnalysisId: string | null
+  testRunId: string | null
+  source: SpendSource
+  provider?: string
+  model: string
+  promptTokens: number
+  completionTokens: number
+  totalTokens: number
+  cost: number
+  costSource: 'provider' | 'estimated'
+  createdAt: string
+}
+
+export interface SetSpendBudgetRequest {
+  urlAnalysisId?: string
+  monthlyLimit: number
+  hardStop?: boolean
+}
+
+export interface TestRunProviderCost {
+  id: string
+  displayName: string
+  model: string
+  costPerCall: number
+  basis: 'history' | 'default' // Averaged from recent tests, or priced from default token counts
+}
+
+export interface TestRunEstimate {
+  activePrompts: number
+  promptsToTest: number
+  samplesPerPrompt: number
+  providers: TestRunProviderCost[]
+  totalCalls: number
+  estimatedCost: number
+  budgets: SpendBudgetStatus[]
+  withinBudget: boolean
+  exceeded: SpendBudgetStatus[]
+}
@@ -0,0 +1,55 @@
+export type WorkspaceRole = 'owner' | 'editor' | 'viewer'
+export type InviteRole = Exclude<WorkspaceRole, 'owner'>
+
+export interface Workspace {
+  _id: string
+  name: string
+  personal: boolean // every user has one personal workspace
+  ownerId: string // the creator
+  role: WorkspaceRole // the signed-in user's role
+  memberCount: number
+  createdAt: string
+}
+
+export interface WorkspacesResponse {
+  workspaces: Workspace[]
+  currentWorkspaceId: string
+}
+
+export interface WorkspaceMember {
+  userId: string
+  role: WorkspaceRole
+  joinedAt: string
+  email: string | null
+  name: string | null
+  isCreator: boolean // can't be removed or demoted
+}
+
+export interface WorkspaceInvite {
+  _id: string
+  email: string
+  role: InviteRole
+  expiresAt: string
+  createdAt: string
+  inviteUrl?: string // only returned when the invite is created
+}
+
+export interface SharedGA4Property {
+  propertyId: string
+  propertyName: string | null
+  accountName: string | null
+  email: string | null
+}
+
+// GET /api/admin/users
+export interface AdminUser {
+  _id: string
+  email: string
+  firstName: string
+  lastName: string
+  companyName?: string
+  access: boolean
+  isAdmin: boolean
+  lastLogin?: string
+  createdAt: string
+}